@@ -1,17 +1,165 @@
-// 引入韵脚转换、分析和可视化模块
-import { loadRhymeMappings, convertTextToRhymeGroups, validateRhymeGroups } from './components/rhymeConverter.js';
-import { analyzeRhymePatterns } from './components/rhymeAnalyzer.js';
-import { generateRhymeReport } from './components/rhymeVisualizer.js';
+// 引入分析客户端和可视化模块，韵脚转换和分析在Worker中完成
+import { createAnalysisClient } from './components/analysisClient.js';
+import { generateRhymeReport, generateRhymeSuggestions, generateAnalysisComparison, generateMatchDetails } from './components/rhymeVisualizer.js';
+import { loadRhymeMappings, loadEnglishRhymes, setRhymeMappings, convertTextToRhymeGroups } from './components/rhymeConverter.js';
+import { loadRhymeGroups, generateRhymeMappings, moveFinal, mergeRhymeGroups, splitRhymeGroup } from './components/rhymeGroups.js';
+import { generateRhymeGroupEditor } from './components/rhymeGroupEditor.js';
+import { loadRhymeWords, findRhymingWords, MAX_RHYME_WORD_LENGTH } from './components/rhymeDictionary.js';
+import { PHRASE_SEPARATOR_PRESETS } from './components/phraseSegmenter.js';
+import { DEFAULT_SYLLABLES_PER_BEAT } from './components/beatLayout.js';
+import { exportAnalysisAsJson, exportAnalysisAsHtml, exportAnalysisAsMarkdown, exportAnalysisAsPng } from './components/rhymeExporter.js';
+import { openDraftStore } from './components/draftStore.js';
+import { compareAnalyses } from './components/analysisComparison.js';
+import { createShareUrl, decodeShareState, MAX_SHARE_URL_LENGTH } from './components/shareLink.js';
+import { findCharAtOffset, getSourceRange } from './components/sourceMapping.js';
+import { createTextareaLocator } from './components/textareaLocator.js';
+
+// 输入停止多久后开始分析（毫秒）
+const ANALYSIS_DEBOUNCE_DELAY = 250;
+
+// 多音字读音覆盖在localStorage中的键名，粤语附加读音系统ID
+const PINYIN_OVERRIDES_STORAGE_KEY = 'rhymeCheck.pinyinOverrides';
+
+// 韵脚分组预设和当前生效的分组在localStorage中的键名
+const RHYME_GROUPS_STORAGE_KEY = 'rhymeCheck.rhymeGroups';
+
+// 韵脚分组预设下拉框中表示未保存修改的选项值
+const UNSAVED_PRESET_VALUE = '*';
+
+// 当前打开的草稿ID在localStorage中的键名
+const CURRENT_DRAFT_STORAGE_KEY = 'rhymeCheck.currentDraft';
+
+// 停止编辑多久后自动保存草稿（毫秒）
+const DRAFT_SAVE_DELAY = 1000;
+
+// 自动保存快照的最短间隔（毫秒），文本和选项都未变化时不保存
+const AUTO_SNAPSHOT_INTERVAL = 2 * 60 * 1000;
+
+// 版本对比下拉框中表示当前分析结果的选项值
+const CURRENT_ANALYSIS_VALUE = 'current';
+
+// 随草稿保存的选项（元素ID），复选框保存是否选中，其余保存值
+const SETTING_ELEMENT_IDS = [
+    'pronunciationSystem', 'phraseSplit', 'customPhraseSeparators', 'beatMode', 'beatBpm', 'syllablesPerBeat',
+    'checkEvenLines', 'showTonePattern', 'allowOverlap', 'rhymePrecision', 'endRhymeTone', 'similarityThreshold',
+    'detectInterLineRhyme', 'interLineTolerance', 'interLineLineDiffTolerance', 'beatTolerance',
+    'detectInternalRhyme', 'internalRhymeTolerance'
+];
+
+/**
+ * 获取读音系统的多音字读音覆盖在localStorage中的键名
+ * 中华新韵和平水韵同样使用普通话拼音，与普通话共用读音覆盖；粤拼与拼音互不通用，分开保存
+ * @param {string} language - 读音系统ID
+ * @returns {string} 键名
+ */
+function getPinyinOverridesStorageKey(language) {
+    return language === 'cantonese' ? `${PINYIN_OVERRIDES_STORAGE_KEY}.${language}` : PINYIN_OVERRIDES_STORAGE_KEY;
+}
+
+/**
+ * 从localStorage读取多音字读音覆盖
+ * @param {string} language - 读音系统ID
+ * @returns {Object} 读音覆盖，键为行文本，值为{字符下标: 拼音}
+ */
+function loadPinyinOverrides(language) {
+    try {
+        return JSON.parse(localStorage.getItem(getPinyinOverridesStorageKey(language))) || {};
+    } catch (e) {
+        console.error('读取多音字读音设置失败:', e);
+        return {};
+    }
+}
+
+/**
+ * 将多音字读音覆盖保存到localStorage
+ * @param {string} language - 读音系统ID
+ * @param {Object} overrides - 读音覆盖
+ */
+function savePinyinOverrides(language, overrides) {
+    try {
+        localStorage.setItem(getPinyinOverridesStorageKey(language), JSON.stringify(overrides));
+    } catch (e) {
+        console.error('保存多音字读音设置失败:', e);
+    }
+}
+
+/**
+ * 从localStorage读取韵脚分组设置
+ * @returns {Object} { presets, active }，presets为预设名称到韵脚分组配置的映射，
+ *   active为当前生效的{ name, rhymeGroups }（name为空表示未保存的修改），使用默认分组时为null
+ */
+function loadRhymeGroupState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(RHYME_GROUPS_STORAGE_KEY)) || {};
+        return { presets: state.presets || {}, active: state.active || null };
+    } catch (e) {
+        console.error('读取韵脚分组设置失败:', e);
+        return { presets: {}, active: null };
+    }
+}
+
+/**
+ * 将韵脚分组设置保存到localStorage
+ * @param {Object} state - 韵脚分组设置
+ */
+function saveRhymeGroupState(state) {
+    try {
+        localStorage.setItem(RHYME_GROUPS_STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+        console.error('保存韵脚分组设置失败:', e);
+    }
+}
+
+/**
+ * 格式化草稿和快照的保存时间
+ * @param {number} timestamp - 时间戳（毫秒）
+ * @returns {string} 本地时间，如"2024/5/1 20:30:15"
+ */
+function formatSavedTime(timestamp) {
+    return new Date(timestamp).toLocaleString('zh-CN', { hour12: false });
+}
+
+/**
+ * 将导出内容作为文件下载
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // 等待浏览器开始下载后再释放URL
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// 各导出格式的生成函数和文件信息，PNG为异步生成
+const EXPORT_FORMATS = {
+    json: {
+        extension: 'json',
+        create: analysis => new Blob([exportAnalysisAsJson(analysis)], { type: 'application/json' })
+    },
+    html: {
+        extension: 'html',
+        create: analysis => new Blob([exportAnalysisAsHtml(analysis)], { type: 'text/html' })
+    },
+    markdown: {
+        extension: 'md',
+        create: analysis => new Blob([exportAnalysisAsMarkdown(analysis)], { type: 'text/markdown' })
+    },
+    png: {
+        extension: 'png',
+        create: analysis => exportAnalysisAsPng(analysis)
+    }
+};
 
 document.addEventListener('DOMContentLoaded', function() {
-    // 页面加载时加载韵脚映射表
-    loadRhymeMappings().catch(error => {
-        console.error('初始化失败:', error);
-        alert('韵脚检测工具初始化失败，请刷新页面重试');
-    });
-    
     const textInput = document.getElementById('poemInput');
     const visualizationElement = document.getElementById('visualizationResult');
+    const matchDetailsElement = document.getElementById('matchDetails');
     const mainContent = document.querySelector('.main-content');
     
     // 同步两个文本框高度的函数
@@ -51,77 +199,1353 @@ document.addEventListener('DOMContentLoaded', function() {
     const interLineLineDiffToleranceValue = document.getElementById('interLineLineDiffToleranceValue');
     const internalRhymeTolerance = document.getElementById('internalRhymeTolerance');
     const internalRhymeToleranceValue = document.getElementById('internalRhymeToleranceValue');
+    const pronunciationSystem = document.getElementById('pronunciationSystem');
+    const phraseSplit = document.getElementById('phraseSplit');
+    const customPhraseSeparators = document.getElementById('customPhraseSeparators');
+    const beatMode = document.getElementById('beatMode');
+    const beatBpm = document.getElementById('beatBpm');
+    const syllablesPerBeat = document.getElementById('syllablesPerBeat');
+    const beatToleranceSlider = document.getElementById('beatToleranceSlider');
+    const beatTolerance = document.getElementById('beatTolerance');
+    const beatToleranceValue = document.getElementById('beatToleranceValue');
+    const rhymePrecision = document.getElementById('rhymePrecision');
+    const endRhymeTone = document.getElementById('endRhymeTone');
+    const similarityThreshold = document.getElementById('similarityThreshold');
+    const similarityThresholdValue = document.getElementById('similarityThresholdValue');
+    const showTonePattern = document.getElementById('showTonePattern');
+    const checkEvenLines = document.getElementById('checkEvenLines');
+    const allowOverlap = document.getElementById('allowOverlap');
+    const exportButtons = document.querySelectorAll('.export-button[data-format]');
+    const dictionarySection = document.querySelector('.dictionary-section');
+    const dictionaryQuery = document.getElementById('dictionaryQuery');
+    const dictionaryPrecision = document.getElementById('dictionaryPrecision');
+    const dictionaryTone = document.getElementById('dictionaryTone');
+    const dictionaryResults = document.getElementById('dictionaryResults');
+    const groupEditorSection = document.querySelector('.group-editor-section');
+    const rhymeGroupPreset = document.getElementById('rhymeGroupPreset');
+    const rhymeGroupPresetName = document.getElementById('rhymeGroupPresetName');
+    const saveRhymeGroupPresetButton = document.getElementById('saveRhymeGroupPreset');
+    const deleteRhymeGroupPresetButton = document.getElementById('deleteRhymeGroupPreset');
+    const resetRhymeGroupsButton = document.getElementById('resetRhymeGroups');
+    const rhymeGroupDetails = document.getElementById('rhymeGroupDetails');
+    const rhymeGroupEditor = document.getElementById('rhymeGroupEditor');
+    const copyShareLinkButton = document.getElementById('copyShareLink');
+    const shareStatus = document.getElementById('shareStatus');
+    const draftSection = document.querySelector('.draft-section');
+    const draftSelect = document.getElementById('draftSelect');
+    const draftName = document.getElementById('draftName');
+    const renameDraftButton = document.getElementById('renameDraft');
+    const newDraftButton = document.getElementById('newDraft');
+    const deleteDraftButton = document.getElementById('deleteDraft');
+    const saveSnapshotButton = document.getElementById('saveSnapshot');
+    const draftStatus = document.getElementById('draftStatus');
+    const snapshotBefore = document.getElementById('snapshotBefore');
+    const snapshotAfter = document.getElementById('snapshotAfter');
+    const compareSnapshotsButton = document.getElementById('compareSnapshots');
+    const snapshotComparison = document.getElementById('snapshotComparison');
+    
+    // 当前读音系统的多音字读音覆盖，以及当前显示的分析结果（用于重新渲染和把点击位置映射回行文本）
+    let pinyinOverrides = loadPinyinOverrides(pronunciationSystem.value);
+    let currentAnalysis = null;
+    let debounceTimer = null;
+    
+    // 押韵词典在第一次查询时才加载，查询在主线程进行，当前查询的字符信息用于切换筛选条件后重新查询
+    let dictionaryReady = null;
+    let dictionaryCharInfos = null;
+    
+    // 韵脚分组预设和当前生效的分组，默认分组在需要时才加载；自定义分组生成的映射表同时用于Worker和押韵词典
+    const rhymeGroupState = loadRhymeGroupState();
+    let defaultRhymeGroups = null;
+    let selectedFinal = null;
+    let activeRhymeMappings = rhymeGroupState.active ? generateRhymeMappings(rhymeGroupState.active.rhymeGroups) : null;
+    
+    // 草稿存储在打开后可用，浏览器不支持IndexedDB时隐藏草稿功能；
+    // 记录已保存的草稿内容和最近快照的内容，未变化时不重复保存
+    let draftStore = null;
+    let currentDraftId = null;
+    let draftSaveTimer = null;
+    let savedDraftKey = null;
+    let lastSnapshotKey = null;
+    let lastSnapshotTime = 0;
+    // 最近一次分析请求的文本和选项，分析完成后用于保存快照
+    let analyzedState = null;
+    
+    // 当前分析结果对应的原文，输入框内容与之不同（如分析尚未完成）时不在原文和报告之间定位
+    let currentAnalysisText = null;
+    // 报告中聚焦的押韵{ id, positionIndex }，positionIndex为点击的一处；其余内容变暗
+    let focusedRhyme = null;
+    // 由点击报告设置的输入框选区，不作为用户的选择查询押韵词典
+    let programmaticSelection = null;
+    // 鼠标在输入框中悬停时，报告中对应的字，以及等待处理的鼠标位置
+    let mirroredCharElement = null;
+    let pendingHoverPoint = null;
+    const textInputLocator = createTextareaLocator(textInput);
+    
+    // 分析客户端，分析结果异步返回
+    const analysisClient = createAnalysisClient({
+        onResult(analysis) {
+            currentAnalysis = analysis;
+            currentAnalysisText = analyzedState.text;
+            renderAnalysis();
+            autoSaveSnapshot();
+        },
+        onError(error) {
+            console.error('处理失败:', error);
+            currentAnalysis = null;
+            clearRhymeFocus();
+            updateExportButtons();
+            visualizationElement.classList.remove('is-analyzing');
+            visualizationElement.innerHTML = `<p class="error-message">处理失败: ${error.message}</p>`;
+            syncTextAreaHeights();
+        },
+        onInitError(error) {
+            console.error('初始化失败:', error);
+            alert('韵脚检测工具初始化失败，请刷新页面重试');
+        }
+    });
+    
+    // 浏览器恢复了上次选择的读音系统时先切换，上次使用的自定义分组在第一次分析前生效
+    if (pronunciationSystem.value !== 'mandarin') {
+        analysisClient.setLanguage(pronunciationSystem.value);
+    } else if (activeRhymeMappings) {
+        analysisClient.setMappings(activeRhymeMappings);
+    }
+    updateLanguageSections();
+    updateOptionDisplays();
+    updateRhymeGroupPresetOptions();
     
     // 更新滑块显示值
     interLineTolerance.addEventListener('input', function() {
         interLineToleranceValue.textContent = this.value;
-        updateAnalysis();
+        scheduleAnalysis();
     });
     
     interLineLineDiffTolerance.addEventListener('input', function() {
         interLineLineDiffToleranceValue.textContent = this.value;
-        updateAnalysis();
+        scheduleAnalysis();
     });
     
     internalRhymeTolerance.addEventListener('input', function() {
         internalRhymeToleranceValue.textContent = this.value;
+        scheduleAnalysis();
+    });
+    
+    similarityThreshold.addEventListener('input', function() {
+        similarityThresholdValue.textContent = parseFloat(this.value).toFixed(2);
+        scheduleAnalysis();
+    });
+    
+    beatTolerance.addEventListener('input', function() {
+        beatToleranceValue.textContent = parseFloat(this.value).toFixed(2);
+        scheduleAnalysis();
+    });
+    
+    // 切换读音系统或韵书，韵脚分组编辑器和押韵词典只支持普通话，回到普通话时恢复自定义分组
+    pronunciationSystem.addEventListener('change', function() {
+        applyPronunciationSystem();
         updateAnalysis();
     });
     
+    // 切换分句方式，选择自定义时显示分隔符输入框
+    phraseSplit.addEventListener('change', function() {
+        updateOptionDisplays();
+        updateAnalysis();
+    });
+    customPhraseSeparators.addEventListener('input', scheduleAnalysis);
+    
+    // 切换节拍排布方式，自动排布时显示BPM和每拍音节数，排布节拍后句间押韵改用拍位容差
+    beatMode.addEventListener('change', function() {
+        updateOptionDisplays();
+        updateAnalysis();
+    });
+    beatBpm.addEventListener('input', scheduleAnalysis);
+    syllablesPerBeat.addEventListener('input', scheduleAnalysis);
+    
     // 选项变化时更新分析
     detectInterLineRhyme.addEventListener('change', updateAnalysis);
     detectInternalRhyme.addEventListener('change', updateAnalysis);
+    rhymePrecision.addEventListener('change', updateAnalysis);
+    endRhymeTone.addEventListener('change', updateAnalysis);
+    allowOverlap.addEventListener('change', updateAnalysis);
     
-    // 自动完成转换，当用户输入文本时自动进行转换
-    textInput.addEventListener('input', updateAnalysis);
+    // 显示选项只影响渲染，无需重新分析
+    showTonePattern.addEventListener('change', renderAnalysis);
+    checkEvenLines.addEventListener('change', renderAnalysis);
+    showTonePattern.addEventListener('change', scheduleDraftSave);
+    checkEvenLines.addEventListener('change', scheduleDraftSave);
     
-    // 更新分析结果
-    function updateAnalysis() {
-        const text = textInput.value.trim();
-        if (!text) {
-            visualizationElement.innerHTML = '<p>可视化结果将显示在这里...</p>';
-            syncTextAreaHeights();
+    // 自动完成转换，当用户输入文本时在停止输入后进行转换
+    textInput.addEventListener('input', scheduleAnalysis);
+    
+    // 支持将.lrc或.txt歌词文件拖入输入框，时间标签在转换时去除
+    textInput.addEventListener('dragover', function(event) {
+        if (event.dataTransfer.types.includes('Files')) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            textInput.classList.add('drag-over');
+        }
+    });
+    
+    textInput.addEventListener('dragleave', function() {
+        textInput.classList.remove('drag-over');
+    });
+    
+    textInput.addEventListener('drop', async function(event) {
+        const file = event.dataTransfer.files[0];
+        if (!file) {
             return;
         }
-
+        event.preventDefault();
+        textInput.classList.remove('drag-over');
+        
         try {
-            // 转换文本为韵脚组
-            const rhymeGroups = convertTextToRhymeGroups(text);
-            
-            // 验证转换结果
-            if (!validateRhymeGroups(rhymeGroups)) {
-                throw new Error('韵脚转换结果无效');
+            textInput.value = await file.text();
+        } catch (error) {
+            console.error('读取歌词文件失败:', error);
+            alert(`读取歌词文件失败: ${error.message}`);
+            return;
+        }
+        syncTextAreaHeights();
+        updateAnalysis();
+    });
+    
+    // 点击悬浮窗中的读音，手动指定多音字读音并重新分析
+    visualizationElement.addEventListener('click', function(event) {
+        const option = event.target.closest('.reading-option');
+        if (!option) {
+            // 点击押韵字时聚焦该押韵并选中原文，同时在押韵词典中查找与其所在押韵押韵的词语
+            const rhymeWord = event.target.closest('.rhyme-word');
+            if (rhymeWord) {
+                const lineIndex = parseInt(rhymeWord.dataset.line);
+                const charIndex = parseInt(rhymeWord.dataset.char);
+                focusRhymeAt(lineIndex, charIndex);
+                if (!dictionarySection.hidden) {
+                    queryRhymeWordAt(lineIndex, charIndex);
+                }
+            } else if (event.target.closest('.visualization-lyrics') && !event.target.closest('.char-tooltip')) {
+                // 点击歌词的其他位置取消聚焦
+                clearRhymeFocus();
+            }
+            return;
+        }
+        
+        const group = currentAnalysis && currentAnalysis.rhymeGroups[parseInt(option.dataset.line)];
+        if (!group) {
+            return;
+        }
+        
+        const lineOverrides = pinyinOverrides[group.line] || {};
+        if (option.dataset.auto === 'true') {
+            // 选择自动判断的读音即取消手动指定
+            delete lineOverrides[option.dataset.char];
+        } else {
+            lineOverrides[option.dataset.char] = option.dataset.pinyin;
+        }
+        
+        if (Object.keys(lineOverrides).length > 0) {
+            pinyinOverrides[group.line] = lineOverrides;
+        } else {
+            delete pinyinOverrides[group.line];
+        }
+        savePinyinOverrides(pronunciationSystem.value, pinyinOverrides);
+        updateAnalysis();
+    });
+    
+    // 押韵信息中点击所在的行，选中该处押韵的原文；点击关闭按钮取消聚焦
+    matchDetailsElement.addEventListener('click', function(event) {
+        if (event.target.closest('.match-details-close')) {
+            clearRhymeFocus();
+            return;
+        }
+        const detailLine = event.target.closest('.match-detail-line');
+        if (detailLine && focusedRhyme) {
+            focusedRhyme.positionIndex = parseInt(detailLine.dataset.index);
+            applyRhymeFocus();
+            selectFocusedSource();
+        }
+    });
+    
+    document.addEventListener('keydown', function(event) {
+        if (event.key === 'Escape' && focusedRhyme) {
+            clearRhymeFocus();
+        }
+    });
+    
+    // 鼠标在输入框中移动时高亮报告中对应的字，每帧只定位一次
+    textInput.addEventListener('mousemove', function(event) {
+        const isScheduled = pendingHoverPoint !== null;
+        pendingHoverPoint = { x: event.clientX, y: event.clientY };
+        if (isScheduled) {
+            return;
+        }
+        requestAnimationFrame(() => {
+            if (!pendingHoverPoint) {
+                return;
+            }
+            const offset = textInputLocator.getOffsetAtPoint(pendingHoverPoint.x, pendingHoverPoint.y);
+            pendingHoverPoint = null;
+            updateMirroredChar(offset);
+        });
+    });
+    
+    textInput.addEventListener('mouseleave', function() {
+        pendingHoverPoint = null;
+        updateMirroredChar(null);
+    });
+    
+    // 在输入框中选中字词时查找押韵的词语
+    textInput.addEventListener('select', function() {
+        if (programmaticSelection && textInput.selectionStart === programmaticSelection.start &&
+            textInput.selectionEnd === programmaticSelection.end) {
+            programmaticSelection = null;
+            return;
+        }
+        const selectedText = textInput.value.slice(textInput.selectionStart, textInput.selectionEnd);
+        if (selectedText.trim() && !dictionarySection.hidden) {
+            querySelectedText(selectedText);
+        }
+    });
+    
+    // 切换押韵词典的筛选条件后重新查询
+    dictionaryPrecision.addEventListener('change', updateDictionary);
+    dictionaryTone.addEventListener('change', updateDictionary);
+    
+    // 切换韵脚分组预设
+    rhymeGroupPreset.addEventListener('change', function() {
+        const name = this.value;
+        if (name === '') {
+            applyRhymeGroups(null);
+        } else if (rhymeGroupState.presets[name]) {
+            rhymeGroupPresetName.value = name;
+            applyRhymeGroups({ name, rhymeGroups: rhymeGroupState.presets[name] });
+        }
+    });
+    
+    // 将当前生效的分组保存为预设，同名预设会被覆盖
+    saveRhymeGroupPresetButton.addEventListener('click', async function() {
+        const name = rhymeGroupPresetName.value.trim();
+        if (!name) {
+            alert('请输入预设名称');
+            return;
+        }
+        
+        try {
+            const rhymeGroups = await getCurrentRhymeGroups();
+            rhymeGroupState.presets[name] = rhymeGroups;
+            rhymeGroupState.active = { name, rhymeGroups };
+            saveRhymeGroupState(rhymeGroupState);
+            updateRhymeGroupPresetOptions();
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+    
+    // 删除选中的预设，当前生效的分组保持不变
+    deleteRhymeGroupPresetButton.addEventListener('click', function() {
+        const name = rhymeGroupPreset.value;
+        if (!rhymeGroupState.presets[name]) {
+            return;
+        }
+        
+        delete rhymeGroupState.presets[name];
+        if (rhymeGroupState.active && rhymeGroupState.active.name === name) {
+            rhymeGroupState.active.name = '';
+        }
+        saveRhymeGroupState(rhymeGroupState);
+        updateRhymeGroupPresetOptions();
+    });
+    
+    resetRhymeGroupsButton.addEventListener('click', function() {
+        applyRhymeGroups(null);
+    });
+    
+    // 展开编辑器时才加载和渲染分组
+    rhymeGroupDetails.addEventListener('toggle', renderRhymeGroupEditor);
+    
+    // 点击拼音选中待移动的拼音，再点击目标严格韵脚组完成移动；也可以点击拆分按钮
+    rhymeGroupEditor.addEventListener('click', function(event) {
+        const splitButton = event.target.closest('.group-split-button');
+        if (splitButton) {
+            const { group, strict } = splitButton.dataset;
+            editRhymeGroups(rhymeGroups => splitRhymeGroup(rhymeGroups, group, strict));
+            return;
+        }
+        
+        const chip = event.target.closest('.final-chip');
+        if (chip) {
+            selectedFinal = selectedFinal === chip.dataset.final ? null : chip.dataset.final;
+            renderRhymeGroupEditor();
+            return;
+        }
+        
+        const strictGroup = event.target.closest('.strict-group');
+        if (strictGroup && selectedFinal) {
+            const final = selectedFinal;
+            selectedFinal = null;
+            editRhymeGroups(rhymeGroups => moveFinal(rhymeGroups, final, strictGroup.dataset.group, strictGroup.dataset.strict));
+        }
+    });
+    
+    rhymeGroupEditor.addEventListener('change', function(event) {
+        const select = event.target.closest('.group-merge-select');
+        if (select && select.value) {
+            editRhymeGroups(rhymeGroups => mergeRhymeGroups(rhymeGroups, select.dataset.group, select.value));
+        }
+    });
+    
+    // 拖动拼音到其他严格韵脚组
+    rhymeGroupEditor.addEventListener('dragstart', function(event) {
+        const chip = event.target.closest('.final-chip');
+        if (chip) {
+            event.dataTransfer.setData('text/plain', chip.dataset.final);
+            event.dataTransfer.effectAllowed = 'move';
+        }
+    });
+    
+    rhymeGroupEditor.addEventListener('dragover', function(event) {
+        if (event.target.closest('.strict-group')) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        }
+    });
+    
+    rhymeGroupEditor.addEventListener('drop', function(event) {
+        const strictGroup = event.target.closest('.strict-group');
+        const final = event.dataTransfer.getData('text/plain');
+        if (!strictGroup || !final) {
+            return;
+        }
+        event.preventDefault();
+        selectedFinal = null;
+        editRhymeGroups(rhymeGroups => moveFinal(rhymeGroups, final, strictGroup.dataset.group, strictGroup.dataset.strict));
+    });
+    
+    // 复制包含歌词、检测选项、自定义韵脚分组和多音字读音的分享链接，链接过长时省略其中一部分
+    copyShareLinkButton.addEventListener('click', async function() {
+        // 自定义分组只对普通话生效；读音覆盖只分享当前歌词中的行
+        const text = textInput.value;
+        const rhymeGroups = pronunciationSystem.value === 'mandarin' ? rhymeGroupState.active : null;
+        const sharedOverrides = {};
+        Object.keys(pinyinOverrides).forEach(line => {
+            if (text.includes(line)) {
+                sharedOverrides[line] = pinyinOverrides[line];
+            }
+        });
+        
+        let shareUrl;
+        try {
+            shareUrl = await createShareUrl(location.href, { text, settings: getSettings(), rhymeGroups, pinyinOverrides: sharedOverrides });
+        } catch (error) {
+            console.error('生成分享链接失败:', error);
+            shareStatus.textContent = `生成分享链接失败: ${error.message}`;
+            return;
+        }
+        
+        let copied = true;
+        try {
+            await navigator.clipboard.writeText(shareUrl.url);
+        } catch (error) {
+            copied = false;
+            // 无法写入剪贴板（如非HTTPS页面）时让用户手动复制
+            console.error('写入剪贴板失败:', error);
+            prompt('无法写入剪贴板，请手动复制链接', shareUrl.url);
+        }
+        const omitted = [];
+        if (rhymeGroups && !shareUrl.includesRhymeGroups) {
+            omitted.push('自定义韵脚分组');
+        }
+        if (Object.keys(sharedOverrides).length > 0 && !shareUrl.includesPinyinOverrides) {
+            omitted.push('多音字读音');
+        }
+        if (!shareUrl.includesText) {
+            shareStatus.textContent = `歌词过长（压缩后链接超过${MAX_SHARE_URL_LENGTH}字符），链接中只包含检测选项` +
+                (shareUrl.includesRhymeGroups ? '和自定义韵脚分组' : '') + '，歌词请另行发送或导出为JSON' +
+                (omitted.length > 0 ? `；未包含${omitted.join('和')}` : '');
+        } else if (omitted.length > 0) {
+            shareStatus.textContent = `链接过长，未包含${omitted.join('和')}，对方打开后的分析结果可能与当前不同`;
+        } else {
+            shareStatus.textContent = copied ? '链接已复制' : '';
+        }
+    });
+    
+    // 在已打开的页面中打开另一个分享链接时只有hash变化，页面不会刷新
+    window.addEventListener('hashchange', async function() {
+        const sharedState = await loadSharedState();
+        if (sharedState) {
+            await saveDraft();
+            await openSharedState(sharedState);
+        }
+    });
+    
+    // 切换草稿前先保存当前草稿
+    draftSelect.addEventListener('change', async function() {
+        await saveDraft();
+        const draft = await draftStore.getDraft(Number(this.value));
+        if (draft) {
+            openDraft(draft);
+        }
+    });
+    
+    renameDraftButton.addEventListener('click', async function() {
+        const name = draftName.value.trim();
+        if (!name || currentDraftId === null) {
+            alert('请输入草稿名称');
+            return;
+        }
+        try {
+            await draftStore.updateDraft(currentDraftId, { name });
+            updateDraftOptions();
+        } catch (error) {
+            alert(`重命名草稿失败: ${error.message}`);
+        }
+    });
+    
+    // 新建空白草稿，沿用当前的选项
+    newDraftButton.addEventListener('click', async function() {
+        try {
+            await saveDraft();
+            const drafts = await draftStore.listDrafts();
+            const draft = await draftStore.createDraft(`草稿 ${drafts.length + 1}`, '', getSettings());
+            openDraft(draft);
+        } catch (error) {
+            alert(`新建草稿失败: ${error.message}`);
+        }
+    });
+    
+    // 删除当前草稿及其快照，之后打开最近修改的草稿，没有草稿时新建一份
+    deleteDraftButton.addEventListener('click', async function() {
+        if (currentDraftId === null || !confirm(`删除草稿「${draftName.value}」及其所有快照？`)) {
+            return;
+        }
+        try {
+            clearTimeout(draftSaveTimer);
+            await draftStore.deleteDraft(currentDraftId);
+            const drafts = await draftStore.listDrafts();
+            openDraft(drafts[0] || await draftStore.createDraft('草稿 1', '', getSettings()));
+        } catch (error) {
+            alert(`删除草稿失败: ${error.message}`);
+        }
+    });
+    
+    saveSnapshotButton.addEventListener('click', function() {
+        saveSnapshot(true);
+    });
+    
+    // 对比两个版本的分析结果
+    compareSnapshotsButton.addEventListener('click', async function() {
+        try {
+            const [before, after] = await Promise.all([
+                getComparedVersion(snapshotBefore.value),
+                getComparedVersion(snapshotAfter.value)
+            ]);
+            if (!before || !after) {
+                snapshotComparison.innerHTML = '<p class="dictionary-empty">请选择两个版本</p>';
+                return;
+            }
+            const comparison = compareAnalyses(before.analysis, after.analysis);
+            snapshotComparison.innerHTML = generateAnalysisComparison(before.analysis, after.analysis, comparison, {
+                before: before.label,
+                after: after.label
+            });
+        } catch (error) {
+            console.error('版本对比失败:', error);
+            snapshotComparison.innerHTML = `<p class="error-message">版本对比失败: ${error.message}</p>`;
+        }
+    });
+    
+    // 导出当前的分析结果
+    exportButtons.forEach(button => {
+        button.addEventListener('click', async function() {
+            const format = EXPORT_FORMATS[this.dataset.format];
+            if (!currentAnalysis || !format) {
+                return;
             }
             
-            // 获取当前选项，句尾押韵默认开启
-            const options = {
-                detectEndRhyme: true, // 句尾押韵默认开启
-                detectInterLineRhyme: detectInterLineRhyme.checked,
-                detectInternalRhyme: detectInternalRhyme.checked,
-                interLineTolerance: parseInt(interLineTolerance.value),
-                interLineLineDiffTolerance: parseInt(interLineLineDiffTolerance.value),
-                internalRhymeTolerance: parseInt(internalRhymeTolerance.value)
-            };
-            
-            // 分析押韵方式
-            const rhymeAnalysis = analyzeRhymePatterns(rhymeGroups, options);
-            
-            // 生成可视化结果
-            const visualizationHtml = generateRhymeReport(rhymeAnalysis);
-            visualizationElement.innerHTML = visualizationHtml;
-            
-            // 同步高度
+            try {
+                const blob = await format.create(currentAnalysis);
+                downloadBlob(blob, `rhyme-check.${format.extension}`);
+            } catch (error) {
+                console.error('导出失败:', error);
+                alert(`导出失败: ${error.message}`);
+            }
+        });
+    });
+    
+    /**
+     * 判断输入框的内容是否与当前分析结果对应，对应时才能在原文和报告之间定位
+     * @returns {boolean} 是否对应
+     */
+    function isSourceInSync() {
+        return Boolean(currentAnalysis) && textInput.value === currentAnalysisText;
+    }
+    
+    /**
+     * 获取报告中某个字的元素
+     * @param {number} lineIndex - 行下标
+     * @param {number} charIndex - 字符下标
+     * @returns {Element|null} 字的元素
+     */
+    function getReportCharElement(lineIndex, charIndex) {
+        return visualizationElement.querySelector(
+            `.rhyme-word[data-line="${lineIndex}"][data-char="${charIndex}"], .normal-word[data-line="${lineIndex}"][data-char="${charIndex}"]`);
+    }
+    
+    /**
+     * 聚焦点击的押韵字所在的押韵并选中原文
+     * 该字属于多处押韵时，再次点击同一处依次切换到下一处押韵，最后一处之后取消聚焦；点击聚焦押韵的另一处时切换到另一处
+     * @param {number} lineIndex - 行下标
+     * @param {number} charIndex - 字符下标
+     */
+    function focusRhymeAt(lineIndex, charIndex) {
+        const covers = pos => pos.line === lineIndex && pos.char <= charIndex && charIndex < pos.char + (pos.length || 1);
+        const coveringResults = currentAnalysis.analysisResults.filter(result => result.positions.some(covers));
+        if (coveringResults.length === 0) {
+            return;
+        }
+        
+        let result = coveringResults[0];
+        const focusedIndex = focusedRhyme ? coveringResults.findIndex(item => item.id === focusedRhyme.id) : -1;
+        if (focusedIndex >= 0) {
+            const positionIndex = coveringResults[focusedIndex].positions.findIndex(covers);
+            if (positionIndex !== focusedRhyme.positionIndex) {
+                result = coveringResults[focusedIndex];
+            } else if (focusedIndex + 1 < coveringResults.length) {
+                result = coveringResults[focusedIndex + 1];
+            } else {
+                clearRhymeFocus();
+                return;
+            }
+        }
+        
+        focusedRhyme = { id: result.id, positionIndex: result.positions.findIndex(covers) };
+        applyRhymeFocus();
+        selectFocusedSource();
+    }
+    
+    /**
+     * 取消聚焦押韵
+     */
+    function clearRhymeFocus() {
+        focusedRhyme = null;
+        applyRhymeFocus();
+    }
+    
+    /**
+     * 按聚焦的押韵标出报告中的字并显示押韵信息：该押韵的位置高亮，同一押韵链的其他位置次之，其余内容变暗
+     * 重新渲染报告后再次调用，聚焦的押韵不再存在时取消聚焦
+     */
+    function applyRhymeFocus() {
+        visualizationElement.querySelectorAll('.is-focused, .is-chain-focused').forEach(element => {
+            element.classList.remove('is-focused', 'is-chain-focused');
+        });
+        const results = currentAnalysis ? currentAnalysis.analysisResults : [];
+        const result = focusedRhyme && results.find(item => item.id === focusedRhyme.id);
+        if (!result) {
+            focusedRhyme = null;
+            visualizationElement.classList.remove('has-focus');
+            matchDetailsElement.hidden = true;
+            matchDetailsElement.innerHTML = '';
+            return;
+        }
+        
+        const markPositions = (positions, className) => {
+            positions.forEach(pos => {
+                for (let i = 0; i < (pos.length || 1); i++) {
+                    const element = getReportCharElement(pos.line, pos.char + i);
+                    if (element) {
+                        element.closest('.char-hover-container').classList.add(className);
+                    }
+                }
+            });
+        };
+        if (result.chainId) {
+            results.filter(item => item.chainId === result.chainId && item !== result)
+                .forEach(item => markPositions(item.positions, 'is-chain-focused'));
+        }
+        markPositions(result.positions, 'is-focused');
+        visualizationElement.classList.add('has-focus');
+        matchDetailsElement.innerHTML = generateMatchDetails(currentAnalysis, result, focusedRhyme.positionIndex);
+        matchDetailsElement.hidden = false;
+    }
+    
+    /**
+     * 在输入框中选中聚焦押韵点击的一处，并滚动到该处
+     */
+    function selectFocusedSource() {
+        const result = focusedRhyme && currentAnalysis.analysisResults.find(item => item.id === focusedRhyme.id);
+        const range = result && isSourceInSync() && getSourceRange(currentAnalysis.rhymeGroups, result.positions[focusedRhyme.positionIndex]);
+        if (!range) {
+            return;
+        }
+        
+        programmaticSelection = range;
+        textInput.focus({ preventScroll: true });
+        textInput.setSelectionRange(range.start, range.end);
+        
+        // 输入框内容超出高度时先在输入框内滚动，再使该处出现在窗口中
+        const lineHeight = parseFloat(getComputedStyle(textInput).lineHeight) || 0;
+        let offsetTop = textInputLocator.getOffsetTop(range.start);
+        if (offsetTop < 0 || offsetTop + lineHeight > textInput.clientHeight) {
+            textInput.scrollTop += offsetTop - textInput.clientHeight / 3;
+            offsetTop = textInputLocator.getOffsetTop(range.start);
+        }
+        const top = textInput.getBoundingClientRect().top + offsetTop;
+        if (top < 0 || top + lineHeight > window.innerHeight) {
+            window.scrollBy({ top: top - window.innerHeight / 3, behavior: 'smooth' });
+        }
+    }
+    
+    /**
+     * 高亮报告中与输入框某个下标对应的字
+     * @param {number|null} offset - 输入框中的字符下标，为null时取消高亮
+     */
+    function updateMirroredChar(offset) {
+        const position = offset !== null && isSourceInSync() ? findCharAtOffset(currentAnalysis.rhymeGroups, offset) : null;
+        const element = position ? getReportCharElement(position.line, position.char) : null;
+        if (element === mirroredCharElement) {
+            return;
+        }
+        if (mirroredCharElement) {
+            mirroredCharElement.classList.remove('is-mirrored');
+        }
+        mirroredCharElement = element;
+        if (element) {
+            element.classList.add('is-mirrored');
+        }
+    }
+    
+    /**
+     * 设置导出按钮是否可用，没有分析结果时不可导出
+     */
+    function updateExportButtons() {
+        exportButtons.forEach(button => {
+            button.disabled = !currentAnalysis;
+        });
+        saveSnapshotButton.disabled = !currentAnalysis;
+    }
+    
+    /**
+     * 按当前读音系统显示或隐藏只支持普通话的押韵词典和韵脚分组编辑器
+     */
+    function updateLanguageSections() {
+        const isMandarin = pronunciationSystem.value === 'mandarin';
+        dictionarySection.hidden = !isMandarin;
+        groupEditorSection.hidden = !isMandarin;
+    }
+    
+    /**
+     * 使读音系统下拉框的选择生效：切换Worker的读音系统，回到普通话时恢复自定义分组，并载入对应的多音字读音覆盖
+     */
+    function applyPronunciationSystem() {
+        analysisClient.setLanguage(pronunciationSystem.value);
+        if (pronunciationSystem.value === 'mandarin' && activeRhymeMappings) {
+            analysisClient.setMappings(activeRhymeMappings);
+        }
+        pinyinOverrides = loadPinyinOverrides(pronunciationSystem.value);
+        updateLanguageSections();
+    }
+    
+    /**
+     * 按选项的当前值更新滑块旁的数值，以及只在特定选项下显示的输入框
+     */
+    function updateOptionDisplays() {
+        interLineToleranceValue.textContent = interLineTolerance.value;
+        interLineLineDiffToleranceValue.textContent = interLineLineDiffTolerance.value;
+        internalRhymeToleranceValue.textContent = internalRhymeTolerance.value;
+        similarityThresholdValue.textContent = parseFloat(similarityThreshold.value).toFixed(2);
+        beatToleranceValue.textContent = parseFloat(beatTolerance.value).toFixed(2);
+        customPhraseSeparators.hidden = phraseSplit.value !== 'custom';
+        beatBpm.hidden = beatMode.value !== 'auto';
+        syllablesPerBeat.hidden = beatMode.value !== 'auto';
+        beatToleranceSlider.hidden = beatMode.value === 'off';
+    }
+    
+    /**
+     * 获取随草稿保存的选项
+     * @returns {Object} 选项，键为元素ID，复选框为是否选中，其余为值
+     */
+    function getSettings() {
+        const settings = {};
+        SETTING_ELEMENT_IDS.forEach(id => {
+            const element = document.getElementById(id);
+            settings[id] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+        return settings;
+    }
+    
+    /**
+     * 恢复保存的选项，不认识的选项和下拉框中不存在的值保持不变；读音系统变化时一并切换
+     * @param {Object} settings - 选项（来自getSettings）
+     */
+    function applySettings(settings) {
+        const previousSystem = pronunciationSystem.value;
+        SETTING_ELEMENT_IDS.forEach(id => {
+            const element = document.getElementById(id);
+            const value = settings[id];
+            if (value === undefined) {
+                return;
+            }
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(value);
+            } else if (element.tagName !== 'SELECT' || Array.from(element.options).some(option => option.value === value)) {
+                element.value = value;
+            }
+        });
+        updateOptionDisplays();
+        if (pronunciationSystem.value !== previousSystem) {
+            applyPronunciationSystem();
+        }
+    }
+    
+    /**
+     * 打开草稿存储并恢复上次打开的草稿，没有草稿时用输入框当前的内容新建一份
+     */
+    async function initDrafts() {
+        // 页面从分享链接打开时，先读出链接中的歌词和选项，在第一次分析前恢复
+        const sharedState = await loadSharedState();
+        try {
+            draftStore = await openDraftStore();
+            if (sharedState && sharedState.text !== null) {
+                await openSharedState(sharedState);
+                return;
+            }
+            const drafts = await draftStore.listDrafts();
+            const savedId = Number(localStorage.getItem(CURRENT_DRAFT_STORAGE_KEY));
+            const draft = drafts.find(item => item.id === savedId) || drafts[0] ||
+                await draftStore.createDraft('草稿 1', textInput.value, getSettings());
+            await openDraft(draft, sharedState ? sharedState.settings : {});
+        } catch (error) {
+            console.error('打开草稿存储失败:', error);
+            draftStore = null;
+            draftSection.hidden = true;
+            if (sharedState) {
+                openSharedState(sharedState);
+            }
+        }
+    }
+    
+    /**
+     * 打开草稿：恢复文本和选项，更新草稿和版本列表，并重新分析
+     * @param {Object} draft - 草稿
+     * @param {Object} [settingChanges={}] - 覆盖草稿中保存的选项（如分享链接中的选项），随后自动保存到草稿
+     */
+    async function openDraft(draft, settingChanges = {}) {
+        clearTimeout(draftSaveTimer);
+        currentDraftId = draft.id;
+        savedDraftKey = JSON.stringify({ text: draft.text, settings: draft.settings });
+        localStorage.setItem(CURRENT_DRAFT_STORAGE_KEY, String(draft.id));
+        
+        textInput.value = draft.text;
+        applySettings({ ...draft.settings, ...settingChanges });
+        draftName.value = draft.name;
+        draftStatus.textContent = `保存于 ${formatSavedTime(draft.updatedAt)}`;
+        snapshotComparison.innerHTML = '';
+        
+        const [, snapshots] = await Promise.all([updateDraftOptions(), updateSnapshotOptions()]);
+        lastSnapshotKey = snapshots.length > 0 ? JSON.stringify({ text: snapshots[0].text, settings: snapshots[0].settings }) : null;
+        lastSnapshotTime = snapshots.length > 0 ? snapshots[0].createdAt : 0;
+        
+        syncTextAreaHeights();
+        updateAnalysis();
+    }
+    
+    /**
+     * 读取并移除链接hash中的分享数据，移除后刷新页面不会重复打开
+     * @returns {Promise<Object|null>} { text, settings, rhymeGroups, pinyinOverrides }（参见shareLink.js），不是分享链接或链接损坏时为null
+     */
+    async function loadSharedState() {
+        let sharedState = null;
+        try {
+            sharedState = await decodeShareState(location.hash);
+        } catch (error) {
+            console.error('读取分享链接失败:', error);
+            shareStatus.textContent = error.message;
+        }
+        if (sharedState) {
+            history.replaceState(null, '', location.pathname + location.search);
+            shareStatus.textContent = (sharedState.text === null
+                ? '分享链接中只包含检测选项，歌词因过长未包含在链接中'
+                : '已打开分享的歌词') + (sharedState.rhymeGroups ? '（使用分享的自定义韵脚分组）' : '');
+        }
+        return sharedState;
+    }
+    
+    /**
+     * 打开分享的歌词和选项：链接中有歌词时新建一份草稿，只有选项时应用到当前草稿；草稿不可用时直接填入页面
+     * 分享的选项、多音字读音和韵脚分组都在第一次分析前生效
+     * @param {Object} sharedState - 分享状态（来自loadSharedState）
+     * @returns {Promise<void>}
+     */
+    async function openSharedState({ text, settings, rhymeGroups, pinyinOverrides: sharedOverrides }) {
+        // 先应用选项，读音覆盖随后按分享的读音系统保存
+        applySettings(settings);
+        if (Object.keys(sharedOverrides).length > 0) {
+            pinyinOverrides = { ...pinyinOverrides, ...sharedOverrides };
+            savePinyinOverrides(pronunciationSystem.value, pinyinOverrides);
+        }
+        // 分享时使用默认分组的普通话链接同样恢复默认分组，使分析结果与分享者一致
+        if (rhymeGroups) {
+            rhymeGroupPresetName.value = rhymeGroups.name;
+            await setRhymeGroups({ name: '', rhymeGroups: rhymeGroups.rhymeGroups });
+        } else if (rhymeGroupState.active && pronunciationSystem.value === 'mandarin') {
+            await setRhymeGroups(null);
+        }
+        
+        if (!draftStore) {
+            if (text !== null) {
+                textInput.value = text;
+            }
             syncTextAreaHeights();
+            updateAnalysis();
+            return;
+        }
+        if (text === null) {
+            await openDraft(await draftStore.getDraft(currentDraftId), settings);
+            return;
+        }
+        // 以歌词的第一行作为草稿名称
+        const firstLine = text.trim().split('\n')[0].trim().slice(0, 20);
+        const draft = await draftStore.createDraft(firstLine ? `分享：${firstLine}` : '分享的歌词', text, { ...getSettings(), ...settings });
+        await openDraft(draft);
+    }
+    
+    /**
+     * 延迟保存当前草稿，连续编辑时只在停止编辑后保存一次
+     */
+    function scheduleDraftSave() {
+        if (!draftStore || currentDraftId === null) {
+            return;
+        }
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY);
+    }
+    
+    /**
+     * 立即保存当前草稿的文本和选项，内容未变化时不保存
+     * @returns {Promise<void>}
+     */
+    async function saveDraft() {
+        clearTimeout(draftSaveTimer);
+        if (!draftStore || currentDraftId === null) {
+            return;
+        }
+        const content = { text: textInput.value, settings: getSettings() };
+        const contentKey = JSON.stringify(content);
+        if (contentKey === savedDraftKey) {
+            return;
+        }
+        
+        try {
+            const draft = await draftStore.updateDraft(currentDraftId, content);
+            savedDraftKey = contentKey;
+            draftStatus.textContent = `保存于 ${formatSavedTime(draft.updatedAt)}`;
         } catch (error) {
-            console.error('处理失败:', error);
-            visualizationElement.innerHTML = `<p class="error-message">处理失败: ${error.message}</p>`;
+            console.error('保存草稿失败:', error);
+            draftStatus.textContent = `保存失败: ${error.message}`;
+        }
+    }
+    
+    /**
+     * 分析完成后按间隔自动保存快照，距上次快照不足AUTO_SNAPSHOT_INTERVAL或内容未变化时不保存
+     */
+    function autoSaveSnapshot() {
+        if (!analyzedState || Date.now() - lastSnapshotTime < AUTO_SNAPSHOT_INTERVAL ||
+            JSON.stringify(analyzedState) === lastSnapshotKey) {
+            return;
+        }
+        saveSnapshot(false);
+    }
+    
+    /**
+     * 将当前的分析结果保存为当前草稿的快照
+     * @param {boolean} isManual - 是否为手动保存
+     * @returns {Promise<void>}
+     */
+    async function saveSnapshot(isManual) {
+        if (!draftStore || currentDraftId === null || !currentAnalysis || !analyzedState) {
+            return;
+        }
+        const draftId = currentDraftId;
+        const { incrementalState, ...analysis } = currentAnalysis;
+        lastSnapshotKey = JSON.stringify(analyzedState);
+        lastSnapshotTime = Date.now();
+        
+        try {
+            await draftStore.addSnapshot(draftId, { ...analyzedState, analysis, isManual });
+            if (draftId === currentDraftId) {
+                await updateSnapshotOptions();
+            }
+        } catch (error) {
+            console.error('保存快照失败:', error);
+            draftStatus.textContent = `保存快照失败: ${error.message}`;
+        }
+    }
+    
+    /**
+     * 更新草稿下拉框的选项，选中当前草稿
+     * @returns {Promise<void>}
+     */
+    async function updateDraftOptions() {
+        const drafts = await draftStore.listDrafts();
+        draftSelect.innerHTML = '';
+        drafts.forEach(draft => {
+            draftSelect.add(new Option(draft.name, String(draft.id)));
+        });
+        draftSelect.value = String(currentDraftId);
+    }
+    
+    /**
+     * 更新版本对比下拉框的选项：旧版本默认选上一个快照，新版本默认为当前的分析结果
+     * @returns {Promise<Array<Object>>} 当前草稿的快照，最新的在前
+     */
+    async function updateSnapshotOptions() {
+        const snapshots = await draftStore.listSnapshots(currentDraftId);
+        const previousBefore = snapshotBefore.value;
+        const previousAfter = snapshotAfter.value;
+        
+        [snapshotBefore, snapshotAfter].forEach(select => {
+            select.innerHTML = '';
+            select.add(new Option('当前', CURRENT_ANALYSIS_VALUE));
+            snapshots.forEach(snapshot => {
+                const label = `${formatSavedTime(snapshot.createdAt)}${snapshot.isManual ? '（手动）' : ''} 押韵 ${snapshot.analysis.analysisResults.length} 处`;
+                select.add(new Option(label, String(snapshot.id)));
+            });
+        });
+        
+        const hasOption = (select, value) => Array.from(select.options).some(option => option.value === value);
+        snapshotBefore.value = hasOption(snapshotBefore, previousBefore) && previousBefore !== CURRENT_ANALYSIS_VALUE
+            ? previousBefore
+            : snapshots.length > 0 ? String(snapshots[0].id) : CURRENT_ANALYSIS_VALUE;
+        snapshotAfter.value = hasOption(snapshotAfter, previousAfter) ? previousAfter : CURRENT_ANALYSIS_VALUE;
+        return snapshots;
+    }
+    
+    /**
+     * 获取版本对比中选择的版本
+     * @param {string} value - 下拉框的值，快照ID或CURRENT_ANALYSIS_VALUE
+     * @returns {Promise<Object|null>} { analysis, label }，没有分析结果或快照不存在时为null
+     */
+    async function getComparedVersion(value) {
+        if (value === CURRENT_ANALYSIS_VALUE) {
+            return currentAnalysis ? { analysis: currentAnalysis, label: '当前' } : null;
+        }
+        const snapshot = await draftStore.getSnapshot(Number(value));
+        return snapshot ? { analysis: snapshot.analysis, label: formatSavedTime(snapshot.createdAt) } : null;
+    }
+    
+    /**
+     * 加载押韵词典，只在第一次查询时加载一次
+     * @returns {Promise<void>}
+     */
+    function ensureDictionary() {
+        if (!dictionaryReady) {
+            dictionaryReady = Promise.all([loadRhymeMappings(), loadEnglishRhymes(), loadRhymeWords()]).then(() => {
+                // 使用自定义分组时，词典按自定义分组的映射表建立索引
+                if (activeRhymeMappings) {
+                    setRhymeMappings(activeRhymeMappings);
+                }
+            }).catch(error => {
+                dictionaryReady = null;
+                throw error;
+            });
+        }
+        return dictionaryReady;
+    }
+    
+    /**
+     * 查找与选中文本押韵的词语，取最后一行末尾连续的汉字或英文单词（最多MAX_RHYME_WORD_LENGTH个）
+     * @param {string} selectedText - 选中的文本
+     */
+    async function querySelectedText(selectedText) {
+        try {
+            await ensureDictionary();
+            const rhymeGroups = convertTextToRhymeGroups(selectedText);
+            const charInfos = rhymeGroups.length > 0 ? rhymeGroups[rhymeGroups.length - 1].charInfos : [];
+            let start = charInfos.length;
+            while (start > 0 && charInfos.length - start < MAX_RHYME_WORD_LENGTH &&
+                charInfos[start - 1].pinyin && charInfos[start - 1].normalGroup !== '未知') {
+                start--;
+            }
+            if (start === charInfos.length) {
+                return;
+            }
+            dictionaryCharInfos = charInfos.slice(start);
+            updateDictionary();
+        } catch (error) {
+            console.error('押韵词典查询失败:', error);
+            dictionaryResults.innerHTML = `<p class="error-message">押韵词典查询失败: ${error.message}</p>`;
+        }
+    }
+    
+    /**
+     * 查找与结果中某个押韵字所在押韵押韵的词语，该字属于多处押韵时取连押字数最多的一处
+     * @param {number} lineIndex - 行下标
+     * @param {number} charIndex - 字符下标
+     */
+    async function queryRhymeWordAt(lineIndex, charIndex) {
+        const group = currentAnalysis && currentAnalysis.rhymeGroups[lineIndex];
+        if (!group) {
+            return;
+        }
+        
+        let coveringPosition = null;
+        currentAnalysis.analysisResults.forEach(result => {
+            result.positions.forEach(pos => {
+                if (pos.line === lineIndex && pos.char <= charIndex && charIndex < pos.char + pos.length &&
+                    (!coveringPosition || pos.length > coveringPosition.length)) {
+                    coveringPosition = pos;
+                }
+            });
+        });
+        if (!coveringPosition) {
+            return;
+        }
+        
+        const end = coveringPosition.char + coveringPosition.length;
+        const charInfos = group.charInfos.slice(Math.max(coveringPosition.char, end - MAX_RHYME_WORD_LENGTH), end);
+        try {
+            await ensureDictionary();
+            dictionaryCharInfos = charInfos;
+            updateDictionary();
+        } catch (error) {
+            console.error('押韵词典查询失败:', error);
+            dictionaryResults.innerHTML = `<p class="error-message">押韵词典查询失败: ${error.message}</p>`;
+        }
+    }
+    
+    /**
+     * 按当前的筛选条件重新查询并显示押韵词语
+     */
+    function updateDictionary() {
+        if (!dictionaryCharInfos) {
+            return;
+        }
+        
+        const queryText = dictionaryCharInfos.map(charInfo => charInfo.char).join('');
+        const suggestions = findRhymingWords(dictionaryCharInfos, {
+            precision: dictionaryPrecision.value,
+            tone: dictionaryTone.value
+        });
+        dictionaryQuery.textContent = dictionaryCharInfos
+            .map(charInfo => `${charInfo.char} ${charInfo.pinyin}${charInfo.tone || ''}`)
+            .join('　');
+        dictionaryResults.innerHTML = generateRhymeSuggestions(queryText, suggestions);
+    }
+    
+    /**
+     * 获取默认韵脚分组，只在第一次需要时加载一次
+     * @returns {Promise<Object>} 默认韵脚分组配置
+     */
+    async function getDefaultRhymeGroups() {
+        if (!defaultRhymeGroups) {
+            defaultRhymeGroups = await loadRhymeGroups();
+        }
+        return defaultRhymeGroups;
+    }
+    
+    /**
+     * 获取当前生效的韵脚分组
+     * @returns {Promise<Object>} 韵脚分组配置
+     */
+    async function getCurrentRhymeGroups() {
+        return rhymeGroupState.active ? rhymeGroupState.active.rhymeGroups : getDefaultRhymeGroups();
+    }
+    
+    /**
+     * 使韵脚分组生效并立即重新分析
+     * @param {Object|null} active - { name, rhymeGroups }，name为空表示未保存的修改；为null时恢复默认分组
+     */
+    async function applyRhymeGroups(active) {
+        if (await setRhymeGroups(active)) {
+            updateAnalysis();
+        }
+    }
+    
+    /**
+     * 使韵脚分组生效：重新生成映射表，更新Worker和押韵词典，但不重新分析
+     * @param {Object|null} active - { name, rhymeGroups }，name为空表示未保存的修改；为null时恢复默认分组
+     * @returns {Promise<boolean>} 是否生效，默认分组加载失败时为false
+     */
+    async function setRhymeGroups(active) {
+        let rhymeGroups;
+        try {
+            rhymeGroups = active ? active.rhymeGroups : await getDefaultRhymeGroups();
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+        
+        rhymeGroupState.active = active;
+        saveRhymeGroupState(rhymeGroupState);
+        activeRhymeMappings = generateRhymeMappings(rhymeGroups);
+        if (pronunciationSystem.value === 'mandarin') {
+            analysisClient.setMappings(activeRhymeMappings);
+        }
+        
+        if (dictionaryReady) {
+            dictionaryReady.then(() => {
+                setRhymeMappings(activeRhymeMappings);
+                updateDictionary();
+            }, () => {});
+        }
+        
+        updateRhymeGroupPresetOptions();
+        renderRhymeGroupEditor();
+        return true;
+    }
+    
+    /**
+     * 对当前生效的韵脚分组进行一次编辑，编辑结果作为未保存的修改立即生效
+     * @param {Function} edit - 编辑函数，参数为当前分组配置，返回新的分组配置
+     */
+    async function editRhymeGroups(edit) {
+        try {
+            const rhymeGroups = edit(await getCurrentRhymeGroups());
+            applyRhymeGroups({ name: '', rhymeGroups });
+        } catch (error) {
+            alert(error.message);
+            renderRhymeGroupEditor();
+        }
+    }
+    
+    /**
+     * 更新韵脚分组预设下拉框的选项和选中项
+     */
+    function updateRhymeGroupPresetOptions() {
+        const { presets, active } = rhymeGroupState;
+        rhymeGroupPreset.innerHTML = '';
+        rhymeGroupPreset.add(new Option('默认分组', ''));
+        Object.keys(presets).forEach(name => {
+            rhymeGroupPreset.add(new Option(name, name));
+        });
+        
+        if (!active) {
+            rhymeGroupPreset.value = '';
+        } else if (active.name && presets[active.name]) {
+            rhymeGroupPreset.value = active.name;
+        } else {
+            rhymeGroupPreset.add(new Option('（未保存的修改）', UNSAVED_PRESET_VALUE));
+            rhymeGroupPreset.value = UNSAVED_PRESET_VALUE;
+        }
+        deleteRhymeGroupPresetButton.disabled = !presets[rhymeGroupPreset.value];
+    }
+    
+    /**
+     * 渲染韵脚分组编辑器，编辑器折叠时不渲染
+     */
+    async function renderRhymeGroupEditor() {
+        if (!rhymeGroupDetails.open) {
+            return;
+        }
+        
+        try {
+            const rhymeGroups = await getCurrentRhymeGroups();
+            rhymeGroupEditor.innerHTML = generateRhymeGroupEditor(rhymeGroups, { selectedFinal });
+        } catch (error) {
+            rhymeGroupEditor.innerHTML = `<p class="error-message">${error.message}</p>`;
+        }
+    }
+    
+    /**
+     * 延迟更新分析，连续输入时只在停止输入后分析一次
+     */
+    function scheduleAnalysis() {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(updateAnalysis, ANALYSIS_DEBOUNCE_DELAY);
+    }
+    
+    // 更新分析结果
+    function updateAnalysis() {
+        clearTimeout(debounceTimer);
+        scheduleDraftSave();
+        
+        const text = textInput.value.trim();
+        if (!text) {
+            analysisClient.cancel();
+            currentAnalysis = null;
+            clearRhymeFocus();
+            updateExportButtons();
+            visualizationElement.classList.remove('is-analyzing');
+            visualizationElement.innerHTML = '<p>可视化结果将显示在这里...</p>';
             syncTextAreaHeights();
+            return;
+        }
+        
+        // 获取当前选项，句尾押韵默认开启
+        const options = {
+            detectEndRhyme: true, // 句尾押韵默认开启
+            detectInterLineRhyme: detectInterLineRhyme.checked,
+            detectInternalRhyme: detectInternalRhyme.checked,
+            interLineTolerance: parseInt(interLineTolerance.value),
+            interLineLineDiffTolerance: parseInt(interLineLineDiffTolerance.value),
+            internalRhymeTolerance: parseInt(internalRhymeTolerance.value),
+            rhymePrecision: rhymePrecision.value,
+            endRhymeTone: endRhymeTone.value,
+            similarityThreshold: parseFloat(similarityThreshold.value),
+            beatTolerance: parseFloat(beatTolerance.value),
+            allowOverlap: allowOverlap.checked
+        };
+        
+        // 显示分析中状态，已有结果时保留旧结果并降低亮度
+        if (currentAnalysis) {
+            visualizationElement.classList.add('is-analyzing');
+        } else {
+            visualizationElement.innerHTML = '<p class="analysis-pending">分析中...</p>';
+        }
+        
+        // 转换和分析在Worker中进行，新请求会使未完成的旧请求过期
+        const phraseSeparators = phraseSplit.value === 'custom'
+            ? customPhraseSeparators.value
+            : PHRASE_SEPARATOR_PRESETS[phraseSplit.value];
+        analyzedState = { text: textInput.value, settings: getSettings() };
+        // 传入未去除首尾空白的原文，使字符在原文中的位置与输入框一致
+        analysisClient.analyze(textInput.value, { pinyinOverrides, phraseSeparators, beatLayout: getBeatLayout() }, options);
+    }
+    
+    /**
+     * 获取当前的节拍排布选项，BPM和每拍音节数无效时忽略
+     * @returns {Object|null} 节拍排布选项（参见beatLayout.js），关闭时为null
+     */
+    function getBeatLayout() {
+        if (beatMode.value === 'off') {
+            return null;
         }
+        const bpm = parseFloat(beatBpm.value);
+        const syllables = parseFloat(syllablesPerBeat.value);
+        return {
+            mode: beatMode.value,
+            bpm: bpm > 0 ? bpm : null,
+            syllablesPerBeat: syllables > 0 ? syllables : DEFAULT_SYLLABLES_PER_BEAT
+        };
+    }
+    
+    // 渲染当前的分析结果
+    function renderAnalysis() {
+        if (!currentAnalysis) {
+            return;
+        }
+        
+        // 生成可视化结果
+        const visualizationHtml = generateRhymeReport(currentAnalysis, {
+            showTonePattern: showTonePattern.checked,
+            checkEvenLines: checkEvenLines.checked
+        });
+        visualizationElement.classList.toggle('is-analyzing', analysisClient.isPending());
+        visualizationElement.innerHTML = visualizationHtml;
+        mirroredCharElement = null;
+        applyRhymeFocus();
+        updateExportButtons();
+        
+        // 同步高度
+        syncTextAreaHeights();
     }
     
     // 初始化调用一次，确保页面加载时高度正确
     syncTextAreaHeights();
     
+    // 恢复上次打开的草稿
+    initDrafts();
+    
     // 监听窗口大小变化，调整高度
     window.addEventListener('resize', syncTextAreaHeights);
     
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// 韵脚检查命令行工具
+// 从文件或标准输入读取歌词，输出带颜色的押韵标注或JSON
+// 用法：node cli/rhymeCheck.js [选项] [文件...]
+
+const fs = require('fs');
+const path = require('path');
+
+// 可选的读音系统和韵书，与components/pronunciationSystems.js中的PRONUNCIATION_SYSTEMS一致
+const LANGUAGES = ['mandarin', 'xinyun', 'pingshui', 'cantonese'];
+
+// 预设的分句方式，与components/phraseSegmenter.js中的PHRASE_SEPARATOR_PRESETS一致
+const PHRASE_SPLITS = ['line', 'punctuation', 'space', 'all'];
+
+// 节拍排布方式，参见components/beatLayout.js
+const BEAT_MODES = ['off', 'markup', 'auto'];
+
+const USAGE = `用法: node cli/rhymeCheck.js [选项] [文件...]
+
+读取 .txt/.lrc 歌词文件进行押韵分析；未指定文件或文件为 - 时从标准输入读取。
+
+选项:
+  --language <id>             读音系统或韵书: mandarin（普通话）、xinyun（中华新韵）、
+                              pingshui（平水韵）、cantonese（粤语）（默认 mandarin）
+  --split <mode>              分句方式: line（仅换行）、punctuation（换行和标点）、
+                              space（换行和空格）、all（换行、标点和空格）（默认 line）
+  --separators <字符>         自定义作为句尾的分隔符，每个字符都是一个分隔符（如 "、~"）
+  --beats <mode>              节拍排布: off（不排布）、markup（歌词中 | 分小节、/ 分拍）、
+                              auto（按每拍音节数自动排布）（默认 off）
+  --bpm <n>                   自动排布时的速度，LRC歌词按时间标签对齐小节
+  --syllables-per-beat <n>    自动排布时每拍的音节数（默认 2）
+  --beats-per-bar <n>         每小节的拍数（默认 4）
+  --beat-tolerance <n>        排布节拍后句间押韵的拍位容差（默认 0.5）
+  --inter-line-tolerance <n>  句间押韵间隔容差（默认 2）
+  --line-diff <n>             句间押韵行差容差（默认 1）
+  --internal-tolerance <n>    句内押韵间隔容差（默认 1）
+  --no-inter-line             不检测句间押韵
+  --no-internal               不检测句内押韵
+  --precision <level>         押韵精度: loose、normal、strict（默认 normal）
+  --tone <mode>               句尾声调要求: any、same、pingze（默认 any）
+  --similarity <n>            近韵相似度阈值，0 到 1（默认 1，即不检测近韵）
+  --overlap                   允许同一位置同时属于句尾、句间和句内押韵
+  --stats                     输出详细统计（连押字数、押韵类别、常用韵脚组、每行押韵密度）
+  --even-lines                检查偶句押韵，输出每段所押韵部和出韵的句子
+  --json                      输出JSON（包含统计数据）
+  --no-color                  不输出ANSI颜色
+  -h, --help                  显示帮助`;
+
+/**
+ * 读取选项的数值参数
+ * @param {Array<string>} args - 命令行参数
+ * @param {number} index - 选项所在位置
+ * @param {Function} parse - 数值解析函数
+ * @returns {number} 解析后的数值
+ * @throws {Error} 缺少参数或参数不是数字时抛出错误
+ */
+function readNumberArg(args, index, parse) {
+    const value = parse(args[index + 1]);
+    if (Number.isNaN(value)) {
+        throw new Error(`选项 ${args[index]} 需要一个数字参数`);
+    }
+    return value;
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 命令行参数（不含node和脚本路径）
+ * @returns {Object} { files, analyzeOptions, language, phraseSplit, phraseSeparators, beatLayout, json, stats, evenLines, color, help }
+ *   phraseSeparators为自定义分隔符，指定时优先于phraseSplit；beatLayout为节拍排布选项，mode为'off'时不排布
+ * @throws {Error} 参数无效时抛出错误
+ */
+function parseArgs(args) {
+    // 默认值与页面中滑块的默认值一致
+    const analyzeOptions = {
+        detectEndRhyme: true,
+        detectInterLineRhyme: true,
+        detectInternalRhyme: true,
+        interLineTolerance: 2,
+        interLineLineDiffTolerance: 1,
+        internalRhymeTolerance: 1,
+        rhymePrecision: 'normal',
+        endRhymeTone: 'any',
+        similarityThreshold: 1,
+        beatTolerance: 0.5,
+        allowOverlap: false
+    };
+    const parsed = {
+        files: [],
+        analyzeOptions,
+        language: 'mandarin',
+        phraseSplit: 'line',
+        phraseSeparators: null,
+        beatLayout: { mode: 'off', beatsPerBar: 4, syllablesPerBeat: 2, bpm: null },
+        json: false,
+        stats: false,
+        evenLines: false,
+        color: process.stdout.isTTY === true && !process.env.NO_COLOR,
+        help: false
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--language':
+                parsed.language = args[++i];
+                if (!LANGUAGES.includes(parsed.language)) {
+                    throw new Error(`选项 --language 只能是 ${LANGUAGES.join('、')}`);
+                }
+                break;
+            case '--split':
+                parsed.phraseSplit = args[++i];
+                if (!PHRASE_SPLITS.includes(parsed.phraseSplit)) {
+                    throw new Error(`选项 --split 只能是 ${PHRASE_SPLITS.join('、')}`);
+                }
+                break;
+            case '--separators':
+                parsed.phraseSeparators = args[++i];
+                if (!parsed.phraseSeparators) {
+                    throw new Error('选项 --separators 需要指定分隔符');
+                }
+                break;
+            case '--beats':
+                parsed.beatLayout.mode = args[++i];
+                if (!BEAT_MODES.includes(parsed.beatLayout.mode)) {
+                    throw new Error(`选项 --beats 只能是 ${BEAT_MODES.join('、')}`);
+                }
+                break;
+            case '--bpm':
+                parsed.beatLayout.bpm = readNumberArg(args, i++, parseFloat);
+                break;
+            case '--syllables-per-beat':
+                parsed.beatLayout.syllablesPerBeat = readNumberArg(args, i++, parseFloat);
+                break;
+            case '--beats-per-bar':
+                parsed.beatLayout.beatsPerBar = readNumberArg(args, i++, parseInt);
+                break;
+            case '--beat-tolerance':
+                analyzeOptions.beatTolerance = readNumberArg(args, i++, parseFloat);
+                break;
+            case '--inter-line-tolerance':
+                analyzeOptions.interLineTolerance = readNumberArg(args, i++, parseInt);
+                break;
+            case '--line-diff':
+                analyzeOptions.interLineLineDiffTolerance = readNumberArg(args, i++, parseInt);
+                break;
+            case '--internal-tolerance':
+                analyzeOptions.internalRhymeTolerance = readNumberArg(args, i++, parseInt);
+                break;
+            case '--no-inter-line':
+                analyzeOptions.detectInterLineRhyme = false;
+                break;
+            case '--no-internal':
+                analyzeOptions.detectInternalRhyme = false;
+                break;
+            case '--precision':
+                analyzeOptions.rhymePrecision = args[++i];
+                break;
+            case '--tone':
+                analyzeOptions.endRhymeTone = args[++i];
+                break;
+            case '--similarity':
+                analyzeOptions.similarityThreshold = readNumberArg(args, i++, parseFloat);
+                break;
+            case '--overlap':
+                analyzeOptions.allowOverlap = true;
+                break;
+            case '--stats':
+                parsed.stats = true;
+                break;
+            case '--even-lines':
+                parsed.evenLines = true;
+                break;
+            case '--json':
+                parsed.json = true;
+                break;
+            case '--color':
+                parsed.color = true;
+                break;
+            case '--no-color':
+                parsed.color = false;
+                break;
+            case '-h':
+            case '--help':
+                parsed.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`未知选项: ${arg}`);
+                }
+                parsed.files.push(arg);
+        }
+    }
+    
+    if (parsed.files.length === 0) {
+        parsed.files.push('-');
+    }
+    return parsed;
+}
+
+/**
+ * 读取输入文本
+ * @param {string} file - 文件路径，-表示标准输入
+ * @returns {string} 文本内容
+ */
+function readInput(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+    
+    if (parsed.help) {
+        console.log(USAGE);
+        return;
+    }
+    
+    // 从磁盘加载拼音库和韵脚映射表，不依赖浏览器环境
+    const {
+        setPinyinLibrary,
+        setJyutpingLibrary,
+        setPronunciationSystem,
+        getPronunciationSystem,
+        setRhymeMappings,
+        setEnglishRhymes,
+        convertTextToRhymeGroups
+    } = await import('../components/rhymeConverter.js');
+    const { analyzeRhymePatterns } = await import('../components/rhymeAnalyzer.js');
+    const { renderRhymeAnalysisAnsi } = await import('../components/rhymeTerminalRenderer.js');
+    const { computeRhymeStats } = await import('../components/rhymeStats.js');
+    const { checkEvenLineRhymes } = await import('../components/evenLineRhyme.js');
+    const { PHRASE_SEPARATOR_PRESETS } = await import('../components/phraseSegmenter.js');
+    if (parsed.language === 'cantonese') {
+        setJyutpingLibrary(require('../libs/toJyutping.js'));
+    } else {
+        setPinyinLibrary(require('../libs/pinyinPro.js'));
+    }
+    setPronunciationSystem(parsed.language);
+    const mappingsPath = path.join(__dirname, '..', getPronunciationSystem().mappingsPath);
+    setRhymeMappings(JSON.parse(fs.readFileSync(mappingsPath, 'utf8')));
+    setEnglishRhymes(JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/english-rhymes.json'), 'utf8')));
+    
+    const phraseSeparators = parsed.phraseSeparators || PHRASE_SEPARATOR_PRESETS[parsed.phraseSplit];
+    const beatLayout = parsed.beatLayout.mode === 'off' ? null : parsed.beatLayout;
+    
+    const outputs = [];
+    for (const file of parsed.files) {
+        const text = readInput(file);
+        const rhymeGroups = convertTextToRhymeGroups(text, { phraseSeparators, beatLayout });
+        const { incrementalState, ...analysis } = analyzeRhymePatterns(rhymeGroups, parsed.analyzeOptions);
+        
+        if (parsed.json) {
+            const output = { file: file === '-' ? '<stdin>' : file, ...analysis, stats: computeRhymeStats(analysis) };
+            if (parsed.evenLines) {
+                output.evenLineRhyme = checkEvenLineRhymes(rhymeGroups);
+            }
+            outputs.push(output);
+        } else {
+            if (parsed.files.length > 1) {
+                console.log(`== ${file === '-' ? '<stdin>' : file} ==`);
+            }
+            console.log(renderRhymeAnalysisAnsi(analysis, {
+                color: parsed.color,
+                showStats: parsed.stats,
+                checkEvenLines: parsed.evenLines
+            }));
+        }
+    }
+    
+    if (parsed.json) {
+        console.log(JSON.stringify(parsed.files.length === 1 ? outputs[0] : outputs, null, 2));
+    }
+}
+
+main().catch(error => {
+    console.error(`韵脚检查失败: ${error.message}`);
+    process.exit(1);
+});
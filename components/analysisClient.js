@@ -0,0 +1,93 @@
+/**
+ * 押韵分析客户端模块
+ * 负责与分析Worker通信，为每个请求编号并丢弃过期的结果
+ */
+
+/**
+ * 创建押韵分析客户端
+ * @param {Object} handlers - 回调函数
+ * @param {Function} handlers.onResult - 最新请求分析完成时调用，参数为分析结果
+ * @param {Function} handlers.onError - 最新请求分析失败时调用，参数为Error
+ * @param {Function} [handlers.onInitError] - Worker初始化失败时调用，参数为Error
+ * @returns {Object} 客户端，包含analyze、setMappings、setLanguage、cancel和isPending方法
+ */
+export function createAnalysisClient(handlers) {
+    const { onResult, onError, onInitError = () => {} } = handlers;
+    const worker = new Worker(new URL('../workers/analysisWorker.js', import.meta.url), { type: 'module' });
+    
+    let latestRequestId = 0;
+    let pendingRequestId = null;
+    
+    worker.addEventListener('message', event => {
+        const message = event.data;
+        
+        if (message.type === 'init-error') {
+            onInitError(new Error(message.message));
+            return;
+        }
+        
+        // 只处理最新请求的结果，过期请求的结果直接丢弃
+        if (message.requestId !== latestRequestId || pendingRequestId === null) {
+            return;
+        }
+        pendingRequestId = null;
+        
+        if (message.type === 'result') {
+            onResult(message.analysis);
+        } else if (message.type === 'error') {
+            onError(new Error(message.message));
+        }
+    });
+    
+    worker.addEventListener('error', event => {
+        onInitError(new Error(event.message || '分析Worker加载失败'));
+    });
+    
+    return {
+        /**
+         * 发送分析请求，之前未完成的请求将被视为过期
+         * @param {string} text - 要分析的文本
+         * @param {Object} convertOptions - convertTextToRhymeGroups的选项
+         * @param {Object} analyzeOptions - analyzeRhymePatterns的选项
+         */
+        analyze(text, convertOptions, analyzeOptions) {
+            latestRequestId++;
+            pendingRequestId = latestRequestId;
+            worker.postMessage({ type: 'analyze', requestId: latestRequestId, text, convertOptions, analyzeOptions });
+        },
+        
+        /**
+         * 改用自定义的韵脚映射表，之后发送的请求按新映射表分析
+         * @param {Object} mappings - 韵脚映射表（来自generateRhymeMappings）
+         */
+        setMappings(mappings) {
+            worker.postMessage({ type: 'set-mappings', mappings });
+        },
+        
+        /**
+         * 切换读音系统并使用其默认映射表，之后发送的请求按新读音系统分析
+         * @param {string} language - 读音系统ID：'mandarin'普通话、'xinyun'中华新韵、'pingshui'平水韵、'cantonese'粤语
+         */
+        setLanguage(language) {
+            worker.postMessage({ type: 'set-language', language });
+        },
+        
+        /**
+         * 取消所有尚未完成的请求
+         */
+        cancel() {
+            if (pendingRequestId !== null) {
+                worker.postMessage({ type: 'cancel', requestId: pendingRequestId });
+                pendingRequestId = null;
+            }
+        },
+        
+        /**
+         * 是否有尚未完成的请求
+         * @returns {boolean}
+         */
+        isPending() {
+            return pendingRequestId !== null;
+        }
+    };
+}
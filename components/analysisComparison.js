@@ -0,0 +1,88 @@
+/**
+ * 分析结果对比模块
+ * 比较同一首歌词两个版本的押韵分析结果，找出改写后新增和失去的押韵，以及押韵字词比例的变化
+ * 押韵按类别、押韵字和所在行的文本（而非行号）识别，插入或删除其他行不会使未改动的押韵被视为变化
+ */
+
+import { computeRhymeStats } from './rhymeStats.js';
+
+/**
+ * 生成押韵结果的比较键：类别加上每处押韵所在行的文本、字符位置和押韵字，两处押韵的顺序不影响比较键
+ * @param {Object} analysis - 押韵结果所属的分析结果
+ * @param {Object} result - 押韵结果
+ * @returns {string} 比较键
+ */
+function getRhymeComparisonKey(analysis, result) {
+    const places = result.positions.map((pos, index) => {
+        const group = analysis.rhymeGroups[pos.line];
+        const chars = result.chars && result.chars[index] ? result.chars[index].join('') : '';
+        return `${group ? group.line : ''}@${pos.char}:${chars}`;
+    });
+    return `${result.category}|${places.sort().join('|')}`;
+}
+
+/**
+ * 按比较键对押韵结果分组
+ * @param {Object} analysis - 分析结果
+ * @returns {Map<string, Array<Object>>} 比较键到押韵结果列表的映射，重复的行（如副歌）可能产生相同的比较键
+ */
+function groupResultsByKey(analysis) {
+    const groups = new Map();
+    analysis.analysisResults.forEach(result => {
+        const key = getRhymeComparisonKey(analysis, result);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(result);
+    });
+    return groups;
+}
+
+/**
+ * 比较两个版本的押韵分析结果
+ * @param {Object} before - 改写前的分析结果
+ * @param {Object} after - 改写后的分析结果
+ * @returns {Object} { gained, lost, keptCount, before, after, ratioChange, rhymeCountChange }
+ *   gained为改写后新增的押韵（来自after），lost为改写后失去的押韵（来自before），keptCount为两版都有的押韵数量；
+ *   before和after为各版本的{ rhymeRatio, totalRhymeCount }，rhymeRatio为百分比数值；
+ *   ratioChange为押韵字词比例的变化（百分点，保留一位小数），rhymeCountChange为押韵处数的变化
+ * @throws {Error} 分析结果无效时抛出错误
+ *
+ * @example
+ * compareAnalyses(oldAnalysis, newAnalysis);
+ * // { gained: [...], lost: [...], keptCount: 12, before: { rhymeRatio: 35.2, totalRhymeCount: 14 },
+ * //   after: { rhymeRatio: 41.0, totalRhymeCount: 17 }, ratioChange: 5.8, rhymeCountChange: 3 }
+ */
+export function compareAnalyses(before, after) {
+    const beforeStats = computeRhymeStats(before);
+    const afterStats = computeRhymeStats(after);
+
+    const beforeGroups = groupResultsByKey(before);
+    const afterGroups = groupResultsByKey(after);
+
+    // 相同比较键的押韵按数量抵消，多出的部分即为新增或失去的押韵
+    const gained = [];
+    const lost = [];
+    let keptCount = 0;
+    afterGroups.forEach((results, key) => {
+        const beforeCount = (beforeGroups.get(key) || []).length;
+        keptCount += Math.min(beforeCount, results.length);
+        gained.push(...results.slice(beforeCount));
+    });
+    beforeGroups.forEach((results, key) => {
+        const afterCount = (afterGroups.get(key) || []).length;
+        lost.push(...results.slice(afterCount));
+    });
+
+    const beforeRatio = parseFloat(beforeStats.rhymeRatio);
+    const afterRatio = parseFloat(afterStats.rhymeRatio);
+    return {
+        gained,
+        lost,
+        keptCount,
+        before: { rhymeRatio: beforeRatio, totalRhymeCount: before.analysisResults.length },
+        after: { rhymeRatio: afterRatio, totalRhymeCount: after.analysisResults.length },
+        ratioChange: Math.round((afterRatio - beforeRatio) * 10) / 10,
+        rhymeCountChange: after.analysisResults.length - before.analysisResults.length
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * 节拍排布模块
+ * 为每个字标出所在的小节和小节内的拍位，使押韵分析能按节拍（而非字数）比较押韵位置，可视化时按小节网格对齐
+ * 节拍有两种来源：
+ *   - 标记：歌词中用"|"分隔小节、"/"分隔拍（如"我的flow很/稳|跟着节/奏走"），标记在转换时去除
+ *   - 自动：按每拍的音节数逐字排布，设置BPM且歌词带LRC时间标签时，每行从时间标签对应的拍位开始
+ */
+
+import { countEnglishSyllables } from './englishRhymes.js';
+
+// 小节线和拍线标记
+export const BAR_MARK = '|';
+export const BEAT_MARK = '/';
+
+// 默认每小节的拍数（4/4拍）
+export const DEFAULT_BEATS_PER_BAR = 4;
+
+// 自动排布时默认每拍的音节数
+export const DEFAULT_SYLLABLES_PER_BEAT = 2;
+
+/**
+ * 去除一行中的节拍标记，记录每个标记在去除后文本中的位置，使标记不影响读音转换（如"节/奏"仍按词语判断读音）
+ * @param {string} line - 已去除首尾空白的单行文本
+ * @returns {Object} { text, marks }，text为去除标记和首尾空白后的文本，
+ *   marks为按位置排序的标记数组，每项为{ offset, mark }，offset为标记之后第一个字符在text中的下标（UTF-16）
+ *
+ * @example
+ * extractBeatMarks('我的/flow|很稳');
+ * // { text: '我的flow很稳', marks: [{ offset: 2, mark: '/' }, { offset: 6, mark: '|' }] }
+ */
+export function extractBeatMarks(line) {
+    let text = '';
+    const marks = [];
+    for (const char of line) {
+        if (char === BAR_MARK || char === BEAT_MARK) {
+            marks.push({ offset: text.length, mark: char });
+        } else {
+            text += char;
+        }
+    }
+
+    // 标记两侧的空白在去除标记后可能留在行首
+    const leading = text.length - text.trimStart().length;
+    return {
+        text: text.trim(),
+        marks: marks.map(({ offset, mark }) => ({ offset: Math.max(0, offset - leading), mark }))
+    };
+}
+
+/**
+ * 将节拍标记写入短句的字符信息：每个标记落在其后第一个非标点字符上（beatMark），
+ * 同一字符前有多个标记时小节线优先；短句末尾的标记留给下一个短句
+ * @param {Array<Object>} charInfos - 短句的字符信息
+ * @param {number} startOffset - 短句在去除标记后的行文本中的起始下标
+ * @param {Array<Object>} pendingMarks - 尚未写入的标记（来自extractBeatMarks），写入后从数组中移除
+ */
+export function assignBeatMarks(charInfos, startOffset, pendingMarks) {
+    let offset = startOffset;
+    charInfos.forEach(charInfo => {
+        if (!charInfo.isPunctuation) {
+            while (pendingMarks.length > 0 && pendingMarks[0].offset <= offset) {
+                const { mark } = pendingMarks.shift();
+                charInfo.beatMark = charInfo.beatMark === BAR_MARK ? BAR_MARK : mark;
+            }
+        }
+        offset += charInfo.char.length;
+    });
+}
+
+/**
+ * 将拍位保留三位小数，避免浮点误差影响比较
+ * @param {number} beat - 拍位
+ * @returns {number} 舍入后的拍位
+ */
+function roundBeat(beat) {
+    return Math.round(beat * 1000) / 1000;
+}
+
+/**
+ * 按原文行收集参与排布的字符，拆分出的短句与所在行合并，标点不占拍位
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @returns {Array<Object>} 原文行数组，每项为{ time, charInfos }
+ */
+function collectSourceLines(rhymeGroups) {
+    const sourceLines = [];
+    rhymeGroups.forEach(group => {
+        if (!group.phrase || sourceLines.length === 0) {
+            sourceLines.push({ time: group.time, charInfos: [] });
+        }
+        sourceLines[sourceLines.length - 1].charInfos.push(...group.charInfos.filter(charInfo => !charInfo.isPunctuation));
+    });
+    return sourceLines;
+}
+
+/**
+ * 按节拍标记排布一行：每行从新的小节开始，"|"开始新的小节，"/"开始新的拍，
+ * 同一拍内的字平均分配拍位；小节内没有拍线时，该小节的字平均分布在整个小节中
+ * @param {Array<Object>} charInfos - 该行参与排布的字符，beatMark为字前的标记
+ * @param {number} firstBar - 该行第一个小节的序号
+ * @param {number} beatsPerBar - 每小节的拍数
+ * @returns {number} 该行最后一个小节的序号
+ */
+function layoutMarkedLine(charInfos, firstBar, beatsPerBar) {
+    // 按标记分为小节，每个小节再分为拍
+    const bars = [[[]]];
+    charInfos.forEach((charInfo, index) => {
+        if (index > 0 && charInfo.beatMark === BAR_MARK) {
+            bars.push([[]]);
+        } else if (index > 0 && charInfo.beatMark === BEAT_MARK) {
+            bars[bars.length - 1].push([]);
+        }
+        const beats = bars[bars.length - 1];
+        beats[beats.length - 1].push(charInfo);
+    });
+
+    bars.forEach((beats, barOffset) => {
+        const beatLength = beats.length === 1 ? beatsPerBar : 1;
+        beats.forEach((beatChars, beatIndex) => {
+            beatChars.forEach((charInfo, charIndex) => {
+                charInfo.bar = firstBar + barOffset;
+                charInfo.beat = roundBeat(beatIndex * beatLength + charIndex * beatLength / beatChars.length);
+            });
+        });
+    });
+    return firstBar + bars.length - 1;
+}
+
+/**
+ * 按每拍的音节数自动排布一行，英文单词按音节数占位，拍位取最后一个音节（押韵所在）
+ * @param {Array<Object>} charInfos - 该行参与排布的字符
+ * @param {number} startBeat - 该行第一个音节从歌曲开头算起的拍数
+ * @param {number} syllablesPerBeat - 每拍的音节数
+ * @param {number} beatsPerBar - 每小节的拍数
+ * @returns {number} 该行最后一个音节的小节序号
+ */
+function layoutAutoLine(charInfos, startBeat, syllablesPerBeat, beatsPerBar) {
+    let syllableIndex = 0;
+    let lastBar = Math.floor(startBeat / beatsPerBar);
+    charInfos.forEach(charInfo => {
+        syllableIndex += charInfo.isEnglish ? countEnglishSyllables(charInfo.char) : 1;
+        const absoluteBeat = roundBeat(startBeat + (syllableIndex - 1) / syllablesPerBeat);
+        charInfo.bar = Math.floor(absoluteBeat / beatsPerBar);
+        charInfo.beat = roundBeat(absoluteBeat - charInfo.bar * beatsPerBar);
+        lastBar = charInfo.bar;
+    });
+    return lastBar;
+}
+
+/**
+ * 为韵脚组序列中的每个字标出小节和拍位（直接写入字符信息），标点不占拍位
+ * 排布后每个参与排布的字符另有bar（从0开始的小节序号，全曲连续编号）和beat（小节内的拍位，从0开始，可为小数），
+ * 每行另有beatsPerBar
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列（来自convertTextToRhymeGroups）
+ * @param {Object} options - 排布选项
+ * @param {string} options.mode - 'markup'按歌词中的节拍标记排布（标记由assignBeatMarks写入），'auto'按音节数自动排布
+ * @param {number} [options.beatsPerBar=4] - 每小节的拍数
+ * @param {number} [options.syllablesPerBeat=2] - 自动排布时每拍的音节数
+ * @param {number} [options.bpm] - 自动排布时的速度，设置后带时间标签的行从时间标签对应的拍位开始
+ * @returns {Array<Object>} 排布后的韵脚组序列（即传入的rhymeGroups）
+ * @throws {Error} 选项无效时抛出错误
+ *
+ * @example
+ * // 歌词"我的flow很/稳|跟着节/奏走"按标记排布后：
+ * // 我 bar 0 beat 0，的 beat 0.333，flow beat 0.667，很 beat 0.667……稳 beat 1，跟 bar 1 beat 0
+ */
+export function applyBeatLayout(rhymeGroups, options) {
+    const {
+        mode,
+        beatsPerBar = DEFAULT_BEATS_PER_BAR,
+        syllablesPerBeat = DEFAULT_SYLLABLES_PER_BEAT,
+        bpm = null
+    } = options;
+
+    if (mode !== 'markup' && mode !== 'auto') {
+        throw new Error(`未知的节拍排布方式: ${mode}`);
+    }
+    if (!(beatsPerBar >= 1)) {
+        throw new Error(`每小节拍数必须不小于1: ${beatsPerBar}`);
+    }
+    if (!(syllablesPerBeat > 0)) {
+        throw new Error(`每拍音节数必须大于0: ${syllablesPerBeat}`);
+    }
+    if (bpm !== null && !(bpm > 0)) {
+        throw new Error(`BPM必须大于0: ${bpm}`);
+    }
+
+    let lastBar = -1;
+    collectSourceLines(rhymeGroups).forEach(({ time, charInfos }) => {
+        if (charInfos.length === 0) {
+            return;
+        }
+        if (mode === 'markup') {
+            lastBar = layoutMarkedLine(charInfos, lastBar + 1, beatsPerBar);
+        } else {
+            // 有时间标签时按BPM换算拍位，否则从下一个小节开始
+            const startBeat = bpm && typeof time === 'number' ? time * bpm / 60 : (lastBar + 1) * beatsPerBar;
+            lastBar = layoutAutoLine(charInfos, startBeat, syllablesPerBeat, beatsPerBar);
+        }
+    });
+
+    rhymeGroups.forEach(group => {
+        group.beatsPerBar = beatsPerBar;
+    });
+    return rhymeGroups;
+}
+
+/**
+ * 判断韵脚组序列是否已排布节拍
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @returns {boolean} 是否有字符带有拍位
+ */
+export function hasBeatLayout(rhymeGroups) {
+    return rhymeGroups.some(group => group.charInfos.some(charInfo => typeof charInfo.beat === 'number'));
+}
@@ -0,0 +1,214 @@
+/**
+ * 草稿存储模块
+ * 在浏览器的IndexedDB中保存多份命名草稿（歌词文本和检测选项），以及每份草稿的历史快照（含当时的分析结果），
+ * 供刷新后恢复和比较改写前后的押韵变化
+ */
+
+// 数据库名称和版本
+const DATABASE_NAME = 'rhymeCheck';
+const DATABASE_VERSION = 1;
+
+// 对象仓库名称
+const DRAFT_STORE = 'drafts';
+const SNAPSHOT_STORE = 'snapshots';
+
+// 每份草稿最多保留的快照数量，超过时删除最早的快照
+export const MAX_SNAPSHOTS_PER_DRAFT = 50;
+
+/**
+ * 将IndexedDB请求包装为Promise
+ * @param {IDBRequest} request - IndexedDB请求
+ * @returns {Promise<*>} 请求结果
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 等待事务完成
+ * @param {IDBTransaction} transaction - 事务
+ * @returns {Promise<void>}
+ */
+function waitForTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('事务已中止'));
+    });
+}
+
+/**
+ * 打开数据库，首次打开时创建对象仓库
+ * @returns {Promise<IDBDatabase>} 数据库
+ */
+function openDatabase() {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+        const database = request.result;
+        database.createObjectStore(DRAFT_STORE, { keyPath: 'id', autoIncrement: true });
+        const snapshots = database.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+        snapshots.createIndex('draftId', 'draftId');
+    };
+    return promisifyRequest(request);
+}
+
+/**
+ * 打开草稿存储
+ * 草稿为{ id, name, text, settings, createdAt, updatedAt }，settings为页面上各检测选项的值；
+ * 快照为{ id, draftId, text, settings, analysis, isManual, createdAt }，analysis为保存时的分析结果（不含增量分析状态）
+ * @returns {Promise<Object>} 草稿存储，包含listDrafts、getDraft、createDraft、updateDraft、deleteDraft、
+ *   addSnapshot、listSnapshots和getSnapshot方法
+ * @throws {Error} 浏览器不支持IndexedDB或打开失败时抛出错误
+ */
+export async function openDraftStore() {
+    if (typeof indexedDB === 'undefined') {
+        throw new Error('浏览器不支持IndexedDB');
+    }
+    const database = await openDatabase();
+
+    /**
+     * 在事务中执行操作并等待事务完成
+     * @param {Array<string>} storeNames - 涉及的对象仓库
+     * @param {string} mode - 'readonly'或'readwrite'
+     * @param {Function} operation - 操作函数，参数为事务，返回值作为结果
+     * @returns {Promise<*>} 操作结果
+     */
+    async function runTransaction(storeNames, mode, operation) {
+        const transaction = database.transaction(storeNames, mode);
+        const done = waitForTransaction(transaction);
+        const result = await operation(transaction);
+        await done;
+        return result;
+    }
+
+    /**
+     * 删除草稿超出数量上限的最早快照
+     * @param {IDBObjectStore} snapshots - 快照仓库
+     * @param {number} draftId - 草稿ID
+     * @returns {Promise<void>}
+     */
+    async function pruneSnapshots(snapshots, draftId) {
+        const keys = await promisifyRequest(snapshots.index('draftId').getAllKeys(draftId));
+        // 快照ID自增，ID越小越早
+        keys.sort((a, b) => a - b).slice(0, Math.max(0, keys.length - MAX_SNAPSHOTS_PER_DRAFT)).forEach(key => {
+            snapshots.delete(key);
+        });
+    }
+
+    return {
+        /**
+         * 列出所有草稿，最近修改的在前
+         * @returns {Promise<Array<Object>>} 草稿数组
+         */
+        async listDrafts() {
+            const drafts = await runTransaction([DRAFT_STORE], 'readonly',
+                transaction => promisifyRequest(transaction.objectStore(DRAFT_STORE).getAll()));
+            return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+        },
+
+        /**
+         * 获取草稿
+         * @param {number} id - 草稿ID
+         * @returns {Promise<Object|null>} 草稿，不存在时为null
+         */
+        async getDraft(id) {
+            const draft = await runTransaction([DRAFT_STORE], 'readonly',
+                transaction => promisifyRequest(transaction.objectStore(DRAFT_STORE).get(id)));
+            return draft || null;
+        },
+
+        /**
+         * 新建草稿
+         * @param {string} name - 草稿名称
+         * @param {string} [text=''] - 歌词文本
+         * @param {Object} [settings={}] - 检测选项
+         * @returns {Promise<Object>} 新建的草稿（含ID）
+         */
+        async createDraft(name, text = '', settings = {}) {
+            const now = Date.now();
+            const draft = { name, text, settings, createdAt: now, updatedAt: now };
+            draft.id = await runTransaction([DRAFT_STORE], 'readwrite',
+                transaction => promisifyRequest(transaction.objectStore(DRAFT_STORE).add(draft)));
+            return draft;
+        },
+
+        /**
+         * 修改草稿的名称、文本或选项，并更新修改时间
+         * @param {number} id - 草稿ID
+         * @param {Object} changes - 要修改的字段（name、text、settings）
+         * @returns {Promise<Object>} 修改后的草稿
+         * @throws {Error} 草稿不存在时抛出错误
+         */
+        async updateDraft(id, changes) {
+            return runTransaction([DRAFT_STORE], 'readwrite', async transaction => {
+                const drafts = transaction.objectStore(DRAFT_STORE);
+                const draft = await promisifyRequest(drafts.get(id));
+                if (!draft) {
+                    throw new Error(`草稿不存在: ${id}`);
+                }
+                const updated = { ...draft, ...changes, id, updatedAt: Date.now() };
+                drafts.put(updated);
+                return updated;
+            });
+        },
+
+        /**
+         * 删除草稿及其所有快照
+         * @param {number} id - 草稿ID
+         * @returns {Promise<void>}
+         */
+        async deleteDraft(id) {
+            await runTransaction([DRAFT_STORE, SNAPSHOT_STORE], 'readwrite', async transaction => {
+                transaction.objectStore(DRAFT_STORE).delete(id);
+                const snapshots = transaction.objectStore(SNAPSHOT_STORE);
+                const keys = await promisifyRequest(snapshots.index('draftId').getAllKeys(id));
+                keys.forEach(key => snapshots.delete(key));
+            });
+        },
+
+        /**
+         * 为草稿保存一个快照，超过数量上限时删除最早的快照
+         * @param {number} draftId - 草稿ID
+         * @param {Object} snapshot - 快照内容
+         * @param {string} snapshot.text - 歌词文本
+         * @param {Object} snapshot.settings - 检测选项
+         * @param {Object} snapshot.analysis - 分析结果
+         * @param {boolean} [snapshot.isManual=false] - 是否为手动保存的快照
+         * @returns {Promise<Object>} 保存的快照（含ID）
+         */
+        async addSnapshot(draftId, { text, settings, analysis, isManual = false }) {
+            const snapshot = { draftId, text, settings, analysis, isManual, createdAt: Date.now() };
+            return runTransaction([SNAPSHOT_STORE], 'readwrite', async transaction => {
+                const snapshots = transaction.objectStore(SNAPSHOT_STORE);
+                snapshot.id = await promisifyRequest(snapshots.add(snapshot));
+                await pruneSnapshots(snapshots, draftId);
+                return snapshot;
+            });
+        },
+
+        /**
+         * 列出草稿的所有快照，最新的在前
+         * @param {number} draftId - 草稿ID
+         * @returns {Promise<Array<Object>>} 快照数组
+         */
+        async listSnapshots(draftId) {
+            const snapshots = await runTransaction([SNAPSHOT_STORE], 'readonly',
+                transaction => promisifyRequest(transaction.objectStore(SNAPSHOT_STORE).index('draftId').getAll(draftId)));
+            return snapshots.sort((a, b) => b.id - a.id);
+        },
+
+        /**
+         * 获取快照
+         * @param {number} id - 快照ID
+         * @returns {Promise<Object|null>} 快照，不存在时为null
+         */
+        async getSnapshot(id) {
+            const snapshot = await runTransaction([SNAPSHOT_STORE], 'readonly',
+                transaction => promisifyRequest(transaction.objectStore(SNAPSHOT_STORE).get(id)));
+            return snapshot || null;
+        }
+    };
+}
@@ -0,0 +1,168 @@
+/**
+ * 英文单词押韵模块
+ * 中文歌词中夹杂的英文单词（如"flow"）作为一个整体参与押韵：
+ * 押韵部分取自CMU发音词典的ARPAbet音标（参见utils/englishRhymeGenerator.js），词表中没有的单词按拼写规则推测，
+ * 再按最后一个元音和韵尾对应到普通话音节，使英文单词能与汉字押韵（如flow与"走""否"同属OU组）
+ */
+
+// 英文单词：字母开头，可包含撇号连接的缩约形式（如"don't"），弯撇号与直撇号等同
+export const ENGLISH_WORD_PATTERN = /^[A-Za-z]+(?:['’][A-Za-z]+)*/;
+
+// ARPAbet元音
+const VOWELS = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW']);
+
+// 英文元音按韵尾（无鼻音韵尾、-n/-m、-ng）对应的普通话代表音节，用于在映射表中查找韵脚组
+// 英文的塞音、擦音等辅音韵尾在普通话中没有对应，按无鼻音韵尾处理（如night与"来"押韵）
+const VOWEL_SYLLABLES = {
+    AA: ['a', 'an', 'ang'],
+    AE: ['a', 'an', 'ang'],
+    AH: ['e', 'en', 'eng'],
+    AO: ['o', 'an', 'ang'],
+    AW: ['ao', 'an', 'ang'],
+    AY: ['ai', 'an', 'ang'],
+    EH: ['ye', 'en', 'eng'],
+    ER: ['er', 'en', 'eng'],
+    EY: ['ei', 'en', 'eng'],
+    IH: ['yi', 'yin', 'ying'],
+    IY: ['yi', 'yin', 'ying'],
+    OW: ['ou', 'dong', 'dong'],
+    OY: ['o', 'dong', 'dong'],
+    UH: ['wu', 'wen', 'dong'],
+    UW: ['wu', 'wen', 'dong']
+};
+
+// 全大写缩写（如"DJ""MVP"）逐个字母读，押韵取最后一个字母的读音
+const LETTER_RHYMES = {
+    A: 'EY', B: 'IY', C: 'IY', D: 'IY', E: 'IY', F: 'EH F', G: 'IY', H: 'EY CH', I: 'AY',
+    J: 'EY', K: 'EY', L: 'EH L', M: 'EH M', N: 'EH N', O: 'OW', P: 'IY', Q: 'UW', R: 'AA R',
+    S: 'EH S', T: 'IY', U: 'UW', V: 'IY', W: 'UW', X: 'EH K S', Y: 'AY', Z: 'IY'
+};
+
+// 词表中没有的单词按词尾拼写推测押韵部分，按顺序取第一条匹配的规则
+const SPELLING_RULES = [
+    [/ight$/, 'AY T'],
+    [/ing$/, 'IH NG'],
+    [/[st]ion$/, 'AH N'],
+    [/(?:ay|ey)$/, 'EY'],
+    [/(?:ee|ie|y)$/, 'IY'],
+    [/oo$/, 'UW'],
+    [/(?:ow|o)$/, 'OW'],
+    [/(?:er|ur|ir)$/, 'ER'],
+    [/ar$/, 'AA R'],
+    [/a$/, 'AA'],
+    [/i$/, 'IY'],
+    [/u$/, 'UW']
+];
+
+// 其余单词取最后一组元音字母推测元音
+const VOWEL_LETTERS = { a: 'AE', e: 'EH', i: 'IH', o: 'AA', u: 'AH', y: 'IH' };
+
+// 清辅音，所有格"'s"在清辅音后读作S，其余读作Z
+const VOICELESS_PHONES = new Set(['P', 'T', 'K', 'F', 'TH']);
+
+/**
+ * 按拼写推测单词的押韵部分
+ * @param {string} word - 小写单词
+ * @returns {string} 押韵部分，没有元音字母时返回空字符串
+ */
+function guessRhymeTail(word) {
+    const rule = SPELLING_RULES.find(([pattern]) => pattern.test(word));
+    if (rule) {
+        return rule[1];
+    }
+    const match = word.match(/([aeiouy]+)([^aeiouy]*)$/);
+    if (!match) {
+        return '';
+    }
+    const vowel = VOWEL_LETTERS[match[1][match[1].length - 1]];
+    const coda = match[2].includes('ng') ? ' NG' : /[nm]/.test(match[2]) ? ' N' : '';
+    return vowel + coda;
+}
+
+/**
+ * 获取英文单词的押韵部分
+ * @param {string} word - 英文单词
+ * @param {Object} [englishRhymes={}] - 英文押韵词表，键为小写单词，值为押韵部分
+ * @returns {string} 押韵部分，为去掉重音数字的ARPAbet音标（如money为'AH N IY'），无法推测时返回空字符串
+ */
+export function getEnglishRhymeTail(word, englishRhymes = {}) {
+    const key = word.toLowerCase().replace(/’/g, "'");
+    if (englishRhymes[key]) {
+        return englishRhymes[key];
+    }
+    if (word.length > 1 && word === word.toUpperCase()) {
+        return LETTER_RHYMES[word[word.length - 1]];
+    }
+    if (key.endsWith("'s")) {
+        const stemTail = getEnglishRhymeTail(key.slice(0, -2), englishRhymes);
+        if (stemTail) {
+            return `${stemTail} ${VOICELESS_PHONES.has(stemTail.split(' ').pop()) ? 'S' : 'Z'}`;
+        }
+    }
+    return guessRhymeTail(key.replace(/'/g, ''));
+}
+
+/**
+ * 按拼写估算英文单词的音节数，用于按音节排布节拍
+ * 每组连续的元音字母算一个音节，词尾不发音的e（如"make"）不计，全大写缩写按字母数计
+ * @param {string} word - 英文单词
+ * @returns {number} 音节数，至少为1
+ *
+ * @example
+ * countEnglishSyllables('flow');   // 1
+ * countEnglishSyllables('money');  // 2
+ * countEnglishSyllables('DJ');     // 2
+ */
+export function countEnglishSyllables(word) {
+    if (word.length > 1 && word === word.toUpperCase()) {
+        return word.replace(/[^A-Z]/g, '').length;
+    }
+    const key = word.toLowerCase().replace(/['’]/g, '').replace(/([^aeiouy])e$/, '$1');
+    const vowelGroups = key.match(/[aeiouy]+/g);
+    return Math.max(1, vowelGroups ? vowelGroups.length : 0);
+}
+
+/**
+ * 获取押韵部分的最后一个元音及其韵尾类别
+ * @param {string} rhymeTail - 押韵部分，如'AH N IY'
+ * @returns {Object|null} { vowel, coda }，coda为0（无鼻音韵尾）、1（-n/-m）或2（-ng），没有元音时返回null
+ */
+function getFinalVowel(rhymeTail) {
+    const phones = rhymeTail.split(' ');
+    for (let i = phones.length - 1; i >= 0; i--) {
+        if (VOWELS.has(phones[i])) {
+            const codaPhones = phones.slice(i + 1);
+            const coda = codaPhones.includes('NG') ? 2 : codaPhones.some(phone => phone === 'N' || phone === 'M') ? 1 : 0;
+            return { vowel: phones[i], coda };
+        }
+    }
+    return null;
+}
+
+/**
+ * 获取押韵部分的英文韵类，供不以普通话音节为键的读音系统（粤语、平水韵）使用，使英文单词之间仍能押韵
+ * @param {string} rhymeTail - 押韵部分
+ * @returns {string} 最后一个元音加鼻音韵尾（如'OW'、'IY N'），没有元音时返回空字符串
+ */
+export function getEnglishRhymeClass(rhymeTail) {
+    const finalVowel = getFinalVowel(rhymeTail);
+    if (!finalVowel) {
+        return '';
+    }
+    return finalVowel.vowel + ['', ' N', ' NG'][finalVowel.coda];
+}
+
+/**
+ * 获取押韵部分对应的普通话代表音节
+ * @param {string} rhymeTail - 押韵部分
+ * @returns {string} 普通话音节（如flow的'OW'为'ou'），没有元音时返回空字符串
+ *
+ * @example
+ * getEnglishRhymeSyllable('OW');       // 'ou'
+ * getEnglishRhymeSyllable('AH N IY');  // 'yi'
+ * getEnglishRhymeSyllable('AY T');     // 'ai'
+ */
+export function getEnglishRhymeSyllable(rhymeTail) {
+    const finalVowel = getFinalVowel(rhymeTail);
+    return finalVowel ? VOWEL_SYLLABLES[finalVowel.vowel][finalVowel.coda] : '';
+}
@@ -0,0 +1,135 @@
+/**
+ * 偶句押韵检查模块
+ * 近体诗要求偶数句的句尾押同一韵部（首句可押可不押），本模块按段落找出各段所押的韵部，并标出出韵的偶数句
+ * 配合平水韵、中华新韵等韵书使用时韵部即韵书的韵部，其他读音系统下为常规韵脚组
+ */
+
+// 分隔诗句的标点和空白，一行中可以包含多句（如"白日依山尽，黄河入海流。"）
+const SENTENCE_SEPARATOR_PATTERN = /[\s，。！？；：、,.!?;:]/;
+
+/**
+ * 将一行拆分为诗句，取每句最后一个汉字为韵脚字，英文单词不作韵脚字
+ * @param {Array<Object>} charInfos - 该行的字符信息
+ * @returns {Array<number>} 每句韵脚字的字符下标，不含汉字的句子不计
+ */
+function getSentenceEnds(charInfos) {
+    const ends = [];
+    let lastZhIndex = -1;
+    charInfos.forEach((charInfo, charIndex) => {
+        if (SENTENCE_SEPARATOR_PATTERN.test(charInfo.char)) {
+            if (lastZhIndex !== -1) {
+                ends.push(lastZhIndex);
+            }
+            lastZhIndex = -1;
+        } else if (charInfo.pinyin && !charInfo.isEnglish) {
+            lastZhIndex = charIndex;
+        }
+    });
+    if (lastZhIndex !== -1) {
+        ends.push(lastZhIndex);
+    }
+    return ends;
+}
+
+/**
+ * 获取韵脚字可押的所有韵部，多音字可能属于多个韵部
+ * @param {Object} charInfo - 韵脚字的字符信息
+ * @returns {Array<string>} 韵部列表，不在韵书中时为空数组
+ */
+function getCharRhymeGroups(charInfo) {
+    const groups = [charInfo.normalGroup].concat(charInfo.alternativeGroups || []);
+    return groups.filter(group => group && group !== '未知');
+}
+
+/**
+ * 选出一段所押的韵部：偶数句中出现最多的韵部，次数相同时取较早出现的
+ * @param {Array<Object>} evenSentences - 偶数句
+ * @returns {string|null} 韵部，偶数句的韵脚字都不在韵书中时为null
+ */
+function chooseStanzaRhymeGroup(evenSentences) {
+    const counts = new Map();
+    evenSentences.forEach(sentence => {
+        sentence.groups.forEach(group => {
+            counts.set(group, (counts.get(group) || 0) + 1);
+        });
+    });
+
+    let best = null;
+    counts.forEach((count, group) => {
+        if (best === null || count > counts.get(best)) {
+            best = group;
+        }
+    });
+    return best;
+}
+
+/**
+ * 检查每段偶数句是否押同一韵部
+ * 段落由空行分隔，每段的句子从1开始编号，一行中的多句分别编号
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列（来自convertTextToRhymeGroups）
+ * @returns {Object} { stanzas, outOfRhymeCount }
+ *   stanzas为段落数组，每项为{ index, startLine, endLine, rhymeGroup, sentences }，endLine不含，
+ *   rhymeGroup为该段所押的韵部，无法确定时为null；
+ *   sentences为偶数句和押韵的首句，每项为{ sentence, line, char, text, groups, status }，
+ *   sentence为段内句序（从1开始），line和char为韵脚字的位置，groups为韵脚字可押的韵部，
+ *   status为'rhymed'（押韵）、'first'（首句入韵）、'out'（出韵）或'unknown'（韵脚字不在韵书中）
+ *
+ * @example
+ * checkEvenLineRhymes(convertTextToRhymeGroups('白日依山尽，黄河入海流。\n欲穷千里目，更上一层楼。'));
+ * // 平水韵模式下：
+ * // {
+ * //   stanzas: [{ index: 0, startLine: 0, endLine: 2, rhymeGroup: '十一尤', sentences: [
+ * //     { sentence: 2, line: 0, char: 10, text: '流', groups: ['十一尤'], status: 'rhymed' },
+ * //     { sentence: 4, line: 1, char: 10, text: '楼', groups: ['十一尤'], status: 'rhymed' }
+ * //   ] }],
+ * //   outOfRhymeCount: 0
+ * // }
+ */
+export function checkEvenLineRhymes(rhymeGroups) {
+    const stanzas = [];
+    let stanza = null;
+
+    rhymeGroups.forEach((group, lineIndex) => {
+        const stanzaIndex = typeof group.stanza === 'number' ? group.stanza : 0;
+        if (!stanza || stanza.index !== stanzaIndex) {
+            stanza = { index: stanzaIndex, startLine: lineIndex, endLine: lineIndex, sentences: [] };
+            stanzas.push(stanza);
+        }
+        stanza.endLine = lineIndex + 1;
+
+        getSentenceEnds(group.charInfos).forEach(charIndex => {
+            const charInfo = group.charInfos[charIndex];
+            stanza.sentences.push({
+                sentence: stanza.sentences.length + 1,
+                line: lineIndex,
+                char: charIndex,
+                text: charInfo.char,
+                groups: getCharRhymeGroups(charInfo)
+            });
+        });
+    });
+
+    let outOfRhymeCount = 0;
+    const checkedStanzas = stanzas.map(({ index, startLine, endLine, sentences }) => {
+        const evenSentences = sentences.filter(sentence => sentence.sentence % 2 === 0);
+        const rhymeGroup = chooseStanzaRhymeGroup(evenSentences);
+        const checkedSentences = [];
+
+        sentences.forEach(sentence => {
+            const isRhymed = rhymeGroup !== null && sentence.groups.includes(rhymeGroup);
+            if (sentence.sentence % 2 === 0) {
+                const status = isRhymed ? 'rhymed' : sentence.groups.length === 0 ? 'unknown' : 'out';
+                if (status === 'out') {
+                    outOfRhymeCount++;
+                }
+                checkedSentences.push({ ...sentence, status });
+            } else if (sentence.sentence === 1 && isRhymed && evenSentences.length > 0) {
+                checkedSentences.push({ ...sentence, status: 'first' });
+            }
+        });
+
+        return { index, startLine, endLine, rhymeGroup, sentences: checkedSentences };
+    });
+
+    return { stanzas: checkedStanzas, outOfRhymeCount };
+}
@@ -0,0 +1,159 @@
+/**
+ * 歌词解析模块
+ * 负责解析LRC等带时间标签的歌词，分离时间标签、元数据和歌词文本
+ */
+
+// 行首时间标签，如[01:23.45]、[01:23:45]、[01:23]
+const LINE_TIME_TAG_PATTERN = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+
+// 逐字时间标签（增强型LRC），如<01:23.45>
+const WORD_TIME_TAG_PATTERN = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+// 元数据标签，如[ti:标题]、[ar:歌手]、[offset:+500]
+const METADATA_TAG_PATTERN = /^\[([a-zA-Z#]+):(.*)\]$/;
+
+/**
+ * 将时间标签的各部分转换为秒
+ * @param {string} minutes - 分钟
+ * @param {string} seconds - 秒
+ * @param {string} [fraction] - 秒的小数部分，位数决定精度
+ * @returns {number} 秒数
+ */
+function toSeconds(minutes, seconds, fraction) {
+    const fractionValue = fraction ? parseInt(fraction, 10) / Math.pow(10, fraction.length) : 0;
+    return parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + fractionValue;
+}
+
+/**
+ * 解析单行歌词，去除行首时间标签和逐字时间标签
+ * @param {string} line - 单行歌词
+ * @returns {Object} { text, times }，text为去除首尾空白后的歌词文本，times为行首时间标签对应的秒数
+ */
+export function parseLyricLine(line) {
+    let rest = line.trim();
+    const times = [];
+
+    // 同一行可以有多个时间标签，表示这句歌词重复出现
+    let match = rest.match(LINE_TIME_TAG_PATTERN);
+    while (match) {
+        times.push(toSeconds(match[1], match[2], match[3]));
+        rest = rest.slice(match[0].length).trimStart();
+        match = rest.match(LINE_TIME_TAG_PATTERN);
+    }
+
+    return {
+        text: rest.replace(WORD_TIME_TAG_PATTERN, '').trim(),
+        times
+    };
+}
+
+/**
+ * 查找单行歌词中时间标签所在的范围，即parseLyricLine去除的部分
+ * @param {string} line - 单行歌词（未去除空白）
+ * @returns {Array<Object>} 时间标签的范围[{ start, end }]，end不含，按位置排列
+ *
+ * @example
+ * getTimeTagRanges('[00:01.50]床前<00:02.00>明月光');
+ * // [{ start: 0, end: 10 }, { start: 12, end: 22 }]
+ */
+export function getTimeTagRanges(line) {
+    const ranges = [];
+    let start = line.length - line.trimStart().length;
+    let match = line.slice(start).match(LINE_TIME_TAG_PATTERN);
+    while (match) {
+        ranges.push({ start, end: start + match[0].length });
+        const rest = line.slice(start + match[0].length);
+        start += match[0].length + rest.length - rest.trimStart().length;
+        match = line.slice(start).match(LINE_TIME_TAG_PATTERN);
+    }
+    for (const wordMatch of line.slice(start).matchAll(WORD_TIME_TAG_PATTERN)) {
+        ranges.push({ start: start + wordMatch.index, end: start + wordMatch.index + wordMatch[0].length });
+    }
+    return ranges;
+}
+
+/**
+ * 解析歌词文本，支持LRC格式，也兼容不带时间标签的纯文本
+ * @param {string} text - 歌词文本
+ * @returns {Object} { metadata, lines }
+ *   metadata为元数据标签，键为标签名（小写），值为标签内容；
+ *   lines为非空歌词行数组，每项为{ text, time, stanza, source, sourceOffset }，time为该行第一个时间标签的秒数（已按offset修正），
+ *   没有时间标签时为null；stanza为段落序号，空行和只有时间标签的行（如间奏）分隔段落；
+ *   source为该行的原文（含时间标签），sourceOffset为原文在整个文本中的起始下标
+ *
+ * @example
+ * parseLyrics('[ti:静夜思]\n[00:01.50]床前明月光\n疑是地上霜');
+ * // {
+ * //   metadata: { ti: '静夜思' },
+ * //   lines: [{ text: '床前明月光', time: 1.5, stanza: 0, ... }, { text: '疑是地上霜', time: null, stanza: 0, ... }]
+ * // }
+ */
+export function parseLyrics(text) {
+    const metadata = {};
+    const lines = [];
+    let stanza = 0;
+    let isStanzaBreak = false;
+    let sourceOffset = 0;
+
+    text.split('\n').forEach(rawLine => {
+        const lineOffset = sourceOffset;
+        sourceOffset += rawLine.length + 1;
+        const trimmedLine = rawLine.trim();
+        if (trimmedLine === '') {
+            isStanzaBreak = true;
+            return;
+        }
+
+        const metadataMatch = trimmedLine.match(METADATA_TAG_PATTERN);
+        if (metadataMatch && !LINE_TIME_TAG_PATTERN.test(trimmedLine)) {
+            metadata[metadataMatch[1].toLowerCase()] = metadataMatch[2].trim();
+            return;
+        }
+
+        const { text: lineText, times } = parseLyricLine(trimmedLine);
+        // 只有时间标签的行（如间奏）不参与分析
+        if (lineText === '') {
+            isStanzaBreak = true;
+            return;
+        }
+
+        // 第一行之前的空行不分段
+        if (isStanzaBreak && lines.length > 0) {
+            stanza++;
+        }
+        isStanzaBreak = false;
+
+        lines.push({
+            text: lineText,
+            time: times.length > 0 ? Math.min(...times) : null,
+            stanza,
+            source: rawLine,
+            sourceOffset: lineOffset
+        });
+    });
+
+    // offset为毫秒，正值表示歌词整体提前
+    const offset = parseInt(metadata.offset, 10);
+    if (!Number.isNaN(offset) && offset !== 0) {
+        lines.forEach(line => {
+            if (line.time !== null) {
+                line.time = Math.max(0, line.time - offset / 1000);
+            }
+        });
+    }
+
+    return { metadata, lines };
+}
+
+/**
+ * 将秒数格式化为LRC时间，如83.45格式化为"01:23.45"
+ * @param {number} seconds - 秒数
+ * @returns {string} 格式化后的时间
+ */
+export function formatLyricTime(seconds) {
+    const totalHundredths = Math.round(seconds * 100);
+    const minutes = Math.floor(totalHundredths / 6000);
+    const secondsPart = Math.floor(totalHundredths / 100) % 60;
+    const hundredths = totalHundredths % 100;
+    return `${String(minutes).padStart(2, '0')}:${String(secondsPart).padStart(2, '0')}.${String(hundredths).padStart(2, '0')}`;
+}
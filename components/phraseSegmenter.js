@@ -0,0 +1,84 @@
+/**
+ * 分句模块
+ * 默认每行歌词为一句，可选择把逗号等标点、空格或自定义的分隔符也作为句尾，将一行拆分为多个短句分别分析，
+ * 使"我在等，你不来"中逗号前的"等"也能构成句尾押韵；分隔符保留在短句末尾用于显示，但不计入句子的字数
+ */
+
+// 标点、符号和空白，不参与押韵，也不计入句子的字数和位置
+export const PUNCTUATION_PATTERN = /^[\p{P}\p{S}\p{Z}\s]$/u;
+
+// 作为句尾的标点
+const PUNCTUATION_SEPARATORS = '，。！？；：,.!?;:…';
+
+// 作为句尾的空白（含全角空格）
+const SPACE_SEPARATORS = ' \t　';
+
+/**
+ * 预设的分句方式，值为作为句尾的字符（换行始终分句）
+ * 'line'仅换行，'punctuation'逗号、句号等标点，'space'空格，'all'标点和空格
+ */
+export const PHRASE_SEPARATOR_PRESETS = {
+    line: '',
+    punctuation: PUNCTUATION_SEPARATORS,
+    space: SPACE_SEPARATORS,
+    all: PUNCTUATION_SEPARATORS + SPACE_SEPARATORS
+};
+
+/**
+ * 将一行拆分为短句
+ * 连续的分隔符作为一个句尾，归入前一个短句；不含其他字符的部分（如行首的省略号）不单独成句
+ * @param {string} line - 已去除首尾空白的单行文本
+ * @param {string} [separators=''] - 作为句尾的字符，每个字符都是一个分隔符，为空时不拆分
+ * @returns {Array<string>} 短句数组，去除了首尾空白，分隔符（空白除外）保留在句末
+ *
+ * @example
+ * splitPhrases('我在等，你不来。', PHRASE_SEPARATOR_PRESETS.punctuation);  // ['我在等，', '你不来。']
+ * splitPhrases('我在等 你不来', PHRASE_SEPARATOR_PRESETS.space);           // ['我在等', '你不来']
+ */
+export function splitPhrases(line, separators = '') {
+    if (!separators) {
+        return [line];
+    }
+
+    const separatorSet = new Set(Array.from(separators));
+    const phrases = [];
+    let current = '';
+    let hasContent = false;
+    let isAtSeparator = false;
+
+    Array.from(line).forEach(char => {
+        if (separatorSet.has(char)) {
+            current += char;
+            isAtSeparator = hasContent;
+            return;
+        }
+        if (isAtSeparator) {
+            phrases.push(current.trim());
+            current = '';
+            hasContent = false;
+            isAtSeparator = false;
+        }
+        current += char;
+        hasContent = hasContent || !PUNCTUATION_PATTERN.test(char);
+    });
+
+    if (current.trim() !== '') {
+        phrases.push(current.trim());
+    } else if (phrases.length === 0) {
+        phrases.push(line);
+    }
+    return phrases;
+}
+
+/**
+ * 获取句子去除末尾标点后的字数，即句尾字符的位置加一，句尾押韵和倒数位置都以此为准
+ * @param {Array<Object>} charInfos - 句子的字符信息
+ * @returns {number} 最后一个非标点字符之后的位置，整句都是标点时为0
+ */
+export function getContentLength(charInfos) {
+    let length = charInfos.length;
+    while (length > 0 && charInfos[length - 1].isPunctuation) {
+        length--;
+    }
+    return length;
+}
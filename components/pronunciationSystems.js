@@ -0,0 +1,361 @@
+/**
+ * 读音系统模块
+ * 为韵脚转换器提供普通话（拼音）和粤语（粤拼）两种读音来源，以及基于普通话读音的中华新韵和平水韵两种韵书，
+ * 每种读音系统负责逐字标注读音和声调，并在对应的韵脚映射表中查找韵脚组
+ */
+
+// 粤拼声母，只有后面跟着元音时才作为声母去除，使m、ng等成音节鼻音保持原样
+const JYUTPING_INITIAL_PATTERN = /^(?:gw|kw|ng|[bpmfdtnlgkhwzcsj])(?=[aeiouy])/;
+
+// 粤拼入声韵尾
+const JYUTPING_CHECKED_CODA_PATTERN = /[ptk]$/;
+
+/**
+ * 获取普通话声调对应的平仄
+ * @param {number} tone - 声调（0-4）
+ * @returns {string} 一声、二声为'平'，三声、四声为'仄'，轻声返回空字符串
+ */
+export function getMandarinToneClass(tone) {
+    if (tone === 1 || tone === 2) {
+        return '平';
+    }
+    if (tone === 3 || tone === 4) {
+        return '仄';
+    }
+    return '';
+}
+
+/**
+ * 获取粤语声调对应的平仄
+ * @param {number} tone - 声调（1-6）
+ * @param {string} reading - 无声调粤拼，入声字（-p、-t、-k韵尾）一律为仄
+ * @returns {string} 阴平（1）、阳平（4）为'平'，其余为'仄'，无法识别时返回空字符串
+ */
+export function getCantoneseToneClass(tone, reading) {
+    if (tone < 1 || tone > 6) {
+        return '';
+    }
+    if (JYUTPING_CHECKED_CODA_PATTERN.test(reading)) {
+        return '仄';
+    }
+    return tone === 1 || tone === 4 ? '平' : '仄';
+}
+
+/**
+ * 去除粤拼的声母，得到韵母
+ * @param {string} reading - 无声调粤拼，如'gwong'
+ * @returns {string} 韵母，如'ong'；m、ng等成音节鼻音原样返回
+ */
+export function getJyutpingFinal(reading) {
+    return reading.replace(JYUTPING_INITIAL_PATTERN, '');
+}
+
+/**
+ * 拆分带声调数字的读音
+ * @param {string} tonedReading - 带声调数字的读音，如'hoi1'
+ * @returns {Object} { reading, tone }，没有声调数字时tone为0
+ */
+function splitToneNumber(tonedReading) {
+    const match = tonedReading.match(/^(.*?)(\d)?$/);
+    return { reading: match[1], tone: match[2] ? parseInt(match[2], 10) : 0 };
+}
+
+/**
+ * 普通话读音系统，使用pinyin-pro标注拼音，映射表以不带声调的完整音节为键
+ */
+export const mandarinSystem = {
+    id: 'mandarin',
+    label: '普通话',
+    mappingsPath: 'assets/rhyme-mappings.json',
+    groupsPath: 'assets/rhyme-groups.json',
+    // 英文单词按对应的普通话音节在映射表中查找韵脚组，参见englishRhymes.js
+    mapsEnglishWords: true,
+    library: null,
+
+    /**
+     * 获取pinyin-pro库，未设置时使用浏览器中通过script标签加载的全局pinyinPro
+     * @returns {Object} pinyin-pro库
+     * @throws {Error} 既未设置拼音库也没有全局pinyinPro时抛出错误
+     */
+    getLibrary() {
+        if (this.library) {
+            return this.library;
+        }
+        if (typeof globalThis.pinyinPro !== 'undefined') {
+            return globalThis.pinyinPro;
+        }
+        throw new Error('拼音库尚未加载，请先加载pinyinPro或调用setPinyinLibrary()');
+    },
+
+    /**
+     * 设置pinyin-pro库
+     * @param {Object} library - pinyin-pro库，需提供pinyin函数
+     */
+    setLibrary(library) {
+        if (!library || typeof library.pinyin !== 'function') {
+            throw new Error('拼音库必须提供pinyin函数');
+        }
+        this.library = library;
+    },
+
+    /**
+     * 结合词语上下文标注整行的读音
+     * @param {string} line - 单行文本
+     * @returns {Array<Object>} 逐项结果，每项为{ origin, isZh, reading, tone }，origin为原文（可能包含多个非汉字字符）
+     */
+    convertLine(line) {
+        const { pinyin } = this.getLibrary();
+        return pinyin(line, { toneType: 'none', type: 'all' }).map(item => ({
+            origin: item.origin,
+            isZh: item.isZh,
+            reading: item.isZh ? item.pinyin : '',
+            tone: item.isZh ? item.num : 0
+        }));
+    },
+
+    /**
+     * 获取单个汉字的所有无声调读音
+     * @param {string} char - 单个汉字
+     * @returns {Array<string>} 读音列表
+     */
+    getReadings(char) {
+        const { pinyin } = this.getLibrary();
+        return pinyin(char, { toneType: 'none', type: 'array', multiple: true })
+            .filter(reading => /^[a-zü]+$/.test(reading));
+    },
+
+    /**
+     * 获取单个汉字某个读音的声调
+     * @param {string} char - 单个汉字
+     * @param {string} reading - 无声调读音
+     * @returns {number} 声调（1-4），轻声或无法识别时返回0
+     */
+    getReadingTone(char, reading) {
+        const { pinyin } = this.getLibrary();
+        const tonedReadings = pinyin(char, { toneType: 'num', type: 'array', multiple: true });
+        const matched = tonedReadings.find(toned => toned.replace(/\d$/, '') === reading);
+        const tone = matched ? parseInt(matched.slice(-1)) : 0;
+        return Number.isNaN(tone) ? 0 : tone;
+    },
+
+    /**
+     * 获取读音在韵脚映射表中的键
+     * @param {string} reading - 无声调读音
+     * @returns {string} 映射表的键，普通话为完整音节
+     */
+    getRhymeKey(reading) {
+        return reading;
+    },
+
+    /**
+     * 在韵脚映射表中查找单个字的韵脚组
+     * @param {Object} mappings - 当前读音系统的韵脚映射表
+     * @param {string} reading - 无声调读音
+     * @param {string} char - 汉字
+     * @param {number} tone - 声调
+     * @returns {Object|null} { normalGroup, strictGroup }，韵书还可能包含toneClass和alternativeGroups，没有映射时返回null
+     */
+    lookupRhyme(mappings, reading) {
+        return mappings[this.getRhymeKey(reading)] || null;
+    },
+
+    /**
+     * 获取读音的平仄
+     * @param {number} tone - 声调
+     * @param {string} reading - 无声调读音
+     * @returns {string} '平'、'仄'，无法判断时返回空字符串
+     */
+    getToneClass(tone) {
+        return getMandarinToneClass(tone);
+    }
+};
+
+/**
+ * 粤语读音系统，使用to-jyutping标注粤拼，映射表以韵母为键
+ */
+export const cantoneseSystem = {
+    id: 'cantonese',
+    label: '粤语',
+    mappingsPath: 'assets/cantonese-rhyme-mappings.json',
+    groupsPath: 'assets/cantonese-rhyme-groups.json',
+    // 映射表以粤拼韵母为键，英文单词只与英文单词押韵
+    mapsEnglishWords: false,
+    library: null,
+
+    /**
+     * 获取to-jyutping库，未设置时使用通过script标签或模块导入加载的全局ToJyutping
+     * @returns {Object} to-jyutping库
+     * @throws {Error} 既未设置粤拼库也没有全局ToJyutping时抛出错误
+     */
+    getLibrary() {
+        if (this.library) {
+            return this.library;
+        }
+        if (typeof globalThis.ToJyutping !== 'undefined') {
+            return globalThis.ToJyutping;
+        }
+        throw new Error('粤拼库尚未加载，请先加载ToJyutping或调用setJyutpingLibrary()');
+    },
+
+    /**
+     * 设置to-jyutping库
+     * @param {Object} library - to-jyutping库，需提供getJyutpingList和getJyutpingCandidates函数
+     */
+    setLibrary(library) {
+        if (!library || typeof library.getJyutpingList !== 'function' ||
+            typeof library.getJyutpingCandidates !== 'function') {
+            throw new Error('粤拼库必须提供getJyutpingList和getJyutpingCandidates函数');
+        }
+        this.library = library;
+    },
+
+    /**
+     * 结合词语上下文标注整行的读音
+     * @param {string} line - 单行文本
+     * @returns {Array<Object>} 逐项结果，每项为{ origin, isZh, reading, tone }，reading为无声调粤拼，tone为声调（1-6）
+     */
+    convertLine(line) {
+        return this.getLibrary().getJyutpingList(line).map(([origin, jyutping]) => {
+            if (!jyutping) {
+                return { origin, isZh: false, reading: '', tone: 0 };
+            }
+            // 少数合字（如"瓩"）读作多个音节，押韵取最后一个音节
+            const { reading, tone } = splitToneNumber(jyutping.split(' ').pop());
+            return { origin, isZh: true, reading, tone };
+        });
+    },
+
+    /**
+     * 获取单个汉字的所有带声调粤拼候选读音
+     * @param {string} char - 单个汉字
+     * @returns {Array<string>} 候选读音，如['hoi1']；粤拼库没有返回单个字的结果时为空数组
+     */
+    getCandidates(char) {
+        const result = this.getLibrary().getJyutpingCandidates(char);
+        if (!Array.isArray(result) || result.length !== 1 || !Array.isArray(result[0]) || !Array.isArray(result[0][1])) {
+            return [];
+        }
+        return result[0][1];
+    },
+
+    /**
+     * 获取单个汉字的所有无声调读音
+     * @param {string} char - 单个汉字
+     * @returns {Array<string>} 读音列表，合字只取最后一个音节
+     */
+    getReadings(char) {
+        return [...new Set(this.getCandidates(char).map(jyutping => splitToneNumber(jyutping.split(' ').pop()).reading))];
+    },
+
+    /**
+     * 获取单个汉字某个读音的声调
+     * @param {string} char - 单个汉字
+     * @param {string} reading - 无声调粤拼
+     * @returns {number} 声调（1-6），没有该读音时返回0
+     */
+    getReadingTone(char, reading) {
+        const matched = this.getCandidates(char)
+            .map(jyutping => splitToneNumber(jyutping.split(' ').pop()))
+            .find(candidate => candidate.reading === reading);
+        return matched ? matched.tone : 0;
+    },
+
+    /**
+     * 获取读音在韵脚映射表中的键
+     * @param {string} reading - 无声调粤拼
+     * @returns {string} 映射表的键，粤语为去除声母后的韵母
+     */
+    getRhymeKey(reading) {
+        return getJyutpingFinal(reading);
+    },
+
+    /**
+     * 在韵脚映射表中查找单个字的韵脚组
+     * @param {Object} mappings - 粤语韵脚映射表
+     * @param {string} reading - 无声调粤拼
+     * @returns {Object|null} { normalGroup, strictGroup }，没有映射时返回null
+     */
+    lookupRhyme(mappings, reading) {
+        return mappings[this.getRhymeKey(reading)] || null;
+    },
+
+    /**
+     * 获取读音的平仄
+     * @param {number} tone - 声调
+     * @param {string} reading - 无声调粤拼，用于识别入声
+     * @returns {string} '平'、'仄'，无法判断时返回空字符串
+     */
+    getToneClass(tone, reading) {
+        return getCantoneseToneClass(tone, reading);
+    }
+};
+
+/**
+ * 中华新韵（十四韵），按普通话韵母分为十四个韵部，映射表与普通话一样以完整音节为键
+ */
+export const xinyunSystem = {
+    ...mandarinSystem,
+    id: 'xinyun',
+    label: '中华新韵',
+    mappingsPath: 'assets/xinyun-rhyme-mappings.json',
+    groupsPath: 'assets/xinyun-rhyme-groups.json',
+
+    // 与普通话共用同一个pinyin-pro库
+    getLibrary() {
+        return mandarinSystem.getLibrary();
+    },
+
+    setLibrary(library) {
+        mandarinSystem.setLibrary(library);
+    }
+};
+
+/**
+ * 平水韵（106韵），映射表以汉字为键，由utils/pingshuiRhymeGenerator.js根据《广韵》生成
+ * 每个汉字对应一个或多个读音，每项为[韵部, 广韵韵目, 声调（平、上、去、入）]，
+ * 有多个读音时附加普通话推导读音（如'kan1'），按结合上下文得到的普通话读音选择韵部
+ */
+export const pingshuiSystem = {
+    ...xinyunSystem,
+    id: 'pingshui',
+    label: '平水韵',
+    mappingsPath: 'assets/pingshui-rhyme-mappings.json',
+    groupsPath: null,
+    // 映射表以汉字为键，英文单词只与英文单词押韵
+    mapsEnglishWords: false,
+
+    getRhymeKey(reading) {
+        return reading;
+    },
+
+    lookupRhyme(mappings, reading, char, tone) {
+        const entries = mappings[char];
+        if (!entries) {
+            return null;
+        }
+
+        // 优先取推导读音与上下文读音（含声调）一致的读音，其次只比较无声调读音，都不一致时取《广韵》的第一个读音
+        const matched = entries.find(entry => entry[3] === `${reading}${tone}`) ||
+            entries.find(entry => entry[3] && entry[3].replace(/\d$/, '') === reading) ||
+            entries[0];
+        const [normalGroup, strictGroup, checkedTone] = matched;
+        const rhymeInfo = { normalGroup, strictGroup, toneClass: checkedTone === '平' ? '平' : '仄' };
+
+        // 多音字属于多个韵部时，记下其他韵部供出韵检查使用
+        const alternativeGroups = [...new Set(entries.map(entry => entry[0]))].filter(group => group !== normalGroup);
+        if (alternativeGroups.length > 0) {
+            rhymeInfo.alternativeGroups = alternativeGroups;
+        }
+        return rhymeInfo;
+    }
+};
+
+/**
+ * 所有读音系统，键为读音系统ID
+ */
+export const PRONUNCIATION_SYSTEMS = {
+    mandarin: mandarinSystem,
+    xinyun: xinyunSystem,
+    pingshui: pingshuiSystem,
+    cantonese: cantoneseSystem
+};
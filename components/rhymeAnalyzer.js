@@ -3,6 +3,198 @@
  * 负责识别和分类多种押韵方式，输出详细的押韵分析结果
  */
 
+import { getContentLength } from './phraseSegmenter.js';
+
+/**
+ * 宽韵合并表，参照十三辙将相近的常规韵脚组合并为同一韵辙
+ * 未出现在表中的韵脚组在宽韵下保持原样
+ */
+const LOOSE_GROUP_MAP = {
+    I: 'I', YI: 'I', YU: 'I',
+    O: 'O', E: 'O',
+    AN: 'AN', YAN: 'AN',
+    EN: 'EN', IN: 'EN', YUN: 'EN'
+};
+
+/**
+ * 押韵精度等级，数值越大要求越严格
+ * near为近韵，只在相似度阈值低于1时出现
+ */
+const PRECISION_LEVELS = {
+    near: 0,
+    loose: 1,
+    normal: 2,
+    strict: 3
+};
+
+/**
+ * 押韵精度等级的中文名称
+ */
+export const PRECISION_LABELS = {
+    near: '近韵',
+    loose: '宽韵',
+    normal: '常韵',
+    strict: '严韵'
+};
+
+/**
+ * 默认的常规韵脚组相似度矩阵（近韵）
+ * 查询时不区分先后顺序，未列出的韵脚组对相似度为0
+ */
+export const DEFAULT_SIMILARITY_MATRIX = {
+    EN: { IN: 0.8, YUN: 0.8, ONG: 0.6 },
+    IN: { YUN: 0.8, ONG: 0.5 },
+    AN: { YAN: 0.8, ANG: 0.7 },
+    YAN: { ANG: 0.6 },
+    ANG: { ONG: 0.6 },
+    I: { YI: 0.7, YU: 0.6 },
+    YI: { YU: 0.8, IE: 0.5 },
+    E: { O: 0.8, IE: 0.6, ER: 0.5 },
+    AI: { EI: 0.6 },
+    AO: { OU: 0.6 },
+    U: { OU: 0.5, YU: 0.5 }
+};
+
+/**
+ * 严韵下同一常规韵脚组但韵母不同的单字相似度
+ */
+const SAME_GROUP_DIFFERENT_FINAL_SCORE = 0.9;
+
+/**
+ * 参与匹配的序列默认最大字数，超过八押的连续押韵极少出现
+ */
+const DEFAULT_MAX_SEQUENCE_LENGTH = 8;
+
+/**
+ * 句尾押韵的声调要求
+ */
+const END_RHYME_TONE_MODES = ['any', 'same', 'pingze'];
+
+/**
+ * 获取韵脚组的宽韵分组
+ * @param {string} normalGroup - 常规韵脚组
+ * @returns {string} 宽韵分组
+ */
+export function getLooseGroup(normalGroup) {
+    return LOOSE_GROUP_MAP[normalGroup] || normalGroup;
+}
+
+/**
+ * 计算两个序列能够通过的最高押韵精度
+ * @param {Object} seq1 - 第一个序列
+ * @param {Object} seq2 - 第二个序列
+ * @returns {string|null} 'strict'、'normal'、'loose'，都不匹配时返回null
+ */
+function getMatchLevel(seq1, seq2) {
+    if (seq1.strictKey === seq2.strictKey) {
+        return 'strict';
+    }
+    if (seq1.sequenceKey === seq2.sequenceKey) {
+        return 'normal';
+    }
+    if (seq1.looseKey === seq2.looseKey) {
+        return 'loose';
+    }
+    return null;
+}
+
+/**
+ * 在相似度矩阵中查询两个常规韵脚组的相似度
+ * @param {Object} matrix - 相似度矩阵
+ * @param {string} group1 - 第一个韵脚组
+ * @param {string} group2 - 第二个韵脚组
+ * @returns {number} 相似度（0-1）
+ */
+function lookupGroupSimilarity(matrix, group1, group2) {
+    if (group1 === group2) {
+        return 1;
+    }
+    const forward = matrix[group1] && matrix[group1][group2];
+    const backward = matrix[group2] && matrix[group2][group1];
+    return forward || backward || 0;
+}
+
+/**
+ * 计算两个序列在指定精度下的相似度
+ * 逐字打分：在该精度下相同记1分，否则按相似度矩阵打分，最后取平均值
+ * @param {Object} seq1 - 第一个序列
+ * @param {Object} seq2 - 第二个序列
+ * @param {string} precision - 押韵精度
+ * @param {Object} matrix - 相似度矩阵
+ * @returns {number} 相似度（0-1），长度不同时为0
+ */
+function getSequenceSimilarity(seq1, seq2, precision, matrix) {
+    if (seq1.length !== seq2.length) {
+        return 0;
+    }
+    
+    let totalScore = 0;
+    for (let i = 0; i < seq1.length; i++) {
+        const group1 = seq1.sequence[i];
+        const group2 = seq2.sequence[i];
+        
+        if (precision === 'strict') {
+            if (seq1.strictSequence[i] === seq2.strictSequence[i]) {
+                totalScore += 1;
+            } else if (group1 === group2) {
+                totalScore += SAME_GROUP_DIFFERENT_FINAL_SCORE;
+            } else {
+                totalScore += lookupGroupSimilarity(matrix, group1, group2);
+            }
+        } else if (precision === 'loose' && getLooseGroup(group1) === getLooseGroup(group2)) {
+            totalScore += 1;
+        } else {
+            totalScore += lookupGroupSimilarity(matrix, group1, group2);
+        }
+    }
+    
+    return totalScore / seq1.length;
+}
+
+/**
+ * 比较两个序列，得到押韵精度和相似度
+ * @param {Object} seq1 - 第一个序列
+ * @param {Object} seq2 - 第二个序列
+ * @param {string} precision - 押韵精度
+ * @param {number} threshold - 相似度阈值，为1时只接受所选精度下完全相同的序列
+ * @param {Object} matrix - 相似度矩阵
+ * @returns {Object|null} { matchLevel, similarity }，未达到阈值时返回null
+ */
+function compareSequences(seq1, seq2, precision, threshold, matrix) {
+    const matchLevel = getMatchLevel(seq1, seq2);
+    if (matchLevel && PRECISION_LEVELS[matchLevel] >= PRECISION_LEVELS[precision]) {
+        return { matchLevel, similarity: 1 };
+    }
+    
+    if (threshold >= 1) {
+        return null;
+    }
+    
+    const similarity = getSequenceSimilarity(seq1, seq2, precision, matrix);
+    return similarity >= threshold ? { matchLevel: 'near', similarity } : null;
+}
+
+/**
+ * 检查两个序列的韵脚字（序列最后一个字）是否满足声调要求
+ * @param {Object} seq1 - 第一个序列
+ * @param {Object} seq2 - 第二个序列
+ * @param {string} mode - 'any'不限、'same'同声调、'pingze'同平仄（轻声不属于平仄）
+ * @returns {boolean} 是否满足声调要求
+ */
+function isToneMatched(seq1, seq2, mode) {
+    if (mode === 'any') {
+        return true;
+    }
+    
+    const last = seq1.length - 1;
+    if (mode === 'same') {
+        return seq1.tones[last] === seq2.tones[last];
+    }
+    
+    const toneClass = seq1.toneClasses[last];
+    return toneClass !== '' && toneClass === seq2.toneClasses[last];
+}
+
 /**
  * 生成韵脚组序列的字符串表示
  * @param {Array<string>} sequence - 韵脚组序列
@@ -15,77 +207,369 @@ function getSequenceKey(sequence) {
 /**
  * 提取所有可能的韵脚组序列
  * @param {Array<Object>} rhymeGroups - 韵脚组序列
- * @returns {Array<Object>} 所有可能的韵脚组序列信息
+ * @param {number} [maxSequenceLength=Infinity] - 序列的最大字数
+ * @param {Function} [shouldExtractLine] - 判断某行是否需要提取的函数，默认提取所有行
+ * @returns {Array<Object>} 所有可能的韵脚组序列信息，按优先级排序并带有order序号
  */
-function extractAllRhymeSequences(rhymeGroups) {
+function extractAllRhymeSequences(rhymeGroups, maxSequenceLength = Infinity, shouldExtractLine = () => true) {
     const allSequences = [];
     
     // 遍历每一行
     rhymeGroups.forEach((group, lineIndex) => {
+        if (!shouldExtractLine(lineIndex)) {
+            return;
+        }
+        
         const charInfos = group.charInfos;
         const maxLength = charInfos.length;
+        // 句尾为最后一个非标点字符，句末的标点不影响句尾押韵的判断
+        const contentLength = getContentLength(charInfos);
         
-        // 提取所有可能的序列（从1字到整行）
+        // 提取所有可能的序列（从1字到最大字数）
         for (let startIndex = 0; startIndex < maxLength; startIndex++) {
-            // 从startIndex开始，生成所有可能的序列
-            for (let endIndex = startIndex; endIndex < maxLength; endIndex++) {
-                const sequenceLength = endIndex - startIndex + 1;
-                const isEndOfLine = endIndex === maxLength - 1;
-                
-                // 提取韵脚组序列
-                const rhymeSequence = [];
-                const chars = [];
-                const pinyins = [];
-                let hasUnknownRhyme = false;
+            // 从startIndex开始逐字延长序列，遇到未知韵脚时更长的序列也必然无效
+            const rhymeSequence = [];
+            const strictSequence = [];
+            const chars = [];
+            const pinyins = [];
+            const tones = [];
+            const toneClasses = [];
+            const lastIndex = Math.min(maxLength, startIndex + maxSequenceLength) - 1;
+            
+            for (let endIndex = startIndex; endIndex <= lastIndex; endIndex++) {
+                const charInfo = charInfos[endIndex];
+                const rhymeGroup = charInfo.normalGroup;
                 
-                for (let i = startIndex; i <= endIndex; i++) {
-                    const charInfo = charInfos[i];
-                    const rhymeGroup = charInfo.normalGroup;
-                    
-                    if (rhymeGroup === '未知' || rhymeGroup === '') {
-                        hasUnknownRhyme = true;
-                        break;
-                    }
-                    
-                    rhymeSequence.push(rhymeGroup);
-                    chars.push(charInfo.char);
-                    pinyins.push(charInfo.pinyin);
+                if (rhymeGroup === '未知' || rhymeGroup === '') {
+                    break;
                 }
                 
-                if (!hasUnknownRhyme) {
-                    allSequences.push({
-                        lineIndex,
-                        startIndex,
-                        endIndex,
-                        length: sequenceLength,
-                        sequence: rhymeSequence,
-                        sequenceKey: getSequenceKey(rhymeSequence),
-                        chars: chars,
-                        pinyins: pinyins,
-                        isEndOfLine: isEndOfLine,
-                        // 计算序列的优先级分数
-                        // 句尾序列优先级高（+1000），长序列优先级高（+length*10）
-                        priorityScore: (isEndOfLine ? 1000 : 0) + sequenceLength * 10
-                    });
-                }
+                rhymeSequence.push(rhymeGroup);
+                strictSequence.push(`${rhymeGroup}:${charInfo.strictGroup}`);
+                chars.push(charInfo.char);
+                pinyins.push(charInfo.pinyin);
+                tones.push(charInfo.tone || 0);
+                toneClasses.push(charInfo.toneClass || '');
+                
+                const sequenceLength = endIndex - startIndex + 1;
+                const isEndOfLine = endIndex === contentLength - 1;
+                const startBeat = charInfos[startIndex].beat;
+                const endBeat = charInfo.beat;
+                
+                allSequences.push({
+                    lineIndex,
+                    startIndex,
+                    endIndex,
+                    length: sequenceLength,
+                    sequence: rhymeSequence.slice(),
+                    sequenceKey: getSequenceKey(rhymeSequence),
+                    strictSequence: strictSequence.slice(),
+                    strictKey: getSequenceKey(strictSequence),
+                    looseKey: getSequenceKey(rhymeSequence.map(getLooseGroup)),
+                    chars: chars.slice(),
+                    pinyins: pinyins.slice(),
+                    tones: tones.slice(),
+                    toneClasses: toneClasses.slice(),
+                    isEndOfLine: isEndOfLine,
+                    // 排布节拍后序列首尾字的拍位，未排布时为null
+                    startBeat: typeof startBeat === 'number' ? startBeat : null,
+                    endBeat: typeof endBeat === 'number' ? endBeat : null,
+                    // 计算序列的优先级分数
+                    // 句尾序列优先级高（+1000），长序列优先级高（+length*10）
+                    priorityScore: (isEndOfLine ? 1000 : 0) + sequenceLength * 10
+                });
             }
         }
     });
     
     // 按优先级分数降序排列，确保句尾序列和长序列优先匹配
-    return allSequences.sort((a, b) => b.priorityScore - a.priorityScore);
+    allSequences.sort((a, b) => b.priorityScore - a.priorityScore);
+    
+    // 记录排序后的序号，用于确定匹配中两个序列的先后和同优先级匹配的顺序
+    allSequences.forEach((seq, index) => {
+        seq.order = index;
+    });
+    
+    return allSequences;
 }
 
 /**
- * 检查两个序列是否在行差容差以内
- * @param {Object} seq1 - 第一个序列
- * @param {Object} seq2 - 第二个序列
- * @param {number} tolerance - 行差容差
- * @returns {boolean} 是否在行差容差以内
+ * 按索引键分桶，收集行差容差以内的候选序列对
+ * 只有同一个桶内的序列才可能押韵，避免对所有序列两两比较
+ * @param {Array<Object>} allSequences - 所有韵脚组序列
+ * @param {Function} getBucketKey - 根据序列返回索引键的函数
+ * @param {number} lineDiffTolerance - 行差容差
+ * @returns {Array<Array<Object>>} 候选序列对，每对中order较小的序列在前
+ */
+function collectCandidatePairs(allSequences, getBucketKey, lineDiffTolerance) {
+    const buckets = new Map();
+    for (const seq of allSequences) {
+        const key = getBucketKey(seq);
+        if (!buckets.has(key)) {
+            buckets.set(key, []);
+        }
+        buckets.get(key).push(seq);
+    }
+    
+    const candidatePairs = [];
+    for (const bucket of buckets.values()) {
+        if (bucket.length < 2) {
+            continue;
+        }
+        
+        // 按行排序后，每个序列只需向后扫描到行差超出容差为止
+        bucket.sort((a, b) => a.lineIndex - b.lineIndex || a.order - b.order);
+        
+        for (let i = 0; i < bucket.length; i++) {
+            const seqA = bucket[i];
+            for (let j = i + 1; j < bucket.length; j++) {
+                const seqB = bucket[j];
+                if (seqB.lineIndex - seqA.lineIndex > lineDiffTolerance) {
+                    break;
+                }
+                candidatePairs.push(seqA.order < seqB.order ? [seqA, seqB] : [seqB, seqA]);
+            }
+        }
+    }
+    
+    return candidatePairs;
+}
+
+/**
+ * 中间变化区域进行逐行对齐时允许的最大计算量（旧行数×新行数），超过时整个区域视为已修改
  */
-function isWithinFourLines(seq1, seq2, tolerance = 4) {
-    const lineDiff = Math.abs(seq2.lineIndex - seq1.lineIndex);
-    return lineDiff <= tolerance;
+const MAX_LINE_ALIGNMENT_COST = 250000;
+
+/**
+ * 获取行的比较键：行文本加上各字的读音、声调、韵脚组和拍位
+ * 手动指定多音字读音、标记或时间标签变化时，行文本可能不变而读音或拍位改变，这些行同样需要重新分析
+ * @param {Object} group - 韵脚组
+ * @returns {string} 行比较键
+ */
+function getLineKey(group) {
+    const charKeys = group.charInfos.map(charInfo =>
+        `${charInfo.pinyin}${charInfo.tone || ''}:${charInfo.normalGroup}:${charInfo.strictGroup}:${typeof charInfo.beat === 'number' ? charInfo.beat : ''}`);
+    return `${group.line}\n${charKeys.join(',')}`;
+}
+
+/**
+ * 对比新旧两次分析的行比较键（参见getLineKey），找出发生变化的行
+ * 先去掉首尾相同的行，再用最长公共子序列对齐中间区域
+ * @param {Array<Object>} previousGroups - 上一次分析的韵脚组序列
+ * @param {Array<Object>} rhymeGroups - 本次的韵脚组序列
+ * @returns {Object} { changedRanges, mapLine }，changedRanges为新行号的[起始, 结束)区间列表，
+ *   包括被删除行所在的位置（起始等于结束）；mapLine将旧行号映射为新行号，已修改或删除的行返回-1
+ */
+function findChangedLines(previousGroups, rhymeGroups) {
+    const oldLength = previousGroups.length;
+    const newLength = rhymeGroups.length;
+    const oldKeys = previousGroups.map(getLineKey);
+    const newKeys = rhymeGroups.map(getLineKey);
+    
+    let prefixLength = 0;
+    while (prefixLength < oldLength && prefixLength < newLength &&
+        oldKeys[prefixLength] === newKeys[prefixLength]) {
+        prefixLength++;
+    }
+    
+    let suffixLength = 0;
+    while (suffixLength < oldLength - prefixLength && suffixLength < newLength - prefixLength &&
+        oldKeys[oldLength - 1 - suffixLength] === newKeys[newLength - 1 - suffixLength]) {
+        suffixLength++;
+    }
+    
+    // 旧行号到新行号的映射，首尾相同的行直接对应
+    const lineMap = new Array(oldLength).fill(-1);
+    for (let i = 0; i < prefixLength; i++) {
+        lineMap[i] = i;
+    }
+    for (let i = 0; i < suffixLength; i++) {
+        lineMap[oldLength - 1 - i] = newLength - 1 - i;
+    }
+    
+    // 中间区域用最长公共子序列对齐内容未变的行
+    const oldMiddle = oldLength - prefixLength - suffixLength;
+    const newMiddle = newLength - prefixLength - suffixLength;
+    if (oldMiddle > 0 && newMiddle > 0 && oldMiddle * newMiddle <= MAX_LINE_ALIGNMENT_COST) {
+        const lcs = Array.from({ length: oldMiddle + 1 }, () => new Array(newMiddle + 1).fill(0));
+        for (let i = oldMiddle - 1; i >= 0; i--) {
+            for (let j = newMiddle - 1; j >= 0; j--) {
+                lcs[i][j] = oldKeys[prefixLength + i] === newKeys[prefixLength + j] ?
+                    lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle && j < newMiddle) {
+            if (oldKeys[prefixLength + i] === newKeys[prefixLength + j]) {
+                lineMap[prefixLength + i] = prefixLength + j;
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+    
+    // 相邻两个对齐行之间有新增、修改或删除的行时，记录为变化区间
+    const changedRanges = [];
+    let lastOld = -1;
+    let lastNew = -1;
+    for (let oldLine = 0; oldLine <= oldLength; oldLine++) {
+        const newLine = oldLine === oldLength ? newLength : lineMap[oldLine];
+        if (newLine === -1) {
+            continue;
+        }
+        if (oldLine - lastOld > 1 || newLine - lastNew > 1) {
+            changedRanges.push([lastNew + 1, newLine]);
+        }
+        lastOld = oldLine;
+        lastNew = newLine;
+    }
+    
+    return {
+        changedRanges,
+        mapLine(oldLine) {
+            return lineMap[oldLine];
+        }
+    };
+}
+
+/**
+ * 生成押韵位置的比较键
+ * @param {Array<Object>} positions - 押韵位置列表
+ * @returns {string} 位置比较键
+ */
+function getPositionsKey(positions) {
+    return positions.map(pos => `${pos.line}-${pos.char}-${pos.length}`).join(',');
+}
+
+/**
+ * 生成押韵链中序列的比较键，不同类别的押韵各自成链
+ * @param {string} category - 押韵类别
+ * @param {Object} pos - 序列位置 {line, char, length}
+ * @returns {string} 序列比较键
+ */
+function getChainMemberKey(category, pos) {
+    return `${category}:${pos.line}-${pos.char}-${pos.length}`;
+}
+
+/**
+ * 获取序列在结果中的位置
+ * @param {Object} seq - 序列
+ * @returns {Object} 位置 {line, char, length}
+ */
+function getSequencePosition(seq) {
+    return { line: seq.lineIndex, char: seq.startIndex, length: seq.length };
+}
+
+/**
+ * 将两两押韵合并为押韵链：共享同一序列的押韵，以及通过链接相连的押韵属于同一条链
+ * 链ID和颜色取自链中ID最小的押韵，链中所有押韵使用同一颜色
+ * @param {Array<Object>} results - 押韵结果（会被写入chainId并统一颜色）
+ * @param {Array<Array<string>>} links - 额外的链接，每项为两个序列比较键
+ * @returns {Array<Object>} 押韵链数组，按首个位置排序
+ */
+function buildRhymeChains(results, links) {
+    // 并查集，元素为序列比较键
+    const parents = new Map();
+    const find = key => {
+        let root = key;
+        while (parents.get(root) !== root) {
+            root = parents.get(root);
+        }
+        // 路径压缩
+        while (parents.get(key) !== root) {
+            const next = parents.get(key);
+            parents.set(key, root);
+            key = next;
+        }
+        return root;
+    };
+    const union = (key1, key2) => {
+        const root1 = find(key1);
+        const root2 = find(key2);
+        if (root1 !== root2) {
+            parents.set(root2, root1);
+        }
+    };
+    const add = key => {
+        if (!parents.has(key)) {
+            parents.set(key, key);
+        }
+    };
+    
+    for (const result of results) {
+        const keys = result.positions.map(pos => getChainMemberKey(result.category, pos));
+        keys.forEach(add);
+        union(keys[0], keys[1]);
+    }
+    for (const [key1, key2] of links) {
+        if (parents.has(key1) && parents.has(key2)) {
+            union(key1, key2);
+        }
+    }
+    
+    // 按根节点收集链中的押韵
+    const resultsByRoot = new Map();
+    for (const result of results) {
+        const root = find(getChainMemberKey(result.category, result.positions[0]));
+        if (!resultsByRoot.has(root)) {
+            resultsByRoot.set(root, []);
+        }
+        resultsByRoot.get(root).push(result);
+    }
+    
+    const chains = [];
+    for (const chainResults of resultsByRoot.values()) {
+        const getIdNumber = result => parseInt(result.id.replace(/^rhyme_/, ''), 10);
+        const firstResult = chainResults.reduce((first, result) => getIdNumber(result) < getIdNumber(first) ? result : first);
+        const chainId = `chain_${firstResult.id.replace(/^rhyme_/, '')}`;
+        
+        // 结尾相同的位置（如双押与其最后一字）只计一次，保留较长的序列
+        const positionsByKey = new Map();
+        for (const result of chainResults) {
+            result.chainId = chainId;
+            result.color = firstResult.color;
+            result.positions.forEach(pos => {
+                const key = `${pos.line}-${pos.char + pos.length - 1}`;
+                const existing = positionsByKey.get(key);
+                if (!existing || pos.length > existing.length) {
+                    positionsByKey.set(key, pos);
+                }
+            });
+        }
+        const positions = Array.from(positionsByKey.values())
+            .sort((a, b) => a.line - b.line || a.char - b.char);
+        
+        chains.push({
+            id: chainId,
+            category: firstResult.category,
+            matchKey: firstResult.matchKey,
+            // 链中的押韵通过结尾相连，以最后一个韵脚组作为代表
+            rhymeGroup: firstResult.sequence[firstResult.sequence.length - 1],
+            sequence: firstResult.sequence,
+            sequenceLength: firstResult.sequenceLength,
+            color: firstResult.color,
+            positions: positions,
+            length: positions.length,
+            resultIds: chainResults.map(result => result.id)
+        });
+    }
+    
+    return chains.sort((a, b) => a.positions[0].line - b.positions[0].line || a.positions[0].char - b.positions[0].char);
+}
+
+/**
+ * 生成检测选项的比较键，选项不同时不能复用上一次的分析结果
+ * @param {Object} settings - 检测选项
+ * @returns {string} 选项比较键
+ */
+function getSettingsKey(settings) {
+    return JSON.stringify(settings);
 }
 
 /**
@@ -172,13 +656,233 @@ function markSequencePositions(seq, markedPositions) {
     }
 }
 
+/**
+ * 比较两处序列位置在extractAllRhymeSequences中的排列先后（与序列的order一致）：
+ * 句尾序列和长序列在前，其余按所在的行和字的位置
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @param {Object} pos1 - 第一处位置 {line, char, length}
+ * @param {Object} pos2 - 第二处位置
+ * @returns {number} 负数表示pos1在前，0表示位置相同
+ */
+function compareSequencePositions(rhymeGroups, pos1, pos2) {
+    const getScore = pos => (pos.char + pos.length === getContentLength(rhymeGroups[pos.line].charInfos) ? 1000 : 0) + pos.length * 10;
+    return getScore(pos2) - getScore(pos1) || pos1.line - pos2.line || pos1.char - pos2.char || pos1.length - pos2.length;
+}
+
+/**
+ * 比较两个押韵（匹配或结果）在选择顺序中的先后，与analyzeRhymePatterns中匹配的排序一致
+ * 上一次分析保留的押韵不带序列的order，按位置比较
+ * @param {Object} a - 第一个押韵，带有priority、similarity、matchLevel和positions
+ * @param {Object} b - 第二个押韵
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @returns {number} 负数表示a在前
+ */
+function compareRhymeRank(a, b, rhymeGroups) {
+    return b.priority - a.priority ||
+        b.similarity - a.similarity ||
+        PRECISION_LEVELS[b.matchLevel] - PRECISION_LEVELS[a.matchLevel] ||
+        compareSequencePositions(rhymeGroups, a.positions[0], b.positions[0]) ||
+        compareSequencePositions(rhymeGroups, a.positions[1], b.positions[1]);
+}
+
+/**
+ * 判断一对序列构成的押韵类型，并计算间隔和优先级
+ * @param {Object} seq1 - 第一个序列（order较小）
+ * @param {Object} seq2 - 第二个序列
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @param {Object} settings - 检测选项
+ * @returns {Object|null} 押韵匹配，不构成押韵时返回null
+ */
+function evaluateRhymeMatch(seq1, seq2, rhymeGroups, settings) {
+    const {
+        detectEndRhyme,
+        detectInterLineRhyme,
+        detectInternalRhyme,
+        interLineTolerance,
+        beatTolerance,
+        internalRhymeTolerance,
+        rhymePrecision,
+        endRhymeTone,
+        similarityThreshold,
+        similarityMatrix
+    } = settings;
+    
+    // 检查序列在所选精度下是否相同，或相似度达到阈值
+    const comparison = compareSequences(seq1, seq2, rhymePrecision, similarityThreshold, similarityMatrix);
+    if (!comparison) {
+        return null;
+    }
+    
+    // 计算间隔，单位为行（句尾押韵）、字或拍（排布节拍后的句间押韵）
+    let interval = 0;
+    let intervalUnit = 'char';
+    let rhymeType = '';
+    let category = '';
+    let isValid = false;
+    let priority = 0;
+    
+    // 1. 句尾押韵：至少有一个是句尾序列
+    if (detectEndRhyme && (seq1.isEndOfLine || seq2.isEndOfLine)) {
+        rhymeType = `${seq1.length}字句尾押韵`;
+        category = 'end';
+        // 句尾押韵，间隔计算为行差
+        interval = Math.abs(seq1.lineIndex - seq2.lineIndex);
+        intervalUnit = 'line';
+        // 优先级：句尾押韵最高
+        priority = 1000 - interval;
+        // 句尾押韵需满足声调要求
+        isValid = isToneMatched(seq1, seq2, endRhymeTone);
+    }
+    // 2. 非句尾句间押韵：不同句子，位置相近，都不是句尾
+    else if (detectInterLineRhyme && seq1.lineIndex !== seq2.lineIndex) {
+        // 如果是完全相同的字，跳过（不判断重复的字）
+        if (seq1.chars.join('') === seq2.chars.join('')) {
+            return null;
+        }
+        
+        let tolerance = interLineTolerance;
+        if (seq1.startBeat !== null && seq2.startBeat !== null) {
+            // 排布节拍后按小节内的拍位比较，取首字和尾字拍位差异的较小值
+            const startBeatDiff = Math.abs(seq1.startBeat - seq2.startBeat);
+            const endBeatDiff = Math.abs(seq1.endBeat - seq2.endBeat);
+            interval = Math.min(startBeatDiff, endBeatDiff);
+            intervalUnit = 'beat';
+            tolerance = beatTolerance;
+        } else {
+            // 句间押韵，计算位置差异（正向和反向）
+            const line1Length = getContentLength(rhymeGroups[seq1.lineIndex].charInfos);
+            const line2Length = getContentLength(rhymeGroups[seq2.lineIndex].charInfos);
+            
+            // 正向位置（从句首往后数）
+            const forwardDiff = Math.abs(seq1.startIndex - seq2.startIndex);
+            
+            // 反向位置（从句尾往前数）
+            const reverse1 = line1Length - 1 - seq1.endIndex;
+            const reverse2 = line2Length - 1 - seq2.endIndex;
+            const reverseDiff = Math.abs(reverse1 - reverse2);
+            
+            // 取正向和反向位置差异的较小值
+            interval = Math.min(forwardDiff, reverseDiff);
+        }
+        
+        if (interval <= tolerance) {
+            rhymeType = `${seq1.length}字非句尾句间押韵`;
+            category = 'interLine';
+            // 优先级：句间押韵次之
+            priority = 500 - interval;
+            isValid = true;
+        }
+    }
+    // 3. 句内押韵：同一行，间隔符合要求
+    else if (detectInternalRhyme && seq1.lineIndex === seq2.lineIndex) {
+        // 句内押韵，计算字符间隔
+        const start1 = seq1.startIndex;
+        const end1 = seq1.endIndex;
+        const start2 = seq2.startIndex;
+        const end2 = seq2.endIndex;
+        
+        if (end1 < start2) {
+            interval = start2 - end1 - 1;
+        } else if (end2 < start1) {
+            interval = start1 - end2 - 1;
+        } else {
+            interval = 0;
+        }
+        
+        if (isInternalRhymeValid(seq1, seq2, internalRhymeTolerance)) {
+            rhymeType = `${seq1.length}字句内押韵`;
+            category = 'internal';
+            // 优先级：句内押韵最低
+            priority = 100 - interval;
+            isValid = true;
+        }
+    }
+    
+    if (!isValid) {
+        return null;
+    }
+    
+    // 计算序列长度优先级（长序列优先）
+    const lengthPriority = seq1.length * 10;
+    
+    // 总优先级 = 类型优先级 + 长度优先级，相似度只在优先级相同时决定先后（见analyzeRhymePatterns中的排序）
+    const totalPriority = priority + lengthPriority;
+    
+    return {
+        seq1: seq1,
+        seq2: seq2,
+        rhymeType: rhymeType,
+        category: category,
+        interval: interval,
+        intervalUnit: intervalUnit,
+        priority: totalPriority,
+        sequenceLength: seq1.length,
+        sequence: seq1.sequence,
+        sequenceKey: seq1.sequenceKey,
+        matchKey: rhymePrecision === 'strict' ? seq1.strictKey :
+            rhymePrecision === 'loose' ? seq1.looseKey : seq1.sequenceKey,
+        matchLevel: comparison.matchLevel,
+        similarity: comparison.similarity
+    };
+}
+
+/**
+ * 押韵结果的颜色表
+ */
+const COLOR_PALETTE = [
+    "#FF5733", "#33FF57", "#3357FF", "#FF33A8", "#FFC300",
+    "#C70039", "#900C3F", "#581845", "#1ABC9C", "#3498DB"
+];
+
+/**
+ * 将选中的押韵匹配转换为押韵结果（不含ID和颜色）
+ * @param {Object} match - 押韵匹配
+ * @returns {Object} 押韵结果
+ */
+function createRhymeResult(match) {
+    const { seq1, seq2, rhymeType } = match;
+    return {
+        type: rhymeType.toLowerCase().replace(/\s+/g, '_'),
+        rhymeType: rhymeType,
+        category: match.category,
+        rhymeGroup: match.sequence[0], // 使用第一个韵脚组作为代表
+        sequenceLength: match.sequenceLength,
+        sequence: match.sequence,
+        positions: [
+            { line: seq1.lineIndex, char: seq1.startIndex, length: seq1.length },
+            { line: seq2.lineIndex, char: seq2.startIndex, length: seq2.length }
+        ],
+        chars: [seq1.chars, seq2.chars],
+        pinyins: [seq1.pinyins, seq2.pinyins],
+        tones: [seq1.tones, seq2.tones],
+        matchKey: match.matchKey,
+        matchLevel: match.matchLevel,
+        similarity: match.similarity,
+        interval: match.interval,
+        intervalUnit: match.intervalUnit,
+        priority: match.priority
+    };
+}
+
 /**
  * 分析押韵方式，识别多种押韵模式（支持双押、三押、多押）
  * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @param {Object} [options] - 检测选项
+ * @param {string} [options.rhymePrecision='normal'] - 押韵精度：'loose'宽韵、'normal'常韵、'strict'严韵
+ * @param {string} [options.endRhymeTone='any'] - 句尾押韵声调要求：'any'不限、'same'同声调、'pingze'同平仄
+ * @param {number} [options.similarityThreshold=1] - 近韵相似度阈值，低于1时接受相似度达到阈值的近韵
+ * @param {Object} [options.similarityMatrix] - 常规韵脚组之间的相似度矩阵，默认为DEFAULT_SIMILARITY_MATRIX
+ * @param {number} [options.maxSequenceLength=8] - 参与匹配的序列最大字数
+ * @param {number} [options.beatTolerance=0.5] - 排布节拍后（参见beatLayout.js），非句尾句间押韵按小节内拍位比较时允许的差异（拍），
+ *   代替按字数比较的interLineTolerance
+ * @param {boolean} [options.allowOverlap=false] - 是否允许同一位置同时属于不同类别的押韵
+ *   （句尾押韵、非句尾句间押韵、句内押韵），同一类别内每个位置仍只标记一次
+ * @param {Object} [previousAnalysis] - 上一次的分析结果，选项相同时只重新计算行窗口涉及已修改行的押韵
+ *   及与其同链的押韵（结果与完整分析相同，行差容差大于1或检测近韵时重新计算所有押韵），其余押韵保留原有的ID和颜色
  * @returns {Object} 包含所有押韵分析结果的对象
  * @throws {Error} 输入验证失败时抛出错误
  */
-export function analyzeRhymePatterns(rhymeGroups, options = {}) {
+export function analyzeRhymePatterns(rhymeGroups, options = {}, previousAnalysis = null) {
     // 输入验证
     if (!Array.isArray(rhymeGroups)) {
         throw new Error('输入必须是韵脚组序列数组');
@@ -188,13 +892,19 @@ export function analyzeRhymePatterns(rhymeGroups, options = {}) {
         return {
             rhymeGroups: [],
             analysisResults: [],
+            rhymeChains: [],
             summary: {
                 totalLines: 0,
                 totalRhymeCount: 0,
+                totalChainCount: 0,
                 rhymeTypes: {
                     endRhyme: 0,
                     internalRhyme: 0
-                }
+                },
+                rhymePrecision: options.rhymePrecision || 'normal',
+                endRhymeTone: options.endRhymeTone || 'any',
+                similarityThreshold: options.similarityThreshold || 1,
+                matchLevels: { strict: 0, normal: 0, loose: 0, near: 0 }
             }
         };
     }
@@ -221,209 +931,396 @@ export function analyzeRhymePatterns(rhymeGroups, options = {}) {
         detectInterLineRhyme = true,
         detectInternalRhyme = true,
         interLineTolerance = 2,
+        beatTolerance = 0.5,
         interLineLineDiffTolerance = 4,
-        internalRhymeTolerance = 0
+        internalRhymeTolerance = 0,
+        rhymePrecision = 'normal',
+        endRhymeTone = 'any',
+        similarityThreshold = 1,
+        similarityMatrix = DEFAULT_SIMILARITY_MATRIX,
+        maxSequenceLength = DEFAULT_MAX_SEQUENCE_LENGTH,
+        allowOverlap = false
     } = options;
     
-    // 1. 提取所有可能的韵脚组序列
-    const allSequences = extractAllRhymeSequences(rhymeGroups);
+    if (!PRECISION_LEVELS[rhymePrecision] || rhymePrecision === 'near') {
+        throw new Error(`未知的押韵精度: ${rhymePrecision}`);
+    }
+    if (typeof similarityThreshold !== 'number' || similarityThreshold <= 0 || similarityThreshold > 1) {
+        throw new Error(`相似度阈值必须在0到1之间: ${similarityThreshold}`);
+    }
+    if (!END_RHYME_TONE_MODES.includes(endRhymeTone)) {
+        throw new Error(`未知的句尾声调要求: ${endRhymeTone}`);
+    }
+    if (!(beatTolerance >= 0)) {
+        throw new Error(`拍位容差不能为负数: ${beatTolerance}`);
+    }
+    if (!(maxSequenceLength >= 1)) {
+        throw new Error(`序列最大字数必须不小于1: ${maxSequenceLength}`);
+    }
     
-    // 2. 用于记录已标记的位置，避免重复标记
-    const markedPositions = new Set();
+    const matchSettings = {
+        detectEndRhyme,
+        detectInterLineRhyme,
+        detectInternalRhyme,
+        interLineTolerance,
+        beatTolerance,
+        interLineLineDiffTolerance,
+        internalRhymeTolerance,
+        rhymePrecision,
+        endRhymeTone,
+        similarityThreshold,
+        similarityMatrix,
+        maxSequenceLength,
+        allowOverlap
+    };
+    const settingsKey = getSettingsKey(matchSettings);
     
-    // 3. 收集所有可能的押韵匹配
-    const allPossibleMatches = [];
+    // 0. 选项未变时复用上一次的结果：只有行窗口（行差容差）涉及已修改行的押韵需要重新计算
+    const lineWindow = interLineLineDiffTolerance;
+    let dirtyLines = null; // null表示所有行都需要计算
+    let keptResults = [];
+    let nextIdNumber = 1;
+    let colorIndex = 0;
+    const rhymeGroupColors = new Map();
+    // 重新计算后位置不变的押韵沿用原有ID，键为换算到新行号后的位置
+    const reusableIds = new Map();
+    // 上一次分析中连接押韵链时加入的押韵的ID，完整分析中这些押韵在所有匹配之后才选择
+    let joinedIds = new Set();
     
-    // 遍历所有序列对，收集所有可能的匹配
-    for (let i = 0; i < allSequences.length; i++) {
-        const seq1 = allSequences[i];
+    /**
+     * 把满足条件的保留押韵改为重新计算：押韵链中的押韵互相依赖（后加入的序列通过链中已有的序列连接），
+     * 整条链一起重新计算；这些押韵所在的行有位置被释放，也需要重新计算
+     * @param {Function} shouldRelease - 判断保留的押韵是否需要重新计算
+     * @returns {boolean} 是否有押韵改为重新计算
+     */
+    const releaseKeptResults = shouldRelease => {
+        const releasedChainIds = new Set();
+        keptResults.forEach(result => {
+            if (shouldRelease(result)) {
+                releasedChainIds.add(result.chainId || result.id);
+            }
+        });
+        if (releasedChainIds.size === 0) {
+            return false;
+        }
+        keptResults = keptResults.filter(result => {
+            if (!releasedChainIds.has(result.chainId || result.id)) {
+                return true;
+            }
+            for (const pos of result.positions) {
+                if (pos.line !== -1) {
+                    dirtyLines.add(pos.line);
+                }
+            }
+            reusableIds.set(getPositionsKey(result.positions), result.id);
+            return false;
+        });
+        return true;
+    };
+    
+    const previousState = previousAnalysis && previousAnalysis.incrementalState;
+    if (previousState && previousState.settingsKey === settingsKey) {
+        const { changedRanges, mapLine } = findChangedLines(previousAnalysis.rhymeGroups, rhymeGroups);
         
-        for (let j = i + 1; j < allSequences.length; j++) {
-            const seq2 = allSequences[j];
-            
-            // 检查是否在行差容差以内
-            if (!isWithinFourLines(seq1, seq2, interLineLineDiffTolerance)) {
+        // 修改过的行及其行窗口内的行都受影响
+        dirtyLines = new Set();
+        for (const [changedStart, changedEnd] of changedRanges) {
+            const start = Math.max(0, changedStart - lineWindow);
+            const end = Math.min(rhymeGroups.length, changedEnd + lineWindow);
+            for (let line = start; line < end; line++) {
+                dirtyLines.add(line);
+            }
+        }
+        
+        // 保留所有位置都在受影响行之外的押韵，并换算为新的行号
+        for (const result of previousAnalysis.analysisResults) {
+            const newLines = result.positions.map(pos => mapLine(pos.line));
+            const positions = result.positions.map((pos, index) => ({ ...pos, line: newLines[index] }));
+            keptResults.push({ ...result, positions });
+        }
+        releaseKeptResults(result => result.positions.some(pos => pos.line === -1 || dirtyLines.has(pos.line)));
+        
+        // 行差容差大于1或检测近韵时，一次修改牵动的押韵过多，直接重新计算所有押韵（仍沿用原有ID和颜色）
+        if (lineWindow > 1 || similarityThreshold < 1) {
+            releaseKeptResults(() => true);
+            dirtyLines = null;
+        }
+        
+        nextIdNumber = previousState.nextIdNumber;
+        colorIndex = previousState.colorIndex;
+        joinedIds = new Set(previousState.joinedIds);
+        for (const [key, color] of Object.entries(previousState.colors)) {
+            rhymeGroupColors.set(key, color);
+        }
+    }
+    const isDirtyLine = line => dirtyLines === null || dirtyLines.has(line);
+    
+    // 完全押韵只可能出现在所选精度下索引键相同的序列之间；近韵需要比较所有等长序列
+    const getBucketKey = similarityThreshold < 1 ? seq => seq.length :
+        rhymePrecision === 'strict' ? seq => seq.strictKey :
+        rhymePrecision === 'loose' ? seq => seq.looseKey : seq => seq.sequenceKey;
+    
+    // 用于记录已标记的位置，避免重复标记，另记录本次新选中的押韵占用的位置
+    // 允许重叠时按押韵类别分别记录，同一位置可以同时属于不同类别的押韵
+    let markedPositionsByCategory;
+    let newPositionsByCategory;
+    const getCategoryPositions = (positionsByCategory, category) => {
+        const key = allowOverlap ? category : 'all';
+        if (!positionsByCategory.has(key)) {
+            positionsByCategory.set(key, new Set());
+        }
+        return positionsByCategory.get(key);
+    };
+    const getMarkedPositions = category => getCategoryPositions(markedPositionsByCategory, category);
+    let allPossibleMatches;
+    let analysisResults;
+    let selectedMatches;
+    
+    for (;;) {
+        // 1. 提取可能的韵脚组序列，只需要受影响的行及其行窗口内的行
+        const allSequences = extractAllRhymeSequences(rhymeGroups, maxSequenceLength, line => {
+            if (dirtyLines === null) {
+                return true;
+            }
+            for (let offset = -lineWindow; offset <= lineWindow; offset++) {
+                if (dirtyLines.has(line + offset)) {
+                    return true;
+                }
+            }
+            return false;
+        });
+        
+        // 2. 收集所有可能的押韵匹配，至少一个序列位于受影响的行
+        const candidatePairs = collectCandidatePairs(allSequences, getBucketKey, interLineLineDiffTolerance);
+        allPossibleMatches = [];
+        for (const [seq1, seq2] of candidatePairs) {
+            if (!isDirtyLine(seq1.lineIndex) && !isDirtyLine(seq2.lineIndex)) {
                 continue;
             }
             
-            // 检查序列是否相同
-            if (seq1.sequenceKey === seq2.sequenceKey) {
-                // 计算间隔
-                let interval = 0;
-                let rhymeType = '';
-                let isValid = false;
-                let priority = 0;
-                
-                // 1. 句尾押韵：至少有一个是句尾序列
-                if (detectEndRhyme && (seq1.isEndOfLine || seq2.isEndOfLine)) {
-                    rhymeType = `${seq1.length}字句尾押韵`;
-                    // 句尾押韵，间隔计算为行差
-                    interval = Math.abs(seq1.lineIndex - seq2.lineIndex);
-                    // 优先级：句尾押韵最高
-                    priority = 1000 - interval;
-                    isValid = true;
-                }
-                // 2. 非句尾句间押韵：不同句子，位置相近，都不是句尾
-                else if (detectInterLineRhyme && seq1.lineIndex !== seq2.lineIndex) {
-                    // 检查是否为重复的字
-                    const chars1 = seq1.chars.join('');
-                    const chars2 = seq2.chars.join('');
-                    
-                    // 如果是完全相同的字，跳过（不判断重复的字）
-                    if (chars1 === chars2) {
-                        continue;
-                    }
-                    
-                    // 句间押韵，计算位置差异（正向和反向）
-                    const line1Length = rhymeGroups[seq1.lineIndex].charInfos.length;
-                    const line2Length = rhymeGroups[seq2.lineIndex].charInfos.length;
-                    
-                    // 正向位置（从句首往后数）
-                    const forwardDiff = Math.abs(seq1.startIndex - seq2.startIndex);
-                    
-                    // 反向位置（从句尾往前数）
-                    const reverse1 = line1Length - 1 - seq1.endIndex;
-                    const reverse2 = line2Length - 1 - seq2.endIndex;
-                    const reverseDiff = Math.abs(reverse1 - reverse2);
-                    
-                    // 取正向和反向位置差异的较小值
-                    interval = Math.min(forwardDiff, reverseDiff);
-                    
-                    if (interval <= interLineTolerance) {
-                        rhymeType = `${seq1.length}字非句尾句间押韵`;
-                        // 优先级：句间押韵次之
-                        priority = 500 - interval;
-                        isValid = true;
-                    }
-                }
-                // 3. 句内押韵：同一行，间隔符合要求
-                else if (detectInternalRhyme && seq1.lineIndex === seq2.lineIndex) {
-                    // 句内押韵，计算字符间隔
-                    const start1 = seq1.startIndex;
-                    const end1 = seq1.endIndex;
-                    const start2 = seq2.startIndex;
-                    const end2 = seq2.endIndex;
-                    
-                    if (end1 < start2) {
-                        interval = start2 - end1 - 1;
-                    } else if (end2 < start1) {
-                        interval = start1 - end2 - 1;
-                    } else {
-                        interval = 0;
-                    }
-                    
-                    if (isInternalRhymeValid(seq1, seq2, internalRhymeTolerance)) {
-                        rhymeType = `${seq1.length}字句内押韵`;
-                        // 优先级：句内押韵最低
-                        priority = 100 - interval;
-                        isValid = true;
-                    }
+            const match = evaluateRhymeMatch(seq1, seq2, rhymeGroups, matchSettings);
+            if (match) {
+                allPossibleMatches.push(match);
+            }
+        }
+        
+        // 3. 按照优先级从高到低排序所有匹配，优先级相同时相似度高的优先（近韵排在同类型、同字数的完全押韵之后），
+        // 再按精度从高到低，最后按序列的先后顺序
+        allPossibleMatches.sort((a, b) => 
+            b.priority - a.priority ||
+            b.similarity - a.similarity ||
+            PRECISION_LEVELS[b.matchLevel] - PRECISION_LEVELS[a.matchLevel] ||
+            a.seq1.order - b.seq1.order ||
+            a.seq2.order - b.seq2.order);
+        
+        // 4. 按照优先级从高到低标记押韵，确保每个位置只被标记一次（允许重叠时为每个类别内只标记一次）
+        // 保留的押韵按同样的顺序插入，与完整分析的选择过程一致；连接押韵链时加入的押韵在完整分析中晚于所有匹配，最后插入
+        markedPositionsByCategory = new Map();
+        newPositionsByCategory = new Map();
+        analysisResults = [];
+        selectedMatches = new Set();
+        const conflictedResults = new Set();
+        const keptInOrder = keptResults.filter(result => !joinedIds.has(result.id))
+            .sort((a, b) => compareRhymeRank(a, b, rhymeGroups));
+        let keptIndex = 0;
+        // 保留的押韵所在的行也可能受影响，重新计算时得到的相同匹配由保留的押韵代替
+        const keptKeys = new Set(keptResults.map(result => `${result.category}|${getPositionsKey(result.positions)}`));
+        
+        // 保留的押韵的位置已被排在它之前的新押韵占用时，完整分析中它不会被选中，需要重新计算
+        const placeKeptResult = result => {
+            const markedPositions = getMarkedPositions(result.category);
+            const newPositions = getCategoryPositions(newPositionsByCategory, result.category);
+            const keys = [];
+            for (const pos of result.positions) {
+                for (let i = pos.char; i < pos.char + pos.length; i++) {
+                    keys.push(`${pos.line}-${i}`);
                 }
+            }
+            if (keys.some(key => newPositions.has(key))) {
+                conflictedResults.add(result);
+            } else {
+                keys.forEach(key => markedPositions.add(key));
+            }
+        };
+        
+        for (const match of allPossibleMatches) {
+            const { seq1, seq2 } = match;
+            const matchRank = { ...match, positions: [getSequencePosition(seq1), getSequencePosition(seq2)] };
+            if (keptKeys.has(`${match.category}|${getPositionsKey(matchRank.positions)}`)) {
+                continue;
+            }
+            while (keptIndex < keptInOrder.length && compareRhymeRank(keptInOrder[keptIndex], matchRank, rhymeGroups) < 0) {
+                placeKeptResult(keptInOrder[keptIndex++]);
+            }
+            
+            // 检查两个序列是否都未被标记
+            const markedPositions = getMarkedPositions(match.category);
+            if (!isSequenceMarked(seq1, markedPositions) && !isSequenceMarked(seq2, markedPositions)) {
+                analysisResults.push(createRhymeResult(match));
+                selectedMatches.add(match);
                 
-                if (isValid) {
-                    // 计算序列长度优先级（长序列优先）
-                    const lengthPriority = seq1.length * 10;
-                    
-                    // 总优先级 = 类型优先级 + 长度优先级
-                    const totalPriority = priority + lengthPriority;
-                    
-                    allPossibleMatches.push({
-                        seq1: seq1,
-                        seq2: seq2,
-                        rhymeType: rhymeType,
-                        interval: interval,
-                        priority: totalPriority,
-                        sequenceLength: seq1.length,
-                        sequence: seq1.sequence,
-                        sequenceKey: seq1.sequenceKey
-                    });
-                }
+                // 标记两个序列的位置为已使用
+                const newPositions = getCategoryPositions(newPositionsByCategory, match.category);
+                [markedPositions, newPositions].forEach(positions => {
+                    markSequencePositions(seq1, positions);
+                    markSequencePositions(seq2, positions);
+                });
             }
         }
+        keptInOrder.slice(keptIndex).forEach(placeKeptResult);
+        keptResults.filter(result => joinedIds.has(result.id)).forEach(placeKeptResult);
+        
+        if (conflictedResults.size === 0) {
+            break;
+        }
+        
+        // 重新计算的押韵使保留的押韵不成立时，影响可能沿押韵链继续扩散，改为重新计算所有押韵（仍沿用原有ID和颜色）
+        releaseKeptResults(() => true);
+        dirtyLines = null;
     }
     
-    // 4. 按照优先级从高到低排序所有匹配
-    allPossibleMatches.sort((a, b) => b.priority - a.priority);
-
-
-    // 5. 按照优先级从高到低标记押韵，确保每个位置只被标记一次
-    const analysisResults = [];
-    let endRhymeCount = 0;
-    let internalRhymeCount = 0;
+    // 5. 连接押韵链：已押韵的序列（或其结尾部分，如双押的最后一字）可以继续与未标记的序列押韵，
+    // 两端都已押韵的匹配把两条链连起来
+    // 键为已押韵序列及其后缀的比较键，值为该已押韵序列的比较键
+    const chainedSuffixes = new Map();
+    const addChainedSequence = (category, pos) => {
+        const memberKey = getChainMemberKey(category, pos);
+        for (let length = 1; length <= pos.length; length++) {
+            const suffix = { line: pos.line, char: pos.char + pos.length - length, length };
+            const suffixKey = getChainMemberKey(category, suffix);
+            if (!chainedSuffixes.has(suffixKey)) {
+                chainedSuffixes.set(suffixKey, memberKey);
+            }
+        }
+    };
+    for (const result of keptResults.concat(analysisResults)) {
+        result.positions.forEach(pos => addChainedSequence(result.category, pos));
+    }
+    const chainLinks = [];
+    const joinedResults = new Set();
     
-    for (const match of allPossibleMatches) {
-        const { seq1, seq2, rhymeType } = match;
-        
-        // 检查两个序列是否都未被标记
-        if (!isSequenceMarked(seq1, markedPositions) && !isSequenceMarked(seq2, markedPositions)) {
-            // 生成押韵结果
-            const rhymeResult = {
-                type: rhymeType.toLowerCase().replace(/\s+/g, '_'),
-                rhymeType: rhymeType,
-                rhymeGroup: match.sequence[0], // 使用第一个韵脚组作为代表
-                sequenceLength: match.sequenceLength,
-                sequence: match.sequence,
-                positions: [
-                    { line: seq1.lineIndex, char: seq1.startIndex, length: seq1.length },
-                    { line: seq2.lineIndex, char: seq2.startIndex, length: seq2.length }
-                ],
-                chars: [seq1.chars, seq2.chars],
-                pinyins: [seq1.pinyins, seq2.pinyins],
-                similarity: 1.0
-            };
+    // 新加入的序列可能使之前跳过的匹配可以连接，重复直到没有新的序列加入
+    let hasJoined = true;
+    while (hasJoined) {
+        hasJoined = false;
+        for (const match of allPossibleMatches) {
+            if (selectedMatches.has(match)) {
+                continue;
+            }
             
-            analysisResults.push(rhymeResult);
+            const { seq1, seq2 } = match;
+            const markedPositions = getMarkedPositions(match.category);
+            const key1 = getChainMemberKey(match.category, getSequencePosition(seq1));
+            const key2 = getChainMemberKey(match.category, getSequencePosition(seq2));
+            const member1 = chainedSuffixes.get(key1);
+            const member2 = chainedSuffixes.get(key2);
             
-            // 更新计数
-            if (rhymeType.includes('句尾')) {
-                endRhymeCount++;
-            } else {
-                internalRhymeCount++;
+            if (member1 && member2) {
+                chainLinks.push([member1, member2]);
+                selectedMatches.add(match);
+                continue;
             }
             
-            // 标记两个序列的位置为已使用
-            markSequencePositions(seq1, markedPositions);
-            markSequencePositions(seq2, markedPositions);
+            const newSeq = member1 && !isSequenceMarked(seq2, markedPositions) ? seq2 :
+                member2 && !isSequenceMarked(seq1, markedPositions) ? seq1 : null;
+            if (!newSeq) {
+                continue;
+            }
+            
+            const joinedResult = createRhymeResult(match);
+            analysisResults.push(joinedResult);
+            joinedResults.add(joinedResult);
+            selectedMatches.add(match);
+            markSequencePositions(newSeq, markedPositions);
+            addChainedSequence(match.category, getSequencePosition(newSeq));
+            // 通过后缀连接时，后缀与包含它的已押韵序列属于同一条链
+            if (newSeq === seq2 && member1 !== key1) {
+                chainLinks.push([member1, key1]);
+            } else if (newSeq === seq1 && member2 !== key2) {
+                chainLinks.push([member2, key2]);
+            }
+            hasJoined = true;
         }
     }
     
-    // 4. 为每个韵脚分配唯一ID和颜色
-    const colorPalette = [
-        "#FF5733", "#33FF57", "#3357FF", "#FF33A8", "#FFC300",
-        "#C70039", "#900C3F", "#581845", "#1ABC9C", "#3498DB"
-    ];
-    const rhymeGroupColors = new Map();
-    let colorIndex = 0;
+    // 保留的押韵所在的链整条保留，链接不会重新计算，沿用上一次所属的链
+    const keptChainKeys = new Map();
+    for (const result of keptResults) {
+        const key = getChainMemberKey(result.category, result.positions[0]);
+        if (!result.chainId) {
+            continue;
+        }
+        if (keptChainKeys.has(result.chainId)) {
+            chainLinks.push([keptChainKeys.get(result.chainId), key]);
+        } else {
+            keptChainKeys.set(result.chainId, key);
+        }
+    }
     
-    const finalResults = analysisResults.map((result, index) => {
-        // 为韵脚组序列分配颜色
-        const sequenceKey = getSequenceKey(result.sequence);
-        if (!rhymeGroupColors.has(sequenceKey)) {
-            rhymeGroupColors.set(sequenceKey, colorPalette[colorIndex % colorPalette.length]);
+    // 6. 为新的押韵分配唯一ID和颜色，保留的押韵沿用原有ID和颜色
+    const newResults = analysisResults.map(result => {
+        // 为韵脚组序列分配颜色，按所选精度下的匹配键区分
+        const matchKey = result.matchKey;
+        if (!rhymeGroupColors.has(matchKey)) {
+            rhymeGroupColors.set(matchKey, COLOR_PALETTE[colorIndex % COLOR_PALETTE.length]);
             colorIndex++;
         }
         
+        const reusedId = reusableIds.get(getPositionsKey(result.positions));
+        
         return {
-            id: `rhyme_${String(index + 1).padStart(3, '0')}`,
+            id: reusedId || `rhyme_${String(nextIdNumber++).padStart(3, '0')}`,
             ...result,
-            color: rhymeGroupColors.get(sequenceKey)
+            color: rhymeGroupColors.get(matchKey)
         };
     });
+    const finalResults = keptResults.concat(newResults);
+    const finalJoinedIds = keptResults.filter(result => joinedIds.has(result.id))
+        .concat(newResults.filter((result, index) => joinedResults.has(analysisResults[index])))
+        .map(result => result.id);
+    
+    // 6.1 合并为押韵链
+    const rhymeChains = buildRhymeChains(finalResults, chainLinks);
+    
+    // 7. 生成分析摘要
+    const matchLevelCounts = { strict: 0, normal: 0, loose: 0, near: 0 };
+    let endRhymeCount = 0;
+    for (const result of finalResults) {
+        if (result.rhymeType.includes('句尾')) {
+            endRhymeCount++;
+        }
+        matchLevelCounts[result.matchLevel]++;
+    }
     
-    // 5. 生成分析摘要
     const summary = {
         totalLines: rhymeGroups.length,
         totalRhymeCount: finalResults.length,
+        totalChainCount: rhymeChains.length,
         rhymeTypes: {
             endRhyme: endRhymeCount,
-            internalRhyme: internalRhymeCount
-        }
+            internalRhyme: finalResults.length - endRhymeCount
+        },
+        rhymePrecision: rhymePrecision,
+        endRhymeTone: endRhymeTone,
+        similarityThreshold: similarityThreshold,
+        matchLevels: matchLevelCounts
+    };
+    
+    // 供下一次增量分析使用的状态
+    const incrementalState = {
+        settingsKey: settingsKey,
+        nextIdNumber: nextIdNumber,
+        colorIndex: colorIndex,
+        colors: Object.fromEntries(rhymeGroupColors),
+        joinedIds: finalJoinedIds
     };
     
     return {
         rhymeGroups: rhymeGroups,
         analysisResults: finalResults,
-        summary: summary
+        rhymeChains: rhymeChains,
+        summary: summary,
+        incrementalState: incrementalState
     };
 }
 
@@ -1,25 +1,52 @@
 /**
  * 韵脚转换器模块
  * 负责将文本转换为包含拼音和韵脚组信息的数据结构
+ * 读音由当前的读音系统（普通话、粤语或中华新韵、平水韵等韵书，参见pronunciationSystems.js）提供，韵脚映射表需与读音系统对应
  */
 
+import { parseLyrics, getTimeTagRanges } from './lyricParser.js';
+import { PRONUNCIATION_SYSTEMS, mandarinSystem, cantoneseSystem } from './pronunciationSystems.js';
+import { PUNCTUATION_PATTERN, splitPhrases } from './phraseSegmenter.js';
+import { ENGLISH_WORD_PATTERN, getEnglishRhymeTail, getEnglishRhymeSyllable, getEnglishRhymeClass } from './englishRhymes.js';
+import { extractBeatMarks, assignBeatMarks, applyBeatLayout, BAR_MARK, BEAT_MARK } from './beatLayout.js';
+import { assignSourceOffsets } from './sourceMapping.js';
+
+// 普通话的平仄判断，供只处理普通话的模块（如押韵词典）使用
+export { getMandarinToneClass as getToneClass } from './pronunciationSystems.js';
+
 // 韵脚映射表缓存
 let rhymeMappings = {};
 let isMappingsLoaded = false;
+// 映射表每次更新时递增，供依赖映射表的缓存（如押韵词典索引）判断是否需要重建
+let mappingsVersion = 0;
+
+// 英文押韵词表，未加载时英文单词按拼写推测押韵部分
+let englishRhymes = {};
+
+// 当前的读音系统，默认为普通话
+let pronunciationSystem = mandarinSystem;
+
+// 逐行转换结果缓存，键由行文本和该行的读音覆盖组成
+const lineCache = new Map();
+const LINE_CACHE_LIMIT = 1000;
 
 /**
  * 加载韵脚映射表
+ * @param {string|URL} [url] - 映射表地址，默认为当前读音系统的映射表（普通话为'assets/rhyme-mappings.json'），
+ *   在Worker中需传入相对Worker脚本解析后的地址
  * @returns {Promise<void>}
  * @throws {Error} 加载失败时抛出错误
  */
-export async function loadRhymeMappings() {
+export async function loadRhymeMappings(url = pronunciationSystem.mappingsPath) {
     try {
-        const response = await fetch('assets/rhyme-mappings.json');
+        const response = await fetch(url);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         rhymeMappings = await response.json();
         isMappingsLoaded = true;
+        mappingsVersion++;
+        lineCache.clear();
         console.log('韵脚映射表加载完成');
     } catch (e) {
         console.error('加载韵脚映射表失败:', e);
@@ -28,12 +55,115 @@ export async function loadRhymeMappings() {
 }
 
 /**
- * 获取单个拼音的韵脚组信息
- * @param {string} pinyin - 单个汉字的拼音
- * @returns {Object} 包含normalGroup和strictGroup的韵脚组信息
+ * 加载英文押韵词表（由utils/englishRhymeGenerator.js根据CMU发音词典生成）
+ * @param {string|URL} [url='assets/english-rhymes.json'] - 词表地址，在Worker中需传入相对Worker脚本解析后的地址
+ * @returns {Promise<void>}
+ * @throws {Error} 加载失败时抛出错误
+ */
+export async function loadEnglishRhymes(url = 'assets/english-rhymes.json') {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        setEnglishRhymes(await response.json());
+    } catch (e) {
+        console.error('加载英文押韵词表失败:', e);
+        throw new Error(`加载英文押韵词表失败: ${e.message}`);
+    }
+}
+
+/**
+ * 直接设置英文押韵词表，供无法使用fetch的环境（如Node.js脚本）使用
+ * @param {Object} rhymes - 英文押韵词表，键为小写单词，值为押韵部分（如'flow': 'OW'）
+ */
+export function setEnglishRhymes(rhymes) {
+    if (typeof rhymes !== 'object' || rhymes === null) {
+        throw new Error('英文押韵词表必须是对象');
+    }
+    englishRhymes = rhymes;
+    mappingsVersion++;
+    lineCache.clear();
+}
+
+/**
+ * 设置拼音库，供没有全局pinyinPro的环境（如Node.js脚本）使用
+ * @param {Object} library - pinyin-pro库，需提供pinyin函数
+ */
+export function setPinyinLibrary(library) {
+    mandarinSystem.setLibrary(library);
+    lineCache.clear();
+}
+
+/**
+ * 设置粤拼库，供没有全局ToJyutping的环境（如Node.js脚本）使用
+ * @param {Object} library - to-jyutping库
+ */
+export function setJyutpingLibrary(library) {
+    cantoneseSystem.setLibrary(library);
+    lineCache.clear();
+}
+
+/**
+ * 切换读音系统
+ * 切换后原有的韵脚映射表不再适用，需重新调用loadRhymeMappings()或setRhymeMappings()加载对应的映射表
+ * @param {string} systemId - 读音系统ID：'mandarin'普通话、'xinyun'中华新韵、'pingshui'平水韵、'cantonese'粤语
+ * @throws {Error} 读音系统不存在时抛出错误
+ */
+export function setPronunciationSystem(systemId) {
+    const system = PRONUNCIATION_SYSTEMS[systemId];
+    if (!system) {
+        throw new Error(`未知的读音系统: ${systemId}`);
+    }
+    if (system === pronunciationSystem) {
+        return;
+    }
+    pronunciationSystem = system;
+    rhymeMappings = {};
+    isMappingsLoaded = false;
+    mappingsVersion++;
+    lineCache.clear();
+}
+
+/**
+ * 获取当前的读音系统
+ * @returns {Object} 读音系统，参见pronunciationSystems.js
+ */
+export function getPronunciationSystem() {
+    return pronunciationSystem;
+}
+
+/**
+ * 直接设置韵脚映射表，供无法使用fetch的环境（如Node.js脚本）使用
+ * @param {Object} mappings - 当前读音系统的韵脚映射表，键为拼音（粤语为韵母，平水韵为汉字），格式参见pronunciationSystems.js
+ */
+export function setRhymeMappings(mappings) {
+    if (typeof mappings !== 'object' || mappings === null) {
+        throw new Error('韵脚映射表必须是对象');
+    }
+    rhymeMappings = mappings;
+    isMappingsLoaded = true;
+    mappingsVersion++;
+    lineCache.clear();
+}
+
+/**
+ * 获取韵脚映射表的版本号，映射表每次加载或设置后递增
+ * @returns {number} 版本号，尚未加载时为0
+ */
+export function getRhymeMappingsVersion() {
+    return mappingsVersion;
+}
+
+/**
+ * 获取单个读音的韵脚组信息
+ * @param {string} pinyin - 单个汉字的无声调读音（普通话为拼音，粤语为粤拼）
+ * @param {string} [char=''] - 汉字，平水韵等以汉字为键的韵书需要
+ * @param {number} [tone=0] - 声调，用于在韵书中区分多音字的读音
+ * @returns {Object} 包含normalGroup和strictGroup的韵脚组信息，韵书还可能包含toneClass（韵部的平仄）和alternativeGroups（多音字的其他韵部）
  * @throws {Error} 当韵脚映射表未加载时抛出错误
  */
-export function getRhymeInfo(pinyin) {
+export function getRhymeInfo(pinyin, char = '', tone = 0) {
     if (!isMappingsLoaded) {
         throw new Error('韵脚映射表尚未加载完成，请先调用loadRhymeMappings()');
     }
@@ -42,13 +172,173 @@ export function getRhymeInfo(pinyin) {
         return { normalGroup: '未知', strictGroup: '未知' };
     }
     
-    return rhymeMappings[pinyin.trim()] || { normalGroup: '未知', strictGroup: '未知' };
+    return pronunciationSystem.lookupRhyme(rhymeMappings, pinyin.trim(), char, tone) || { normalGroup: '未知', strictGroup: '未知' };
+}
+
+/**
+ * 获取单个汉字的候选读音列表（多音字）
+ * @param {string} char - 单个汉字
+ * @param {string} [contextPinyin] - 结合上下文得到的读音，存在时排在首位
+ * @returns {Array<string>} 去重后的无声调读音列表，非汉字返回空数组
+ */
+export function getPolyphonicReadings(char, contextPinyin = '') {
+    const readings = pronunciationSystem.getReadings(char);
+    
+    if (contextPinyin) {
+        readings.unshift(contextPinyin);
+    }
+    return [...new Set(readings)];
+}
+
+/**
+ * 将英文单词转换为一个字符信息
+ * 以普通话音节为键的读音系统按单词对应的普通话音节查找韵脚组，使英文单词能与汉字押韵；
+ * 其他读音系统（或映射表中没有该音节时）以英文韵类为常规韵脚组，只与英文单词押韵
+ * @param {string} word - 英文单词
+ * @returns {Object} 字符信息，pinyin为押韵部分的ARPAbet音标（如'OW'），isEnglish为true
+ */
+function convertEnglishWord(word) {
+    const rhymeTail = getEnglishRhymeTail(word, englishRhymes);
+    const groupInfo = rhymeTail && pronunciationSystem.mapsEnglishWords
+        ? pronunciationSystem.lookupRhyme(rhymeMappings, getEnglishRhymeSyllable(rhymeTail))
+        : null;
+    
+    return {
+        char: word,
+        pinyin: rhymeTail,
+        normalGroup: groupInfo ? groupInfo.normalGroup : getEnglishRhymeClass(rhymeTail) || '未知',
+        strictGroup: groupInfo ? groupInfo.strictGroup : rhymeTail || '未知',
+        tone: 0,
+        toneClass: '',
+        readings: [],
+        isOverridden: false,
+        isEnglish: true
+    };
+}
+
+/**
+ * 将单行文本转换为逐字的读音和韵脚组信息
+ * 整行交给读音系统转换，使其能够根据词语上下文判断多音字读音；英文单词作为一个整体占一个字符位置
+ * @param {string} line - 已去除首尾空白的单行文本
+ * @param {Object} [lineOverrides] - 该行的读音覆盖，键为字符下标，值为拼音
+ * @returns {Array<Object>} 该行的字符信息数组
+ */
+function convertLineToCharInfos(line, lineOverrides = {}) {
+    // 读音系统按原文逐项返回结果，按origin逐字对齐，保证标点、英文等非汉字不会错位
+    const units = [];
+    for (const item of pronunciationSystem.convertLine(line)) {
+        for (const char of Array.from(item.origin)) {
+            units.push({ char, item });
+        }
+    }
+    
+    const charInfos = [];
+    let unitIndex = 0;
+    while (unitIndex < units.length) {
+        const { char, item } = units[unitIndex];
+        
+        // 读音系统将英文逐个字母返回，连续的字母合并为一个单词
+        if (!item.isZh && /[A-Za-z]/.test(char)) {
+            let rest = '';
+            for (let i = unitIndex; i < units.length && !units[i].item.isZh; i++) {
+                rest += units[i].char;
+            }
+            const wordMatch = rest.match(ENGLISH_WORD_PATTERN);
+            if (wordMatch) {
+                charInfos.push(convertEnglishWord(wordMatch[0]));
+                unitIndex += wordMatch[0].length;
+                continue;
+            }
+        }
+        unitIndex++;
+        
+        const charIndex = charInfos.length;
+        const contextPinyin = item.reading;
+        const overridePinyin = lineOverrides[charIndex];
+        const isOverridden = item.isZh && typeof overridePinyin === 'string' && overridePinyin !== '';
+        const pinyinStr = isOverridden ? overridePinyin : contextPinyin;
+        const tone = !item.isZh ? 0 : isOverridden ? pronunciationSystem.getReadingTone(char, overridePinyin) : item.tone;
+        
+        // 获取韵脚组信息，韵书按韵部的声调给出平仄（如入声字一律为仄）
+        const groupInfo = getRhymeInfo(pinyinStr, char, tone);
+        
+        const charInfo = {
+            char: char,
+            pinyin: pinyinStr,
+            normalGroup: groupInfo.normalGroup,
+            strictGroup: groupInfo.strictGroup,
+            tone: tone,
+            toneClass: !item.isZh ? '' : groupInfo.toneClass || pronunciationSystem.getToneClass(tone, pinyinStr),
+            readings: item.isZh ? getPolyphonicReadings(char, contextPinyin) : [],
+            isOverridden: isOverridden
+        };
+        if (!item.isZh && PUNCTUATION_PATTERN.test(char)) {
+            // 标点保留用于显示，但不计入句子的字数，参见phraseSegmenter.js
+            charInfo.isPunctuation = true;
+        }
+        if (groupInfo.alternativeGroups) {
+            charInfo.alternativeGroups = groupInfo.alternativeGroups.slice();
+        }
+        charInfos.push(charInfo);
+    }
+    
+    return charInfos;
+}
+
+/**
+ * 获取单行的字符信息，行文本和读音覆盖都未变化时直接使用缓存
+ * @param {string} line - 已去除首尾空白的单行文本
+ * @param {Object} [lineOverrides] - 该行的读音覆盖
+ * @returns {Array<Object>} 该行的字符信息数组（副本，可安全修改）
+ */
+function getLineCharInfos(line, lineOverrides) {
+    const cacheKey = `${JSON.stringify(lineOverrides || {})}\n${line}`;
+    let charInfos = lineCache.get(cacheKey);
+    
+    if (charInfos) {
+        // 重新插入以更新使用顺序，缓存满时淘汰最久未使用的行
+        lineCache.delete(cacheKey);
+    } else {
+        charInfos = convertLineToCharInfos(line, lineOverrides);
+        if (lineCache.size >= LINE_CACHE_LIMIT) {
+            lineCache.delete(lineCache.keys().next().value);
+        }
+    }
+    lineCache.set(cacheKey, charInfos);
+    
+    return charInfos.map(charInfo => ({ ...charInfo, readings: charInfo.readings.slice() }));
+}
+
+/**
+ * 获取转换时从一行原文中去除的范围：时间标签，以及标记节拍时的节拍标记
+ * @param {string} source - 该行的原文
+ * @param {boolean} isBeatMarkup - 是否按标记排布节拍
+ * @returns {Array<Object>} 去除的范围[{ start, end }]，按位置排列
+ */
+function getSkippedRanges(source, isBeatMarkup) {
+    const tagRanges = getTimeTagRanges(source);
+    if (!isBeatMarkup) {
+        return tagRanges;
+    }
+    const ranges = tagRanges.slice();
+    for (let i = 0; i < source.length; i++) {
+        if ((source[i] === BAR_MARK || source[i] === BEAT_MARK) && !tagRanges.some(range => range.start <= i && i < range.end)) {
+            ranges.push({ start: i, end: i + 1 });
+        }
+    }
+    return ranges.sort((a, b) => a.start - b.start);
 }
 
 /**
  * 将文本转换为包含拼音和韵脚组信息的数据结构
- * @param {string} text - 要转换的文本，支持多行
- * @returns {Array<Object>} 转换后的韵脚组数据结构
+ * @param {string} text - 要转换的文本，支持多行，支持LRC格式（时间标签和元数据不参与转换）
+ * @param {Object} [options] - 转换选项
+ * @param {Object} [options.pinyinOverrides] - 手动指定的读音，键为行文本，值为{字符下标: 拼音}
+ * @param {string} [options.phraseSeparators=''] - 除换行外作为句尾的字符（预设参见phraseSegmenter.js的PHRASE_SEPARATOR_PRESETS），
+ *   指定后一行按分隔符拆分为多个短句，每个短句作为单独的一行分析
+ * @param {Object} [options.beatLayout] - 节拍排布选项（参见beatLayout.js的applyBeatLayout），指定后每个字另有bar和beat；
+ *   mode为'markup'时歌词中的"|""/"作为节拍标记，从行文本中去除，标记之后的字另有beatMark
+ * @returns {Array<Object>} 转换后的韵脚组数据结构，每个字另有sourceStart、sourceEnd，为该字在text中的范围（参见sourceMapping.js）
  * @throws {Error} 输入验证失败或转换过程中出错时抛出错误
  * 
  * @example
@@ -58,15 +348,28 @@ export function getRhymeInfo(pinyin) {
  * [
  *   {
  *     line: '床前明月光',
+ *     time: null, // LRC歌词中该行的时间（秒），没有时间标签时为null
+ *     stanza: 0, // 段落序号，原文中的空行分隔段落
+ *     phrase: 0, // 该行在原文行中的短句序号，不拆分短句时为0
+ *     // 排布节拍后另有beatsPerBar（每小节的拍数）
  *     charInfos: [
- *       { char: '床', pinyin: 'chuang', normalGroup: 'ang', strictGroup: 'uang' },
+ *       {
+ *         // 粤语模式下pinyin为粤拼（如'cong'），tone为1-6；
+ *         // 平水韵模式下normalGroup为韵部（如'七阳'），strictGroup为广韵韵目（如'阳'），
+ *         // 多音字属于多个韵部时另有alternativeGroups（如['二十三漾']）
+ *         char: '床', pinyin: 'chuang', normalGroup: 'ANG', strictGroup: 'uang',
+ *         tone: 2, toneClass: '平', readings: ['chuang'], isOverridden: false
+ *       },
+ *       // 英文单词整体为一项，如{ char: 'flow', pinyin: 'OW', normalGroup: 'OU', strictGroup: 'ou', tone: 0,
+ *       //   toneClass: '', readings: [], isOverridden: false, isEnglish: true }
+ *       // 排布节拍后每个非标点字另有bar（小节序号）和beat（小节内的拍位），如{ ..., bar: 0, beat: 1.5 }
  *       // ... 其他字的信息
  *     ]
  *   },
  *   // ... 其他行的信息
  * ]
  */
-export function convertTextToRhymeGroups(text) {
+export function convertTextToRhymeGroups(text, options = {}) {
     // 输入验证
     if (typeof text !== 'string') {
         throw new Error('输入必须是字符串类型');
@@ -80,42 +383,38 @@ export function convertTextToRhymeGroups(text) {
         throw new Error('韵脚映射表尚未加载完成，请先调用loadRhymeMappings()');
     }
     
+    const { pinyinOverrides = {}, phraseSeparators = '', beatLayout = null } = options;
+    const isBeatMarkup = Boolean(beatLayout) && beatLayout.mode === 'markup';
+    
     try {
-        // 从pinyinPro库获取pinyin函数
-        const { pinyin } = pinyinPro;
-        
-        const lines = text.split('\n').filter(line => line.trim() !== '');
+        // 去除时间标签和元数据，只转换歌词文本，空行不转换但保留为段落序号
+        const { lines } = parseLyrics(text);
         const rhymeInfo = [];
         
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            const chars = trimmedLine.split('');
-            const charInfos = [];
-            
-            // 转换每个字为拼音并获取韵脚组
-            for (const char of chars) {
-                // 获取字的完整拼音
-                const fullPinyin = pinyin(char, { toneType: 'none', type: 'array' });
-                const pinyinStr = fullPinyin.length > 0 ? fullPinyin[0] : '';
-                
-                // 获取韵脚组信息
-                const groupInfo = getRhymeInfo(pinyinStr);
-                
-                charInfos.push({
-                    char: char,
-                    pinyin: pinyinStr,
-                    normalGroup: groupInfo.normalGroup,
-                    strictGroup: groupInfo.strictGroup
+        for (const { text: sourceText, time, stanza, source, sourceOffset } of lines) {
+            const { text: lineText, marks } = isBeatMarkup ? extractBeatMarks(sourceText) : { text: sourceText, marks: null };
+            let searchFrom = 0;
+            const lineCharInfos = [];
+            splitPhrases(lineText, phraseSeparators).forEach((phraseText, phrase) => {
+                const charInfos = getLineCharInfos(phraseText, pinyinOverrides[phraseText]);
+                if (marks) {
+                    const startOffset = lineText.indexOf(phraseText, searchFrom);
+                    searchFrom = startOffset + phraseText.length;
+                    assignBeatMarks(charInfos, startOffset, marks);
+                }
+                lineCharInfos.push(...charInfos);
+                rhymeInfo.push({
+                    line: phraseText,
+                    time,
+                    stanza,
+                    phrase,
+                    charInfos
                 });
-            }
-            
-            rhymeInfo.push({
-                line: trimmedLine,
-                charInfos: charInfos
             });
+            assignSourceOffsets(lineCharInfos, source, sourceOffset, getSkippedRanges(source, isBeatMarkup));
         }
         
-        return rhymeInfo;
+        return beatLayout ? applyBeatLayout(rhymeInfo, beatLayout) : rhymeInfo;
     } catch (e) {
         console.error('拼音转换失败:', e);
         throw new Error(`拼音转换失败: ${e.message}`);
@@ -0,0 +1,183 @@
+/**
+ * 押韵词典模块
+ * 负责加载本地词表，按韵脚组序列建立索引，为选中的字词查找押韵的候选词语
+ */
+
+import { getRhymeInfo, getToneClass, getRhymeMappingsVersion } from './rhymeConverter.js';
+import { getLooseGroup } from './rhymeAnalyzer.js';
+
+// 词表中词语的最大字数，查询超过该字数时只取最后几个字
+export const MAX_RHYME_WORD_LENGTH = 4;
+
+// 默认返回的候选词语数量
+const DEFAULT_SUGGESTION_LIMIT = 60;
+
+// 词表缓存，每项为[词语, 带声调数字的拼音]，按词频从高到低排列
+let rhymeWords = [];
+let isWordsLoaded = false;
+
+// 按韵脚组序列建立的索引，韵脚映射表更新后重建
+let dictionaryIndex = null;
+
+/**
+ * 加载押韵词典词表
+ * @param {string|URL} [url='assets/rhyme-words.json'] - 词表地址
+ * @returns {Promise<void>}
+ * @throws {Error} 加载失败时抛出错误
+ */
+export async function loadRhymeWords(url = 'assets/rhyme-words.json') {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        setRhymeWords(await response.json());
+    } catch (e) {
+        console.error('加载押韵词典失败:', e);
+        throw new Error(`加载押韵词典失败: ${e.message}`);
+    }
+}
+
+/**
+ * 直接设置押韵词典词表，供无法使用fetch的环境（如Node.js脚本）使用
+ * @param {Array<Array<string>>} words - 词表，每项为[词语, 带声调数字的拼音]，如['银行', 'yin2 hang2']
+ */
+export function setRhymeWords(words) {
+    if (!Array.isArray(words)) {
+        throw new Error('押韵词典词表必须是数组');
+    }
+    rhymeWords = words;
+    isWordsLoaded = true;
+    dictionaryIndex = null;
+}
+
+/**
+ * 将词语加入索引
+ * @param {Map<string, Array<Object>>} index - 索引
+ * @param {string} key - 韵脚组序列键
+ * @param {Object} entry - 词语条目
+ */
+function addToIndex(index, key, entry) {
+    if (!index.has(key)) {
+        index.set(key, []);
+    }
+    index.get(key).push(entry);
+}
+
+/**
+ * 获取按韵脚组序列建立的索引，词表或韵脚映射表变化后重新建立
+ * @returns {Object} { strict, normal, loose }，每项为韵脚组序列键到词语条目数组的映射
+ */
+function getDictionaryIndex() {
+    const mappingsVersion = getRhymeMappingsVersion();
+    if (dictionaryIndex && dictionaryIndex.mappingsVersion === mappingsVersion) {
+        return dictionaryIndex;
+    }
+
+    const index = { mappingsVersion, strict: new Map(), normal: new Map(), loose: new Map() };
+    rhymeWords.forEach(([word, pinyinText], rank) => {
+        const syllables = pinyinText.split(' ');
+        const pinyins = syllables.map(syllable => syllable.replace(/[0-4]$/, ''));
+        const tones = syllables.map(syllable => parseInt(syllable.slice(-1), 10) || 0);
+        const rhymeInfos = pinyins.map(pinyin => getRhymeInfo(pinyin));
+
+        // 有无法识别韵脚的字时不收录
+        if (rhymeInfos.some(info => info.normalGroup === '未知')) {
+            return;
+        }
+
+        const entry = {
+            word,
+            rank,
+            pinyins,
+            tones,
+            toneClasses: tones.map(tone => getToneClass(tone)),
+            normalGroups: rhymeInfos.map(info => info.normalGroup),
+            strictGroups: rhymeInfos.map(info => `${info.normalGroup}:${info.strictGroup}`)
+        };
+        // 按词尾的每种字数分别建立索引，使单押、双押的查询也能找到更长的词语
+        for (let suffixLength = 1; suffixLength <= word.length; suffixLength++) {
+            const normalSuffix = entry.normalGroups.slice(-suffixLength);
+            addToIndex(index.strict, entry.strictGroups.slice(-suffixLength).join(' '), entry);
+            addToIndex(index.normal, normalSuffix.join(' '), entry);
+            addToIndex(index.loose, normalSuffix.map(getLooseGroup).join(' '), entry);
+        }
+    });
+
+    dictionaryIndex = index;
+    return index;
+}
+
+/**
+ * 查找与给定字词押韵的词语
+ * 候选词语的最后几个字与查询逐字押韵，按严韵字数、同声调字数、字数和词频排序，
+ * 与查询字数相同的词语优先；词尾与查询完全相同的词语（同字押韵）不列出
+ * @param {Array<Object>} charInfos - 查询字词的字符信息（来自convertTextToRhymeGroups），只能包含汉字或英文单词
+ * @param {Object} [options] - 查询选项
+ * @param {string} [options.precision='normal'] - 押韵精度：'loose'宽韵、'normal'常韵、'strict'严韵
+ * @param {string} [options.tone='any'] - 最后一个字的声调要求：'any'不限、'same'同声调、'pingze'同平仄
+ * @param {number} [options.limit=60] - 最多返回的候选数量
+ * @returns {Array<Object>} 候选词语数组，每项为{ word, pinyin, matchLevel, strictMatches }，
+ *   pinyin为带声调数字的拼音，matchLevel为该词能够通过的最高精度
+ * @throws {Error} 词表未加载或查询包含没有韵脚组的字符时抛出错误
+ */
+export function findRhymingWords(charInfos, options = {}) {
+    if (!isWordsLoaded) {
+        throw new Error('押韵词典尚未加载完成，请先调用loadRhymeWords()');
+    }
+    if (!Array.isArray(charInfos) || charInfos.length === 0) {
+        return [];
+    }
+    if (charInfos.some(charInfo => !charInfo.pinyin || charInfo.normalGroup === '未知')) {
+        throw new Error('押韵词典只能查询汉字');
+    }
+
+    const { precision = 'normal', tone = 'any', limit = DEFAULT_SUGGESTION_LIMIT } = options;
+    const index = getDictionaryIndex();
+    if (!index[precision]) {
+        throw new Error(`未知的押韵精度: ${precision}`);
+    }
+
+    const queryWord = charInfos.map(charInfo => charInfo.char).join('');
+    const normalGroups = charInfos.map(charInfo => charInfo.normalGroup);
+    const strictGroups = charInfos.map(charInfo => `${charInfo.normalGroup}:${charInfo.strictGroup}`);
+    const queryKey = precision === 'strict' ? strictGroups.join(' ') :
+        precision === 'loose' ? normalGroups.map(getLooseGroup).join(' ') : normalGroups.join(' ');
+
+    const length = charInfos.length;
+    const lastTone = charInfos[length - 1].tone || 0;
+    const lastToneClass = getToneClass(lastTone);
+
+    const candidates = (index[precision].get(queryKey) || []).filter(entry => {
+        if (entry.word.slice(-length) === queryWord) {
+            return false;
+        }
+        if (tone === 'same') {
+            return entry.tones[entry.tones.length - 1] === lastTone;
+        }
+        if (tone === 'pingze') {
+            return lastToneClass !== '' && entry.toneClasses[entry.toneClasses.length - 1] === lastToneClass;
+        }
+        return true;
+    });
+
+    return candidates
+        .map(entry => {
+            // 只比较与查询对应的词尾
+            const offset = entry.word.length - length;
+            const strictMatches = strictGroups.filter((group, i) => group === entry.strictGroups[offset + i]).length;
+            const sameTones = charInfos.filter((charInfo, i) => (charInfo.tone || 0) === entry.tones[offset + i]).length;
+            const matchLevel = strictMatches === length ? 'strict' :
+                normalGroups.every((group, i) => group === entry.normalGroups[offset + i]) ? 'normal' : 'loose';
+            return { entry, offset, strictMatches, sameTones, matchLevel };
+        })
+        .sort((a, b) => b.strictMatches - a.strictMatches || b.sameTones - a.sameTones ||
+            a.offset - b.offset || a.entry.rank - b.entry.rank)
+        .slice(0, limit)
+        .map(({ entry, strictMatches, matchLevel }) => ({
+            word: entry.word,
+            pinyin: entry.pinyins.map((pinyin, i) => `${pinyin}${entry.tones[i]}`).join(' '),
+            matchLevel,
+            strictMatches
+        }));
+}
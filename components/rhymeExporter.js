@@ -0,0 +1,325 @@
+/**
+ * 押韵导出模块
+ * 负责将押韵分析结果导出为JSON、独立HTML、Markdown和PNG图片
+ */
+
+import { PRECISION_LABELS } from './rhymeAnalyzer.js';
+import { computeRhymeStats, SEQUENCE_LENGTH_LABELS, RHYME_CATEGORY_LABELS } from './rhymeStats.js';
+
+// 导出HTML和PNG使用的配色，与页面主题一致
+const EXPORT_BACKGROUND_COLOR = '#000000';
+const EXPORT_TEXT_COLOR = '#ffffff';
+const EXPORT_MUTED_COLOR = '#999999';
+const EXPORT_BORDER_COLOR = '#ff00ff';
+
+// PNG导出的排版参数（像素，未乘缩放倍数）
+const PNG_FONT_SIZE = 24;
+const PNG_LINE_HEIGHT = 44;
+const PNG_PADDING = 32;
+const PNG_FONT_FAMILY = "'PingFang SC', 'Microsoft YaHei', 'Noto Sans CJK SC', sans-serif";
+
+/**
+ * 校验分析结果
+ * @param {Object} analysisResult - 押韵分析结果
+ * @throws {Error} 分析结果无效时抛出错误
+ */
+function assertAnalysisResult(analysisResult) {
+    if (!analysisResult || !analysisResult.rhymeGroups || !analysisResult.analysisResults) {
+        throw new Error('无效的押韵分析结果');
+    }
+}
+
+/**
+ * 为每个字符找到覆盖它的第一个押韵结果，与可视化模块的取色规则一致
+ * @param {Array<Object>} analysisResults - 押韵分析结果
+ * @returns {Map<string, Object>} 键为"line-char"，值为押韵结果
+ */
+function createMainMarkers(analysisResults) {
+    const markers = new Map();
+    analysisResults.forEach(result => {
+        result.positions.forEach(pos => {
+            const length = pos.length || 1;
+            for (let i = 0; i < length; i++) {
+                const key = `${pos.line}-${pos.char + i}`;
+                if (!markers.has(key)) {
+                    markers.set(key, result);
+                }
+            }
+        });
+    });
+    return markers;
+}
+
+/**
+ * 将每行拆分为连续的押韵片段和普通片段
+ * @param {Object} group - 行的韵脚组信息
+ * @param {number} lineIndex - 行下标
+ * @param {Map<string, Object>} markers - 字符对应的押韵结果
+ * @returns {Array<Object>} 片段数组，每项为{text, result}，普通片段的result为null
+ */
+function splitLineSegments(group, lineIndex, markers) {
+    const segments = [];
+    group.charInfos.forEach((charInfo, charIndex) => {
+        const result = markers.get(`${lineIndex}-${charIndex}`) || null;
+        const last = segments[segments.length - 1];
+        if (last && last.result === result) {
+            last.text += charInfo.char;
+        } else {
+            segments.push({ text: charInfo.char, result });
+        }
+    });
+    return segments;
+}
+
+/**
+ * 生成单个押韵结果的说明文字，如"光（第1行）— 霜（第2行） 句尾押韵 ANG 常韵"
+ * @param {Object} result - 押韵结果
+ * @returns {string} 说明文字
+ */
+function describeRhymeResult(result) {
+    const words = result.positions
+        .map((pos, index) => `${result.chars[index].join('')}（第${pos.line + 1}行）`)
+        .join(' — ');
+    const similarity = typeof result.similarity === 'number' ? result.similarity : 1;
+    const levelText = (PRECISION_LABELS[result.matchLevel] || '') +
+        (similarity < 1 ? ` ${Math.round(similarity * 100)}%` : '');
+    return `${words} ${result.rhymeType} ${result.sequence.join(' ')} ${levelText}`.trim();
+}
+
+/**
+ * 转义HTML特殊字符，歌词等用户输入的文本拼入HTML前都需转义
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 转义Markdown特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_\[\]<>|~])/g, '\\$1');
+}
+
+/**
+ * 导出结构化JSON，包含完整的韵脚组、押韵结果、摘要和统计数据
+ * @param {Object} analysisResult - 押韵分析结果
+ * @returns {string} JSON字符串
+ */
+export function exportAnalysisAsJson(analysisResult) {
+    assertAnalysisResult(analysisResult);
+
+    // 增量分析状态只用于下一次分析，不属于结果
+    const { incrementalState, ...exported } = analysisResult;
+    return JSON.stringify({ ...exported, stats: computeRhymeStats(analysisResult) }, null, 2);
+}
+
+/**
+ * 导出独立的HTML文件，样式内联，不依赖页面的CSS和脚本
+ * @param {Object} analysisResult - 押韵分析结果
+ * @param {Object} [options] - 导出选项
+ * @param {string} [options.title='韵脚检查'] - 页面标题
+ * @returns {string} 完整的HTML文档字符串
+ */
+export function exportAnalysisAsHtml(analysisResult, options = {}) {
+    assertAnalysisResult(analysisResult);
+    const { title = '韵脚检查' } = options;
+    const { rhymeGroups, analysisResults } = analysisResult;
+    const markers = createMainMarkers(analysisResults);
+
+    let lyricsHtml = '';
+    rhymeGroups.forEach((group, lineIndex) => {
+        lyricsHtml += '<div class="line">';
+        splitLineSegments(group, lineIndex, markers).forEach(segment => {
+            if (segment.result) {
+                const color = segment.result.color;
+                lyricsHtml += `<span class="rhyme" style="color: ${color}; border-bottom-color: ${color};" title="${escapeHtml(describeRhymeResult(segment.result))}">${escapeHtml(segment.text)}</span>`;
+            } else {
+                lyricsHtml += escapeHtml(segment.text);
+            }
+        });
+        lyricsHtml += '</div>';
+    });
+
+    let detailsHtml = '';
+    analysisResults.forEach(result => {
+        detailsHtml += `<li><span class="swatch" style="background-color: ${result.color};"></span>${escapeHtml(describeRhymeResult(result))}</li>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; padding: 32px; background: ${EXPORT_BACKGROUND_COLOR}; color: ${EXPORT_TEXT_COLOR}; font-family: 'Courier New', Courier, monospace; line-height: 1.8; }
+h1 { font-size: 1.6rem; text-align: center; }
+.lyrics { max-width: 720px; margin: 0 auto 24px; padding: 20px; border: 2px solid ${EXPORT_BORDER_COLOR}; border-radius: 8px; text-align: center; font-size: 1.2rem; font-weight: 600; }
+.line { min-height: 1.8em; }
+.rhyme { border-bottom: 2px solid; font-weight: bold; }
+.summary, .details { max-width: 720px; margin: 0 auto; color: ${EXPORT_MUTED_COLOR}; }
+.details li { list-style: none; margin: 4px 0; }
+.swatch { display: inline-block; width: 10px; height: 10px; margin-right: 8px; border-radius: 2px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="lyrics">${lyricsHtml}</div>
+<p class="summary">${escapeHtml(generateSummaryText(analysisResult))}</p>
+<ul class="details">${detailsHtml}</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * 导出Markdown，押韵字词加粗并标注押韵编号，文末附押韵列表
+ * @param {Object} analysisResult - 押韵分析结果
+ * @returns {string} Markdown字符串
+ */
+export function exportAnalysisAsMarkdown(analysisResult) {
+    assertAnalysisResult(analysisResult);
+    const { rhymeGroups, analysisResults } = analysisResult;
+    const markers = createMainMarkers(analysisResults);
+
+    // 押韵编号按出现顺序从1开始，便于在正文和列表之间对照
+    const resultNumbers = new Map();
+    analysisResults.forEach((result, index) => {
+        resultNumbers.set(result, index + 1);
+    });
+
+    const lines = rhymeGroups.map((group, lineIndex) => {
+        const text = splitLineSegments(group, lineIndex, markers)
+            .map(segment => segment.result
+                ? `**${escapeMarkdown(segment.text)}**<sup>${resultNumbers.get(segment.result)}</sup>`
+                : escapeMarkdown(segment.text))
+            .join('');
+        // 行尾两个空格保留换行
+        return `${text}  `;
+    });
+
+    let markdown = `${lines.join('\n')}\n\n`;
+    markdown += `> ${generateSummaryText(analysisResult)}\n`;
+    if (analysisResults.length > 0) {
+        markdown += '\n';
+        analysisResults.forEach(result => {
+            markdown += `${resultNumbers.get(result)}. ${escapeMarkdown(describeRhymeResult(result))}\n`;
+        });
+    }
+    markdown += `\n${generateStatsMarkdown(computeRhymeStats(analysisResult))}`;
+    return markdown;
+}
+
+/**
+ * 生成统计数据的Markdown表格
+ * @param {Object} stats - 押韵统计数据，参见computeRhymeStats
+ * @returns {string} Markdown字符串
+ */
+function generateStatsMarkdown(stats) {
+    let markdown = '| 统计 | 数值 |\n| --- | --- |\n';
+    Object.keys(SEQUENCE_LENGTH_LABELS).forEach(key => {
+        markdown += `| ${SEQUENCE_LENGTH_LABELS[key]} | ${stats.sequenceLengths[key]} |\n`;
+    });
+    Object.keys(RHYME_CATEGORY_LABELS).forEach(key => {
+        markdown += `| ${RHYME_CATEGORY_LABELS[key]} | ${stats.categories[key]} |\n`;
+    });
+    markdown += `| 每小节押韵 | ${stats.rhymesPerBar.toFixed(2)} |\n`;
+    if (stats.topRhymeGroups.length > 0) {
+        const groupText = stats.topRhymeGroups.map(item => `${item.group} ${item.count}`).join('、');
+        markdown += `| 常用韵脚组 | ${groupText} |\n`;
+    }
+    return markdown;
+}
+
+/**
+ * 导出PNG图片，绘制带颜色和下划线的歌词
+ * @param {Object} analysisResult - 押韵分析结果
+ * @param {Object} [options] - 导出选项
+ * @param {number} [options.scale=2] - 缩放倍数，用于高分辨率屏幕
+ * @returns {Promise<Blob>} PNG图片数据
+ */
+export function exportAnalysisAsPng(analysisResult, options = {}) {
+    assertAnalysisResult(analysisResult);
+    const { scale = 2 } = options;
+    const { rhymeGroups, analysisResults } = analysisResult;
+    const markers = createMainMarkers(analysisResults);
+    const summaryText = generateSummaryText(analysisResult);
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const lyricsFont = `600 ${PNG_FONT_SIZE}px ${PNG_FONT_FAMILY}`;
+    const summaryFont = `${Math.round(PNG_FONT_SIZE * 0.6)}px ${PNG_FONT_FAMILY}`;
+
+    // 先测量最宽的一行，确定画布尺寸
+    context.font = lyricsFont;
+    let contentWidth = Math.max(...rhymeGroups.map(group => context.measureText(group.line).width), 0);
+    context.font = summaryFont;
+    contentWidth = Math.max(contentWidth, context.measureText(summaryText).width);
+
+    const width = Math.ceil(contentWidth + PNG_PADDING * 2);
+    const height = Math.ceil(rhymeGroups.length * PNG_LINE_HEIGHT + PNG_LINE_HEIGHT + PNG_PADDING * 2);
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    context.scale(scale, scale);
+
+    context.fillStyle = EXPORT_BACKGROUND_COLOR;
+    context.fillRect(0, 0, width, height);
+    context.textBaseline = 'middle';
+
+    // 逐行居中绘制，押韵片段使用对应颜色并加下划线
+    context.font = lyricsFont;
+    rhymeGroups.forEach((group, lineIndex) => {
+        const centerY = PNG_PADDING + lineIndex * PNG_LINE_HEIGHT + PNG_LINE_HEIGHT / 2;
+        let x = (width - context.measureText(group.line).width) / 2;
+
+        splitLineSegments(group, lineIndex, markers).forEach(segment => {
+            const segmentWidth = context.measureText(segment.text).width;
+            context.fillStyle = segment.result ? segment.result.color : EXPORT_TEXT_COLOR;
+            context.fillText(segment.text, x, centerY);
+            if (segment.result) {
+                context.fillRect(x, centerY + PNG_FONT_SIZE / 2 + 2, segmentWidth, 2);
+            }
+            x += segmentWidth;
+        });
+    });
+
+    context.font = summaryFont;
+    context.fillStyle = EXPORT_MUTED_COLOR;
+    context.fillText(summaryText, PNG_PADDING, height - PNG_PADDING - PNG_LINE_HEIGHT / 2);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('生成图片失败'));
+            }
+        }, 'image/png');
+    });
+}
+
+/**
+ * 生成摘要文字
+ * @param {Object} analysisResult - 押韵分析结果
+ * @returns {string} 摘要文字
+ */
+function generateSummaryText(analysisResult) {
+    const { summary } = analysisResult;
+    let text = `押韵字词比例: ${computeRhymeStats(analysisResult).rhymeRatio}%`;
+    if (summary) {
+        text += `  押韵: ${summary.totalRhymeCount}处` +
+            `（句尾 ${summary.rhymeTypes.endRhyme} / 句间及句内 ${summary.rhymeTypes.internalRhyme}）`;
+        if (summary.rhymePrecision) {
+            text += `  精度: ${PRECISION_LABELS[summary.rhymePrecision]}`;
+        }
+    }
+    return text;
+}
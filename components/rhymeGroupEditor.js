@@ -0,0 +1,55 @@
+/**
+ * 韵脚分组编辑器模块
+ * 负责将韵脚分组配置渲染为可编辑的HTML，编辑操作由app.js通过事件委托处理
+ */
+
+/**
+ * 生成韵脚分组编辑器HTML
+ * 每个常规韵脚组为一张卡片，卡片内每行为一个严格韵脚组及其拼音；
+ * 拼音可拖到或选中后点击其他严格韵脚组移动，常规韵脚组可合并到其他组，严格韵脚组可拆分为新的常规韵脚组
+ * @param {Object} rhymeGroups - 韵脚分组配置
+ * @param {Object} [options] - 渲染选项
+ * @param {string} [options.selectedFinal] - 当前选中待移动的拼音
+ * @returns {string} 编辑器HTML字符串
+ */
+export function generateRhymeGroupEditor(rhymeGroups, options = {}) {
+    const { selectedFinal = null } = options;
+    const normalGroups = Object.keys(rhymeGroups);
+    let html = '<div class="group-editor">';
+
+    normalGroups.forEach(normalGroup => {
+        const strictGroups = rhymeGroups[normalGroup];
+        const canSplit = Object.keys(strictGroups).length > 1;
+
+        html += `<div class="group-card">`;
+        html += `<div class="group-card-header">`;
+        html += `<span class="group-name">${normalGroup}</span>`;
+        html += `<select class="group-merge-select" data-group="${normalGroup}">`;
+        html += `<option value="">合并到…</option>`;
+        normalGroups.forEach(target => {
+            if (target !== normalGroup) {
+                html += `<option value="${target}">${target}</option>`;
+            }
+        });
+        html += `</select>`;
+        html += `</div>`;
+
+        for (const [strictGroup, finals] of Object.entries(strictGroups)) {
+            html += `<div class="strict-group" data-group="${normalGroup}" data-strict="${strictGroup}">`;
+            html += `<span class="strict-group-name">${strictGroup}</span>`;
+            finals.forEach(final => {
+                const selectedClass = final === selectedFinal ? ' selected' : '';
+                html += `<span class="final-chip${selectedClass}" draggable="true" data-final="${final}">${final}</span>`;
+            });
+            if (canSplit) {
+                html += `<button type="button" class="group-split-button" data-group="${normalGroup}" data-strict="${strictGroup}" title="拆分为新的韵脚组">拆分</button>`;
+            }
+            html += `</div>`;
+        }
+
+        html += `</div>`;
+    });
+
+    html += '</div>';
+    return html;
+}
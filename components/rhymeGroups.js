@@ -0,0 +1,228 @@
+/**
+ * 韵脚分组配置模块
+ * 负责读取和编辑韵脚分组配置（常规韵脚组 → 严格韵脚组 → 拼音列表），并由配置生成韵脚映射表
+ * 浏览器中的分组编辑器和utils/rhymeMapGenerator.js共用同一套生成逻辑
+ */
+
+/**
+ * 加载韵脚分组配置
+ * @param {string|URL} [url='assets/rhyme-groups.json'] - 配置地址
+ * @returns {Promise<Object>} 韵脚分组配置
+ * @throws {Error} 加载失败时抛出错误
+ */
+export async function loadRhymeGroups(url = 'assets/rhyme-groups.json') {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return normalizeRhymeGroups(await response.json());
+    } catch (e) {
+        console.error('加载韵脚分组配置失败:', e);
+        throw new Error(`加载韵脚分组配置失败: ${e.message}`);
+    }
+}
+
+/**
+ * 复制韵脚分组配置，并去除拼音首尾的空白
+ * @param {Object} rhymeGroups - 韵脚分组配置，如{ A: { a: ['a', 'ba'], ia: ['jia'] } }
+ * @returns {Object} 新的韵脚分组配置
+ * @throws {Error} 配置结构无效时抛出错误
+ */
+export function normalizeRhymeGroups(rhymeGroups) {
+    if (!rhymeGroups || typeof rhymeGroups !== 'object' || Array.isArray(rhymeGroups)) {
+        throw new Error('韵脚分组配置必须是对象');
+    }
+
+    const normalized = {};
+    for (const [normalGroup, strictGroups] of Object.entries(rhymeGroups)) {
+        if (!strictGroups || typeof strictGroups !== 'object' || Array.isArray(strictGroups)) {
+            throw new Error(`韵脚组 ${normalGroup} 必须是对象`);
+        }
+        normalized[normalGroup] = {};
+        for (const [strictGroup, finals] of Object.entries(strictGroups)) {
+            if (!Array.isArray(finals)) {
+                throw new Error(`韵脚组 ${normalGroup}/${strictGroup} 的拼音列表必须是数组`);
+            }
+            normalized[normalGroup][strictGroup] = finals.map(final => String(final).trim());
+        }
+    }
+    return normalized;
+}
+
+/**
+ * 由韵脚分组配置生成韵脚映射表
+ * @param {Object} rhymeGroups - 韵脚分组配置
+ * @returns {Object} 韵脚映射表，键为不带声调的拼音，值为{ normalGroup, strictGroup }
+ *
+ * @example
+ * generateRhymeMappings({ A: { a: ['ba'], ia: ['jia'] } });
+ * // { ba: { normalGroup: 'A', strictGroup: 'a' }, jia: { normalGroup: 'A', strictGroup: 'ia' } }
+ */
+export function generateRhymeMappings(rhymeGroups) {
+    const rhymeMappings = {};
+
+    for (const [normalGroup, strictGroups] of Object.entries(rhymeGroups)) {
+        for (const [strictGroup, finals] of Object.entries(strictGroups)) {
+            finals.forEach(final => {
+                rhymeMappings[final.trim()] = {
+                    normalGroup,
+                    strictGroup
+                };
+            });
+        }
+    }
+
+    return rhymeMappings;
+}
+
+/**
+ * 检查韵脚分组配置中的数据问题
+ * @param {Object} rhymeGroups - 未经normalizeRhymeGroups处理的原始韵脚分组配置
+ * @returns {Object} { duplicates, malformed }
+ *   duplicates为出现在多个位置的拼音，每项为{ final, locations }，locations为[{ normalGroup, strictGroup }]；
+ *   malformed为带首尾空白或包含小写字母和ü以外字符的拼音，每项为{ final, normalGroup, strictGroup }
+ */
+export function findRhymeGroupProblems(rhymeGroups) {
+    const locationsByFinal = new Map();
+    const malformed = [];
+
+    for (const [normalGroup, strictGroups] of Object.entries(rhymeGroups)) {
+        for (const [strictGroup, finals] of Object.entries(strictGroups)) {
+            finals.forEach(final => {
+                if (!/^[a-zü]+$/.test(final)) {
+                    malformed.push({ final, normalGroup, strictGroup });
+                }
+                const key = String(final).trim();
+                if (!locationsByFinal.has(key)) {
+                    locationsByFinal.set(key, []);
+                }
+                locationsByFinal.get(key).push({ normalGroup, strictGroup });
+            });
+        }
+    }
+
+    const duplicates = Array.from(locationsByFinal)
+        .filter(([, locations]) => locations.length > 1)
+        .map(([final, locations]) => ({ final, locations }));
+
+    return { duplicates, malformed };
+}
+
+/**
+ * 去除配置中的空分组
+ * @param {Object} rhymeGroups - 韵脚分组配置（会被修改）
+ * @returns {Object} 传入的韵脚分组配置
+ */
+function removeEmptyGroups(rhymeGroups) {
+    for (const [normalGroup, strictGroups] of Object.entries(rhymeGroups)) {
+        for (const [strictGroup, finals] of Object.entries(strictGroups)) {
+            if (finals.length === 0) {
+                delete strictGroups[strictGroup];
+            }
+        }
+        if (Object.keys(strictGroups).length === 0) {
+            delete rhymeGroups[normalGroup];
+        }
+    }
+    return rhymeGroups;
+}
+
+/**
+ * 将一个拼音移到另一个严格韵脚组，目标严格韵脚组不存在时新建
+ * @param {Object} rhymeGroups - 韵脚分组配置
+ * @param {string} final - 要移动的拼音
+ * @param {string} targetNormalGroup - 目标常规韵脚组
+ * @param {string} targetStrictGroup - 目标严格韵脚组
+ * @returns {Object} 新的韵脚分组配置，移动后为空的分组会被去除
+ * @throws {Error} 拼音或目标常规韵脚组不存在时抛出错误
+ */
+export function moveFinal(rhymeGroups, final, targetNormalGroup, targetStrictGroup) {
+    const result = normalizeRhymeGroups(rhymeGroups);
+    if (!result[targetNormalGroup]) {
+        throw new Error(`韵脚组 ${targetNormalGroup} 不存在`);
+    }
+
+    let isFound = false;
+    Object.values(result).forEach(strictGroups => {
+        Object.entries(strictGroups).forEach(([strictGroup, finals]) => {
+            if (finals.includes(final)) {
+                strictGroups[strictGroup] = finals.filter(item => item !== final);
+                isFound = true;
+            }
+        });
+    });
+    if (!isFound) {
+        throw new Error(`拼音 ${final} 不在任何韵脚组中`);
+    }
+
+    const targetFinals = result[targetNormalGroup][targetStrictGroup] || [];
+    result[targetNormalGroup][targetStrictGroup] = targetFinals.concat(final);
+    return removeEmptyGroups(result);
+}
+
+/**
+ * 将一个常规韵脚组合并到另一个常规韵脚组，同名的严格韵脚组合并拼音列表
+ * @param {Object} rhymeGroups - 韵脚分组配置
+ * @param {string} sourceGroup - 被合并的常规韵脚组
+ * @param {string} targetGroup - 合并到的常规韵脚组
+ * @returns {Object} 新的韵脚分组配置
+ * @throws {Error} 韵脚组不存在或两者相同时抛出错误
+ */
+export function mergeRhymeGroups(rhymeGroups, sourceGroup, targetGroup) {
+    const result = normalizeRhymeGroups(rhymeGroups);
+    if (!result[sourceGroup] || !result[targetGroup]) {
+        throw new Error(`韵脚组 ${result[sourceGroup] ? targetGroup : sourceGroup} 不存在`);
+    }
+    if (sourceGroup === targetGroup) {
+        throw new Error('不能将韵脚组合并到自身');
+    }
+
+    for (const [strictGroup, finals] of Object.entries(result[sourceGroup])) {
+        const targetFinals = result[targetGroup][strictGroup] || [];
+        result[targetGroup][strictGroup] = targetFinals.concat(finals.filter(final => !targetFinals.includes(final)));
+    }
+    delete result[sourceGroup];
+    return result;
+}
+
+/**
+ * 将一个严格韵脚组从所属的常规韵脚组中拆分出来，成为新的常规韵脚组
+ * @param {Object} rhymeGroups - 韵脚分组配置
+ * @param {string} normalGroup - 所属的常规韵脚组
+ * @param {string} strictGroup - 要拆分的严格韵脚组
+ * @param {string} [newGroupName] - 新常规韵脚组的名称，默认为严格韵脚组名称的大写，重名时附加序号
+ * @returns {Object} 新的韵脚分组配置，新分组排在原分组之后
+ * @throws {Error} 韵脚组不存在、只有一个严格韵脚组或新名称已被使用时抛出错误
+ */
+export function splitRhymeGroup(rhymeGroups, normalGroup, strictGroup, newGroupName) {
+    const source = normalizeRhymeGroups(rhymeGroups);
+    if (!source[normalGroup] || !source[normalGroup][strictGroup]) {
+        throw new Error(`韵脚组 ${normalGroup}/${strictGroup} 不存在`);
+    }
+    if (Object.keys(source[normalGroup]).length < 2) {
+        throw new Error(`韵脚组 ${normalGroup} 只有一个严格韵脚组，无需拆分`);
+    }
+
+    let groupName = newGroupName;
+    if (groupName === undefined) {
+        const baseName = strictGroup.toUpperCase();
+        groupName = baseName;
+        for (let suffix = 2; source[groupName]; suffix++) {
+            groupName = `${baseName}${suffix}`;
+        }
+    } else if (!groupName || source[groupName]) {
+        throw new Error(`韵脚组名称 ${groupName} 无效或已被使用`);
+    }
+
+    // 重新按顺序组装，使新分组紧跟在原分组之后
+    const result = {};
+    for (const [group, strictGroups] of Object.entries(source)) {
+        result[group] = strictGroups;
+        if (group === normalGroup) {
+            result[groupName] = { [strictGroup]: strictGroups[strictGroup] };
+            delete strictGroups[strictGroup];
+        }
+    }
+    return result;
+}
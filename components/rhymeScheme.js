@@ -0,0 +1,187 @@
+/**
+ * 韵式分析模块
+ * 负责根据押韵分析结果推导每行的韵式字母（如AABB、ABAB），并识别每段的常见韵式
+ */
+
+import { getContentLength } from './phraseSegmenter.js';
+import { getLooseGroup } from './rhymeAnalyzer.js';
+
+/**
+ * 常见韵式及其名称
+ */
+export const RHYME_SCHEME_LABELS = {
+    monorhyme: '一韵到底',
+    couplet: '随韵',
+    alternate: '交韵',
+    enclosed: '抱韵'
+};
+
+/**
+ * 将字母序号转换为韵式字母，超过26个时附加轮次，如A、B、…、Z、A2
+ * @param {number} index - 字母序号，从0开始
+ * @returns {string} 韵式字母
+ */
+function getSchemeLetter(index) {
+    const letter = String.fromCharCode(65 + index % 26);
+    const round = Math.floor(index / 26);
+    return round > 0 ? `${letter}${round + 1}` : letter;
+}
+
+/**
+ * 获取每行句尾韵脚字的比较键：所选精度下的韵脚组，句尾声调有要求时附加声调或平仄
+ * 只比较句尾本身，与行差容差无关，相隔较远的句尾（如抱韵的首尾两行）同样可以押韵
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @param {Object} summary - 押韵分析摘要，使用其中的rhymePrecision和endRhymeTone
+ * @returns {Array<string|null>} 每行句尾的比较键，句尾韵脚未知或没有平仄时为null
+ */
+function getLineEndKeys(rhymeGroups, summary) {
+    const precision = summary && summary.rhymePrecision || 'normal';
+    const toneMode = summary && summary.endRhymeTone || 'any';
+
+    return rhymeGroups.map(group => {
+        const charInfo = group.charInfos[getContentLength(group.charInfos) - 1];
+        if (!charInfo || !charInfo.normalGroup || charInfo.normalGroup === '未知') {
+            return null;
+        }
+
+        const groupKey = precision === 'strict' ? `${charInfo.normalGroup}:${charInfo.strictGroup}` :
+            precision === 'loose' ? getLooseGroup(charInfo.normalGroup) : charInfo.normalGroup;
+        if (toneMode === 'same') {
+            return `${groupKey}|${charInfo.tone || 0}`;
+        }
+        if (toneMode === 'pingze') {
+            return charInfo.toneClass ? `${groupKey}|${charInfo.toneClass}` : null;
+        }
+        return groupKey;
+    });
+}
+
+/**
+ * 检查韵式是否由若干组相同结构的字母组成，如ABAB CDCD
+ * @param {Array<string>} letters - 韵式字母
+ * @param {number} size - 每组的行数
+ * @param {Array<Array<number>>} samePairs - 组内应押同韵的行下标对
+ * @returns {boolean} 是否符合该结构
+ */
+function isBlockPattern(letters, size, samePairs) {
+    if (letters.length % size !== 0) {
+        return false;
+    }
+    for (let start = 0; start < letters.length; start += size) {
+        const block = letters.slice(start, start + size);
+        if (!samePairs.every(([a, b]) => block[a] === block[b]) || block[0] === block[1]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * 识别韵式对应的常见韵式
+ * @param {Array<string>} letters - 一段中每行的韵式字母
+ * @param {Array<boolean>} rhymed - 一段中每行句尾是否押韵
+ * @returns {string|null} 常见韵式的键，参见RHYME_SCHEME_LABELS，不属于常见韵式时返回null
+ */
+function detectSchemePattern(letters, rhymed) {
+    if (letters.length < 2 || rhymed.some(isRhymed => !isRhymed)) {
+        return null;
+    }
+
+    // 一韵到底：AAAA
+    if (letters.every(letter => letter === letters[0])) {
+        return 'monorhyme';
+    }
+
+    // 随韵：AABB，每两行一组押韵
+    if (letters.length % 2 === 0 && letters.every((letter, index) => letter === letters[index ^ 1])) {
+        return 'couplet';
+    }
+
+    // 交韵：ABAB或ABAB CDCD，隔行押韵
+    const isAlternating = letters.length >= 4 && letters[0] !== letters[1] &&
+        letters.every((letter, index) => index < 2 || letter === letters[index - 2]);
+    if (isAlternating || isBlockPattern(letters, 4, [[0, 2], [1, 3]])) {
+        return 'alternate';
+    }
+
+    // 抱韵：ABBA或ABBA CDDC，首尾两行押韵，中间两行押韵
+    if (isBlockPattern(letters, 4, [[0, 3], [1, 2]])) {
+        return 'enclosed';
+    }
+
+    return null;
+}
+
+/**
+ * 推导每行的韵式字母和每段的韵式
+ * 段落由空行分隔，每段的字母从A重新开始；同一段中句尾韵脚相同（按分析所选的精度和句尾声调要求）的行使用同一字母，
+ * 句尾与段内其他行都不押韵的行使用新字母
+ * @param {Object} analysisResult - 押韵分析结果
+ * @returns {Object} { lineLetters, stanzas }
+ *   lineLetters为每行的韵式字母；
+ *   stanzas为段落数组，每项为{ index, startLine, endLine, scheme, pattern, label }，
+ *   endLine不含，scheme如"AABB"，pattern和label为识别出的常见韵式，不属于常见韵式时为null
+ *
+ * @example
+ * deriveRhymeSchemes(analyzeRhymePatterns(convertTextToRhymeGroups('床前明月光\n疑是地上霜')));
+ * // {
+ * //   lineLetters: ['A', 'A'],
+ * //   stanzas: [{ index: 0, startLine: 0, endLine: 2, scheme: 'AA', pattern: 'monorhyme', label: '一韵到底' }]
+ * // }
+ */
+export function deriveRhymeSchemes(analysisResult) {
+    const { rhymeGroups, summary } = analysisResult;
+    const lineEndKeys = getLineEndKeys(rhymeGroups, summary);
+    const stanzas = [];
+
+    // 先按空行分段，再统计每段中各句尾比较键出现的行数
+    let stanza = null;
+    rhymeGroups.forEach((group, lineIndex) => {
+        const stanzaIndex = typeof group.stanza === 'number' ? group.stanza : 0;
+        if (!stanza || stanza.index !== stanzaIndex) {
+            stanza = { index: stanzaIndex, startLine: lineIndex, endLine: lineIndex, keyCounts: new Map() };
+            stanzas.push(stanza);
+        }
+        const key = lineEndKeys[lineIndex];
+        if (key !== null) {
+            stanza.keyCounts.set(key, (stanza.keyCounts.get(key) || 0) + 1);
+        }
+        stanza.endLine = lineIndex + 1;
+    });
+
+    const lineLetters = [];
+    return {
+        lineLetters,
+        stanzas: stanzas.map(({ index, startLine, endLine, keyCounts }) => {
+            const letters = [];
+            const rhymed = [];
+            const keyLetters = new Map();
+            for (let lineIndex = startLine; lineIndex < endLine; lineIndex++) {
+                const key = lineEndKeys[lineIndex];
+                const isRhymed = key !== null && keyCounts.get(key) > 1;
+                let letter;
+                if (isRhymed && keyLetters.has(key)) {
+                    letter = keyLetters.get(key);
+                } else {
+                    letter = getSchemeLetter(new Set(letters).size);
+                    if (isRhymed) {
+                        keyLetters.set(key, letter);
+                    }
+                }
+                letters.push(letter);
+                rhymed.push(isRhymed);
+                lineLetters.push(letter);
+            }
+
+            const pattern = detectSchemePattern(letters, rhymed);
+            return {
+                index,
+                startLine,
+                endLine,
+                scheme: letters.join(''),
+                pattern,
+                label: pattern ? RHYME_SCHEME_LABELS[pattern] : null
+            };
+        })
+    };
+}
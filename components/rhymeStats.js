@@ -0,0 +1,145 @@
+/**
+ * 押韵统计模块
+ * 负责根据押韵分析结果计算统计数据，供可视化、导出和命令行工具共用
+ */
+
+// 默认列出的最常用韵脚组数量
+const DEFAULT_TOP_GROUP_COUNT = 8;
+
+/**
+ * 连押字数分类的名称
+ */
+export const SEQUENCE_LENGTH_LABELS = {
+    single: '单押',
+    double: '双押',
+    triple: '三押',
+    multi: '多押'
+};
+
+/**
+ * 押韵类别的名称
+ */
+export const RHYME_CATEGORY_LABELS = {
+    end: '句尾押韵',
+    interLine: '句间押韵',
+    internal: '句内押韵'
+};
+
+/**
+ * 获取连押字数分类
+ * @param {number} sequenceLength - 连押字数
+ * @returns {string} 分类键，参见SEQUENCE_LENGTH_LABELS
+ */
+function getSequenceLengthKey(sequenceLength) {
+    if (sequenceLength === 1) {
+        return 'single';
+    }
+    if (sequenceLength === 2) {
+        return 'double';
+    }
+    if (sequenceLength === 3) {
+        return 'triple';
+    }
+    return 'multi';
+}
+
+/**
+ * 统计小节数
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @returns {number} 排布节拍后为字所在的不同小节数，否则为原文的行数（拆分出的短句不单独计）
+ */
+function countBars(rhymeGroups) {
+    const bars = new Set();
+    rhymeGroups.forEach(group => {
+        group.charInfos.forEach(charInfo => {
+            if (typeof charInfo.bar === 'number') {
+                bars.add(charInfo.bar);
+            }
+        });
+    });
+    return bars.size > 0 ? bars.size : rhymeGroups.filter(group => !group.phrase).length;
+}
+
+/**
+ * 计算押韵统计数据
+ * @param {Object} analysisResult - 押韵分析结果
+ * @param {Object} [options] - 统计选项
+ * @param {number} [options.topGroupCount=8] - 列出的最常用韵脚组数量
+ * @returns {Object} 统计数据
+ *   - totalChars / rhymingChars / rhymeRatio：总字数（不含标点）、押韵字数（去重）、押韵字词比例（百分比，保留一位小数）
+ *   - sequenceLengths：{ single, double, triple, multi }，各连押字数的押韵数量
+ *   - categories：{ end, interLine, internal }，各类别的押韵数量
+ *   - topRhymeGroups：[{ group, count }]，押韵字最多的韵脚组，按字数从多到少排列
+ *   - lines：[{ line, totalChars, rhymingChars, density, rhymeCount }]，每行的押韵密度和押韵处数
+ *   - rhymesPerBar：平均每小节的押韵处数（每条押韵计一处），排布节拍后按实际的小节数计算，否则原文的每行视为一小节（拆分出的短句不单独计）
+ * @throws {Error} 分析结果无效时抛出错误
+ */
+export function computeRhymeStats(analysisResult, options = {}) {
+    if (!analysisResult || !analysisResult.rhymeGroups || !analysisResult.analysisResults) {
+        throw new Error('无效的押韵分析结果');
+    }
+    
+    const { topGroupCount = DEFAULT_TOP_GROUP_COUNT } = options;
+    const { rhymeGroups, analysisResults } = analysisResult;
+    
+    const sequenceLengths = { single: 0, double: 0, triple: 0, multi: 0 };
+    const categories = { end: 0, interLine: 0, internal: 0 };
+    const rhymingPositions = new Set();
+    const lineRhymeCounts = rhymeGroups.map(() => 0);
+    
+    analysisResults.forEach(result => {
+        sequenceLengths[getSequenceLengthKey(result.sequenceLength)]++;
+        if (result.category in categories) {
+            categories[result.category]++;
+        }
+        
+        result.positions.forEach(pos => {
+            lineRhymeCounts[pos.line]++;
+            const length = pos.length || 1;
+            for (let i = 0; i < length; i++) {
+                rhymingPositions.add(`${pos.line}-${pos.char + i}`);
+            }
+        });
+    });
+    
+    // 按押韵字所属的韵脚组计数，每个字只计一次
+    const groupCounts = new Map();
+    const lineRhymingChars = rhymeGroups.map(() => 0);
+    rhymingPositions.forEach(key => {
+        const [line, char] = key.split('-').map(Number);
+        lineRhymingChars[line]++;
+        const charInfo = rhymeGroups[line].charInfos[char];
+        if (charInfo && charInfo.normalGroup) {
+            groupCounts.set(charInfo.normalGroup, (groupCounts.get(charInfo.normalGroup) || 0) + 1);
+        }
+    });
+    const topRhymeGroups = Array.from(groupCounts, ([group, count]) => ({ group, count }))
+        .sort((a, b) => b.count - a.count || a.group.localeCompare(b.group))
+        .slice(0, topGroupCount);
+    
+    const lines = rhymeGroups.map((group, lineIndex) => {
+        // 标点不计入字数
+        const totalChars = group.charInfos.filter(charInfo => !charInfo.isPunctuation).length;
+        return {
+            line: lineIndex,
+            totalChars,
+            rhymingChars: lineRhymingChars[lineIndex],
+            density: totalChars > 0 ? lineRhymingChars[lineIndex] / totalChars : 0,
+            rhymeCount: lineRhymeCounts[lineIndex]
+        };
+    });
+    
+    const totalChars = lines.reduce((total, line) => total + line.totalChars, 0);
+    const barCount = countBars(rhymeGroups);
+    
+    return {
+        totalChars,
+        rhymingChars: rhymingPositions.size,
+        rhymeRatio: totalChars > 0 ? (rhymingPositions.size / totalChars * 100).toFixed(1) : '0.0',
+        sequenceLengths,
+        categories,
+        topRhymeGroups,
+        lines,
+        rhymesPerBar: barCount > 0 ? analysisResults.length / barCount : 0
+    };
+}
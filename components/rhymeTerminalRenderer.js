@@ -0,0 +1,169 @@
+/**
+ * 终端押韵渲染模块
+ * 负责将押韵分析结果转换为带ANSI颜色的终端文本，供命令行工具使用
+ */
+
+import { PRECISION_LABELS } from './rhymeAnalyzer.js';
+import { computeRhymeStats, SEQUENCE_LENGTH_LABELS, RHYME_CATEGORY_LABELS } from './rhymeStats.js';
+import { checkEvenLineRhymes } from './evenLineRhyme.js';
+
+const ANSI_RESET = '\x1b[0m';
+const ANSI_BOLD = '\x1b[1m';
+const ANSI_DIM = '\x1b[2m';
+const ANSI_UNDERLINE = '\x1b[4m';
+
+// 终端条形图满宽的字符数
+const TERMINAL_BAR_WIDTH = 20;
+
+/**
+ * 将十六进制颜色转换为ANSI 24位前景色转义序列
+ * @param {string} color - 十六进制颜色值
+ * @returns {string} ANSI转义序列
+ */
+function hexToAnsi(color) {
+    const hex = color.replace('#', '');
+    const r = parseInt(hex.substring(0, 2), 16);
+    const g = parseInt(hex.substring(2, 4), 16);
+    const b = parseInt(hex.substring(4, 6), 16);
+    return `\x1b[38;2;${r};${g};${b}m`;
+}
+
+/**
+ * 生成押韵分析结果的终端文本
+ * @param {Object} analysisResult - 押韵分析结果
+ * @param {Object} [options] - 渲染选项
+ * @param {boolean} [options.color=true] - 是否输出ANSI颜色，关闭时用[]标出押韵字
+ * @param {boolean} [options.showStats=false] - 是否输出详细统计
+ * @param {boolean} [options.checkEvenLines=false] - 是否输出偶句押韵检查结果（每段所押韵部和出韵的句子）
+ * @returns {string} 终端文本
+ */
+export function renderRhymeAnalysisAnsi(analysisResult, options = {}) {
+    const { color = true, showStats = false, checkEvenLines = false } = options;
+    
+    if (!analysisResult || !analysisResult.rhymeGroups || !analysisResult.analysisResults) {
+        throw new Error('无效的押韵分析结果');
+    }
+    
+    const { rhymeGroups, analysisResults, summary } = analysisResult;
+    
+    // 为每个字符找到覆盖它的押韵结果
+    const markers = new Map();
+    analysisResults.forEach(result => {
+        result.positions.forEach(pos => {
+            for (let i = 0; i < pos.length; i++) {
+                const key = `${pos.line}-${pos.char + i}`;
+                if (!markers.has(key)) {
+                    markers.set(key, result);
+                }
+            }
+        });
+    });
+    
+    const lines = rhymeGroups.map((group, lineIndex) => {
+        let text = '';
+        let isInMarker = false;
+        let lastBar = null;
+        
+        group.charInfos.forEach((charInfo, charIndex) => {
+            const marker = markers.get(`${lineIndex}-${charIndex}`);
+            
+            // 排布节拍后在小节之间加小节线
+            if (typeof charInfo.bar === 'number') {
+                if (lastBar !== null && charInfo.bar !== lastBar) {
+                    text += color ? `${ANSI_DIM} | ${ANSI_RESET}` : ' | ';
+                }
+                lastBar = charInfo.bar;
+            }
+            
+            if (color) {
+                text += marker ? `${ANSI_BOLD}${ANSI_UNDERLINE}${hexToAnsi(marker.color)}${charInfo.char}${ANSI_RESET}` : charInfo.char;
+                return;
+            }
+            
+            // 无颜色时用方括号标出连续的押韵字
+            if (marker && !isInMarker) {
+                text += '[';
+            } else if (!marker && isInMarker) {
+                text += ']';
+            }
+            isInMarker = Boolean(marker);
+            text += charInfo.char;
+        });
+        
+        if (!color && isInMarker) {
+            text += ']';
+        }
+        return text;
+    });
+    
+    const stats = computeRhymeStats(analysisResult);
+    const summaryText = `押韵字词比例: ${stats.rhymeRatio}%  押韵: ${summary.totalRhymeCount}处` +
+        `（句尾 ${summary.rhymeTypes.endRhyme} / 句间及句内 ${summary.rhymeTypes.internalRhyme}）` +
+        `  精度: ${PRECISION_LABELS[summary.rhymePrecision]}`;
+    lines.push('');
+    lines.push(color ? `${ANSI_DIM}${summaryText}${ANSI_RESET}` : summaryText);
+    
+    if (showStats) {
+        lines.push(...renderStatsLines(stats));
+    }
+    
+    if (checkEvenLines) {
+        lines.push(...renderEvenLineCheckLines(checkEvenLineRhymes(rhymeGroups)));
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * 生成偶句押韵检查结果的终端文本行
+ * @param {Object} evenLineCheck - 偶句押韵检查结果，参见checkEvenLineRhymes
+ * @returns {Array<string>} 文本行
+ */
+function renderEvenLineCheckLines(evenLineCheck) {
+    const lines = [];
+    evenLineCheck.stanzas.forEach((stanza, index) => {
+        const prefix = evenLineCheck.stanzas.length > 1 ? `第${index + 1}段` : '';
+        if (!stanza.rhymeGroup) {
+            lines.push(`${prefix}偶句韵部: 无法确定`);
+            return;
+        }
+        lines.push(`${prefix}偶句韵部: ${stanza.rhymeGroup}`);
+        stanza.sentences.filter(sentence => sentence.status === 'out').forEach(sentence => {
+            lines.push(`  出韵: 第${sentence.sentence}句（第${sentence.line + 1}行）「${sentence.text}」属${sentence.groups.join('、')}`);
+        });
+    });
+    lines.push(`出韵: ${evenLineCheck.outOfRhymeCount}句`);
+    return lines;
+}
+
+/**
+ * 生成详细统计的终端文本行
+ * @param {Object} stats - 押韵统计数据，参见computeRhymeStats
+ * @returns {Array<string>} 文本行
+ */
+function renderStatsLines(stats) {
+    const lines = [];
+    lines.push('连押字数: ' + Object.keys(SEQUENCE_LENGTH_LABELS)
+        .map(key => `${SEQUENCE_LENGTH_LABELS[key]} ${stats.sequenceLengths[key]}`)
+        .join(' / '));
+    lines.push('押韵类别: ' + Object.keys(RHYME_CATEGORY_LABELS)
+        .map(key => `${RHYME_CATEGORY_LABELS[key]} ${stats.categories[key]}`)
+        .join(' / '));
+    lines.push(`每小节押韵: ${stats.rhymesPerBar.toFixed(2)}处`);
+    
+    // 常用韵脚组和每行押韵密度以字符条形图显示
+    if (stats.topRhymeGroups.length > 0) {
+        lines.push('常用韵脚组:');
+        const maxCount = stats.topRhymeGroups[0].count;
+        stats.topRhymeGroups.forEach(item => {
+            const bar = '█'.repeat(Math.max(1, Math.round(item.count / maxCount * TERMINAL_BAR_WIDTH)));
+            lines.push(`  ${item.group.padEnd(4)} ${bar} ${item.count}`);
+        });
+    }
+    lines.push('每行押韵密度:');
+    stats.lines.forEach(line => {
+        const bar = '█'.repeat(Math.round(line.density * TERMINAL_BAR_WIDTH));
+        lines.push(`  ${String(line.line + 1).padStart(3)} ${bar.padEnd(TERMINAL_BAR_WIDTH)} ${Math.round(line.density * 100)}%`);
+    });
+    return lines;
+}
@@ -3,81 +3,449 @@
  * 负责将押韵分析结果转换为可视化的HTML展示
  */
 
+import { PRECISION_LABELS } from './rhymeAnalyzer.js';
+import { formatLyricTime } from './lyricParser.js';
+import { deriveRhymeSchemes } from './rhymeScheme.js';
+import { checkEvenLineRhymes } from './evenLineRhyme.js';
+import { computeRhymeStats, SEQUENCE_LENGTH_LABELS, RHYME_CATEGORY_LABELS } from './rhymeStats.js';
+import { escapeHtml } from './rhymeExporter.js';
+
+// 押韵链达到该长度时才显示链标签，两处押韵的链即普通的两两押韵
+const MIN_LABELED_CHAIN_LENGTH = 3;
+
+// 押韵间隔的单位名称，参见押韵结果的intervalUnit
+const INTERVAL_UNIT_LABELS = {
+    line: '行',
+    char: '字',
+    beat: '拍'
+};
+
 /**
  * 生成押韵分析结果的可视化HTML
  * @param {Object} analysisResult - 押韵分析结果
+ * @param {Object} [options] - 可视化选项
+ * @param {boolean} [options.showTonePattern=false] - 是否在每行下方显示平仄
+ * @param {boolean} [options.checkEvenLines=false] - 是否检查偶句押韵，在每段开头显示所押韵部并标出出韵的句子
  * @returns {string} 可视化HTML字符串
  */
-export function visualizeRhymePatterns(analysisResult) {
+export function visualizeRhymePatterns(analysisResult, options = {}) {
+    const { showTonePattern = false, checkEvenLines = false } = options;
+
     // 输入验证
     if (!analysisResult || !analysisResult.rhymeGroups || !analysisResult.analysisResults) {
         return '<div class="visualization-error">无效的押韵分析结果</div>';
     }
 
-    const { rhymeGroups, analysisResults } = analysisResult;
+    const { rhymeGroups, analysisResults, summary } = analysisResult;
     let html = '<div class="rhyme-visualization">';
 
     // 为每个字符创建押韵标记映射
     const rhymeMarkers = createRhymeMarkers(rhymeGroups, analysisResults);
+    const chainsById = new Map((analysisResult.rhymeChains || []).map(chain => [chain.id, chain]));
+    
+    // 每行的韵式字母，以及每段开头显示的韵式
+    const { lineLetters, stanzas } = deriveRhymeSchemes(analysisResult);
+    const stanzasByStartLine = new Map(stanzas.map(stanza => [stanza.startLine, stanza]));
+    
+    // 偶句押韵检查的结果，按段落开头和韵脚字位置索引
+    const evenLineStanzas = new Map();
+    const checkedSentences = new Map();
+    if (checkEvenLines) {
+        checkEvenLineRhymes(rhymeGroups).stanzas.forEach(stanza => {
+            evenLineStanzas.set(stanza.startLine, stanza);
+            stanza.sentences.forEach(sentence => {
+                checkedSentences.set(`${sentence.line}-${sentence.char}`, { ...sentence, rhymeGroup: stanza.rhymeGroup });
+            });
+        });
+    }
 
-    // 生成可视化歌词
-    html += '<div class="visualization-lyrics">';
+    // 生成可视化歌词，排布节拍后每拍的宽度按全文一拍内的最多字数统一，使各行的小节上下对齐
+    const maxCharsPerBeat = getMaxCharsPerBeat(rhymeGroups);
+    html += `<div class="visualization-lyrics"${maxCharsPerBeat > 0 ? ` style="--beat-chars: ${maxCharsPerBeat};"` : ''}>`;
     rhymeGroups.forEach((group, lineIndex) => {
-        html += `<div class="visualization-line">`;
+        const stanza = stanzasByStartLine.get(lineIndex);
+        if (stanza) {
+            html += generateStanzaScheme(stanza, lineIndex > 0, evenLineStanzas.get(lineIndex));
+        }
         
-        group.charInfos.forEach((charInfo, charIndex) => {
-            const char = charInfo.char;
+        // 同一行拆分出的后续短句缩进显示
+        const isContinuation = group.phrase > 0;
+        html += `<div class="visualization-line${showTonePattern ? ' with-tone-pattern' : ''}${isContinuation ? ' phrase-continuation' : ''}${group.beatsPerBar ? ' with-beats' : ''}">`;
+        
+        // LRC歌词在行首显示该行的时间，拆分出的后续短句不重复显示
+        if (typeof group.time === 'number' && !isContinuation) {
+            html += `<span class="line-time">${formatLyricTime(group.time)}</span>`;
+        }
+        
+        // 行尾一侧显示韵式字母
+        html += `<span class="scheme-letter">${lineLetters[lineIndex]}</span>`;
+        
+        const outOfRhymeTitles = [];
+        const charHtmls = group.charInfos.map((charInfo, charIndex) => {
+            // 歌词可能来自分享链接，转义后再拼入HTML
+            const char = escapeHtml(charInfo.char);
+            let charHtml = '';
             const markers = rhymeMarkers.get(`${lineIndex}-${charIndex}`) || [];
+            const sentence = checkedSentences.get(`${lineIndex}-${charIndex}`);
+            const isOutOfRhyme = Boolean(sentence) && sentence.status === 'out';
+            const checkClass = isOutOfRhyme ? ' out-of-rhyme' : '';
+            if (isOutOfRhyme) {
+                outOfRhymeTitles.push(getOutOfRhymeText(sentence));
+            }
             
             if (markers.length > 0) {
-                // 有押韵标记，使用带颜色的span和自定义悬浮窗
-                const mainMarker = markers[0]; // 使用第一个标记的颜色
-                const rhymeSequence = mainMarker.sequence.join(' '); // 押韵组序列，如"AN IN"
+                // 有押韵标记，使用第一个标记的颜色，属于其他押韵链的标记以叠加的下划线显示
+                const mainMarker = markers[0];
+                const extraColors = [];
+                markers.slice(1).forEach(marker => {
+                    if (marker.chainId !== mainMarker.chainId || !marker.chainId) {
+                        extraColors.push(marker.color);
+                    }
+                });
+                const extraUnderlines = extraColors
+                    .map((color, index) => `0 ${(index + 1) * 3}px 0 ${color}`)
+                    .join(', ');
+                const underlineStyle = extraUnderlines ? ` box-shadow: ${extraUnderlines};` : '';
                 
-                // 计算连押字数
-                const rhymeCount = mainMarker.sequenceLength;
-                
-                // 转换连押字数为中文
-                const rhymeCountText = rhymeCount === 1 ? '单押' : rhymeCount === 2 ? '双押' : rhymeCount === 3 ? '三押' : `${rhymeCount}押`;
-                
-                html += `<div class="char-hover-container">`;
-                html += `<span class="rhyme-word" style="color: ${mainMarker.color}; background-color: ${adjustColorOpacity(mainMarker.color, 0.2)}; border-bottom: 2px solid ${mainMarker.color};">${char}</span>`;
-                html += `<div class="char-tooltip">`;
-                html += `<div class="tooltip-content" style="border: 2px solid ${mainMarker.color}; --tooltip-border-color: ${mainMarker.color};">`;
-                html += `<div class="tooltip-pinyin">${char} ${charInfo.pinyin}</div>`;
-                html += `<div class="tooltip-groups">`;
-                html += `<div class="normal-group" style="color: ${mainMarker.color}; background-color: ${adjustColorOpacity(mainMarker.color, 0.2)}; border: 1px solid ${mainMarker.color};">${rhymeSequence} ${rhymeCountText}</div>`;
-                html += `</div>`;
-                html += `</div>`;
-                html += `</div>`;
-                html += `</div>`;
+                charHtml += `<div class="char-hover-container">`;
+                charHtml += `<span class="rhyme-word${checkClass}" data-line="${lineIndex}" data-char="${charIndex}" style="color: ${mainMarker.color}; background-color: ${adjustColorOpacity(mainMarker.color, 0.2)}; border-bottom: 2px solid ${mainMarker.color};${underlineStyle}">${char}</span>`;
+                charHtml += showTonePattern ? generateToneMark(charInfo) : '';
+                charHtml += `<div class="char-tooltip">`;
+                charHtml += `<div class="tooltip-content" style="border: 2px solid ${mainMarker.color}; --tooltip-border-color: ${mainMarker.color};">`;
+                charHtml += `<div class="tooltip-pinyin">${char} ${formatReading(charInfo)}</div>`;
+                charHtml += generateReadingOptions(charInfo, lineIndex, charIndex);
+                markers.forEach(marker => {
+                    charHtml += generateMatchInfo(marker, charInfo, chainsById.get(marker.chainId));
+                });
+                charHtml += isOutOfRhyme ? `<div class="out-of-rhyme-info">${getOutOfRhymeText(sentence)}</div>` : '';
+                charHtml += `</div>`;
+                charHtml += `</div>`;
+                charHtml += `</div>`;
             } else {
                 // 无押韵标记，普通显示
-                html += `<div class="char-hover-container">`;
-                html += `<span class="normal-word">${char}</span>`;
-                html += `<div class="char-tooltip">`;
-                html += `<div class="tooltip-content" style="border: 2px solid var(--primary-color); --tooltip-border-color: var(--primary-color);">`;
-                html += `<div class="tooltip-pinyin">${char} ${charInfo.pinyin}</div>`;
-                html += `<div class="tooltip-groups">`;
-                html += `<div class="normal-group">无押韵</div>`;
-                html += `</div>`;
-                html += `</div>`;
-                html += `</div>`;
-                html += `</div>`;
+                charHtml += `<div class="char-hover-container">`;
+                charHtml += `<span class="normal-word${checkClass}" data-line="${lineIndex}" data-char="${charIndex}">${char}</span>`;
+                charHtml += showTonePattern ? generateToneMark(charInfo) : '';
+                charHtml += `<div class="char-tooltip">`;
+                charHtml += `<div class="tooltip-content" style="border: 2px solid var(--primary-color); --tooltip-border-color: var(--primary-color);">`;
+                charHtml += `<div class="tooltip-pinyin">${char} ${formatReading(charInfo)}</div>`;
+                charHtml += generateReadingOptions(charInfo, lineIndex, charIndex);
+                charHtml += `<div class="tooltip-groups">`;
+                charHtml += `<div class="normal-group">无押韵</div>`;
+                charHtml += `</div>`;
+                charHtml += isOutOfRhyme ? `<div class="out-of-rhyme-info">${getOutOfRhymeText(sentence)}</div>` : '';
+                charHtml += `</div>`;
+                charHtml += `</div>`;
+                charHtml += `</div>`;
             }
+            return charHtml;
         });
         
+        // 排布节拍后按小节网格显示，否则逐字连排
+        html += group.beatsPerBar ? generateBeatGrid(group.charInfos, charHtmls, group.beatsPerBar) : charHtmls.join('');
+        
+        // 行末标出该行中出韵的句子
+        if (outOfRhymeTitles.length > 0) {
+            html += `<span class="out-of-rhyme-tag" title="${outOfRhymeTitles.join('；')}">出韵</span>`;
+        }
+        
         html += `</div>`;
     });
     html += '</div>';
 
-    // 生成简化的押韵统计信息（只显示押韵字词比例）
-    html += generateSimpleStats(rhymeGroups, analysisResults);
+    // 生成押韵统计信息
+    const stats = computeRhymeStats(analysisResult);
+    html += generateSimpleStats(stats, summary, analysisResult.rhymeChains || []);
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * 获取全文一拍内的最多字数，未排布节拍时为0
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列
+ * @returns {number} 一拍内的最多字数
+ */
+function getMaxCharsPerBeat(rhymeGroups) {
+    const counts = new Map();
+    rhymeGroups.forEach((group, lineIndex) => {
+        group.charInfos.forEach(charInfo => {
+            if (typeof charInfo.beat === 'number') {
+                const key = `${lineIndex}-${charInfo.bar}-${Math.floor(charInfo.beat)}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        });
+    });
+    return Math.max(0, ...counts.values());
+}
+
+/**
+ * 生成一行的小节网格：每个小节为一格，小节内每拍为一个等宽的子格，字放在所在拍的子格中
+ * 标点不占拍位，跟随前一个字所在的子格
+ * @param {Array<Object>} charInfos - 该行的字符信息
+ * @param {Array<string>} charHtmls - 每个字的HTML
+ * @param {number} beatsPerBar - 每小节的拍数
+ * @returns {string} 小节网格HTML
+ */
+function generateBeatGrid(charInfos, charHtmls, beatsPerBar) {
+    // 按小节和拍收集字的HTML
+    const bars = [];
+    let cell = null;
+    charInfos.forEach((charInfo, charIndex) => {
+        if (typeof charInfo.beat === 'number') {
+            let bar = bars[bars.length - 1];
+            if (!bar || bar.index !== charInfo.bar) {
+                bar = { index: charInfo.bar, beats: [] };
+                bars.push(bar);
+            }
+            const beatIndex = Math.floor(charInfo.beat);
+            bar.beats[beatIndex] = bar.beats[beatIndex] || [];
+            cell = bar.beats[beatIndex];
+        } else if (!cell) {
+            // 行首的标点放在第一个字的子格中
+            const firstBeatChar = charInfos.find(info => typeof info.beat === 'number');
+            if (!firstBeatChar) {
+                return;
+            }
+            bars.push({ index: firstBeatChar.bar, beats: [] });
+            cell = bars[0].beats[Math.floor(firstBeatChar.beat)] = [];
+        }
+        cell.push(charHtmls[charIndex]);
+    });
+
+    let html = '';
+    bars.forEach(bar => {
+        html += `<div class="beat-bar" title="第${bar.index + 1}小节">`;
+        const beatCount = Math.max(beatsPerBar, bar.beats.length);
+        for (let beatIndex = 0; beatIndex < beatCount; beatIndex++) {
+            html += `<span class="beat-cell">${(bar.beats[beatIndex] || []).join('')}</span>`;
+        }
+        html += `</div>`;
+    });
+    return html;
+}
+
+/**
+ * 生成悬浮窗中单个押韵的信息HTML
+ * @param {Object} marker - 覆盖该字符的押韵结果
+ * @param {Object} charInfo - 字符信息
+ * @param {Object} [chain] - 该押韵所属的押韵链
+ * @returns {string} 押韵信息HTML字符串
+ */
+function generateMatchInfo(marker, charInfo, chain) {
+    const rhymeSequence = marker.sequence.join(' '); // 押韵组序列，如"AN IN"
+    const rhymeCountText = getSequenceLengthText(marker.sequenceLength);
+    const matchLevelText = getMatchLevelText(marker);
+    
+    // 押韵的另一端，便于在多个押韵之间区分
+    const partnerText = marker.chars.map((chars, index) => `${chars.join('')}(${marker.positions[index].line + 1})`).join(' — ');
+    
+    let html = `<div class="tooltip-groups">`;
+    html += `<div class="normal-group" style="color: ${marker.color}; background-color: ${adjustColorOpacity(marker.color, 0.2)}; border: 1px solid ${marker.color};">${rhymeSequence} ${rhymeCountText}</div>`;
+    html += `<div class="strict-group">${charInfo.strictGroup} ${matchLevelText}</div>`;
+    html += `<div class="match-partners">${marker.rhymeType}: ${partnerText}</div>`;
+    if (chain && chain.length >= MIN_LABELED_CHAIN_LENGTH) {
+        html += `<div class="match-partners">${getChainLabel(chain)}</div>`;
+    }
+    html += `</div>`;
+    return html;
+}
 
+/**
+ * 将连押字数转换为中文，如"双押"
+ * @param {number} sequenceLength - 连押字数
+ * @returns {string} 连押字数的名称
+ */
+function getSequenceLengthText(sequenceLength) {
+    return sequenceLength === 1 ? '单押' : sequenceLength === 2 ? '双押' : sequenceLength === 3 ? '三押' : `${sequenceLength}押`;
+}
+
+/**
+ * 获取押韵通过的押韵精度，近韵附带相似度，如"近韵 85%"
+ * @param {Object} result - 押韵结果
+ * @returns {string} 押韵精度文字
+ */
+function getMatchLevelText(result) {
+    const similarity = typeof result.similarity === 'number' ? result.similarity : 1;
+    return (PRECISION_LABELS[result.matchLevel] || '') + (similarity < 1 ? ` ${Math.round(similarity * 100)}%` : '');
+}
+
+/**
+ * 生成押韵的间隔说明，如"相隔 2 行"
+ * @param {Object} result - 押韵结果
+ * @returns {string} 间隔说明，结果中没有间隔时返回空字符串
+ */
+function getIntervalText(result) {
+    if (typeof result.interval !== 'number') {
+        return '';
+    }
+    const unit = INTERVAL_UNIT_LABELS[result.intervalUnit] || INTERVAL_UNIT_LABELS.char;
+    if (result.category === 'end') {
+        return `相隔 ${result.interval} ${unit}`;
+    }
+    if (result.category === 'interLine') {
+        return `位置相差 ${result.interval} ${unit}`;
+    }
+    return `中间隔 ${result.interval} ${unit}`;
+}
+
+/**
+ * 生成押韵的完整信息HTML：类型、韵脚、精度、间隔、优先级和两处押韵所在的行，用于点击押韵后显示
+ * @param {Object} analysisResult - 押韵分析结果
+ * @param {Object} result - 要显示的押韵结果
+ * @param {number} [focusedIndex=0] - 点击的一处在result.positions中的下标，另一处作为对应的行
+ * @returns {string} 押韵信息HTML字符串
+ */
+export function generateMatchDetails(analysisResult, result, focusedIndex = 0) {
+    const chain = (analysisResult.rhymeChains || []).find(item => item.id === result.chainId);
+    
+    let html = `<div class="match-details" style="border-color: ${result.color};">`;
+    html += `<button type="button" class="match-details-close" title="取消聚焦（Esc）">×</button>`;
+    html += `<div class="match-details-title" style="color: ${result.color};">${escapeHtml(result.rhymeType)}`;
+    html += ` <span class="match-details-category">${RHYME_CATEGORY_LABELS[result.category] || ''} · ${getSequenceLengthText(result.sequenceLength)}</span></div>`;
+    html += `<div class="match-detail-item">韵脚: ${escapeHtml(result.sequence.join(' '))} ${getMatchLevelText(result)}</div>`;
+    const intervalText = getIntervalText(result);
+    if (intervalText) {
+        html += `<div class="match-detail-item">间隔: ${intervalText}</div>`;
+    }
+    if (typeof result.priority === 'number') {
+        html += `<div class="match-detail-item">优先级: ${Math.round(result.priority * 10) / 10}</div>`;
+    }
+    if (chain && chain.length >= MIN_LABELED_CHAIN_LENGTH) {
+        html += `<div class="match-detail-item">押韵链: ${escapeHtml(getChainLabel(chain))}</div>`;
+    }
+    
+    // 两处押韵所在的行，押韵字加粗显示；歌词可能来自分享链接，逐字转义
+    result.positions.forEach((pos, index) => {
+        const group = analysisResult.rhymeGroups[pos.line];
+        if (!group) {
+            return;
+        }
+        const lineHtml = group.charInfos.map((charInfo, charIndex) => {
+            const isRhyme = charIndex >= pos.char && charIndex < pos.char + (pos.length || 1);
+            const char = escapeHtml(charInfo.char);
+            return isRhyme ? `<span class="match-detail-rhyme" style="color: ${result.color};">${char}</span>` : char;
+        }).join('');
+        html += `<div class="match-detail-line" data-index="${index}" title="在输入框中选中">`;
+        html += `<span class="match-detail-label">${index === focusedIndex ? '本处' : '对应'} 第${pos.line + 1}行</span> ${lineHtml}`;
+        html += `</div>`;
+    });
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * 生成出韵句子的说明文字（已转义，可直接拼入HTML），如"「东」属一东，本段押十一尤"
+ * @param {Object} sentence - 出韵的句子，参见checkEvenLineRhymes，另含该段所押的rhymeGroup
+ * @returns {string} 说明文字
+ */
+function getOutOfRhymeText(sentence) {
+    return `出韵：「${escapeHtml(sentence.text)}」属${sentence.groups.join('、')}，本段押${sentence.rhymeGroup}`;
+}
+
+/**
+ * 生成段落韵式HTML，如"AABB 随韵"，检查偶句押韵时附加该段所押的韵部
+ * @param {Object} stanza - 段落韵式，参见deriveRhymeSchemes
+ * @param {boolean} isBreak - 是否在段落之间，段落之间留出空行
+ * @param {Object} [evenLineStanza] - 该段的偶句押韵检查结果，参见checkEvenLineRhymes
+ * @returns {string} 段落韵式HTML字符串
+ */
+function generateStanzaScheme(stanza, isBreak, evenLineStanza) {
+    let html = `<div class="stanza-scheme${isBreak ? ' stanza-break' : ''}">`;
+    html += `<span class="stanza-scheme-letters">${stanza.scheme}</span>`;
+    if (stanza.label) {
+        html += ` ${stanza.label}`;
+    }
+    if (evenLineStanza && evenLineStanza.rhymeGroup) {
+        const outCount = evenLineStanza.sentences.filter(sentence => sentence.status === 'out').length;
+        html += ` <span class="stanza-rhyme-group">押${evenLineStanza.rhymeGroup}</span>`;
+        html += outCount > 0 ? ` <span class="out-of-rhyme-count">出韵 ${outCount} 句</span>` : '';
+    }
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * 生成押韵链标签，如"ANG 链 ×8"
+ * @param {Object} chain - 押韵链
+ * @returns {string} 押韵链标签
+ */
+function getChainLabel(chain) {
+    return `${chain.rhymeGroup} 链 ×${chain.length}`;
+}
+
+/**
+ * 生成押韵链列表HTML，只列出达到标签长度的押韵链
+ * @param {Array<Object>} rhymeChains - 押韵链数组
+ * @returns {string} 押韵链列表HTML字符串，没有需要列出的押韵链时返回空字符串
+ */
+function generateChainList(rhymeChains) {
+    const labeledChains = rhymeChains
+        .filter(chain => chain.length >= MIN_LABELED_CHAIN_LENGTH)
+        .sort((a, b) => b.length - a.length);
+    if (labeledChains.length === 0) {
+        return '';
+    }
+    
+    let html = '<div class="stat-item">押韵链: ';
+    labeledChains.forEach(chain => {
+        const lines = Array.from(new Set(chain.positions.map(pos => pos.line + 1)));
+        html += `<span class="chain-label" style="color: ${chain.color}; border-color: ${chain.color};" title="第${lines.join('、')}行">${getChainLabel(chain)}</span>`;
+    });
     html += '</div>';
     return html;
 }
 
+/**
+ * 生成提示框中的读音文字
+ * @param {Object} charInfo - 字符信息
+ * @returns {string} 汉字为带声调数字的读音（如'liu2'），英文单词为押韵部分的音标（如'/OW/'）
+ */
+function formatReading(charInfo) {
+    if (charInfo.isEnglish) {
+        return charInfo.pinyin ? `/${charInfo.pinyin}/` : '';
+    }
+    return `${charInfo.pinyin}${charInfo.tone || ''}`;
+}
+
+/**
+ * 生成字符下方的平仄标记HTML
+ * @param {Object} charInfo - 字符信息
+ * @returns {string} 平仄标记HTML字符串，轻声显示为'·'，非汉字留空
+ */
+function generateToneMark(charInfo) {
+    if (charInfo.toneClass === '平') {
+        return `<span class="tone-mark tone-ping">平</span>`;
+    }
+    if (charInfo.toneClass === '仄') {
+        return `<span class="tone-mark tone-ze">仄</span>`;
+    }
+    return `<span class="tone-mark">${charInfo.pinyin ? '·' : '&nbsp;'}</span>`;
+}
+
+/**
+ * 生成多音字读音选择按钮HTML
+ * 第一个读音为结合上下文自动判断的读音，点击后取消手动指定
+ * @param {Object} charInfo - 字符信息
+ * @param {number} lineIndex - 行下标
+ * @param {number} charIndex - 字符下标
+ * @returns {string} 读音选择HTML字符串，非多音字返回空字符串
+ */
+function generateReadingOptions(charInfo, lineIndex, charIndex) {
+    const readings = charInfo.readings || [];
+    if (readings.length < 2) {
+        return '';
+    }
+    
+    let html = `<div class="tooltip-readings">`;
+    readings.forEach((reading, readingIndex) => {
+        const isActive = reading === charInfo.pinyin;
+        html += `<span class="reading-option${isActive ? ' active' : ''}" data-line="${lineIndex}" data-char="${charIndex}" data-pinyin="${reading}" data-auto="${readingIndex === 0}">${reading}</span>`;
+    });
+    html += `</div>`;
+    return html;
+}
+
 /**
  * 创建押韵标记映射
  * @param {Array<Object>} rhymeGroups - 韵脚组序列
@@ -106,50 +474,230 @@ function createRhymeMarkers(rhymeGroups, analysisResults) {
 }
 
 /**
- * 生成简化的押韵统计信息HTML（只显示押韵字词比例）
- * @param {Array<Object>} rhymeGroups - 韵脚组序列
- * @param {Array<Object>} analysisResults - 押韵分析结果
+ * 生成押韵统计信息HTML（押韵字词比例、押韵精度分布、押韵链和可展开的详细统计）
+ * @param {Object} stats - 押韵统计数据，参见computeRhymeStats
+ * @param {Object} [summary] - 押韵分析摘要
+ * @param {Array<Object>} [rhymeChains] - 押韵链数组
  * @returns {string} 简化的统计信息HTML字符串
  */
-function generateSimpleStats(rhymeGroups, analysisResults) {
-    // 计算总字符数
-    let totalChars = 0;
-    rhymeGroups.forEach(group => {
-        totalChars += group.charInfos.length;
-    });
+function generateSimpleStats(stats, summary, rhymeChains = []) {
+    let html = '<div class="rhyme-stats">';
+    html += `<div class="stat-item">押韵字词比例: <span class="stat-value">${stats.rhymeRatio}%</span></div>`;
     
-    // 计算押韵字符数（去重）
-    const rhymingChars = new Set();
-    analysisResults.forEach(result => {
-        result.positions.forEach(pos => {
-            // 处理多押序列，为序列中的每个字符创建标记
-            const length = pos.length || 1;
-            for (let i = 0; i < length; i++) {
-                const charIndex = pos.char + i;
-                const key = `${pos.line}-${charIndex}`;
-                rhymingChars.add(key);
-            }
-        });
+    // 显示各精度等级通过的押韵数量
+    if (summary && summary.matchLevels) {
+        const levels = ['strict', 'normal', 'loose'];
+        if (summary.similarityThreshold < 1) {
+            levels.push('near');
+        }
+        const levelText = levels
+            .map(level => `${PRECISION_LABELS[level]} ${summary.matchLevels[level] || 0}`)
+            .join(' / ');
+        html += `<div class="stat-item">押韵精度(${PRECISION_LABELS[summary.rhymePrecision]}): <span class="stat-value">${levelText}</span></div>`;
+        if (summary.similarityThreshold < 1) {
+            html += `<div class="stat-item">近韵阈值: <span class="stat-value">${Math.round(summary.similarityThreshold * 100)}%</span></div>`;
+        }
+    }
+    html += generateChainList(rhymeChains);
+    html += generateStatsDashboard(stats);
+    html += '</div>';
+    return html;
+}
+
+/**
+ * 生成一组水平条形图HTML
+ * @param {Array<Object>} items - 条目数组，每项为{ label, value, text }，text为条形右侧显示的文字
+ * @param {number} maxValue - 条形满宽对应的值
+ * @returns {string} 条形图HTML字符串
+ */
+function generateBarChart(items, maxValue) {
+    let html = '<div class="stats-bars">';
+    items.forEach(item => {
+        const width = maxValue > 0 ? Math.round(item.value / maxValue * 100) : 0;
+        html += `<div class="stats-bar-row">`;
+        html += `<span class="stats-bar-label">${item.label}</span>`;
+        html += `<span class="stats-bar-track"><span class="stats-bar-fill" style="width: ${width}%;"></span></span>`;
+        html += `<span class="stats-bar-value">${item.text}</span>`;
+        html += `</div>`;
     });
-    const rhymingCharCount = rhymingChars.size;
+    html += '</div>';
+    return html;
+}
+
+/**
+ * 生成详细统计面板HTML：连押字数、押韵类别、常用韵脚组、每行押韵密度和每小节押韵数
+ * @param {Object} stats - 押韵统计数据，参见computeRhymeStats
+ * @returns {string} 详细统计面板HTML字符串
+ */
+function generateStatsDashboard(stats) {
+    let html = '<details class="stats-dashboard">';
+    html += '<summary>详细统计</summary>';
     
-    // 计算押韵比例
-    const rhymeRatio = totalChars > 0 ? (rhymingCharCount / totalChars * 100).toFixed(1) : 0;
+    // 连押字数和押韵类别
+    const lengthText = Object.keys(SEQUENCE_LENGTH_LABELS)
+        .map(key => `${SEQUENCE_LENGTH_LABELS[key]} ${stats.sequenceLengths[key]}`)
+        .join(' / ');
+    const categoryText = Object.keys(RHYME_CATEGORY_LABELS)
+        .map(key => `${RHYME_CATEGORY_LABELS[key]} ${stats.categories[key]}`)
+        .join(' / ');
+    html += `<div class="stat-item">连押字数: <span class="stat-value">${lengthText}</span></div>`;
+    html += `<div class="stat-item">押韵类别: <span class="stat-value">${categoryText}</span></div>`;
+    html += `<div class="stat-item">每小节押韵: <span class="stat-value">${stats.rhymesPerBar.toFixed(2)}处</span></div>`;
     
-    let html = '<div class="rhyme-stats">';
-    html += `<div class="stat-item">押韵字词比例: <span class="stat-value">${rhymeRatio}%</span></div>`;
-    html += '</div>';
+    // 常用韵脚组
+    if (stats.topRhymeGroups.length > 0) {
+        html += '<div class="stats-section-title">常用韵脚组（押韵字数）</div>';
+        const maxCount = stats.topRhymeGroups[0].count;
+        html += generateBarChart(stats.topRhymeGroups.map(item => ({
+            label: item.group,
+            value: item.count,
+            text: `${item.count}`
+        })), maxCount);
+    }
+    
+    // 每行押韵密度
+    html += '<div class="stats-section-title">每行押韵密度</div>';
+    html += generateBarChart(stats.lines.map(line => ({
+        label: `${line.line + 1}`,
+        value: line.density,
+        text: `${Math.round(line.density * 100)}%`
+    })), 1);
+    
+    html += '</details>';
     return html;
 }
 
 /**
  * 生成完整的押韵分析报告HTML
  * @param {Object} analysisResult - 押韵分析结果
+ * @param {Object} [options] - 可视化选项，参见visualizeRhymePatterns
  * @returns {string} 完整的押韵分析报告HTML
  */
-export function generateRhymeReport(analysisResult) {
+export function generateRhymeReport(analysisResult, options = {}) {
     let html = '<div class="rhyme-report">';
-    html += visualizeRhymePatterns(analysisResult);
+    html += visualizeRhymePatterns(analysisResult, options);
+    html += '</div>';
+    return html;
+}
+
+/**
+ * 生成押韵词典的候选词语列表HTML
+ * @param {string} queryText - 查询的字词
+ * @param {Array<Object>} suggestions - 候选词语（来自findRhymingWords）
+ * @returns {string} 候选词语列表HTML字符串
+ */
+export function generateRhymeSuggestions(queryText, suggestions) {
+    let html = `<div class="dictionary-query">「${escapeHtml(queryText)}」的押韵词语（${suggestions.length}）</div>`;
+    if (suggestions.length === 0) {
+        html += '<p class="dictionary-empty">没有找到押韵的词语</p>';
+        return html;
+    }
+    
+    html += '<div class="dictionary-words">';
+    suggestions.forEach(suggestion => {
+        html += `<span class="dictionary-word level-${suggestion.matchLevel}" title="${escapeHtml(suggestion.pinyin)}（${PRECISION_LABELS[suggestion.matchLevel]}）">${escapeHtml(suggestion.word)}</span>`;
+    });
+    html += '</div>';
+    return html;
+}
+
+/**
+ * 生成一个版本的歌词对比栏：新增或失去的押韵字按变化类型标出，两版都有的押韵字淡色标出
+ * @param {Object} analysis - 该版本的分析结果
+ * @param {Array<Object>} changedResults - 该版本中发生变化的押韵（旧版为失去的押韵，新版为新增的押韵）
+ * @param {string} changeClass - 变化的样式类名，'diff-lost'或'diff-gained'
+ * @param {string} title - 栏标题
+ * @returns {string} 对比栏HTML字符串
+ */
+function generateComparisonColumn(analysis, changedResults, changeClass, title) {
+    const changedPositions = new Set();
+    changedResults.forEach(result => {
+        result.positions.forEach(pos => {
+            for (let i = 0; i < pos.length; i++) {
+                changedPositions.add(`${pos.line}-${pos.char + i}`);
+            }
+        });
+    });
+    const rhymingPositions = new Set(createRhymeMarkers(analysis.rhymeGroups, analysis.analysisResults).keys());
+    
+    let html = `<div class="comparison-column">`;
+    html += `<div class="comparison-title">${escapeHtml(title)}</div>`;
+    analysis.rhymeGroups.forEach((group, lineIndex) => {
+        html += `<div class="comparison-line${group.phrase > 0 ? ' phrase-continuation' : ''}">`;
+        group.charInfos.forEach((charInfo, charIndex) => {
+            const key = `${lineIndex}-${charIndex}`;
+            const charClass = changedPositions.has(key) ? changeClass : rhymingPositions.has(key) ? 'diff-kept' : '';
+            const char = escapeHtml(charInfo.char);
+            html += charClass ? `<span class="${charClass}">${char}</span>` : char;
+        });
+        html += `</div>`;
+    });
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * 生成押韵变化列表HTML
+ * @param {Array<Object>} results - 新增或失去的押韵
+ * @param {string} title - 列表标题
+ * @param {string} changeClass - 变化的样式类名
+ * @returns {string} 押韵变化列表HTML字符串，没有变化时为空字符串
+ */
+function generateComparisonList(results, title, changeClass) {
+    if (results.length === 0) {
+        return '';
+    }
+    let html = `<div class="stats-section-title">${title}（${results.length}）</div>`;
+    html += `<ul class="comparison-list">`;
+    results.forEach(result => {
+        const words = result.chars.map(chars => chars.join('')).join(' / ');
+        html += `<li><span class="${changeClass}">${escapeHtml(words)}</span> ${escapeHtml(result.rhymeType)}</li>`;
+    });
+    html += `</ul>`;
+    return html;
+}
+
+/**
+ * 格式化带符号的变化量
+ * @param {number} value - 变化量
+ * @param {string} [unit=''] - 单位
+ * @returns {string} 如'+3.5'、'-2'、'±0'
+ */
+function formatChange(value, unit = '') {
+    if (value === 0) {
+        return `±0${unit}`;
+    }
+    return `${value > 0 ? '+' : ''}${value}${unit}`;
+}
+
+/**
+ * 生成两个版本分析结果的对比HTML：押韵字词比例和押韵处数的变化、并排的两版歌词，以及新增和失去的押韵列表
+ * @param {Object} before - 旧版本的分析结果
+ * @param {Object} after - 新版本的分析结果
+ * @param {Object} comparison - 对比结果（来自compareAnalyses）
+ * @param {Object} [labels] - 两个版本的名称
+ * @param {string} [labels.before='旧版本'] - 旧版本的名称
+ * @param {string} [labels.after='新版本'] - 新版本的名称
+ * @returns {string} 对比HTML字符串
+ */
+export function generateAnalysisComparison(before, after, comparison, labels = {}) {
+    const { before: beforeLabel = '旧版本', after: afterLabel = '新版本' } = labels;
+    const changeClass = comparison.ratioChange > 0 ? 'diff-gained' : comparison.ratioChange < 0 ? 'diff-lost' : '';
+    
+    let html = '<div class="analysis-comparison">';
+    html += '<div class="rhyme-stats">';
+    html += `<div class="stat-item">押韵字词比例: <span class="stat-value">${comparison.before.rhymeRatio}% → ${comparison.after.rhymeRatio}%</span> <span class="${changeClass}">${formatChange(comparison.ratioChange, '%')}</span></div>`;
+    html += `<div class="stat-item">押韵: <span class="stat-value">${comparison.before.totalRhymeCount} → ${comparison.after.totalRhymeCount}处</span>（${formatChange(comparison.rhymeCountChange)}）</div>`;
+    html += `<div class="stat-item">新增 <span class="diff-gained">${comparison.gained.length}</span> 处，失去 <span class="diff-lost">${comparison.lost.length}</span> 处，保留 ${comparison.keptCount} 处</div>`;
+    html += '</div>';
+    
+    html += '<div class="comparison-columns">';
+    html += generateComparisonColumn(before, comparison.lost, 'diff-lost', beforeLabel);
+    html += generateComparisonColumn(after, comparison.gained, 'diff-gained', afterLabel);
+    html += '</div>';
+    
+    html += generateComparisonList(comparison.gained, '新增的押韵', 'diff-gained');
+    html += generateComparisonList(comparison.lost, '失去的押韵', 'diff-lost');
     html += '</div>';
     return html;
 }
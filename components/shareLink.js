@@ -0,0 +1,207 @@
+/**
+ * 分享链接模块
+ * 将歌词文本（压缩后）、检测选项、自定义韵脚分组和多音字读音覆盖编码到链接的hash中，打开链接即可看到相同的分析结果
+ * 格式为"#share=<编码方式><base64url数据>"，编码方式z为deflate-raw压缩，u为未压缩的UTF-8（浏览器不支持CompressionStream时使用）
+ */
+
+import { normalizeRhymeGroups } from './rhymeGroups.js';
+
+// hash中分享数据的前缀
+const SHARE_HASH_PREFIX = 'share=';
+
+// 分享数据的格式版本，格式不兼容时递增
+const SHARE_FORMAT_VERSION = 1;
+
+// 编码方式
+const COMPRESSED_ENCODING = 'z';
+const PLAIN_ENCODING = 'u';
+
+// 分享链接的最大长度，超过时不在链接中包含歌词
+// 浏览器本身支持更长的链接，但聊天软件和短链接服务常会截断过长的链接
+export const MAX_SHARE_URL_LENGTH = 8000;
+
+/**
+ * 将字节转换为base64url字符串
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string} base64url字符串（不含填充）
+ */
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    // 分段转换，避免参数过多导致调用栈溢出
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 将base64url字符串转换为字节
+ * @param {string} base64 - base64url字符串
+ * @returns {Uint8Array} 字节
+ * @throws {Error} 字符串不是有效的base64url时抛出错误
+ */
+function base64UrlToBytes(base64) {
+    const binary = atob(base64.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * 用压缩流或解压流转换字节
+ * @param {Uint8Array} bytes - 输入字节
+ * @param {CompressionStream|DecompressionStream} stream - 压缩流或解压流
+ * @returns {Promise<Uint8Array>} 输出字节
+ */
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * 将分享状态编码为hash（不含"#"）
+ * @param {Object} state - 分享状态
+ * @param {string} state.text - 歌词文本
+ * @param {Object} state.settings - 检测选项，键为选项元素ID，值为字符串或布尔值
+ * @param {Object|null} [state.rhymeGroups=null] - 生效的自定义韵脚分组{ name, rhymeGroups }，使用默认分组时为null
+ * @param {Object} [state.pinyinOverrides={}] - 多音字读音覆盖，键为行文本，值为{字符下标: 拼音}
+ * @returns {Promise<string>} hash
+ */
+export async function encodeShareState({ text, settings, rhymeGroups = null, pinyinOverrides = {} }) {
+    const json = JSON.stringify({ v: SHARE_FORMAT_VERSION, text, settings, rhymeGroups, pinyinOverrides });
+    const bytes = new TextEncoder().encode(json);
+    if (typeof CompressionStream === 'undefined') {
+        return SHARE_HASH_PREFIX + PLAIN_ENCODING + bytesToBase64Url(bytes);
+    }
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+    return SHARE_HASH_PREFIX + COMPRESSED_ENCODING + bytesToBase64Url(compressed);
+}
+
+/**
+ * 从hash解码分享状态
+ * @param {string} hash - 链接的hash（可带"#"）
+ * @returns {Promise<Object|null>} { text, settings, rhymeGroups, pinyinOverrides }，text为null表示链接中没有歌词，
+ *   rhymeGroups为null表示使用默认分组；hash不是分享链接时为null
+ * @throws {Error} 分享数据损坏、版本不支持或浏览器无法解压时抛出错误
+ */
+export async function decodeShareState(hash) {
+    const value = hash.replace(/^#/, '');
+    if (!value.startsWith(SHARE_HASH_PREFIX)) {
+        return null;
+    }
+    const encoding = value.charAt(SHARE_HASH_PREFIX.length);
+    const data = value.slice(SHARE_HASH_PREFIX.length + 1);
+
+    let state;
+    try {
+        let bytes = base64UrlToBytes(data);
+        if (encoding === COMPRESSED_ENCODING) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('浏览器不支持解压分享链接');
+            }
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (encoding !== PLAIN_ENCODING) {
+            throw new Error(`未知的编码方式: ${encoding}`);
+        }
+        state = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(`分享链接已损坏: ${error.message}`);
+    }
+
+    if (!state || state.v !== SHARE_FORMAT_VERSION) {
+        throw new Error('不支持的分享链接版本');
+    }
+
+    // 只保留字符串和布尔值的选项，其余忽略
+    const settings = {};
+    if (state.settings && typeof state.settings === 'object') {
+        Object.entries(state.settings).forEach(([key, setting]) => {
+            if (typeof setting === 'string' || typeof setting === 'boolean') {
+                settings[key] = setting;
+            }
+        });
+    }
+    return {
+        text: typeof state.text === 'string' ? state.text : null,
+        settings,
+        rhymeGroups: decodeRhymeGroups(state.rhymeGroups),
+        pinyinOverrides: decodePinyinOverrides(state.pinyinOverrides)
+    };
+}
+
+/**
+ * 检查分享数据中的自定义韵脚分组
+ * @param {*} value - 分享数据中的rhymeGroups
+ * @returns {Object|null} { name, rhymeGroups }，没有自定义分组或结构无效时为null
+ */
+function decodeRhymeGroups(value) {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    try {
+        return { name: typeof value.name === 'string' ? value.name : '', rhymeGroups: normalizeRhymeGroups(value.rhymeGroups) };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * 检查分享数据中的多音字读音覆盖，只保留字符下标为整数、读音为字符串的项
+ * @param {*} value - 分享数据中的pinyinOverrides
+ * @returns {Object} 读音覆盖，键为行文本，值为{字符下标: 拼音}
+ */
+function decodePinyinOverrides(value) {
+    const overrides = {};
+    if (!value || typeof value !== 'object') {
+        return overrides;
+    }
+    Object.entries(value).forEach(([line, lineOverrides]) => {
+        if (!lineOverrides || typeof lineOverrides !== 'object') {
+            return;
+        }
+        const validOverrides = {};
+        Object.entries(lineOverrides).forEach(([charIndex, pinyin]) => {
+            if (/^\d+$/.test(charIndex) && typeof pinyin === 'string') {
+                validOverrides[charIndex] = pinyin;
+            }
+        });
+        if (Object.keys(validOverrides).length > 0) {
+            overrides[line] = validOverrides;
+        }
+    });
+    return overrides;
+}
+
+/**
+ * 生成分享链接，链接超过MAX_SHARE_URL_LENGTH时依次省略自定义韵脚分组、歌词（连同只对这些歌词有效的读音覆盖），
+ * 仍然过长时只包含检测选项
+ * @param {string} baseUrl - 页面地址，已有的hash会被替换
+ * @param {Object} state - 分享状态（参见encodeShareState）
+ * @returns {Promise<Object>} { url, includesText, includesRhymeGroups, includesPinyinOverrides }
+ *
+ * @example
+ * await createShareUrl(location.href, { text: '床前明月光', settings: { rhymePrecision: 'normal' } });
+ * // { url: 'https://example.com/#share=z...', includesText: true, includesRhymeGroups: false, includesPinyinOverrides: false }
+ */
+export async function createShareUrl(baseUrl, { text, settings, rhymeGroups = null, pinyinOverrides = {} }) {
+    const pageUrl = baseUrl.split('#')[0];
+    const candidates = [
+        { text, rhymeGroups, pinyinOverrides },
+        { text, rhymeGroups: null, pinyinOverrides },
+        { text: null, rhymeGroups, pinyinOverrides: {} },
+        { text: null, rhymeGroups: null, pinyinOverrides: {} }
+    ];
+
+    let url;
+    let candidate;
+    for (candidate of candidates) {
+        url = `${pageUrl}#${await encodeShareState({ ...candidate, settings })}`;
+        if (url.length <= MAX_SHARE_URL_LENGTH) {
+            break;
+        }
+    }
+    return {
+        url,
+        includesText: candidate.text !== null,
+        includesRhymeGroups: candidate.rhymeGroups !== null,
+        includesPinyinOverrides: Object.keys(candidate.pinyinOverrides).length > 0
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * 原文位置映射模块
+ * 韵脚组中的字来自去除时间标签、节拍标记和首尾空白后的文本，本模块记录每个字在原始文本中的下标，
+ * 用于在原文和分析结果之间相互定位（如点击结果中的押韵后选中输入框中的原文）
+ */
+
+/**
+ * 为一行原文拆分出的字符信息写入在原始文本中的位置（sourceStart、sourceEnd，end不含）
+ * 字符信息按顺序是原文去除跳过范围后的子序列（另外只少了空白），因此逐字向后匹配即可
+ * @param {Array<Object>} charInfos - 该行（含拆分出的所有短句）的字符信息，按原文顺序排列
+ * @param {string} sourceLine - 该行的原文
+ * @param {number} sourceOffset - 该行原文在整个文本中的起始下标
+ * @param {Array<Object>} [skippedRanges=[]] - 转换时从该行去除的范围[{ start, end }]（如时间标签、节拍标记），按位置排列
+ */
+export function assignSourceOffsets(charInfos, sourceLine, sourceOffset, skippedRanges = []) {
+    let index = 0;
+    let rangeIndex = 0;
+
+    /**
+     * 跳到下一个不在去除范围内的下标
+     */
+    const skipRanges = () => {
+        while (rangeIndex < skippedRanges.length && skippedRanges[rangeIndex].end <= index) {
+            rangeIndex++;
+        }
+        if (rangeIndex < skippedRanges.length && skippedRanges[rangeIndex].start <= index) {
+            index = skippedRanges[rangeIndex].end;
+            skipRanges();
+        }
+    };
+
+    charInfos.forEach(charInfo => {
+        let start = null;
+        // 英文单词中间可能插有节拍标记，逐个字符匹配
+        for (const char of charInfo.char) {
+            skipRanges();
+            while (index < sourceLine.length && !sourceLine.startsWith(char, index)) {
+                index++;
+                skipRanges();
+            }
+            if (index >= sourceLine.length) {
+                return;
+            }
+            if (start === null) {
+                start = index;
+            }
+            index += char.length;
+        }
+        charInfo.sourceStart = sourceOffset + start;
+        charInfo.sourceEnd = sourceOffset + index;
+    });
+}
+
+/**
+ * 查找原始文本中某个下标所在的字
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列（字符信息带有sourceStart、sourceEnd）
+ * @param {number} offset - 原始文本中的下标
+ * @returns {Object|null} { line, char }，line为韵脚组序列中的行下标，char为字符下标；该下标不在任何字上（如空白、时间标签）时为null
+ */
+export function findCharAtOffset(rhymeGroups, offset) {
+    for (let line = 0; line < rhymeGroups.length; line++) {
+        const charInfos = rhymeGroups[line].charInfos;
+        if (charInfos.length === 0 || typeof charInfos[0].sourceStart !== 'number' ||
+            offset < charInfos[0].sourceStart || offset >= charInfos[charInfos.length - 1].sourceEnd) {
+            continue;
+        }
+        const char = charInfos.findIndex(charInfo => charInfo.sourceStart <= offset && offset < charInfo.sourceEnd);
+        return char >= 0 ? { line, char } : null;
+    }
+    return null;
+}
+
+/**
+ * 获取押韵位置在原始文本中的范围
+ * @param {Array<Object>} rhymeGroups - 韵脚组序列（字符信息带有sourceStart、sourceEnd）
+ * @param {Object} position - 押韵位置{ line, char, length }
+ * @returns {Object|null} { start, end }，end不含；字符信息没有原文位置时为null
+ */
+export function getSourceRange(rhymeGroups, position) {
+    const group = rhymeGroups[position.line];
+    const first = group && group.charInfos[position.char];
+    const last = group && group.charInfos[position.char + (position.length || 1) - 1];
+    if (!first || !last || typeof first.sourceStart !== 'number' || typeof last.sourceEnd !== 'number') {
+        return null;
+    }
+    return { start: first.sourceStart, end: last.sourceEnd };
+}
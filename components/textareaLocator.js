@@ -0,0 +1,98 @@
+/**
+ * 输入框文字定位模块
+ * textarea不提供文字的位置，本模块在页面外放置一个与输入框排版相同的隐藏镜像元素，
+ * 通过镜像中文字的位置换算鼠标下的字符下标，以及某个字符所在的高度（用于滚动到该处）
+ */
+
+// 影响文字排版的样式，镜像元素与输入框保持一致
+const MIRRORED_STYLES = [
+    'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+    'textTransform', 'textIndent', 'tabSize', 'wordSpacing'
+];
+
+/**
+ * 创建输入框的文字定位器
+ * @param {HTMLTextAreaElement} textarea - 输入框
+ * @returns {Object} 定位器
+ *   - getOffsetAtPoint(clientX, clientY)：鼠标位置下的字符下标，不在文字上时为null
+ *   - getOffsetTop(offset)：字符顶部相对输入框顶部的距离（像素），已扣除输入框的滚动距离
+ */
+export function createTextareaLocator(textarea) {
+    const mirror = document.createElement('div');
+    mirror.setAttribute('aria-hidden', 'true');
+    Object.assign(mirror.style, {
+        position: 'absolute',
+        top: '0',
+        left: '-9999px',
+        visibility: 'hidden',
+        whiteSpace: 'pre-wrap',
+        overflowWrap: 'break-word',
+        wordBreak: getComputedStyle(textarea).wordBreak
+    });
+    const textNode = document.createTextNode('');
+    mirror.appendChild(textNode);
+    document.body.appendChild(mirror);
+    const range = document.createRange();
+
+    /**
+     * 同步镜像的样式和文字，输入框的内容或宽度变化后才需要更新
+     */
+    function syncMirror() {
+        const style = getComputedStyle(textarea);
+        MIRRORED_STYLES.forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        // 镜像末尾加一个空格，使末尾的换行也占据一行
+        const text = `${textarea.value} `;
+        if (textNode.data !== text) {
+            textNode.data = text;
+        }
+    }
+
+    /**
+     * 获取镜像中某个字符相对镜像左上角的位置
+     * @param {number} offset - 字符下标
+     * @returns {DOMRect} 字符的位置
+     */
+    function getCharRect(offset) {
+        range.setStart(textNode, offset);
+        range.setEnd(textNode, Math.min(offset + 1, textNode.length));
+        // 换行处的字符可能有两个矩形，取最后一个（所在行）
+        const rects = range.getClientRects();
+        const rect = rects.length > 0 ? rects[rects.length - 1] : range.getBoundingClientRect();
+        const mirrorRect = mirror.getBoundingClientRect();
+        return new DOMRect(rect.left - mirrorRect.left, rect.top - mirrorRect.top, rect.width, rect.height);
+    }
+
+    return {
+        getOffsetAtPoint(clientX, clientY) {
+            syncMirror();
+            const textareaRect = textarea.getBoundingClientRect();
+            const x = clientX - textareaRect.left + textarea.scrollLeft;
+            const y = clientY - textareaRect.top + textarea.scrollTop;
+
+            // 字符按阅读顺序排列，先比较所在行的上下，同一行再比较左右，二分查找
+            let low = 0;
+            let high = textarea.value.length - 1;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                const rect = getCharRect(middle);
+                if (y < rect.top || (y < rect.bottom && x < rect.left)) {
+                    high = middle - 1;
+                } else if (y >= rect.bottom || x >= rect.right) {
+                    low = middle + 1;
+                } else {
+                    return middle;
+                }
+            }
+            return null;
+        },
+
+        getOffsetTop(offset) {
+            syncMirror();
+            return getCharRect(Math.min(offset, textarea.value.length)).top - textarea.scrollTop;
+        }
+    };
+}
@@ -0,0 +1,30 @@
+/*!
+ * to-jyutping 3.1.1 https://github.com/CanCLID/to-jyutping
+ *
+ * BSD 2-Clause License
+ *
+ * Copyright (c) 2024 Cantonese Computational Linguistics Infrastructure Development Workgroup
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE LIABLE
+ * FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL
+ * DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR
+ * SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER
+ * CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY,
+ * OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+ * OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+!function(u,r){"object"==typeof exports&&"undefined"!=typeof module?r(exports):"function"==typeof define&&define.amd?define(["exports"],r):r((u="undefined"!=typeof globalThis?globalThis:u||self).ToJyutping={})}(this,(function(u){"use strict";const r=new Map(G("!\"'(),-./:;?[]{}~·‐‑‒–—―‘’“”…⋮⋯⸱⸳⸺⸻、。〈〉《》「」『』【】〔〕〖〗〘〙〚〛〜〝〞〟・︐︑︒︓︔︕︖︗︘︙︱︲︵︶︷︸︹︺︻︼︽︾︿﹀﹁﹂﹃﹄﹇﹈﹐﹑﹒﹔﹕﹖﹗﹘﹙﹚﹛﹜﹝﹞﹣！＂＇（），－．／：；？［］｛｝～｟｠｡｢｣､･","!\"'(),-./:;?[]{}~·------‘’“”………··--,.‘’“”“”‘’[][][][][]~“””·,,.:;!?[]…--(){}[][]“”‘’“”‘’[],,.;:?!-(){}[]-!\"'(),-./:;?[]{}~().“”,·")),d=new Set("([{‘“"),j=new Set(")]}’”"),K=new Map(G(d,j)),f=new Set(d),s=new Set([..."!,.:;?…",...j]),w=new Set("\"'·-~"),l=new Set([" ",...f,...w]),E=new Set([...s,...w]),o=new Set("-﹣－"),v=new Set("',.·⸱⸳﹒＇．"),b=new Set("0０𝟎𝟘𝟢𝟬𝟶🯰1１𝟏𝟙𝟣𝟭𝟷🯱2２𝟐𝟚𝟤𝟮𝟸🯲3３𝟑𝟛𝟥𝟯𝟹🯳4４𝟒𝟜𝟦𝟰𝟺🯴5５𝟓𝟝𝟧𝟱𝟻🯵6６𝟔𝟞𝟨𝟲𝟼🯶7７𝟕𝟟𝟩𝟳𝟽🯷8８𝟖𝟠𝟪𝟴𝟾🯸9９𝟗𝟡𝟫𝟵𝟿🯹"),J=new Set(["","-"]);const i=new Set(".!?…"),I=new Set(",/:;-~()[]{}");function G(u,r){const d=[],j=u[Symbol.iterator](),K=r[Symbol.iterator]();let f,s;for(;!(f=j.next()).done&&!(s=K.next()).done;)d.push([f.value,s.value]);return d}const Q=["","b","p","m","f","d","t","n","l","g","k","ng","gw","kw","w","h","z","c","s","j"],z=["aa","a","e","i","o","u"],q=["oe","oen","oeng","oet","oek","eoi","eon","eot","yu","yun","yut","m","ng"],R=["","i","u","m","n","ng","p","t","k"];function x(u){const r=~~(u%402/6);return Q[~~(u/402)]+(r>=54?q[r-54]:z[~~(r/9)]+R[r%9])+(u%6+1)}const F=new Map;let H=Array.from("{〇Fr㐀vW㐁9t㐂n!㐃jK㐄['㐅%I%C㐆w]㐇Iv㐈vt㐉9K㐊s8㐋>@㐌w`㐍hX㐎/<㐏%I%C㐐BlG<㐑:]㐒jJ㐓fF㐔du㐕vZ㐖Ow㐗G=㐘/+㐙8,㐚%H%B㐛v\\㐜r0㐝QW㐞Nx㐟4-㐠z%㐡BbG2㐢3Z㐣5q㐤7W㐥oB㐦M.㐧oH8&㐨lJ㐩x$㐪s4fP㐫g?㐬EN㐭EU㐮u-㐯y6㐰uG㐱mj㐲7J㐳S8\",㐴*3㐵z$㐶ng㐷.J.G㐸f#㐹S8\",e;㐺v`㐻BhG8㐼o(㐽63㐾bn㐿r.㑀;q㑁lQ㑂5X㑃!.R:㑄0y㑅kG㑆f-㑇i5m]㑈:]㑉tu㑊x8㑋gA㑌fcb9㑍G8㑎BmG=㑏q+㑐tu㑑iV㑒nu㑓lM㑔u@㑕uA㑖kn㑗r9㑘I;㑙9S㑚@=Dg㑛tu㑜vV㑝H,㑞x&㑟&F㑠K9㑡ji㑢QS㑣Dx㑤.T㑥wb㑦EJ㑧W;㑨z%㑩G0㑪m$㑫B>Fh㑬L3YW㑭&d㑮`H㑯u@㑰5w㑱wm㑲@NDx㑳i5m]㑴mc㑵iV㑶e;㑷;q㑸wl㑹b\\㑺lM㑻.q㑼H\\㑽>T㑾wl㑿h\\㒀i&㒁z%㒂lA㒃wb㒄wy㒅N@㒆N]㒇0y㒈d5㒉o^㒊qk㒋s3㒌Ol㒍H`㒎qk㒏f`㒐uF㒑5v㒒)&㒓<;7k㒔tz㒕#cTo㒖Rs!g㒗><㒘uV㒙0N㒚ve㒛=g㒜z%㒝0b㒞`8㒟B7Fa㒠d,㒡vZ㒢yh㒣x#㒤o/㒥63㒦Ha㒧EJ㒨sK㒩G.㒪s/㒫JM㒬b9㒭[u㒮5u㒯x,㒰q0㒱jn㒲oH㒳HO㒴W]㒵.V㒶LQ㒷f-㒸uD㒹9E㒺11㒻0z㒼1`/B㒽h3㒾ne㒿F$㓀)!㓁11㓂NG㓃9q㓄i;㓅=u㓆Hf㓇yE㓈'Y㓉c&㓊:b㓋LV㓌mo㓍p9㓎mc㓏Xd㓐H>㓑x&㓒n!㓓@NDx㓔ib㓕0b㓖&Q㓗KM㓘tu㓙g?㓚LQ㓛LQ㓜vY㓝x$㓞OwNA㓟*W㓠9A㓡5p㓢Gb㓣e!㓤J9Ow㓥>Q{房>Q5X水鱼>Qu@z\"盘>Q-4}㓦.w&#㓧J!㓨neo;㓩h3㓪GO㓫5o㓬5o㓭fq㓮99㓯F$㓰`,㓱<T㓲,!㓳8!㓴z+㓵U,#z㓶Ow㓷wb㓸lA㓹yn㓺Of㓻Ku㓼n!㓽tf㓾r'㓿uR㔀Ol㔁89㔂Hf㔃lh㔄tu㔅sA㔆m1㔇-G㔈42㔉l!㔊jR㔋IG㔌i8㔍mG㔎s_㔏G,㔐nu㔑n!㔒[f㔓K:㔔I3㔕J>㔖I3㔗3V㔘q!㔙*9㔚dd㔛Ow㔜(z㔝HO㔞V]㔟r)㔠e,㔡'e㔢;Y㔣Hb㔤r;㔥%P㔦y[㔧Hb㔨(S㔩\"!e&S-㔪G=㔫H*㔬pk㔭nf㔮B`G0㔯uZ㔰dx㔱z$㔲W:㔳W:㔴x8㔵uX㔶LS㔷EP'#㔸<K㔹Et㔺r)㔻+3㔼uF㔽v[㔾nuje㔿i5㕀`5㕁QS㕂v`㕃N?㕄j:㕅IY㕆bV㕇E2㕈w^㕉e&㕊(!㕋NN㕌T\\#P㕍;9㕎e&㕏q*㕐rX㕑q*pr㕒Rl!`㕓o$㕔=?=u㕕_n㕖sw㕗v[㕘m-r3mcqWqY㕙lM㕚hXlu㕛v[㕜s4㕝s8㕞mG㕟`4㕠u-tc㕡PY㕢d,㕣wy㕤NH㕥wa㕦_V㕧s3㕨32㕩,_㕪8.㕫63㕬ki㕭!/v!wiR;㕮5p㕯DDHn㕰fw㕱vZ㕲1u㕳g?㕴r4㕵YSL/㕶%J%B%H%D㕷`'㕸Ec㕹3z㕺eu㕻<S㕼g?㕽ng㕾s@㕿ax㖀Hn㖁Hh㖂vV㖃dd㖄i3㖅uK㖆Q3㖇w`㖈G=㖉Ny㖊mfx!~mfmhme{晚黑mf.adQ气mee;}㖋I;㖌r0㖍8(㖎I;㖏BVG&㖐`7㖑d)㖒<N㖓gB㖔<_㖕r9㖖U&#t㖗v`㖘uFr:㖙I3㖚5t㖛L4YX㖜x!㖝/b㖞_Qaway['auax{可aufF}㖟r2㖠@=Dg㖡w,\"8SD㖢nc㖣<S㖤d6㖥Hc㖦:^㖧3c/=㖨H>㖩lE㖪`,㖫Fr㖬r-㖭=i㖮Hf㖯?0㖰?0㖱w,㖲z$㖳z%㖴/=㖵L)㖶wu㖷s6㖸Dc㖹*k㖺pv㖻A$EN㖼/0㖽i#㖾U,#z㖿w+w(㗀vW㗁U,#z㗂qd㗃/=㗄P]^'㗅bT㗆Ie㗇d!I7㗈.b㗉H\\㗊H`㗋df㗌iQ㗍hQ㗎I5IkI4I3I6{仔I6i.佬I6G:嘛I3.G头I6<T妹I61K文I6/:話I6_R话I6_R頭I6<T}㗏_W`3㗐dG㗑%S㗒#KTW㗓lE㗔f'㗕Iw㗖7V㗗&d㗘(G㗙o?㗚Hn㗛sA㗜m_㗝Kc㗞,A㗟lY㗠nd㗡x$㗢gB㗣<M㗤l!㗥^#PY㗦G<㗧iQ㗨d'㗩rE㗪+3㗫o5㗬hK㗭sc㗮J-㗯i^㗰p<㗱htj,j(j*{㗱{声j*j(ru聲j*j(ru}}㗲`'㗳8?㗴RH!<㗵3u㗶-G㗷oG㗸d6㗹`6㗺qk㗻K\\㗼x,㗽gd㗾gWgZgX{㗾{声gZgXru聲gZgXru}哆gZ:u}㗿fE㘀kG㘁x8㘂nf㘃w+㘄E]㘅d6㘆>:㘇a`㘈x8㘉jijc㘊N]㘋wx㘌QV㘍iQ㘎d5d4㘏9t㘐*)㘑EJ㘒kj㘓E$㘔oG㘕d5㘖RH!<㘗QW㘘Hv㘙RB!6㘚d5d4㘛di㘜m`㘝@bE2㘞az㘟p]㘠'i㘡dJ㘢`L㘣uZ㘤_i㘥vZTT#H㘦NT㘧lJ㘨BPFz㘩&h㘪fS㘫K@㘬!/R;㘭!/!-!.R9R;㘮x8㘯p`㘰i9㘱<'㘲Lc㘳vW㘴jt㘵(#㘶KP㘷R8!,㘸k5㘹nf㘺3z㘻vc㘼d.㘽ju㘾z%㘿BVG&㙀EP㙁1N㙂;>㙃&E㙄&2㙅(\"㙆`N㙇pK㙈d#㙉=p㙊p`㙋JK㙌tu㙍lG㙎`3㙏6E㙐9d㙑z%㙒w+㙓[f㙔`7㙕2w㙖z%㙗bW㙘wi㙙H+㙚sQ㙛(\"㙜PY㙝f5㙞S8\",㙟GO㙠!]Ri㙡ki㙢1`㙣l5㙤De㙥WM㙦n0㙧EP㙨JK㙩F`㙪!_Rk㙫mu㙬S$!r㙭Qw㙮7e㙯Rn!b㙰d+㙱Kd㙲y3㙳dj㙴nw㙵><㙶>T㙷ht㙸,q㙹1h㙺[f㙻o$㙼Ha㙽sc㙾fz㙿e9㚀e9㚁OY㚂C&GP㚃`E㚄j;㚅H*㚆6J㚇ki㚈T\\#P㚉L4YX㚊fK㚋99㚌5:㚍5v㚎gw㚏Kd㚐>A㚑Fr㚒sF㚓G6㚔BPFz㚕&V㚖Kd㚗n0㚘(h㚙I3㚚\\!㚛d_㚜at㚝lE㚞r4㚟pk㚠eu㚡JL㚢BlG<㚣I@㚤x8㚥z!㚦JK㚧nu㚨r9㚩ws㚪fS㚫qk㚬WK㚭vZ㚮7Q㚯mf㚰-!㚱vW㚲nu㚳!#R/㚴,M㚵:]㚶ng㚷@CDm㚸s3㚹.T㚺vh㚻Io㚼A\"EL㚽d.㚾f-㚿%W㛀oB㛁*9㛂B`G0㛃KM㛄w]㛅AVF&㛆9e㛇k3㛈d.㛉wk㛊9e㛋AUF%㛌/0㛍f5㛎Ha㛏NH㛐sv㛑m5㛒8,㛓e9㛔63㛕vo㛖si㛗n-㛘-G㛙r9㛚?.㛛r9㛜vZ㛝(S㛞H,㛟bn㛠d=㛡`J㛢r/㛣`H㛤F$㛥<5㛦EU㛧/=㛨QF㛩l&㛪wq㛫sc㛬H>㛭sc㛮sv㛯3/㛰3c㛱bX㛲3A㛳vV㛴BmG=㛵o'㛶<)㛷Io㛸uV㛹,$㛺v]㛻_W㛼mA㛽q]㛾d6㛿7G㜀u-㜁lx㜂63㜃Hv㜄mf㜅gQ㜆/,㜇`5㜈1z㜉y3㜊jR㜋x3㜌A%EO㜍>T㜎d`㜏`H㜐uV㜑,B㜒Rn!b㜓7e㜔K@㜕Fl㜖oN㜗m-㜘i]㜙H>㜚tu㜛z+㜜Tb#V㜝Ry!m㜞nw㜟d5㜠po㜡p9㜢Ha㜣wx㜤B=Fg㜥.N㜦mf㜧z/㜨@BDl㜩#ST_㜪r9㜫/a㜬7Q㜭:'㜮Dz㜯e9㜰yh㜱iQ㜲x$㜳_Z㜴/D㜵B7Fa㜶0O㜷@CDm㜸x2x,㜹QZ㜺hd㜻Hv㜼iV㜽j:㜾d*㜿lJ㝀fR㝁h3㝂i/㝃0O㝄uH㝅Iw㝆e:㝇uH㝈Hx㝉q+㝊r.㝋F`㝌Iw㝍rX㝎9P㝏I;㝐y6㝑,`㝒M-㝓e!㝔wjwk㝕BHFr㝖w`㝗GNGP㝘y6㝙vf㝚wx㝛tur/㝜sc㝝ET㝞!!R-㝟0z㝠0T0U㝡lG㝢z%㝣!_Rk㝤Iw㝥/*㝦lM㝧`F㝨z*_l㝩fKfc㝪9A㝫H*㝬bT㝭sR㝮pq㝯OZ㝰0N㝱1h1f㝲md㝳r3㝴z*㝵8K㝶8K㝷mf㝸'V㝹A$EN㝺Ff㝻J(㝼z!㝽u@㝾jp㝿&-'p&e㞀5u㞁wn㞂?d㞃OJ㞄!iRu㞅G2㞆JL㞇bX㞈(w㞉hw㞊uK㞋B@Fj㞌vh㞍z*㞎%L㞏ht㞐M-JK㞑/a㞒!_e;Rk㞓e;d]㞔w`㞕s_㞖nc㞗NHIu{屎Ius4}㞘:o㞙B8Fb㞚mu㞛JL㞜?c㞝o9㞞tfp<㞟9J㞠F`㞡jR㞢j9v[㞣3c㞤v`㞥r6㞦JL㞧b\\㞨j:㞩Dx㞪BlG<㞫i4㞬vd㞭7J㞮Rl!`㞯e:㞰gv㞱tc㞲y8㞳8(㞴nf㞵>?㞶/<㞷b<b=㞸uA㞹fF㞺l&㞻fV㞼sT㞽h;㞾ATF$㞿Nx㟀Fl㟁Tn#b㟂0y㟃s3㟄p`㟅Tr#f㟆_T㟇jq㟈NH㟉G<㟊3Z㟋;>㟌10㟍GN㟎>4㟏dl㟐11㟑(z㟒[u㟓Nx㟔dl㟕K/㟖H,㟗&?㟘=f㟙i&㟚Nx㟛hb㟜/`㟝-$㟞hh㟟fh㟠Ku㟡[g㟢Nu㟣tc㟤H>㟥mcm-㟦`J㟧U,#z㟨;Q㟩/<㟪`5㟫q0㟬r.㟭/<㟮8J㟯Rb!V㟰0U㟱wm㟲z*㟳Hn㟴2w㟵Ku㟶z*㟷7k㟸Kc㟹G<㟺EO㟻nw㟼Tb#V㟽'F㟾y6㟿/A㠀9p㠁mcm-㠂Tb#V㠃9]㠄ht㠅6J㠆7W㠇i8㠈yt㠉?0㠊gu㠋U,#z㠌N?㠍mu㠎ht㠏_T㠐K2㠑lJ㠒'F㠓1f㠔%S㠕Rl!`㠖Rm!a㠗#ST_㠘lJ㠙fT㠚;>㠛`,㠜x8㠝q0㠞jW㠟EH㠠H`㠡B7Fa㠢_Z㠣G,㠤u-㠥Hn㠦63㠧/a㠨`W㠩5W㠪M2㠫30㠬dd㠭jR㠮-9㠯wa㠰I3㠱JPJL㠲&d㠳vt㠴vh㠵5W㠶30㠷J5㠸5o㠹I;㠺qE㠻e9㠼s3㠽?0㠾z'㠿j9㡀&2㡁[(㡂EJ㡃5W㡄uE㡅BaG1㡆5W㡇j_㡈/>㡉K9㡊e!㡋x)㡌0z0v㡍1D㡎qW㡏uQ㡐jQ㡑no㡒lK㡓WK㡔0z㡕yW㡖o`㡗<N㡘Ff㡙&-㡚NE㡛105W㡜s_㡝68㡞EN㡟k!㡠jY㡡q*pr㡢.b㡣H*㡤x,㡥ve㡦*i㡧jY㡨jK㡩Hx㡪3c㡫!_Rk㡬JL㡭Iq㡮J>㡯i&㡰z%㡱Iw㡲_l㡳j:㡴E2㡵Fr㡶j:㡷(d㡸hP㡹ne㡺7Y㡻Fb㡼wb㡽jJ㡾d>㡿o9㢀ne㢁nd㢂ws㢃GN㢄8,㢅H,㢆o$㢇wx㢈?f㢉lx㢊!^Rj㢋nd㢌!#R/㢍x\"㢎j_㢏<T㢐_Q㢑?f㢒lx㢓l5㢔kj㢕y3㢖-3㢗ew㢘Ff㢙NT㢚G=㢛wt㢜PF㢝su㢞x8㢟o!㢠Xd㢡l4㢢&2㢣Ol㢤ju㢥:b㢦KW㢧MF㢨fb㢩9]㢪bQ㢫q]㢬`N㢭>?㢮nf㢯;?㢰&h㢱ATF$㢲uG㢳G<㢴r'㢵f5㢶&V㢷uA㢸&V㢹r9㢺wx㢻yn㢼'e㢽AVF&㢾MG㢿df㣀iA㣁&h㣂Rb!V㣃yJ㣄QZ㣅hb㣆/`㣇8&㣈s5㣉LQ㣊/<㣋7W㣌qY㣍><㣎1z㣏j\\㣐'S㣑y6㣒o)㣓m5㣔9K㣕7J㣖;q㣗bV㣘QW㣙9b㣚?.㣛<5㣜x$㣝tc㣞;\\㣟e'㣠>?㣡kn㣢<N㣣sG㣤o%㣥j>㣦`3㣧vh㣨L3YW㣩ET㣪bn㣫kj㣬mu㣭ki㣮@NDx㣯s_㣰rK㣱i&㣲/`㣳0x㣴b<㣵<;㣶hc㣷BJFt㣸yn㣹x#㣺r3㣻R8!,㣼vd㣽uS㣾lw㣿lA㤀10㤁=j㤂J3㤃5W㤄-#㤅#MTY㤆3/㤇#ST_㤈me㤉M]㤊d2㤋3c㤌J!㤍d-㤎KW㤏:^㤐>#㤑vW㤒Kc㤓&D㤔5t㤕q!㤖BbG2㤗;q㤘i5m]㤙vc㤚ff㤛vb㤜uP㤝p9㤞lw:>㤟g@㤠G&㤡EJ㤢yE㤣*9㤤z$㤥fP㤦F&㤧df㤨LR㤩PY㤪z)㤫8K㤬`8㤭K-㤮YAKw㤯Xd㤰kGkJ㤱5q㤲f5㤳(R㤴o/㤵nf㤶10㤷di㤸f?㤹NH㤺5W㤻?0㤼KG㤽m`㤾qY㤿wo㥀jn㥁8K㥂>-㥃1b㥄Fr㥅r2㥆?e㥇m6㥈9V㥉mY㥊*r㥋w]!]㥌Lc㥍JP㥎F$㥏=s=p㥐z)㥑vW㥒oF㥓Nu㥔yJ㥕Fl㥖p9㥗/=㥘KG㥙ki㥚z$㥛KV㥜`8㥝/a㥞uA㥟d*㥠u?㥡ne㥢m`㥣`8㥤K?㥥z$㥦f5f8㥧uJ㥨uD㥩9d㥪EN㥫;?㥬,`㥭;q㥮i5m]㥯vd㥰su㥱4.㥲mi㥳z*㥴w`㥵`J㥶rQ㥷!_Rk㥸/=㥹3d㥺e&㥻o9㥼ve㥽mM㥾B\\G,㥿Tb#V㦀66㦁Fl㦂u0㦃m4㦄.H㦅9\\㦆5o㦇H>㦈#MTY㦉w_㦊_T㦋hK㦌3u㦍U,#z㦎`,㦏uF㦐AVF&㦑d5㦒EF㦓wz㦔wo㦕H*㦖1b㦗J!㦘KQ㦙z$㦚'R㦛z$㦜bP㦝1D㦞m`㦟.N㦠;>㦡Gb㦢je㦣`8㦤w_㦥h3㦦f?㦧m.㦨E%㦩vd㦪sY㦫hw㦬G1㦭Fl㦮jQ㦯`,㦰jK㦱TU#I㦲ju㦳TU#I㦴Ie㦵lW㦶9\\㦷y7㦸KQ㦹yZ㦺yJ㦻ht㦼u/㦽yE㦾w`㦿d4㧀J8㧁gw㧂=r㧃r-㧄dj㧅1z㧆J)㧇0z㧈vg㧉K_㧊-G㧋h4㧌0x㧍5X㧎R0!$㧏Ku㧐td㧑3Q㧒`\\㧓VW㧔V_㧕EO㧖\"-!QR]S9㧗j:㧘j>㧙,5㧚R1!%㧛DyDv㧜E2㧝Np㧞&V㧟[1㧠/`㧡fP㧢vc㧣lW㧤p;㧥sL㧦h5㧧si㧨NH㧩(V㧪W:㧫w`㧬LR$@UL{开$@fK火UL5:開$@fK}㧭Q$㧮3u㧯G=㧰G,H\\G'㧱@<Df㧲r4㧳lJ㧴TU#I㧵*`㧶du㧷<_㧸*9㧹>-㧺<58D㧻:o㧼'F㧽L5YY㧾3u㧿p9㨀'X㨁j>㨂:^㨃;:{冧;:ES}㨄i3㨅D8Hb㨆EUEVES㨇,B㨈i-㨉/<㨊`7㨋n.㨌Iw㨍(3㨎z%㨏<'㨐&4㨑ki㨒5u㨓G<㨔dn㨕x$㨖j;㨗jho/je㨘rAqd{招牌qdjE*$牛王qdRrb<黃魚qdb<z\"黄鱼qdb<z\"}㨙d*㨚uE㨛sF㨜Of㨝s_㨞sw㨟K]㨠0h㨡`\\㨢+3E_A5㨣y4㨤[1㨥@bE2㨦td㨧&D㨨m]㨩jh㨪5X㨫DyDv㨬z*㨭bV㨮8'㨯^#PY㨰WM㨱wl㨲mM㨳W:㨴Od㨵jR㨶9p㨷J)㨸.q㨹`8㨺0O㨻m0㨼H\\㨽'i㨾y\\㨿M/㩀M/㩁PW㩂gV㩃K:㩄qK㩅m]㩆i5㩇`,㩈`I㩉7e㩊uW㩋t?s?㩌42㩍mM㩎x)㩏e-㩐8588㩑qk㩒J&{平J&,*鐳J&H]镭J&H]}㩓`4㩔@$㩕Fo㩖QH㩗[f㩘wa㩙rQ㩚1f㩛@$㩜DyDv㩝fT㩞mM㩟hV㩠#QT]㩡G.㩢0b㩣3Q㩤5o㩥nu㩦[f㩧(E㩨`8㩩Oj㩪Ow㩫iQ㩬e9㩭I@㩮M.㩯-6㩰jF㩱lA㩲Qr㩳td㩴Lc㩵R\\!P㩶BPFz㩷f'㩸9V㩹9V㩺+3㩻Nu㩼j9㩽Nx㩾lE㩿3uNi㪀z!㪁NN㪂3u㪃fF㪄3z㪅J-㪆8\"㪇sM㪈W;㪉e&㪊[x㪋fb㪌?.㪍(V(z㪎sF㪏&.㪐HnEo㪑x)㪒Rl!`㪓pr㪔q_㪕9>pk㪖H>㪗<R㪘Fg㪙5:㪚q_q^㪛i:㪜pp㪝Fn㪞0z㪟;?;9;;@$㪠h]㪡P/㪢qR㪣eu㪤&Q㪥hK㪦vh㪧vo㪨sP㪩t?㪪qk㪫yn㪬pk㪭G<㪮Fr㪯M.㪰hQ㪱bn㪲8(㪳8(㪴KM㪵(e㪶gV㪷8(㪸i9㪹EO㪺QW㪻MG㪼fF㪽sj㪾Gb㪿je㫀9L㫁;V㫂lY㫃wv㫄,`㫅Nx㫆wa㫇z!㫈z!㫉Rl!`㫊w^㫋jQ㫌uZ㫍vZ㫎3Q㫏wj㫐wj㫑j:㫒LQ㫓e;㫔J)㫕Y?Ku㫖j:㫗dg㫘/P㫙5r㫚3u㫛YAKw㫜<(㫝8!㫞>?㫟z*㫠(e㫡:]㫢gw㫣/=㫤o^㫥0T㫦>?㫧(&㫨#]Ti㫩pu㫪ki㫫f(㫬px㫭s6㫮nd㫯0z㫰GP㫱@UE%㫲-#㫳r<㫴d-㫵4-㫶i4㫷JK㫸j_㫹sk㫺sc㫻WM㫼je㫽H>㫾u2㫿lE㬀gd㬁mA㬂z$㬃><㬄m5㬅.b㬆/=㬇bn㬈`E㬉DOHy㬊bn㬋df㬌K@㬍(G㬎f(㬏G,㬐lM㬑YSL/㬒11㬓+q㬔fT㬕yZ㬖N@㬗BDFn㬘tu㬙`7㬚o5㬛N]㬜lM㬝mr㬞fq㬟3c㬠qMqq㬡Fr㬢e9㬣;>㬤vo㬥(&)&㬦bM㬧(&㬨dQ㬩`5㬪9V7h㬫ww㬬QZ㬭lAjGjJ㬮@VE&㬯Fz㬰z$㬱<M㬲=i㬳%I%C㬴g@㬵I?㬶fV㬷[w㬸=c㬹hi㬺<f㬻5W㬼6J㬽U,#z㬾@$㬿<]㭀r,㭁x$㭂B3F]㭃Ku㭄uG㭅qW㭆@CDm㭇z,㭈Qw㭉_T㭊sco9㭋*=㭌z$㭍n!㭎KuKw㭏`73Q㭐7J㭑1P㭒j>㭓'V㭔G<㭕QW㭖9n㭗0U㭘J5㭙i&㭚Ha㭛*#㭜y6㭝NH㭞I#㭟LR㭠sL㭡r)㭢f-㭣/>㭤B7Fa㭥5t㭦i&㭧i3㭨w*㭩I&㭪5o㭫oB㭬;5㭭%w㭮hw㭯j_㭰lF㭱dJ㭲KV㭳d/㭴K9㭵9J㭶5W㭷@NDx㭸>B㭹wx㭺wp㭻>T㭼<5㭽8\"㭾Wb㭿Tr#f㮀d6㮁d0㮂Lc㮃`3㮄(4㮅lE㮆x2㮇=k㮈BhG8㮉e&㮊/2㮋v[㮌0N0L㮍jQ㮎(Q㮏BhG8㮐qd㮑mA㮒ws㮓J.㮔p;㮕z+㮖KM㮗K?㮘0x㮙U,#z㮚Hn㮛nf㮜k3㮝e,㮞je㮟B@Fj㮠a`㮡LMYq㮢df㮣P/㮤p<㮥&D㮦tA㮧bQ㮨ji㮩sc㮪Q$㮫ft㮬y3㮭IE㮮KM㮯`H㮰+6㮱sQ㮲m]㮳iD㮴r-㮵jQ㮶tA㮷Io㮸te㮹j:㮺(d㮻su㮼sM㮽-6㮾GO㮿&Q㯀u\\㯁-$㯂7G㯃n!㯄j9㯅+6㯆m4㯇&2㯈pK㯉bP㯊dr㯋Xd㯌q0㯍l4㯎DPHz㯏Lc㯐>7㯑l3㯒0h㯓<5㯔pq㯕r'㯖8P㯗d<㯘6.㯙jh㯚7e㯛bT㯜lh㯝G>㯞MG㯟H9㯠f)㯡*)㯢i>㯣3c㯤KQ㯥oN㯦Nx㯧no㯨tu㯩<M㯪Fr㯫QZ㯬Fg㯭G=㯮tz㯯LS㯰jn㯱,K+r㯲J#㯳Ol㯴y6㯵:^㯶ki㯷)&㯸lL㯹'F㯺d8㯻WL㯼K_㯽&?㯾k!㯿Fz㰀EH㰁G1㰂r4㰃0N㰄jQ㰅9]㰆&2㰇nu㰈Fg㰉lK㰊nx㰋*l㰌PY㰍H*㰎lG㰏Kc㰐>7㰑qW㰒fz㰓Dy㰔sY㰕e9㰖Dy㰗o9㰘w`㰙B`G0㰚F$㰛yh㰜9E㰝wa㰞nc㰟J9㰠fc㰡d)㰢du㰣j9㰤fE㰥d_㰦gw㰧fK㰨d'㰩fK㰪W9㰫m-㰬uE㰭gu㰮r>㰯<S㰰IY㰱qk㰲yE㰳!#R/㰴3\\㰵lQ㰶vX㰷j;㰸Fg㰹f!㰺d&㰻w^㰼sY㰽ww㰾K/㰿e9㱀le㱁uA㱂fc㱃v^v_㱄e-㱅w_㱆e9㱇sc㱈J&㱉x,㱊vW㱋PY㱌x)㱍Hx㱎WK㱏jY㱐jY㱑uA㱒fE㱓Fr㱔rW㱕W9㱖uD㱗vW㱘wp㱙A\"vXEL㱚m6㱛7F㱜hw㱝r^㱞S2\"&㱟+3㱠5o㱡sQ㱢GN㱣?d㱤sc㱥Fr㱦Nu㱧`#㱨FgFh㱩:t㱪3c㱫E&㱬bX㱭;V㱮Pd^.㱯TZ#N㱰jv㱱b\\㱲w_㱳1D㱴j>㱵3e㱶*r㱷ht㱸,9㱹G,㱺H`㱻G2㱼fK㱽8.㱾K]㱿PY㲀i?㲁g?㲂mr㲃Iw㲄gQ㲅Iq㲆Fr㲇:]㲈sB㲉PY㲊yn㲋pk㲌BJFt㲍j9㲎H`㲏,K㲐J!㲑u@㲒(&㲓uS㲔sK㲕Dn㲖s?㲗5o㲘QZ㲙r-㲚qE㲛j:㲜<(㲝y7㲞uK㲟x\"㲠0x㲡BhG8㲢'V㲣r-㲤u?㲥>T㲦fb㲧sw㲨y6㲩<5㲪89㲫)&㲬jE㲭<(㲮<5㲯Dx㲰BHFr㲱Fz㲲9V㲳9\\㲴kk㲵s?㲶G=㲷7V㲸N]㲹W:㲺n!㲻B\\G,㲼R8!,㲽BDFn㲾z%㲿b:㳀Y#KY㳁iW㳂z*㳃pq㳄wx㳅EN㳆<R㳇5t㳈-#㳉z2㳊vZ㳋vW㳌!GRS㳍(#㳎'V㳏s5㳐hz㳑vz㳒3A㳓v\\㳔;>㳕E$㳖w]㳗m#㳘p9㳙ME㳚`W㳛z$㳜vW㳝fc㳞p9㳟gB㳠<;㳡au㳢OZ㳣G=㳤tz㳥H,㳦d,㳧o/㳨hw㳩<!㳪+5㳫h^㳬uZ㳭wx㳮B8Fb㳯r9㳰NE㳱yZ㳲;q㳳e-㳴/P㳵W;㳶A%EO㳷5w㳸2o㳹b:㳺vZ㳻i#㳼&Q㳽ATF$㳾Lu㳿s_㴀3-㴁x3㴂<!㴃Hb㴄`L㴅s?㴆i;㴇sY㴈S&!t㴉i/㴊z'㴋tus?㴌L3YW㴍sT㴎BhG8㴏b:㴐0P㴑sw㴒x8㴓qK㴔N]㴕ax㴖Gb㴗vW㴘0z㴙hq㴚uD㴛j;㴜,#㴝EH㴞>?㴟dg㴠d6㴡gc㴢p9㴣w`㴤q+㴥nq㴦LMYq㴧sc㴨i>㴩y3㴪x2㴫WM㴬ib㴭wj㴮s_㴯j9㴰A6E`㴱r3㴲s3㴳H+㴴h_㴵/P㴶PY㴷7Q㴸sF㴹/*㴺j_㴻uV㴼tu㴽s_㴾(z㴿9L㵀l&㵁5W㵂uS㵃rZ㵄f_㵅<!㵆Kd㵇=l㵈L3YW㵉ET㵊@bE2㵋0h㵌px㵍1a㵎IM㵏pp㵐Qw㵑fJ㵒3S㵓jn㵔n.㵕r5㵖D8Hb㵗*r㵘.b㵙e:㵚5p㵛sP㵜@ODy㵝yn㵞r0㵟/`/]㵠3u㵡(J㵢H`㵣fq㵤qk㵥/P㵦uC㵧L)㵨+5㵩vV㵪wx㵫A>Eh㵬x$㵭lX㵮uH㵯66㵰lJ㵱+p㵲0y㵳F`㵴o`㵵i8㵶je㵷'V㵸yh㵹bl㵺*$㵻vW㵼rY㵽Ha㵾o)㵿wm㶀I?㶁Xu㶂b<㶃0y㶄wr㶅fz㶆lW㶇_r㶈x$㶉N?㶊mj㶋yn㶌Fl㶍sL㶎_l㶏vcvd㶐x#㶑Fh㶒sF㶓o`㶔%V㶕IL㶖tu㶗32㶘=m㶙yn㶚%M㶛z$㶜z'㶝x#㶞C%GO㶟Ha㶠x8㶡7J㶢Iv㶣nx㶤m(㶥Ko㶦lP㶧DPHz㶨-!㶩v`㶪-!㶫Fa㶬1t㶭vX㶮s?㶯EP㶰dl㶱(d㶲y8㶳lPlL㶴nd㶵vb㶶CWH'{起块面H'e:2w0P}㶷px㶸f5㶹gD㶺=k㶻63㶼lM㶽au㶾'J㶿(z㷀Ol㷁y4㷂uC㷃pp㷄5v㷅m(㷆3\\㷇5u㷈\"!S-㷉`5㷊3f㷋<$㷌i4㷍Hf㷎fq㷏y4㷐`4㷑wu㷒z$㷓kj㷔wt㷕m`㷖jG㷗Xd㷘><㷙jQ㷚=x㷛(!㷜x8㷝8J㷞dg㷟?e㷠Hf㷡Xd㷢hL㷣sQ㷤gQ㷥jW㷦Xu㷧z*㷨63㷩e9㷪lM㷫f/{烚烚f/e&e&过{焫鸡f/Y#@eIo辣鸡f/Y#@eIo}過{焫{雞f/Y#@eIo鷄f/Y#@eIo}辣{雞f/Y#@eIo鷄f/Y#@eIo}}}㷬1D㷭63㷮k!㷯(n㷰nc㷱gB㷲:b㷳Tn#b㷴G,㷵/V㷶'i㷷lM㷸x,㷹hY㷺qq㷻0x㷼ww㷽sP㷾QS㷿f!㸀><㸁f_㸂uD㸃9@㸄i2㸅je㸆Mk㸇l_he㸈jE㸉s_㸊Dn㸋30㸌5k㸍e;㸎BPFz㸏/`㸐wx㸑q/㸒v`㸓/P㸔f_㸕5k㸖po㸗?0㸘.b㸙i]㸚F%㸛sB㸜gA㸝f!㸞je㸟j9㸠=g㸡uT㸢&h㸣x,㸤,#㸥hb㸦bV㸧S$!r㸨NE㸩Tl#`㸪uH㸫K9㸬(S㸭%K㸮3f㸯59㸰59㸱59㸲kJ㸳Fr㸴s2㸵W:㸶wu㸷r,㸸dh㸹I&㸺qE㸻j>㸼63㸽(S㸾vh㸿:t㹀(V㹁HN㹂wx㹃e54)㹄ji㹅kj㹆3Q㹇ft㹈0x㹉z*㹊U,#z㹋r-㹌m4㹍9b㹎H`㹏J(㹐tf㹑r_㹒,q㹓wm㹔Lu㹕_l㹖_n㹗>?㹘z&㹙`L㹚`L㹛wl㹜S$!r㹝s8㹞S$!r㹟Qw㹠@$㹡z*㹢I3㹣ki㹤f5㹥lY㹦99㹧#cTo㹨v\\㹩f1㹪q]㹫w`㹬s4㹭vV㹮/V㹯vW㹰Y?Ku㹱lApk㹲d-㹳%H%B㹴J-㹵x%㹶=x㹷e9㹸.V㹹J-㹺7k㹻au㹼Lc㹽m4㹾+s㹿l&㺀3u㺁BmG=㺂RB!6㺃Iv㺄z%㺅df㺆&D㺇s3㺈nc㺉NG㺊y\\㺋y3㺌Dz㺍&?'Q㺎y6㺏ENEK㺐F`㺑qW㺒d-㺓i#㺔fM㺕30㺖d4㺗m3㺘h_㺙rP㺚mG㺛lY㺜CZH*㺝d7㺞z$㺟kJ㺠v\\㺡G,㺢5k#ETQ㺣e9㺤nu㺥m0㺦Fl㺧eu㺨s3㺩Iz㺪,q㺫NH㺬LR㺭j:㺮z!㺯H,㺰s3㺱x$㺲A%EO㺳1N㺴%w㺵Iv㺶8(㺷uK㺸,*㺹'V㺺0z㺻3u㺼+!㺽+3㺾Xc㺿w`㻀z$㻁W9㻂,*㻃Q3㻄(\"㻅b\\2w㻆z+㻇q0㻈dh㻉(&㻊1`㻋E8㻌>B㻍%H%B㻎rK㻏Fr㻐pu㻑W;㻒[y㻓i3㻔9d㻕Wb㻖9n㻗-#㻘r4㻙yJ㻚*r㻛wb㻜p9㻝E8㻞&?㻟pr㻠8J㻡s_㻢s3㻣r8㻤KQ㻥vZ㻦z$㻧9h㻨z(㻩K3㻪lM㻫'c&Q㻬>?㻭rK㻮m5㻯>?㻰`8㻱66㻲Ha㻳F&㻴.b㻵hh㻶&Q㻷KQ㻸i9㻹h3㻺G,㻻;?㻼<$㻽lJ㻾y3㻿tz㼀7n㼁wb㼂/>㼃E2㼄JK㼅Y@Kv㼆x$㼇Ol㼈G0㼉i>㼊@$㼋L3YW㼌z%㼍Ha㼎(J㼏D7Ha㼐,$㼑Fn㼒>R㼓Ff㼔`E㼕:'㼖EJ㼗=x㼘R1!%㼙i5㼚Ku㼛x$㼜#eTp#dTi#]Tq㼝bj㼞*q㼟&&㼠>6㼡uT㼢w`㼣&#㼤Ow㼥<R㼦LR㼧?0㼨dl㼩sT㼪j_㼫bn㼬dz㼭9D㼮m!㼯:_㼰+6㼱z+㼲Fz㼳qd㼴Rs!g㼵<O㼶z$㼷l]㼸y6㼹fc㼺>T㼻p<㼼+r㼽o^㼾H>㼿?0㽀j&㽁G,㽂qk㽃-3㽄s3㽅89㽆:'㽇gV㽈wb㽉d8㽊sY㽋G0㽌EP㽍di㽎<$㽏J#㽐f!㽑<$㽒r?㽓r9㽔yn㽕vZ㽖@NDx㽗9J㽘Kv㽙lM㽚o9㽛NE㽜z(㽝EJ㽞EN㽟I#㽠dJ㽡&c㽢!jRv㽣at㽤Lc㽥vZ㽦`H㽧j9㽨oB㽩me㽪iF㽫y3㽬5q㽭z*㽮sQ㽯[f㽰si㽱I@㽲I@㽳gu㽴l8㽵k3㽶JL㽷uA㽸r6㽹3.㽺J3㽻j9㽼vg㽽L5YY㽾S8\",㽿Y!KW㾀f5㾁3u㾂fK㾃>6㾄:t㾅j:㾆nu㾇1z㾈5t㾉Fr㾊j5㾋vW㾌sL㾍BfG6㾎!GRS㾏I;㾐EJ㾑7e㾒z$㾓z'㾔Ha㾕r4㾖F%㾗HP㾘J.㾙ve㾚rW㾛md㾜f5㾝n/㾞vZ㾟(&㾠PH㾡QS㾢G8㾣di㾤fc㾥pK㾦-!㾧5;㾨w]㾩V]㾪qd㾫,!㾬I9㾭i5㾮b<㾯5u㾰bT㾱3S㾲T`#T㾳j9㾴lx㾵Iq㾶W]㾷r'㾸Kd㾹m$㾺.J㾻l\\㾼?d㾽lJ㾾f!㾿GN㿀%c㿁eu㿂jW㿃i2㿄!)R5㿅sL㿆Y!KW㿇ht㿈y3㿉?f㿊m.㿋sw㿌f!㿍I;㿎3h㿏[x㿐po㿑yh㿒9p㿓IY㿔Ha㿕wr㿖G<㿗?f㿘x$㿙+5㿚G2㿛EJ㿜'h㿝gc㿞0z㿟&&㿠Y?Ku㿡8'㿢wn㿣fq㿤pv㿥fz㿦BJFt㿧m`㿨G,㿩>R㿪z*㿫&e㿬%K㿭mM㿮yY㿯7e㿰R<!0㿱lh㿲w]㿳j9㿴7e㿵G<㿶(3㿷oB㿸.a㿹<;㿺,o%Y{㿭%YmM}㿻Ko㿼wx㿽e9㿾q+㿿R1!%䀀3/䀁v\\䀂#]Ti䀃?f䀄1f䀅r[䀆lP䀇L4YX䀈Nw䀉OZ䀊I@䀋wr䀌sc䀍dk䀎0O䀏z,䀐qW䀑`#䀒o!䀓bn䀔vh䀕iD䀖=o䀗Qw䀘[f䀙mY䀚Tr#f䀛.P䀜.P䀝&d䀞>?䀟3V䀠QZ䀡jK䀢uG䀣&e䀤/2䀥u;䀦L4YX䀧g@䀨W)䀩Gb䀪ff䀫IY䀬q0䀭K]䀮5W䀯(\"䀰Lc䀱63䀲1z䀳E8䀴x%䀵uG䀶HP䀷KG䀸mY䀹sFJ8j_sYhq䀺m]䀻,)䀼mi䀽wx䀾9p䀿mY䁀8#䁁HP䁂d>䁃'E䁄x&䁅.g䁆x)䁇0h䁈NA䁉NA䁊`#䁋f5䁌`\\䁍e!䁎m<䁏wj䁐x!䁑yZ䁒mu䁓kik3䁔h3䁕/<䁖EKEN䁗fL䁘wm䁙!;RG䁚uX䁛W;䁜5X䁝x$䁞qd䁟lx䁠Ff䁡sF䁢uZ䁣uZ䁤mM䁥BWG'䁦pq䁧0B䁨5k䁩z$䁪h^{下眼h^d%RI}䁫`\\䁬mr䁭'E䁮nx䁯e!䁰fd䁱NE䁲.N䁳11䁴jR䁵'R䁶KQ䁷L/䁸C$GN䁹*[䁺sc䁻u;䁼/V䁽E/䁾0b䁿/V䂀e9䂁m0䂂QZ䂃jG䂄5k䂅d9䂆Xu䂇CnH>䂈?0䂉df䂊z&䂋v[䂌p9䂍(J䂎l^䂏99䂐;Y䂑i-䂒Ow䂓[c䂔x&䂕`5䂖s2䂗3u䂘m!䂙;9䂚d0䂛z$䂜,a䂝i#䂞i_䂟I3䂠s4䂡8\"䂢:^䂣nc䂤5t䂥/<䂦i?䂧mj䂨o9䂩wz䂪d-䂫d?&D䂬LR䂭d-䂮H\\䂯V_䂰E2䂱yn䂲3A䂳o@䂴wx䂵LQ䂶KG䂷V]䂸YSL/䂹qw䂺av䂻hn䂼BVG&䂽9>䂾G7䂿7h䃀pq䃁!!R-䃂WL䃃11䃄K?䃅8!䃆Nx䃇0N䃈I9䃉/<䃊lF䃋z$䃌i?䃍lJ䃎hM䃏sQ䃐8J䃑%c䃒e,䃓Iw䃔gB䃕G<䃖bR䃗(E䃘du䃙H>䃚l&䃛Fn䃜w]䃝e,䃞tz䃟q_䃠uZ䃡i9䃢v]䃣`4䃤tu䃥o`䃦;?䃧H*䃨QH䃩@HDr䃪<*䃫7R䃬Rm!a䃭J\"䃮7n䃯G'䃰mG䃱nw䃲-6䃳E2䃴lW䃵B7Fa䃶_Z䃷x$䃸nw䃹E&䃺0l0n䃻%M䃼)!䃽W:䃾&d䃿5o䄀az䄁vV䄂EP䄃yW䄄vc䄅MG䄆c&䄇o*䄈8,䄉TT#H䄊j;䄋wp䄌lG䄍hM䄎Nv䄏f'䄐h5䄑c&䄒A+EU䄓_r䄔M.䄕r[䄖z$䄗z'䄘*<䄙0T䄚oN䄛H`䄜F$䄝o]䄞i/䄟pq䄠sH䄡7Q䄢hQ䄣tz䄤Dn䄥Fr䄦Fa䄧x$䄨z$䄩x8䄪=d䄫e:䄬w`䄭BBFl䄮5o䄯K:䄰R0!$䄱5W䄲yn䄳sK䄴z2䄵EH䄶&V䄷s2䄸,q䄹BBFl䄺j>䄻>B䄼=j䄽sK䄾yJ䄿vV䅀G&䅁#_Tk䅂fz䅃Q$䅄EJ䅅W9䅆j;䅇tu䅈z(䅉!#R/䅊lx䅋.a䅌ME䅍=y䅎v[䅏/b䅐K:䅑yl䅒10䅓M.䅔j9䅕M-䅖!iRu䅗uA䅘G6䅙1z䅚h4䅛p]䅜9h䅝g?䅞AJEt䅟qWm.䅠<N䅡u@䅢i5䅣b<䅤mu䅥KM䅦.T䅧wo䅨gc䅩j:䅪?f䅫H\\䅬!)R5䅭,`䅮o_䅯>T䅰!pS\"䅱S&!t䅲Nx䅳oB䅴tA䅵lA䅶A&EP䅷>B䅸r9䅹EN䅺'E䅻F$䅼.`䅽f-䅾r6䅿_T䆀1O䆁Kc䆂Ff䆃9t䆄jR䆅nf䆆oM䆇68䆈j>䆉%P䆊uD䆋m]䆌N?䆍H*䆎nu䆏3V䆐YSL/䆑m<䆒Iw䆓R8!,䆔p9䆕z/䆖`N䆗wj䆘!GRS䆙wl䆚?0䆛hM䆜v\\䆝h;䆞wj䆟e!䆠_n䆡E'䆢z/䆣r<䆤q-䆥q-䆦r3䆧au䆨BHFr䆩0T䆪g?䆫p]䆬`I䆭f'䆮i;䆯lQ䆰z!䆱<!䆲[E䆳uD䆴W9䆵m<䆶i3䆷h;䆸iE䆹p9䆺-3䆻OY䆼au䆽QZ䆾Dx䆿Rn!b䇀y6䇁s3䇂f'R8䇃j>䇄e'䇅3z䇆rJ~sQ䇇.f䇈_V䇉&#~sQ䇊Y@Kv䇋fP䇌nq䇍pK䇎pk䇏;:䇐F&䇑%P䇒I;䇓u?䇔G2䇕u?䇖`I䇗ki䇘bV䇙vg䇚,q䇛j:䇜f\"䇝jK䇞J!䇟K;䇠q+䇡q+䇢5p䇣BPFz䇤yn䇥i#䇦yX䇧i2䇨LS䇩vV䇪nc䇫JK䇬lW䇭G=䇮vb䇯y6䇰jW䇱@bE2䇲mMIY䇳jQ䇴r'䇵S$!r䇶L/䇷'h䇸o*䇹[w[v䇺8,䇻/a䇼vo䇽i/je䇾wx䇿pK䈀q]䈁Hf䈂,*䈃jF䈄dl䈅bPatz2䈆7J䈇hY䈈40䈉qk䈊Fr䈋<5䈌po䈍/B䈎x,䈏(J䈐Pd^.䈑VX䈒@ODy䈓L)䈔I3䈕s6䈖59䈗sj䈘nf䈙i8䈚9n䈛2w䈜me䈝u?䈞l!䈟je䈠bn䈡p9䈢sp䈣jY䈤O`䈥J'䈦ki䈧`7䈨d>䈩K5䈪f?䈫@bE2䈬,N䈭r-䈮M/䈯i?䈰qQ䈱>?䈲(c䈳7h䈴f#䈵y3䈶y6䈷Ie䈸gV䈹sv䈺ki䈻,N䈼0b䈽J'䈾qQ䈿0h䉀uS䉁Fr䉂Ha䉃l4䉄Fr䉅iK䉆B7Fa䉇h]䉈q^䉉L3YW䉊32䉋/b䉌uD䉍IL䉎>T䉏d+䉐5o䉑0x䉒3-䉓G2䉔m3䉕mr䉖Fr䉗vo䉘u/䉙`H䉚/B䉛yE䉜j>䉝Rm!a䉞8.䉟bP䉠/`䉡<*䉢sc䉣rY䉤svr.䉥tc䉦o!䉧EN䉨Rn!b䉩!cRo䉪Hb䉫EH䉬3S䉭Fz䉮Hh䉯d>䉰d2䉱!cRo䉲ATF$䉳sK䉴yZ䉵hhhe䉶u-䉷wr䉸'V䉹Fr䉺gBfd䉻Nx䉼Fb䉽(d䉾&e䉿bT䊀bT䊁r9䊂mM䊃(V䊄Q$䊅0T䊆NIIz䊇(!䊈1N䊉r4䊊/b䊋k3䊌&e䊍F$䊎h4䊏r4䊐`H䊑gd䊒jW䊓s8䊔x!䊕jQ䊖@ODy䊗b<䊘i5䊙wx䊚;9䊛qq䊜@$䊝s_䊞i&䊟1`䊠e;䊡1`䊢l3䊣b<䊤<$䊥sA䊦x/䊧+5䊨G0䊩30䊪EJ䊫pp䊬lv䊭9t䊮9b䊯PG䊰q*䊱nu䊲m5䊳/`䊴nw䊵NH䊶iC䊷j9䊸z!䊹o!䊺bV䊻J!䊼nd䊽V_䊾1z䊿5o䋀_U䋁J.䋂d0䋃0z䋄11䋅Rr!f䋆bV䋇x8䋈D6H`䋉z2䋊jW䋋/<䋌Lv䋍#ETQ䋎hh䋏kJ䋐z2䋑G&䋒uQ䋓i5䋔+3䋕vb䋖z2䋗K9䋘lJ䋙wa䋚x8䋛/+䋜f/䋝x!䋞11䋟JP䋠(\"䋡uQ䋢,5䋣30䋤yh䋥F$䋦30䋧QZ䋨5p䋩w`䋪#ETQ䋫iE䋬=i䋭yJ䋮J!䋯f/䋰Lc䋱F$䋲sT䋳(S䋴A&EP䋵!_Rk䋶u?䋷/0䋸px䋹6E䋺m]䋻A*ET䋼=u䋽(j䋾hL䋿bW䌀59䌁wi䌂\"-S9䌃s?䌄J.䌅>T䌆W;䌇tA䌈<5䌉Ku䌊vZ䌋7e䌌o/muj_䌍J(䌎H\\䌏/P䌐0h䌑K9䌒H>䌓30䌔!cRo䌕/`䌖mu䌗5p䌘'e䌙b>䌚tu䌛vZwl䌜BPFz䌝J!䌞Fg䌟&&䌠IE䌡<L䌢Fr䌣l^䌤s3䌥vg䌦9t䌧m`䌨oG䌩0b䌪ws䌫Dz䌬p<䌭jE䌮u-䌯h3䌰BPFz䌱G2䌲3c䌳s3䌴G2䌵l!䌶j9䌷m`m]䌸MGl_䌹Xd䌺wa䌻x8䌼;>䌽oF䌾A*ET䌿6E䍀Dx䍁uD䍂z$䍃vZ䍄9@䍅Fr䍆lX䍇7h䍈,*䍉i#䍊I?䍋uB䍌*^䍍NG䍎q/䍏z*䍐f^䍑f^䍒/1䍓bV䍔WQ䍕8!䍖3Z䍗z,䍘&c䍙1N䍚GP䍛L5YY䍜hY䍝<5䍞at䍟ki䍠F$䍡H>䍢0y䍣H`䍤i.䍥G,䍦F$䍧k3䍨(w䍩y[䍪/P䍫>6䍬*9䍭k3䍮sD䍯W:䍰wu䍱pr䍲@BDl䍳Qw䍴`4䍵iE䍶:]䍷`7䍸(G䍹jQ䍺_l䍻uY䍼h]䍽G,䍾wy䍿b<䎀h;䎁bT䎂(\"䎃ws䎄eu䎅,q䎆Fb䎇i3䎈vV䎉`W䎊Gb䎋Mk䎌pK䎍5o䎎BPFz䎏di䎐m(䎑H>䎒hd䎓7h䎔5o䎕WQ䎖iE䎗OZ䎘tu䎙*i䎚`8䎛G=䎜3c䎝lY䎞i^䎟w`䎠w`䎡z+䎢e'䎣j>䎤Lh䎥Ie䎦ws䎧,a䎨x)䎩j9䎪AJEt䎫ki䎬)x䎭oK䎮<M䎯f_䎰kJ䎱)x䎲j_䎳`&䎴IQ䎵&e䎶AVF&䎷lY䎸%J%D䎹/<䎺i/䎻i5䎼H>䎽/<䎾WM䎿m`䏀E8䏁jv䏂r.䏃0N䏄8\"䏅mY䏆oN䏇+q䏈Hx䏉rE䏊H*䏋tu䏌e'䏍z'䏎66䏏gu䏐Qw䏑j5䏒,#䏓LLYp䏔A%EO䏕vb䏖iD䏗L;Y_䏘+!䏙8-䏚m^䏛pv䏜e!䏝l]uH䏞1t䏟'h䏠vo䏡s8䏢&d䏣lE䏤uG䏥<!䏦W)䏧@>Dh䏨5v䏩f5䏪AVF&䏫vW䏬/0䏭lW䏮f5䏯j;䏰yt䏱Lc䏲9\\䏳je䏴qS䏵1g䏶&/䏷fb䏸z$䏹wz䏺,]䏻A6E`䏼m6䏽&8䏾,]䏿N@䐀JM䐁:o䐂H>䐃[y䐄d8䐅e9䐆oF䐇/=䐈ji䐉j;䐊WK䐋p9䐌=p䐍jq䐎8!䐏pv䐐m]䐑j_䐒hK䐓vZ䐔&@䐕mu䐖s3䐗lW䐘QV䐙Ie䐚ji䐛8?7c䐜mi䐝sk䐞yh䐟fd䐠5W䐡nf䐢jq䐣uG䐤m!䐥$ATqUM#e䐦e!䐧fS䐨Lc䐩K]䐪lM䐫p9䐬oN䐭i2䐮m4䐯H`䐰r-䐱hShP䐲ht䐳z$䐴L;Y_䐵WQ䐶h]䐷7W䐸`,䐹r-䐺<#䐻L3YW䐼db䐽1`䐾:>䐿#ST_䑀,9䑁$QU]䑂uy䑃1f䑄&h䑅/B䑆y[䑇iQ䑈(E䑉x$䑊`6䑋y[䑌E$䑍wu䑎m.䑏Qr䑐mj䑑)&䑒9q䑓><䑔3S䑕uR䑖je䑗>T䑘oB䑙7Q䑚=l䑛qO䑜<5䑝I4䑞uG䑟b<䑠Fa䑡lu䑢S8\",䑣mc䑤J&䑥S2\"&䑦NE䑧5o䑨>6䑩L4YX䑪S2\"&䑫&E䑬>?䑭8#䑮9d䑯<O䑰(&䑱z(䑲h\\䑳Hf䑴Nx䑵1z䑶sM䑷K9䑸ki䑹r-䑺30䑻vZ䑼i3䑽<5䑾j5䑿tu䒀5o(&䒁ht䒂l4䒃k&䒄5q䒅<f䒆o5䒇5q䒈42䒉0y䒊e9䒋yX䒌0V䒍,^䒎11䒏iF䒐/B䒑%w䒒=f䒓Md䒔%S䒕s@䒖uG䒗e'䒘u?䒙o`䒚s@䒛_n䒜Rr!f䒝d0䒞mf䒟7W䒠63䒡vg䒢Tr#f䒣ws䒤vz䒥1`䒦3/䒧QW䒨s4䒩ax䒪'V䒫9n䒬1D䒭8:䒮Ku䒯z*䒰fc䒱jW䒲hM䒳9d䒴v[䒵fQ䒶=o䒷VWQ/䒸h;䒹G8䒺J(䒻e:䒼Q3䒽11䒾w]䒿F`䓀J9䓁8:䓂wx䓃vo䓄S$!r䓅NT䓆je䓇x3䓈x8䓉w*䓊%H%B䓋j9䓌j;䓍f^䓎pK䓏5o䓐uH䓑,*䓒V^䓓m`䓔d/䓕z+`4`7䓖Q$Q!䓗p9䓘Kc䓙['䓚po䓛`WW]䓜j9䓝.h䓞Hb䓟i3䓠<5䓡j9䓢L5YY䓣HO䓤3u䓥E8䓦9F䓧KQ䓨!?!uRKS'䓩j9䓪wb䓫Nx䓬pk䓭qq䓮/2䓯:t䓰vc䓱m$䓲yn䓳dp䓴z+䓵5o䓶Dn䓷dz䓸IK䓹w_䓺/a䓻NG䓼10䓽JM䓾si䓿dn䔀u?䔁Hn䔂j:䔃k\"䔄wl䔅KW䔆F$䔇e:TX#L䔈LS䔉G,䔊&E䔋si䔌Kc䔍:o䔎tu䔏m_䔐jQ䔑n0䔒-%䔓gv䔔KA䔕,N䔖Fr䔗p`䔘k&䔙9;䔚uH䔛OjXd䔜@NDx䔝hQ䔞Hn䔟w`䔠qR䔡z$䔢_T䔣EH䔤)u䔥s?䔦1N䔧F$䔨$AUM䔩o9䔪t.䔫si䔬wb䔭BIFs䔮s3䔯5q䔰5q䔱vo䔲89䔳wx䔴n'䔵IK䔶<N䔷NN䔸'F䔹uD䔺`6䔻;?䔼rE䔽#MTY䔾e;䔿l^䕀6.䕁4.䕂z+䕃v]䕄jW䕅sv䕆8,䕇b\\䕈sY䕉i&䕊<*䕋>T䕌j>䕍vV䕎6E䕏TT#H䕐6E䕑u?䕒I3䕓mG䕔d6䕕.b䕖uW䕗&h䕘Fr䕙jh䕚W>䕛IY䕜pq䕝o'䕞GP䕟f-䕠3S䕡H`䕢hL䕣ft䕤Nx䕥AUF%䕦x$䕧I?䕨<f䕩G=䕪i&䕫[f䕬Lu䕭mfnx䕮Lc䕯+o䕰30䕱<T䕲EU䕳/`䕴l!䕵Ow䕶bV䕷/`䕸I9䕹ht䕺p<䕻EJ䕼wx䕽l&䕾v`䕿f_䖀eu䖁x3䖂Hx䖃yh䖄wx䖅Fr䖆D&HP䖇`W䖈yh䖉gu䖊R8!,䖋yh䖌S8\",䖍Of䖎dJ䖏q+q(q)uS䖐S$!r䖑0h䖒e9䖓DDHn䖔dj䖕k\"䖖dJ䖗RB!6䖘>B䖙<K䖚bQ䖛tA䖜bZ䖝p<䖞i4䖟10䖠z*䖡CnH>䖢0BqE䖣k\"䖤z'䖥.T䖦`W䖧@hE8䖨s2䖩&V䖪j9䖫,a䖬IY䖭MG䖮gd䖯[c䖰*#䖱fc䖲px䖳hMlwje䖴wl䖵[u䖶5u䖷e9䖸TT#H䖹/a䖺=f䖻EN䖼QV䖽F$䖾z*䖿F$䗀o'䗁JP䗂5p䗃hh䗄5p䗅vZ䗆LLYp䗇Lh䗈10䗉p]䗊<#䗋/0䗌sQ䗍EI䗎wu䗏r-䗐s3䗑vt䗒'\\䗓p9䗔df䗕z'䗖8#䗗f'䗘J5䗙f`䗚(G䗛r-䗜EN䗝m0䗞m0䗟!_Rk䗠uZ䗡wx䗢k\"䗣d6䗤y6䗥ki䗦63䗧fc䗨z$䗩o9䗪i_䗫.H䗬63䗭_n䗮t.䗯lM䗰LMYq䗱)&䗲Hh䗳89䗴=x䗵Lu䗶E2䗷w_䗸y3䗹ne䗺wy䗻je䗼3c䗽`8䗾f(䗿BHFr䘀3\\䘁je䘂jK䘃/V䘄lY䘅BhG8䘆h4f(䘇/9䘈EJ䘉m0䘊0b䘋jK䘌BWG'䘍m#䘎_i䘏uK䘐CnH>䘑/V䘒lEuWlKl]l'l*{䘒l*l'}䘓dk䘔N5䘕ff䘖d6䘗3Q䘘z&䘙`8䘚lQ䘛JK䘜J'䘝x8䘞.J䘟99䘠3u䘡&h䘢lX䘣j:䘤uP䘥dJ䘦@xEH䘧yW䘨K.䘩uE䘪p9䘫z$䘬y6䘭j;䘮t-t/䘯qQ䘰sK䘱z&䘲i9䘳NKJ!䘴ki䘵H>䘶d6䘷'e䘸x8䘹lG䘺hh䘻yJ䘼z(䘽Rl!`䘾LLYp䘿Wb䙀&E䙁jQ䙂ki䙃9h䙄mu䙅wi䙆`5䙇z*䙈df䙉px䙊7G䙋uW䙌Pd^.䙍4-䙎d*䙏(G䙐e-䙑po䙒pK䙓%R&c䙔!cRo䙕kj䙖&E䙗<M䙘o@䙙nf䙚B7Fa䙛WL䙜66䙝9V䙞89䙟`6䙠MP䙡Pd^.䙢iG䙣qk䙤9d䙥Fr䙦1f䙧3c䙨Y\"KX䙩1f䙪*5䙫Nw䙬!wS)䙭f'䙮MJ䙯l!䙰F$䙱tz䙲o!䙳'E䙴o!䙵[f䙶CZH*䙷8K䙸8K䙹wz䙺Ff䙻nc䙼sD䙽Ow䙾s3䙿/b䚀mc䚁mc䚂dS䚃vZ䚄H>䚅G8䚆x\"䚇qd䚈MG䚉NA䚊ME䚋`J䚌Kc䚍o9䚎o]䚏Hh䚐jn䚑.N䚒o`䚓r4䚔&?䚕EJqL䚖Fr䚗KuKwKz䚘m<䚙h3䚚sL䚛gV䚜&-䚝lh䚞7F䚟7F䚠`J䚡so䚢o5䚣<N䚤z$䚥C8Gb䚦j>hV䚧EN䚨3S䚩K.䚪Vo䚫e,䚬Hf䚭h3䚮x$䚯>@䚰+4䚱uG䚲q_䚳j;䚴`&䚵<R䚶=o䚷w]䚸d,䚹+4䚺wl䚻wl䚼CnH>䚽fS䚾v`䚿vb䛀3.䛁@NDx䛂nf䛃bn䛄z)䛅dG䛆i8䛇wy䛈s5䛉0P䛊e9䛋JP䛌>B䛍3S䛎h;䛏@xEH䛐nf䛑/P䛒'V䛓IE䛔@<Df䛕z$䛖vV䛗j:䛘v`䛙yE䛚H\\䛛5w䛜uG䛝BlG<䛞fa䛟KG䛠8)䛡_V䛢??䛣,'䛤pK䛥e'䛦kn䛧/*䛨uG䛩bR䛪gA䛫l3䛬>B䛭dz䛮NI䛯M/䛰`J䛱<N䛲.`䛳wq䛴JK䛵r2䛶G8䛷z(䛸h]䛹sM䛺I;䛻v[䛼`4䛽hq䛾sw䛿Ie䜀BmG=䜁db䜂fT䜃;9䜄nf䜅`6䜆j_䜇WL䜈jF䜉n!䜊k!䜋b\\䜌Hx䜍F`䜎G<䜏>3䜐3Q䜑bS䜒#ST_䜓sY䜔pr䜕.P䜖<$䜗v_䜘K@䜙Rx!l䜚7h䜛m0䜜`8䜝@\"䜞i-䜟me䜠iQ䜡yE䜢f(䜣vce9!rS$䜤gD䜥7Y䜦uE䜧BmG=䜨_n䜩ww䜪NH䜫Ku䜬i8䜭lM䜮F`䜯Lh䜰fQ䜱1`䜲Fz䜳z/䜴oA䜵s8䜶Kw䜷mc䜸1O䜹pK䜺mM䜻s8䜼Lc䜽z$䜾v]䜿uV䝀EN䝁G<䝂uV䝃jb䝄u-䝅5u䝆3u䝇5u䝈\"-S9䝉1f䝊qk䝋kkki䝌Qw䝍WM䝎?i䝏ENEK䝐`6䝑p9䝒jt䝓Fz䝔6-䝕j_䝖hX䝗vW䝘Rn!b䝙poQWuQ䝚ATF$䝛'o䝜uW䝝w]䝞5p䝟!MvGRY䝠z*bl䝡.b䝢.b䝣QZ䝤G=䝥fT䝦ki䝧/<䝨wx䝩iA䝪sj䝫kJ䝬lY䝭Iw䝮z,䝯w`wb䝰j>䝱f5䝲lL䝳m6䝴i-䝵(&䝶HN䝷j9䝸JP䝹bj䝺LMYq䝻M-䝼o*j\\o(䝽R8!,䝾5q䝿W;䞀dh䞁ww䞂z+䞃j;䞄'G䞅w`䞆sk䞇j;䞈W;䞉sV䞊uG䞋mk䞌sb䞍o*o(j\\䞎p]䞏s3䞐uFpv䞑gB䞒:b䞓o'䞔/a䞕z$䞖tz䞗m!䞘J9J>䞙hq䞚Nx䞛wu䞜5q䞝yJ䞞3z䞟*M䞠j5䞡<(䞢kG䞣n.䞤QZ䞥v\\䞦dV䞧dh䞨[d䞩\"!S-䞪l8䞫`I䞬<S䞭pu䞮>?䞯5q䞰i&䞱gV䞲TU#I䞳&&䞴hW䞵Qw䞶>Q䞷MP䞸5q䞹b<䞺pu䞻y7䞼q.䞽qw䞾nf䞿f'䟀m!䟁d-䟂1`䟃m-䟄o9䟅jP䟆&Q䟇JK䟈iV䟉l!䟊QZ䟋jL䟌jh䟍'Q䟎hd䟏G,䟐G,䟑yh䟒Qr䟓m9䟔5t䟕lu䟖>S䟗s8䟘fh䟙o5䟚JK䟛&V䟜DDHn䟝<S䟞q*䟟pK䟠z2䟡8#j9䟢B@FjBC䟣q!䟤&2䟥1f䟦&V䟧=r䟨/<䟩Ey䟪64䟫m9䟬vY䟭=e䟮6J䟯Q/^S䟰K:䟱ji䟲p9䟳pK䟴!qS#{䟴{脚S#S#M)腳S#S#M)}脚S#M)腳S#M)高S#Kc}䟵NH䟶oA䟷mY䟸[f䟹I&䟺(S䟻9t䟼0y䟽si䟾;Y䟿H>䠀>S>Q>R䠁i-䠂o@䠃HO䠄=p9F{床䠄席9Fo`9Fj8牀䠄席9Fo`9Fj8瘾9Fvg癮9Fvg}䠅[v䠆p`䠇Wb䠈?o䠉bn䠊423S䠋+1䠌7h䠍d$䠎\"-S9䠏W>䠐]E䠑[d䠒bT䠓m]䠔uD䠕m!䠖j9䠗vY䠘+5䠙,`䠚_R䠛wl䠜y6䠝h3䠞pK䠟9V䠠mY䠡oB䠢1h䠣uX䠤9d䠥'h䠦j;䠧lx䠨nw䠩W>䠪?j䠫i8䠬8;䠭Dn䠮<f䠯yh䠰Qr䠱l&䠲Fr䠳mi䠴i@䠵5t䠶r\\w,x8䠷=c䠸['䠹d*䠺/>䠻gA䠼uS䠽d*䠾sF䠿_\\䡀jR䡁H+䡂NE䡃Hn䡄JK䡅pu䡆y6䡇z2䡈L/䡉fd䡊3.䡋Nx䡌`N䡍5r䡎G<䡏`N䡐>6䡑/<䡒=r䡓MG䡔N@䡕sT䡖f/䡗LR䡘=r䡙GN䡚.V䡛vh䡜H>䡝z'䡞Lc䡟*Y䡠du䡡d*䡢'V䡣`H`J{路`JG>}䡤lW䡥y6䡦t.䡧bQ䡨m$䡩du䡪sM䡫-<䡬.b䡭r-䡮ki䡯p9䡰du䡱l^䡲q`䡳s3䡴p9䡵uD䡶,9䡷e,䡸0b䡹j;䡺`8䡻0N䡼Fr䡽l]䡾x2䡿Fr䢀S8\",䢁z2䢂Fu䢃R8!,䢄qL䢅r<䢆y4䢇y7䢈b\\䢉CZH*䢊vZ䢋JM䢌(w䢍5\\䢎JM䢏8(䢐oN䢑8\"䢒I?䢓z$䢔e&䢕`W䢖z2䢗Q3䢘r.䢙%V䢚J-䢛Xd䢜W9䢝!#R/䢞uP䢟vZ䢠te䢡x,䢢o_䢣wl䢤uP䢥wx䢦uK䢧Fb䢨p9䢩z&䢪eu䢫pr䢬o!䢭wz䢮Ha䢯Hf䢰>-䢱:t䢲bP䢳JL䢴o!䢵`H䢶(3䢷7W䢸lE䢹M.䢺q!䢻r<䢼LQ䢽fh䢾r9䢿#]Ti䣀W:䣁z%䣂Ha䣃rY䣄>B䣅r<䣆x$䣇NH䣈fh䣉qE䣊:(䣋oF䣌8\"䣍wp䣎j9䣏LQ䣐x!䣑o$䣒W;䣓EH䣔sj䣕.I䣖.I䣗Kc䣘>T䣙-$䣚EN䣛rK䣜oB䣝>B䣞U,#z䣟m0䣠ib䣡w`䣢jn䣣:(䣤5k䣥&d䣦Hb䣧x8䣨uH䣩uH䣪-G䣫nc䣬uH䣭v[䣮-G䣯oN䣰M2䣱z#gvgw䣲3/䣳s3䣴z#䣵AVF&䣶c&䣷lW䣸ws䣹3z䣺MG䣻di䣼HN䣽j9䣾0h䣿z$䤀yh䤁mf䤂1N䤃v]䤄0O䤅>B䤆[f䤇r-䤈e9䤉/P䤊y6䤋yE䤌p]䤍/*䤎W]䤏+7䤐i:䤑#eTq䤒JP䤓1f䤔jP䤕fw䤖(&䤗J\"䤘m.䤙G,䤚F%䤛NH䤜;D䤝RP!D䤞`I䤟mf䤠j:䤡ws䤢%w䤣I#䤤fK䤥W:䤦z2䤧5w䤨,9䤩i&䤪9d䤫m0䤬siqE䤭sc䤮sY䤯x$䤰x$䤱r,䤲n_䤳ib䤴dl䤵42䤶x)䤷wv䤸q/䤹r-䤺J'䤻9h䤼sM䤽Vo䤾>?䤿Ow䥀o\"䥁dl䥂1h䥃U,#z䥄oM䥅NN䥆NN䥇sM䥈0y11䥉z'䥊p]䥋*9䥌jY䥍j;䥎uH䥏z%䥐/0䥑32䥒QI䥓JK䥔tu䥕,5䥖=r䥗6.䥘oA䥙uD䥚o?䥛KM䥜IL䥝#QyET]T`#T䥞K.䥟x/䥠i9䥡x,䥢H*䥣kJ䥤(J䥥Ff䥦pr䥧uZ䥨Hb䥩/`䥪f(䥫>)䥬(G䥭jY䥮l!䥯&c䥰/B䥱rX䥲!cRo䥳vW䥴[f䥵ev䥶G,䥷ht䥸&c䥹TJ#>䥺w*!$R0䥻0x䥼/P䥽-G䥾rX䥿EJ䦀z%䦁(3䦂sM䦃lAlD䦄`8䦅sMsP䦆5kQw䦇Iq䦈i]䦉r_䦊B7Fa䦋T`#T䦌q)䦍S8\",䦎LLYp䦏d,䦐=v䦑h;䦒:,䦓h]䦔<(䦕,'䦖Ow䦗Xu䦘d>䦙j>䦚6A䦛iGhihk䦜%H%B䦝`,䦞yt䦟m\"pqpp䦠s4䦡bl䦢6A䦣5q䦤pq䦥d<䦦NN䦧x3䦨E$䦩/<䦪R\\!P䦫x!䦬Qw䦭fc䦮pv䦯j;䦰Iu䦱`4䦲wr䦳ge䦴x8䦵@yEI䦶iGhihk䦷m\"pppq䦸z&䦹rJ䦺9K䦻j:䦼Qw䦽lJ䦾z*䦿ki䧀WQ䧁gv䧂jG䧃=r䧄L/䧅w`䧆gB䧇w]䧈r'䧉F%䧊gQ䧋f(䧌u?䧍Xu䧎z+䧏63䧐YSL/䧑8!䧒G6䧓i3䧔B>Fh䧕at䧖o%䧗'i䧘lb䧙Fr䧚fV䧛(8䧜>T䧝nc䧞.J䧟d8䧠l]䧡y6䧢QW䧣vc䧤)!䧥`8䧦`6䧧Rm!a䧨x,䧩J\"䧪o/䧫fT䧬&?䧭s3䧮f)䧯m0䧰`J䧱Iu䧲Ko䧳nc䧴j9䧵i>䧶[f䧷vZ䧸L3YW䧹x!䧺gB䧻J5䧼gV䧽pp䧾uQ䧿lA䨀9,䨁0z䨂m]䨃!;RG䨄!iRu䨅F`䨆&/䨇u-䨈&?䨉x!䨊z'䨋yh䨌(J䨍x\"䨎`N䨏nf䨐e&䨑<N䨒z&䨓H`䨔(J䨕z!䨖i/䨗3Z䨘sM䨙v`䨚3u䨛qw䨜&E䨝o'䨞z%䨟_Q䨠#MTY䨡dl䨢7V䨣Ie䨤9b䨥bP䨦,],`䨧v]䨨lE䨩Fr䨪.N䨫/V䨬Ff䨭s?䨮u_䨯iD䨰,q䨱6E䨲A$EN䨳e;䨴;>;;䨵7V䨶`I䨷sM䨸vd䨹tu䨺;>䨻&J䨼bV䨽4.䨾3V䨿ht䩀&h䩁4-䩂d3䩃s8䩄=p0O䩅jR䩆hd䩇h]䩈5w䩉5t䩊z(䩋0m䩌nrm*䩍Fa䩎nu䩏0b䩐3u䩑`N䩒z$䩓Nx䩔9h䩕Tr#f䩖qE䩗%M䩘8#䩙z+䩚8#䩛&V䩜i8䩝,q䩞>#䩟w`䩠=u䩡IY䩢i/䩣>B䩤Ow䩥7\\䩦=f䩧Ow䩨p_䩩z(䩪LLYp䩫HO䩬(j䩭JK䩮H>䩯KQ䩰z+䩱uS䩲9o䩳r-䩴bT䩵`J䩶o\"䩷(3䩸y6䩹Rb!V䩺y3䩻%M䩼66䩽z!䩾i_䩿3f䪀LLYp䪁)&䪂Ie䪃;?䪄b<䪅:t䪆<L䪇(J䪈f)䪉Fz䪊H*䪋`8䪌hb䪍E$䪎u?䪏@bE2䪐&e䪑>6䪒lY䪓9S䪔(\"䪕Lh䪖,q䪗d$䪘`7䪙,q䪚7e䪛3-䪜nu䪝`,䪞ht䪟i-䪠i-䪡i-䪢i-䪣i-䪤30䪥d,䪦gB䪧nf䪨(G䪩v`䪪I3䪫dx䪬-G䪭z(䪮m^䪯x$䪰w]䪱K^䪲S8\",䪳`I䪴i:䪵R1!%䪶lE䪷NG䪸/<䪹+3䪺J5䪻'V䪼;Y䪽fV䪾mj䪿uG䫀J(䫁&h䫂9d䫃uH䫄mE䫅qY䫆sT䫇wr䫈i>䫉.V䫊-$䫋`3䫌*X䫍5p䫎;Y䫏e9䫐ET䫑w]䫒1`䫓%H%B䫔NA䫕9Y䫖md䫗d$䫘ft䫙t.䫚VW䫛df䫜!cRo䫝6E䫞eu䫟`J䫠+3䫡RB!6䫢s3䫣d`䫤/?䫥5v䫦J5䫧fV䫨lJ䫩r4䫪t.䫫ENHb䫬i:䫭b\\䫮qZ䫯w]䫰Hh䫱z$䫲dk䫳:t䫴J&䫵0N䫶3f䫷U,#z䫸m'䫹gB䫺`N䫻vz䫼h;䫽,K䫾'i䫿no䬀v[䬁w`䬂h;䬃qk䬄h;䬅EJ䬆Hn䬇z,䬈;>䬉`,䬊qk䬋Fr䬌+o䬍3u䬎YSL/䬏&8䬐yl䬑`8䬒r-䬓!kRw䬔z$䬕fc䬖_r䬗yZ䬘d-䬙wl䬚30䬛&Q䬜nc䬝_r䬞>B䬟EN䬠4-䬡lY䬢>?䬣e'䬤he䬥w_䬦8)䬧z*䬨Iw䬩hQ䬪(G䬫<N䬬yY䬭>?䬮w`䬯B<Ff䬰sD䬱&D䬲NE䬳(d%d䬴1t1q䬵K]䬶S&!t䬷rX䬸m3䬹iQ䬺y\\䬻jS䬼z)䬽uA䬾<N䬿/a䭀uG䭁i/䭂vo䭃va䭄s8䭅bT䭆AJEt䭇x/䭈K9䭉u@䭊x\"䭋%X䭌bT䭍bT䭎x,䭏'R䭐y\\䭑Fg䭒sc䭓S&!t䭔;9䭕h^䭖lY䭗x\"䭘x\"䭙i:䭚o`䭛7V䭜F`䭝Pd^.䭞x8䭟x,䭠K4䭡!qS#䭢BHFr䭣nf䭤f)䭥y\\䭦(J䭧/a䭨uA䭩0l䭪HN䭫N@䭬N@䭭r.䭮3u䭯(z䭰(n䭱'h䭲w^䭳Rn!b䭴_l䭵30䭶Nx䭷0x䭸5t䭹Tr#f䭺Ts#g䭻3c䭼Nx䭽[x䭾>69h䭿vz䮀(z䮁,$䮂(z&V䮃QW䮄z*䮅z2䮆+3䮇`\\䮈nf䮉Hb䮊w`䮋G&䮌vW䮍B7Fa䮎e;䮏%H%B䮐Xc䮑Hb䮒,K䮓lA䮔lE䮕le䮖p]䮗Tn#b䮘w`䮙at䮚Eb䮛5t䮜ht䮝`H䮞pv䮟r-䮠'i䮡&V䮢ht䮣t-䮤fz䮥G,䮦K-䮧fbf`䮨jv䮩W]䮪sT䮫EN䮬1D䮭0h䮮/V䮯T`#T䮰i&䮱l&䮲b<䮳30䮴8>䮵?0䮶'E䮷:t䮸\"-S9䮹`5䮺i-䮻9p䮼Hf䮽'E䮾-<䮿K:䯀BPFz䯁H`䯂r9䯃#]Ti䯄_QVW䯅BPFz䯆x8䯇3u䯈z*䯉`#䯊M_䯋&V䯌fQ䯍Fr䯎Kq䯏Q/^S䯐d*䯑]iPE䯒dx䯓[c䯔i#䯕=u䯖GN䯗&d䯘z,䯙(G䯚wm䯛bk䯜>-䯝uC䯞['䯟;>䯠#RT^䯡K5䯢0l䯣[e䯤Pd^.䯥Rz!n䯦.q䯧Oj䯨d-䯩fV䯪d.䯫fV䯬9d䯭nu䯮BfG6䯯si䯰I;䯱+3䯲)u䯳tc䯴p`䯵U&#t䯶.`䯷tc䯸ne䯹nu䯺Q/^S䯻Ke䯼9b䯽*`䯾m`䯿lQ䰀avau䰁3S䰂oG䰃*<䰄so䰅su䰆vZ䰇Nx䰈oB䰉-6%c䰊(G䰋3A䰌kj䰍vW䰎[e䰏je䰐Dx䰑su䰒1f䰓0N䰔-6䰕G<䰖he䰗Iu䰘EN䰙Rm!a䰚/<䰛G,䰜G,䰝iJ䰞lX䰟`H䰠r9䰡ne䰢dx䰣11䰤:]䰥`,䰦*X䰧5o䰨/b䰩n.䰪/b䰫m'䰬Wb䰭z$䰮wb䰯wb䰰z$䰱Fr䰲!MRY䰳9K䰴J9䰵j:䰶1-䰷,a䰸LQ䰹mP䰺I;䰻z$䰼mf䰽-#䰾%K&V䰿>6䱀yW䱁K0䱂vW䱃iV䱄I;䱅1t䱆x&䱇sO䱈Rn!b䱉sO䱊/+䱋LR䱌w`䱍J.䱎J.䱏<R䱐5o䱑lh䱒x)䱓=x䱔=f䱕/0䱖EN䱗m3䱘F$䱙tu䱚H>䱛]EXu䱜oq䱝*$䱞BhG8䱟M/䱠hh䱡Lc䱢iE䱣lQ䱤d8䱥i/䱦lE䱧MF䱨ne䱩11䱪'F䱫E8䱬u?䱭J.䱮Rb!V䱯0x䱰kn䱱<N䱲z*䱳jQ䱴J.䱵y3䱶GN䱷z$䱸r-䱹hL䱺d*䱻`&䱼jR䱽o]p]{魚o]z\"}䱾EN䱿m/䲀j;䲁`5䲂uZ䲃k\"䲄/=䲅[c䲆z$䲇pK䲈.H䲉s3䲊9h䲋r6䲌6.䲍<f䲎D7Ha䲏G<䲐G=䲑w`䲒d+䲓wp䲔Ol䲕,K䲖m`䲗d6䲘LLYp䲙je䲚Dn䲛1g䲜x,䲝o]p]{鱼o]z\"}䲞EhE2䲟ve䲠pu{鱼puz\"}䲡m]䲢<f䲣z$䲤i4䲥Iu䲦7J䲧9t䲨gB䲩s3䲪wb䲫Iu䲬Nx䲭nc䲮z*䲯Nb䲰`J䲱5X䲲LQ䲳ff䲴i>䲵lA䲶z*䲷B7Fa䲸I;䲹+6䲺J#䲻z*䲼r?䲽s2䲾d.䲿nf䳀9\\䳁&V䳂99䳃z(䳄nc䳅j:䳆&&䳇0y䳈(\"䳉:]䳊&V䳋?0䳌ME䳍LVLQ䳎NI䳏W;Qw䳐ne䳑v[䳒z'z*䳓G=䳔Lc䳕3Z䳖BPFz䳗TT#H䳘TT#H䳙f.䳚f^fq䳛!;RG䳜>B䳝*^䳞(j䳟0T䳠uD䳡!;RG䳢Nx䳣z'䳤'e䳥Fr䳦uW䳧dc䳨b<䳩wi䳪@$䳫[f䳬x8䳭jk䳮/V䳯p<䳰(\"䳱0z䳲iA䳳uK䳴<5䳵o9䳶N?䳷p<䳸.H䳹NG䳺!i!;RuRG䳻m0䳼!cRo䳽fz䳾89䳿wx䴀?0䴁z&䴂l8䴃@HDr䴄uG䴅3f䴆)&䴇Fr䴈#RT^T_#S䴉uZ_l䴊w`䴋_l䴌1f䴍!uS'䴎Ha䴏ww䴐(\"䴑9V䴒Fr䴓s3䴔I?䴕G&䴖jW䴗XuQw䴘<K䴙,9䴚Kv䴛s?䴜_W䴝pq䴞9b䴟bl䴠#RwjT^䴡EJ䴢/`䴣5o䴤r?䴥I3䴦S$!r䴧`3䴨z*䴩+r䴪H>䴫Fr䴬x8䴭oH䴮q_䴯3u䴰tz䴱>3䴲1t䴳`&䴴>#䴵'X䴶-<䴷`H䴸5o䴹Y\"KX䴺&8䴻F$䴼m5䴽+6䴾oB䴿1f䵀sj䵁p_䵂jn䵃]kPG䵄63䵅R<!0䵆1f䵇sM䵈gQ䵉<T䵊<]䵋`7䵌f!䵍<]䵎?i䵏G>䵐o\"䵑BWG'䵒BWG'䵓uR䵔:^䵕M/䵖f)䵗&&䵘qM䵙hK䵚>@䵛f)䵜C[H+䵝w_䵞Ol䵟Kp䵠9]䵡wz䵢1P䵣7k䵤K:䵥`W䵦ib䵧jw䵨10䵩EH䵪WM䵫3c䵬7h䵭i_䵮yZ䵯?j䵰u-䵱f?䵲no䵳`5䵴`J䵵mG䵶QZ䵷_Q䵸pK䵹j9䵺=y䵻uD䵼u-䵽mA䵾5r䵿>#䶀<57h䶁<5䶂lA䶃dl䶄,*䶅fz䶆lE䶇i8䶈(G䶉EN䶊CnH>䶋e!䶌*)䶍<M䶎e!䶏w`䶐bY䶑<M䶒mZ䶓i/䶔nf䶕%P䶖J&䶗M]dG䶘E2䶙M2䶚M.䶛E8䶜Lc䶝dJ䶞Nx䶟d8䶠IE䶡jh䶢IE䶣TZ#N䶤e,䶥hKlF䶦mM䶧R=!1䶨h]䶩i2䶪mG䶫wt䶬K9䶭b9䶮wswpwv䶯[c䶰jE䶱?0䶲wr䶳yh䶴po䶵nf一vu{丁友vu9KvX下vud%{子vud%j:}世英名vur)x!0T个崩都无vuKY&E9o0y举成名vuM.sT0T乾二淨vuKowbj&二{边vuwb'V邊vuwb'V}于咁话vuz!J\"_V件{头vuK><R頭vuK><R}会vub\\{儿vub\\w`}併vu,)個崩都無vuKY&E9o0y刀{两断vu9oHO;V兩斷vu9oHO;V}分{为二vu3c`6wb子vu3hj:為二vu3c`6wb爲二vu3c`6wb錢一分貨vu3co$vu3c5;钱一分货vu3co$vu3c5;}切vumY刻vudQ副牌vu5q*\"劈泥vu+b@x去不返vugw&Q3-只牌vuj5*\"名vu0T味vu/^{靠黐vu/^Mknc}呼百{应vu5o&#x#應vu5o&#x#}命{呜呼vu0VbQ5o嗚呼vu0VbQ5o}哄而上vugAw`u1唱一和vup_vuaz噼泥vu+b@x嚟vuF$声不响vuru&Qgd如所料vuz$sjFb姐vui]干二净vuKowbj&年半{載vuBB(ejv载vuBB(ejv}并vu,)应俱全vux#QWq0张相vul3u.張相vul3u.意孤行vuw_L3dx應俱全vux#QWq0房vu5X技傍身vuJP,`r9抽二{掕vum]wbE_褦vum]wbE_}担担vu7S7Q挞即着vu<9jilD撻即着vu<9jilD擔擔vu7S7Q於咁話vuz!J\"_V无是处vu0xs8q)更vuIQ會vub\\{兒vub\\w`}朝{一夕vujEvujn得志vujE8Kj;早vujEk\"}期一{会vuNxvub\\會vuNxvub\\}条冷vu=fE'條冷vu=fE'楼vuEL樓vuEL波未平vu'o/b,*無是處vu0xs8q)片光明vu,\"Y?0T生vur?{一世vur?vur)}盘散沙vu-6q^qE盤散沙vu-6q^qE矢中的vundkk9]笔画vu&Q_R筆畫vu&Q_R線生機vusMr?JK线生机vusMr?JK聲不響vuru&Qgd舉成名vuM.sT0T行vuff言{一行vuwxvudx为定vuwx`69P堂vuwx>R為定vuwx`69P爲定vuwx`69P}語{中的vuz%kk9]成讖vuz%sTm/}语{中的vuz%kk9]成谶vuz%sTm/}輪{咀vuHdlF嘴vuHdlF}轮{咀vuHdlF嘴vuHdlF}部分vu(&3h鋪清袋vu,Ko'9j鑊{撬起vubPO[e:泡vubP,O}铺清袋vu,Ko'9j镬{撬起vubPO[e:泡vubP,O}隻牌vuj5*\"頂vu8p額汗vuR^fb顶vu8p额汗vuR^fb鳴驚人vu0TK?vf鸣惊人vu0TK?vf}丁9KhiiE8o9N{咁大9KJ#7E蟹效{应9Kd+d2x#應9Kd+d2x#}零襶褦9NFo7HE_}丂d.七n!{上八下n!u1%wd&下n!d%副牌n!5q*\"十二行n!rJwbff只牌n!j5*\"号差馆n!fVm!LL名n!0T张相n!l3u.張相n!l3u.情上面n!o*u10L房n!5X打扒n!7@)v更n!IQ楼n!EL樓n!EL窍生烟n!ewr?wu竅生{烟n!ewr?wu煙n!ewr?wu菸n!ewr?wu}號差館n!fVm!LL行n!ff隻牌n!j5*\"頂n!8p顶n!8p}丄u2丅d&丆7W万.b/V.z{下.bd%副牌.b5q*\"只牌.bj5*\"名.b0T头攒动.b<Thd:b字夹.bj>IX张相.bl3u.房.b5X更.bIQ楼.bEL用表.by8'E行.bff象更新.bl8J-r9顶.b8p}丈l8l4{量{約份l8HPye3h约份l8HPye3h}}三qWqY{下qWd%{五落二qWd%%IGbwb}两下手势qWHOd%r.r)人行qWvfdx件{头qWK><R頭qWK><R}兩下手勢qWHOd%r.r)刹位qWqq`4剎位qWqq`4副牌qW5q*\"及第qWNb8\"句不{离本行qWM/&QF$(dff離本行qWM/&QF$(dff}只牌qWj5*\"司{会审qWs3b\\r4會審qWs3b\\r4}合{会qWe&bX會qWe&bX}名qW0T味qW/^奶qW@?幅被qW6E+7张相qWl3u.張相qWl3u.思qYs3{而行qYs3w`dx}房qW5X推四搪qW?cr_>R文{魚qW/<z\"鱼qW/<z\"}更qWIQ{半夜qWIQ(ew,穷五更富qWIQQ$%IIQ5q窮五更富qWIQQ$%IIQ5q}朝{两日qWjEHOvz兩日qWjEHOvz}楼qWEL樓qWEL煞位qWqq`4生有幸qWr?v[dz級片qWN],\"级片qWN],\"脚架qWM)I4腳架qWM)I4行qWff{仔qWffi.}重奏qWp<i5隻牌qWj5*\"頂qW8p顶qW8p}上u2u1{万u1.b乘u2sV京u1K?亲u1mi亿u1x3什u2ht任u1vb会u1bX位u1`4住u1l\\億u1x3刀山u19oq]到u19q前u1o$去u1gw台u1><吊u19;吓u1d\"咗u1jp{年{紀u1jpBBJL纪u1jpBBJL}}嚟u1EH场u1p`埋u1.N堂u1>T場u1p`壆u1(G声u1sQ天花板u1=o2o%d契u1NA妆u1k3妝u1k3学u1fz學u1fz定u19P客u1dS山u1q]{下海u1q]d&fL}岸u1Tn工u1LQ市u1s7年u2B@广州u1Y@i3庄u1k3床u1o`庭u1=x廣州u1Y@i3开u1fK弹u17X彈u17X当u1:)得u18K心u1r3手u1r.把位u2%L`4排u2*\"数u1sw數u1sw斜u1n/映u1x\"晒u1qM會u1bX朝u1nr极u1KV校u2IA梗u1J.極u1KV楼u1EL榜u1(4樓u1EL气唔接下气u1e;%Bj_d&e;氣唔接下氣u1e;%Bj_d&e;海{話u2fL_R话u2fL_R}深圳u1r3iA演u1wv牀u1o`狮子山u1s3j:q]獅子山u1s3j:q]班u1%c{一族u1%cvul&族u1%cl&}电u19J画u1_R畫u1_R當u1:)瘾u1vg癮u1vg盘u2-4盤u2-4硬u1RP神{台u1r<>:枱u1r<>:檯u1r<>:}篮u1Dv籃u1Dv紧u1J(綱上線u1Kuu1sM網u111緊u1J(線u1sM纲上线u1Kuu1sM线u1sM网u111罗湖u1G0bT羅湖u1G0bT聲u1sQ脑u1Bm腦u1Bm臺u1><舖u1,M色u1sc莊u1k3萬u1.b落u1Gb{客u1GbdS}街u1I9親u1mi課u15;調u2=f课u15;调u2=f貨u15;货u15;路u1G>身u1r9車u1n-軌道u1W:9t车u1n-轨道u1W:9t过u1Y#近u2J(過u1Y#釣u19;鍊u1Fj鎖u1sj鏈u1Fj鏡u1Je钓u19;链u1Fj锁u1sj镜u1Je門u11^開u1fK门u11^阵u1iD陣u1iD電u19J面落嚟u10PGbF$香u1gc馬u1.I马u1.I}下d&d%d\"d!{下d%d%不{为例d&&Q`6EJ為例d&&Q`6EJ爲例d&&Q`6EJ}咽d&wu嘛d&.I嚥d&wu巴d&)x{輕輕d&)xeQeQ轻轻d&)xeQeQ}年d&B@把位d&%L`4盘d&-4盤d&-4行d&dx話d&_U調d&=f话d&_U调d&=f陷d&dn}丌JKNx不&Q3X+3{一{会&Qvub\\會&Qvub\\}为{人知&Q`6vfj9所动&Q`6sj:b过&Q`6Y#}予置{評&Qz%j;,*评&Qz%j;,*}事生{产&Qs8r?m4產&Qs8r?m4}亦{說乎&Qx8z25r説乎&Qx8z25r说乎&Qx8z25r}以{为{意&Qwa`6w_然&Qwa`6wx}為{意&Qwa`6w_然&Qwa`6wx}爲{意&Qwa`6w_然&Qwa`6wx}}倒翁&Q9qy3出所料&Qq!sjFb勝&QsQ{其煩&QsQNx30唏噓&QsQe9gu枚舉&QsQ1NM.欷歔&QsQe9gu負荷&QsQ5tfH}可{勝數&QfFsQsv胜数&QfFsQsv}地&Q8X复&Q3\\失{为&QrK`6為&QrK`6爲&QrK`6}嬲&QEK屈不{挠&Q`W&Q@I撓&Q`W&Q@I}平&Q,*{则鸣&Q,*iW0T則鳴&Q,*iW0T}弹&Q<*彈&Q<*当&Q:)復&Q3\\情之{請&Qo*j9o(请&Qo*j9o(}惊&QK?愿具名&Qz,M20T料&QFb断&Q;V斷&Q;V明{飛行物體&Q0T4-dx/P<L飞行物体&Q0T4-dx/P<L}枉此生&Qb:ndr?死生物&Qr^r?/P测&QmK測&QmK溜&QEK為{人知&Q`6vfj9所動&Q`6sj:b過&Q`6Y#}爲{人知&Q`6vfj9所動&Q`6sj:b過&Q`6Y#}留&QEK當&Q:)省人事&QsRvfs8瞅不睬&Qm]&QoF知名&Qj90T胜&QsQ{其烦&QsQNx30唏嘘&QsQe9gu枚举&QsQ1NM.欷歔&QsQe9gu负荷&QsQ5tfH}自量力&Qj>HPG,良{于行&QHNz!dx反{应&QHN3.x#應&QHN3.x#}於行&QHNz!dx}菲&Q4-行&Qdx見經傳&QK;K?l^见经传&QK;K?l^請自來&Qo(j>G6请自来&Qo(j>G6足{为{信&Ql!`6uG奇&Ql!`6Nx}為{信&Ql!`6uG奇&Ql!`6Nx}爲{信&Ql!`6uG奇&Ql!`6Nx}}遂&QuC願具名&Qz,M20T顧一切&QL5vumY顾一切&QL5vumY驚&QK?}与z%z$z&{会z%bX生俱来z%r?QWG6}丏0O丐P/K_丑m^{人m^vd样m^yX生m^r?}丒%I%C专l]{业试l]x,s7名l]0T{号l]0TfV}有名词l]v[0Tnf著l]lY}且n.pppolEoN丕+3世r)r({侄女r)iVD4界{卫生组织r)I;`8r?k\"ji衛生組織r)I;`8r?k\"ji衞生組織r)I;`8r?k\"ji}}丗r)丘vW丙'X业x,丛p<{生p<r?}东:]:'{帝汶:]8#/<莞{牌:]LL*\"腊肠:]LLE2p^}风螺:]63G.}丝s3{带s37F杆s3Ko母s30v}丞sTo({相sTu/}丟999:{架99I4淡99<%那媽9:@=.E}丠Nw両HL丢999:{架99I4淡99<%那妈9:@=.E}丣v[两HOHLHPHN{下HOd%{散手HOd%q^r.}份HO3d公婆HOLQ,@{见鬼HOLQ,@K;W:}副牌HO5q*\"只牌HOj5*\"名HO0T害取其轻HOfPppNxf-张相HOl3u.房HO5X手揈揈HOr.5&5&更HOIQ楼HOEL粒HNA9{一{扮HOA9vu%e瓣HOA9vu3.}}行HOff道散手HO9tq^r.顶HO8p}严wrwp{重wrkn}並'\\'Y{重'\\kn}丧t-t/{偶t/Rs命t/0V失t/rK家之犬t/I3j9h4尸t/s3尽天良t/lP=oHN心病狂t/r3'&]l权辱国t/QryJYS生t/r?胆t/7R}丨WL丩Iv个KYKXK\\{人卫生KYvf`8r?位KY`4别事件KY'hs8K:大都会KY7J9ob\\碟KY9R脑坐住咗KYBmoCl\\jp袋KY9j都会KY9ob\\}丫!!R-{乌婆!!bQ,@烏婆!!bQ,@}丬%h中kikk{㖞kkaw中哋kiki8X乐kiU,了kkFa亭ki=y伏kk6J伤kku-位{数ki`4sw數ki`4sw}傷kku-元法{会kiz*3AbX會kiz*3AbX}华沙律ki_TqEHj呀kk!#咗kkjp咩kk/W唔中kk%Bkk喎kkaw埋kk.N央{空{調kiyWg?=f调kiyWg?=f}銀行kiyWS$ff银行kiyWS$ff}头奖kk<Tl4奖kkl4女kiD4完kkz*弹kk7X彈kk7X彩kkoF情局kio*Ld招kkjE括{号kiQ/fR號kiQ/fR}拳kkQr文ki/:断ki;V斷ki;V晒kkqM暑kkuR曬kkqM枪kkp]标kk'E梗kkJ.槍kkp]樂kiU,標kk'E毒kk:t獎kkl4硬kkRP空{宝kkg?(\"寶kkg?(\"}綴kilJ缀kilJ華沙律ki_TqEHj蛇kkrZ規kk[c{中矩kk[ckkM.}规kk[c{中矩kk[ckkM.}計kkIq计kkIq过kkY#途{轉機ki>Bl_JK转机ki>Bl_JK}過kkY#銀kiS\"鎗kkp]银kiS\"頭獎kk<Tl4風kk63风kk63}丮KQ丯I;Iq丰63丱VqPG]k串q/Vqq.{女q/D4过马撚q/Y#.IEX過馬撚q/Y#.IEX}丳m4临ETEQEVER{危受命ETRlr20V尾ET/]摹ET0z立会ETE2bX老过唔到世ETG=Y#%B9pr)行ETdx}丵kJ丶lX丷%w丸z(z*丹7W为`6`4`8{主`6lX之`6j9人`6vf{师表`6vfs3'F}什么`8r80i伍`6%I例`6EJ准`6lL势所逼`6r)sj'i唔过`6%BY#啖气`67Ve;国{争光`6YSiEY?捐躯`6YSMEQW}域`6at头`6<T富不仁`65q&Qvf得过`68KY#所欲为`6sjyJ`6政`6jY数`6sw时已晚`6s6wa.a期`6Nx本`6(d止`6j:民请命`8/<o(0V皮`6+4虎作伥`65pkGp]起嚟`6e:F$重`6kn限`6d>难`6@T非作歹`64-kG7F首`6r.鬼`6W:}主lX{人房lXvf5X动请缨lX:bo(x!動請纓lX:bo(x!将lXl5將lXl5犯lX3.队lX;:隊lX;:題公園lX<NLQz(题公园lX<NLQz(}丼:'8.j\"jX丽EJEHF$举M.{世闻名M.r)/<0T行M.dx足轻重M.l!f-p=重若轻M.p<yheQ}丿,5乀3u乁w`乂R8!,乃@C#LTXDm久Iv{仰大名Ivy[7J0T別重逢Iv'hp<66别重逢Iv'hp<66}乆Iv乇>ei&么wi.E0i0m义wbwa{会wbbX堂wb>R气博儿戏wbe;(Gw`e9薄云天wb'i`H=o}之j9乌bQ{兹别克bQj9'hdQ吓乌吓bQd%bQd%哩{单刀bQF!7W9o马查bQFQ.Ilw}啄啄bQ;';'喱马{叉bQFQ.Elu杈bQF!.Ily紁bQF!.Ily}垂垂bQu$u$头bQ<R搲bQ`d杬bQDv榄bQDv瀡瀡bQu\"u$眉瞌睡bQ/`e!uD蝇bQx!{搂马尾bQx!EK.I/a纸bQx!j:镜bQx!Je}都话bQ9o_R龙bQH({波bQH('o球bQH(NH茶bQH(lx}}乍hMhPkG乎5r5obT乏3z乐Gb!0R<!2R>U,#zG_{善好施GbsPfSs3器U,e;团U,@$坛U,<*师U,s3手U,r.曲U,Q3极生悲GbKVr?&c理U,F%章U,l3评U,,*谱U,,L迷U,/*队U,;:}乑v`乒'W,''Z{乒乓乓,','*9*9嘭'Z&<鈴{嘭唥'ZFo%lE*𠾴唥'ZFo%lE*}铃{嘭唥'ZFo%lE*𠾴唥'ZFo%lE*}}乓&9(3,]*9乔OZ乕5p乖V]乗sTsV乘sTsV{坐sToC}乙z/z2{型肝炎z2x$Kowr酸z2uW醇z2uH}乚z/z2vd乜/K/X/W/[/\\APEz{东东芫茜葱/K:]:]wxr'p9乜柒柒/K/Kn&n&嘢{話/Kw+_R话/Kw+_R}東東芫茜{葱/K:]:]wxr'p9蔥/K:]:]wxr'p9}誰/Ku@谁/Ku@}九IvIu{下Ivd%副牌Iv5q*\"只牌Ivj5*\"名Iv0T孔螺Ivg@G.张相Ivl3u.張相Ivl3u.房Iv5X更IvIQ楼IvEL樓IvEL牛一毛IvRrvu0u肚{魚Iv>Cz\"鱼Iv>Cz\"}行Ivff隻牌Ivj5*\"頂Iv8p顶Iv8p}乞e'e;{儿e'w]{仔e'w]i.鸡e'w]Io}兒e'w]{仔e'w]i.雞e'w]Io鷄e'w]Io}嚏e'nc}也usupw'urut{文也武ur/<ur0y}习htiP{以为常htwa`6u0近平htJ,,*}乡gcge{下gcd\"{仔gcd\"i.话gcd\"_R}事委员会gcs8`4z*bX头gc<R议局gcwaLd试gcs7}乢K_乣Iv乤d&乥5r书uQ{券uQMG友uQvX名号uQ0TfV呆子uQ7Ej:坊舖uQ5W,L局uQLd房uQ5X架uQI4生uQr?画uQ_R面uQ0L{语uQ0Lz%}}乧8(乨nd乩JK乪OJ乫I3乬M2乭s2乮.U乯5r买.O{假.OI5办.O%d楼.OEL水噉头.Ou@J\"<R花墩.O2o84路钱.OG>o$}乱HzHvHu{噏Hv\"!{廿四Hv\"!utr_}立立HzEhEh}乲ne乳z%{酪z%Gb}乴lh乵ws乶5p乷qE乸@:Dd@<{声乸气@:ru@:e;聲乸氣@:ru@:e;脷DdF&西Ddr'}乹OfKo乺sj乻z!乼lY乽i^乾KoOf{亨Ofdu哽KoNX啃KoNX坤Of[u手淨腳Kor.j&M)收銀Kor-S\"淨Koj&{利落Koj&F&Gb}炒牛河Kom(RrfF綱OfKu纲OfKu道Of9t隆OfH*骾骾KoNXNX鯁KoNX}乿j>亀W9亁Ko亂HzHvHu{噏Hv\"!{廿四Hv\"!utr_}立立HzEhEh}亃HgHh亄w_亅Qw了FaF]F`DcF^{哥F]KW如指掌F`z$j:l4断Fa;V斷Fa;V}亇9K予z$z%{人口{实z%vfddrP實z%vfddrP}以z%wa取予求z%ppz%NH}争iEm9hihkiG{一{个马鼻hivuKY.I&h日之长短hivuvzj9p`;R}个马鼻hiKY.I&h交hiI?住hil\\先㧬后iEsK$@dh凳仔hi8;i.唔落hi%BGb啲hi9-在hijz地盘hi8\\-6天共地hi=oLV8\\宠hip:客hidS崩头hi&E<T拗iE!/櫈仔hi8;i.气hie;返啖气hi3-7Ve;饭食hi32sh}亊s8事s8s4{件s8K:假s8I5关重大s8Vokn7J在{人{为s8jzvf`6為s8jzvf`6爲s8jzvf`6}必行s8jz'cdx}头s8<R旦s87\\有{跷蹊s8v[OWNu蹺蹊s8v[OWNu}關重大s8Vokn7J頭s8<R}二wbw^{下wbd%偈wbIp六wbH9副牌wb5q*\"叔婆wbtu,@只牌wbj5*\"名wb0T奶wb@?{仔wb@?i.命wb@?/z}张相wbl3u.張相wbl3u.房wb5X打六wb7@H:更wbIQ楼wbEL樓wbEL胡wbbR花面wb2o0L{頸wb2o0LJd颈wb2o0LJd}行wbff重奏wbp<i5隻牌wbj5*\"頂wb8p顶wb8p}亍pKpc于z!z$bQ亏[c亐z!云`H`F`I`J{呢{嗱`JAQDd拿`JAQDd}尼{嗱`JAQDd拿`JAQDd}淡风轻`H7V63f-}互bV{片bV,\"}亓Nx五%I%C{下%Id%供%ILS副牌%I5q*\"只牌%Ij5*\"名%I0T味架%I/bI4姑娘%IL3D\"岭%IFs嶺%IFs张相%Il3u.張相%Il3u.房%I5X更%IIQ柳{魚%IEOz\"鱼%IEOz\"}楼%IEL樓%IEL行%Iff{欠{打%Idxf#7@水%Idxf#u@炳%Idxf#'X}缺水%IdxQwu@}隻牌%Ij5*\"雷{轟頂%IH`WQ8p轰顶%IH`WQ8p}頂%I8p顶%I8p}井j\"jX{号j\"fR號j\"fR}亖r_亗uA亘J.亙J.亚!#!!R-R/{东鱼!#:]z\"加力胶!#I3G'I?妈!#.I肋路亚!#F&G>!#运会!#`JbX}些rWsir)skqE{厘酒rWF\"i4}亜!#R/亝mZhQ亞!#!!R-R/{加力膠!#I3G'I?媽!#.I東魚!#:]z\"肋路亞!#F&G>!#運會!#`JbX}亟KQNw亠<T亡101-0x{命100V{之徒100Vj9>B天涯100V=oR6}}亢PGKu亣7J交I?Mi{予I?z%匯處I?b\\q)响乐I?gdU,媾I?NE差I?m!恶I?bS惡I?bS易I?x8{所I?x8sj日I?x8vz}更I?IQ汇处I?b\\q)響樂I?gdU,}亥fP亦x8产m4{假m4I5婆m4,@生m4r?量m4HP}亨du*9gd亩/1亪'S享gd{負盛名gd5tsV0T负盛名gd5tsV0T}京K?z*亭=x=v=y亮HP{相HPu/}亯gddu*9亰K?亱w,亲mimk{力亲为miG,mi`6家mkI3{两免mkI3HO0O}}亳(G(J亴v\\亵s_亶<(7\\sNsP亷Ff亸9d亹/a1`人vfvdvc{不可以貌相vf&QfFwa.Vu/为vf`6体画vf<L_R办vf%d参vfr3參vfr3如其名vfz$Nx0T微言{輕vf/`wxf-轻vf/`wxf-}才{济济vfoHi.i.濟濟vfoHi.i.}日vfvv望高{处vf12Kcq)處vf12Kcq)}死不能{复生vfr^&QA66Jr?復生vfr^&QA66Jr?}满为患vf1a`6_n滿{為患vf1a`6_n爲患vf1a`6_n}為vf`6爲vf`6物vf/L生vfr?{已完vfr?waz*觀vfr?LK观vfr?LK}纔濟濟vfoHi.i.老精鬼老{灵vfG=j!W:G=F<靈vfG=j!W:G=F<}脸识别vf0Psc'h臉識別vf0Psc'h行道vfdx9t要面{树要皮vfwk0LuVwk+6樹要皮vfwk0LuVwk+6}話vf_R话vf_R質vfj;质vfj;辦vf%d造皮vfk&+4靓声甜vfF;ru=l靚聲甜vfF;ru=l面vf0L{广vf0LY@{阔vf0LY@6A}廣vf0LY@{闊vf0LY@6A}}體畫vf<L_R}亻vf亼htddiP亽ht亾10e50x亿x3什rJhtr8iM{么r80i物ht/P錦htJ\"锦htJ\"麼r80i}仁vfS$vd{棯S$B9者{乐山vfi^R>q]樂山vfi^R>q]}}仂EtG,仃9K仄iWn]{紙n]j:纸n]j:}仅J(J,仆-K5t)&-P{到-K9p{去-K9pgw}}仇r0m`NH仈%w仉l4今J!{晚打老虎J!.]7@G=5p朝J!jE生J!r?}介I;I5{面I;0L}仌'W仍x$从p<tckikkknp9{容tcy6{不迫tcy6&Q'i就义tcy6i8wb}犯p<3.轻发落p<f-3AGb}仏3z仐>?仑HfHd仒'W仓o]o^{促o^pK卒o^q5猝o^q5}仔i.j:j9i-i0{仔i0i.女i.D4房i.5X細j:r)细j:r)}仕s8他;i>3;n{他米;n;i06佻;i=f朝;ijE表;i'E調;i=f调;i=f}仗l8l5l4{义l5wb{执言l5wbiKwx}義l5wb{執言l5wbiKwx}}付5t{予5tz%諸行動5tlWdx:b诸行动5tlWdx:b}仙sK{女sKD4{棒sKD4*=}}仚f'仛>e仜gB仝?0仞vh仟o!仠Kp仡S8J9KWe'\",仢(J代9n{为9n`6名{詞9n0Tnf词9n0Tnf}為9n`6爲9n`6行9ndx表{队9n'F;:隊9n'F;:}}令FtFcFoFrFsFpFq{堂Ft>R壽堂Ftr2>R嫒Ft#L嬡Ft#L寿堂Ftr2>R擸擸FqE/E/梳Fcsi立立FqE/E/郎FtGL面Ft0L}以wa{不{变应万变wa&Q'Sx#.b'S變應萬變wa&Q'Sx#.b'S}为wa`6和{为贵waax`6W;為貴waax`6W;爲貴waax`6W;}心{为心war3`6r3為心war3`6r3爲心war3`6r3}暴易暴wa(&x8(&為wa`6爲wa`6物易物wa/Px8/P退{为进wa?e`6lM為進wa?e`6lM爲進wa?e`6lM}}仦m)仧p`仨qWqE仩p`仪w`{仗队w`l8;:}仫1z0i们1`仭vh仮3.仯m)仰y[Ts#g{卧起坐y[TVe:oC臥起坐y[TVe:oC}仱O`K?仲kn{使{問knr(/>问knr(/>}}仳+4+6仴c&z2仵%I%C件K>K:{头K><R頭K><R}价I;I5{位I5`4值{不菲I5jn&Q4-判断I5jn-5;V}钱I5o$}仸wj仹63仺o]任vbv`{命vb0V意妄{为vbw_11`6為vbw_11`6爲vbw_11`6}重道{远vbkn9tz+遠vbkn9tz+}}仼b<份3h3d&?{量3hHP額3hR^额3hR^}仾8!仿5X,`{佛5X3u皮5X+4}伀ki企NyNv{位Ny`4堂Ny>R歪Ny/X領NyF=领NyF=鵝NyTR鹅NyTR}伂-#伃z$伄9;伅88;D伆/P伇x8伈r4伉PG伊w]{士w]s4拉克w]DidQ}伋N]J3伌!)R5伍%I%C伎JPNx伏6J)&6F{伏{地6J6F8X跳)&)&=e}低)&8!冰)&'W匿匿)&AQAQ}伐3z休vWA\"gvz#{会vWbX假vWI5克vWdQ养生息vWy[r?sc會vWbX養生息vWy[r?sc}伒J)伓+3伔8.7V伕5o伖>R众kkki{生kkr?{相kkr?u/}}优vWv!{柔寡断vWvZVX;V}伙5:{头5:<R{将军5:<Rl3WK}計5:JM计5:JM頭5:<R{將軍5:<Rl3WK}}会b\\Pd^.bXb[bYPe{上bXu2仔bXi.务bX0z合b\\e&同b\\?0员bXz*场bXp`头bX<T客b\\dS展b\\jR{头b\\jR<T}心b\\r3意b\\w_战b\\jS所b\\sj晤b\\%J社b\\r[章bXl3籍bXjn考b\\d.见b\\K;计b\\Iq{师b\\Iqs3}议b\\wa诊b\\mj试b\\s7话b\\_R谈b\\<$错意b\\oAw_长b\\l4阴b\\v]面b\\0P馆b\\LL}伛z\"伜pq伝q0`H伞q_伟`7传q0l^lbl_{声q0ru{筒q0sQ?.}奇lbNx统名校q0?.0Td2记lbJM}伡n-伢R0!$伣wywz伤u-{亡惨重u-10m.kn心小栈u-r3s@hd}伥p]m9m<iA伦HfEZ伧o]m9md伨uE伩uG伪Rn!b{命题Rn0V<N}伫q+FrBH伬n_n.伭wxz*伮BmG=伯&#%M/V{爷{公&#w'LQ婆&#w',@}爺{公&#w'LQ婆&#w',@}}估L4L5YXYY{估下L4L4d%}伱AUF%伲ATF$伳s_伴(h-4-7(d-5{娘(hD\"郎(hGL}伵Xu伶FrFo伷i8伸r9伹po伺j>s8{候s8dh服器s86Je;}伻,'*9似ng{样ngyX樣ngyX}伽I3Nr伾+3伿wbj;佀ng佁wane佂jW佃9J=r佄dl佅1P.P但7\\佇q+FrBH佈(#{道大會(#9t7JbX}佉QW佊&d佋sD佌nd位`8`4{值`4jn数`4sw數`4sw高{权重`8KcQrkn權重`8KcQrkn}}低8!{位8!`4低哋8!8!8X劣8!I&声下气8!rud&e;聲下氣8!rud&e;陷8!dn}住l\\lX{处l\\q)家婆l\\I3,@年妹l\\BB1K處l\\q)}佐jqjpjo{敦jp;?{谷jp;?Lc}治{亚jpj>!#亞jpj>!#}}佑v\\佒y[Ts#g体<L&D{会<Lb\\内平衡<LBh,*dx}佔jMnujK{便宜jM,$w^}何fHfJfF{为fH`6乐而不为fHGbw`&Q`6处fHq)樂而不{為fHGbw`&Q`6爲fHGbw`&Q`6}為fH`6爲fH`6處fHq)}佖'c佗>6;i>3{佻;i=f地>68X{費>68X3S费>68X3S}手掕{脚>6r.E_M)腳>6r.E_M)}}佘rZ余z$pr{兴z$f/生z$r?额z$R^}佚vz9\\{名9\\0T}佛3z3u&V3x{偈3zIp}作kGkF{为kG`6伴kG-4文kG/:為kG`6爲kG`6画kG_R畫kG_R祃kGR0禡kGR0践kGjV踐kGjV}佝QWIuNG佞BJFt佟?0你AUF%{卤味AUG=/^老母AUG=0v講嘢呀AUKvw+!$讲嘢呀AUKvw+!$鹵味AUG=/^}佡f'佢Q[gy{老母Q[G=0v}佣y4y8y6p9佤R1!%佥nu佦v\\佧M]佨%W佩-#佪bZ佫fzIe佬G:G=F`G;佭Kw佮J57h<i{佮{冚<i<idn嵌<i<idn掂<i<i9D}}佯yZ佰&#/V佱3A佲0U佳I9佴wbwa@DBhG8併'Y,)'\\{發症'\\3AjY購,)NG}佶J9KMKP佷dp佸Q/c&^S佹W:佺q0佻=c=f=e{皮=e+6}佼I@I?佽ne佾vz使s4r(s5s7{下r(d&乜r(/K{講r(/KKv讲r(/KKv}亲r(mi人唔使本r(vf%Br((d住r(l\\出r(q!到r(9q劲s4KA勁s4KA命s70V{感s70VJ\"}咗r(jp唔使r(%Br(嚟r(EH埋r(.N妈r(.E婆r(,@媽r(.E定r(9P开r(fK得r(8K晒r(qM曬r(qM极r(KV梗r(J.極r(KV横手r(_rr.橫手r(_rr.死咩r(r^/W牛r(Rr硬r(RP節s5je紧r(J(緊r(J(翻r(3-者s5i^节s5je落r(Gb親r(mi費r(3S费r(3S起r(e:过r(Y#過r(Y#銅銀夾大聲r(?0S\"IY7Jru錢r(o\"钱r(o\"铜银夹大声r(?0S\"IY7Jru開r(fK頸r(Jd颈r(Jd館s5LL馆s5LL𢃇r(F%}侀x$侁r9侂>e侃f^f_侄iViQiR{女iVD4}侅K]來G6EHG8EFG4F${生G6r?路G6G:{菜G6G:oG貨G6G:5;}}侇w`侈nd侉[(['侊Y?Ku例EJ{会EJbX假EJI5會EJbX牌EJ*\"行EJdx{公事EJdxLQs8}}侌v]侍s8s4{应s8x#{生s8x#r?}應s8x#{生s8x#r?}}侎/a侏lW侐Xu]E侑v\\侒#]Ti侓Hn侔/0侕w`侖HfHd侗?0?.:b侘lw侙o9侚uEuJpx供LQLS{不{应求LQ&Qx#NH應求LQ&Qx#NH}品LS&@应LQx#{商LQx#u-}應LQx#{商LQx#u-}楼LQEL樓LQEL}侜i3依w]w^a?w`{依{哦哦w`w]#H#H鵝鵝w`w]TTTT鹅鹅w`w]TTTT}哇鬼叫a?_QW:K/士w]s4排w]*\"泣w]v9牙{松弶w]R0tcKw鬆弶w]R0tcKw}}侞z$侟q0侠e&dJ価ng侢7G侣Ha侤d.侥euwlK.K-侦jW{测jWmK}侧iW{重iWkn}侨OZ侩Pd^.Pe^/侪m$mZ侫BJFt侬CZH*E'侭lL侮0y侯dfdh侰[w侱o(侲iAr=侳jtoA侴m^侵mcme{气mee;氣mee;}侶Ha侷Lh侸uV侹=y=v侺r8r6侻@)?e侼(z侽@NDx侾d-便'V'R,$,\"{士'Vs4宜,$w^{仔,$w`i.莫{貪,$w`1D<!贪,$w`1D<!}}当'V:)溺'VBW當'V:)}俀?d俁z%係dbd^da\"8{咁dbJ\"{上下dbJ\"u2d&先dbJ\"sK咦dbJ\"w^嘅dbJ\"JF大dbJ#7F意dbJ\"w^}咪db/,噉{嘅dbJ\"JF意dbJ\"w^}}促pK{請pKo(请pKo(}俄TT#H{文TT/:}俅NH俆pruQ俇Vzfc俈Lc俉%J%D俊lM俋vo俌5t俍HN俎jppr俏nq俐F&俑y4y7俒`J俓KA俔wywz俕qY俖-\",F-%俗l&俘5o俙e9俚F%俛5p0O俜,'保(\"{平安(\",*#]时捷(\"s6je時捷(\"s6je温{壶(\"`EbR壺(\"`EbR}溫壺(\"`EbR皇{会(\"b<bX會(\"b<bX}良局(\"HNLd重(\"kn長(\"l4长(\"l4額(\"R^额(\"R^鮮袋(\"sK9j鲜袋(\"sK9j}俞z$uSz&俟j>Nx俠e&dJ信uGr9uF{以{为真uGwa`6i?為真uGwa`6i?爲真uGwa`6i?}件uGK:号弹uGfV7X差uGm!用卡uGy8N-肉uGyF號彈uGfV7X邪uGn.}俢r-俣z%俤8&俥n-俦m`俧j;俨ws俩HO俪EJ俫G6G8俬s3俭K8修r-{为r-`6女r-D4為r-`6爲r-`6行r-dz訂r-9P订r-9P}俯5p俰az俱QWM-M2俲d2俳*$-$俴o%俵'F'G俶pK>-俷3S俸6864俹!#R/俺wq!:RF俻&h俼yJ俽vc俾&d*Y{位&d`4卡&dN-我都唔{吼&dTU9o%Bdc睺&dTU9o%Bdc}条生路行下&d=fqcG>dBd%條生路行下&d=fqcG>dBd%油&dvX电话&d9J_R電話&d9J_R面&d0L{派{对&d0L*#;;對&d0L*#;;}}鬼{矺&dW:i&砸&dW:i&責&dW:i&责&dW:i&}}俿5p倀m<m9p]iA倁j9倂'Y,)'\\倃hKIz倄d0倅pqlQq5倆HO倇z(倈G6G8倉o]o^{促o^pK卒o^q5猝o^q5}倊kk個KYKXK\\{人{衛生KYvf`8r?衞生KYvf`8r?}位KY`4別事件KY'hs8K:大都會KY7J9ob\\碟KY9R腦坐住咗KYBmoCl\\jp袋KY9j都會KY9ob\\}倌LKYo倍-%(S倎=p倏tu倐tu們1`倒9p9q{冧9pES刺9qne及9qNb{牙9qNbR0}吊9q9;{冇滴墨水9q9;0y9b/Vu@荷包9q9;fH%W}后9qdh{镜9qdhJe}後9qdh{鏡9qdhJe}扣9qNG扱9qJ8抽一口{凉气9qm]vuddHNe;涼氣9qm]vuddHNe;}挂9qVY{腊鸭9qVYE2!G金钩9qVYJ!Ro}掛9qVY{臘鴨9qVYE2!G金{鈎9qVYJ!Ro鉤9qVYJ!Ro}}掟{头9q8q<T頭9q8q<T}数9qsv數9qsv春寒9qpuf`果{为因9pY\"`6vc為因9pY\"`6vc爲因9pY\"`6vc}模9p0v汗水9qfbu@泻9prX{箩蟹9prXG0d+茶9prXlx}瀉9prX{籮蟹9prXG0d+茶9prXlx}灌9qLM牙9pR.翻{轉9q3-l_转9q3-l_}背如流9q(Vz$EN行逆施9pdxx8s3褪9q<_貼9q>#贴9q>#車9qn-轉9ql_车9qn-转9ql_返{轉9q3-l_转9q3-l_}}倓<$7V倔WbWh{头巷Wb<Tfd尾{龍Wb/aH(龙Wb/aH(}強WbQI强WbQI頭巷Wb<Tfd}倕uB倖dz倗*r倘>Ru0候dhdddcdf{命dh0V}倚w^Nu{凭w^&J憑w^&J重w^kn}倛e9倜>-i3倝Kq倞KDHPO3借i_i^{問聲i_/>ru啲意i_9-w^故i_L5歪i_/X词i_nf轉i_l_转i_l_问声i_/>ru}倠u?倡p]p_倢jej_jh倣5X値jn倥g?g@gA倦MJ倧ki倨M/倩sPo)sM倪RlRn!`!b倫HfEZ倬pklA倭au`4av`3倮G.G0倯tc倰FrFt倱`J倲:]倳j;j>倴&D&A倵0y倶QW倷Bh@CDmG8倸oF倹K8债hS{券hSMG}倻w*值jn{日生jnvzr?}倽qFqE倾Oi{偈OiIp听Oi=w唔埋栏Oi%B.NE!斜Oin0电话Oi9J_R计OiIp闲{偈Oid<Ip计Oid<Ip}}倿BJFt偀x!偁o'mko)偂o$偃wvwp偄z+偅kk偆pv假I4I5I3d${假{哋I4I48X地I4I48X}分{数I43hsw數I43hsw}名I40T声I4ru日I5vz{司{机I5vzs3JK機I5vzs3JK}}期I5Nx柳I5EO紙I5j:纸I5j:聲I4ru膊I5(G話I4_R话I4_R}偈KPIpIt{油IpvX}偉`7偊z\"M.z%偋'X偌w,yh偍<N偎bW偏,!{重,!kn門,!1^门,!1^}偐RJ!>偑63偒>R偓\"-!QR]S9偔U,#z偕I9d*偖n.偗qd偘f^偙8#做k&{丑人k&m^vd出面k&q!0L到{只{屐咁k&9qj5OJJ\"积咁k&9qj5jiJ\"}隻{屐咁k&9qj5OJJ\"積咁k&9qj5jiJ\"}}女k&D4媒k&1L扒k&)v架{两k&I5HL兩k&I5HL梁k&I5HL樑k&I5HL}样k&yX樣k&yX盛行k&sVff祃k&R0禡k&R0边行k&'Qff迓k&R0邊行k&'Qff醜人k&m^vd鬼都唔{灵k&W:9o%BF<靈k&W:9o%BF<}鴨k&!F鸭k&!F}偛hq停=x=v{牌=x*\"}偝(S(V偞x,偟b<偠wjwm偡hbh_偢m]m^np偣wo偤vZ健K>{将K>l5將K>l5}偦u@偧hM偨ncj9偩5t偪'i偫j>ng偬kjkk偭0O0P偮muiK偯w^偰s_偱uE偲s3m!so偳;QlG側iW{重iWkn}偵jW{測jWmK}偶Rs!g偷<Q{偷{哋<Q<Q8X摸摸<Q<Q0i0i}呃拐{騙<QR]V^,#骗<QR]V^,#}片<Q,\"食唔抹嘴<Qsh%B.qlF}偸<Q偹&h偺hK偻HaENEO偼je偽Rn!b{命題Rn0V<N}偾3g3e偿u0傀2wW9傁r.傂nfj>傃sw傄W)傅5t5o5p傆z,傇y7傈Hn傉CnH>傊`J傋KvIw傌.J.G傍(8,`(6{友(8vX晚,`.a身,`r9}傎9E傏>T傐fV傑KP{撻撻KP<><>}傒d`db傓sM傔f#傕L/傖o]m9md傗pK傘q_備&h&d傚d2傛y7y6y8傜wl傝<#<57e傞o?si傟#dTp傠3z傡'\\傢I3{俱I3M2}傣7F;q傤jw傥>R傦W]傧&A&?{相&Au/}储q+q'oOq*q,{值{卡q+jnN-飞q,jn4-}起oOe:钱oOo\"}傩B`G0傪m-傫Ha催po{泪弹poHb7X淚彈poHb7X}傭y6y4p9傮k!oN傯kjkk傰*r&E傱td傲Tb#V{視同儕Tbs8?0mZ视同侪Tbs8?0mZ}傳q0lbl^l_{奇lbNx統名校q0?.0Td2聲q0ru{筒q0sQ?.}記lbJM}傴z\"債hS{券hSMG}傶o9m_傷u-{亡慘重u-10m.kn心小棧u-r3s@hd}傸o^傹Lu傺mY傻slsj{傻{哋slsj8X地slsj8X更更slslIQIQ}女slD4妹sl1K婆sl,@更更slIQIQ}傼f_傽l3傾Oi{偈OiIp唔埋欄Oi%B.NE!斜Oin0聽Oi=w計OiIp閒{偈Oid<Ip計Oid<Ip}電話Oi9J_R}傿wwwu僀8#僁s_rKuK僂HaENEO僃&h僄+o+q+s僅J(J,僆FmF9{仔F9i.妹F91K}僇H>僈.b僉nu僊sK僋<#<\"僌x$働:b僎hhlKl]像l8{样l8yX樣l8yX}僐sP僑OZ僒[w僓?f僔l^僕)&僖e9僗G<僘o^僙Y?Ku僚F`FaG=僛e9僜o'僝q`hhm6僞Rn!b{命題Rn0V<N}僟JK僠3-'o僡`8僢q.僣>)jM僤7\\僥euK.K-wl僦i8i5僧iEr?僨3g3e僩d=僪WbQwz2僫#wU)僬jEjG僭nwjMny{建nyK;}僮?0k5k8僯HfHgHh僰&&(G&V僱L5YY僲sK僳tu僴d=僵Lu僶/=僷x,僸J#價I5{位I5`4值{不菲I5jn&Q4-判斷I5jn-5;V}錢I5o$}僺nq僻,9(V僼63僽i5i8僾#MTY僿s3r)儀w`{仗隊w`l8;:}儁lM儂CZE'H*儃sN<(jQ億x3儅:':)儆K@Jh{住Jhl\\惜Jhs/錫Jhs/锡Jhs/}儇h3儈PdPe^.^/儉K8儊oAo@儋7Q7S儌euK-K.儍sl儎jw儏m5儐&A&?{相&Au/}儑RB!6儒z$儓><儔m`儕m$mZ儖Dx儗wawbw`儘lLlP{地lP8\\{一{煲lP8Xvu(!鋪lP8Xvu,K}}快lP2w早lPk\"速lPpK量lPHP}儙f)儚1f儛0y儜BHA6Fr儝Ol儞AUF%償u0儠Fz儡Ha儢Ha儣]jPF儤(#儥yJ9b:t儦'E儧hd儨iQ儩nes5優vWv!{柔寡斷vWvZVX;V}儫fT儬o)儭mk儮G,儯<f儰`7儱H+儲q+q'oOq*q,{值{卡q+jnN-飛q,jn4-}起oOe:錢oOo\"}儳m/m0hbm2{乱歌柄m2HzKW'#亂歌柄m2HzKW'#}儴yZu-儵tu儶`8儷EJ儸G0儹hdl^儺B`G0儻>R儼ws儽HaH`儾C&GP儿vfw`Rlw]!`{戏w`e9童鸳鸯w`?0wuyW}兀S8允`Iz*兂h]元z*兄f-5Y{妹f-1L長f-l4长f-l4}充p9{內行p9Bhff其量p9NxHP内行p9Bhff分p93h撐場面p9m9p`0L撑场面p9m9p`0L}兆sD兇g?先sKsM{下手{为强sKd&r.`6QH為{強sKd&r.`6QH强sKd&r.`6QH}爲{強sKd&r.`6QH强sKd&r.`6QH}}令sKFp使未{來錢sKr(/bG6o$来钱sKr(/bG6o$}入{为主sKvt`6lX為主sKvt`6lX爲主sKvt`6lX}决条件sKQw=fK:头部队sK<T(&;:撩者{賤sKF]i^jV贱sKF]i^jV}決條件sKQw=fK:睹{为快sK9p`62w為快sK9p`62w爲快sK9p`62w}行sKdx{者sKdxi^}頭部隊sK<T(&;:}光Y?KuYB{劣出Y?I!q3捋出Y?I!q3油Y?vX盘Y?-4盤Y?-4碟Y?9R{机Y?9RJK機Y?9RJK}脫脫Y?@'@'脱脱Y?@'@'面工夫Y?0LLQ5o}兊;;克e-dQ{制dQi/力架dQG,I4尽己任dQlPJLvb敌制胜dQ9bi/sS敵制勝dQ9bi/sS星dQsQ服dQ6J盡己任dQlPJLvb紹箕裘dQsDJKNH绍箕裘dQsDJKNH罗地亚dQG08\\!#羅地亞dQG08\\!#莱因瓶dQG6vc,*萊因瓶dQG6vc,*里米{亚dQF%/+!#亞dQF%/+!#}隆dQH*}兌;;;>yn免0O/>{稅額0OuAR^税{額0OuAR^额0OuAR^}}兎>A兏p`児w`兑;;;>yn兒w`Rlw]!`{戲w`e9童鴛鴦w`?0wuyW}兓i9兔>A兕j>ngj;兖wvwy兗wvwy兘nd兙rJ~e-党:(>R兛o!~e-兜8'9o:w{人入{会8'vfvtbX會8'vfvtbX}兜{轉轉8'8'l_l_转转8'8'l_l_}潺仔8'q`i-}兝3c~e-兞fT~e-兟r9兠8'兡&#~e-兢K?兣F$~e-兤5X入vt{会vtbX则vtji則vtji咪vt/'土{为安vt>@`6#]為安vt>@`6#]爲安vt>@`6#]}场券vtp`MG城vtrv場券vtp`MG数纸vtsvj:數紙vtsvj:會vtbX油vtvX笭vtF9行vtff边vt'V邊vt'V銀仔vtS\"i.银仔vtS\"i.饌vthe馔vthe龍vtH(龙vtH(}兦100x內Bh@bBds3BeE2G8{幕交易Bh1DI?x8應Bhx#櫳BhH(測BhmK省不疚BhsR&QIw籠BhH(行Bhff訌BhgA邊Bh'V}全q0q.q-{中q0kk方位q05W`4片幅q0,!6E盒q0e\"相q0u/}兩HOHLHPHN{下HOd%{散手HOd%q^r.}份HO3d公婆HOLQ,@{見鬼HOLQ,@K;W:}副牌HO5q*\"名HO0T害取其輕HOfPppNxf-張相HOl3u.房HO5X手揈揈HOr.5&5&更HOIQ樓HOEL粒HNA9{一{扮HOA9vu%e瓣HOA9vu3.}}行HOff道散手HO9tq^r.隻牌HOj5*\"頂HO8p}兪z$uSz&八%w%v{下%wd%副牌%w5q*\"卦{妹%wVY1K婆%wVY,@新{聞%wVYr9/:闻%wVYr9/:}}只牌%wj5*\"名%w0T妹%w1K字生得正%wj>qc8Kj#张相%wl3u.張相%wl3u.房%w5X更%wIQ楼%wEL樓%wEL行%wff达通卡%w7n?-N-達通卡%w7n?-N-隻牌%wj5*\"頂%w8p顶%w8p}公LQLT{众{人物LQkkvf/L假期LQkkI5Nx}会LQbX假LQI5公LTLQ共{卫生LQLV`8r?衛生LQLV`8r?衞生LQLV`8r?}关灾难LQVoju@V听会LQ=wbX园LQz(園LQz(平LQ,*{貿易LQ,*/2x8贸易LQ,*/2x8}开试LQfKs7會LQbX正行LQjYfd民社{会LQ/<r[bX會LQ/<r[bX}测LQmK測LQmK眾{人物LQkkvf/L假期LQkkI5Nx}聽會LQ=wbX衆{人物LQkkvf/L假期LQkkI5Nx}証行LQjYfd諸同好LQlW?0fS證行LQjYfd证行LQjYfd诸同好LQlW?0fS轉LQl_转LQl_開試LQfKs7關災難LQVoju@V頃LQOm顷LQOm}六H>F]H:H9{下H>d%副牌H>5q*\"只牌H>j5*\"名H>0T国{互丧H>YSbVt/大封相H>YS7J63u/}國{互喪H>YSbVt/大封相H>YS7J63u/}张相H>l3u.張相H>l3u.房H>5X更H>IQ楼H>EL樓H>EL行H>ff隻牌H>j5*\"頂H>8p顶H>8p}兮d`兯je兰E$E\"E!共LVLRLQLT{处LVq)患{难LV_n@V難LV_n@V}济会LVi/bX濟會LVi/bX處LVq)}兲=o关Vo{上Vou1公灾难VoLQju@V刀领Vo9oF=节位Voje`4}兴f-f/vhf0{兴冚冚f0f-dldl致f/j;{勃勃f/j;(z(z}趣f/pq{盎然f-pq#]wx}高采烈f/KcoFG&}兵'W{头'W<R{花园'W<T2oz(}車行'WM-dx车行'WM-dx頭'W<R{花園'W<T2oz(}}其NxJKJP{利{断金NxF&;SJ!斷金NxF&;SJ!}}具M2{名M20T}典9F{当9F:)當9F:)}兹j9nf兺3c养y[y\\{分y[3h声y[ru女y[D4料y[Fb生y[r?}兼K3兽r/{行r/dz}兾Nw兿Rn!b冀NwJM冁o\"jR冂Xc>T冃0z冄ws内BhE2G8@bBds3Be{幕交易Bh1DI?x8应Bhx#栊BhH(测BhmK省不疚BhsR&QIw笼BhH(行Bhff讧BhgA边Bh'V}円z*w?冇0y0m0v0x{为意0y`6w_交易0yI?x8份0y3d傝𠎷0y7eqk几何0yJLfF厘正{經0yEHjYK?经0yEHjYK?}呢支歌仔唱0yB'j9KWi.p_咗件事0yjpK:s8啦{冇掕0yDc0yE_掕0yDcE_}嗜好0ys5fS嚟{搭霎0yF$7eqk神{气0yF$r<e;氣0yF$r<e;}}声{冇气0yru0ye;出0yruq!气0yrue;}头乌蝇0y<TbQx!幾何0yJLfF弯转0y_il_彎轉0y_il_得{弹0y8K<*彈0y8K<*扳0y8K.c掹0y8K.c}把炮0y%L*_挐{冇掕0y@90yA5掕0y@9A5}挨冇{凭0yRi0y&J憑0yRi0y&J}数为0ysw`6數{為0ysw`6爲0ysw`6}料扮四{条0yF^%hr_=d條0yF^%hr_=d}桥0yOX橋0yOX為意0y`6w_爪蟛蜞0yhX*<Nv爲意0y`6w_王管0yb:LL省起0ysRe:眼屎{乾淨盲0yRIs4Koj&.f干净盲0yRIs4Koj&.f}碇企0y8tNy耐0yBd聲{冇氣0yru0ye;出0yruq!氣0yrue;}胆匪类0y7R4.H^膽匪類0y7R4.H^行0yff計0yIp计0yIp醒起0ysRe:面0y0L{俾0y0L&d}鞋挽屐走0yd*_jOJi4頭烏蠅0y<TbQx!𠸎耕0yDcIQ}冈Ku冉wswp冊mM冋Xc册mM再jw{会jwb\\會jwb\\生jwr?{父母jwr?5t0y能源jwr?A6z*}}冎VX冏Xd冐0z/V冑i8冒0z/V{名0z0T牌{貨0z*\"5;货0z*\"5;}}冓NGIwIuNE冔gv冕0O冖0h冗y4y7冘v`vZ写rX{实画rXrP_R文rX/:{章rX/<l3}生rXr?}冚NLdndjdl{世界dnr)I;冚{声dldjru聲dldjru}包散dn%Wq^唪唥dn%nE,啲dn9-家dnI3{剷dnI3m4富{貴dnI35qW;贵dnI35qW;}拎dnI3Fo祥dnI3p`鏟dnI3m4铲dnI3m4}球{剷dnNHm4鏟dnNHm4铲dnNHm4}盅dnki窦NL8)竇NL8)被NL+7}军WK{备竞赛WK&hKAoG头WK<R棋WKNv队WK;:}农CZH*冝w`冞/`冟sc冠LMLKYoYq{冕LK0O{堂皇LK0O>Tb<}名LM0T心病LKr3'&状病毒LKk8'&:t狀病毒LKk8'&:t盖云集LKK_`Hht蓋雲集LKK_`Hht}冡1f冢p:冣lG冤z'{厉z'EF厲z'EF戾z'EF}冥0U0T{合0Te&}冦NG冧EQESA'EV{公{头EQLQ<R頭EQLQ<R}友ESvX女EQD4宝头EQ($<R宫头EQLQ<R宮頭EQLQ<R寶頭EQ($<R市ESs7庄EVk3档ES:)楼ESEL樓ESEL檔ES:)波箱ES'ou-班EV%c篷{头EQ-9<R頭EQ-9<R}莊EVk3}冨5q冩rX冪0h冫'W冬:]?0冭;q冮Ku冯66*r64冰'Wx$Ol{垫'WjS墊'WjS淇淋'WNxER皮'W+4{月{餅'W+4z2'\"饼'W+4z2'\"}}糖葫{芦'W>TbTG:蘆'W>TbTG:}袋'W9j}冱bV冲p9p;{凉{房p9HN5X舖p9HN,L}劲p9KA淡p9<%绳p9sT量p9HP锋陷阵p963dniD}决Qwh;{断Qw;V}冴bV况5Y5X冶w+冷E+E'E]{处理E+q)F%巷E+fd帽E'0v气被E+e;+7氣被E+e;+7泡E+*)盘E+-4盤E+-4知{識E+j;sc识E+j;sc}糕E'Kc線E'sM线E'sM處理E+q)F%衫E'qW鐘E'ki钟E'ki門E+1^门E+1^}冸-5冹3u冺/=冻:_:^冼sL冽G&冾e!dJ冿jQ净j\\j&凁r-凂1O凃>B凄mW凅L5YY准lLle{予lLz%将lLl5將lLl5绳lLsT}凇tc凈j\\j&凉HNHPHL{亭HN=v}凊j\\o)凋99{淡99<%}凌Fr凍:_:^凎J#减IF{号IFfR磅IF(4}凐vc凑m_{仔婆m_i.,@跷m_OX}凒TX#L凓Hn凔o]o_凕0U凖lL凗prpo凘s3凙:>凚J&凛EU凜EU凝x$Ol{重x$kn}凞e9凟:t几JKJL{下JLd%乎JK5r副牌JL5q*\"只牌JLj5*\"名JL0T多{下JL9cd%副牌JL9c5q*\"只牌JL9cj5*\"张相JL9cl3u.房JL9c5X更JL9cIQ楼JL9cEL行JL9cff顶JL9c8p}大JL7F{就几大JL7Fi8JL7F都JL7F9o}度JK9t张相JLl3u.房JL5X更JLIQ楼JLEL行JLff许JKgv顶JL8p}凡30凢30凣30凤6864{凰楼68b<EL窦688)}凥M-処q+q(q)uS凧Nx凨63凩9d凪vW凫5r凬63凭*r&J+K'&凮63凯fLTX#LMc{子Mcj:撒沙律fLqqqEHj}凰b<b:凱fLTX#LMc{子Mcj:撒沙律fLqqqEHj}凲IE凳8;8:8/80{凭8;+K憑8;+K}凴*r&J凵dkdjz!<[凶g?{宅g?i\"}凷2w凸8JL4凹A9Ec_Q!/!-\"-\"!R9R;{凸Ec8J{不平A98J&Q,*}陷A9dn}出q!nWq3{乎意料q!5rw_Fb了哥q!F]KW人意料q!vfw_Fb位q!`4使q!s7入平安q!vt,*#]城q!rv声q!ru处q!q){不如聚处q!q)&Qz$lJq)}奇制{勝q!Nxi/sQ胜q!Nxi/sQ}差q!m!师有名q!s3v[0T師有名q!s3v[0T年q!B@拿渣q!@=hL样q!yX樣q!yX气袋q!e;9j氣袋q!e;9j洋相q!yZu/淤泥而不染q!z!@xw`&Qws牌q!*\"生q!r?{入死q!r?vtr^地q!r?8\\證明書q!r?jY0TuQ证明书q!r?jY0TuQ}痘q!8(碟q!9R笼{撩q!H*F]溜q!H*F]}籠{撩q!H*F]溜q!H*F]}聲q!ru處q!q){不如聚處q!q)&Qz$lJq)}血位q!h;`4边q!'V返啖{气q!3-7Ve;氣q!3-7Ve;}邊q!'V銃q!p9铳q!p9面q!0L麻q!.F龍撩q!H*F]龙撩q!H*F]}击KQ凼<[函d6{件d6K:}凾d6凿kJkF刀9o{片9o,\"}刁99刂9o刃vh刄vh刅o]分3c3h3d{为3c`6內事3hBhs8内事3hBhs8外3hT\\{事3hT\\s8}头行事3c<Tdxs8子3hj:{料理3hj:FbF%}局3cLd岔路3cluG>散3cq^期{執行3cNxiKdx执行3cNxiKdx}母3h0y水{岭3cu@Fs嶺3cu@Fs}為3c`6爲3c`6線3hsM线3hsM行3cfd身不暇3cr9&Qd$量3hHP頭行事3c<Tdxs8}切o5mYo3{中{时弊o5kks6&2時弊o5kks6&2}件o5K:卓{咁{轉o3pcJ\"l_转o3pcJ\"l_}噉{轉o3pcJ\"l_转o3pcJ\"l_}}啫o5l'柒o5n&片o5,\"}刈R8L)!,{包L)%W}刉JK刊f^f]刋f^o#f]刌q.刍o?刎/=刏JK刐7X7Y刑x$划_Q`,2q_T{位`,`4轮`,Hd}刓z*刔Qw刕F$刖z2列G&E8E5{为G&`6传G&l^傳G&l^為G&`6爲G&`6队G&;:隊G&;:}刘ENEL{备EN&d{借荆州EN&di_K?i3}}则iWji{师jis3楼jiEN王jib<}刚Ku创o_o]刜3u3z初o?{中生o?kir?嚟{埗到o?EH(#9q甫到o?EH(#9q}生蛋o?r?7X試啼聲o?s5<Nru试啼声o?s5<Nru}刞pq刟99删q]刡/=刢Fr刣ki判-5{啤-5+1头-5<R断-5;V{力-5;VG,}斷-5;V{力-5;VG,}頭-5<R}別'h'e{扭'eA\"處'hq)開生面'hfKr?0P}刦KG{难KG@V難KG@V}刧KG刨***({得正就冇木**8Kj#i80y1z正就冇木**j#i80y1z}利F&EFF\"EJ{利是是EJEJs8s8叠利F&7hF&市EJs8是EJs8{封EJs863逗{來EJs88,G6来EJs88,G6}}比里{亚F&&dF&!#亞F&&dF&!#}率F&Hj疊利F&7hF&錢F&o$钱F&o$}刪q]别'h'e{处'hq)开生面'hfKr?0P扭'eA\"}刬m4刭K@刮W)W({友W)vX目相看W)1zu-f]粗{龍W)oKH(龙W)oKH(}龍W)H(龙W)H(}刯J-到9q9p{会9qb\\埠9q(&处9qq){留情9qq)ENo*}會9qb\\此{为止9qnd`6j:為止9qnd`6j:爲止9qnd`6j:}處9qq){留情9qq)ENo*}訂9q8t订9q8t貼地9q>#8X贴地9q>#8X頂9q8p顶9q8p}刱o_o]刲W9[c刳5o刴;59d刵wb制i/{片i/,\"{人i/,\"vf}訂i/9P订i/9P}刷mGqqmF{卡mGN-}券h5MG刹qqmGqE刺nen_o;seo9{青nenK}刻e-dQ{不容{緩e-&Qy6bl缓e-&Qy6bl}划dQ`,劃dQ`,板dQ%d版dQ%d画dQ`,畫dQ`,苦dQ5p{耐{劳dQ5pBhG<勞dQ5pBhG<}}薄dQ(J骨{銘心e-W]0Ur3铭心e-W]0Ur3}}刼KG刽Pd^.Pe刾neo;刿W;剀fLK]剁;5;39d9e剂i-i2{量i-HP}剃<M剄K@剅EN剆G1G0則iWji{師jis3樓jiEN王jib<}剈z'剉oA削u;nq{𢴈𢴈u;7n7n}剋e-dQ{星dQsQ}剌E8DcDi前o${一排o$vu*\"仆{后继o$5tdhIq後繼o$5tdhIq}传o$l^傳o$l^嗰排o$KX*\"园o$z(園o$z(头婆o$<T,@女o$D4年o$B@排o$*\"生o$r?綴o$lJ缀o$lJ車{之鑑o$M-j9IG可鑑o$M-fFIG}车{之鉴o$M-j9IG可鉴o$M-fFIG}边o$'V邊o$'V門o$1^门o$1^頭婆o$<T,@𠮶排o$KX*\"}剎qqmGqE剏o_o]剐VX_R剑K5剒oqoA{样oqyX樣oqyX}剓F$剔>-<M{号>-fR挞>-<9撻>-<9號>-fR}剕423S3V剖3X*^{开*^fK腹生{产3X6Er?m4產3X6Er?m4}開*^fK}剗m4剘Nx剙o_o]剚j;j>剛Ku剜bibj剝1?(E,q{花生1?2or?}剞JKJL剟le剠OlH\\剡wssJ剢:o;5剣K5剤i-剥1?,q(E{花生1?2or?}剦wp剧OJ剨`,剩sVj\\{低j\\8!係j\\db得j\\8K番j\\3-系j\\db返j\\3-}剪jR{片jR,\"}剫:>剬i/@$剭$QU]剮VX_R副5q,95r剰sV剱K5割L){断L);V斷L);V禾青L)axnK𥱊L)j8}剳hwhq剴fLK]創o_o]剶q-剷m4{青m4nK}剸@$l]剹H>剺F$EI剻*p3Z剼qW剽+q+s+r{窃+ss_竊+ss_}剾NE剿jFm'劀W)劁nr劂QwMM劃`,{位`,`4輪`,Hd}劄hwhq劅lA劆Ff劇OJ劈+_,9+b{友+_vX吧+_%K}劉ENEL{備EN&d{借荊州EN&di_K?i3}}劊PdPe^.劋jFm'劌W;劍K5劎K5劏>Q{房>Q5X水魚>Qu@z\"盤>Q-4}劐5ke&bPbM劑i-i2{量i-HP}劒K5劓wb劔K5劕iQ劖m0m1{乱歌柄m1HzKW'#亂歌柄m1HzKW'#手m1r.}劗jRl]劘0l/'劙EIF$EJ劚l!力G,G'{不到不{为财G,&Q9q&Q`6oH為財G,&Q9q&Q`6oH爲財G,&Q9q&Q`6oH}架G'I4竭{声嘶G,OwsQr'聲嘶G,OwsQr'}量G,HP}劜!MRY劝h5办%h%d{事处%hs8q)公时间%hLQs6IM}功LQ{名LQ0T德{无量LQ8K0xHP無量LQ8K0xHP}率LQHj高{盖主LQKcP/lX蓋主LQKcP/lX}}加I3I5{上I3u1仑I3Hd侖I3Hd勒比海I3E>&dfL号I3fR把{劲I3%LKA勁I3%LKA}油I3vX{站I3vXhb}納I3A>纳I3A>號I3fR}务0z劢.P劣I#I&I!{作I&kG績斑斑I&ji%c%c绩斑斑I&ji%c%c評I&,*{如潮I&,*z$nr}评I&,*{如潮I&,*z$nr}質I&iQ质I&iQ食I&sh}劤KD劥d?劦f5f8劧j:动:b{作片:bkG,\"听:b=w画:b_R量:bHP魄惊心:b*MK?r3}助jt{兴jtf/听器jt=we;紂{為虐jti8`6yh爲虐jti8`6yh}纣为虐jti8`6yh聽器jt=we;興jtf/長jtl4长jtl4}努BmG=劫KG{难KG@V難KG@V}劬QZ劭sD劮vz劯lX劰1D励EJ劲KDKAKB{共KBLT揪KDm]}劳G<G:G>{工假G<LQI5资纠纷G<j9Iv3c}労G<劵h5MG劶dd劷G,劸!'R3効d2劺/0劻fc劼Ow劽G&劾e,势r){在必行r)jz'cdx}勀e-勁KDKAKB{共KBLT揪KDm]}勂fT勃(z勄/=勅o9勆GN勇y7勈y7勉0O{为其难0O`6Nx@T勉{強強0O0OQIQI强强0O0OQIQI}強0OQI{冇幸福0OQI0ydz6E}强0OQI{冇幸福0OQI0ydz6E}為其難0O`6Nx@T爲其難0O`6Nx@T}勊e-勋3c勌MJ勍Ol勎H>勏&8勐.g勑G8o9勒EtE>{住{裤头E>l\\5q<T褲頭E>l\\5q<T}紧裤头E>J(5q<T緊褲頭E>J(5q<T}勓e,2w勔0O動:b{作片:bkG,\"畫:b_R聽:b=w量:bHP魄驚心:b*MK?r3}勖yE勗yE勘dkdi{舆diz$輿diz$}務0z勚wbvV勛3c勜y4勝sSsQ{任sQvb券在握sSMGjz!Q率sSHj}勞G<G>G:{工假G<LQI5資糾紛G<j9Iv3c}募0z勠H>勡+q勢r){在必行r)jz'cdx}勣ji勤NT勥QILz勦jFm'm*勧h5勨l8勩wbvV勪O[勫3-30勬ME勭?0勮M2M/勯7W勰f5f8勱.P勲3c勳3c勴Hb勵EJ勶o5勷yZu-勸h5勹%W勺lAu;pk勻`H{稱`Ho)}勼IuNE勽(&勾RoIu!c{当Ro:)當Ro:)}勿/P匀`H{称`Ho)}匁vh匂g?匃P/匄P/I_L)包%W&8{二奶%Wwb@?使%Wr(剪揼%WjR8D头袋%W<T9j尾%W/]{大{幡%W/]7J3-班%W/]7J%c翻%W/]7J3-}}拗{頸%WR;Jd颈%WR;Jd}揼%W8D揽诉讼%WDvswkn攬訴訟%WDvswkn被%W+7頭袋%W<T9j}匆p9匇p9匈g?匉,'*9匊Lc匋>B匌J5e&匍,N匎\"!!iS-匏**匐6J&&)&匑LQ匒7e匓Iw匔Q$匕&e&d&h化2q2o2p{为2q`6{乌有2q`6bQv[}危{为机2qRl`6JK為機2qRl`6JK爲機2qRl`6JK}妆{楼2qk3EL袋2qk39j}妝{樓2qk3EL袋2qk39j}干戈{为玉帛2qKoY!`6yJ&&為玉帛2qKoY!`6yJ&&爲玉帛2qKoY!`6yJ&&}整{为零2qjX`6Fr為零2qjX`6Fr爲零2qjX`6Fr}灰都{認到2q5u9ox&9p认到2q5u9ox&9p}為2q`6{烏有2q`6bQv[}爲2q`6{烏有2q`6bQv[}繁{为简2q30`6IL為簡2q30`6IL爲簡2q30`6IL}纖被2qnu+7纤被2qnu+7腐朽{为神奇2q5tA\"`6r<Nx為神奇2q5tA\"`6r<Nx爲神奇2q5tA\"`6r<Nx}险为夷2qf\"`6w`險{為夷2qf\"`6w`爲夷2qf\"`6w`}}北&W(S&e{上&Wu1京填{鴨&WK?=r!F鸭&WK?=r!F}塞浦路斯&WoG,LG>s3妹&W1K行&Wdx}匘BmG=匙s6nfnd{羹nfJ-胚s6(Q}匚5W59匛Iz匜w`匝hq匞l8匟PG匠l8l4匡fc匢3u匣dJe&IXdF匤Q3匥30匦W:匧dJ匨k3匩fc匪4.4-匫3u匬z&匭W:匮W>匯b\\{率b\\Hj{操縱國b\\HjoKkkYS}}匰837W匱W>匲Ff匳Ff匴uY匵:t匶IwIz匷M)QZ匸da匹+!区QW!cRo{议会QWwabX间QWIM}医!_w]Rk{局w]Ld生w]r?{纸w]r?j:胶布w]r?I?(#}返都嘥药费w]3-9oqKyh3S}匼e!!k#E!jRvTQ匽wv匾'R{額'RR^额'RR^}匿BWG'>-B\\AQ{名BW0T埋AQ.N}區QW!cRo{議會QWwabX間QWIM}十rJrE{一{号巴士rJvufV%Ks4號巴士rJvufV%Ks4}下rJd%二生肖rJwbr?nq五湖rJ%IbR八廿二rJ%wutw^副牌rJ5q*\"卜rJ(E只牌rJj5*\"名rJ0T問九唔應rJ/>Iv%Bx#字{架rJj>I4鎅豆腐rJj>I;8,5t韌帶rJj>vh7F韧带rJj>vh7F𠝹豆腐rJj>I;8,5t}年八{載rJBB%wjv载rJBB%wjv}张相rJl3u.張相rJl3u.房rJ5X更rJIQ月革命rJz2Ie0V楼rJEL樓rJEL行rJff问九唔应rJ/>Iv%Bx#隻牌rJj5*\"頂rJ8p顶rJ8p}卂uG千o!{下o!d%分之o!3hj9副牌o!5q*\"只牌o!j5*\"名o!0T张相o!l3u.張相o!l3u.房o!5X更o!IQ楼o!EL樓o!EL行o!ff載難逢o!jv@T66载难逢o!jv@T66里之行o!F%j9dx錘百鍊o!pr&#Fn锤百炼o!pr&#Fn隻牌o!j5*\"頂o!8p顶o!8p}卄utw,卅qE~!&qEqH卆lQ升sQ{呢sQEu平sQ,*球大{垫sQNH7JjS墊sQNH7JjS}盆sQ-4盘sQ-4}午%I%@%F%C{餐{会%Im3bX會%Im3bX}}卉`4`7半(e{咸{半淡(ed6(e<%淡(ed6<%}唥{鯁(eE]NW鲠(eE]NW}夜(ew({三更(ew,qWIQ食{黃瓜(ew(shb<VW黄瓜(ew(shb<VW}}惊半喜(eK?(ee:打(e7?斤八{两(eJ'%wHL兩(eJ'%wHL}生瓜(er?VW路(eG:驚半喜(eK?(ee:鹹{半淡(ed6(e<%淡(ed6<%}}卋r)卌r_~!&rY卍.b华_T_R2o_V{仁_Tvd山_Vq]}协f5f8{会f5bX调f5=f}卐.b卑&c{劣&cI&}卒lQq5pq卓pkoqlApc協f5f8{會f5bX調f5=f}单7WsHsNsP{于sNz!人房7Wvf5X企人7WNyvd位7W`4刀赴会7W9o5tb\\声7Wru头7W<R幢楼7W:bEL引号7WvgfR支楼7Wj9EL栋楼7W:bEL}卖.P.LyJ{剩{脚.Pj\\M(蔗.Pj\\i_鸭.Pj\\!G}咸鱼.Pd6z\"国贼.PYSmM物会.P/PbX相.Pu/飞佛.P4-3x}南@N@9Dv@LDcDfDx@<A*{北行@N&Wfd华@N_R洋@NyX番{順@N-3uJ顺@N-3uJ}苏丹A*su7W華@N_R蘇丹A*su7W貨舖@N5;,L货舖@N5;,L}単7W卙iK博(G{茨瓦{納(GnfR1A>纳(GnfR1A>}覽會(GDybX览会(GDybX}卛uK卜)!&&)\"(E,o)$)&{卜)$)${声)$)\"ru斋(E(EhQ聲)$)\"ru脆(E(Epq跳)&)&=e齋(E(EhQ}帽(E0v魚)!z\"鱼)!z\"}卝Vq]kPG卞'V卟)!JK占jKiojMnu{便宜jM,$w^}卡M]N-M_M^htN3M`Mb{位M]`4住N3l\\冚卡N-NLN-哇伊Mb_Qw]啦M_Dc{苏M`Dcsu蘇M`Dcsu}喇M_Dc士M]s4娃伊Mb_Qw]式{带M]sc7F帶M]sc7F}数N-sw數N-sw片N-,\"牌N-*\"罅M_Dc通片M]?-,\"那M_Dc}卢G<G:H`卣v[卤G={味G=/^}卥r'卦VY卧TV#J卨s_卩je卪je卫`8{生`8r?{巾`8r?J'麻雀`8r?.Hl@}}卬Try[#f卭Q$卮j9卯.U///1印veS#!q{印{脚S#S#M)腳S#S#M)}地文ve8\\/:尼{話veAT_R话veAT_R}度支那ve9tj9@<脚S#M)腳S#M)}危RlRj!`{危哋RlRj8X言{耸听Rlwxtd=w聳聽Rlwxtd=w}难Rl@V難Rl@V}卲sD即jii]j3{係咁jidbJ\"兴jif/系咁jidbJ\"興jif/}却QS卵HdHgG1卶nd卷MFMGQr{土重来MF>@p<G6}卸rY卹uK卺J(卻QS卼S8\",卽ji卾U,#z卿f-厀rK厁n0厂f_!io^f^fETnRu#b厃Rm!a厄\"-!QR]S9{立特里{亚!QE28PF$!#亞!QE28PF$!#}难!Q@V難!Q@V}厅=?=u{长=?l4}历G,G'{历在目G'G'jz1z}厇i&厈f_Tn厉EJDkDnEFF&{害F&fP}厊R1!!!%压!MRYR\\{力测试!MG,mKs5岁钱!MuAo$惊!MK?牙R\\R0缩档!Mtu:(}厌wqwpwo!MRY{恶wqbS{性行业wqbSsSffx,感wqbSJ\"}}厍rY厎j:8\"厏hM厐,`厑R6!*厒f5厓R6!*厔iViQ厕nen'iW{所位nesj`4纸{座nej:jp架nej:I4盒nej:e\"}}厖,`10厗<N厘F$F\"F!EHe:e9{戥F$8:}厙rY厚dgdh{叠叠dg8z8z疊疊dg8z8z脸皮dg0P+6臉皮dg0P+6街dhI9𢱕𢱕dg8?8?}厛=?厜uB厝oM厞42原z*z+z,{位癌z*`4RB声带z*sQ7F子{弹z*j:7X彈z*j:7X}生z*r?聲帶z*sQ7F著z*lY訂z*9P订z*9P}厠nen'厡z*厢u-厣wp厤G,厥Qw厦d&d%厧9E厨q*prq(q'pp{师肠q*s3p^房q*5X{佬q*5XG:阶砖q*5XI9l]}}厩Iw厪NTJ(厫T`#T厬W:厭wqwowp!MRY{惡wqbS{性行業wqbSsSffx,感wqbSJ\"}}厮s3厯G,厰o^厱Dxnu厲EJDkDnEFF&{害F&fP}厳wr厴wp厵z*厶s3/1厷WQ厸Hf厹NHvZIvIv~LQ厺gw去gwgv{定gw8t撩gwF+溜gwF+片gw,\"芜存菁gw0xq0o'荷{兰gwfHE!蘭gwfHE!}蕪存菁gw0xq0o'}厼wa厽Ha厾:o县z,z(z*叀l]叁qWqYm-参m-mcqWr3qYqX{差m-nc{不齐m-nc&QmZ}省qWsR}參m-r3mcqWqY{差m-nc{不齊m-nc&QmZ}省qWsR}叄m-qWqY叅m-叆#LTX#M叇9n又v\\{中v\\kk呓又筛v\\!]v\\r'呢又{噜v\\B'v\\G;嚕v\\B'v\\G;路v\\B'v\\G;}囈又篩v\\!]v\\r'翳又{諦v\\Rkv\\8#谛v\\Rkv\\8#}話呢又話{嚕v\\_VB'v\\_VG;路v\\_VB'v\\_VG;}话呢又话{噜v\\_VB'v\\_VG;路v\\_VB'v\\_VG;}}叉luly{能{厨luEZq*廚luEZq*}}及NbJ8{时行乐Nbs6dxGb時行樂Nbs6dxGb第粥Nb8\"l!}友v[vX{仔vXi.}双u-tc{下巴u-d&)x企人u-Nyvd引号u-vgfR截棍u-jeWM房u-5X春兼闰月u-puK3ytz.毫u-fR眼簷u-RIv`重u-p<{国籍u-p<YSjn标准u-p<'ElL认证u-p<x&jY}}反3.3-3/{为3.`6其道而行3.Nx9tw`dx复3.6E客{为主3.dS`6lX為主3.dS`6lX爲主3.dS`6lX}应3.x#{堆3.x#;9}復3.6E應3.x#{堆3.x#;9}敗{為勝3.%V`6sS爲勝3.%V`6sS}昂{棹3.Tsh\\櫂3.Tsh\\}派3.*!為3.`6爲3.`6省3.sR社{会人格3.r[bXvfIe會人格3.r[bXvfIe}話3._R话3._R败为胜3.%V`6sS轉3.l_{豬肚3.l_lW>C}转3.l_{猪肚3.l_lW>C}間計3.IMIq间计3.IMIq面3.0L領3.F=领3.F=饋3.W;馈3.W;}収r-叏V_叐&V发3A(w(z3w3?3G{个轮3GKYHd人深省3Avfr3sR办3A%d吽{哣3ARt8,窦3ARt8,逗3ARt8,}啷厉3AGKEF噏{疯3A\"!63风3A\"!63}国难财3AYS@VoH夹3AKF姣3Ad0{发{扽3Ad03A85炖3Ad03A85趸3Ad03A85}}布会3A(#bX弹3A7X忟憎3A/@iF散3Aq^毛3A0u水楼3Au@EL泡胶3A,OI?烂渣3AE&hL烧友3As?vX热被3Ax2+7狼戾3AGKEF生3Ar?{关系3Ar?Vodb}老脾3AG=+4行3Aff誓当食生菜3Ar,:)shqcoG蹄腾3A=Z<`钗3Alu钞银行3Am'S$ff难3A@V霉3A0u青光3AnKY?风发出面3A633Aq!0L}叒yh叓s8叔tu{父tu5p}叕le取ppoL{名pp0T締pp<M缔pp<M}受r2r/{命r20V媾r2NE宠若惊r2p:yhK?寵若驚r2p:yhK?惊r2K?难r2@V難r2@V驚r2K?}变'S{声'Sru幻莫测'S_n1DmK态婆'S;q,@更'SJ-现'Swv相'Su/脸'S0P量'SHP}叙lJ叚I4叛(h叜r.叝J3叞`5叟r.叠9V7h8z{几7hJL友7hvX崩7h&E正7hj#水7hu@牌7h*\"码7h.I{仔7h.Ii.}碼7h.I{仔7h.Ii.}馬7h.I马7h.I}叡ynd,叢p<{生p<r?}口dddcdf{口{声声ddddruru聲聲ddddruru}同鼻拗dd?0&h!/吶吶ddA>A>呐呐ddA>A>密df/P慷慷ddfcfc水{多{过嗲ddu@9cY#8Q過嗲ddu@9cY#8Q}尾ddu@/]溦ddu@/]}淡dd<%{淡dd<%<%}爽荷包立ddt.fH%WA>痕友dddrvX硬dfRP立{湿ddA>rE溼ddA>rE濕ddA>rE}糠糠ddfdfd行行ddfdfd試dds7试dds7趌趌ddJ>J>香糖ddgc>R}古L4YXL3YWL6{典音{乐L49Fv]U,樂L49Fv]U,}寺L4j>惑女L4`,D4文L4/:玩L4bj老{当时兴L4G=:)s6f-當時興L4G=:)s6f-}}句M/RoIuM.!c{讀M/8,读M/8,}另Ft{当别论Ft:)'hHh當別論Ft:)'hHh眼相看FtRIu-f]行Ftdx請高明Fto(Kc0T请高明Fto(Kc0T}叧_Q叨>?9o叩NG只j:j5j9Nx{揪j5m]{只j5m]j5}揼j58?碟仔j59Vi.鸭j5!F{仔j5!Gi.子j5!Gj:}}叫K/OY{声K/ru糊K/bR聲K/ru鴨K/!F鸭K/!F}召jJjEsD叭%K%L)u%N{叭{声%N%Lru聲%N%Lru}}叮9K8o9N{叮{凳凳9N9K808/糖9K9K>R髧髧9N9K808/}}可fFe-P'{怒也P'C9w'恶fFbS恼也P'@Ew'惡fFbS惱也P'@Ew'汗e-f`行fFdx}台><>9w`>:{妹><1K姐><i]}叱o9o<{吒風雲o9mK63`H咤o<mH{風雲o9mK63`H风云o9mK63`H}}史s4右v\\vX{㕭v\\v!上左落v\\u1jpGb优v\\v!優v\\v!囿v\\v!挠v\\v!撓v\\v!軚v\\;s边v\\'V邊v\\'V}叴NH叵,@'o叶x,f5f8x(x)sY{公好龙x,LQfSH*音x)v]}号fVfRfT司s3s4{力架s3G,I4华力肠s3_TG,p^華力腸s3_TG,p^長s3l4长s3l4馬兩s3.IHL马两s3.IHL}叹<)<'<,{为观止<)`6LKj:}叺n_叻FKG'EtG,EqE>{㗎G'I4埠G'3\\女FKD4沙EqqE}叼99叽JKK!K${叽{屹屹K$K!J>J>讫讫K$K!J>J>趷趷K$K!J>J>𠺝𠺝K$K!J>J>}哩咕噜K$FQL6Gf屹K!J>讫K!J>趷K!J>𠺝K!J>}叾:o叿g?吀/a吁guz!z&yh吂10吃eeJ9e'vGJ>{喝玩{乐eefqbnGb樂eefqbnGb}屎vGs4惊eeK?茄vGNo蕉vGjE飯vG32饭vG32驚eeK?𡲢vGNo}各L/{位L/`4散{东西L/q^:]r'東西L/q^:]r'}自{为政L/j>`6jY為政L/j>`6jY爲政L/j>`6jY}行各{业L/ffL/x,業L/ffL/x,}}吅h3吆wi吇j:合e&fHJ5IYL/{併e&,)口J5dd尺fHn-并e&,)手IYr.拍片e&*M,\"晒合尺e&qMfHn-档IY:)檔IY:)牙IYR.而{为一e&w``6vu為一e&w``6vu爲一e&w``6vu}金{軨e&J!Fo𫐉e&J!Fo}集e&hp}吉J9KP{人{天相J9vf=ou/自有天相J9vfj>v[=ou/}士J9s4}吊9;9:=d9<=f9]{吊揈=f=d5&坠9;lF墜9;lF威{也9;`3up吔9;`3up}带9;7F{背心9;7F(Sr3裙9;7F[x裤9;7F5q}帶9;7F{背心9;7F(Sr3裙9;7F[x褲9;7F5q}桥效应9;OZd2x#橋效應9;OZd2x#泥艋9;@x.c片9;,\"}吋q/x!~q/同?0?1:b{乡会?0gcbX位素?0`4sw卵{双生?0Hdu-r?雙生?0Hdu-r?}声同气?0ru?0e;好?0fS屋住?0$QlX房?05X期{執行?0NxiKdx执行?0NxiKdx}生共死?0r?LVr^聲同氣?0ru?0e;花{順?02ouF顺?02ouF}行?0dx{如{敌国?0ffz$9bYS敵國?0ffz$9bYS}}鄉會?0gcbX}名/v0T/x{下0Td&不{副{实0T&Q5qrP實0T&Q5qrP}經傳0T&QK?q0经传0T&QK?q0虚传0T&Qguq0虛傳0T&Qguq0}为0T`6义0Twb人0Tvf份0T3h作0TkG冊0TmM册0TmM分0T3h列前茅0TG&o$.T利0TF&{双收0TF&u-r-雙收0TF&u-r-}副其{实0T5rNxrP實0T5rNxrP}勝0TsS单0T7W厂0To^古屋0TL4$Q叫0TK/号0TfV單0T7W嘴0TlF器0Te;噪一{时0ToMvus6時0ToMvus6}堂0T>T士0Ts8声0TsQ媛0Tbl字0Tj>存{实亡0Tq0rP10實亡0Tq0rP10}实相符0TrPu-5r家0TI3宿0Ttu實相符0TrPu-5r将0Tl5將0Tl5山0Tq]师0Ts3師0Ts3店0T9A廠0To^录0TH:成利就0TsTF&i8望0T12校0Td2模0T0x次0Tne正言{順0TjYwxuJ顺0TjYwxuJ}气0Te;氣0Te;流0TEN為0T`6爲0T`6片0T,\"牌0T*\"物0T/P留青史0TENo's4目0T1z种0Tkj称0To'種0Tkj稱0To'符其{实0T5rNxrP實0T5rNxrP}節0Tje義0Twb聞遐邇0T/<d$wa聲0TsQ胜0TsS节0Tje花有主0T2ov[lX落{孙山0TGbuWq]孫山0TGbuWq]}著0TlY號0TfV衔0Td6言0Twx詞0Tnf誉0Tz&{扫地0Tz&sw8\\}譽0Tz&{掃地0Tz&sw8\\}词0Tnf貴0TW;贵0TW;过其实0TY#NxrP過其實0TY#NxrP銜0Td6錄0TH:門0T1`{望族0T1`12l&正派0T1`jY*#}门0T1`{望族0T1`12l&正派0T1`jY*#}闻遐迩0T/<d$wa額0TR^额0TR^}后dhdd{会有期dhb\\v[Nx冠dhLK劲dhKA嚟dhF$园dhz(娘dhD\"尾dh/]巷dhfd年dhB@底爷dh8\"w'来居上dhG6M-u1栏dhE!生{可畏dhr?fF`5女dhqcD4}真相dhi?u/缀dhlJ花园dh2oz(踿dhm]门dh1^}吏F&吐>A>@8J{蕃>A'q谷{浑8JyJ`H渾8JyJ`H}}向gegd{往gdb=量geHP隅gez&}吒hMhKmK吓d\"d!dQdSd%{桥d\"OX橋d\"OX}吔uoupvGuqw+ur{吔{呜ururbQ嗚ururbQ}屎vGs4茄vGNo蕉vGjE飯vG32饭vG32𡲢vGNo}吕Ha{宋芒Hate1-}吖!!!WR-!#R/{吗!!.G嗎!!.G}吗.E.G.I/#.H吘Rs!g吙gW5:吚w]君WK吜m^吝Hh吞<]{併<],)吐量<]>AHP吞吐吐<]<]>@>@噗<],o并<],)拿{魚<]@<z\"鱼<]@<z\"}泡<],o}吟v`Rx!l{㖊Rxmf吟{寻寻RxRxmfmf尋尋RxRxmfmf沉沉RxRxmfmf}噆Rxmf噚Rxmf沉Rxmf詩作對v`s3kG;:诗作对v`s3kG;:}吠3V吡+4&d吢me吣me吤I;KYd,吥&Q否3X+4+7{极泰来+4KV;qG6極泰來+4KV;qG6}吧%P%K%L%N{台%K>:吧{声%N%Lru聲%N%Lru}女%KD4枱%K>:檯%K>:}吨;?;D吩3c吪TT2r#H含dldjdn{含{声dldjru聲dldjru}撚dlEX水量dlu@HP糊不清dlbR&Qo'脓dnCZ膿dnCZ量dlHP金量dlJ!HP}听=uvg=?=w{众=wkk信=wuG力=wG,命=w0V天由命=w=ovZ0V尼士=uB's8故唔好驳故=?L4%BfR(GL4日=uvz早=uk\"晚=u.]暇=ud!朝=ujE{早=ujEk\"}电话=?9J_R筒=??.觉=wL/证会=wjYbX说=wu_障=wl5}吭ffdu吮u[q1uIuX启N@吰`N吱j9JKj<{吱{斟j<j<i<{斟j<j9i<i<}浸j<j<i<}}吲vg吳%H%B吴%H%B吵m(吶@bADDDEuAKDe@;E2EnHnA>吷h;Qw吸N]{盘N]-4盤N]-4}吹popq{到啤一{声po9q&]vuru聲po9q&]vuru}啤啤po&]&]水唔抹{咀pou@%B.qlF嘴pou@%B.qlF}波糖po'o>R糖po>R行晒podxqM}吺8'吻/=吼d-dddcde{住dcl\\实dcrP實dcrP斗dc8(机会dcJKb\\機會dcJKb\\}吽Rrdcddg?Rtde!f!h{仔Rti.吽{哣哣RtRt8,8,窦窦RtRt8,8,竇竇RtRt8,8,逗逗RtRt8,8,}哣Rt8,窦Rt8,竇Rt8,逗Rt8,}吾%Hz$R0%B吿KeLc呀!#!$d!R0!!R-uqR/!%ur!&{嘛!&.I支呀左!#j9!#jo}呁WMJ)呂Ha{宋芒Hate1-}呃\"-R]!QS9!)R5{人R]vf呃{氹氹!Q!Q<Y<Y騙騙!Q!Q,#,#骗骗!Q!Q,#,#𠱁𠱁!Q!Q<Y<Y}得就呃!Q8Ki8!Q神{騙鬼!Qr<,#W:骗鬼!Qr<,#W:}秤R]o)称R]o)稱R]o)虾条R]d!=d蝦條R]d!=d錢R]o\"{呃糧票R]o\"R]HN+q}钱R]o\"{呃粮票R]o\"R]HN+q}飯食R]32sh飲呃食R]v^R]sh饭食R]32sh饮呃食R]v^R]sh鬼食豆腐R]W:sh8,5t}呄J?呅1N/=呆TZ7E#N呇N@e:/;呈o*{上o*u1分{試o*3cs7试o*3cs7}}呉%H%B告KeLc{假KeI5枕{头状Kei:<Tk4頭狀Kei:<Tk4}状Kek4狀Kek4}呋5o呌K/呍Rr!f`J{呢{嗱`JAQDd拿`JAQDd}}呎n_x!~n_呏sQ呐@b@;AKADD8DDEuDe@_E2EnHnA>呑<]呒5p0y%B0l呓Rn!b!]Ri{呓筛筛!]!]r'r'契弟RiNA8&求RiNH}呔;o>:;s{軨;oFo鈴;oFo铃;oFo𫐉;oFo}呕!dRp!cguRo!eRq{心沥血!dr3G'h;}呖G,G'呗%V&b(V%P%S员z*z(`H`J呙_QKWY!['ax呚1N呛p]p_呜bQ呝\"-!QR]S9呞s3nc呟MF呠*k(u(x{呠{車(u(un-车(u(un-}}呡/=呢AKAQB'EuATF!FQEHExF$@x{下B'd%个B'KY串B'q/件B'K>份B'3h便B''V個B'KY冊B'mM册B'mM出B'q!剂B'i-副B'5q劑B'i-勻AQ`H匀AQ`H叠B'9V句B'M/只B'j5呢{噜噜B'B'G;G;嚕嚕B'B'G;G;路路B'B'G;G;}啤B'+-啲B'9-嚿B'Iz团B'@$團B'@$场B'p`块B'2w堂B'>T堆B';9場B'p`塊B'2w处B'uS头B'<T套B'>A家FQI3对B';;對B';;层B'mr層B'mr幅B'6E幢B':b年B'BB度AQ9t{講呢度散B'9tKvB'9tq_讲呢度散B'9tKvB'9tq_}座B'jt张B'l3張B'l3戶B'bV户B'bV打B'7?批B'*W把B'%L拳B'Qr排B'*\"支B'j9方B'5W日B'vz本B'(d朵B':v束B'pK条B'=f杯B'(Q枝B'j9架B'I5栋B':b树B'uS样B'y\\{𠮶样B'y\\KXy\\}格B'Ie條B'=f棟B':b棵B',?樣B'y\\{嗰樣B'y\\KXy\\}樹B'uS次B'ne段B';V滩B'<'滴B'9b灘B'<'点B'9@片B',#班B'%c番B'3-疊B'9V疋B'+!盅B'ki盏B'hd盞B'hd碗B'bj碟B'9V种B'kj程B'o*種B'kj笔B'&Q筆B'&Q箩B'G0箱B'u-節B'je篇B',!籮B'G0粒B'A9級B'N]级B'N]缸B'Ku罐B'LM羣B'[x群B'[x艘B'r.节B'je處B'uS行B'ff趟B'>S輪B'Hf轮B'Hf边B''Q道B'9t邊B''Q部B'(&門B'1`{嘢B'1^w+}間B'IK门B'1`{嘢B'1^w+}间B'IK队B';>阵B'iD{时B'iDs6}陣B'iD{時B'iDs6}隊B';>隻B'j5面B'0P頂B'8p項B'fh頭B'<T題B'<N顶B'8p项B'fh题B'<N駁B'(G驳B'(G點B'9@齣B'q!}呣%@%B%D呤FrFsFtFpFoFq{立立FqE/E/}呥wrv]{呥食v]v]sh}呦vWv!呧8\"周i3{年旺相i3BBb>u/}呩s5呪i5呫>#o/jK呬e;呭vV呮Nx呯,*%l呰j:呱VWVXL3_QWiYWXB{呱XBXB}呲j9nc味/b/^/]呴gwdeguz#gvdc呵fEfF#E!#R/{力fEG'沥fEG'瀝fEG'}呶@HBlDr呷dGI_呸+3呹vzo9呺eufT呻r9r;{穷r;Q$窮r;Q$笨r;&D飢莫呻飽r;JK1Dr;%X饥莫呻饱r;JK1Dr;%X鼻涕r;&h<M}呼5o{应5ox#應5ox#}命/z0V/v{不{久矣0V&QIvwa該絕0V&QK]lh该绝0V&QK]lh}丧黄泉0Vt/b<q0中0Vkk{注定0VkilY9P率0VkkHj註定0VkilY9P}令0VFt名0V0T喪黃泉0Vt/b<q0数0Vsw數0Vsw案0V#_理0VF%盘/z-4盤/z-4相0Vu/脈0V/V脉0V/V赴{黃泉0V5tb<q0黄泉0V5tb<q0}运0V`J途0V>B運0V`J題0V<N题0V<N}呾7k<(呿QWgw咀lFjq{招招lFiiii𡁻𡁻lFiiii}咁J#J\"J!J${上下J#u2d\"啱{得咁{桥J#R?8KJ#OX橋J#R?8KJ#OX跷J#R?8KJ#OX蹺J#R?8KJ#OX}線J#!3sM线J#!3sM}就差唔多J\"i8lu%B9c样J\"yX{样J\"yXyX}樣J\"yX{樣J\"yXyX}解J\"I:都得J\"9o8K高咁大J#KcJ#7F}咂hq咃>3咄le;E;Wq58E{咄逼人q5q5'ivf}咅<S咆***)咇'h'c'9&V咈3z咉yW咊axbTazKYY#咋hMhLhKi#hPi&hN{㖞hMay咋{临hNhNET声hNhLru聲hNhLru臨hNhNET}喎hMay嘛hK.G話hP_U话hP_U}和axazbTY#avauKY{事老axs8G:唱azp_声azsQ尚axu.{寺axu.j:担遮axu.7Qi]擔遮axu.7Qi]袍axu.,N跳海axu.=efL}平ax,*{共{处ax,*LVq+處ax,*LVq+}}应azx#應azx#气生财axe;r?oH氣生財axe;r?oH聲azsQ音azv]}咍fKd'咎IwKc咏ab{叹ab<,}咐5q5t咑7?7o7@咒i5咓!%R1咔M]M`{嚓M`mH}咕L3L4YWP]L6{咕L6L3{声L6L4ru聲L6L4ru}哩L3F!{館L3F!LL馆L3F!LL}唧L6jc噜L6Gf嚕L6Gf姑固L6L3L5臣L3uF𠱸P]uF}咖I5M]{哩I5F!{角I5F!L/雞I5F!Io鷄I5F!Io鸡I5F!Io}啡妹I54'1K央I5v3}咗jpjo咘(#咙H*咚:]咛BHFr咜;i咝s3咞wz咟`'咠mu咡wb咢U,#z咣Y?Ku咤hMmKlwmHhK咥e;9\\咦w^w`eiw]{咦哦哦w`w]#H#H咿w`w^{哦哦w`w]#H#H𠹷𠹷w`w]#H#H}}咧EvExG&EwEuG!Ey{啡Ey4+}咨j9咩/W{喳/WhN話/W_R话/W_R}咪/+/'/,/]0306{书/'uQ使{指意/+r(j:w_旨意/+r(j:w_}又/,v\\{係/,v\\db系/,v\\db}咀/'lF咪{嚒嚒03030i0i摩摩03030i0i摸摸03030i0i}嘴/'lF嚒030i埋眼03.NRI妈烂臭03.EE&m_媽爛臭03.EE&m_就{係/,i8db系/,i8db}摩030i摸030i書/'uQ架/'I4表/''E錶/''E霸/'%M高{峯/'Kc63峰/'Kc63}}咫j:咬R=!-I?!1{蔃R=QI}咭N-J9e'NcM]{片N-,\"牌N-*\"}咮i5咯L-NcG-L/dSG/G_GbG]N5L0L2{咯L0L-{咯咯L0L-L/L2声G]G]ru聲G]G]ru}爹L/8Q}咰uKuEuP咱hK咲sA咳Ncd'e9P/d*fNNi{糖Nc>R}咴5u咵[(['咶`&qO咷>B咸d6d4dl{带d67F故d6L4水{楼d6u@EL话d6u@_R鱼d6u@z\"}淡{场d6<%p`水d6<%u@}片d6,\"白鸽d6&&IY相d6u.碟d69R赧赧d6@R@R魚d6z\"鱼d6z\"{白菜d6z\"&&oG翻{生d6z\"3-qc身d6z\"3-r9}返生d6z\"3-qc}龙d6H(}咹f]#]咺h4h3咻vWgveu咼_QY!['axKW咽wuwwx/{韌wuS&韧wuS&}咾G=咿w]w^w`{㕭w]v!咿{哦哦w`w]#H#H𠹷𠹷w`w]#H#H}}哀#KTW{乐#KU,樂#KU,}品&@{茗&@0U行&@dz}哂mjqM哃?0哄gAg?gDfh哅g?哆9cn.nd9d:u哇_Q哈d!M]d'd%{佬d!G;}哉ju哊yJ哋8\\8X90哌*#响gd{咹gd#]处gduS应gdx#}哎!'!_R8!]R3Rk{吔!]uq呀!]uq唷!]x;}哏dpJ'J.哐fc哑!\"R.!!\"-R-S9{面!\"0L}哒7n7k哓eu哔&Q'9'c{哩叭啦'9FQ%KDc}哕z2`5z/哖BBFl哗_Q_T2ox,_S{哗声_Q_Qru啦哗啦_QDc_QDf}哘dx哙2w哚:v9d:u:x哛3c哜i2哝CZH*哞/-/0哟x9哠fV員z*`H`Jz(哢H,哣8,哤10哥KWKZ{哥KZKW{仔KZKWi.}老{会KWG=bX會KWG=bX}}哦#F#HTT#JTRTV哧nco9哨qSqRqT{街qTI9{猪qTI9lW豬qTI9lW}}哩FQEyF%F!F\"Eux!~F%FT{哩啦啦FTFTDfDf啡Ey4+数F%sw數F%sw}哪@=@<@9B`DcDgDf{吒@<hK}哫l!哬fHgZ{哚gZ:u}哭gQ哮d-哯wz哰G<哱(z(w,A哲je哳hw哴HPGN哵%w哶/W哷I#哸pou?哹3Z哺(&(!{窦(&8)竇(&8)}哻f`哼duhEhJ哽J.!vS(NXS*{住哽住!vl\\!vl\\哽{声S*S(ru聲S*S(ru}心!vr3{哽肺!vr3!v3S}耳!vwa}哾u_哿KXKWfFK\\唀v[唁wzww唂Lc{咕LcL4}唃Lc唄%V%P%S&b(V唅dldkRxdn{沈Rxmf}唆si唇uH唈vo唉!]!'#K!)!,R8!(R3R5{吔!'uq声叹气!'ru<)e;聲嘆氣!'ru<)e;}唊IYf\"唋>?唌wx唍_m唎FQF&F!唏e9e=唐>T>R{楼>TEL樓>TEL芹>TNR話>T_R话>T_R貨舖>T5;,L货舖>T5;,L}唑jt唒m`唓n-唔%B%H%?%A{上%Bu1中%Bkk{意%Bkiw_}为意%B`6w_争在%Bhijz使%Br({問阿{桂%Br(/>!#W;貴%Br(/>!#W;}审%Br(r4客{气%Br(dSe;氣%Br(dSe;}審%Br(r4忧%Br(vW恨%Br(dt慌%Br(5W憂%Br(vW择日%Br(i&vv指意%Br(j:w_擇日%Br(i&vv方%Br(5W旨意%Br(j:w_本%Br((d死%Br(r^計%Br(Iq講%Br(Kv计%Br(Iq讲%Br(Kv问阿{桂%Br(/>!#W;贵%Br(/>!#W;}}係{人咁品%BdbvfJ\"&@呀%Bdb!%{嘛%Bdb!&.I}咁講%BdbJ\"Kv嘅話%BdbJG_R}信邪%BuGn.净祇%Bj\\j:分{庄闲%B3ck3d:莊閒%B3ck3d:}到%B9p单祇%B7Wj:听笛%B=?9(咸唔淡%Bd6%B<%响{处%BgduS處%BgduS}唔%?%?啦更%BDcIQ啱{合尺%BR?fHn-牙%BR?R.荞%BR?OX蕎%BR?OX}啹%BLl單祇%B7Wj:喺{处%Bd^uS處%Bd^uS}声唔{声%Bru%Bru气%Bru%Be;}够{佢嚟%BIwQ[F$皮%BIw+4}夠{佢嚟%BIwQ[F$皮%BIw+4}好老脾%BfRG=+4弹%B<*彈%B<*忿{巢%B3hm*气%B3he;氣%B3he;}挐更%B@9IQ挣在%Bhijz掙在%Bhijz淨祇%Bj\\j:為意%B`6w_爭在%Bhijz爲意%B`6w_留情面%BENo*0L瞅唔睬%Bm]%BoF种%Bkk種%Bkk等使%B8:r(系{人咁品%BdbvfJ\"&@呀%Bdb!%{嘛%Bdb!&.I}咁讲%BdbJ\"Kv嘅话%BdbJG_R}聲唔{氣%Bru%Be;聲%Bru%Bru}聽笛%B=?9(臭腥%Bm_rw識轉膊%Bscl_(G识转膊%Bscl_(G響處%BgduS鹹唔淡%Bd6%B<%𠸎耕%BDcIQ}唕k&唖!\"R.唗8'唘N@唙9b9]唚me唛/Q{上/Qu1}唜1t唝64g@LS唞<R唟gw唠G<G>{唠叨叨G<G<9o9o}唡HLx!~HLHO唢sj唣k&唤bn{醒bnsR}唥E,E'E]E*{鐘E'ki钟E'ki}唦qE唧jij3jejcj0{唧冰jcjc'W屐j3OB牙膏jcR0Kc筒jc?.都唔笑jc9o%BsA魚蛋jcz$7X鱼蛋jcz$7X}唨jp唩au唪64%n68(j唫v`J#!lRx唬5pdSd-唭NwJK售r2{予r2z%楼书r2ELuQ樓書r2ELuQ}唯`6`4`7{命是{从`60Vs8p<從`60Vs8p<}唯{諾諾`4`4C8C8诺诺`4`4C8C8}}唰mGu_唱p_{双簧p_u-b:名p_0T和p_az散p_q^淡p_<%片p_,\"{公司p_,\"LQs3騎師p_,\"Nrs3骑师p_,\"Nrs3}盘p_-4盤p_-4碟p_9R雙簧p_u-b:}唲w`!'_Q唳HbEJG&唴Lz唵!jRv!9{嘛呢叭咪吽!9.EB')u03g?}唶i_i#jii]唷x9x;唸B>9JFh{口{簧B>ddb:黃B>ddb:}}唹z!唺=p唻G8唼qko/hqjh9V唽sc唾>5?G>A?I{弃?Ie;棄?Ie;沫?I1t液?Ix8罵?G.J骂?G.J}唿3u啀R6!*啁i3hW啂A%EO啃dvdpNXdw啄;5;'i5;3{啄糖;';'>R地;'8X}啅;5pi商u-{会u-bX會u-bX行u-fd販u-3.賈u-L4贩u-3.贾u-L4}啇9]啈duhJ啉DxETEQ啊!##G!\"!YR.!!R-R/!$R0!&R2啋oE啌fc啍?i<]lK啎%I%J%C問/>{米婆/>/+,@}啐pquD啑qk9Vhqjho/啒W]3u啓N@啔N@啕>B啖7V啗7V啘_Q啙j:啚+4>B啛pq啜leq5ldlcpq{一{声ldvuru聲ldvuru}核le`\\{荔枝le`\\EJj9}覈le`\\{荔枝le`\\EJj9}}啝awax啞!\"!!\"-R.R-S9{面!\"0L}啟N@啠je啡4'4-+34+4*{低4*8!}啢HLx!~HLHO啣d6dl啤&]+-'9+6+1'<'2{令&]Fp呤&]Fp啤{仔'<'9i.俘+-+-5o声&]&]ru夫+-+-5o女'<'9D7聲&]&]ru衫'<'9qW車'<'9n-车'<'9n-骨'<'9W]}梨&]F\"牌+-*\"玲&]Fp酒妹&]i41K}啥qFqE啦DcE?Dd@9DeDf{㨢@9A5啦DfDc{乱DfDdHz亂DfDdHz仔DfDci.声DfDdru妹DfDc1K聲DfDdru队DcDc;:隊DcDc;:}声Dfru掕@9A5聲Dfru}啧i#jii&{啧称奇jijio'Nx}啨x!啩VY啪*K)u*L&!*N{啪{声*K*Kru筒*K*K?.聲*K*Kru}鈕&!A\"钮&!A\"}啫i]j3l'l*{住l'l\\哩i]F\"啫l*l'{煲l'l'(!雞煲l'l'Io(!鷄煲l'l'Io(!鸡煲l'l'Io(!}喱i]F\"{笔i]F\"&Q筆i]F\"&Q糖i]F\">R}}啬sc啭l^l_啮TJ!P#>x2R\\BPSlx/St啯YSL/啰G-G/G0{啰挛G-G-Hu噼G-+W挛G-Hu机G0JK{字G0JKj>}}啱R?!3!iRu{使!3r(偈R?Ip咀形!3lFx$嘴形!3lFx$数!3sw數!3sw晒合尺R?qMfHn-用!3y8荞R?OX蕎R?OX身!3r9}啲9-9W9.90=Z{咁{啄9WJ#;3多9WJ#:u}咑9-7@{佬9-7@G:}啄9W;3啲{咑咑9W9W7o7o震909.iA}多9W:u朵9W:u}啳Qr啴<'o\"jR啵'q'o啶9P啷GKGNGL{口GLdd}啸sAo9sD啹LiQ9Ll{喀LiI4{兵LiI6'W}}啺>T啻ne啼<N啽!l!jRBRx\"!S-啾i3啿7V<%喀N5dSdQM]M_I4I6M`{布{尔dS(#wa爾dS(#wa}擦M`mH麥隆dS/VH*麦隆dS/VH*}喁y6z$喂`5`4`8{到埋口`59p.Ndd}喃@NDx{呒@N0l{佬@N0lG:费@N0l3S}嘸@N0l{佬@N0lG:費@N0l3S}}善sP{堂sP>R行sPdz長sPl4{仁翁sPl4vfy3}长sPl4{仁翁sPl4vfy3}}喅yJ喆je喇DeDcE;DgE5{嘛Dc.H}喈I9喉dfdd{核df`X糖df>R覈df`X鉗dfO^钳dfO^}喊d5{三{声d5qWru聲d5qWru}晒口d5qNdd栏d5E!欄d5E!}喋9Vhqht喌i3l!喍m$喎away['_Qauax{可aufF}喏w+BbC8G2Gb喐yE{喐愩yEyELS}喑v]Rzv_!n喒hK喓wi喔\"-#F#E#uTR!QR]S9TQ喕0O喖bT喗`I喘q.喙5wi5喚bn{醒bnsR}喛bn喜e:ne{好e:fS帖e:>\"怒哀{乐e:Bn#KGb樂e:Bn#KGb}恶e:bS惡e:bS}喝fqx/喞jij3jc喟`42w`5`8喠kj喡`6`8喢qksY喣gvz#喤b<_r喥:>hM喦RBx,S2BP!6喧h3喨HP喩z&喪t-t/{偶t/Rs命t/0V失t/rK家之犬t/I3j9h4屍t/s3心病狂t/r3'&]l權辱國t/QryJYS生t/r?盡天良t/lP=oHN膽t/7R}喫eee'vGJ9J>{喝玩樂eefqbnGb屎vGs4茄vGNo蕉vGjE飯vG32驚eeK?𡲢vGNo}喬OZ喭wzTn單7WsHsNsP{于sNz!人房7Wvf5X企人7WNyvd位7W`4刀赴會7W9o5tb\\幢樓7W:bEL引號7WvgfR支樓7Wj9EL棟樓7W:bEL聲7Wru頭7W<R}喯*k喰m3喱F!F\"EuFQAQ{士F!s4}喲x9喳hKluhLlyhN{咋hKhN喳hKhN{声hNhLru淋hNhNET聲hNhLru}}喴`3a?喵0?/c0@{星人/csQvf}営x$喷*k*i3g{油*kvX}喸5p喹5u[f喺d^e:{处d^uS處d^uS}喻z&{为z&`6為z&`6爲z&`6}喼KEJiO9Oo{弗Oo5-}喽ENEKEMG/{口EMdd啰ENG0当EM:)}喾LcQ3喿oM嗀5;fw嗁<N嗂wl嗃fwd-d/fz嗄!\"d\"!)qGR.嗅m_gA嗆p]p_嗇sc嗈y3嗉swuA嗊64LSg@嗋f5f8嗌!)x3R5{通街R5?-I9}嗍tA嗎.E.G/#.I.H嗏lu嗐d,fP嗑dGS-IYe#e&嗒<57c7e7k7n8?<3{得杯落7c8K(QGb糖7c>T落有味7cGbv[/b}嗓t-t.嗔mii?=r嗕yJ嗖r-嗗`#L^W]L`LbZ(Z*Z,嗘Io嗙,a&E(.*9,_(4嗚bQ嗛d6f\"f!f5dlf#f8嗜s5{好s5fS}嗝Ie$l嗞j9嗟i]i`嗠Gb嗡y3嗢`W嗣j>嗤nc嗥fT嗦sitAt@tB{嗦{声tBt@ru聲tBt@ru}}嗧I3~HdI3~Hf嗨fKd'e9嗩sj嗪px嗫j_FzBPx,嗬fHfF嗭jn嗮qM嗯%J%F%I%H%@%C%D嗰KXKZ{下KXd%排KX*\"濟KZi/處KXuS頭近KX<TNU}嗱@<Dd@:DgDf{口嗱面DdddDd0P喳DghL{面DghL0P麪DghL0P}嗱{临DfDfET嗱DfDfDf声DfDdru聲DfDdru臨DfDfET}}嗲8R8T8Q{几句8QJLM/嗲渧8T8Q8#声嗲气8Rru8Re;幾句8QJLM/掂8Q9D聲嗲氣8Rru8Re;}嗳#LTX!'R3#M嗴Lu嗵?-嗶&Q'9'c{哩叭啦'9FQ%KDc}嗷T`!-R9R<#T嗸T`#T嗹Fl嗺po嗻i]嗼1D/V嗽r/tA嗾r.l&嗿<\"嘀9b9]{嘀嘚嘚9]9]7o7o}嘁nco9嘂K/嘃p9嘄euK/>@嘅JGJFP.P/{啫JGj3画JG_R畫JG_R話JG_R话JG_R}嘆<)<'<,{為觀止<)`6LKj:爲觀止<)`6LKj:}嘇qW嘈oN{到拆{楼oN9qmMEL樓oN9qmMEL}}嘉I3{年{华会I3BB_TbX華會I3BB_TbX}应子I3x#j:應子I3x#j:}嘊R6!*嘋d-嘌+o+q嘍ENEKEMG/{口EMdd囉ENG0當EM:)}嘎I3IlI6J9I_{仔I6i.佬I6G:头I6<T妹I61K頭I6<T}嘏L4I4YX嘐d-I?嘑5o5qDe嘒`5嘓YSL/嘔!d!cgu!eRpRoRq{心瀝血!dr3G'h;}嘕f'嘖i#jii&{嘖稱奇jijio'Nx}嘗u0嘘guuTgW嘙,B嘚8K7o嘛.G.I.H.E嘜/Q{上/Qu1}嘝gV嘞DeEAE;EqDcE9{嘞{声E9E9ru聲E9E9ru}}嘟9o;W:iI!嘠I_I6I3嘡>Q嘢w+\"7嘣&E嘤x!嘥qKqN{挞qK<9撻qK<9}嘦jG嘧/P嘨sA嘩_Q2o_Tx,_S{啦嘩啦_QDc_QDf嘩聲_Q_Qru}嘪.O嘫wx嘬m#pqle嘭*<%j*9%l&<{一{声%lvuru聲%lvuru}嘭{声%l%jru聲%l%jru}}嘮G<G>{嘮叨叨G<G<9o9o}嘯sAo9sD嘰JKK!K${哩咕嚕K$FQL6Gf嘰{屹屹K$K!J>J>訖訖K$K!J>J>趷趷K$K!J>J>𠺝𠺝K$K!J>J>}屹K!J>訖K!J>趷K!J>𠺝K!J>}嘱l!{咐l!5t}嘲hW嘳`4[/嘴lF{喵喵lF0@0@妙妙lF0@0@招招lFiiii敛敛lFFdFd斂斂lFFdFd藐藐lF0@0@𡁻𡁻lFiiii}嘵eu嘶s3r'嘷fT嘸0y5p%B0l嘹F`嘺OZOX嘻e9ei{嘻哈哈eieid!d!}嘼pKm_嘽<'o\"jR嘾7V<%<$嘿e9/V噀uG噁#wbSU)噂l^噃'q噄ee噅3Q噆mdm.i:h]mehqmf{气mee;氣mee;}噇o`k8噈l!e&hql&{亲l&mi到l&9p親l&mi}噉J\"7V{样J\"yX{样J\"yXyX}樣J\"yX{樣J\"yXyX}}噊z2Hn`\\噋?i噌iEm9mo噍jJi3jEjGin{低in8!}噎x/#?噏S-N]\"!{三噏四\"!qW\"!r_到{咀{唇{边\"!9qlFuH'Q邊\"!9qlFuH'Q}脣邊\"!9qlFuH'Q}嘴{唇{边\"!9qlFuH'Q邊\"!9qlFuH'Q}脣邊\"!9qlFuH'Q}}得就噏\"!8Ki8\"!捞\"!G9撈\"!G9耷\"!8?}噐e;噑fT噒Hc噓gugWuT噔898>噕3Q噖v`噗,q,o噘Qw噙NN噚mfmhmex!~mf{晚黑mf.adQ氣mee;}噛TJ#>噜G9GeG;Gf噝s3噞wpwo噟x#噠7n7k噡jK噢#Ez\"#STQT_噣i5;5噤J#NKJ&{声NKru聲NKru}噥CZH*噦z2z/`5噧d)器e;{重e;kn量e;HP}噩U,#w#z{夢#w1h梦#w1h}噪oM噫w]!)w^噬r,r*噭K/OY噮z)z'噯#L!'#MTXR3噰y3噱QVpkQSgZOJ{头pk<T頭pk<T}噲2w噳z%噴*k*i3g{油*kvX}噵9t噶I3L)I_噷h?噸;?;D噹:':,噺r9噻rQ噼,9+W+]+b+\\{噼+W+W}噽+4噾v]噿lF嚀BHFr嚁9b嚂DzDx嚃7h<5嚄#FfE`,bPTR嚅z$嚆fQd-嚇dSdQd!嚈x)!MRY嚉;;嚊&b&h嚋m`嚌i2嚍lM嚎fT嚏<M8#nc嚐u0嚑3c嚒0i嚓mGmH嚔8#嚕G9GeG;Gf嚖`5嚗(G嚘vW嚙TJx2R\\BPSl!P#>嚚S$!r嚛gQ嚜/V.E.u/Q.G.H嚝WQY?嚞je嚟EHF$EFFT{真EFi?紧头EHJ(<R經F$K?緊頭EHJ(<R经F$K?}嚠EN嚡d*{涩涩d*qnqn澀澀d*qnqn熠熠d*qnqn}嚢C$GN嚣euT`嚤0i{啰差玩音乐0iG-lu_jv]U,囉差玩音樂0iG-lu_jv]U,}嚥wwwu嚦G,G'嚧G<嚨H*嚩(G嚪7V嚫mk嚬*l嚭+4嚮gegd{往gdb=}嚯fE嚰wi嚱e;e4e=嚲9d嚳LcQ3嚴wrwp{重wrkn}嚵m0嚶x!嚷y\\y[嚸9@嚹DeEBDf嚺7h嚻eu嚼lAjGjJlD嚽le嚾6-嚿Iz囀l^l_囁j_x,BPFz囂euT`囃mAhM囄F$囅o\"jR囆m#囇EJ囈Rn!]Ri!b{囈篩篩!]!]r'r'契弟RiNA8&求RiNH}囉G-G/G0{噼G-+W囉攣G-G-Hu攣G-Hu機G0JK{字G0JKj>}}囊C$GLC\"GKC!GNC&{括GNQ/}囋hehz囌su囍e:{帖e:>\"}囎iJ囏IK囐he囑l!{咐l!5t}囒E$囓TJx2R\\BP!P#>囔C$GN囕e;囖G-G0囗`6YSdd囘bZ囙vc囚m`{犯m`3.}四r_s5{万咁口r_.bJ\"dd下r_d%两拨千斤r_HL(zo!J'兩撥千斤r_HL(zo!J'六r_H9副牌r_5q*\"只牌r_j5*\"名r_0T四{声r_r_ru正正s5s5j#j#聲r_r_ru}处r_q)大{長老r_7Jl4G=长老r_7Jl4G=}平八{正r_,*%wj#稳r_,*%w`F穩r_,*%w`F}式判{断题r_sc-5;V<N斷題r_sc-5;V<N}张相r_l3u.張相r_l3u.房r_5X手{联弹r_r.Hx<*聯彈r_r.Hx<*}更r_IQ条r_=d格漫{画r_Ie.b_R畫r_Ie.b_R}條r_=d楼r_EL樓r_EL正s5j#海{为家r_fL`6I3為家r_fL`6I3爲家r_fL`6I3}眼婆r_RI,@紅一白r_g@vu&&红一白r_g@vu&&萬咁口r_.bJ\"dd處r_q)行r_ff邑{話r_vo_R话r_vo_R}重奏r_p<i5隻牌r_j5*\"頂r_8p顶r_8p}囜A0EZ囝i.@NDxi0{囝i0i.}回bZbXb\\{乡卡bZgcN-带bZ7F帶bZ7F应bZx#忆录bZx3H:憶錄bZx3H:應bZx#拨bZ-J撥bZ-J眸一笑bZ/2vusA笼觉bZH*IA籠覺bZH*IA肠bZp^鄉卡bZgcN-饋bZW;馈bZW;魂{覺bZ`HIA觉bZ`HIA}}囟uGuF{門uF1`门uF1`}因vc{应vcx#應vcx#果{報應vcY\"(#x#报应vcY\"(#x#}}囡D7@ND3H^D4H]HaDxH`D6{囡D6D3}团@$@\"{队@$;:{精神@$;:jWr<}}団@$囤@$?l;D囥PG囦z'囧Xd囨,!囩`H囪?-p9p]囫3u`\\囬bZ园z*z(囮TTvZ#H囯YSL/困[w`G3edq{䢂`GFu住`Gl\\难重重[w@Tp<p<難重重[w@Tp<p<𨋢`GFu}囱?-p]p9囲?-図>B围`6_Z{内`6Bd头话`6<T_R棋`6Nv皮`6+4裙`6[v门`61^}囵Hf囶YSL/囷[u囸vz囹Fr固L5YYL6囻YSL/囼>9国YSL/^#{会YSbX家{公园YSI3LQz(队YSI3;:}画YS_R粹YSuC际{大刀会YSi/7J9ob\\电话{卡YSi/9J_RN-咭YSi/9J_RN-}象棋YSi/l8Nv都会YSi/9ob\\}难YS@V{当头YS@V:'<T}}图>B{则>Bji样>ByX片>B,\"画>B_R穷匕见>BQ$&ewz}囿v\\v!圀YSL/圁S$!r圂`J_n圃,L(\"圄z%圅d6圆z*z({周率z*i3Hj揼{哚z*80:x揼z*8080}榃陀z*80:x毂辘z*L3H9领z*F=}圇Hf圈h3MJ{声h3ru聲h3ru}圉z%圊o'國YSL/^#{家{公園YSI3LQz(隊YSI3;:}會YSbX畫YS_R粹YSuC際{大刀會YSi/7J9ob\\象棋YSi/l8Nv都會YSi/9ob\\電話{卡YSi/9J_RN-咭YSi/9J_RN-}}難YS@V{當頭YS@V:'<T}}圌q0uB圍`6_Z{內`6Bd棋`6Nv皮`6+4裙`6[v門`61^頭話`6<T_R}圎z*圏h3圐P]^'圑,L園z*z(圓z*z({周率z*i3Hj揼{哚z*80:x揼z*8080}榃陀z*80:x轂轆z*L3H9領z*F=}圔!GvoRS圕uQ>B圖>B{則>Bji樣>ByX片>B,\"畫>B_R窮匕見>BQ$&ewz}圗>B團@$@\"{隊@$;:{精神@$;:jWr<}}圙H\\圚Pdb\\^.圛x8圜z*_lb3圝Hx圞Hx土>@{制炸弹>@i/hM7X地{兼{併>@8\\K3,)并>@8\\K3,)}婆>@8X,@}瓜{湾>@VW_l灣>@VW_l}生土{長>@r?>@l4长>@r?>@l4}著>@lY製炸彈>@i/hM7X話>@_R话>@_R魷>@vX鯪魚>@F<z$鱿>@vX鲮鱼>@F<z$}圠!MmMRY圡>@圢=y圣sS3uI;{公会sSLQbX听sS=w堂sS>R诞卡sS7YN-}圤,q圥H>圦2w圧k3在jzjv{行jzff}圩`6guz$圪S8J;J>\",圫#ST_圬bQ圭W9{亚那W9!#@<亞那W9!#@<}圮+4+7+1圯w`地8\\8t8X90{下8\\d\"{城8\\d&sT天文{台8\\d&=o/<><臺8\\d&=o/<><}室8\\d&rK水8\\d&u@河8\\d&fH电台8\\d&9J><街8\\d&I9酒吧8\\d&i4%P錢莊8\\d&o$k3鐵8\\d&>)钱庄8\\d&o$k3铁8\\d&>)電{台8\\d&9J><臺8\\d&9J><}音{乐8\\d&v]Gb樂8\\d&v]Gb}}区名校8\\QW0Td2區名校8\\QW0Td2厘8\\F!图袋8\\>B9j圖袋8\\>B9j平{線8\\,*sM线8\\,*sM}毯8\\<\"{式8\\<\"sc}积比率8\\ji&dHj積比率8\\ji&dHj糊8\\bR藏8\\k8面8\\0L}圱o!圲o!圳iAh4圴lA圵y\\圶dG圷d&圸q]圹]kPG场p`p^{记牌p`JM*\"面p`0L}圻NxS$!r圼BVG&圽1t圾qkN]S2圿KM址j:坁j:坂%d3.坃h3坄x8坅v^坆1N均WK[u`J`I坈d?坉@$A6E`坊5W5X5Z坋3h&D3g坌&D坍<'坎djdidkMv{坎糊MvMvbR坷difE头埋墙dj<R.Np`頭埋牆dj<R.Np`}坏-!_X-$_\\{分子_\\3hj:处_\\q)话_\\_R}坐jtoCjs{低oC8!倒{头车oC9q<Tn-頭車oC9q<Tn-}冷板{凳oCE+%d8;櫈oCE+%d8;}包{厢oC%Wu-廂oC%Wu-}台oC>:垫jtjS埋{一{条船oC.Nvu=fuZ條船oC.Nvu=fuZ}同一{条船oC.N?0vu=fuZ條船oC.N?0vu=fuZ}}墊jtjS夜oCw(定定oC9P9P摄jtsW攝jtsW无影{凳oC0xx\"8;櫈oC0xx\"8;}月oCz.枱oC>:檯oC>:正oCj#波{监oC'oIE監oC'oIE}無影{凳oC0xx\"8;櫈oC0xx\"8;}监oCIE盘oC-4監oCIE盤oC-4移民{监oCw`/<IE監oCw`/<IE}艇oC=C花{厅oC2o=?廳oC2o=?}茶{监oClxIE監oClxIE}莲oCFl蓮oCFl言起行jtwxe:dx車oCn-车oCn-鎮jtiD镇jtiD霸王{車oC%Mb<n-车oC%Mb<n-}飛機oC4-JK飞机oC4-JK館oCLL馆oCLL}坑d?坒&h&2坓j\\坔8\\坕K?坖JP块2w坘nf坙K?坚K9{定不移K98t&Qw`挺K9=v道K99p}坛<*<$坜FPG,坝%M坞bRT_#S坟3f3g坠lJlF坡'o,?{妹'o1K}坢(e-7(h坣>T坤[u坥po坦<(坧j5坨>6坩diO`坪,*坫9A坬VY坭@xEF@vEH坮><坯-!坰Xc坱yXy[坲3z坳!/!-R9R;坴H>坵vW坶1z坷fFfE坸Iw坹z2坺*J%z+\\坻nf8\"j:坼mM坽Fr坾q+坿5t垀5o垁j>垂uBu${头丧气uB<Tt/e;頭喪氣uB<Tt/e;}垃E2DcDi{圾{债券E2qkhSMG債券E2qkhSMG时间E2qks6IM時間E2qks6IM袋E2qk9j}}垄H+{断H+;V}垅H+垆G<垇!/!-R9R;垈9n垉**垊/<型x${英{帅靓正x$x!uAF;j#帥靚正x$x!uAF;j#}}垌:b?.?0垍JPJM垎dV垏Hn垐nf垑nd垒HaH`HbHn{球H`NH}垓K]垔vc垕dhdg垖;9垗jJsD垘&&6J垙Y?Ku垚wl垛9d9h垜9d垝W:垞lx垟yZ垠S$!r垡3z垢Iwdf垣bl垤9\\垥f5垦dp垧gd垨r.垩#wU)垪'\\垫9A9FjR9GjS9J9VjQ{尸底jSs38\"底jS8\"支jSj9褥jSyF}垬gB垭!#R/垮['垯7k7n垰H,垱:):(垲fL垳dx垴BmG=垵!j!iRv垶sQ垷wz垸z,bj垹(3垺*`5o-!垻(S%M垼x8垽S&!t垾fb垿lJ埀uB埁mfr6埂J.埃!'#KR3TW{及#KNb塞俄比{亚!'oGTT&d!#亞!'oGTT&d!#}德蒙{頓#K8K1f;D顿#K8K1f;D}格斯特朗#KIes38PGO}埄(n-9{塵-9ml尘-9ml}埅5Z埆PYL/埇y4p9埈uG埉IY埊8\\8t埋.N{位.N`4手打三更.Nr.7@qWIQ柜.NW:栈.Nhd栏.NE!棧.Nhd櫃.NW:欄.NE!芡.Nf)}埌GPGO埍MF城sTrvrxsR{闕rxQw阙rxQw}埏wxq]sK埐i9埑je埒I#I&埓I#埔(#,L,N(&埕o*埖2o埗(&(\"3\\(#&8埘s6j>埙h33c埚auY!埛Xc埜w+埝B>EcA9Fh埞8t域at{多利at9cF\"}埠3\\(&3X埡!#R/埢MGMJ埣uAuBuK埤+6&/&c&e*Y*\\埥o'iE埦bj埧M2%M埨Hf埩iEm<埪g?埫p:埬:]埭8&9n埮<#7V<$埯!jRv埰oGoF埱pK<S埲(n(8-9埳djdkdi埴jn埵9d9e埶Rnr)!b執iK{人口水尾iKvfddu@/]到iK9p{寶iK9p(\"都喊三聲iK9p9od5qWru}房iK5X正iKj#{啲iKj#9-}相iKu.行iKdx{董事iKdx:^s8}豆噉執iK8,J\"iK返{一身彩iK3-vur9oF劑iK3-i-條命iK3-=f/z{仔iK3-=f/zi.}身彩iK3-r9oF}}埸x8培-$&8*^{塿&8EO𪣻&8EO}基JKK&{准试JKlLs7友JKvX吧JK%K婆JK,@底膜JK8\"1@本{盘JK(d-4盤JK(d-4}準試JKlLs7片JK,\"}埻lL;9埼Nx埽swsv埾lJ埿@x%hEH堀3uWb堁5;5:堂>T>R{吃>TvG喫>TvG妹>T1L客>TdR家姐>TI3i]}堃[u堄RnRl!b堅K9{定不移K98t&Qw`挺K9=v道K99p}堆;9lE堇J(NTJ,堈Ku堉yJ堊#wU)堋*r%n&E'Y&J堌L5YY堍>A堎FrFt堏5Z堐R6!*堑nw堒[u堓Tn#b堔r3堕9h3Q:w:z{楼9hEL皮:z+6}堖BmG=堗8J堘sT堙vc堚_l堛,9+5堜Fn堝auY!堞9V堟lb堠dh堡(\",M堢(\"堣z$堤<N<P堥0x/00y堦I9堧z*堨!M#L#MTXRY堩J.J/堪di堫ki堬z$堭b<堮U,#z堯wl堰wv報(#(\"(%{平安(#,*#]應(#x#更(#IQ販(#3.}堲jiiQjn堳/`場p`p^{記牌p`JM*\"面p`0L}堵9pi^堶>6堷v_&8堸66堹kk堺I;堻lK堼dz堽Ku堾pupvq.堿ILdkd6塀,*塁Ha塂ff塃5W塄Fr塅;V塆_i塇uW塈e;JPNwJM塉jn塊2w塋x$塌<58?{地<58X}塍sT塎y7塏fL塐sw塑swtA塒s6j>塓0h塔<5<4塕y4塖sT塗>Blx>6{改帶>BK^7F}塘>T{厦>Td%廈>Td%蝞>T/]边鹤>T'Qfv邊鶴>T'Qfv鵝>TTR鶴>Tfv鹅>TTR鹤>Tfv}塙PY塚p:塛Hn塜(n塝(8塞rQoGiQ{內加爾oGBhI3wa内加尔oGBhI3wa外oGT\\尔维亚oGwa`6!#拉利昂oGDiF&Tr浦路斯oG,LG>s3爾維亞oGwa`6!#翁失{馬oGy3rK.I马oGy3rK.I}舌{尔oGs_wa爾oGs_wa}豆窿rQ8,H'錢入你袋rQo\"vtAU9j钱入你袋rQo\"vtAU9j}塟k5塠;9塡=r塢#SbRT_塣j\\o(塤h33c塥Ie塦iD塧!)R5塨LQ塩wr塪dj填=riA{平=r,*}塬z*塭`E塮ib塯EP塰fL塱GO塲p`塳(n-9塴&J%n&E'Y塵mlmj{埃ml#K{落定ml#KGb9P}}塶H>塷G=塸!dRp塹nw塺1N0n塻1D塼l]塽t.塾tz塿EOEN墀nf墁.b墂'E境K@墄n'墅uDuC墆9\\8#i2墇l5l3墈dk墉y6墊9GjS9J9F9A9VjRjQ{屍底jSs38\"底jS8\"支jSj9褥jSyF}墋md墌j5墍e;JMNw墎YSL/墏p^墐J,J(墑9]墒u-墓0z{志铭0zj;0U誌銘0zj;0U}墔prpo墕wv墖<5増iE墘Of墙p`墚HN墛`5墜lJlF墝d-增iEmr{磅iE(4長iEl4长iEl4}墟gu{冚gudn}墠sP墡sP墢%z墣,q)&墤2w墥:^?j墦30墧PY墨/V.z/R{画/V_R畫/V_R盒/Ve\"砚/Vwv硯/Vwv}墩;?8483墪;?8384墫;?q0lK墬8\\8t墭sV墮9h3Q:w:z{樓9hEL皮:z+6}墯9h3Q墰<$墱8;墲0x墳3f3g墴b<墵<$墶7k7n墷x,墸lY墹IK墺#ST_墻p`墼KQ墽eud-墾dp墿x8>B壀+6壁'i'5'k{画'i_R畫'i_R}壂9J壃Lu壄w+壅y3$?y4UK壆(G壇<*壈EU壉M2M/壊_\\壋:):(壌y\\壍nw壎h33c壏d7壐qL壑PY壒#L#MTX壓!MRYR\\{力測試!MG,mKs5歲錢!MuAo$牙R\\R0縮檔!Mtu:(驚!MK?}壔9p壕fT壖z*壗lP壘HaH`HnHb{球H`NH}壙]kPG壚G<壛wrv`sH壜<$壝`6`4`7壞_\\_X{分子_\\3hj:處_\\q)話_\\_R}壟H+{斷H+;V}壠H+壡yn壢FPG,壣Hf壤y\\y[壥o$壦h3壧RB!6壨H`壩%M壪_i士s8s4s6{刁拔s899&T力水s8G'u@多{啤梨s89c&]F\"{鼻s89c&]F\"&h}房s89c5X}巴拿s8%K@:挞s8<9撻s8<9气如虹s8e;z$gA氣如虹s8e;z$gA沙s6qE的糖s89]>R碌架s8H9I4}壬v`vb壭s8壮k5k3k8壯k5k3k8声sQrur0{乐sQU,名sQ0T{大噪sQ0T7JoM狼藉sQ0TGNjn}喉rudf嘶力竭sQr'G,Ow大夹{冇准ru7JIY0ylL恶ru7JIY#w}带ru7F气rue;沙ruqE线rusM谈ru<$}壱vu売.P壳fwfv壴lY壵k5壶bTbR壷bT壸[v壹vux3壺bTbR壻r)壼[v壽r2{命r20V星女r2sQD4桃包r2>@%W眉r2/^}壾11壿q0;?夀r2夁vu夂j:ki夃L4x$YX处q+q(uRq)uS{之泰然q)j9;qwx分q(3c变不惊q)'S&QK?女膜q+D71@所q)sj方q(5W暑q(uR死q(r^理器q(F%e;身q(r9长q)l4}夅Kw夆6366备&h&d夈hQ変'S夊u?夋pu夌Fr复6J6E3\\{会6JbX啅6Epi}夎jqoAlG夏d&I4{老威d&G:`3}夐h5f/夑s_夒@HBlDrG<夓d&夔[f夕jnjj{阳行业jnyZffx,陽行業jnyZffx,}外T\\TX#L#P{在{条件T\\jz=fK:條件T\\jz=fK:}嫁女T\\I5D4底T\\8!母T\\0v{乸T\\0v@:}父T\\5p{咁外T\\5pJ#T\\}甥{多似舅T\\r?9cngNG女T\\r?D4}相T\\u/行T\\ff貌{协会T\\.Vf5bX協會T\\.Vf5bX}边T\\'V邊T\\'V}夗z)z(夘.U夙tu{夜{为谋tuw,`6/0為謀tuw,`6/0爲謀tuw,`6/0}}多9c:u{不{勝數9c&QsQsv胜数9c&QsQsv}两钱重9cHOo$p=二{錢重9cwbo$p=钱重9cwbo$p=}兩錢重9cHOo$p=几钱重9cJLo$p=名9c0T嚿{魚9cIzz\"鱼9cIzz\"}士9cs4{炉9cs4G<爐9cs4G<}多{声9c9cru聲9c9cru}宝鱼9c(\"z\"寶魚9c(\"z\"幾錢重9cJLo$p=旧鱼9cIzz\"災多難9cju9c@V灾多难9cju9c@V舊魚9cIzz\"重人格9cp<vfIe量9cHP难兴邦9c@Vf-(3難興邦9c@Vf-(3}夛9c夜w,w({冷w,E'{貨w,E'5;货w,E'5;}总会w,kjbX更w,IQ生活w,r?c&總會w,kjbX行w,dx麻麻w,.E.E}夝o*nN夞T\\#P够IwIA{皮Iw+4}夠IwIA{皮Iw+4}夡e;夢1h1f夣1h夤vf夥5:{計5:JM}夦md大7J;q7F7E{专生7Jl]r?个女7JKYD4为7J`6乡里出城7JgcF%q!rv人{大量7Jvf7JHP有大量7Jvfv[7JHP物7Jvf/L}件{夹抵食7JK:IY8\"sh夾抵食7JK:IY8\"sh}会7JbX{堂7Jb\\>T}使7Jr({館7Js7LL馆7Js7LL}個女7JKYD4假7JI5偈7JIp前年7Jo$B@劈友7J+_vX力{鉗7JG,O^钳7JG,O^}包{夹肠7J%WJnp^夾腸7J%WJnp^}卡士7JM]s4厨7Jq(叠水7J7hu@吉利是7JJ9EJs8名鼎鼎7J0T9L9L咪7J/'喉{榄7JdfDv欖7JdfDv}嗱嗱7JDfDf地{魚7J8\\z\"鱼7J8\\z\"}场面7Jp`0L執位7JiK`4場面7Jp`0L声7Jru{公7JruLQ夹{冇准7JruIY0ylL恶7JruIY#w}}大{声7J7Jru聲7J7Jru}天二7J=ow^头7J<R姐{仔7Ji]i.大7Ji]7J}姨7Jw`{妈7Jw`.E媽7Jw`.E}娘7JD!婆7J,@家{咁{話7JI3J\"_V话7JI3J\"_V}姐7JI3i]}将7Jl5{之风7Jl5j963军7Jl3WK}將7Jl5{之風7Jl5j963軍7Jl3WK}專生7Jl]r?少7JsA屿山7Jz$q]嶼山7Jz$q]差7Jm!帽山7J0zq]廚7Jq(惊失色7JK?rKsc懒使二懒7JE%r(wbE%懶使二懶7JE%r(wbE%执位7JiK`4括{号7JQ/fR號7JQ/fR}揈7J3l會7JbX{堂7Jb\\>T}朋7J*:楷7JI9步{揇{过7J(&@MY#過7J(&@MY#}槛过7J(&@MY#檻過7J(&@MY#𨈇{过7J(&@MY#過7J(&@MY#}}汗{叠细汗7Jfb7hr)fb疊細汗7Jfb7hr)fb}波妹7J'o1K洋7JyX海{捞针7JfLDri9撈{針7JfLDri9鍼7JfLDri9}榄7JfLDv欖7JfLDv}炮友7J*)vX為7J`6爲7J`6片7J,\"牌7J*\"男人7J@Nvd略7JHX番薯7J3-uR疊水7J7hu@相公7Ju/LQ眼乞{儿7JRIe'w]兒7JRIe'w]}石砸死蟹7Js2i#r^d+碟7J9R祠堂7Jnf>R种乞儿7Jkje'w]種乞兒7Jkje'w]笪地7J7k8X{卖粥7J7k8X.Pl!賣粥7J7k8X.Pl!}粒{墨7JA9/R癦7JA9/R}紅花轎7JgB2oOX红花轿7JgB2oOX聲7Jru{公7JruLQ夾{冇準7JruIY0ylL惡7JruIY#w}}肚{婆7J>C,@耽7J>C8-腍耽7J>CET8-髧7J>C8-}肠7Jp^{头7Jp^<T杆菌7Jp`Kq[v}脚友7JM)vX脾7J&d腳友7JM)vX腸7Jp^{桿菌7Jp`Kq[v頭7Jp^<T}花面7J2o0L葛{楼7JL)EL樓7JL)EL}虾细冇智慧7Jd!r)0yj;`5蝦細冇智慧7Jd!r)0yj;`5行7Jfd{其道7JdxNx9t}覺瞓7JIA3e觉瞓7JIA3e訂7J8t订7J8t資爺7Jj9w(资爷7Jj9w(部分7J(&3h鄉里出城7JgcF%q!rv量7JHP队7J;:陆妹7JH>1K陸妹7JH>1K隊7J;:难{不死7J@V&Qr^临头7J@VET<T}難{不死7J@V&Qr^臨頭7J@VET<T}面7J0L頭7J<R額7JR^额7JR^食{会7JshbX會7JshbX}騎樓7JNrEL驚失色7JK?rKsc骑楼7JNrEL魚7Jz\"鱼7Jz\"}夨iW天=o{下{太平=od&;q,*苍生=od&o]r?蒼生=od&o]r?}使=os5{面=os50P麪=os50P}候=odd冧=oES分=o3h台=o>:命=o0V地{会=o8\\bX更=o8\\IQ會=o8\\bX}堂尿{壶=o>TB8bR壺=o>TB8bR}姥=o0y平=o,*{座=o,*jt}懞光=o1cY?旋地{轉=ouZ8\\l_转=ouZ8\\l_}桃=o>@棚=o*:涯若比{邻=oR6yh&eHf鄰=oR6yh&eHf}濛光=o1cY?矇{光=o1cY?矇光=o1c1cY?}秤=o,*{座=o,*jt}称=oo)稱=oo)糊=obR臺=o>:蒙{光=o1cY?蒙光=o1c1cY?}馬行空=o.Idxg?马行空=o.Idxg?}太;q;p{太;q;p子{爷;qj:w(爺;qj:w(}平;q,*{公主;q,*LQlX天{国;q,*=oYS國;q,*=oYS}山;q,*q]洋;q,*yZ清醮;q,*o'jG盛世;q,*sVr)紳士;q,*r9s4绅士;q,*r9s4車;q,*n-车;q,*n-鋪;q,*,K铺;q,*,K門;q,*1`门;q,*1`}监;qIG{读神学;qIG:tr<fz骑马;qIGNr.I}監;qIG{讀神學;qIG:tr<fz騎馬;qIGNr.I}空卡;qg?N-阳眼镜;qyZRIJd陽眼鏡;qyZRIJd}夫5o5r5p{复何求5r6JfHNH妻肺片5omW3S,\"復何求5r6JfHNH}夬V_Qw夭wiwj#R央yWx!v3{行yWfd}夯PGd?&DPF夰Kd失rKvz{业率rKx,Hj声rKru当rK:)業率rKx,Hj當rK:)聲rKru調rK=f调rK=f陷rKdn魂{魚rK`Hz\"鱼rK`Hz\"}}夲>?夳;q头<T<R{嗒嗒<T8?8?壳顶<Tfw8p头<T<R{是道<T<Ts89t碰{着黑<T<T-;lDdQ著黑<T<T-;lDdQ}}架<TI4祃<TR0耷耷<T8?8?肿眼膇<TkjRI;;落<TG]长仔<Tl4i.顶<T8p{出烟<T8pq!wu}}夵ws夶&d夷w`{为平地w``6,*8\\為平地w``6,*8\\爲平地w``6,*8\\}夸['夹IYIXKFIeJ5f5JnKJJkKGJjJ8{份IY3d公仔JnLQi.带私逃IY7Fs3>B硬IYRL糖Jn>R脚JnM)计IYIp}夺;\\{命;\\0V{四式;\\0Vr_sc}}夻%H%B夼]kPG夽`I夾IYJkJnJ5KGKJIef5IXJjKFJ8{份IY3d公仔JnLQi.帶私逃IY7Fs3>B硬IYRL糖Jn>R腳JnM)計IYIp}夿%K奀S!!o{切切S!o3o3咕咕!oL6L6嫋{嫋S!B3B3鬼命S!B3W:/z}袅{袅S!B3B3鬼命S!B3W:/z}}奁Ff奂bn奃8!奄wowp!i{仔蟹wpi.d+列!iG&{飯!iG&32饭!iG&32}尖{声闷wojKru1b聲悶wojKru1b}}奅*)奆MJ奇NxJKNr{数JKsw數JKsw离NrEx{位NrEx`4怪NrExV_}離NrEx{位NrEx`4怪NrExV_}}奈BhG8奉6864{上68u1命680V{行事680Vdxs8}行68dx}奊Owda[f奋3g3e奌9@奍h5奎5u[c{宁[cBH寧[cBH}奏i5m_{乐i5U,樂i5U,}奐bn契NAOws_N@e'{丹Ow7W女NAD4姐NAi]}奒fK奓hMn-ndrWhKhPlw{鼻lw&h}奔&?&A奕x8奖l4l5{券l4MG}套>A>@{房>A5X拳>AQp}奘k8k3k5k7奙(d奚d`奛PG奜4.奝99奞uG奟&E奠9J奡Tb#V奢n-rW奣`L奤d%奥#ST^#RyET_{林匹克#SET+!dQ运会#S`JbX}奦0z奧#S#RyET^T_{林匹克#SET+!dQ運會#S`JbX}奨l4奩Ff奪;\\{命;\\0V{四式;\\0Vr_sc}}奫`Ez'奬l4奭sc奮3g3e奯Q/^S奰&h&/奱Hx奲9dn.女D7D4z%D8H^H]D3HaH`D6Hb{人D7vd{味D7vd/b型D7vdx$汤{丸D7vd>Qz(圆D7vd>Qz(}湯{丸D7vd>Qz(圓D7vd>Qz(}緣D7vdz*缘D7vdz*}仔之家D4i.j9I3包D4%W大{不中留D47J&QkiEN十八{变D47JrJ%w'S變D47JrJ%w'S}}女D6D3生D7r?{外向D7r?T\\ge}神套房D7r<>A5X紅D7LQ红D7LQ魔{头D40i<T頭D40i<T}}奴BlG<奵9L奶@C@?@BDj@@DiDmDl{共DjLV咀糖@ClF>R嘢Djw+嘴糖@ClF>R奶@B@@挞Dj<9撻Dj<9水蛋@Cu@7\\閪Djd]鞋底Djd*8\"}奷o!奸IK{賴IKDk{貓IKDk.Q}赖IKDk{猫IKDk.Q}}她;iw]奺Iv奻DN@THx奼lwhM好fRfS{丑命生成fRm^/zqcrx事{之徒fSs8j9>B多{为fRs89c`6為fRs89c`6爲fRs89c`6}}人{事fRvfs4卡fRvfN-当贼办fRvf:)mP%h當賊辦fRvf:)mP%h}仔唔{当差fRi.%B:'m!當差fRi.%B:'m!}使好用fRr(fRy8冇fR0v动fS:b勇{斗狠fSy78)dp鬥狠fSy78)dp}動fS:b勝fSsS去{处fRgwq)處fRgwq)}吃{懒做fSeeE%k&懶做fSeeE%k&}呢味嘢fSB'/^w+命婆fR/z,@喫懶做fSeeE%k&声fRru{好气fRrufRe;行fRrudB}处fRq)大喜功fS7Je:LQ奇fSNx{一{問fSNxvu/>问fSNxvu/>}心fSNxr3}女{两头瞒fRD4HO<T1`兩頭瞞fRD4HO<T1`}好{地fRfR8X声fRfRru聲fRfRru}学fSfz{会fRfzb[力fRfzG,徒fRfz>B术fRfzuP校fRfzd2生fRfzqc科fRfz59童fRfz?0系fRfzdb者fRfzi^识fRfzsc部fRfz(&院fRfzz(}學fSfz{力fRfzG,徒fRfz>B會fRfzb[校fRfzd2生fRfzqc科fRfz59童fRfz?0系fRfzdb者fRfzi^術fRfzuP識fRfzsc部fRfz(&院fRfzz(}客fSdS战fSjS戰fSjS揪fRm]样fRyX桥fROX樣fRyX橋fROX正fRj#{中fRjYki义fRjYwb宗fRjYki常fRjYu0式fRjYsc当fRjY:'气fRjYe;氣fRjYe;派fRjY*#當fRjY:'直fRjYjn确fRjYPY確fRjYPY統fRjY?.經fRjYK?经fRjYK?统fRjY?.義fRjYwb路fRjYG>面fRjY0P}聲fRru{好氣fRrufRe;行fRrudB}胜fSsS自{为之fRj>`6j9為之fRj>`6j9爲之fRj>`6j9}色fSsc處fRq)返fR3-逸{恶劳fSvzbSG<惡勞fSvzbSG<}醜命生成fRm^/zqcrx食{懒飞fSshE%4-懶飛fSshE%4-}}奾sK奿3/妀JL妁lA如z${夢初醒z$1ho?sR数家珍z$svI3i?數家珍z$svI3i?梦初醒z$1ho?sR詩如畫z$s3z$_R诗如画z$s3z$_R}妃4--#{嫔4-&A嬪4-&A}妄1112{下判{断11d&-5;V斷11d&-5;V}}妅gB妆k3妇5s,O{孺5sz$}妈.E.F.I.H{咪.E06{面.E060P}妈.H.E{声.E.Eru生.E.Hqf}姐.Ii^娘.ID$}妉7Q妊v`vb{娠vbiA}妋5o妌j\\妍wx妎fPI;db妏/>妐ki妑)u妒9q9t妓JP{寨JPhR}妔d?妕kk妖wjwi{言惑{众wiwx`,kk眾wiwx`,kk衆wiwx`,kk}}妗NONL{母NO0v}妘`H妙0D0@{嘴妙舌0@lF0@sb}妚3X妛nc妜z/妝k3妞A\"A%EL妟!;RG妠@bE2妡vc妢3f妣&d妤z$妥>7>4{当>7:)當>7:)}妦63妧bnz*妨5Z妩0y0x{媚0x/`}妪z#z\"妫W9妬9q妭&V妮ATF$妯l&m]tz妰lA妱jE妲<(7k妳AU@CDmF%Dl@B妴z(妵<R妶wxz*妷iV妸#F#ETRTQ妹1P1L1K1N{仔1Ki.{梯1Ki.<K肚1Ki.>C}妹1N1L{仔1N1Ki.}猪1KlW豬1KlW釘1K8o钉1K8o}妺1t妻mWmY{女mWD4离子散mWF$j:q^離子散mWF$j:q^}妼&V妽r9妾o/妿!#R/姀ax姁gvgu姂3z姃jW姄/<姅(e-5姆0y姇5o3Z姈Fr姉j:i^姊j:i^{妹j:1L{团j:1L@$團j:1L@$}}始nd{料{不及ndFb&QNb未及ndFb/bNb}}姌ws姍q]sK姎#cyWyXTo姏.`姐i^i]i`{係i]db{話i]db_V}姐i`i]{仔i`i]i.}系i]db{话i]db_V}}姑L3YW{丈L3l4奶L3@?姐L3i]}姒ng姓sSrwsQ{名sS0T}委`4`3{以重任`4waknvb员会`4z*bX員會`4z*bX}姕j9姖M2姗q]sK姘,'姙vbv`姚wl姛:b姜Lu{太公{釣魚Lu;qLQ9;z\"钓鱼Lu;qLQ9;z\"}}姝uQlW姞J9KP姟K]姠ge姡`&Q/c&姢ME姣I@d0d2{婆d0,B{守唔到寡d0,Br.%B9pVX紫d0,Bj:蓝d0,BDx藍d0,BDx}尸{扽笃d0s385:o炖笃d0s385:o}屍{扽篤d0s385:o燉篤d0s385:o}气d0e;氣d0e;}姤Iw姥G=0y姦IK姧IK姨w]w`{丈w`l4妈w`.E{到w`.E9q姑{姐w`.EL3i]爹w`.EL38Q}巾w`.EJ'}婆w`,B媽w`.E{到w`.E9q姑{姐w`.EL3i]爹w`.EL38Q}巾w`.EJ'}母w`0y甥w`r?{仔w`r?i.女w`r?D4}表w`'F}姩BDBBB?Fn姪iViR{女iVD4新{妇iVr9,O婦iVr9,O}}姫mj姬JK姭f#姮dx姯Y?Ku姰WK姱['姲!;RG姳0U姴G&姵(V-#姶\"!e&voS-姷v\\姸wx姹lwhM姺r9sL姻vc姼nds69c姽W:Rm姾q0姿j9娀tc威`3{也吊{灯笼`3up9;89H*燈籠`3up9;89H*}吔`3up士`3s4{忌`3s8JL}过威士忌`3Y#`3s8JL過威士忌`3Y#`3s8JL}娂gB娃_Q_T{娃{魚_Q_Qz\"鱼_Q_Qz\"}}娄ENH`娅!#R/娆wjwlwm娇K-{滴滴K-9]9]生惯养K-r?Vqy[}娈HvHy娉,',)娊wz7Q娋qS娌F%娍sT娎f;娏10娐5o娑si娒0y1N娓/a娔e-娕pKDn娖oqpkpK娗=y=p=x娘D$HLD\"HKD!HN{丙HK'X妈D$.I媽D$.I炳HK'X}娙x$娚@NDx娛z$娜@<BaB`@>B^G1DfG0娝*]娞D7u?Ha娟ME娠r9iA娡j;娢dl娣<O8&<P娤k3娥TT#H娦*l娧?e娨d>娩0O3/.a娪%H%B娫wx娬0y0x娭e9!'#KR3TW娮wx娯z$娰ng娱z$娲auVW娳F&娴d<娵lWlE娶ppoLpq娷lGuDlJ娸e9娹wx娺>5娻:]娼p]娽H>娾R8!,娿#F#ETRTQ{哿#EK\\}婀#F#ETRTQ{娜多姿#FB^9cj9}婁ENH`婂0N婃p<婄*_{腩*_Dy}婅Lc婆,B,@,?{婆,B,@}婇oF婈Fr婉z(bj婊'F婋d-婌tz婍Nvw^婎3Q婏3/婐#FG.av#ETRTQ婑avau婒<$婓4-40婔4-婕jej_jh婖=i婗Rl!`婘QrMG婙j\\婚3c{生子女3cr?j:D7紗舖3cqE,L纱舖3cqE,L}婛K?婜d9J(婝9J婞dz婟bV婠bi`#婡G6婢+7婣vc婤i3m]婥pk婦5s,O{孺5sz$}婧j\\婨Hf婩Tnyh#b婪Dx婫WK婬v`婭!#R/婮M-婯EJ婰9F婱wx婲_V婳`,婴x!婵sHsN婶r4婷=x=v婸:,婹wj婺0z婻@PA,Dz婼yhpkw_w*婽I4婾<Qz$婿r)r(媀z&媁`6媂8#媃vZ媄/a媅7Q媆z+媇mi媈3Q媉\"-S9媊jRo$媋pu媌.T媍5s媎i^媏;Q媐e9媑kn媒1N1L{人1Nvd}媓b<媔0N媕!iRu媖x!媗h3媘I9媙`3媚/b/`{共/`LV}媛blz*z,媜jW媝m]媞<N<O媟s_媠>79h媡Fn媢0z媣J!媤s3媥,!媦`8媧auVW媨pK媩bT媪#RT^媫je媬(\"媭u?yi媮<Qz$媯W9媰oB媱wl媲+5&d{美&d/a}媳sc媴z*媵x&vh媶y6媷yJ媸nc媹EN媺/a媻-6媼#RT^媽.E.F.I.H{咪.E06{麪.E060P}姐.Ii^娘.ID$媽.H.E{生.E.Hqf聲.E.Eru}}媾IwNGNE{仔NEi.女NED4{王NED4b<}}媿[gW:[e嫀pxr9嫁I5{女I5D4}嫂sv嫃i?嫄z*嫅i]嫆y6嫇0T/B0U嫈x!嫉iVhz{妒iV9t}嫊sw嫋B7B3F]Fa{瘦B3r/}嫌wr嫍>?嫎,`嫏GN嫐BmA?G=嫑'G嫒#MTX#LTY嫓+5嫔*l&A嫕!_w_Rk嫖+r+o+q嫗z\"z#嫘H`嫙uZ嫚.b嫛w]嫜l3嫝fc嫞tfp9y6嫟BWG'嫠F$嫡9]嫢[c嫣wu嫤J(嫥l]嫦u0嫧i#嫨f]@U嫩DPHz嫪G>ID嫫0x嫬i]嫭bV嫮bV嫯Tb#V嫰DPHz嫱p`嫲.H嫳,5嫴L3YW嫵0y0x{媚0x/`}嫶nrjE嫷>7嫸jR嫹.T嫺d<嫻d<嫼!MRY嫽F`Fa嫾Fl嫿`,嬀W9嬁89嬂ji嬃u?yi嬄vu嬅_V_T嬆vo嬇b\\2wPd嬈wjwmwl嬉e9e:嬊wv嬋sHsN嬌K-{滴滴K-9]9]生慣養K-r?Vqy[}嬍/a嬎3/嬏3-嬐nu嬑w_嬒`5嬓K/嬔3/5t嬕sc嬖+5&/嬗sP嬘uD嬙p`嬚Fg嬛_lh3Ol嬜v]嬝B7Fa嬞:^嬟wb嬠m.mc嬡#MTX#LTY嬢D$HN嬣BHFr嬤.E0m.H嬥=g=f嬦m`嬧lP嬨nf嬩z$嬪*l&A嬫a`嬬z$嬭@CDmDl@B嬮wowq嬯><嬰x!嬱nw嬲A!B7B6EKFa{休EKvW{偻斗EKvWEO8(僂斗EKvWEO8(}}嬳bP嬴x$嬵0N嬶&h嬷.E.H0m嬸r4嬹f-嬺BWG'嬻:t嬼EOEPFa嬽&hz'嬾E%嬿wvww孀u-孁Fr孂K.孃D$D\"HN孄E%孅nu孆x!孇u-孈`5u?孉Qr孊/a孋F$孌HvHy孍wrws孎l!pK;5tz孏E%子j:nf{弹j:7X{䢂j:7XFu人j:7Xvf仔j:7Xi.火车j:7X5:n-}彈j:7X{人j:7Xvf仔j:7Xi.火車j:7X5:n-𨋢j:7XFu}}孑OwKM孒Qw孓Qw孔g@{雀g@l@{开屏g@l@fK,*開屏g@l@fK,*}}孕vh孖.Ej9{份.E3d叶.Ex(咇.E'c啤{車.E'9n-车.E'9n-}女.ED4屐亭.EOB=x条.E=d條.E=d润肠.Eypp^潤腸.Eypp^膶{肠.Eypp^腸.Eypp^}葉.Ex(}字j>j:{帖j>>\"样j>yX楼j>EL樓j>EL樣j>yX画j>_R畫j>_R紙簍j>j:G-纸篓j>j:G-裏行間j>HaffIK裡行間j>HaffIK里行间j>HaffIK面j>0L}存q0{档q0:(檔q0:(}孙uWuG{以出之uGwaq!j9女uWD4悟空uW%Hg?}孚5o孛(V&&(z孜j9孝d/孞uG孟.h.d孠j>孡>9孢%W季W;孤L3YW{伶伶L3FoFo女L3D4寒刮L3f`W(零零L3FoFo}孥BlG<学fzfv{会fzbX位fz`4厨fzq(堂fz>R妹fz1L富五车fz5q%IM-弟fz8\"拳fzQp斗fz8){白fz8)&&}生{会fzqcbX妹fzqc1K}精fzj!额fzR^}孧vY孨l^孩d*fN孪HxuYHu孫uWuG{以出之uGwaq!j9女uWD4悟空uW%Hg?}孬(\"@EvU@JDo孭/W{上身/Wu1r9位/W`4带/W7F帶/W7F}孮p<孯d9孰tz孱q`m5q]m6hh孲!!R-孳j9j;孴wa孵5o孶j9j;孷F$學fzfv{位fz`4堂fz>R妹fz1L富五車fz5q%IM-廚fzq(弟fz8\"拳fzQp斗fz8){白fz8)&&}會fzbX生{妹fzqc1K會fzqcbX}精fzj!額fzR^}孹.w孺z&z$孻Di{女DiD4尾Di/]}孼x2x,孽x,x2孾x!孿HxuYHu宀0N宁q+BHFrFtBJ{愿BHz(波话BH'o_R缺勿滥BHQw/PDy}宂y4它;i>3宄W:宅i&i\"{女i&D4}宆Q$宇z%守r.r/{夜r.w(将r.l5將r.l5行{为r.dx`6為r.dx`6爲r.dx`6}龍r.H(龙r.H(}安#]Ti{全{带#]q07F帶#]q07F气袋#]q0e;9j氣袋#]q0e;9j}分#]3h{守己#]3hr.JL}士#]s4守本分#]r.(d3h心上路#]r3u1G>步{当车#](&:)M-當車#](&:)M-}理{会#]F%bX會#]F%bX}非他命#]4-;i0V}宊8J宋te完z*宍yJ宎wjR=wk宏`N宐w`宑x\"宒lK宓/P6J宔lX宕:,宖`N宗ki{庙ki0D廟ki0D}官LKYo{太LK;p差LKm!方{話LK5W_R话LK5W_R}話LK_R话LK_R}宙i8定9P9M8t8p9L{位9P`4啦9LDc喇9LE;嘞9LE;当9P:)惊9PK?方8t5W當9P:)量9PHP額9PR^额9PR^驚9PK?}宛z(z'bj宜w`w^宝(\"'p(${玉(\"yF盖头(\"K_<R藏(\"k8马雕车(\".I99M-}实rP{习生rPhtr?净rPj&名rP0T{制rP0Ti/}弹rP7X枳枳rPiQiQ派时rP*!s6测rPmK笼rPH(至名归rPj;0TW9行rPdx话rP_R践rPo\"}実rP宠p:审r4{时度势r4s6:>r)订r49P}客dSdRe/{家{牌dSI3*\"話dSI3_R话dSI3_R}房dS5X栈dShd棧dShd队dS;:隊dS;:}宣uW室rK{乐rKU,樂rKU,}宥v\\宦_n宧w`宨=d宩s4宪f)宫LQ{商角徵羽LQu-L/j:z%女LQD4观LQLM}宬sT宭[x宮LQ{商角徵羽LQu-L/j:z%女LQD4觀LQLM}宯d-宰jv{相jvu/}宱hP宲(\"害fPfqft{处fPq)處fPq)}宴ww{会wwb\\會wwb\\}宵s?{夜s?w(}家I3L3i]YWI5I6I8{下I3d%乡话I3gc_R什I3ht具I3M2吓I3d%基冷I8K&E'姐I3i]婆I3,@己{侬I8K&E'儂I8K&E'冷I8K&E'}当I3:)持I3nd栏鸡I3E\"Io欄{雞I3E\"Io鷄I3E\"Io}當I3:)計會I3IqbX计会I3IqbX鄉話I3gc_R長I3l4{信I3l4uG}长I3l4{信I3l4uG}阵I3i@陣I3i@}宷r4oFoG宸r<容y6{量y6HP}宺5X宻/P宼NG宽6-{厚6-dh宏大量6-`N7JHP衣解带6-w]I:7F}宾&?&A{妹&?1K婆&?,@虚{咁大场面&?guJ#7Jp`0L噉嘅场面&?guJ\"JGp`0L}}宿tur/{位tu`4命tu0V生tur?舍tur[}寀oGoF寁h^jh寂jn{寂{无名jnjn0x0T無名jnjn0x0T}}寃z'寄JM{予JMz%生JMr?{虫JMr?p<蟲JMr?p<}}寅vf密/P{件/PK:使/Ps5偈/PIp头鞋/P<Rd*实袋/PrP9j實袋/PrP9j笼/PH(籠/PH(頭鞋/P<Rd*食{当三番/Psh:)qW3-當三番/Psh:)qW3-}龍/PH(龙/PH(}寇NG寈o'寉fz寊jW寋K>富5q寍BHBJFr寎'Y'X寏z*寐/b寑md寒f`{假f`I5蝉效应f`sHd2x#蟬效應f`sHd2x#}寓z&寔rPjn寕BHBJFrFt寖i;寗BHBJFrFt寘j;=r寙z%寚(\"寛6-寜BHFr寝md寞1D察mG寠M2EN寡VX{母婆VX0y,@{死仔VX0y,@r^i.}}寢md寣3u5o寤%J%D寥F`F'F]{寥可{数F`F`fFsv數F`F`fFsv}}實rP{名rP0T{制rP0Ti/}彈rP7X枳枳rPiQiQ派時rP*!s6淨rPj&測rPmK籠rPH(習生rPhtr?至名歸rPj;0TW9行rPdx話rP_R踐rPo\"}寧BHBJFrFt{波話BH'o_R缺勿濫BHQw/PDy願BHz(}寨hVhR審r4{時度勢r4s6:>r)訂r49P}寪`4寫rX{實畫rXrP_R文rX/:{章rX/<l3}生rXr?}寬6-{厚6-dh宏大量6-`N7JHP衣解帶6-w]I:7F}寭`8寮F`F^寯lM寰_l寱Rn!b寲w`寳(\"寴mi寵p:寶(\"'p(${玉(\"yF蓋頭(\"K_<R藏(\"k8馬雕車(\".I99M-}寷63寸q/q.{步{难行q/(&@Tdx難行q/(&@Tdx}过马撚q/Y#.IEX過馬撚q/Y#.IEX}对;;;:{办;;%d对糊;;;;bR峙;;j>应;;x#撼;;dj牛弹琴;;Rr<*NN称;;o)簿公堂;;(&LQ>T联;;Hv}寺j:j>{人j>vf僧j>iE庙j>0@廟j>0@觀j>LK观j>LK門j>1`门j>1`院j>z(}寻mf{晚黑mf.adQ}导9t{弹9t7X}寽I#対;;寿r2{命r20V星女r2sQD4桃包r2>@%W眉r2/^}尀,@封63{咪63/'度639p测63mK測63mK盘63-4盤63-4面630L頂638p顶638p}専l]尃5o射r\\w,x8sh{中r\\kk厘眼r\\F!RI篮r\\Dv籃r\\Dv}尅e-dQ将l3p]l5{军抽车l3WKm]M-士l5s8官l5LK帅l5uA计就计l5Iqi8Iq领l5Fs}將l3l5p]{士l5s8官l5LK帥l5uA計就計l5Iqi8Iq軍抽車l3WKm]M-領l5Fs}專l]{名l]0T{號l]0TfV}有名詞l]v[0Tnf業試l]x,s7著l]lY}尉`5`W`J尊l]lK{师重道l]s3kn9t師重道l]s3kn9t重l]kn長l]l4长l]l4}尋mf{晚黑mf.adQ}尌uV對;;;:{對糊;;;;bR峙;;j>應;;x#撼;;dj牛彈琴;;Rr<*NN稱;;o)簿公堂;;(&LQ>T聯;;Hv辦;;%d}導9t{彈9t7X}小s@{丑{魚s@m^z\"鱼s@m^z\"}二s@w^女s@D4妹s@1L家碧玉s@I3'iyF心行事s@r3dxs8括{号s@Q/fR號s@Q/fR}测s@mK測s@mK玩意s@bnw_生s@r?相公s@u/LQ篆s@uY肠s@p^腸s@p^販s@3.贩s@3.量s@HP}尐9-9Wjije少s@sA{不更事sA&QJ-s8东sA:]主sAlX女sAD7奶sA@?{奶sA@?@?}妇sA5s婦sA5s将sAl5將sAl5年sABB{人sABBvf}東sA:]林sAET校sAIA爷sAw*{仔sAw*i.}爺sAw*{仔sAw*i.}男sA@N量s@HP}尒wa尓wa尔wa尕I3尖jK{头jK<R{倒脚jK<T9qM)}酸刻薄jKuWdQ(J队jK;:隊jK;:頭jK<R{倒腳jK<T9qM)}}尗tz尘mlmj{埃ml#K{落定ml#KGb9P}}尙u2尚u2u.尛0i尜I_I3尝u0尞F`尟sL尠sL尡[u尢b9vZ尣b9尤vZ尥Fb尦Fb尧wl尨101f,`尩b9尪b9尫b9尬I;尭wl尮9e尯[e尰kjp;kn就i8尲IEIG尳W]`\\尴IEIG尵?f尶IE尷IGIE尸s3尹`I尺n_n.n^n-尻Iud-fQ尼ATAQB'AUF${泊{尔AT,qwa爾AT,qwa}}尽lPlL{兴lPf/力而为lPG,w``6地lP8\\{一{煲lP8Xvu(!铺lP8Xvu,K}}快lP2w早lPk\"速lPpK量lPHP}尾/a/^/]{二/]w^房/a5X指/]j:盘/a-4盤/a-4祃/aR0禡/aR0迓/aR0}尿B8u?F^B4Fb{壶B8bR壺B8bR片B8,\"袋B89j}局LhLd{長Lhl4长Lhl4}屁+5层mr{面mr0L}屃!_e;Rk屄&cd]居M-JKLi{家兵LiI6'W心叵{测M-r3,@mK測M-r3,@mK}}屆I;屇=r屈`WWb{头Wb<T指可{数`Wj:fFsv數`Wj:fFsv}頭Wb<T}屉<M届I;屋$QU]{企$QNv{人$QNvvf}頂$Q8p顶$Q8p}屌9:{你{卤味9:AUG=/^老{味9:AUG=/^母9:AUG=0v}鹵味9:AUG=/^}}屍s3屎s4e9{桥s4OX橋s4OX片s4,\"蜢s4.d計s4Ip计s4Ip}屏,*'X'W,(+K'Y{弃'Xe;息{静气'Xscj\\e;靜氣'Xscj\\e;}棄'Xe;除'Xpr風{效應,*63d2x#樓,*63EL}风{效应,*63d2x#楼,*63EL}}屐OJOB屑s_屒i@屓!_e;Rk屔@xATEH展jR{覽會jRDybX览会jRDybX}屖r'mW屗q/屘/]{二/]w^}屙#ETQ{唔#E%?{唔#E%?%?}屎{貪高興#Es4<!Kcf/贪高兴#Es4<!Kcf/}殊殊#EuTuR肚TQ>C茄TQNo遏尿#E\"'B8𡲢TQNo}屚EP屛,*'W'X'Y+K屜<M屝4.3V属tzl!l&屟s_sY屠>Bpr屡Ha{见不鲜HaK;&QsL}屢Ha{見不鮮HaK;&QsL}屣qL層mr{面mr0L}履F%Ha{带F%7F帶F%7F行F%dx}屦M/屧s_sY屨M/屩M)屪F`屫M)屬tzl&l!屭!_e;Rk屮o5屯@$uHlK屰x8山q]{凹q]!/卡罅q]M]Dc埃{貼士q]!'>!s4贴士q]!'>!s4}寨王q]hVb:岭q]Fs嶺q]Fs旯旮q]M]Dc水{画q]u@_R畫q]u@_R}珍海味q]i?fL/^难q]@V難q]@V頂q]8p{位q]8p`4}顶q]8p{位q]8p`4}}屲q]屳sK屴G,Et屵R\\Tn!P屶b\\屷b\\屸H*屹S8J9\",J>屺e:屻vh屼S8\",屽fb屾r9屿lJz%z$岀q!岁uA岂e:fL岃vh岄z2岅%d3.岆wj岇Tr#f岈R0d!!$岉/P岊jeKM岋S2\"&岌N]J8S2\"&{头S2<R岌{貢S2S2LS贡S2S2LS}頭S2<R}岍f'岎3f岏z*岐Nx岑r6岒O`岓Nx岔lwlu岕I;岖QW岗Ku{位Ku`4}岘wz岙#S!/R;T_岚DxDv岛9p岜%K岝kGi#i&岞kGkJ岟yX岠M2Q[岡Ku岢fF岣Iv岤z2h;岥&c,?+6岦E2Eh岧=f岨lElF岩RB!6wr岪3z岫i8岬IY岭FrF=Fs{南Fs@N{大学Fs@N7Jfz画派Fs@N_R*#}}岮>6岯+6岰!e!/Rq岱9n岲5Y岳U,#z{母U,0v父U,5p}岴QW岵bV岶*M岷/<岸Tn#b岹=f岺Fr岻nf岼,*岽:]岾jK岿[c[d峀(3峁.U峂?0峃fz峄x8峅'V峆e&J5峇%Ke!e&峈Gb峉Rb!V峊3\\峋uE峌9\\峍Hn峎vdJ)峏w`峐K]峑q-峒?0:b峓w`峔0y峕s6峖#]Ti峗RlRm!`峘bl峙s8j>ng峚/P峛F%峜Iq峝?0:b峞RlRm!`峟v\\峠M]峡dJdGe&峢G&峣wl峤K2OZK.峥iEhim<峦Hx峧I?峨TT#H峩TT#H峪yJz&峫w*峬(!峭nq峮[u峯63峰63{会63bX會63bX}峱@HA$BlDr峲F%峳vZ峴wz峵a`島9p峷r9峸sT峹>B峺J.峻lM峼Q3峽dJe&dG峾S$!r峿z%%H崀GPGNGO崁dk崂G<崃G6崄f\"崅L/崆g?崇tf{山峻{岭tfq]lMFs嶺tfq]lMFs}}崈tf崉7h崊ET崋_T_V崌M-崍G6崎NuNx崏/<崐[uWK崑[uWK崒lhlQ崓L5YY崔popr崕R6!*崖R6!*崗Ku{位Ku`4}崘Hf崙Hf崚Fr崛Wb崜9c崝iEhi崞YSL/崟v`崠:_崡d6崢iEhim<崣`4崤R<!0崥+6&d崦wo崧tc崨jbjh崩&E{盘&E-4盤&E-4}崪lhlQ崫3u崬:]崭h^h_m1m0{新h_r9露头角h_G><TL/}崮L5YY崯v`崰j9崱iWsh崲b<崳z$崴`3_X_W崵yZ:,崶63崷m`崸Tr88#f崹<N崺waw`崻j>崼s8崽i.jv9i崾wm崿U,#z嵀q+嵁di嵂Hn嵃wywz嵄/a嵅d6dl嵆N?嵇N?d`嵈bn嵉=x嵊sV嵋/`嵌dkdjd3dn嵍0z嵎z$嵏ki嵐DxDv嵑fqOw嵒RB!6嵓RB!6嵔`5嵕ki嵖lxhP嵗uA嵘a`x$`N嵙59嵚v]嵛z$嵜Nu嵝EO嵞>B嵟;9嵠N?嵡y4嵢o]嵣:,>T嵤a`嵥KP嵦fL嵧EN嵨bR嵩tc嵪eu嵫j9嵬Rl!`嵭&E嵮9E嵯o?oBnc嵰f\"嵱y4y6嵲x2嵳o?嵴j5嵵j>嵶yh嵷td嵸ki嵹QH嵺F`嵻fc嵼m4嵽9\\8#8&嵾mcm-嵿9L嶀>?嶁EO嶂l5嶃h^h_嶄h^h_m1m0{新h_r9露頭角h_G><TL/}嶅T`#T嶆oN嶇QW嶈p]嶉polFlE嶊lF嶋9p嶌9p嶍ht嶎`5嶏-#嶐H*嶑l8嶒mrhiiE嶓'o嶔v]嶕nr嶖wo嶗G<嶘hh嶙Hf嶚F`嶛F`嶜i9嶝8;嶞9h嶟lK嶠K2K.OZ嶡W;Qw嶢wl嶣nr嶤wl嶥W;嶦jK嶧x8嶨fz嶩@HDr嶪x,嶫x,嶬Rlw`Rm!`嶭x2x,s_嶮f\"嶯mu嶰d+嶱L)fE嶲[cu@uC嶳8\\嶴#S!/R;T_嶵lF嶶/`嶷x8w`嶸a`x$`N嶹9p嶺F=Fs{南Fs@N{大學Fs@N7Jfz畫派Fs@N_R*#}}嶻je嶼lJz%z$嶽U,#z嶾vd嶿u?巀jejh巁EJ巂[cu@r'uC巃H*巄H*巅9E巆a`x$巇e9e;巈Lc巉m0m1{手m1r.}巊x\"巋[c[d巌RB!6巍Rl!`巎@HDr巏Qr巐np巑q0巒Hx巓9E巔9E巕x2巖RBwr!6巗RB!6巘wvwy巙@HDr巚wv巛q-[u巜Pd^.川q-州i3{長i3l4长i3l4}巟5W巠K?巡px{场pxp^場pxp^房px5X更pxIQ行pxdx}巢m*8){咪掹m*03/?}巣m*巤Fz工LQ{业行动LQx,dx:b人房LQvf5X会LQbX作假期LQkGI5Nx厂妹LQo^1K头LQ<R字LQj:尺{譜LQn-,L谱LQn-,L}展{会LQjRbX會LQjRbX}廠妹LQo^1K會LQbX業行動LQx,dx:b联会LQHxbX聯會LQHxbX賊LQmM贼LQmM錢LQo$钱LQo$頭LQ<R}左jpjo{㕭jpv!上右落jpu1v\\Gb优jpv!優jpv!口{魚jpddz\"鱼jpddz\"}右jpvX囿jpv!挠jpv!撓jpv!軚jp;s輪jpHd轮jpHd边jp'V近jpJ(邊jp'V}巧d.OX{克力d.dQG,立名目d.E20T1z}巨M2{著M2lY額M2R^额M2R^}巩LR巪M2巫0x{峡0xe&峽0xe&}巬JK巭LQ差lum!nco?{事m!s8人m!vf仔m!i.佬m!G:{开枪m!G:fKp]開槍m!G:fKp]}劣luI&劲luKA勁luKA唔耐lu%HBh婆m!,B強人意luQIvfw_强人意luQIvfw_派m!*#遣m!f(額luR^额luR^餉m!gd館m!LL饷m!gd馆m!LL}巯NH巰NH己JLJKK!K&已wa巳j>巴%K%L)x{刹%KqE剎%KqE勒斯坦%KE>s3<(基斯坦文%KJKs3<(/:塞%KoG士%Ks4{专线%Ks4l]sM佬%Ks4G:司{机%Ks4s3JK機%Ks4s3JK}專線%Ks4l]sM站%Ks4hb線%Ks4sM线%Ks4sM}}巵j9巶no巷fhfd巸w`巹J(巺uG巻MF巼%K巽uG巾J'巿3u帀hqs3币&2市s7s4s8{佔率s7jMHj占率s7jMHj场占有率s7p`jMv[Hj場佔有率s7p`jMv[Hj盈率s7x$Hj長s7l4长s7l4}布(#(&{办(#%d加勒斯特(#I3E>s38P包豆腐(#%W8,5t基{納法索(#JKA>3AtA纳法索(#JKA>3AtA}甸(#9E袋{弹(#9n7X彈(#9n7X戏(&9ne:戲(&9ne:}辦(#%d道大会(#9t7JbX魯塞爾(#G=oGwa鲁塞尔(#G=oGwa}帄9K帅uAuK帆3032{布袋30(#9j}帇BPFz师s3{傅s35p{诞s35p7Y}奶s3@?{杀手s3@?qqr.牌s3@?*\"}妹s31L弟s38\"父s35p生s3r?长s3l4}帉3c帊)w帋j:希e9帍bV帎7S帏`6帐l5l4{面l50L}帑>RBlG<帒9n帓/P帔+5+3帕*M)w/V/P帖>#>\"帗3u帘FfFd帙9\\帚i4hX帛&&帜ne帝8#帞/V帟x8帠x2Rn帡,*帢e!帣MGMF帤z$帥uAuK带7G7F8#{分数7G3hsw挈7Gf;队7G;:风向7F63ge}帧jY帨uApq帩nq帪i?師s3{傅s35p{誕s35p7Y}奶s3@?{殺手s3@?qqr.牌s3@?*\"}妹s31L弟s38\"父s35p生s3r?長s3l4}帬[x席jnj8{嗲j88Q}帮(3{会(3bX办(3%d{仔(3%di.}厨(3q(补家计(3(\"I3Ip}帯7G帰W9帱m`>B9t帲,*帳l5l4{面l50L}帴jRjQ帵biz(帶7G7F8#{分數7G3hsw挈7Gf;隊7G;:風向7F63ge}帷`6常u0{哦u0TT}帹qk帺Nx帻jii#帼YSL/帽0v0z帾9p帿df幀jY幁u?幂0h幃`6幄\"-!QR]S9幅6E{画6E_R畫6E_R}幆!_Rk幇(3幈,*幉x,幊LQ幋-6幌5X幍>?幎0h幏I5幐<f幑3Q幒ki幓qW幔.b幕1D幖'E幗YSL/幘jii#幙1D幚(3幛l5幜K@幝o\"jR幞6J)&幟ne幠5o幡3-幢:b>To`k8:_幣&2幤&2幥l4幦0h/P幧no幨nujKnw幩3f幪1f1d1g幫(3{廚(3q(會(3bX補家計(3(\"I3Ip辦(3%d{仔(3%di.}}幬m`>B9t幭0b幮q*poq'pr幯je幰f(幱E$干KoKqf`Of{亨Ofdu净Koj&{利落Koj&F&Gb}劲KqKA哽KoNX啃KoNX手净脚Kor.j&M)收银Kor-S\"炒牛河Kom(RrfF骾骾KoNXNX鲠KoNX}平+N,*,+{上去入,*u1gwvt仄,*iW仓,*o]伏,*6J倉,*o]光{眼{鏡,*Y?RIJd镜,*Y?RIJd}鏡,*Y?Je镜,*Y?Je}凡,*30分,*3c{秋色,*3cm]sc}原,*z*反,*3.叛,*(h台,*><和,*ax喉,*df地,*8\\均,*WK{值,*WKjn}坦,*<(壤,*y\\声,*sQ复,*6J安,*#]{包,*#]%W夜,*#]w,紙,*#]j:纸,*#]j:茶,*#]lx药,*#]yh藥,*#]yh鐘,*#]ki钟,*#]ki}定,*9P实,*rP實,*rP常,*u0{人,*u0vf心,*u0r3}平,*,*{安安,*,*#]#]无奇,*,*0xNx無奇,*,*0xNx}年,*BB底{鑊,*8\"bP镬,*8\"bP鞋,*8\"d*}庸,*y6復,*6J心{而{論,*r3w`Hh论,*r3w`Hh}静气,*r3j\\e;靜氣,*r3j\\e;}息,*sc成,*sT房,*5Z手,*r.排,**$整,*jX方,*5W{公{尺,*5WLQn_里,*5WLQF%}呎,*5Wn_尺,*5Wn_根,*5WJ'米,*5W/+}日,*vz时,*s6明,*0T易近人,*wbJ,vf時,*s6权,*Qr板,*%d{电脑,*%d9JBm電腦,*%d9JBm}權,*Qr正,*jY步青{云,*(&o'`H雲,*(&o'`H}民,*/<{化,*/<2q}水{尺,*u@n_楼,*u@EL樓,*u@EL}淡,*7V滑,*`&生,*r?稳,*`F穩,*`F等,*8:糊,*bR素,*sw聲,*sQ胸,*g?腰,*wi臺,*><行,*dx{四{边形,*dxr_'Qx$邊形,*dxr_'Qx$}宇宙,*dxz%i8时空,*dxs6g?時空,*dxs6g?}衡,*dx{木,*dx1z}装本,*k3(d裝本,*k3(d角,*L/調,*9>调,*9>起平坐,*e:,*jt輩,*(S辈,*(S邮,*vZ郵,*vZ鋪直{敍,*,KjnlJ敘,*,KjnlJ}铺直叙,*,KjnlJ靓正+NF;j#静,*j\\靚正+NF;j#靜,*j\\面,*0L{图,*0L>B圖,*0L>B美{术,*0L/auP術,*0L/auP}設計,*0Lo5Iq设计,*0Lo5Iq}}年BBFjB@Fl{假BBI5初四噉嘅{样BBo?r_J\"JGyX樣BBo?r_J\"JGyX}少BBsA{气盛BBsAe;sV氣盛BBsAe;sV}画BB_R畫BB_R輕BBf-{人BBf-vf力壯BBf-G,k5}轻BBf-{人BBf-vf力壮BBf-G,k5}長BBl4长BBl4}幵f'K9并'\\'W'Y,){发症'\\3AjY购,)NG重'\\kn}幷'\\'W'Y,)幸dz{会dzb\\會dzb\\}幹Kqf`{勁KqKA}幺wi幻_n{听_n=w灯片_n89,\"燈片_n89,\"聽_n=w}幼vYwk{儿园vYw`z(兒園vYw`z(女vYD4稚{园vYj>z(園vYj>z(}}幽vW{会vWb\\會vWb\\}幾JLJK{下JLd%乎JK5r副牌JL5q*\"名JL0T多{下JL9cd%副牌JL9c5q*\"張相JL9cl3u.房JL9c5X更JL9cIQ樓JL9cEL行JL9cff隻牌JL9cj5*\"頂JL9c8p}大JL7F{就幾大JL7Fi8JL7F都JL7F9o}度JK9t張相JLl3u.房JL5X更JLIQ樓JLEL行JLff許JKgv隻牌JLj5*\"頂JL8p}广Y@!iwpwsKvRu{东{牌Y@:]*\"话Y@:]_R}为Y@`6{人知Y@`6vfj9}州话Y@i3_R府话Y@5p_R泛Y@32}庀+4庁=u庂iW広Y@Kv庄k3{友k3vX荷k3fF重k3kn}庅0i庆f/Luf0{兴含含f0f-dldl}庇&e{荫&ev_蔭&ev_}庈NN庉;D@$床o`{位o``4{寓所o``4z&sj}凭o`+K垫o`jS拼o`+K板{夹春袋o`%dJnpu9j跳上席o`%d=eu1j8}被o`+7褥o`yF}庋W:JL庌R1!%庍%Sve庎I;序lJlF庐G<庑0y0x庒k3库5qrY应x!x#{付x#5t分x!3h变x#'S召x#jJ{女郎x#jJD7GN}声x#sQ{虫x#sQp<}对x#;;届x#I;市x#s7征x#jW急x#J3战x#jS接不暇x#j_&Qd&援x#bl景x#K@机x#JK棍x#WM用x#y8{文x#y8/<科学x#y859fz程式x#y8o*sc}考x#d.节x#je讯x#uG诊x#mj试x#s7运而生x#`Jw`r?邀x#wi酬x#m`门x#1`验x#wt}底8\"9]8!{片8\",\"牌8\"*\"面8\"0L}庖**店9A{長9Al4长9Al4}庘!GRS庙0D0@{会0@bX嘴庙舌0@lF0@sb堂0D>T宇0Dz%祝0Dl!}庚J-IQ庛ne府5p庝?0庞,`H*废3S{话3S_R{少讲3S_Rs@Kv}黜3Slh}庠p`庡w^庢iViQ庣=c庤j>庥vW度9t:>9p{住:>l\\{屎忽裁{裤:>l\\s43uoH5q褲:>l\\s43uoH5q}}假9tI5{屋9tI5$Q村9tI5q-}叔:>tu桥:>OX橋:>OX水:>u@稿:>Kd縮:>tu缩:>tu街:>I9跷:>OX蹺:>OX身{定做:>r98tk&訂{做:>r98tk&造:>r98tk&}订{做:>r98tk&造:>r98tk&}}量9tHP{衡9tHPdx}頸:>Jd颈:>Jd高:>Kc}座jtjp{位jt`4右{銘jtv\\0U铭jtv\\0U}談會jt<$bX谈会jt<$bX}庨d-庩>B庪W:JL庫5qrY庬,`10庭=x=w=z庮v[vZ庯(!庰'\\'X'Y庱o(庲G6庳&c+7庴jnji庵!iRu庶uS康fc{乐棋fcGbNv樂棋fcGbNv}庸y6庹>e:>{縮:>tu缩:>tu}庺p<庻uS庼Oj庽z&庾z$z%庿0D0@廀r-廁nen'iW{所位nesj`4紙{座nej:jp架nej:I4盒nej:e\"}}廂u-廃3S廄Iw廅\"!e&S-廆W9`4廇EP廈d&d%廉FfFc{頗Ff,?颇Ff,?}廊GNGL廋r-廌j>hV廍(&廎Oj廏Iw廐Iw廑NTJ(J,廒T`#T廓YS5k^#L/PY廔EN廕v_v]廖Fb廗7G廘H>廙wbx8廚q*q(prq'pp{師腸q*s3p^房q*5X{佬q*5XG:階磚q*5XI9l]}}廛o$廜>B廝s3廞v]廟0@0D{嘴廟舌0@lF0@sb堂0D>T宇0Dz%會0@bX祝0Dl!}廠o^廡0y0x廢3S{話3S_R{少講3S_Rs@Kv}黜3Slh}廣Y@Kv{州話Y@i3_R府話Y@5p_R東{牌Y@:]*\"話Y@:]_R}泛Y@32為Y@`6{人知Y@`6vfj9}爲Y@`6{人知Y@`6vfj9}}廤5q廥PdPe^.廦'i,9廧p`廨d,I;廩EU廪EU廫F`廬G<廭ji廮x\"廯sKsL廰=?廱y3廲EHEJ廳=?=u{長=?l4}廴vg廵px延wx{揽wxDv攬wxDv緩wxbl缓wxbl}廷=x廸9b廹&!&#'i建K;廻bZ廼@CDm廽bZ廾LRutw,廿utw,B>vtFh{四味utr_/^}开fK{会fKbX位fK`4则fKji到声fK9qru口{中fKddkk及{着脷fKddJ8lDF&著脷fKddJ8lDF&}夹{着脷fKddJ8lDF&著脷fKddJ8lDF&}𤜯{着脷fKddJ8lDF&著脷fKddJ8lDF&}}咪fK/'善堂fKsP>R士机fKs4JK声fKru夜fKw(大片fK7J,\"天索价fK=oqwI5平fK,*{粽fK,*kj}引号fKvgfR房fK5X括号fKQ/fR明车马fK0TM-.I正fKj#片fK,\"玩笑fK_lsA盘fK-4笼雀fKH*l@罐头fKLM<R裆裤fKGP5q边fK'V}弁'V-6异wbw`{卵双生wbHdu-r?相wbu/}弃e;e5{将e;l5车保帅e;M-(\"uA}弄H,H)C\\{巧反拙H,d.3.lh}弅3g弆M.弇wpwo弈x8弉k8弊&2{处&2q)家溜&2I3F'處&2q)}弋x8弌vu弍wb弎qWqY式sc{样scyX樣scyX}弐wb弑s5弒s5弓LQ弔9;9]引vg{以{为{傲vgwa`6Tb戒vgwa`6I;荣vgwa`6a`鉴vgwa`6IG}為{傲vgwa`6Tb戒vgwa`6I;榮vgwa`6a`鑒vgwa`6IG}爲{傲vgwa`6Tb戒vgwa`6I;榮vgwa`6a`鑒vgwa`6IG}}号vgfR號vgfR}弖LQ弗3u535-{到漏油5-9qEPvX弗哋3u3u8X}弘`N弙bQ弚8&?f弛nfnd弜QI弝%M弞mj弟8&<O?f<P8\"9.8$90{弟8$8\"}张l3l5{冠李戴l3LKF%7G画l3_R被l3+7量l3HP}弡Wb弢>?弣5p弤8\"弥ATF$/`AQ/a弦wxz*{乐wxU,樂wxU,}弧bT弨no弩BmG=弪KA弫mj弬w`弭/+/a弮h3MFMGLQ弯_i_o{臣_or:}弰qQ弱yh{不禁{風yh&QNK63风yh&QNK63}}弲h3弳KA弴99張l3l5{冠李戴l3LKF%7G畫l3_R被l3+7量l3HP}弶QJLzl5QIKwKz強QHQIQGLzQF{人所難QIvfsj@T制QIi/{令QIi/Ft}化玻璃QH2q'oF!差人意QIluvfw_忍QIvd拍QI*M推QI?c檢QIK4求QINH積金QIjiJ!脊QFj5行QIdx詞奪理QInf;\\F%顏歡笑QIRH6-sA}弸*<&E*r,'弹7\\7X<*{劾<*e,匣7XIX咗<*jp唔弹<*%B<*唱<*p_嚟<*EH埋<*.N墨<*/V壳7Xfw头7X<T夹7XIX奏<*i5完<*z*指之间<*j:j9IK棉花<*0N2o珠7XlW琴<*NN琵琶<*+6)x簧7\\b:{刀7\\b:9o}药7Xyh过<*Y#道导弹7\\9t9t7X}强QHQILzQFQG{人所{难QIvfsj@T難QIvfsj@T}制QIi/{令QIi/Ft}化玻璃QH2q'oF!差人意QIluvfw_忍QIvd拍QI*M推QI?c检QIK4檢QIK4求QINH积金QIjiJ!積金QIjiJ!脊QFj5行QIdx詞奪理QInf;\\F%词夺理QInf;\\F%顏歡笑QIRH6-sA颜欢笑QIRH6-sA}弻&V弼&V弽sY弾7\\弿K:彀Iw彁KW彂3A彃&Q彄NE彅jR彆'e'h彇s?彈7\\7X<*{劾<*e,匣7XIX咗<*jp唔彈<*%B<*唱<*p_嚟<*EH埋<*.N墨<*/V夾7XIX奏<*i5完<*z*指之間<*j:j9IK棉花<*0N2o殼7Xfw珠7XlW琴<*NN琵琶<*+6)x簧7\\b:{刀7\\b:9o}藥7Xyh過<*Y#道導彈7\\9t9t7X頭7X<T}彉^#5kYSL/PY彊QHLuQGQILz彋`NWQ_r彌AT/`AQ/aF$彍^#YSL/PY彎_i_o{臣_or:}彏5kYSL/彐Iq彑Iq归W9[eW>{队W9;:}当:':):,{令箭:)FtjS作:)kG你{冇到:)AU0y9q哋冇到:)AU8\\0y9q}佢{冇到:)Q[0y9q哋冇到:)Q[8\\0y9q}做:)k&冇到:)0y9q差:'m!成:)sT我{冇到:)TU0y9q哋冇到:)TU8\\0y9q}更:'IQ机立断:'JKE2;V正:)j#死:)r^真:)i?神{咁拜:)r<J\"%S噉拜:)r<J\"%S}票:)+q耳边风:)wa'Q63舖:),L透明:)<S0T隐形:)vdx$面:'0L食生菜:)shqcoG饭食:)32sh}彔H>录H>H:{影带H>x\"7F音带H>v]7F}彖?k彗uD`8彘j>i2彙b\\`8Hb彚`8彛w`彜w`彝w`彞w`彟bPbM彠bPbM彡qW形x$彣/<彤?0彥wz彦wz彧yE彨nc彩oF{券oFMG漂oF+q画oF_R畫oF_R蛋oF7\\}彪'E彫99=c彬&?彭*<(3,`*:彮y7彯+o彰l3影x\"wF{带x\"7F帶x\"7F快相x\"2wu.片x\",\"相x\"u.{机x\"u.JK機x\"u.JK}碟x\"9R}彲nc彳o9o3{亍{咁{轉o3pcJ\"l_转o3pcJ\"l_}噉{轉o3pcJ\"l_转o3pcJ\"l_}}}彴lA彵>7彶J3彷5X,`{徨,`b<}彸ki役x8彺b<彻o5彼&d+4彽nf8!彾FrFs彿3u往b={死{裏打b=r^Ha7?里打b=r^Ha7?}生b=r?}征jWo*j:徂oN徃b=径KAIS待9n7E徆r'徇uEpxuJ{众要求uEkkwiNH眾要求uEkkwiNH衆要求uEkkwiNH}很dp徉yZ徊bZ律HnHj{师行Hns3fd師行Hns3fd}後dhdd{來居上dhG6M-u1勁dhKA嚟dhF$園dhz(娘dhD\"孃dhD\"尾dh/]巷dhfd年dhB@底爺dh8\"w'會有期dhb\\v[Nx欄dhE!生{可畏dhr?fF`5女dhqcD4}真相dhi?u/綴dhlJ花園dh2oz(踿dhm]門dh1^}徍b=徎o(徏ji徐prpp徑KAIS徒>B>@{弟>B8\"}従p<徔j9徕G6G8徖p<得8K8E{上{床掀被罯8Ku1o`f'+7NL牀掀被罯8Ku1o`f'+7NL}个样8KKYyX個樣8KKYyX当8K:)心{应手8Kr3x#r.應手8Kr3x#r.}把{声8K%Lru聲8K%Lru}當8K:)}徘-$徙qL徚IL徛JPJMNy徜u0徝j;從p<tcknp9kikk{容tcy6{不迫tcy6&Q'i就義tcy6i8wb}犯p<3.輕發落p<f-3AGb}徟i3徠G6G8御z&R2!&徢sY徣i_徤K>徥s8j>徦I4d$徧,#'S徨b<復6J3\\6E{會6JbX}循px徫`7徬,`(8徭wl微/`/^/]{信女/`uGD4生物/`r?/P調/`=f调/`=f}徯d`da徰jW徱+q徲<Nnf徳8K徴jW徵jWj:o*徶'e,5德8K{文8K/:行8Kdz高望重8KKc12kn}徸p9徹o5徺eu徻`5bY徼K/K-K.euwi徽3Q徾/`徿H,H+忀u-C%忁(#忂QZ心r3r9{事重重r3s8p<p<力交瘁r3G,I?uC地r38X头好r3<TfS平r3,*{如{鏡r3,*z$Je镜r3,*z$Je}气和r3,*e;ax氣和r3,*e;ax}悒r3S-散r3q^淡r3<%理{医生r3F%w]r?醫生r3F%w]r?}瓣r33.翳r3Rk胸{狭窄r3g?dGi#狹窄r3g?dGi#}領神會r3Fsr<b\\頭好r3<TfS领神会r3Fsr<b\\}忄uVr3必'c{中'ckk}忆x3忇Et忈vf忉9o>?忊9P忋K^忌JPJL{廉JPFc{槟JPFc&?檳JPFc&?汤JPFc>Q湯JPFc>Q}}忍vdvg{俊不禁vdlM&QJ!辱{負重vdyJ5tkn负重vdyJ5tkn}}忎vf忏m/qYnw忐<(忑>-忒>-忓Ko忔S8e'\",vz忕r,s8;q忖q.{度q.:>}志j;忘1012忙10忚e9忛30応x#忝=j=m忞/</:忟/</@{姜/@Lu憎/@iF薑/@Lu}忠ki{告kiLc}忡p9忢%J%D忣J3忤%I%J%C忥e;忦KM忧vW忨bnz*忩p9忪kitc快2w2v2u{件2wK:劳2uG:勞2uG:捷2wje测2wmK測2wmK靓正2wF;j#靚正2wF;j#高{長大2wKcl47J长大2wKcl47J}}忬z&忭'V忮j;JP忯Nxs8忰uD忱r6忲;q忳@$lK<`{忳震<`<`iA雞<`Io鷄<`Io鸡<`Io}忴O`NN念B>utw,Fh9J{口{簧B>ddb:黄B>ddb:}}忶`H忷g?忸A\"A%CnELH>忹PH忺f'f!忻vc忼PFfd忽3u{忽哋3u3u8X}忾P/e;忿3g3d3h{忿不平3g3g&Q,*气3he;氣3he;}怀_Z{疑人生_Zw`vfr?石料理_Zs2FbF%}态;q怂td怃0y怄!e!cRoRq怅p_l5{惘l511然若失l5wxyhrK}怆o_o^怇M2怈vV怉%X,O怊no=f怋/</=怌+3怍kGkJ怎i:9@h^怏yXyWyY怐NGdh怑(h怒BnC9G>{发{上冲冠Bn3Au2p9LK冲冠Bn3Ap9LK}髮{上衝冠Bn3Au2p9LK衝冠Bn3Ap9LK}}怓@HDr怔jW怕)w)v{羞)wm^蚀底)wsb8\"蝕底)wsb8\"}怖(#怗>#jK怘L5YY怙bV怚lJoK怛7k<(怜FlFr思s3s5so{华力肠s3_TG,p^華力腸s3_TG,p^覺失調s3L/rK=f觉失调s3L/rK=f量s3HP}怞vZi8m`怟8#怠>=9n怡w`{和w`av}怢8J怣vZ怤5o急J3{中生智J3kir?j;件J3K:}怦,'*9性sS{命sS0V玩具sSbnM2生活sSr?c&行{为sSdx`6為sSdx`6爲sSdx`6}}怨z)怩ATF$怪V_V^W;{兽家长V_r/I3l4獸家長V_r/I3l4相V_u/}怫3z(V3S怬e;怭'c怮vW怯f5怰z,怱p9怲'X'Y怳5X怴`Wh;怵lQq!uK怶&e怷scuP怸sc怹;i怺aa总kj{局kjLd行kjfd额kjR^}怼;>lJ怽/b怾scne怿x8恀j:nds8恁vbA(va恂uE恃ngs7{宠生骄ngp:r?K-寵生驕ngp:r?K-}恄e'恅G=恆dxJ.J-J/{河沙數dxfHqEsv生dxr?{大學dxr?7Jfz指數dxr?j:sw}}恇fc恈/0恉j:恊f5f8恋HvHy{栈Hvhd}恌=c恍5X恎9\\恏fR恐g@{怖{分子g@(#3hj:片g@(#,\"}}恑W:恒dxJ.dvJ-J/{河沙{数dxfHqEsv數dxfHqEsv}生dxr?{大{学dxr?7Jfz學dxr?7Jfz}指{数dxr?j:sw數dxr?j:sw}}}恓r'恔d2恕uS恖s3恗5o恘vWm`恙y\\恚`8`5_\\恛bZ恜o9sc恝I_!MKMRY恞w`恟g?恠V_恡Hh恢5u恣j;ncj9ne恤uK恥nd{與{為伍ndz%`6%I爲伍ndz%`6%I}}恦u/gd恧CnH>恨dt{到dt9p唔到dt%B9p}恩vc{平vc,*断义绝vc;Vwblh斷義絕vc;Vwblh重如山vcknz$q]}恪PY恫:b?-恬=l=m{静=mj\\靜=mj\\}恭LQ{敬不如{从命LQKA&Qz$p<0V從命LQKA&Qz$p<0V}請LQo(请LQo(}恮q0息scrQ{率scHj肉scyF}恰e!{到{上心口e!9qu1r3dd好{处e!9qfRq)處e!9qfRq)}}如其分e!z$Nx3h当e!:)當e!:)}恱z2恲*9恳dp{请dpo(}恴8K恵`8恶#wbQU)bS5oU,{作U)kG做U)k&劣#wI&名昭彰#w0Tnol3向胆边生#wge7R'Qr?啃#wNX晒U)qM死{睖瞪#ws4A689能登#ws4A689}爷#ww'{头#ww'<R}瞓U)3e耗U,fS行#wdz霸U)%M骾#wNX鲠U)NX}恷vW恸:b恹wo恺fL恻n'mK恼BmG=@E恽`J`F恾10恿y4y7悀y7悁MGMEz'悂+3*W悃[v悄npnqns{悄nqnq{話nqnq_V话nqnq_V}}悅z2悆z&悇>B悈I;e-悉sc悊je悋Hh悌8&<O<P悍fafb{将fal5將fal5}悎fVIA悏f5悐>-悑(#悒voS-悓wy悔5w{棋5wNv}悕e9悖(V(S(z{論(SHh论(SHh}悗1a1`悘w]悙du悚td悛uWq-悜o(悝5uF%[c悞%J%D悟%J%B%H%D悠vZ悡F$悢HPGO患_n{处_nq)處_nq)难_n@V{之交_n@Vj9I?见真情_n@VK;i?o*}難_n@V{之交_n@Vj9I?見真情_n@VK;i?o*}}悤p9悥w_悦z2悧F$您AUF%悩BmG=悪#wU)悫PY悬z*悭d9{皮d9+4返d93-{啖气d93-7Ve;}}悮%J%D悯/=悰p<p>悱4.悲&c悳8K悴uDuC悵p_l5{惘l511然若失l5wxyhrK}悶1b悷EJHb悸W;W>悹LMLLYq悺LMLLYq悻dzdy悼9t悽mW悾g?悿=j=p惀HfHh惁scse惂dj惃WL惄B\\G,情o*o({分o*3h操o*oM深{义重o*r3wbkn義重o*r3wbkn}}惆m`惇;?惈Y\"KX惉jK惊K?HPJc{世骇俗K?r)d+l&为天人K?`6=ovf人K?vf动K?:b叹K?<)吓K?dS呼K?5o喜K?e:天K?=o{动地K?=o:b8\\地泣鬼神K?=o8\\voW:r<}奇K?Nx异K?wb弓之鸟K?LQj9B7心K?r3{动魄K?r3:b*M}恐K?g@{症K?g@jY}惶K?b<{失措K?b<rKoM}愕K?U,慌K?5W{失措K?5WrKoM}栗K?Hn涛{拍岸K?>B*MTn骇浪K?>Bd+GP}艳K?wt蛰K?jn觉K?L/讶K?R1醒K?sR险K?f\"青JcnK魂K?`H{未定K?`H/b9P甫定K?`H,K9P}}惋z(bj惌z'z)惍J!惎JPJM惏DxET惐at惑`,惒ax惓QrMG惔<$7V惕>-惖>-惗A(ER惘11惙le惚3u惛3c/=惜scs/{身s/r9}惝o^>R惞vc惟`6惠`8惡#wbS5obQU)U,{作U)kG做U)k&劣#wI&名昭彰#w0Tnol3向膽邊生#wge7R'Qr?啃#wNX晒U)qM死{睖瞪#ws4A689能登#ws4A689}爺#ww'{頭#ww'<R}瞓U)3e耗U,fS行#wdz霸U)%M骾#wNX鯁U)NX}惢sj惣kj惤K9惥y4惦9A惧M2M.惨m.{绿少年m.H>sABB重m.kn}惩o*{处o*q(}惪8K惫&h%V惬f5f8惭m0惮7\\惯Vq{犯Vq3.}惰9h惱Bm@EG=惲`J`F想u.惴q.lG{惴不安lGlG&Q#]}惵9V惶b<惷pvq.惸Ol惹w+{事生非w+s8r?4-}惺sQsR{忪sQtc}惻n'mK惼'R,\"惽/=3c惾kir/惿<Ns8愀npma愁r0愂(V愃uWh3uX愄bWbZ愅Ie愆f'愇`7愈z&z2{嚟愈z2EHz2滚愈大z2WLz27J滾愈大z2WLz27J穷愈见鬼z2Q$z2K;W:窮愈見鬼z2Q$z2K;W:}愉z$z&<Q{园z$z(園z$z(快z&2w}愊'i愋h3愌bn愍/=愎'i6E意w_w^w]{会w_b\\兴阑珊w_f/E$q]意思思w_w_s5s5料w_Fb{中事w_Fbkis8之外w_Fbj9T\\}會w_b\\興闌珊w_f/E$q]}愐0O愑y7愒P/e;fqNA愓:,u-愔v]愕U,#z愖r6愗/2愘PY愙PY愚z$愛#MTY{好#MfS將#Ml5美神{導彈#M/ar<9t7X飛彈#M/ar<4-7X}迪生#M9br?隊#M;:}愜f5f8愝wv愞Bbz+G2感J\"{应J\"x#{器J\"x#e;}應J\"x#{器J\"x#e;}}愠`G`F愡kj愢so愣FtF9Fr愤3g愥x!愦Pd^.Pe愧[g[e愨PY愩LQg@LS愪`H愫sw愬swqw愭Nx愮wl愯td愰5X愱iV愲W]愳M2愴o_o^愵B\\G,愶f5愷fL愸jX愹y7愺oL愻uG愼r>愽(G愾P/e;愿z,z({者上钓z,i^u19;}慀dbd*慁`J慂y4慃#dTp慄Hn慅oLsu慆>?慇vc慈nf慉pKgQ慊f#f\"f5wr態;q慌5W5X慍`G`F慎r>{重r>kn}慏0U慐LQ慑sYj_慒p<k!慓+q+s+r慔0z慕0z1E{名而{來0z0Tw`G6来0z0Tw`G6}士1Es4}慖YSL/慗o9慘m.{綠少年m.H>sABB重m.kn}慙m0慚m0慛pr慜/=慝>-BW慞l3慟:b慠Tb#V慡t.慢.b.^{慢.b.^{搣.b.^0]行.b.bdx食.b.^sh}}慣Vq{犯Vq3.}慤PY慥k&oM慦Iw慧`8`5`4`6慨P/P.慩Fl慪!e!cRoRq慫td慬NT慭vhS&慮HbG<H>慯u-慰`5慱@$慲1`慳d9{皮d9+4返d93-{啖氣d93-7Ve;}}慴sYj_慵y6慶f/Luf0{興含含f0f-dldl}慷fdPFfc慸8#慹iKj_慺EN慻MG慼o9慽o9慾yJ慿*r憀F`憁kj憂vW憃p9ki憄j;憅:b憆m9憇e;憈QW憉*<憊&h%V憋'e憌Ol憍K-憎iEiF憏mYi/憐Fl憑*r&J+K'&憒PdPe^.憓`8憔nr{悴nruC}憕o*憖vhS&憗vh憘e:憙e:憚7\\憛<$憜9h憝;>;;憞;>憟tu憠Qw憡mM憢eu憣3-憤3g憥G<憦G>憧p9ki?0憨di憩e;憪d<d=d>憫/=憬K@憭FaF`憮0y憯m.憰QwW]憱pKm_憲f)憳<\"憴sT憵,9憶x3憷o@lQ憸nu憹BlCZG=BmG<H*憺7V憻<(憼K@KA憽tc憾dn憿K-KQK.懀`5懁h3MG懂:^懃NT懄NT懅QZM2懆oLoM懇dp{請dpo(}懈d,I;d+應x!x#{付x#5t分x!3h召x#jJ{女郎x#jJD7GN}對x#;;屆x#I;市x#s7徵x#jW急x#J3戰x#jS接不暇x#j_&Qd&援x#bl景x#K@棍x#WM機x#JK用x#y8{文x#y8/<科學x#y859fz程式x#y8o*sc}節x#je考x#d.聲x#sQ{蟲x#sQp<}訊x#uG診x#mj試x#s7變x#'S運而生x#`Jw`r?邀x#wi酬x#m`門x#1`驗x#wt}懊#ST_懋/2懌x8懍EU懎sc懏lM懐_Z懑1b1a懒E%E\"{叻E\"FK得E\"8K{戚E\"8Ko9敕E\"8Ko9}散E%q^有嘢E\"v[w+架势E\"I5r)系嘢E\"dbw+醒E\"sR阔佬E\"6AG:}懓#MTY懔EU懕wo懖Q/^S懗d#懘o58#9M懙z%z$懚ve懛7E懜1d1g1f懝T\\#P懞1f1g1c懟;>lJ懠mZi2懡0m懢Dx懣1b1a懤m`懥j;懦BbG2懧BbG2懨wo懩y[懪(J(G懫j;懬]kPG懭PG]k懮vWvX懯5o懰ENEO懱0b懲o*{處o*q(}懳`8懴m/懵1d1g1f{到上心口1d9qu1r3dd撚1dEX}懶E%E\"{係嘢E\"dbw+叻E\"FK得E\"8K{戚E\"8Ko9敕E\"8Ko9}散E%q^有嘢E\"v[w+架勢E\"I5r)醒E\"sR闊佬E\"6AG:}懷_Z{疑人生_Zw`vfr?石料理_Zs2FbF%}懸z*懹y\\懺m/nw懻JM懼M2M.懽6-懾sYj_懿w_戀HvHy{棧Hvhd}戁@UE%戂/`戃>Ro^戄5k戅k5Tt#h戆k5Tt#h{框Tt[W{框Tt[W[W}鸠当有趣TtIu:)v[pq}戇Ttk5#h{框Tt[W{框Tt[W[W}鳩當有趣TtIu:)v[pq}戈Y!KW戉z2戊0z戋jQm6戌uK戍uS戎y6{馬半生y6.I(er?马半生y6.I(er?}戏e;5oe93Qe:{桥e;OX玉e;yF肉e;yF}成sTrxo*sR{世rxr){仔rxr)i.}个rxKY{饼印咁rxKY'\"veJ\"}串rxq/为sT`6乍rxhM事rxs8件rxK>個rxKY{餅印咁rxKY'\"veJ\"}出rxq!分sT3h剂rxi-副rx5q劑rxi-千上{万rxo!u1.b萬rxo!u1.b}叠rx9V句rxM/只rxj5名sT0T嚿rxIz{飯rxIz32饭rxIz32}团rx@$團rx@$场rxp`块rx2w堂rx>T堆rx;9場rxp`塊rx2w套rx>A对rx;;對rx;;层rxmr層rxmr幅rx6E幢rx:b座rxjt张rxl3張rxl3打rx7?批rx*W把rx%L支rxj9日rxvz朵rx:v村人rxq-vf束rxpK条rx=f{街rx=fI9}杯rx(Q枝rxj9架rxI5栋rx:b格rxIe條rx=f{街rx=fI9}棚人rx*<vf棟rx:b棵rx,?段rx;V滩rx<'灘rx<'為sT`6爲sT`6片rx,#班rx%c番rx3-疊rx9V疋rx+!盅rxki盏rxhd盞rxhd碌木{咁rxH91zJ\"噉rxH91zJ\"}碗rxbj碟rx9V程rxo*笔rx&Q筆rx&Q箩rxG0箱rxu-篇rx,!籮rxG0級rxN]级rxN]缸rxKu罐rxLM羣rx[x群rx[x艘rxr.行rxff{成市sTffsTs7}趟rx>S道rx9t部rx(&長sTl4长sTl4間rxIK间rxIK队rx;>隊rx;>隻rxj5面rx0P頂rx8p項rxfh題rx<N顶rx8p项rxfh题rx<N齣rxq!}我TU#I{行我素TUdxTUsw}戒I;{指糖I;j:>R}戓J5戔jQm6戕p`或`,_Vat戗p]p_战jSww{将jSl5棋jSNv犯jS3.队jS;:}戙:b:,:^{企水{魚:bNyu@z\"鱼:bNyu@z\"}}戚o9pK戛I_!MKM戜9\\戝mM戞I_戟KQP!戠ji戡dii;戢muiK戣[f戤P/戥8>8:{返{勻8>3-`H匀8>3-`H}}戦jS戧p]p_戨KW戩jR截jhjdje{拳道jeQr9t糊jhbR肢jej9}戫yEat戬jR戭vgwv戮H>戯e;5o戰jSww{將jSl5棋jSNv犯jS3.隊jS;:}戱e;5o戲e;3Q5oe:e9{橋e;OX玉e;yF肉e;yF}戳pkoqlAoo{样oqyX樣oqyX}戴7G{眼{鏡7GRIJd镜7GRIJd}袋7G9j}戵QZ戶bV户bV戸bV戹\"-!QR]S9戺s8戻8&戼.U戽5q{被5q+7}戾HbEFEJG&{横折曲EF_rjeQ3橫折曲EF_rjeQ3計EFIq计EFIq}房5Z5X,`5W{車5Xn-车5Xn-}所sj{作所{为sjkGsj`6為sjkGsj`6爲sjkGsj`6}剩{无几sjj\\0xJL無幾sjj\\0xJL}}扁'R,!{平'R,*{足'R,*l!}担'R7S挞挞'R<><>撻撻'R<><>擔'R7S舟,!i3豆'R8,踢踢'R=V=V}扂9A=m9D扃XcXd扄u.扅w`扆w^扇sMsL{叶sMx(葉sMx(}扈bV扉4-扊ws手r.r1{下{敗將r.d&%Vl5败将r.d&%Vl5}办r.%d坳r.R;天使r.=os5尾{長r./]p`长r./]p`}带r.7F帶r.7F扳眼{見r.%dRIK;{功夫r.%dRIK;LQ5o工夫r.%dRIK;LQ5o}见r.%dRIK;{功夫r.%dRIK;LQ5o工夫r.%dRIK;LQ5o}}指尾r.j:/]提{电话r.<N9J_R電話r.<N9J_R}榴{弹r.EN7X彈r.EN7X}牌r.*\"电筒r.9J?.肘r.i4脚干净r.M)Koj&腳乾淨r.M)Koj&腾脚震r.<`M)iA袋r.9j辦r.%d鈪r.!R電筒r.9J?.騰腳震r.<`M)iA}扌r.才oHoF{女oHD4}扎hwhqhv{脚婆hwM),@腳婆hwM),@}扏NH扐EtG'58扑(E'i-K,q{中(Ekk克牌,qdQ*\"咪(E/'头,q<T打,q7@槌(Epp滅,q0b灭,q0b鎚(Epp锤(Epp頭,q<T}扒)x)v)u%w)w{仔)wi.房)v5Z艇)w=C逆水)xRbu@}打7@7?9L{㩧成7@(EsR个{框7@KY[W靓芡7@KYF;f)}中7@kk乞嚏7@e'nc交叉7@Milu仗7@l5令7?Fp個{框7@KY[W靚芡7@KYF;f)}倒{掟7@9q8q褪7@9q<_}假波7@I3'o冷7@E'到{猪头咁7@9qlW<TJ\"豬頭咁7@9qlW<TJ\"}南磨7@Dx0l卡7@N-吡7@&d听7@=w哥夫7@KW5p噎7@#?困{笼7@[wH(籠7@[wH(}坏7@_X壞7@_X大赤肋7@7Jn_E;女7@D4孖上7@.Eu1小人7@s@vd平7@,*开口牌7@fKdd*\"思噎7@s3#?拳7@Qp捞7@Dr撈7@Dr敗仗7@%Vl5散7@q^斋鹤7@hQfv昂7@Ts{瞓7@Ts3e}更7@IQ月7@z.杂7@hp棘7@P!櫼7@jK正旗{号7@j#NxfV號7@j#NxfV}死7@r]水片7@u@,\"河7@fF油7@vX泻茶7@rXlx瀉茶7@rXlx烂斋钵7@E&hQ(z烊7@yX爛齋{缽7@E&hQ(z鉢7@E&hQ(z}牌7@*\"牙{鉸7@R0IA铰7@R0IA}电话7@9J_R白{鴿轉7@&&IYl_鸽转7@&&IYl_}碟7@9R筋斗7@Vo8(纈7@G#缬7@G#聽7@=w芡7@f)茄{輪7@NoHd轮7@NoHd}草{惊蛇7@oLK?rZ驚蛇7@oLK?rZ}蛇{随棍上7@rZprWMu1隨棍上7@rZprWMu1}褶7@hq败仗7@%Vl5踬7@iV躓7@iV車輪7@n-Hd车轮7@n-Hd量7@HP鑼7@G.{咁{揾7@G.J\"`F搵7@G.J\"`F}都{揾唔{倒7@G.9o`F%B9p到7@G.9o`F%B9p}搵唔{倒7@G.9o`F%B9p到7@G.9o`F%B9p}}}锣7@G.{咁揾7@G.J\"`F都揾唔{倒7@G.9o`F%B9p到7@G.9o`F%B9p}}開口牌7@fKdd*\"雀7@l@{咁眼7@l@J\"RI噉眼7@l@J\"RI}雜7@hp電話7@9J_R飛碟7@4-9R飞碟7@4-9R飽噎7@%X#?饱噎7@%X#?魚7@z\"鱼7@z\"麻雀7@.Hl@鼓趁{兴7@L4mkf/興7@L4mkf/}齋鶴7@hQfv}扔x$a]{掉a]9>}払3.扖vt扗jz托>e>d{塔唔{識轉膊>e<5%Bscl_(G识转膊>e<5%Bscl_(G}杉唔{識轉膊>em/%Bscl_(G识转膊>em/%Bscl_(G}柒>en&{唔{識轉膊>en&%Bscl_(G识转膊>en&%Bscl_(G}}盘>e-4盤>e-4}扙l8扚=d9]9:yhG,{波9]'o起心肝9]e:r3Ko}扛KuPE扜z!扝5o扞fbKpf^fa扟r9扠luhMly{㖞lyay喎lyay祸lyay禍lyay}扡nd>3扢W]K_e;S8\",扣NGNF扤R\\\"'S3S8`\\S#!P\",{失S3rK扤{脚S#S#M)腳S#S#M)}牙R\\R.脚S#M)腳S#M)}扥85;D扦o!o\"执iK{人口水尾iKvfddu@/]到iK9p{宝iK9p(\"都喊三声iK9p9od5qWru}房iK5X正iKj#{啲iKj#9-}相iKu.行iKdx{董事iKdx:^s8}豆噉执iK8,J\"iK返{一身彩iK3-vur9oF剂iK3-i-条命iK3-=f/z{仔iK3-=f/zi.}身彩iK3-r9oF}}扨vh扩^#PYPG]kYS{充卡]kp9N-}扪1`1]扫swsv{兴swf/帚swhX平sw,*波牙sw'oR.牙swR.}扬yZyX{名yZ0T{立万yZ0TE2.b}扬贡yXyXLS}扭A\"A%EL{桥A\"OX橋A\"OX死軚A\"r^;s計A\"Ip{師爺A\"Ips3w*星A\"IpsQ祖宗A\"Ipk\"ki骰A\"Ipsc}计A\"Ip{师爷A\"Ips3w*星A\"IpsQ祖宗A\"Ipk\"ki骰A\"Ipsc}軚A\";s}扮%h3g%e{大袋%h7J9j相%hu/老醒%hG=sR}扯n.{上n.u1唔埋{栏n.%B.NE!欄n.%B.NE!}姩旗n.B?Nx扯地n.n.8X皮{条n.+6=d條n.+6=d}罢啦n.%LDc罷啦n.%LDc𢆡旗n.FiNx}扰wjwm{攘wjy\\}扱N]mAJ8{轉N]l_转N]l_}扲RxJ&!lNN扳*3%d%c.].c{手%dr.机%dJK機%dJK雞.]Io鷄.]Io鸡.]Io}扴KM扵z!bQ扶5r,N5t{搖直上5rwljnu1摇直上5rwljnu1柩5rIw}扷#ST_扸sc批*W+6{中*Wkk}扺j:扻djjedn{头埋墙dj<R.Np`頭埋牆dj<R.Np`}扼\"-!QR]S9扽8588;D找hX承sTo(技JP{惊四座JPK?r_jt术含量JPuPdlHP術含量JPuPdlHP驚四座JPK?r_jt}抁wy抂]lPH抃'V抄m'm){桥m'OX橋m'OX}抅QW抆/=/:/;{尾/;/a屎/:s4水/;u@灰/:5u}抇`\\抈z2抉Qw把%L%M)x{口{啷{过油%LddGLY#vZ過油%LddGLY#vZ}瑯{过油%LddGLY#vZ過油%LddGLY#vZ}}握%L\"-撚%LEX軚%L;s}抋me抌8.i:抍sQ抎`IsP抏z*_lbn抐DDHn抑x3抒uQ抓hX!-hK_RR9{子_Rj:毛_R0x}抔*`投<T{中<Tkk其所好<TNxsjfS名{状<T0Tk8狀<T0Tk8}弹<T7X彈<T7X票率<T+qHj篮<TDv籃<TDv行<Tfd資銀行<Tj9S$ff资银行<Tj9S$ff閒置散<Td<j;q^闲置散<Td<j;q^降<Tff{輸一半<TffuQvu(e输一半<TffuQvu(e}}抖8(<R8){凉<RHN大{气<R7Je;氣<R7Je;}暑<RuR气<Re;氣<Re;涼<RHN}抗PG{命PG0V生素PGr?sw}折jej_sbj^hq{友j_vX射率jer\\Hn断je;V斷je;V现jewv現jewv痕j_dp}抙*`抚5p抛*'{砖引玉*'l]vgyF}抜&V抝!.!/R:R;択i&抟@$l]抠NEvW{裤vW5q}抡Hf抢p^p]o^o]{軚p^;s}抣WK护bV{花使者bV2os5i^荫bVv_}报(#(\"(%{平安(#,*#]应(#x#更(#IQ贩(#3.}抦'X抧j:抨,**9,'抩@NDx抪'q(#披+3{上+3u1士+3s4头散发+3<Tq^3A頭散髮+3<Tq^3A}抬><{轎><OX}抭wm抮i@mjf(抯hK抰yX抱,O*'(&{不平,O&Q,*憾{終生,Odnkir?终生,Odnkir?}打不平,O7@&Q,*}抲fE抳AUB*F%AT抴vVx2抵8\"j:{屌卡8\"9:N-}抶o9抷+3抸f5hq抹1q.q1t{台布.q>:(#平1q,*杀1tqq枱布.q>:(#檯布.q>:(#殺1tqq油.qvX煞1tqq}抺1P抻mj押!M!GdJ!LRXRSRY{柜!MW:櫃!MW:解!MI;}抽m]vW{中m]kk像{画m]l8_R畫m]l8_R}样m]yX樣m]yX油m]vX牌m]*\"裤vW5q褲vW5q象{画m]l8_R畫m]l8_R}}抾KGQWe9抿/=/</:{屎/:s4}拀l!拁Np拂3u&V拃hMhP{乱歌柄hPHzKW'#亂歌柄hPHzKW'#}拄lX担7Q7R7S{子7Sj:担面7S7S0P挑7S=c架7QI4{床7QI4o`}正7Qj#竿7SKo}拆mM{弹mM7X彈mM7X楼mMEL樓mMEL祠堂mMnf>R}拇0y拈B9B@B<FdFjB:9?FcFmBC拉DiDcDnE2E8Dl{丁文Di9K/:大{队Di7J;:隊Di7J;:}片Di,\"牛上{树DiRru1uV樹DiRru1uV}肠Dip^腸Dip^臣Dir:苏Disx蘇Disx队Di;:隊Di;:}拊5p5o拋*'{磚引玉*'l]vgyF}拌(h-3-5拍*M*L*E{乌蝇*MbQx!乸*E@<住上*Ml\\u1卡*MN-拍{箩柚*M*MG-vX籮柚*M*MG-vX}散拖*Mq^>3烏蠅*MbQx!片*M,\"}拎FoBEFr拏@<Df拐V^{杖V^l4}拑O`拒Q[拓>e<5j5{印<5ve片>e,\"}拔&V&T{兰地&VE!8X苗助{長&V0Bjtl4长&V0Bjtl4}蘭地&VE!8X}拕>3拖>3{友>3vX头>3<R拔{魚>3&Vz\"鱼>3&Vz\"}时间>3s6IM時間>3s6IM曳>3vQ架>3I4油瓶>3vZ+N渡>39p肥糖>34.>R艔>39p鞋>3d({兰>3d(E$蘭>3d(E$}頭>3<R}拗!.!/yJR:!-R9R;R=!0{到掂R;9q9D头!-<T姜R:Lu弯R=_i彎R=_i心白菜R:r3&&oG手瓜R=r.VW撬!/K2数!/sw數!/sw气R;e;氣R;e;直R=jn胡婆R9bQ,@腰R:wi薑R:Lu軨!0Fr頭!-<T頸!/Jd颈!/Jd𫐉!0Fr}拘QW拙lelh{劣leI&}拚-5-43-,'-33e,)'V{命,)0V死{无大害-4r^0x7JfP無大害-4r^0x7JfP}烂-5E\"爛-5E\"}招jEii{生jEr?請jEo(请jEo(降jEff}拜%S%Q{会%Sb\\垫%S9F墊%S9F帖%S>\"拜%Q%S{你{条尾%Q%SAU=f/a條尾%Q%SAU=f/a}肉%Q%SyJ}會%Sb\\}拝%S拞8\"vW{裤vW5q褲vW5q}拟waw`{订wa9P}拠M/拡^#PY拢H+H(H*拣IL{楼ILEL}拤M]拥y4$@{兵自重y4'Wj>kn}拦E$拧BJFpBFFrBHFtBE{头BJ<R歪面BJ/X0P转BJl_}拨(z(v(w-G-J{个轮(zKYHd号上网(zfVu111电话(z9J_R}择i&{使i&r(偶条件i&Rs=fK:日i&vv{不如撞日i&vv&Qz$k8vv}}拪o!拫dxdrdt括Q/W)W_^S{号Q/fR號Q/fR}拭sc拮KMJ9I_{据KMM/}拯o({溺o(BW}拰A+EU拱LR拲LR拳QrQp{头会Qr<TbX頭會Qr<TbX}拴q]q0拵q0拶hwhd拷d-d.拸w`nd拹f5f8拺mMpKqw拻5u拼,)-4,'-5+K{命,)0V大散+K7Jq^沉+Kmf盘,)-4盤,)-4}拽vVx2拾rJKGsYKJqn{下拾下qnd%qnd%}拿@<Dd@:Dg@=Df@>{拿{声@<@:ru淋DfDfET聲@<@:ru}渣DghL}挀&#持nfnd{分者nf3hi^卡人nfN-vf平nf,*}挂VY[)VX{冠求去VYLKNHgw画VY_R绿VXH:腊鸭VYE2!F}挃iViQ挄^#PY挅9d挆9d指j:{下{个鼻j:d%KY&h個鼻j:d%KY&h}名道姓j:0T9tsS吓{个鼻j:d%KY&h個鼻j:d%KY&h}甲{鉗j:IYO^钳j:IYO^}腹{为婚j:6E`63c為婚j:6E`63c爲婚j:6E`63c}鹿{为马j:H>`6.I為馬j:H>`6.I爲馬j:H>`6.I}}挈Owf;按#_Tk挊H,挋iA挌Ie挍d2IA挎[)5o挏:b?0挐@<z$@9@HDfDr{掕@9A5}挑=c>?=g{那星=c@;sQ}挒G&挓hK挔Ha挕9S9Vj_挖`#_Q`\"{苦_Q5p}挗Qw挘I#挙M.挚j;挛HxHu{住Hul\\弓虾米HuLQd!/+弮虾米HuLQd!/+捐HuME毛Hu0u都拗返直Hu9o!/3-jn}挜!#R/!&R2!\"{位R2`4住R2l\\埞R28t字数!&j>sw定R28t手挜脚R2r.R2M)拃!&hP碇R28t}挝hKauY!挞<;<97k<>{定<;8t朵7k9d死7kr^生鱼7kqcz\"着<9lD著<9lD订<;8t车<9n-}挟f5IYdJf8KJ{脚KJM)}挠@HDp@FDs@IDrv!@JR9挡:(:){风玻璃:(63'oF!}挢K.K2挣iEhihn挤i-挥3Q挦mfnx挧z%挨!'R6#LR3Ri!*{佬R6G:凭!''&夜R6w(屏!'+K憑!''&拼!'+K{椅!'+Kw^}挨{凭凭!'!'&J&J憑憑!'!'&J&J}晚!'.]更抵夜R6IQ8\"w,街凭巷!'I9&Jfh話!'_R话!'_R近!'NU驴仔R6H`i.}挩@)uA挪B`G0挫oA挬(z挭IS挮<L振iAi?挰m<挱siqEqG挲siqEqG挳duf'挴1O挵H,挶LhLc挷,_挸K:IL挹vo挺=y=v{直=vjn}挻q]sK挼B`G0挽_m_j.].a{下手_jd%r.鞋_jd*}挾f5IYdJf8KJ{腳KJM)}挿mA捀6668捁I@捂bR%J%D捃[vWM[wWL捄NHIwM-捅?.捆[v{膜[v1@}捇`,o;捈>BlxuQ捉l!l#{伊人l!w]vc儿人l!w]vc兒人l!w]vc棋l!Nv魚l!z\"鱼l!z\"}捊*`捋I#I&I!捌%w捍fbfaf^{卫f^`8衛f^`8衞f^`8}捎qQs?捏BPFz捐ME{裤裆ME5qGP褲襠ME5qGP}捑jnsh捒pK捓w*捔L/捕(&捖W)z*捗(&ji,N捘l_lGlM捙vV捚hQ捛Ha捜r-捝@)uA捞DrDoG9G<Dp{仔Doi.佬DoG:偏门G9,!1^哨DrqT头Do<T女G9D4妹Do1K婆Do,@底Dr8\"搅DpID松Dotc绞DpID鱼Drz\"}损uX{兵折将uX'Wjel5}捠&E捡K4换bn{位思考bn`4s3d.更bnIQ画bn_R转bnl_}捣9p捤/a捥bj捦NN捧-:(j64捨rXr[{命rX0V生取義rXr?ppwb}捩G&EFEJHbEv{咁{弃EvJ#e5棄EvJ#e5}弃Eve5手EFr.棄Eve5横折曲EF_rjeQ3橫折曲EF_rjeQ3轉頭EFl^<T转头EFl^<T}捪/<捫1`1]捬5p捭%R据M-M/{为己有M/`6JLv[}捯9q9p捰av捱R6!*{夜R6w(更抵夜R6IQ8\"w,驢仔R6H`i.}捲MF{土重來MF>@p<G6}捳U,#z捴kj捵mj9F=p{地沙9F8\\qE床捵席9Fo`9Fj8牀捵蓆9Fo`9Fj8瘾9Fvg癮9Fvg}捶pr捷jho/je{克jee-{斯洛伐克jee-s3Gb3ze-}報je(#{頻傳je(#*lq0}径jeKA徑jeKA报je(#{频传je(#*lq0}足先登jel!sK89}捸?o8J捹&A5&3n捺@hE8捻B:BPA.B@B9B=FdFjFz捼B`G0捽lQq5lelh{碟lQ9R}捾c&捿mW掀f'f)掁m<掂9D9A9?{当9D:)當9D:)}掃swsv{帚swhX平sw,*波牙sw'oR.牙swR.興swf/}掄Hf掅o)掆Ku掇le;Y授r2{予r2z%命r20V}掉9>8bh\\9:=d=f{中8bkk以{輕心9>waf-r3轻心9>waf-r3}低8b8!哪{妈9:@=.E{顶硬上9:@=.E9LRPu1}媽9:@=.E{頂硬上9:@=.E9LRPu1}}掉揈=f=d5&轉9>l_{頭9>l_<T}转9>l_{头9>l_<T}}掊*^3X*`掋8\"掌l4{柜l4W:櫃l4W:相l4u/}掍`JWL掎JLJK掏>B>?掐dGB@掑Nx排*$'i)v*\"*#{位*$`4名*$0T场*$p^場*$p^挡*$:)排坐*$*$oC擋*$:)架*$I4柵*$q]栅*$q]水量*$u@HP牌*$*\"笛*$9(行*$dx長*$l4长*$l4队*$;:隊*$;:骨{仔*#W]i.精*#W]jW}}掓tu掔d9f'掕FrE_A5{掕跳E_E_=e}掖x8x)vz{高x)Kc}掗!#!\"R2R/!&{位R2`4住R2l\\埞R28t字數!&j>sw定R28t手掗腳R2r.R2M)拃!&hP碇R28t}掘Wb3uWh{头巷Wb<Tfd尾{龍Wb/aH(龙Wb/aH(}頭巷Wb<Tfd}掙iEhihn掚HO掛VY[)VX{冠求去VYLKNHgw畫VY_R綠VXH:臘鴨VYE2!F}掜RmBP!aFz掝`,]E掞sGwswt掟8q8t掠H\\HW{低HW8!水HWu@錢HWo\"钱HWo\"}採oF{青oFnK}探<#<!{听<#=w测<#mK測<#mK盘<#-4盤<#-4聽<#=w長<#l4长<#l4}掣i/o5{面i/0L}掤'W接j_{应j_x#應j_x#更j_J-电话j_9J_R种j_kk種j_kk線生j_sMr?线生j_sMr?船j_uX電話j_9J_R}掦>-控gA推?c{上{報?cu1(#报?cu1(#}倒重{來?c9pp<G6来?c9pp<G6}搪?c>R断?c;V斷?c;V测?cmK測?cmK行?cdx銀機?cS\"JK银机?cS\"JK}掩wp{掩{扬扬wpwpyXyX揚揚wpwpyXyX}盖wpP/蓋wpP/}措oM掫i3掬Lc掭=m=j=k=n掮Of掯NY掰.w%R%Q/S%S{掰%Q%S}掱)x掲Ow掳G=掴W/L/YSW)Wh掵0V掶jh掷i&{地有声i&8\\v[ru银仔i&S\"i.}掸7[7\\sP掹/?/A.].c{掹{紧.c.cJ(緊.c.cJ(}猫尾/A.Q/a貓尾/A.Q/a車邊.]n-'Q车边.]n-'Q雞.]Io{豆皮/?Io8,+6}鷄.]Io{豆皮/?Io8,+6}鸡.]Io{豆皮/?Io8,+6}}掺m-mcqWmeqX掻su掼Vq掽-;%h掾z,掿C8Gb揀IL{樓ILEL}揁jW揂i3vZ揃jRjQ揄z$vZwmvW{裤vW5q褲vW5q}揅wx揆[f[g{时度势[fs6:>r)時度勢[fs6:>r)}揇@O@MDwDy揈WQ3k3l5&3j{头{丸5&<Tz(场5&<Tp`}揈{声3l3jru聲3l3jru}机3lJK機3lJK甩5&Ei頭{丸5&<Tz(場5&<Tp`}}揉vZv\\揊'i揋bW揌rQ揍i5m_揎uW描0B提<Ns6{名<N0T场<Np^場<Np^款卡<N6.N-}揑BPFz插mAm@{头mA<R座mAjp班生mA%cr?画mA_R畫mA_R苏{位mAsu`4头mAsu<R}蘇{位mAsu`4頭mAsu<R}針樓mAi9EL鍼樓mAi9EL针楼mAi9EL队mA;:隊mA;:頭mA<R}揓ne>3揔kj揕i;揖vomu揗<`uI<fuJ<^<d{雞<fIo鷄<fIo鸡<fIo}揘a`_r揙'Q,!,$揚yZyX{名yZ0T{立萬yZ0TE2.b}揚貢yXyXLS}換bn{位思考bn`4s3d.更bnIQ畫bn_R轉bnl_}揜wp!j揝hdhhle揞!jRv{脈Rv/V脉Rv/V}揟u?lE揠!MRY{苗助{長!M0Bjtl4长!M0Bjtl4}}握!Q\"-R]S9!eRq{实\"-rP實\"-rP手位!Qr.`4}揢M]NiP!N5{手Nir.}揣ppq.m!{度q.:>摩q.0i测q.mK測q.mK}揤iQlQ揥8#<M揦DdDgDe{屎上身Dds4u1r9鮓DghL{麪DghL0P}鲊DghL{面DghL0P}}揧E8揨m<揩d'{油d'vX}揪i3m]{痛{脚m]?/M)腳m]?/M)}}揫i3揬8J揭Owe;NAItJ9{尾故Ow/aL4}揮3Q揯J-J/揰p;揱s?tA揲s_9VsYx,sb揳s_I_KMOwsY援blz*z,揵OfK>揶w*揷mA揸hKhL{弗hK5-{人hK5-vf}扒hK)v正hKj#{嚟做hKj#EHk&}軚hK;s}揹(S揺wl揻`3揼8.8-8/8D8?8082{中8.kk低8D8!平8D,*揼下8-8-d%时间8-s6IM時間8-s6IM杯8D(Q死8Dr^波{鐘82'oki钟82'oki}湿8DrE溼8DrE濕8DrE症8-jY石仔8Ds2i.長8-p`长8-p`雞8/Io骨8DW]鷄8/Io鸡8/Io}揽DyDv{上身Dvu1r9住死Dvl\\r^头揽颈Dv<TDvJd揽锡锡DvDvs/s/枕Dvi:榜公Dv(4LQ炒Dvm(身揽势Dvr9Dvr)颈DvJd}揾`F`G/={个伴`FKY(d位`F`4來{搞`FF$I@講`FEHKv}個伴`FKY(d到`F9p嚟搞`FF$I@四方{錢`Fr_5Wo$钱`Fr_5Wo$}朝唔得{晏`FjE%B8K!;晚`FjE%B8K.a}来{搞`FF$I@讲`FEHKv}笨柒`F&Dn&銀`FS\"银`FS\"}揿J&{平J&,*镭J&H]}搀m-搁L/搂EKELEOENEM{屌EM9:{裙EM9:[x}当EM:)打EM7@抱EO,O}搃kj搄J-J/搅I@ID{㖞I@ay到一镬泡I@9qvubP,O呢搅路I@B'I@G;正I@j#盘电话I@-49J_R祸I@ay}搆NGIw搇J&NL搈y6搉PWL/PY搊m]mW搋m!nd搌jR損uX{兵折將uX'Wjel5}搎uW搏(G(J{上位(Gu1`4出位(Gq!`4}搐pKm'搑y6搒,_(4(5*<*r搓o?lum!{人m!vf波m!'o魚蛋m!z$7X鱼蛋m!z$7X}搔su搕e&\"!e!S-搖wlwj{搖wlwj{岌wlwlS2{岌wlwlS2S2}晃晃wlwl5X5X欲墜wlwlyJlJ頭wlwl<T}曳wlvV滾樂wlWLU,錢樹wlo$uV}搗9p搘j9搙CnH>搚Ehf8E2搛K3Ff搜r.r-{证r.jY}搝dd搞I@{㖞I@ay到一{鑊泡I@9qvubP,O镬泡I@9qvubP,O}呢搞路I@B'I@G;喎I@ay弯I@_o彎I@_o正I@j#涴I@ay祸I@ay禍I@ay脶I@ay腡I@ay}搟f(搠tA搡t.搢lM搣0]0b搤\"-!QR]S9搥pr搦BWC8G'Gb搧sM搨<5搩KP搪>T>R>U搫-6,B搬(c搭7e<57h{上7eu1倒{头车7e9q<Tn-頭車7e9q<Tn-}几7hJL半7h(e嗲7e8Q幾7hJL正7hj#的士7e9]s4膊7h(G}搮Hn搯>B>?搰`\\3u搱j>搲_R`d{水`du@烂块面`dE&2w0P爛塊面`dE&2w0P銀`dS\"银`dS\"}搳`,e,_Q搴f'K:搵`F`G/={位`F`4來{搞`FF$I@講`FEHKv}個伴`FKY(d到`F9p嚟搞`FF$I@四方錢`Fr_5Wo$朝唔得{晏`FjE%B8K!;晚`FjE%B8K.a}笨柒`F&Dn&銀`FS\"}搶p^o^p]o]{軚p^;s}搷=r搸lK搹S9\"-Ie携[f搻BWC8G'Gb搼Qr搽lx搾hM搿IYJ5摀bR%JbQ%D{低bQ8!{身bQ8!r9}}摁#_vcTk摂sY摃KuPE摄sYj_FzBPsW{位sY`4时间sYs6IM青鬼sYnKW:}摅uQ摆%R&c{上台%Ru1>:乌龙%RbQH(位%R`4平%R,*明车马%R0TM-.I甫士%R,Ks4盘%R-4薄落%R(JG]}摇wlwj{摇wlwj{头wlwl<T岌wlwlS2{岌wlwlS2S2}晃晃wlwl5X5X欲坠wlwlyJlJ}曳wlvV滚乐wlWLU,钱树wlo$uV}摈&A摉r-摊<'{位<'`4牌<'*\"}摋qq摌m4摍tu摎IuENDp{搅DpID攪DpID}摏ki摐p9p]摑W/YSL/W)Wh摒'X'Y摓66摔uKu?摕8#摖mY摗pK摘i&摙FmFjFl{低Fj8!車Fjn-车Fjn-}摚>S摛ncF$摜Vq摝H>摞G/G0H]G2{低H]8!}摟EKELEMEOEN{屌EM9:{裙EM9:[x}打EM7@抱EO,O當EM:)}摠kj摡K_e;摢bV摣hK摤p^摥>S摦_V摧popr摨@Bj>Dl摩0i0l.E{啰{差玩音乐0iG-lu_jv]U,绸0iG-m^}囉{差玩音樂0iG-lu_jv]U,綢0iG-m^}洛哥0iGbKW納哥0iA>KW纳哥0iA>KW罗差0iG-lu羅差0iG-lu頂0i8p顶0i8p}摪l3摫[c摬x\"摭j5摮T`#T摯j;摰x2摱.]摲qYm/q_摳NEvW{褲vW5q}摴uQ摵o9scqw摶@$l]摷jJm)nt摸0j0i1A0x1D{头摸髻0i<T0iIq底0i8\"盲盲0j.f.c貨0i5;货0i5;頂0j8p頭摸髻0i<T0iIq顶0j8p}摹0x0z{本0z(d}摺j_hqj^{友j_vX痕j_dp}摻m-qXmcqWme摼du摽'E+o+q+s摾QJQI摿wl撀Iw撁f'撂H\\F]撃KQ撄x!撅QwW;Wblh撆,5撇,5{水片,5u@,\"}撈G9DoDrG<Dp{仔Doi.佬DoG:偏門G9,!1^哨DrqT女G9D4妹Do1K婆Do,@底Dr8\"攪DpID絞DpID頭Do<T鬆Dotc魚Drz\"}撉85;?撊d>d=撋z*ytG0B`撌W>撍hdnx撎w_撏mfnx撐m9m;v5hn{到{恆m;9qdx恒m;9qdx}場m;p`{面m;p`0L}枱腳m;>:M)檯腳m;>:M)死你hnr^AU沙{雞hnqEIo鷄hnqEIo}甲hnIY起m;e:飽hn%X}撑m;m9hnv5{到恒m;9qdx台脚m;>:M)场m;p`{面m;p`0L}死你hnr^AU沙{雞hnqEIo鷄hnqEIo鸡hnqEIo}甲hnIY起m;e:飽hn%X饱hn%X}撒qq{旦qq7\\}撓@Hv!@I@JDp@FR9DsDr撔`P撕s3r'撖fbdidm撗YAKw撘7e8D撙l^撚A.EXB:B@BCFdFjFm{头EX<T就EXi8屌EX9:样EXyX樣EXyX狗EXIv雀A.l@頭EX<T}撛Hg撜o(m<89撝3Q撞k8k4o`{正k8j#聋k8H(聾k8H(邪k4n0鬼k4W:}撟K.K2撠KQP!撡oKoM撢<#7\\<\"<!Rx7[!l撣7[7\\sP撤o5撥(z(w-G(v-J{個輪(zKYHd號上網(zfVu111電話(z9J_R}撦n.n-{大奅n-7J*)}撧lhle撨s?K.撩F`F^F]FbF+{棱F]E]牙F]R0稜F]E]阴腿F]v]?d陰腿F]v]?d鼻屎F]&hs4}撪&D撫5p撬K2ewO[播'q{音筒'qv]?.}撮q5m\"撯lA撰hhhe{写herX寫herX文he/<稿heKd述heuP}撱`7>4撲,q-K{克牌,qdQ*\"}撳J&{平J&,*鐳J&H]}撴;?85撵Fm撶_Q撷OwKM撸G=撹I@撺q/q.q-撻<;<97k<>{定<;8t朵7k9d死7kr^生魚7kqcz\"着<9lD著<9lD訂<;8t車<9n-}撼dndj{头埋墙dj<R.Np`頭埋牆dj<R.Np`}撽KQd/OY撾hKY!au撿K4擀Kp擁y4$@{兵自重y4'Wj>kn}擂H`H]{低H]8!沙{汤圆H`qE>Qz(湯圓H`qE>Qz(}}擃C%GO擄G=擅sP擆lA擇i&{使i&r(偶條件i&Rs=fK:日i&vv{不如撞日i&vv&Qz$k8vv}}擈,q擉oqpKl!擊KQ擋:(:){風玻璃:(63'oF!}擌qw操oKoM{盘oK-4盤oK-4行oKdz}擎OlO6擏OlJh{住Jhl\\惜Jhs/錫Jhs/锡Jhs/}擐Vq_nVo擑j_擒NNNL{上擒落NNu1NNGb擒青NNNLnK{青NNNNo'o'}青NNnK}擓[1擔7Q7S7R{子7Sj:挑7S=c擔麪7S7S0P架7QI4{牀7QI4o`}正7Qj#竿7SKo}擕[f擖M]I5I_N/x,擗,9'i+b+\\{炮+b*)}擘.w%Q.u{面.w0L}擙T]#Q據M/{為己有M/`6JLv[爲己有M/`6JLv[}擛x,擜R\\!P擝/?擞r.r/擟/`擠i-擡><{轎><OX轿><OX}擢kJoq{样oqyX樣oqyX}擣9p擤rA擥DyDv擦mGmFmH擧M.擨w*擩z%vZymz$z&擪v;!Gx)RS擫x)擬waw`{訂wa9P}擭bP擮jh擯&A擰BJFpBEBHFtBFFr{歪面BJ/X0P轉BJl_頭BJ<R}擱L/擲i&{地有聲i&8\\v[ru銀仔i&S\"i.}擳jcje擴]k^#YSPYPG{充卡]kp9N-}擵0i擶jS擷OwKM擸E/E2Fz{擸{令E/E/Fq炩E/E/Fq}炩E/Fq網頂E/118p网顶E/118p}擹<'擺%R{上{枱%Ru1>:檯%Ru1>:}位%R`4平%R,*明車馬%R0TM-.I烏龍%RbQH(甫士%R,Ks4盤%R-4薄落%R(JG]}擻r.r/擼G=擽G,G'H\\擾wjwm{攘wjy\\}擿>-j5i&攀*3{上*3u1}攁y[攂H`攃mGqq攄uQ攅q0攆Fm攇f(攈[v[w攉5kPYbP攊G,G'BW{走G'i4}攋DnDj{嘢Djw+}攌_n_m攍x$攎G<G0攏H+H*H(攐f'攑f'攒q0hdl^l]hhlb{盒q0e\"}攓f'攔E$攕nuqW攖x!攗/`[v攘yZy[y\\攙m-攚x$攛q/q-q.攜[f攝sYj_BPsWFz{位sY`4時間sYs6IM青鬼sYnKW:}攞G.G-I#{位G.`4便宜G.,$w`假G.I5到G.9p嚟{衰G.F$u?辛苦G.F$r95p}尾彩G./]oF手袋G.r.9j景定{贈興G.K@9PiJf/赠兴G.K@9PiJf/}}攟[v[w攠/`攡ncF$攢q0hdl]hhlbl^{盒q0e\"}攣HxHu{住Hul\\弓蝦米HuLQd!/+弮蝦米HuLQd!/+捐HuME毛Hu0u都拗返直Hu9o!/3-jn}攤<'{位<'`4牌<'*\"}攥hhle攦EJ攧9E9\\攨_R攩:(:)攪I@ID{到一鑊泡I@9qvubP,O呢攪路I@B'I@G;喎I@ay正I@j#盤電話I@-49J_R禍I@ay}攫5kYS攬DyDv{上身Dvu1r9住死Dvl\\r^攬錫錫DvDvs/s/枕Dvi:榜公Dv(4LQ炒Dvm(身攬勢Dvr9Dvr)頭攬頸Dv<TDvJd頸DvJd}攭EIEJ攮C%GO支j9{支佐佐j9j9jojo行j9fd那j9@:}攰L>Yb{癞癞L>DlDl癩癩L>DlDl}攱W:攲Nu攳mf攴,q(E攵,q收r-{件r-K:僆r-F9到r-9p{風r-9p63风r-9p63}咧r-G!嗲r-8Q回成命r-bZsT0V声r-ru夜r-w(够筹r-Iwm^夠籌r-Iwm^尾r-/]支平衡r-j9,*dx收散r-r-q^油r-vX片r-,\"生r-r?益率r-x3Hj聲r-ru視率r-s8Hj视率r-s8Hj銀r-S\"{員r-S\"z*機r-S\"JK櫃r-S\"W>}银r-S\"{员r-S\"z*机r-S\"JK柜r-S\"W>}}攷d.攸vZ改K^{为K^`6名{换姓K^0TbnsS換姓K^0TbnsS}弦易{轍K^wxx8o5辙K^wxx8o5}為K^`6爲K^`6行K^ff轅易轍K^z*x8o5轉K^l_转K^l_辕易辙K^z*x8o5錯帶K^oA7F错带K^oA7F}攺waK^攻LQ{陷LQdn}攼Kofb攽%c&?放5Y5X{低{二{两5Y8!wbHL兩5Y8!wbHL}几两5Y8!JLHL幾兩5Y8!JLHL}假5YI5圮5Y+1声气5Yrue;盘5Y-4盤5Y-4相{机5Yu.JK機5Yu.JK}緩5Ybl缓5Ybl聲氣5Yrue;行5Ydx貴利5YW;F\"贵利5YW;F\"長線釣大魚5Yp`sM9;7Jz\"长线钓大鱼5Yp`sM9;7Jz\"}政jY{治犯jYj>3.}敀&#敁9?9D敂NG敃/=敄0z故L5L4YXYY{仔L4i.手L4r.技重施L5JPp<s3衣舖L5w],L}敆e&J5敇mM效d2{应d2x#應d2x#率d2Hj}敉/a/+敊pK敋L/敌9b敍lJ敎IAI?敏/={捷/=je}敐r<救Iw{生{员Iwr?z*員Iwr?z*圈Iwr?h3艇Iwr?=C衣Iwr?w]}}敒r9敓;\\敔z%敕o9敖T`Tb#T#V敗%V{仗%Vl5}敘lJ教IAI?{会IAbX{学校IAbXfzd2}堂IA>R头IA<R学相长IAfzu-l4學相長IAfzu-l4會IAbX{學校IAbXfzd2}頭IA<R}敚;\\敛FgFhFd敜BPFz敝&2{帚自珍&2hXj>i?}敞o^敟9F敠le;Y敡wb敢J\"{作敢{为J\"kGJ\"`6為J\"kGJ\"`6爲J\"kGJ\"`6}死{队J\"r^;:隊J\"r^;:}}散q_q^q`{买q^.O乱q^Hz亂q^Hz仔q^i.{会q^i.bX強q`i.QH强q`i.QH會q^i.bX}件q^K:会q_bX使q^r(修修q^r-r-光q^Y?卖q^.P叫q^K/嗌q^!)子q^j:客q^dS工q^LQ弹q^7X{枪q^7Xp]}彈q^7X{槍q^7Xp]}戶q^bV户q^bV手q^r.收收q^r-r-文q^/<晒q^qM更{鑼q_IQG0锣q_IQG0}會q_bX沙q^qE涣q^bn渙q^bn漫q^.b紙q^j:{包q^j:%W}纸q^j:{包q^j:%W}装q^k3裝q^k3貨q^5;買q^.O賣q^.P货q^5;銀q^S\"银q^S\"颼颼q^r-r-飕飕q^r-r-餐q^m3}敤5:5;敥wtI@敦;?;999;;@$;>;D{請;?o(请;?o(}敧JKw^敨<R8(敩d2fz敪le敫K/K.敬KA{业乐{业KAx,R>x,群KAx,R>[x}業樂{業KAx,R>x,群KAx,R>[x}請KAo({原諒KAo(z*HP留意KAo(ENw_}请KAo({原谅KAo(z*HP留意KAo(ENw_}重KAkn}敭yZ敮e!敯/=3c/<数swsvpKtA{一数二svvusvwb三声svqWru之不尽svj9&QlP典忘祖sv9F10k\"白榄sv&&Dv碗数碟svbjsv9V碟底sv9V8\"绵羊sv0NyX臭svm_落svGb量swHP额swR^}敱TZ#N敲d-{击乐d-KQU,擊樂d-KQU,}敳TZl!#N整jX{下整下jXd%jXd%到jX9p整下jXjXd%}敵9b敶mliD敷5o{衍5of({塞{責5of(rQi#责5of(rQi#}}}數swsvtApK{一數二svvusvwb三聲svqWru之不盡svj9&QlP典忘祖sv9F10k\"白欖sv&&Dv碗數碟svbjsv9V碟底sv9V8\"綿羊sv0NyX臭svm_落svGb量swHP額swR^}敹F`F]敺QW!d敻f/h5敼w^e:敽K.敾sP敿K.斀lA;5l!斁x89q斂FgFhFd斃&2{命&20V}斄F$><斅d2fz斆d2fz文/</:/9/>{件/<K:凭试/<*rs7化大革命/<2q7JIe0V字{档/<j>:(檔/<j>:(}憑試/<*rs7档/<:(檔/<:(武吧/<0y%K言文/<wx/:謅謅/<i5i5诌诌/<i5i5过饰非/:Y#sc4-過飾非/:Y#sc4-雀/<l@}斈fz斉mZ斊mZ斋hQ{卤味hQG=/^烧鹅hQs?TR}斌&?斍L/斎hQ斏HN斐4.4-斑%c{鳩%cNE鸠%cNE}斒%c斓E$E&斔z$z%斕E$E&斖/a斗8(8){令8(Fp{踭8(Fphi}兽棋8)r/Nv姥8(0y惨大会8)m.7JbX木师傅8)1zs35p零8(Fp{踭8(Fphi}鸡声8)Ioru}斘sQ料F^Fb{事如神Fbs8z$r<兆FbsD理FbF%酒Fbi4}斚I4斛gV6Je&斜n/n0w*n.{坡n0'o孭袋n//W9j对面n0;;0P對面n0;;0P布n.(#率n0Hj裤n.5q褲n.5q視n0s8视n0s8路n/G:釘n08o钉n08o阳n0yZ陽n0yZ面n00L風細雨n063r)z%风细雨n063r)z%}斝I4斞z$z%斟i9i<斠IAL/斡`#LLauYp斢<S<R斣8)斤J'J){两J'HL兩J'HL}斥o9斦S$!r斧5p{头5p<R{边5p<R'Q}頭5p<R{邊5p<R'Q}}斨p]斩h^{件h^K:头h^<R掉重练h^9>p<Fn犯h^3.缆h^Dv}斪QZ斫lA;5斬h^{件h^K:掉重練h^9>p<Fn犯h^3.纜h^Dv頭h^<R}断;V;S@%;U{代史;V9ns4估;SL4头台;V<T><定;S9P抢;Sp^担挑@%7S=c橛禾虫@%MPaxp:正@%j#水;Vu@烟;Vwu然;Vwx片@%,\"章取义;Vl3ppwb简残章;VILm6l3粮;VHN肠草;Vp`oL背;V(S言;Vwx送;Vte酒;Vi4食;Vsh}斮lA;5斯s3(\"{洛{伐克s3Gb3ze-文尼{亚s3Gb/<AT!#亞s3Gb/<AT!#}}}新r9{会r9b\\冠{病毒r9LK'&:t肺炎r9LK3Swr}净r9j&加坡r9I5'o嚟新{猪肉r9F$r9lWyJ豬肉r9F$r9lWyJ}地r98X填地街r9=r8XI9女r9D4妇r9,O娘r9D\"婦r9,O年{头r9BB<R頭r9BB<R}會r9b\\正{头r9jW<R頭r9jW<R}派r9*!淨r9j&生r9r?盘r9-4盤r9-4蒸{头r9jW<R頭r9jW<R}造r9oO}斱lA斲lA;5{伤;5u-傷;5u-木;51z琴;5NN}斳NT斴Hf斵lA;5斶pKl!斷@%;V;S;U{代史;V9ns4估;SL4定;S9P搶;Sp^擔挑@%7S=c橛禾蟲@%MPaxp:正@%j#水;Vu@烟;Vwu然;Vwx煙;Vwu片@%,\"章取義;Vl3ppwb簡殘章;VILm6l3糧;VHN背;V(S腸草;Vp`oL菸;Vwu言;Vwx送;Vte酒;Vi4頭{台;V<T><臺;V<T><}食;Vsh}斸l!方5W{位5W`4}斺o\"斻ff於z!bQz$施s3s5wb{予s3z%施而行s3s3w`dx行s3dx}斾-#斿vZENv\\旀wa旁,`(8{听,`=w聽,`=w}旂Nx旃jQ旄0x0z旅HaH_{行Hadx{团Hadx@$團Hadx@$支票Hadxj9+q社Hadxr[結婚HadxKM3c结婚HadxKM3c}}旆-#(S旇+3旈EN旉5o旊5X旋uZu\\{律uZHj}旌jWsQ旍jWsQ旎AUF%族l&m_旐sD旑w^旒EN旓qQ旔K;旕z!旖w^旗NxNv{杆NxKo桿NxKo袍Nx,L}旘ne旙3-旚+o旛3-旜jQ旝PdPe^.旞uD旟z$无0x0l0y{中生有0xkir?v[事生非0xs8r?4-以为{报0xwa`6(%继0xwa`6Iq}儿无女0xw`0xD4厘{啦更0xF$DcIQ头尻0xEH<TIu𠸎耕0xF$DcIQ}可限量0xfFd>HP名{指0x0Tj:无姓0x0T0xsS氏0x0Ts8火起0x0T5:e:}声狗0xruIv{咬死人0xruIvR=r^vf}处不在0xq)&Qjz头乌蝇0x<TbQx!情对0xo*;:惊无险0xK?0xf\"料0xFb本生利0x(dr?F&条件0x=fK:知妇孺0xj95sz$线{上网0xsMu111电话0xsM9J_R}能为力0xA6`6G,赖0xDj遮无掩0yi]0ywp间0xIM𠸎𠸎0xDcDc}旡JM既JM旣JM旤az日vz0hvv{上三竿vzu1qWKo久生情vzIvr?o*円vzw?哦夜哦vzTTw,TT头vz<R文vz/:更vzIQ本円vz(dw?行一善vzdxvusP頭vz<R}旦7Y7X7\\旧Iz{事重提Izs8p<<N地重游Iz8\\p<vZ年IzB@生Izr?调重弹Iz9>p<<*}旨j:早k\"{会k\"bX抖k\"<R{啦k\"<RDc}更k\"IQ會k\"bX生{华发k\"r?2o3A華髮k\"r?2o3A}餐{会k\"m3bX會k\"m3bX}}旪f5旫=c旬px旭yE旮M]KWM_DcL/旯DcG-M]G]旰Kqfafb旱fa旲><x\"旳9]旴gu旵m.m/时s6s4{也命也s6us0Vus分s63h时沙沙s6s6qHqH移{世易s6w`r)x8势易s6w`r)x8}装灾难s6k3ju@V运高睇唔到s6`JKc<L%B9p间s6IM{表s6IM'F}髦s60u}旷]kPG旸yZ旹s6旺b>旻/<旼/<旽<]iA旾pu旿%I%C昀`H昁(S昂TrTs#g#f{船洲TsuZi3首挺胸Tsr.=yg?}昃iW昄%d%h昅KJKG昆[uWK{玉[uyF}昇sQ{平sQ,*盆sQ-4盤sQ-4}昈bV昉5X昊fV昋W;昌p]昍h3明0T0R{了0TF`信片0TuG,\"媚0T/`日大{屿0Tvz7Jz$嶼0Tvz7Jz$}星相0TsQu/瞭0TF`}昏3c`E{昏沌`E`E88{沌`E`E8888}迷不醒3c/*&QsR}昐3c昑v^昒3u/P易wbx8{主x8lX地而{处wb8\\w`q)處wb8\\w`q)}容x8y6手x8r.拉架wbDiI4服x86J話{為wb_V`6爲wb_V`6}话为wb_V`6}昔sc昕vc昖z*昗iW昘5X昙<$昚r>昛M2昜yZ昝hdh^昞'X5X星sQru{加坡sQI5'o号sQfR宿sQr/盆sQ-4盘sQ-4盤sQ-4號sQfR}映x\"yX昡z,昢-#-J昣mj昤Fr春pu{光明媚puY?0T/b核pu`\\江{鴨puKu!F鸭puKu!F}联puHv聯puHv茗pu0U覈pu`\\}昦fV昧1P/b{水/bu@{舂{墙/bu@kip`牆/bu@kip`}銅人/bu@?0vf铜人/bu@?0vf}}昨kGkJ{晚kJ.a}昩1t昪'V昫gvgw昬3c昭nojE昮knp>是s8s4{咁的s8J\"9]咪s8/,拉差s8Dim!旦s87\\非啄s84-;'}昰s8d&昱yE昲3S昳9\\vz昴.U/1昵BWB\\G'昶o^p_昷`E昸:]昹#LTX昺'X昻Tr#f昼i5昽H*显f({卡f(N-示卡f(s8N-著f(lY}昿]kPG晀=d晁nrsD時s6s4{也命也s6us0Vus分s63h時沙沙s6s6qHqH移{世易s6w`r)x8勢易s6w`r)x8}裝災難s6k3ju@V運高睇唔到s6`JKc<L%B9p間s6IM{表s6IM'F}髦s60u}晃5X晄5X晅h3h4uX晆[c晇gu['晈I@晉lM晊iQ晋lM晌gd晍?0晎g@晏!;RG{覺!;IA觉!;IA}晐K]晑gd晒qMqKqN{冷qME'士qKs4棚qM*:相qMu.{舖qMu.,L}馬檻qM.IDv马槛qM.IDv}晓ev晔x,晕`H`Jve{得一阵阵`H8Kvui@iD眩`Hz,}晖3Q晗dl晘_m晙lM晚.a.^.]!&{会.abX头夜.a<Tw(會.abX頭夜.a<Tw(}晛wyBDwv晜[uWK晝i5晞e9晟sTsV晠oN晡(!晢jei/晣jei/晤%J%H%D晥bm晦5w晧fV晨r<晩.a晪GN=p晫lA晬lG晭i4普,L{洱,LF\"通{話,L?-_R话,L?-_R}}景K@x\"{轟K@WR轰K@WR}晰sco9晱sF晲RmRn!a晳sc晴o*nN晵N@晶jW{片jW,\"}晷W:晸jX晹scx8智j;{慧j;`5{型手{机j;`5x$r.JK機j;`5x$r.JK}齒j;`5nd齿j;`5nd}者{乐水j;i^R>u@樂水j;i^R>u@}能{电话j;A69J_R電話j;A69J_R}}晻!jwp!kRvRw晼z(bj晽ET晾GPGM{价GMI5住揼GMl\\8.價GMI5線GMsM线GMsM肚GM>C脚GMM)腳GMM)衫{夹GPqWJj夾GPqWJj架GPqWI4}起GMe:}晿p]暀b:b=b>暁ev暂hb暃4-暄h3暅h3J/uX暆w`暇d&d$d!暈`Hve`J{得一陣陣`H8Kvui@iD眩`Hz,}暉3Q暊u@5p暋/=/<暌[f暍fqx/暎x\"暏uV暐`7暑uR{假uRI5}暒o*暓/2暔@NDx暕ILE$暖DOh3HvDLHy{垫DOjQ墊DOjQ壶DObR壺DObR水{壶DOu@bR壺DOu@bR袋DOu@9j}}暗!kRw!i!jRvRu{坎!kMv处!kq)盘!k-4盤!k-4简!kMv簡!kMv處!kq)}暘yZ暙pu暚wl暛sj暜,L暝0T0U0V暞K.暟fL暠fVKd暡y4暢p_{散p_q^}暣e;暤fV暥!;RG暦G,暧#MTX#LTY{昧#L1P}暨NwJP暩i/W;暪1a暫hb暬s_暭fV暮0z暯1D暰p9暱BWB\\G'暲l3暳`5暴(&(G)&(\"{行(&dz}暵f_f^暶uZ暷q0暸F`Fa暹nwnu{罗nwG.羅nwG.}暺<(7\\暻K@暼,5暽Hf暾<]暿e:曀!_Rk曁Nw曂b>曃9n曄x,曅x,曆G,曇<$曈?0曉ev曊3S4-曋r4md曌jG曍fV曎x8曏gegd曐sQ曑r3曒K.曓(&曔KD曕wt曖#M#LTXTY{昧#L1P}曗x,曘z$曙q+uUuV曚1f1c曛3c曜wn曝)&(&{光(&Y?{率(&Y?Hj}晒(&qM曬(&qM露年{齡(&G>BBFr龄(&G>BBFr}}曞EJ曟r<曠]kPG曡9V7h曢F`曣ww曤5k曥G<曦e9曧y6曨H*曩C%GO曪G.曫Hx曬qM{冷qME'棚qM*:相qMu.{舖qMu.,L}馬檻qM.IDv}曭>R曮ws曯l!曰yhz2曱IbJ>hv{甴Ibhv{屋Ibhv$Q屎Ibhvs4}}曲Q3Lc{学阿世Q3fz#Er)學阿世Q3fz#Er)架Q3I4{掣Q3I4i/}高和寡Q3KcazVX}曳vUvVvQvT{曳vQvQ}更J/IQJ-S){上一{层楼J/u1vumrEN層樓J/u1vumrEN}亭IQ=v名J-0T年期J-BBNx弦易{轍J-wxx8o5辙J-wxx8o5}换J-bn換J-bn改J-K^新J-r9替J-<M正J-jY生J-r?{中心J-r?kir3人士J-qcvfs8}練IQFn练IQFn衣室J-w]rK迭J-9\\鼓IQL4}曵vV曶3u/P曷fq!MftRY書uQ{券uQMG友uQvX名號uQ0TfV呆子uQ7Ej:坊舖uQ5W,L局uQLd房uQ5X架uQI4獃子uQ7Ej:生uQr?畫uQ_R面uQ0L{語uQ0Lz%}}曹oN曺oN曻q.曼.b.`1a曽iE曾mriE{孙iEuW{女iEuWD4}孫iEuW{女iEuWD4}祖{母iEk\"0y父iEk\"5t}}替<M{天行道<M=odx9t更<MIQ}最lG{为lG`6尾lG/]為lG`6爲lG`6}朁m.朂yE會b[b\\bXbYPdPe^.{上bXu2仔bXi.務bX0z合b\\e&同b\\?0員bXz*場bXp`客b\\dS展b\\jR{頭b\\jR<T}心b\\r3意b\\w_戰b\\jS所b\\sj晤b\\%J社b\\r[章bXl3籍bXjn考b\\d.見b\\K;計b\\Iq{師b\\Iqs3}診b\\mj試b\\s7話b\\_R談b\\<$議b\\wa錯意b\\oAw_長b\\l4陰b\\v]面b\\0P頭bX<T館b\\LL}朄vgvh朅Owfq朆3c朇+6月z2z.{下{貨z2d%5;货z2d%5;}氏z2j9相z2u/餅會z2'\"bX饼会z2'\"bX黑{風高z2dQ63Kc风高z2dQ63Kc}}有v[v\\{两道散手v[HO9tq^r.为v[`6乜冬瓜豆腐v[/K:]VW8,5t事慢慢{講v[s8.b.^Kv讲v[s8.b.^Kv}交易v[I?x8今生冇{來世v[J!r?0yG6r)来世v[J!r?0yG6r)}份v[3d便宜唔使{頸v[,$w`%Br(Jd颈v[,$w`%Br(Jd}兩道散手v[HO9tq^r.几何v[JLfF办你睇v[%dAU<L卡士v[M]s4名{无实v[0T0xrP有姓v[0Tv[sS無實v[0T0xrP}味笑{話v[/bsA_R话v[/bsA_R}咩冬瓜豆腐v[/W:]VW8,5t声v[ru{书v[ruuQ有色v[sQv[sc气v[rue;}幾何v[JLfF惊无险v[K?0xf\"撚v[EX数为v[sw`6數{為v[sw`6爲v[sw`6}早知冇乞{儿v[k\"j90ye'w]兒v[k\"j90ye'w]}朋自{远方来v[*rj>z+5WEH遠方來v[*rj>z+5WEH}朝一日v[jEvuvz机玻璃v[JK'oF!条不紊v[=f&Q/=样学样v[yXfzyX根{有蔃v[J'v[QI蔃v[J'QI}條不紊v[=f&Q/=樣學樣v[yXfzyX機玻璃v[JK'oF!气{冇碇{唞v[e;0y8t<R透v[e;0y8t<R}无力v[e;0yG,}氣{冇碇{唞v[e;0y8t<R透v[e;0y8t<R}無力v[e;0yG,}求必{应v[NH'cx#應v[NH'cx#}波有{箩v['ov[G-籮v['ov[G-}為v[`6爲v[`6生之年v[r?j9BB箩v[G-籮v[G-聲v[ru{書v[ruuQ有色v[sQv[sc氣v[rue;}色眼{鏡v[scRIJd镜v[scRIJd}行v[ff請小鳳姐v[nLs@64i]讚冇彈v[he0y<*请小凤姐v[nLs@64i]賭未{為輸v[9p/b`6uQ爲輸v[9p/b`6uQ}赌未为输v[9p/b`6uQ赞冇弹v[he0y<*辦你睇v[%dAU<L錢冇{埞使v[o\"0y8tr(碇使v[o\"0y8tr(}钱冇{埞使v[o\"0y8tr(碇使v[o\"0y8tr(}面v[0L驚無險v[K?0xf\"}朊z(LLYp朋*r*:*p{比{为奸*r&e`6IK為奸*r&e`6IK爲奸*r&e`6IK}}朌3f%c服6J{务性行业6J0zsSffx,務性行業6J0zsSffx,}朎Fr朏4.朐QZ朑r)朒CnCiH>1z朓=e=d=g=c朔tA朕i>朖GO朗GO朘lEuWlKl'l]lMl*{朘l*l'}朙0T朚5W望12101.{就{係咁望12i8dbJ\"12系咁望12i8dbJ\"12}文生{义12/<r?wb義12/<r?wb}而生畏12w`r?`5}朜<]朝nrjElW{三暮四jEqW0zr_不保夕jE&Q(\"jn九晚五jEIv.a%I令夕改jEFtjnK^会jEbX夕jEjn{相{对jEjnu-;;對jEjnu-;;}}头{夜晚jE<Tw,.a早jE<Tk\"}思暮想jEs30zu.拍晚播jE*M.a'q早jEk\"會jEbX朝jEjE桁晚拆jEff.amM气jEe;{勃勃jEe;(z(z蓬勃jEe;-<(z}氣jEe;{勃勃jEe;(z(z蓬勃jEe;-<(z}种树晚{鎅板jEkkuV.aI;%d𠝹板jEkkuV.aI;%d}秦暮楚jEpx0zo@種樹晚{鎅板jEkkuV.aI;%d𠝹板jEkkuV.aI;%d}見口晚見面jEK;dd.aK;0P见口晚见面jEK;dd.aK;0P阳jEyZ陽jEyZ露jEG>頭{夜晚jE<Tw,.a早jE<Tk\"}}朞JK期NxJK朠x!朡ki朢1210朣?0朤GO朥G<朦1f朧H*木1z1u{咀1ulF嘴1ulF契1uNA弹1z7X彈1z7X椎1zpr橛1zQw皮1z+4管{乐1zLLU,樂1zLLU,}糠布甸1zfc(#9E行1zfd魚1zz\"鱼1zz\"}朩1z未/b{有耐/bv[Bd老先衰/bG=sKpo頂/b8p顶/b8p}末1t0i1p本(d{分(d3h命(d0V嚟(dF$地{話(d8\\_R话(d8\\_R}是同根生(ds8?0J'r?科生(d59r?能反{应(dA63.x#應(dA63.x#}錢(do$钱(do$}札hw!MhvRYhq{码字hq.Ij>碼字hq.Ij>馬hq.I马hq.I}朮uP术uPuL朰hw朱lWuT{义盛lWwasR古力lWL3G'咕叻lWL3G'粒水泡lWA9u@,O義盛lWwasR}朲vf朳%w)x朴,q,?+r,p)&)!{刀,?9o}朵9d:v:u:z{皮:z+6}朶9d:v朷9o朸EtG,朹NHW:机JKJL{件JKK:会JKb\\{主义JKb\\lXwb成本JKb\\sT(d}位JK`4动部队JK:b(&;:友JKvX场巴士JKp`%Ks4械键盘JKd,K>-4油JKvX率JKHj窦JK8)管局JKLLLd舖JK,L长JKl4顶盒JK8pe\"}朻Iu朼+6&d朽A\"A%vXEL朾m<=u朿ne杀qqqM{头qq<R生qqr?订qq8t鸡焉用牛刀qqIowuy8Rr9o}杁vf杂hthp{以流徵htwaENj:声htru崩{冷ht&EE]能ht&EE]}差htm!{房htm!5Z}扒ht)v物房ht/P5X碎htu@罨嘢htS-w+货舖ht5;,L}权Qr{衡轻重Qrdxf-p=}杄o!杅z!z$杆KoKpKq杇bQ杈lulwly杉m/qW杊px杋30杌S8\",杍j:李F%F\"杏dz{仁糊dzvfbR領dzF=领dzF=}材oH村q-{長q-l4长q-l4}杒vh杓u;'ElA杔>e杕8&杖l8l4杗10杘ne杙x88P杚P/W]杛LQ杜9t{撰9the}杝w`ndj:F$>6杞JLe:束pKne杠KwKuLSH+Kz{杆LSKo{原理LSKoz*F%}架KwI4}条=f=d=g99{件=fK:{反射=fK:3.r\\}友=fvX命{唔正=f/z%Bj#生得正=f/zqc8Kj#}条揈=f=d5&被=f+7鱼=fz\"}杢Kw杣0N杤.b来G6EFG4EHG8F${生G6r?路G6G:{菜G6G:oG货G6G:5;}}杦Iv杧1-10杨yZyX{桃yZ>@}杩.I.J杪0C杫ne杬z*DvDybn{角DvL/豉Dvs8}杭ff{州{話ffi3_R话ffi3_R}}杮3Sng杯(Q{垫(QjS墊(QjS士(Qs4碟(Q9R}杰KP{挞挞KP<><>撻撻KP<><>}東:]:'{帝汶:]8#/<莞{牌:]LL*\"臘腸:]LLE2p^}風螺:]63G.}杲Kd杳0Cwj杴f!f'f)杵q+q({臼q(NI}杶pu杷)x杸uT杹2q杺r3杻m^A\"A%EL杼q+杽m^松p<tcp:{散tcq^毛p<0u膨膨tc*'*'}板%d{擦%dmF間房%dIM5X间房%dIM5X}枀p<tc极KVN]KQ{为KV`6其量KVNxHP力子KVG'j:限片KVd>,\"}枂c&枃lM构NGIw{件NGK:}枅Io枆0x枇+6枈&e枉b:枊Tt#h枋5W枌3f枍vV枎5r枏@NDx析sco9枑bV枒!!R-R0枓8(lX枔mf枕i:i;{头袋i:<T9j頭袋i:<T9j}枖wi林ETER{冧冧ETEQES平之ET,*j9語堂ETz%>R语堂ETz%>R}枘yn枙TT\"-#H枚1N1L枛hY果Y\"L4KX{断Y\";V斷Y\";V栏Y\"E!欄Y\"E!盘Y\"-4盤Y\"-4篮Y\"Dv籃Y\"Dv脯Y\",L}枝j9Nx枞p9ki枟<*`H枠lh枡sQ枢uQ枣k\"枤8&枥G'G,枦G<枧IL枨m<枩p<枪p]m9{声p]ru来弹往p]G67Xb=}枫63{叶卡63x,N-}枬jQ枭eu枮nui9枯5o{糠5ofd行5ofd}枰,*枱>:><枲qLr(枳j:iQlQji枴V^{杖V^l4}枵eu架I5I4I3I6{仔I6i.势堂I5r)>R勢堂I5r)>R妹I61K梁I5HL樑I5HL}枷I3枸IvM.Iu枹%W5o3Z枺1t枻vVwb枼x,枽x,枾s8枿x2x,柀&d柁>6;s>7柂w`>6>7柃Fr柄'#'Y'5柅AUF%柆E2柇ax柈(h-6-8柉30柊:]ki柋9n柌nf柍yWyX柎5o5p柏*M&#*E{文*E/:油&#vZ}某/1柑J!O`柒n!n&{出{国际n&q!YSi/國際n&q!YSi/}吓柒吓n&d%n&d%咕碌n&L3H9头n&<T{皮n&<T+6}少{阵当帮忙n&s@iD:'(310陣當幫忙n&s@iD:'(310}就n&i8撚{懵懵n&A.1d1d矇矇n&A.1c1c蒙蒙n&A.1c1c}碌n&H9菇碌n&L3H9軲轆n&L3H9轱辘n&L3H9过关家姐n&Y#VoI3i^過關家姐n&Y#VoI3i^頭n&<T{皮n&<T+6}}染ws{上wsu1}柔vZ柕/2柖sB柗p<柘i_柙dJIY!MRY柚vXvZv\\l&柛r9柜M.W>W:V^{位W>`4台W>>:面W>0L}柝>e柞kJhMi#kGhP柟@Nwr@KDx柠BHFrBFFp{檬BH1c{水BH1cu@茶BH1clx}}柡aa柢8\"柣9\\o5柤hKjp查lxhKlvlw{家宅lxI3i\"房lx5X}柦7\\柧L3YW柨(#柩IzIw柪!c!-!/Ro柫3u柬IL{埔寨IL,NhV}柭%w3u&V(z柮;Ele:i柯#ETQ{个#EK\\個#EK\\箇#EK\\}柰BhG8柱q+q(柲&e柳EO{条EO=d梅EO1L條EO=d}柴m$hVm\"柵mMq]hq柶s5r_柷l!pK柸-!柹ndngs7柺V^{杖V^l4}査hKlx柼wj柽o'柾IzjW柿ndngs7栀j9栁EO栂1N栃EJ栄a`栅mMq]hq栆k\"标'E{会'EbX参'Er3尾会'E/abX点符号'E9@5rfR车参'En-r3青'EnK}栈hhhd{鬼hdW:}栉je栊H*H(H+{底H(8\"}栋:b:_栌G<栍r?栎G'yhG,U,栏E$E!DvE\"{位E$`4}栐aa树uVuS{荫uVv_}栒pxuFuE栓q]栔NAOw栕r<栖mWr'栗HnHjtu栘w`栙ff栚i>栛EJ栜qw栝Q/VW^S栞f]f^栟'W&?,'栠vbva校d2IA{味IA/b奶IA@C对IA;;對IA;;正IAjY色IAsc長d2l4长d2l4队d2;:隊d2;:飛IA4-飞IA4-}栢*M&#栣vb栤'\\栥j9栦m`栧vV栨ne栩gv{栩如生gvgvz$r?}株lW栫jS栬lG栭w`栮wa栯v[yE栰3z栱LR栲d.栳G=栴jQ栵EJ栶vc样yZyXy\\{丙yX'X办y\\%d炳yX'X衰yXu?{衰yXu?u?}靓身材正yXF;r9oHj#}核e,`\\`XK]{凸`\\8J反{应e,3.x#應e,3.x#}子{弹e,j:7X彈e,j:7X}弹e,7X彈e,7X桃糊e,>BbR突`\\8J}根J'{号J'fR號J'fR}栺Rnj:j9!b栻sco9格IeId{硬IeRL}栽ju{种jukk種jukk}栾Hx栿6J桀KP桁dxdBfffhd@{桷dBL/}桂W;{冠W;LK味W;/^花{魚W;2oz\"鱼W;2oz\"}魚W;z\"鱼W;z\"}桃>B>@{駁{李>B(GF\"梨>B(GF\"}驳{李>B(GF\"梨>B(GF\"}}桄YAY?]k_tKvY@KuKw桅`6Rl!^Rj!`框[Efc[W{架[EI4}桇z$案#_Tj#^bjTk{件#_K:}桉#]#_TiTk桊MG桋w`桌pklAh\\{面pk0L}桍5o桎iViQ桏Q$桐?0桑t-桒t-桓bl桔J9KMOw桕NING桖h;桗9e桘pr桙z$桚hw桛H,桜x!桝KP桞EO桟hh桠!!R-R2桡@HwlDrFr@J桢jW档:(:){位:)`4案:(#_}桤e:e9Nu桥OZOX{唔怕OX%B)w牌OZ*\"}桦_T_V桧Pd^.Pe桨l4桩k3ki桪mf桫si桬qE桭r<桮(Q桯=ux$桰Q/^S桱KA桲(z桳&D桴5o3Z桵yl桶?.桷L/L.桸e9桹GN桺EO桻63桼n!桽`F桾WK桿KpKoKq梀qwvetu梁HNHL梂NH梃=y梄v[梅1N1L1K{县1Nz(头1N<R縣1Nz(花{間竹1N2oIMl!间竹1N2oIMl!}頭1N<R}梆(3{黃(3b:黄(3b:}梇H,梈*9梉k3梊8#8&梋h3梌>B梍k&梎!cRo梏LcL/梐&2梑9b梒dl梓j:梔j9梕vh梖(S梗J.Vv[F{房J.5X}梘IL梙_n梚.a梛@<B`Df梜IYjh條=f=g=d99{件=fK:{反射=fK:3.r\\}友=fvX命{唔正=f/z%Bj#生得正=f/zqc8Kj#}條揈=f=d5&被=f+7魚=fz\"}梞JP梟eu梠Ha梡6.梢qQ梣r6i9梤3f梥p<梦1h1f梧%H%J%B%D梨F$F\"F&{花{带雨F\"2o7Gz%帶雨F\"2o7Gz%}}梩F$梪8,梫m-mdmc梬x%梭si梮LhLc梯<K<L{队<K;:隊<K;:}械d,梱[v梲leyn@)梳si{乎厘si5rF\"化si2p{床si2po`椅si2pw^牀si2po`}}梴o!梵3230{哑铃30!\"Fr啞鈴30!\"Fr蒂{冈308#Ku岡308#Ku}鈴30Fr铃30Fr}梶/a梷j\\梸F$梹&?梺d&梻3z梼>B梽j;梾G6梿FlFj检K4{测K4mK}棁le@)yn棂Fr棃F$棄e;e5{將e;l5車保帥e;M-(\"uA}棅'Y'#棆Hf棇tdp9棈sM棉0N0L{条0N=d條0N=d花糖0N2o>R被0N+7}棊Nx棋NxNv{局NvLh盘Nx-4盤Nx-4}棌oG棍WM棎sH棏8P棐4.棑*$棒*=棓*=(V*^*7-%-$棔3c棕ki{榈kiHa櫚kiHa}棖m<棗k\"棘KQP!{呖卡嘞P!G'N3E9嚦卡嘞P!G'N3E9手P!r.皮{动物P!+6:b/P動物P!+6:b/P}馬腳P!.IM)马脚P!.IM)}棙EJG&棚*<*:{架*<I4}棛yJ棜z#棝L5YY棞WP`H棟:b:_棠>T>R棡KuKw棢11棣8&棤oApksc棥30棦m9hiiE棧hhhd{鬼hdW:}棨N@棩z'棪ws棫at棬h3MG棭x8森r3棯B9B@B>FcFh棰prlE棱FrE]EaFt棲mWr'棳le棴6Jtu棵5:,?59棶G6棷i3r.棸i3棹h\\pklAi8{脚i8M)腳i8M)}棺LKLMYo{材{头烧炮仗LKoH<Ts?*)l4房LKoH5X舖LKoH,L頭燒炮仗LKoH<Ts?*)l4}}棻3c棼3f3c棽mcr3mf棾Ol棿Rl!`椀bj椁YSL/椂H>椃fT椄j_椅w^w]{凭w^+K垫w^jR墊w^jR憑w^+K笼w^H(籠w^H(}椆m`99i5椇M.椈Lc椉sTsV椊lhq5椋HN椌fc植jn{被jn+3}椎lEpr{打pr7@魯prG=鲁prG=}椏!!R-R2椐M-椑+6&c,9椒jE椓;5椔j9椕&?椖*<椗9M9N{呤{邓㨢9NFo8>E_鄧㨢9NFo8>E_}}椘o@椙p]椚d<椛_T検K4椝[c椞rE椟:t椠nwny椡9q椢L;Y_Pe椣9F椤G0椥j9椦h3椧0V椨5p椩J-椪-;椫sPjR椬w`椭>7>4椮r3r4椯9dq0uZ椰w*w({挞w*<9撻w*<9青w*nK}椱6J椲`73Q椳bW椴;V椵I4I3椶ki椷IEjQd6椸w`椹i9i;r8椺e,椻wwwv椼wywv椽q0z*椾jQ椿pu楀z%楁dVe,楂hKlx楃\"-S9楄,$楅'i楆wi楇Y\"KX楈u?楉yh楊yZyX{桃yZ>@}楋FzE8楌RH!<楍(d楎`H3Q楏5u[c楐I;楑[g[f楒s3楓63{葉卡63x,N-}楔s_楕>7楖jeiQji楗K>K:楘0z1z楙/2楚o@楛5pbV楜bT楝Fn楞FrFt楟=x楠@NDx楡z$楢vZ楣/`楤td楥z*h5楦h5楧yW楨jW楩,$楪9Vx,楫j_楬KPe!e'Owe,業x,楮q+q(楯uI?mpx楰z$楱m_楲`3楳1N楴<M8#r)極KVKQ{其量KVNxHP力子KVG'j:為KV`6爲KV`6限片KVd>,\"}楶je楷MdI9{簿I9(\"}楸m]楹x$楺vXvZ楻dxb<楼ENEL{奴ELBl换楼ELbnEL王ELb<盘EN-4面EN0L龄ELFr}楽Gb楾q0楿gc榀&@榁rK概P/K_P.{率P/Hj}榃80<*<Z榄DyDv{球DvNH角DvL/豉Dvs8}榅`W`E榆z$榇mk榈H`H_Ha榉M.榊r<榋t-榌4-榍s_榎I4榏x8榐jRo\"BDiD榑5r榒BWG'榓/P榔GN榕y6榖Lc榗jSlM榘M.榙7h7ee&榚wm榛lK榜(4(5,_*r*<(8{上{无名(4u20x0T有名(4u2v[0T無名(4u20x0T}}榝qq榞z*榟j:榠0T榡sw榢I5榣wl榤KP榥5X榦Kqf`榧4.榨hM榩Of榪.I.J榫uF榬z*榭ib榮a`榯s6榰j9榱pou?榲`W`E榳=x榴ENEL榵y6榶>T榷PYL/榸hQ榹s3榺sS榻<5榼e&e!榽d`d*榾W]J9榿e:e9Nu槀Kd槁Kd槂uWr9槃-6槄>?槅Iee,槆puuE槇9E槈A&EP槉iV槊tA構NGIw{件NGK:}槌prpp槍p]m9{來彈往p]G67Xb=聲p]ru}槎lx槏d4Ff槐_Z槑1N槒pK槓KwLSH+Kz{架KwI4桿LSKo{原理LSKoz*F%}}槔Kc槕pklA槖>e槗OZ様yZ槙9Emji@槚I4槛Dzd7MsDvDw@M{火盆Dw5:-6}槜lG槝9p槞H*槟&?'W槠lW槡t-槢ht槣JK槤FlFj槥uD`8槦y6槧nwny槨YSL/槩P/槪P/槫@$槬_V槭o9l!qw槮r3r4槯pr槰(n槱v[槲gV槳l4槴bV槵_n槶L;PeY_槷x2s_FzBP槸Rn!b槹Kc槺fc槻[c槼[c槽oN槾.b.`槿J(樀9]樁k3ki樂GbU,R>G_!0R<!2#z{善好施GbsPfSs3器U,e;團U,@$壇U,<*師U,s3手U,r.曲U,Q3極生悲GbKVr?&c理U,F%章U,l3評U,,*譜U,,L迷U,/*隊U,;:}樃GO樄ml樅p9ki樆F$nc樇r-樈Ol樉t.樊3032樋?-樌LMYq樍jii#樎tu樏H`樐G=樑HNHL樒/P樓ENEL{奴ELBl換樓ELbnEL王ELb<盤EN-4面EN0L齡ELFr}樔m*jF樕pK樖,?樗uQ樘>T標'E{參'Er3尾會'E/abX會'EbX車參'En-r3青'EnK點符號'E9@5rfR}樚H>樛IuNE樜i_樝hKlx樞uQ樟l3樠1`模0x0v{拟0xw`擬0xw`}樢B7Fa樣y\\yX{丙yX'X炳yX'X衰yXu?{衰yXu?u?}辦y\\%d靚身材正yXF;r9oHj#}樤=f樥-<樦q+樧qq樨r'権Qr横_r_tY?_oNx{丫肠_r!!p^冚_oNL切面_ro50L桠肠_r!!p^绷绷_r%i%n膈膜_rIe1@行_rdx{无忌_rdx0xJP霸道_rdx%M9t}跨_r['门档_r1^:)额_rR^}樫K9樬td樭Nx樮ws樯p`樰u_樱x!樲wb樳mf樴ji8P樵nr樶lE樷p<樸,q)!)&樹uVuS{蔭uVv_}樺_T_V樻W>樼lK樽lK{枳lKiQ領lKF=领lKF=}樾z2樿sPjR橀e9fL橁pu橂9J橃3z橄IGJ\"J#{榄IGDv欖IGDv}橅0x橆0x橇eupqle橈@HwlFr@JDr橉Hh橊EN橋OZOX{唔怕OX%B)w牌OZ*\"}橌d=橍yt橎3.橏jRK:橐>eGb橑G=F`橒`H橓uG橔;?橕m9橖>T橗/B橘W]J9橙m:m<8;橚tus?橛MPQwQz橜QwMPQz橝<$橞`8機JK{件JKK:位JK`4動部隊JK:b(&;:友JKvX場巴士JKp`%Ks4會JKb\\{主義JKb\\lXwb成本JKb\\sT(d}械鍵盤JKd,K>-4油JKvX率JKHj竇JK8)管局JKLLLd舖JK,L長JKl4頂盒JK8pe\"}橠BaB`G1橡l8{皮糖l8+6>R胶子弹l8I?j:7X膠子彈l8I?j:7X}橢>7>4橣BIFs橤ymyn橥lW橦?0o`橧iE橨3f3g橩Ol橪wswx橫_rY?_o_tNx{丫腸_r!!p^冚_oNL切面_ro50L椏腸_r!!p^繃繃_r%i%n膈膜_rIe1@行_rdx{無忌_rdx0xJP霸道_rdx%M9t}跨_r['門檔_r1^:)額_rR^}橬nx橭L35oYW橮EO橯G>橰Kc橱q*prq'橲e:橳sS橴j:橵q_橶KQ橷8'橸jW橹G=橺IM橻m^橼z*橽<;橾uQnosu橿Lu檀<*<(檁EU檂CZH*檃vd檄e,檅uD`8檆m/檇lG[f檈uZ檉o'檊Ko檋Lh檌uBlJ檍x3檎NN檏,q檐sHv`wrv^{蛇wrrX}檑H`Hb檒63檓`4檔:):({位:)`4案:(#_}檕db檖uD檗*M&#檘,*檙m<檚o@檛hK檜PdPe^.檝j_檞I:d+檟I4檠Ol檡sc>Bi&檢K4{測K4mK}檣p`檤9t檥Rm!a檦'F檧tc檨n-檩EU檪G'檫mG檬1c1f檭S$!r檮>B檯>:><檰0N檱Nx檲@$檳&?'W檴bP檵Iq檶f!檷@yEIAU檸BFBHFrFp{檬BH1c{水BH1cu@茶BH1clx}}檹w]檺Kd檻Dzd7MsDvDw@M{火盆Dw5:-6}檼vd檽A&EP檾OjXd檿wp櫀Nx櫁/P櫂h\\櫃W>M.V^W:{位W>`4台W>>:臺W>>:面W>0L}櫄pu櫅i-櫆5u櫇,B櫈8;{凭8;+K憑8;+K}櫉pr櫊L/櫋0N櫌vW櫍iQ櫎5X櫏o!櫐Ha櫑H`Ha櫒qq櫓G=櫔EJ櫕q0櫖Hb櫗0b櫘uD櫙!cRo櫚H`H_Ha櫛je櫜Kc櫝:t櫞z*櫟G'yhG,U,櫠3S櫡lAl\\櫢r.櫣Fl櫤jS櫥q*q'pr櫦f/櫧lW櫨G<櫩wr櫪G'G,櫫lW櫬mk櫭KP櫮U,#z櫯su櫰_Z櫱x2&#*Mx,FzBP櫲z&櫳H*H(H+{底H(8\"}櫴Dn櫵nr櫶f(櫷W9櫸M.櫹tus?櫺Fr櫻x!櫼nujK{头{倒脚jK<T9qM)到脚jK<T9qM)对脚jK<T;;M)}队jK;:隊jK;:頭{倒腳jK<T9qM)到腳jK<T9qM)對腳jK<T;;M)}}櫽vd櫾vXvZv\\櫿x$欀u-欁CZH*欂(G(J欃m0欄E$DvE\"E!{位E$`4}欅M.欆u-欇sY欈`6lG欉p<p;權Qr{衡輕重Qrdxf-p=}欋QZ欌o`欍NI欎`W欏G0欐EJ欑q0欒Hx欓:(欔5k欕wr欖DyDv{球DvNH角DvL/豉Dvs8}欗E$欘l!欙H`欚EI欛%M欜C$GN欝`W欞Fr欟LKYo欠f#{行f#dx}次nencj9{名ne0T}欢6-{乐卡6-GbN-愉6-z&}欣vc欤z$欥f#vzz2欦f!欧!c!dRpRo{拉碟!cDi9R}欨gvgu欩no欪q!欫P!欬Ncd'P/fNd*欭w_vc欮Qw欯e'P/欰uK欱fqe!e&欲yJ{盖弥彰yJP/ATl3蓋彌彰yJP/ATl3}欳`42w欴GN欵6.欶tApK欷e9欸\">#K!(!^#L\";\"8\":R4\"9SETWSGSJ欹w]Nu欺e9{世{盗名e9r)9t0T盜名e9r)9t0T}}欻3ulwpKmG欼lend欽v]款6.{被6.+7額6.R^额6.R^}欿dj7V歀6.歁djdk歂q0q.uZ歃qksY{血{为盟qkh;`6/B為盟qkh;`6/B爲盟qkh;`6/B}}歄VW歅vc歆v]歇f;Ow歈z$歉f5f#歊eu歋w`w*歌KW{堂KW>R碟KW9R舞{升平KW0ysQ,*昇平KW0ysQ,*}}歍bQ歎<){為觀止<)`6LKj:爲觀止<)`6LKj:}歏J,歐!c!dRpRo{拉碟!cDi9R}歑5o歒>-歓6-歔gu歕*k3g*i歖e:歗sA歘3umG歙N]e!vosY歚sP歛FgFh歜pK歝x8歞S2\"&歟z$歠leq5歡6-{愉6-z&樂卡6-GbN-}止j:{蚀j:sb{位j:sb`4}蝕j:sb{位j:sb`4}}正jYj#jW{㖞j#aw中下{怀jYkkd&_Z懷jYkkd&_Z}传jYl^傳jYl^到痹j#9q&e名jY0T呀j#!#喎j#aw嘢j#w+当jY:)斗j#8(日jYvv晒j#qM月jWz2楷jYI9片jY,\"當jY:)能量jYA6HP菜j#oG行jYff面回{应jY0PbZx#應jY0PbZx#}}此nd{刻nddQ时此刻nds6nddQ時此刻nds6nddQ消彼{長nds?&dl4长nds?&dl4}風不可長nd63&QfFl4风不可长nd63&QfFl4}步(&3\\{步{为营(&(&`6x$為營(&(&`6x$爲營(&(&`6x$}行(&dx}武0y{将0yl5將0yl5断0y;V斷0y;V松0yp:装分子0yk33hj:裝分子0yk33hj:}歧Nx歨(&歩(&歪_W/X{嚟歪斜/XF$/Xn/帽/X0v斜_Wn0歪斜斜/X/Xn/n/零歪秤/XFr/Xo)}歫Q[M2歬o$歭nfj>歮KG歯nd歰rEqk歱kj:^歲uA歳uA歴G,G'歵i&歶z$歷G,G'{歷在目G'G'jz1z}歸W9[eW>{隊W9;:}歹7F!MR\\歺!MR\\RY死r^s4r]{人{兼冧屋r^vfK3ES$Q冧{楼r^vfESEL樓r^vfESEL}}伤惨重r^u-m.kn傷慘重r^u-m.kn剩{把口r^j\\%Ldd种r^j\\kj種r^j\\kj}古古r^L6L6命咁r^/zJ\"咕咕r^L6L6固固r^L6L6地而{后生r^8\\w`dhr?後生r^8\\w`dhr?}女包r^D4%W妹{釘r^1K8o钉r^1K8o}婆r^,@撐r^m;撑r^m;桥r^OX橋r^OX款s46.死{下r^r^d\"吓r^r^d%}牛一{边颈r^Rrvu'VJd邊頸r^Rrvu'VJd}硬派r^RP*!節s4je纈r^G#缬r^G#老{母r^G=0v豆r^G=8,}而{复生r^w`6Jr?復生r^w`6Jr?}节s4je裏逃生r^Ha>Br?裡逃生r^Ha>Br?过返生r^Y#3-qc過返生r^Y#3-qc都拗返生r^9o!/3-qc里逃生r^Ha>Br?难r^@V雞撐{硬腳r^Iom;RPM)飯蓋r^Iom;32K_}難r^@V魚r^z\"鱼r^z\"鷄撐{硬腳r^Iom;RPM)飯蓋r^Iom;32K_}鸡撑{硬脚r^Iom;RPM)饭盖r^Iom;32K_}}歼nu歽je歾1t/=歿1t殀wjDl{殀晒晒DlDlqNqN}殁1t殂oN殃yW殄=s=m殅r?殆>=9n殇u-殈Xu殉uEuJ{难uE@V難uE@V}殊uTuR{殊uTuR}残m6m<{鸡m<Io}殌Qw殍+s5o殎dGe!殏NH殐tu殑Olo*KD殒`I殓FgFh殔wb殕3X\"-5p&&殖jn殗x)殘m6m<{雞m<Io鷄m<Io}殙3c殚7W殛KQ殜x,9V殝lK殞`I殟`E殠m_殡&A殢<M殣J(J,殤u-殥vf殦99殧i8l!殨Pd^.殩q/殪w_!_殫7W殬9q殭Lu殮FgFh殯&A殰:t殱nu殲nu殳uT殴!dRp!cRo!e{跛!e&-}段;V殶lY殷vcvd!9wu殸f/殹!_Rk殺qqqM{生qqr?訂qq8t雞焉用牛刀qqIowuy8Rr9o頭qq<R鷄焉用牛刀qqIowuy8Rr9o}殻fw殼fwfv殽R<d2!0殾uG殿9J{試9Js7试9Js7}毀`4{謗`4(8}毁`4{谤`4(8}毂LcL3YW毃PYd-毄KQee毅Rn!b毆!d!cRpRo!e{跛!e&-}毇`4毈;V毉w]毊euOZ毋0x毌LMYq母0y/00v毎1O每1O毐#L!(TX毑i^毒:t9t:o9n{撚:tEX販:t3.贩:t3.}毓yEyJ比&d&h&e+6{率&dHj目{魚&d1zz\"鱼&d1zz\"}萨斜塔&dqqn0<5薩斜塔&dqqn0<5}毕&Q{业{旅行&Qx,Hadx生&Qx,r?}地&Q8X架山&QI4q]生&Qr?{难忘&Qr?@T10}}毖&e毗+6&d{邻&dHf鄰&dHf}毘+6&d毙&2{命&20V}毚m0毛0x0u{冷0xE'利率0xF&Hj巾架0xJ'I4片0x,\"菌0u[v鬙鬙0xrBrB}毜fT毝oF毞&f+6毟s@毠I3毡jQ毢so毣1z毤?e>5毥uE毦AVwbF&毧y4y6毨sL毩Lc毪0x/0毫fTfR{克fTdQ}毬NH毭8,毮m'毯<(<\"毰-$毱Lc毲le毳pqle毴&c毵qW毶qW毷0z毸sou?毹uQz$毺uQz$毻?e>5毼fqft毽wvK;毾<5毿qW氀H`氁0x氂0xF$氃?0氄y4y7氅o^氆,L氇G=氈jQ氉oMsw氊jQ氋1f氌G=氍QZ氎9V氏s8j9氐8!8\"民/<{不聊生/<&QF`r?以食{为天/<wash`6=o為天/<wash`6=o爲天/<wash`6=o}安{队/<#];:隊/<#];:}生/<r?粹/<uC{主{义/<uClXwb義/<uClXwb}}調/<=f调/<=f}氒Qw氓/<11.f/B10气e;e5e>{垫e;jR{船e;jRuZ}焊e;fa袋e;9j量e;HP}氕,5氖@CDm気e;氘9o氙sKq_氚q-氛3c氜yZ氝BhG8氞'X氟3u氠r9氡:]氢f-氣e;e5e>{墊e;jR{船e;jRuZ}焊e;fa袋e;9j量e;HP}氤vc氥r'氦fP氧y[氨#]Ti氩!#R/氪e-氫f-氬!#R/氭:]氮7V氯H>氰o'o*氱yZ氲`E氳`E水u@{上的士u@u29]s4位u@`4分u@3h办u@%d吧u@%K嗲嗲u@8T8T墨{画u@/V_R畫u@/V_R}壶u@bR壺u@bR平u@,*{尺u@,*n_線u@,*sM线u@,*sM}曱甴u@Ibhv果糖u@Y\">R桶袋u@?.9j泡u@,o{科u@,O59餅u@,O'\"饼u@,O'\"}煮{魚u@lXz\"鱼u@lXz\"}牌u@*\"牛芝士u@Rrj9s4生u@r?痘u@8(袋u@9j豆腐u@8,5t辦u@%d运会u@`JbX運會u@`JbX鉸剪u@IAjR铰剪u@IAjR面u@0L鬼{队u@W:;:隊u@W:;:}魚u@z\"鱼u@z\"}氵u@氶o(jYsT氷'W永aa{不超生aa&Qnor?垂不朽aauB&QA%生aar?}氹<[<Y80<Z82{人{欢喜<Yvf6-e:歡喜<Yvf6-e:}氹{圈<Z<Zh3框8080[W测8080mK測8080mK轉<Z<Zl_转<Z<Zl_𡃈8080[W}波拿82'o@<鬼食豆腐<YW:sh8,5t}氺u@氻Et氼B\\G,/b{水舂{墙/bu@kip`牆/bu@kip`}鏡/bJe镜/bJe}氽84q-<]<^氾3/3032氿W:Iv汀=u9K=x汁iK求NH{生NHr?}汃&?*M*G汄iW汅0O汆q-<^/b4-{水4-u@鏡/bJe镜/bJe}汇b\\`8Hb{率b\\Hj{操纵国b\\HjoKkkYS}}汈99汉f_{堡扒f_(\")v}汊lw汋yhpklA汌q/lb汍z*汎3/3032汏7J;q汐jn汑>e汒10汓m`汔S8e'\",汕q_汖*k汗fbf`{青f`nK}汘nx汙bQ_QbS汚bQbS汛uG汜ng汝z%汞gALSgD江Ku{𤒹生Kux,r?}池nf>6污bQ_QbS{唎{单叨bQF!7W9o單叨bQF!7W9o馬喳bQF!.Ily马喳bQF!.Ily}糟邋遢bQk!E8<;}汢>@汣W:汤>Qu->SyZ{匙>Qnf圆>Qz(}汥j9Nw汦j:汧f'汨0h汩W]`\\汪b9汫j\"汬j\\汭ynym汮WK汯`N汰;q汱MF汲N]汳'V汴'V汵J#汶/>/<{莱/<G6萊/<G6}汷ki汸5W,`,]汹g?決Qwh;{斷Qw;V}汻bR5pKofg汼Rr!f汽e;{油{弹e;vZ7X彈e;vZ7X}笛e;9(}汾3f3c{流3cEN}汿lJ沀lJ沁r5沂w`!rS$沃yE沄`H沅z*z(沆fffhfg沇wywv沈r4i;mf沉mfi>{溺mfBW香{当烂柴mfgc:)E&m$當爛柴mfgc:)E&m$}}沊8.沋vZ沌;Dq188沍bV沎5;沏mYmWQWo5沐1z沑CnH>沒1t/b{水/bu@{銅人/bu@?0vf}}沓7h{正7hj#}沔0O沕/P沖p9{涼{房p9HN5X舖p9HN,L}淡p9<%繩p9sT}沗=i沘&d沙qEqGqH{冧qGEQ哩弄{銃qHFQH)p;铳qHFQH)p;}嗲qG8Q{酱qG8Ql5醬qG8Ql5}士qEs4律qEHj{吧qEHj%K菜qEHjoG酱qEHjl5醬qEHjl5}梨{笃qEF&:o篤qEF&:o}沙{滚qHqHWL滾qHqHWL}牛{面qGRp0P麪qGRp0P}甸{魚qE9Ez\"鱼qE9Ez\"}白qE&\"虫qEp:蚤qErK蟲qEp:}沚j:沛-#沜-5沝lFpr沞hq沟NEIuNG{女NED4{王NED4b<}淡NE<%}沠*#没1t/b{水/bu@{铜人/bu@?0vf}}沢i&沣63沤!e!cRoRq{仔婆!ei.,@冬Rq:]年RqBB}沥G,G'FPE2{青E2nK}沦Hf{丧Hft/为Hf`6陷Hfdn}沧o]沨6366沩W9沪bV沫1t1q沬1P/b{水/bu@{銅人/bu@?0vf铜人/bu@?0vf}鏡/bJe镜/bJe}沭uP沮lFlEpolGlJ{丧lFt/喪lFt/}沯hw沰>e沱>6沲>6河fHfF{底{捞鱼fH8\"Drz\"撈魚fH8\"Drz\"}粉fF3d}沴HbEJ沵Hb/a/`ATF$沶w`nfs8沷3A3w沸3S3u油vZvX{条vZ=d條vZ=d油vZvX淋淋vZA,A,淰淰vZA,A,然而生vZwxw`r?瓶{仔vZ+Oi.女vZ+OD4}画vZ_R畫vZ_R艇女vZ=CD4蔴地vZ.H8X門vX1`门vX1`麻地vZ.H8X}沺=r治j>nf{家nfI3}沼jF沽L3L4L5YXYW{名{釣譽L30T9;z&钓誉L30T9;z&}}沾jK>#jN沿z*泀s3況5Y5X泂Xd泃QWIuM/泄s_vV泅m`vZ泆vz泇I3泈ki泉q0{下有知q0d%v[j9}泊*M&#(J,q{位*M`4}泋`5泌&e&Q&/&V泍&?&D泎i&泏lQ3ule泐EtE>泑vXvYvW泒L3YW泓`N泔J!法3A3w3@{兰3AE!{克福3AE$dQ6E西3AE!r'{皇帝3AE!r'b<8#}}国大革命3AYS7JIe0V國大革命3AYS7JIe0V属圭亚那3AtzW9!#@<屬圭亞那3AtzW9!#@<拉利3ADiF\"文3A/:蘭3AE!{克福3AE$dQ6E西3AE!r'{皇帝3AE!r'b<8#}}}泖.U泗s5r_泘5o泙*9,*泚ndmX泛3/32646530{性{恋32sSHv戀32sSHv}民32/<{主派32/<lX*#}泛之{交3232j9I?輩3232j9(S辈3232j9(S}}泜nfj9j>泝sw泞BJFrBHFt泟hK泠Fr泡*',O*)***(,o*_{制*)i/影*)x\"汤*)>Q沫,O1t{經濟,O1tK?i/经济,O1tK?i/}泡,O,O{浴,O,OyJ}湯*)>Q芙*)5r茶*)lx菜*)oG製*)i/飯*)32饭*)32}波'o{地'o8X士'os4{頓'os8;@顿'os8;@}子棋'oj:Nv平如{鏡'o,*z$Je镜'o,*z$Je}斯{話'os3_R话'os3_R}板糖'o%d>R{人'o%d>Rvf}楼'oEL樓'oEL皮都掂唔到'o+69o9A%B9p砵'o(u纜'oDy缆'oDy鱲'oE2𫚭'oE2}泣vov9{泣{扬扬vovoyXyX揚揚vovoyXyX}}泤ng泥@x@y@zAVEF@vEHF&{掽@x%h泞@xBH濘@xBH足深陷@xl!r3dn鴨@x!F鸭@x!F}泦Lc泧Q/z2c&^S注lY{重lYkn}泩r?泪HbEJ泫z+泬Qwh;z2泭5o泮-5(h泯/=泰;q{山{压顶;qq]!M8p壓頂;qq]!M8p}拳;qQp文;q/:晤士河;q%Hs8fH}泱yW#c泲i/i.j:泳ab泴LMYq泵&9泶fzDp{嫪DpID}泷H*u-GN泸G<泹7Y7\\泺GbG'(J&#,q泻rYrX泼-G(w泽i&sc泾K?KA泿S$!r洀i3-6洁KM洂x8洃5u洄bZ洅jw洆sT洇vc洈RlW:!`洉dh洊jSjV洋yZyX{参yZr3參yZr3将yZl5將yZl5房yZ5X桃yZ>@楼yZEL樓yZEL泾滨yZKA&?涇濱yZKA&?画yZ_R畫yZ_R肠yZp^腸yZp^行yZfd貨舖yZ5;,L货舖yZ5;,L}洌G&洍ngw`洎JMNwJP洏w`洐dx洑6J5q5r洒r(poqFsL{手{兼拧头qFr.K3BJ<R拧头qFr.BJ<R}}洓qw洔j:洕vg洖%H%B洗r(sLr){太平地r(;q,*8\\头碟r(<R9R定{箩柚r(9PG-vX籮柚r(9PG-vX}楼r(EL樓r(EL牌r(*\"{叠r(*$7h疊r(*$7h}耳恭{听r(waLQ=w聽r(waLQ=w}脚唔抹脚r(M)%B.qM)腳唔抹腳r(M)%B.qM)衣舖r(w],L袋r(9j邋遢r(E8<;頭碟r(<R9R馬{檻r(.IDv欖r(.IDv}马{榄r(.IDv槛r(.IDv}}洘d.洙lWuT洚KwffgB洛G_Gb{威拿Gb`3Dd杉{矶Gbm/JK磯Gbm/JK}神花Gbr<2o阳GbyZ{纸贵GbyZj:W;}陽GbyZ{紙貴GbyZj:W;}}洜G_洝#_!;!MTk洞:b?0:^洟w`<M洠/0.T洡Hb洢w]洣/+洤q0津lK洦*M洧5v`7洨R<d0!0洩s_vV洪gB洫Xu]E洬tutA洭fc洮>B>?wl洯OwKM洰QZM2洱AUwaARF\"F%洲i3洳z&洴,**9洵uEh5洶g?洷iV9\\j;洸Y?Ku洹blz*洺0T活c&Q/L_Z){色生香c&scr?gc}洼W9_Q洽e!\"!dJe&派*#*\"*!{头*!<T帖*#>\"片*#,\"牌*#*\"糖*#>R頭*!<T}洿bQ浀Q3流ENEL{会ENbX弹EN7X彈EN7X會ENbX水行{云ENu@dx`H雲ENu@dx`H}离浪荡ENF$GO:,行ENdx{性感冒ENdxsSJ\"0z曲ENdxQ3病ENdx'&{学ENdx'&fz學ENdx'&fz}}言蜚{語ENwx4-z%语ENwx4-z%}量ENHP{密{码ENHP/P.I碼ENHP/P.I}}離浪蕩ENF$GO:,}浂LMvzYq浃j_IY浄j\\j&浅o\"jQ{水养田螺o\"u@y[=rG.}浆l3浇euK-Tb#Vwn浈jW浉s3浊l&{到l&9p}测n'mK{字mKj>板mK%d深机mKr3JK知mKj9计师mKIqs3试mKs5谎机mK5WJK量mKHN{师mKHNs3}验mKwt}浌3z浍Pd^.Pe济i/i.i2{南i.@N济一堂i.i.vu>T}浏EN浐m4浑`H`JWL`E{噩`JU,忘`J10水摸鱼`Ju@0jz$浊`Jl&浑{噩噩`J`JU,U,沌`E`E88{沌`E`E8888}}身解数`Jr9I:sw}浒bRgv5p浓CZH*y6浔mf浕lP浖I&浗NH浘/a浙je浚lMuG浛dl浜(3&?浝10浞l!kJ浟vZ9b浠e9浡(z浢8,浣bmbjbn{熊bjgB}浤`N浥vo!GS-RS浦,L,N浧bko(x%浨EU浩fV{浩{汤汤fVfVu-u-湯湯fVfVu-u-}}浪GPGNGO{得{虚名GP8Kgu0T虛名GP8Kgu0T}}浫f^浬F%fL~F%浭J-IS浮3Z,N{动汇率3Z:bb\\Hj動匯率3Z:bb\\Hj头,N<T泡3Z,O浮盼,N,N*5游生物3ZvZr?/P生3Zr?薸,N+p面3Z0L頭,N<T}浯%H%B浰FnF&浱uH浲66浳x8浴yJ{室磅yJrK(4帘yJFd火重生yJ5:p<r?簾yJFd}浵?0浶G<海fL{傍fL,`军陆战队fLWKH>jS;:参fLr3參fLr3味fL/^哩fLF%啸fLsD嘯fLsD市蜃{楼fLs7r=EN樓fLs7r=EN}平面fL,*0P底{捞月fL8\"Drz.撈月fL8\"Drz.}怪fLW;水化淡fLu@2q<%洋公{园fLyZLQz(園fLyZLQz(}洛英fLGbx!綿彈fL0N7X绵弹fL0N7X軍陸戰隊fLWKH>jS;:量fLHP{汪涵fLHPb9d6}难fL@V難fL@V魚fLz\"鱼fLz\"}浸i;mci<i>{亲i>mi会大学i;bX7Jfz信{会i;uGbX會i;uGbX}會大學i;bX7Jfz泡i;*)親i>mi}浹j_IY浺p9浻Xd浼1O浽u?D7浾hK浿(S涀wzILK:涁r5涂>Bprlx>6{改带>BK^7F}涃[w涄,'涅BPFz涆fb涇K?KA消s?{夜s?w(委{会s?`4bX會s?`4bX}弥s?/`弭s?/a彌s?/`費券s?3SMG费券s?3SMG長s?l4长s?l4防局s?5ZLd}涉sY9V涊BCA.Fm涋?o??涌p9y4y7涍d/d-涎wx涏=y涐TT#H涑pKtu涒<]涓ME涔r6涕<M涖F&涗uA涘j>涙Hb涚uA涛>B涜:t涝G>G<涞G6涟Fl{漪Flw^}涠`6涡auKWY!涢`H涣bn涤9b涥du润ytyp{滑油yt`&vX肠ypp^}涧IMIL涨l4l5涩KGrEscqksYqn{谷sYLc}涪3Z涫LMLKYq涬dzdy涭r2涮q_h3uYmG{涮{鍋mGmGau锅mGmGau}}涯R6w`!*{話R6_R话R6_R}涰le涱l4液x8vz涳g?涴awz'z(ay涵d6{盖d6P/蓋d6P/}涶>3涷:]:_涸PYfz涹au涺M-涻rY涼HNHPHL{亭HN=v}涽3c涾<57h涿;5:o淀9J淁o/淂8K淃MJ淄j9淅sc淆R<!0淇Nx淈W]淉Y\"KXLM淊wodm淋ETERA*EVA,{滋滋ETj<j<紅油ETgBvX红油ETgBvX}淌>R淍i3淎64淏fV淐p]淑tz淒mW淓5W淔jno9淕H>淖@JpklADt淗Lc淘>B淙p<kip>淚HbEJ淛je淜*r*9,'淝403V4*{低4*8!}淞tc淟=p淠+5-#淡7V<%ws<${友7VvX口<%dd奶<%@C忌廉<%JPFc水<%u@{魚<%u@z\"鱼<%u@z\"}泊7V(J淡定有{錢剩7V7V9Pv[o\"j\\钱剩7V7V9Pv[o\"j\\}滅滅<%0b0b灭灭<%0b0b而{无味<%w`0x/b無味<%w`0x/b}茂茂<%/2/2謀謀<%/2/2谋谋<%/2/2过{师姑尿<%Y#s3L3B8猫尿<%Y#.QB8}過{師姑尿<%Y#s3L3B8貓尿<%Y#.QB8}}淢atXu]E淣RlR6!`淤z\"z!z#w]{塞z!rQ泥z!@x}淥H>淦J#IG淧/P淨j\\j&淩Fr淪Hf{喪Hft/為Hf`6爲Hf`6陷Hfdn}淫v`淬pquD淭QZ淮_Z淯yJ淰@OB:r4A*A,DyETEV{瞓A,3e}深r3{不可{测r3&QfFmK測r3&QfFmK}刻r3dQ水埗r3u@(\"痛{恶绝r3?/bSlh惡絕r3?/bSlh}蹲r3lK造r3oM}淲+r淳uH淴3u淵z'淶G6混`JWL`H{为一谈`J`6vu<$沌`J88淆{視聽`JR<s8=w视听`JR<s8=w}為一談`J`6vu<$爲一談`J`6vu<$}淸o'nK淹wo{尖{声闷wojKru1b聲悶wojKru1b}}淺o\"jQ{水養田螺o\"u@y[=rG.}添=i淼0C淽j:淾v^淿(J渀&D&?&A渁z'渂/>渃yh渄4-清o'nK{假o'I5劲o'KA勁o'KA吧o'%K水{楼o'u@EL樓o'u@EL}洁姐姐o'KMi]i]潔姐姐o'KMi]i]盘o'-4盤o'-4补凉o'(\"HL補涼o'(\"HL迈o'.K邁o'.K醒o'sR}渆z'渇fq済i/渉sY渊z'渋KGsY{谷sYLc}渌H>渍j;jij>渎:t8,渏w]渐jPjLjKm0{渐jPjL}渑/=sT0O渒&c渓N?渔z$渕z'渖r4渗r5渘vZ渙bn渚lX減IF{磅IF(4號IFfR}渜DODPHy渝z$渞m`渟=x渠QZgyQ[渡9t9p{假9tI5{屋9tI5$Q}}渢6366渣hKhLhN{嘢hLw+斗hL8(渣{声hNhLru聲hNhLru}皮hL+6都冇得剩hK9o0y8Kj\\}渤(z渥\"-!QR]S9渦auY!KW渧8#9b渨bW`4温`E{女`ED4室效{应`ErKd2x#應`ErKd2x#}}渪z$渫s_9V測n'mK{字mKj>板mK%d深機mKr3JK知mKj9計師mKIqs3試mKs5謊機mK5WJK量mKHN{師mKHNs3}驗mKwt}渭`8渮fHKW港Kv{产片Kvm4,\"女KvD4{煲KvD4(!}產片Kvm4,\"銀KvS\"银KvS\"}渰wowp渱gBLS渲h3uWuY渳/+/]渴fqOw渵.T渶x!渷wy游vZv\\{山玩水vZq]bnu@手好{閒vZr.fSd<闲vZr.fSd<}湖vZbR玩vZbn糊vZbR船河vZuZfF花园vZ2oz(行vZdx說vZuA説vZuA说vZuA车河vZn-fF}渹WQ渺0C渻qdsR渼/a渽ju渾`H`JWL`E{噩`JU,忘`J10水摸魚`Ju@0jz$渾{噩噩`J`JU,U,沌`E`E88{沌`E`E8888}}濁`Jl&身解數`Jr9I:sw}渿BhG8湀W:[c[g湁mu湂U,#z湃%S*#湄/`湅Fn湆vo湇vo湈1N湉=l湊m_{仔婆m_i.,@蹺m_OX}湋`6`7湌m3湍?iq.l^@!l]湎0O湏1P湐*M湑u@u?湒muiK湓-6-8*l湔jQjS湕K:湖bTbR{泊bT,q}湗68湘u-湙x8湚vh湛h_7Qmf<$湜jnrP湝I9湞jW湟b<湠<)湡z$湢'iuH湣/=3c湤s3湥?o8J湦r?湧y4y7湨Xu湩:b:_kk湪?k湫i3jFm]湬i3湭m`湮wuvc湯>Q>SyZu-{匙>Qnf圓>Qz(}湰H*湱`,湲z*bl湳@ODy湴%h湵v[湶q0湷k3pr湸HP湹o$湺wx湻uH湼BPFz湽j9湾_i`E_l湿rE{唧唧rEj0j0平rE,*水{榄rEu@Dv{核rEu@Dv`\\}炮仗rEu@*)l4狗上岸rEu@Ivu1Tn}淋淋rEA,A,淰淰rEA,A,立立rEA>A>笛笛rE9$9$}満1a溁x$溂E8溃Pd^.Pe溄66溅jSjQo\"溆lJ溇EN溈W9溉P/K_溊'o溋x$溌-G溍lM溎W;溏>T源z*溑sj溒z*溓FgFf溔wmR=溕1f準lLle{繩lLsT}溗sT溘e&e!溙;q溚<57e8D{湿8DrE溼8DrE濕8DrE}溛_Q溜EPENF]EKF'F+{之趷之F]j9J>j9冰EN'W{场EN'Wp`場EN'Wp`}后ENdh後ENdh}溝NEIuNG{女NED4{王NED4b<}淡NE<%}溞su溟0T0U溠hM溡s6溢vz溣Hh溤.I溥,L溦/`/]溧Hn溨ju溩bR溪N?{錢N?o$钱N?o$}溫`E{女`ED4室效應`ErKd2x#}溬Lu溭ji溮s3溯sw溰w`溱lKpupx溲r-r.溳`H溴m_溵vcvd溶y6溷`J溸sw溹tA溺B\\BWB8G'G,Fb{愛BW#M斃BW&2毙BW&2爱BW#M}溻<5溼rE{唧唧rEj0j0平rE,*水{欖rEu@Dv{覈rEu@Dv`\\}炮仗rEu@*)l4狗上岸rEu@Ivu1Tn}淋淋rEA,A,淰淰rEA,A,立立rEA>A>笛笛rE9$9$}溽yJ溾!'_Wb\\R3溿-5滀pK滁q*pr滂,`,]滃y4y3滄o]滅0b{火筒0b5:?.聲0bru頂之災0b8pj9ju}滆Ie滇=r9E滈fV滉5X滊e;f;Ow滋j9j<{生j9r?長j9l4长j9l4}滌9b滍j>j;滎x$滏5p滐KP滑`&W]`\"`\\{嘟嘟`&;W;W头`&<R捋捋`&I!I!牙`&R.牛`&Rp行`&dx頭`&<R}滒KW滓j:滔>?滕<f滖u?滗&e&Q{汤&Q>Q饭&Q32}滘IA滙b\\滚WL{友WLvX水{借歪WLu@i_/X渌猪肠WLu@H>lWp^}泻WLrX滚地WLWL8X筒WL?.轴溜冰WLl&EN'W}滛v`滜Kc滝H*滞i2滟wt滠sY满1a1^1b{月1az.泻1arX载而归1ajvw`W9额1aR^}滢x$x&x#滣uH滤Hb滥DzDyd7{交DyI?发Dy3A好人DyfRvf情Dyo*捕Dy(&收Dyr-杀Dyqq权DyQr用Dyy8竽充数Dyz!p9sw}滦Hx滧d2滨&?(c滩<'滪z&滫r-qSr.r/滬bV滭&Q滮'E+r滯i2滰QIOl滱NG滲r5滳u-滴9b9]滵/P滶T`#T滷G={味G=/^}滸bR5pgv滹5o滺vZ9b滻m4滼*532滽y6滾WL{友WLvX水{借歪WLu@i_/X淥豬腸WLu@H>lWp^}滾地WLWL8X瀉WLrX筒WL?.軸溜冰WLl&EN'W}滿1a1b1^{月1az.瀉1arX載而歸1ajvw`W9額1aR^}漀f.f-OjOi漁z$漂+o+q{亮+qHP染+qws泊+o,q白+q&&{水+q&&u@}}漃jn漄R6!*漅jFm*漆n!o5{油n!vX皮n!+4{線n!+4sM线n!+4sM鞋n!+4d*}}漇qL漈i/漉H>漊EN漋H*漌J(漍YSL/漎p<td漏EPEL{埗EP&8}漐iP漑P/漒QH漓F$演wvwy{唱{会wvp_bX會wvp_bX}}漕oN漖IA漗p9漘uH漙@$漚!e!cRoRq{仔婆!ei.,@冬Rq:]年RqBB}漛<f漜w+漝ht漞0h漟>T漠1D漡>Qu-漢f_{堡扒f_(\")v}漣Fl{漪Flw^}漤DyDz漥_Q漦F$nf>9漧Ko漨66漩uZ漪w]w^漫.b.`{画.b_R畫.b_R}漬jij;j>漭11漮fcfd漯<5G_HaG0G2Hb漰*9+K漱r/sw漲l5l4漳l3漴k8漵lJ漶_nbn漷YS5k^#L/PY漸jPjKm0jL{漸jPjL}漹wxwu漺t.漻F`EN漼pppo漽<N漾y\\漿l3潀p<ki潁ab潂gB潃r-r.潄r/sw潅LMYq潆x$潇s?{洒s?qF}潈ki潉`J潊lJ潋FhFg潌iV潍`6潎,5,9+q潏Qwz2uP`\\潐jGnrjF潑-G(w潒:,潓`8潔KM潕0y潖)x潗muiK潘-3潙W9潚tus?潛nx潜nx潝N]e!vo潞G>G:潟sc潠uG潡88;D潢b<潣/=1O潤ytyp{滑油yt`&vX腸ypp^}潥tu潦G=F^FaF`G>{草F^oL}潧lK潨kip<潩wb潪jnj;潫_i潬<'sO潭<$潮nr{州{話nri3_R话nri3_R音{乐nri3v]U,樂nri3v]U,}}}潯mf潰PdPe^.潱vc潲qSsD潳>BhK潴lW潵qqq_潶e-潷&e&Q{湯&Q>Q飯&Q32}潸q]q^sF潹q`潺q`潻uR潼?0潽,K,L潾Hf潿`6澀KGrEscqksYqn{谷sYLc}澁KGqkrEsc澂o*澃Xe澄o*8>{面8>0P麪8>0P}澅_V澆euK-wnTb#V澇G>G<澈o5澉J\"澊q-澋`PK@澌s3s5澍uV澎*<*9澏dl澐`H澑EP澒gDgA澓6J澔fV澕ax澖d<澗IMIL澘q]澙sc澚z2澛G=澜E$E&澝BJFt澞z$澟EU澠/=0OsT澡oMk\"澢:'澣bmbj澤i&sc澥d+澦z&澧EI澨r,澩fzDp{嫪DpID}澪Fr澫.b.`R=澬j9nf澭y3澮PdPe^.澯m5澰FhFd澱9J澲x,澳#SyET_{牛#SRp門#S1^{幣#S1^&2朋友#S1^*rv[風扇#S1^63sM}门#S1^{币#S1^&2朋友#S1^*rv[风扇#S1^63sM}}澴_l澵lK澶sNsH7\\7Y澷.b澸8.澹7V<%<${泊7V(J}澺x3澻uD澼,9澽M2M/澾<;澿NN激KQ{将法KQl53A將法KQl53A}濁l&{到l&9p}濂Ff濃CZy6H*濄au濅i;濆3f*k濇KGrEscqk濈muiK濉u?濊`5Q/^S濋o@濌<57h濍tc濎9L=y濏rK濐lX濑DnDjDm{嘢Djw+大镬Dj7JbP粉Dm3d}濒&?*l濓Ff濔/`/aF$AT濕rE{唧唧rEj0j0平rE,*水{欖rEu@Dv{核rEu@Dv`\\}炮仗rEu@*)l4狗上岸rEu@Ivu1Tn}淋淋rEA,A,淰淰rEA,A,立立rEA>A>笛笛rE9$9$}濖uV濗0h濘BJFrBHFt濙x$濚x$濛1f1c濜lP濝Nx濞+5&/濟i/i.i2{南i.@N濟一堂i.i.vu>T}濠fT濡z$濢pqlF濣`#濤>B濥vg濦vcvd濧;>濨nf濩bPbV濪o)濫DzDyd7{交DyI?好人DyfRvf情Dyo*捕Dy(&收Dyr-權DyQr殺Dyqq用Dyy8發Dy3A竽充數Dyz!p9sw}濬lMuGlP濭#Me!P/TY濮)&)!濯kJh\\濰`6濱&?(c濲Lc濳nx濴x$濵&?濶6A濷3S濸o]濹/V濺o\"jSjQ濻`7濼Gb&#G',q(J濽he濾Hb濿EJ瀀vW瀁y\\y[瀂G=瀃ne瀄jcje瀅x$x#x&瀆:t8,瀇b:瀈3Q瀉rYrX瀊-6瀋r4瀌'E+r瀍o$瀎1q0b1t瀏EN瀐jK瀑)&(&-P瀒KG瀓o*瀔Lc瀕*l&?瀖5k瀗f)瀘G<瀙mk瀚fb瀛x$瀜y6瀝G,G'FPE2{青E2nK}瀞j\\瀟s?{洒s?qF}瀠x$瀡uCu$u\"瀢`7瀣d,瀤_Z_W瀥fV瀦lW瀧H*u-GN瀨DnDjDm{嘢Djw+大鑊Dj7JbP粉Dm3d}瀩;>瀪3230瀫gV瀬Dn瀭uQ瀮ET瀯x$瀰AT/a/`F$瀱Iq瀲FhFg瀳jVjQ瀴x!x\"瀵3e瀶ET瀷x8瀸jKnu瀹yhye瀺m0hb瀻7G瀼yZy\\y[瀽jRK:瀾E$E&瀿30灀u/u-灁z'灂kJpkjG灃63灄sY灅Ha灆Dx灇p<灈QZ灉y3灊nxmf灋3A灌LMYq灍Qw灎wt灏fV灐x$灑qF{手{兼擰頭qFr.K3BJ<R擰頭qFr.BJ<R}}灒he灓Hx灔wt灕F$灖/a灗sO灘<'灙:(灚I@灛o\"jR灜x$灝fV灞%M灟l!灠DyDz灡E$灢C%GO灣_i_l`E灤Hx灥pxq-q0灦f(灧wt灨J#灩wt灪`W火5:{上加油5:u2I3vZ候5:df炕5:fe烧后栏5:s?dhE!燒後欄5:s?dhE!盖顶5:K_8p筒5:?.蓋頂5:K_8p麒麟5:NxHd}灬'E灭0b{声0bru火筒0b5:?.顶之灾0b8pj9ju}灮Y?Ku灯89{位89`4}灰5u4i{匙5unf士4is4烬5ulL燼5ulL}灱d-灲d-灳3Q灴gBgA灵FrFpF<Fo{位Fr`4擎F<O6柩FrIw醒FrsR魂人物Fr`Hvf/L}灶k#{头k#<R頭k#<R}灷lb灸Iw灹hM灺rYn.rXn1灻n_灼pklApi{低pi8!}災ju{厄ju!Q難ju@V{級ju@VN]}}灾ju{厄ju!Q难ju@V{级ju@VN]}}灿m5炀yZy\\炁e;炂ki炃3f&D炄A%EO炅XdW;W>炆/9炇,q炈x8炉G<G:炊popq炋-!炌Me炍-5炎wr炏Me炐,_炑1z炒m({友m(vX孖更m(.EIQ散m(q^更m(IQ楼m(EL樓m(EL老{世{魷魚m(G=r)vZz\"鱿鱼m(G=r)vZz\"}板{魷魚m(G=%dvZz\"鱿鱼m(G=%dvZz\"}細魷魚m(G=r)vZz\"细鱿鱼m(G=r)vZz\"闆魷魚m(G=%dvZz\"}芥{兰m(I;E\"蘭m(I;E\"}魷m(vX{魚m(vZz\"}鱿m(vX{鱼m(vZz\"}}炓Fb<S炔QwIqW;炕PGfe{沙feqE}炖88;D;A85炗Y?Ku炘vcve炙j5jk炚Y?Ku炛Y?Ku炜`7炝p_炞'V炟7k炠qn炡jW炢uP炣fF炤jGnojE炥3z炦&V炧rYn.n1炨rY炩FtFq{面Ft0L}炪;Y炫z,z*{富z*5q耀z*wn}炬M2炭<){炉<)G:爐<)G:}炮*)%W%Y***_{仗*)l4{花*)l42o領*)l4F=頸*)l4Jd领*)l4F=颈*)l4Jd}弹*)7X彈*)7X}炯Xd炰***)3X炱><炲><炳'X炴yX炵?-:]炶sF炷lY炸hM{两hMHL兩hMHL弹hM7X彈hM7X魚hMz\"{薯條hMz\"uT=d}鱼hMz\"{薯条hMz\"uT=d}}点9@{样9@yX{去9@yXgw样9@y\\yX都好9@yX9ofR}烛婆9@l!,@相9@u/缀9@lJ错相9@oAu/}為`8`6`4{主`6lX之`6j9人`6vf{師表`6vfs3'F}什麼`8r80i伍`6%I例`6EJ勢所逼`6r)sj'i唔過`6%BY#啖氣`67Ve;國{捐軀`6YSMEQW爭光`6YSiEY?}域`6at富不仁`65q&Qvf得過`68KY#所欲為`6sjyJ`6政`6jY數`6sw時已晚`6s6wa.a期`6Nx本`6(d止`6j:民請命`8/<o(0V準`6lL皮`6+4虎作倀`65pkGp]起嚟`6e:F$重`6kn限`6d>難`6@T非作歹`64-kG7F頭`6<T首`6r.鬼`6W:}炻s2炼FnFj{金术FnJ!uP}炽ne炾5X炿i3烀5o烁u;G'Gb烂E&E\"{尾楼E&/aEL挞挞E&<9<9泥扶唔上{壁E&@x5r%Bu1'5柄E&@x5r%Bu1'5}片E&,\"窦E&8)袋E&9j赌二E&9pw^跶跶E&7k7k}烃=uK@烄I@烅Xu]E烆dx烇q.q/烈G&烉bn烊yZy\\yX烋d-vW烌vW烍sL烎nxv`烏bQ{吓烏吓bQd%bQd%哩{單刀bQF!7W9o馬查bQFQ.Ilw}啄啄bQ;';'喱馬{叉bQFQ.Elu杈bQF!.Ily紁bQF!.Ily}垂垂bQu$u$搲bQ`d杬bQDv欖bQDv瀡瀡bQu\"u$眉瞌睡bQ/`e!uD茲別克bQj9'hdQ蠅bQx!{摟馬尾bQx!EK.I/a紙bQx!j:鏡bQx!Je}都話bQ9o_R頭bQ<R龍bQH({波bQH('o球bQH(NH茶bQH(lx}}烐i3烑wl烒sc烓XcXd烔?0p<烕h;Qw0b烖ju烗MefK烘gAfeg?gB{㶶feCW多士fe9cs4底fe8\"手fer.焙gA-$燶feCW}烙G_Gb烚qnqke&{下烚下qnd%qnd%戆qkTt戇qkTt}烛l!烜h4h3烝jW烞,q烟wuvcwv{友wuvX士wus4头wu<R帽{队wu0v;:隊wu0v;:}肠wup^腸wup^靭wuS&韌wuS&韧wuS&頭wu<R}烠bZ烡Y?Ku烢mMi&烣5u烤d-d.{魚d-z\"鱼d-z\"}烥M2烦30{过梵蒂冈30Y#308#Ku}烧s?{卖s?.L台炮s?><*)味s?/^炮仗s?*)l4焊s?fa鹅s?TR}烨x,烩b\\烪Vo烫>S>Q{火膏>Q5:Kc}烬lPlL热x2x.{厨房x2q*5X头x2<R水壶x2u@bR泪盈眶x2Hbx$fc腥x2rw量x2HP钱x2o$门x21^}烮G&烯e9烰3Z烱Xd烲f;烳,L烴=uK@烵lA烶=y烷z(z*烸fL烹*9{調*9=f调*9=f}烺GO烻ww烼3u烽63烾n_烿y6焀gV焁e9焂tu焃dQ焄3c焅Lh焆ME焇s?焈e9焉wxwu{知非福wuj94-6E}焊fbf^fa{接faj_}焋k5焌lMq!QWlQ焍8&焎f;o5焏KQ焐%J%D焑wu焒Ha焓dl焔wt焕bn焖1b/9焗Lh焘>B9t焙(V(R(S-$-&焚3f3e焛Hh焜[uWK`J焝3e焞uH<]?c焟sc焠pquD無0x0l0y{中生有0xkir?v[事生非0xs8r?4-以{為{報0xwa`6(%繼0xwa`6Iq}爲{報0xwa`6(%繼0xwa`6Iq}}兒無女0xw`0xD4厘{啦更0xF$DcIQ頭尻0xEH<TIu𠸎耕0xF$DcIQ}可限量0xfFd>HP名{指0x0Tj:氏0x0Ts8火起0x0T5:e:無姓0x0T0xsS}情對0xo*;:料0xFb本生利0x(dr?F&條件0x=fK:知婦孺0xj95sz$線{上網0xsMu111電話0xsM9J_R}聲狗0xruIv{咬死人0xruIvR=r^vf}能{為力0xA6`6G,爲力0xA6`6G,}處不在0xq)&Qjz賴0xDj遮無掩0yi]0ywp間0xIM頭烏蠅0x<TbQx!驚無險0xK?0xf\"𠸎𠸎0xDcDc}焢g?焣m(lJ焤5t焥`##M焦jE{糖布甸jE>T(#9E}焧p9焨65焩*r焪gA焫z/@eE5z2{手@er.雞@eIo鷄@eIo鸡@eIo}焬sc焭Ol焮vcve焯pklAq!{水q!u@著lAlY見lAK;见lAK;}焰wtwr焱wt焲x8焳lA焴yE焵Kw然wxwv焷+6焸f.焹Kw焺sQ焻p_焼s?焽0T焾A*ET焿J-煀`W煁r6A*煂dSdQ煃[d煄kj煅;S;V煆d&d!煇3Q`3`J煈65煉Fn煊h3煋sQ煌b<煍jFnp煎jQ{魚jQz\"鱼jQz\"}煏'i煐x!煑lX煒`7煓@!煔sF煕e9煖DOh3Hy煗DOHy煘nxIF=l煙wuwv{友wuvX士wus4帽隊wu0v;:腸wup^靭wuS&韌wuS&頭wu<R}煚Xd煛Xd煜yEvt煝/b煞qq{車痕qqn-dp车痕qqn-dp}煟`8煠hMqn{下煠下qnd%qnd%熟狗{头qntzIv<T頭qntzIv<T}}煡lP煢Ol煣vXv[煤1N煥bn煦gvz\"gwz#照jG{办煮碗jG%dlXbj应jGx#應jGx#料jGFb样jGyX樣jGyX片jG,\"相jGu.辦煮碗jG%dlXbj}煨bW煩30{過梵蒂岡30Y#308#Ku}煪m`煫uD煬yZy\\煭G&煮lX{返{几味lX3-JL/^幾味lX3-JL/^}飯婆lX32,@饭婆lX32,@}煯I9煰oM煱au煲(!{㶶粥(!H'l!办(!%d水新{聞(!u@r9/:闻(!u@r9/:}燶粥(!H'l!电话粥(!9J_Rl!辦(!%d電話粥(!9J_Rl!}煳bT煴`E`J`F`W煵@NDx煶jn煷5:煸,!'Q煹Iw煺?e煻>T煼m(煽sM煾vc煿(G熀5X熁f5熂e;熃0z熄sc{芒sc1-}熅`E`F`W`J熆e&熇gVd.eufwPYfz熈e9熉z*`H熊gB{人gBvd}熋BfG6熌sG熍gA熎wk熏3c3e`E{鱼3cz\"}熐0h熑Ff熒x$熓`W熔y6{断y6;V斷y6;V}熕LS熖wt熗p_熘EPF]EN熙e9{來攘往e9G6y[b=来攘往e9G6y[b=}熚&Q熛'E熜kjp9熝H>熞K9熟tz{女tzD4片tz,\"絡tzGb络tzGb能生巧tzA6r?d.行tzff}熠vovtqn{下熠下qnd%qnd%熟狗{头qntzIv<T頭qntzIv<T}}熡EN熢-<熣u?熤x8熥?-熦lA熧ki熨>S`W`5`J熩bV熪w`熫j5熬T`R<!0#T{夜T`w(老{衬R<G=mk襯R<G=mk}}熭`8熮EO熯f_f^wy@U熰!c!eRo熱x2x.{廚房x2q*5X水壺x2u@bR淚盈眶x2Hbx$fc腥x2rw量x2HP錢x2o$門x21^頭x2<R}熲XdJ.熳.b熴[u熵u-熶q/熷iE熸jK熹e9熺e9熻vo熼x8熽sA熾ne熿b<5X燀o\"jR7\\燁x,燂<$mfnx燃wx{烧弹wxs?7X燒彈wxs?7X}燄wtwr燅mfnx燆exeu燇lM燈89{位89`4}燉88;D85燊r9r?燋jEnr燌3f燍s3燎F`FaFb燏`\\z2Hn燐Hf燑?0燒s?{味s?/^枱炮s?><*)檯炮s?><*)炮仗s?*)l4焊s?fa賣s?.L鵝s?TR}燓3f燔30燕wwwuwv{王wub<麥片ww/V,\"麦片ww/V,\"}燖mf燗E&燘1L5v1O/9燙>S>Q{火膏>Q5:Kc}燚x8Rn燛Xd燜1b/9燝K@燞jG營x${業額x$x,R^}燠yE#RvWz##ST^燡x8燢fz燣Dx燤;qG&燥oM燦m5燧uD燨e9燩PY燪kj燫Ff燬`4燭l!燮s_sY燯Fr燰bW燱w_x3燲f5燳jG燴b\\燵7n燶CWH'{起塊面H'e:2w0P}燷Dx燸z$DP燹sL燺gV燻3c{魚3cz\"}燼lPlL燽m`燾>B9t燿wnu;爀dQ爁DzDy爂'E爃a`爄EJ爅/V爆%Y*)(G{偈%YIp冷{門%YE+1^门%YE+1^}咪%Y/'房%Y5X磅%Y(4竹*)l!篮%YDv籃%YDv表%Y'E谷*)Lc馬{檻%Y.IDv欄%Y.IDv}马{栏%Y.IDv槛%Y.IDv}}爇z/yhz2爈H`爉E2E/爊R<#QT`!0#T爋3c爌PG]k爍u;G'Gb爎F`爏G,爐G<G:爑lA爒Fa爓wtmfwrnx爔e9爕s_爖H*爗x,爘m3爙y[爚yh爛E&E\"{尾樓E&/aEL撻撻E&<9<9泥扶唔上{壁E&@x5r%Bu1'5柄E&@x5r%Bu1'5}片E&,\"竇E&8)袋E&9j賭二E&9pw^躂躂E&7k7k}爜p<爝lAjGlD爞?0p<爟LMYq爠QZ爡o5爢/`爣>R爤E&爥l!爦Dy爧Fr爨q/爩`W爪hX爫hX爬)x{上)xu1文)x/:行)xdx{动物)xdx:b/P動物)xdx:b/P}}爭iEhim9hkiG{一{個馬鼻hivuKY.I&h日之長短hivuvzj9p`;R}交hiI?住hil\\個馬鼻hiKY.I&h先㧬後iEsK$@dh凳仔hi8;i.唔落hi%BGb啲hi9-在hijz地盤hi8\\-6天共地hi=oLV8\\客hidS寵hip:崩頭hi&E<T拗iE!/櫈仔hi8;i.氣hie;返啖氣hi3-7Ve;飯食hi32sh}爮**爯o'爰blz*爱#MTY{好#MfS将#Ml5美神{导弹#M/ar<9t7X飞弹#M/ar<4-7X}迪生#M9br?队#M;:}爲`8`6`4{主`6lX之`6j9人`6vf{師表`6vfs3'F}什麼`8r80i伍`6%I例`6EJ勢所逼`6r)sj'i唔過`6%BY#啖氣`67Ve;國{捐軀`6YSMEQW爭光`6YSiEY?}域`6at富不仁`65q&Qvf得過`68KY#所欲爲`6sjyJ`6政`6jY數`6sw時已晚`6s6wa.a期`6Nx本`6(d止`6j:民請命`8/<o(0V準`6lL皮`6+4虎作倀`65pkGp]起嚟`6e:F$重`6kn限`6d>難`6@T非作歹`64-kG7F頭`6<T首`6r.鬼`6W:}爳`6爴5k爵lA{士{乐lAs8U,樂lAs8U,}}父5t5p{荫5tv_蔭5tv_}爷w*w(w'{爷w*w(}爸%K%N{爸%N%K}爹8Q{利8QF\"哋8Q90啲8Q90地8Q90}爺w*w(w'{爺w*w(}爻R<!0爼jp爽t.爾wa爿%hp`牀o`{位o``4{寓所o``4z&sj}墊o`jS憑o`+K拼o`+K板{夾春袋o`%dJnpu9j跳上蓆o`%d=eu1j8}褥o`yF}牁#EKWfETQ牂k3牃9V牄p]牅y6牆p`片,#,\",!{商,\"u-场,\"p`場,\"p`头,\"<T尾,\"/a{曲,\"/aQ3}开,\"fK弯,\"_i彎,\"_i皮{鴨,\"+6!F鸭,\"+6!F}石,\"s2費,\"3S费,\"3S車,\"n-车,\"n-过,\"Y#過,\"Y#酬,\"m`長,\"p`长,\"p`開,\"fK集,\"ht頭,\"<T}版%d{画%d_R畫%d_R面%d0L}牉-5牊nr牋jQ牌*$*\"{位*$`4友*\"vX簿*$(&面*$0L館*\"LL馆*\"LL}牍:t:p牎p]牏z$<T牐ht牑'Q牒9V牓(4牔(G牕p]牖v[牗v[牘:t:p牙R0!\"R.!$R2{刷R0mF吖仔R0R-i.呀仔R0R-i.带鱼R07Gz\"帶魚R07Gz\"痛{咁{声R0?/J\"ru聲R0?/J\"ru}噉{声R0?/J\"ru聲R0?/J\"ru}}菌膜R0[v1@鉸R0IA{戰R0IAjS}铰R0IA{战R0IAjS}齒當金使R0nd:)J!r(齿当金使R0nd:)J!r(}牚m9m;牛Rr!dRp!f{什Rrht咁眼RrJ\"RI扒Rr)v栏RrE!欄RrE!河RrfF{博士RrfF(Gs8}痘Rr8(肠Rrp^腸Rrp^蜞RrNv軛RrRb轭RrRb頓Rr;?顿Rr;?}牝*m3g牞NEIu牟/01z牠;i>3牡.U/1牢G<G>牣vh牤1-10牥5W牦0xF$.T牧1z{童笛1z?09(}牨Ku物/P/L{以罕{为贵/Pwaf^`6W;為貴/Pwaf^`6W;爲貴/Pwaf^`6W;}件/PK:竞天择/PKA=oi&競天擇/PKA=oi&}牪z,wz牫KW牬(S牭r_牮jS牯L4YX牰v\\m]i8牱#ETQ牲r?qc牳/1牴8\"牵f'{强f'QI}牶h5牷q0牸j>特8P{使8Ps5別行政區8P'hdxjYQW别行政区8P'hdxjYQW更8PIQ种部队8Pkj(&;:種部隊8Pkj(&;:立{独行8PE2:tdx獨行8PE2:tdx}}牺e9牻10牼du牽f'{強f'QI强f'QI}牾%I%J%C牿Lc犀r'犁EH{耙EH)v}犂EH犃&8犄JKJLw^犅Ku犆8Jjn8P犇&?犈QrMG犉uHz*犊:t犋M2犌I3犍K9Of犎63犏,!犐59犑Xu犒fS犓o?犔e;犕&h犖G_GbEo{犖确确EoEoNiNi确EoNi}犗I;犘.H犙qW犚`5犛0xF$.T犜;?犝?0犞OZ犟Lz犠wb犡EJDn犢:t犣Fz犤&c犥+o犦(J%Y犧e9犨m`m]r0犩Rl!`犪[f犫m]m`犬h4{女h4D4}犮&V犯323.3h{不上32&Qu1}犰NH犱KQ犲m$犳lA犴Tnf`fb#b犵e'KW状k8k4犷Y@KvPG]k犸.I.J犹vZ{豫vZz${不决vZz$&QQw}}犺PG犻(z犼de犽R2!&犾S$!r犿6-3-狀k8k4狁`I狂]lPH狃A\"A%EL狄9b>-狅PH]l狆kikn狇1z狈(S狉+3狊Xu狋w`S$!r狌sQqcr?狍**狎dJdG{妓dGJP暱dGBW童dG?0}狏>6狐bT{狸bTF\"}狑Fr狒3S3u3V42{狒3u3u{地3u3u8X}}狓+3狔AUF%狕.E狖v\\狗Iv{上瓦坑Ivu1R1d?仔{队Ivi.;:隊Ivi.;:}会IvbX噏Iv\"!带Iv7F帶Iv7F會IvbX爪豆IvhX8,牌Iv*\"窦Iv8)竇Iv8)肚{魚Iv>Cz\"鱼Iv>Cz\"}臂架Iv&eI4虱{覺IvrKIA觉IvrKIA}蝨覺IvrKIA話Iv_R话Iv_R都唔{吼Iv9o%Bdc睺Iv9o%Bdc}髀架Iv&dI4}狘h;z2狙lE狚7Y7S<(7k狛&#狜L4YX狝sL狞BHFr狟blh3狠dp狡I@狢fz狣jJsD狤J9KMV_KP狥uEpxuJ狦q]q_狧7k狨y6狩r/r.狪?0:b狫G=独:t{处:tq)女:tD4断独行:t;V:tdx沽一味:tL3vu/^生:tr?{女:tr?D4子:tr?j:}行侠:tdxe&}狭dJdGKJe&{义dGwb小dGs@窄dGi#路相逢dGG>u-66隘dG!)}狮s3{头鹅s3<TTR}狯Pd^.狰iEhi狱yJ狲uW狳z$狴&2&-狵10狶e9e:狷MGME狸F$F\"{狌F$r?}狹dJdGKJe&{小dGs@窄dGi#義dGwb路相逢dGG>u-66隘dG!)}狺S$!r狻uW狼GNGLGK{戾GKEF狂GNPH狈为奸GN(S`6IK狽{為奸GN(S`6IK爲奸GN(S`6IK}}狽(S狾i/狿wx猀qE猁F&猂fafb猃f\"猄Jc{皮Jc+4}猅*$猆4-猇d-猈%P*$+6猉Nx猊Rl!`猋'E猌S&!t猍G6猎Fz猏K9猐Lu猑[u猒wq!MwpwoRY猓Y\"KX猔kk猕/`F$AT{猴桃ATdf>@}猖p]猗w]w^#FTU猘i/Iq猙iEhi猚R6!*猛.g.d{片.g,\"}猜m!lu{包剪揼m!%WjR8D嘢luw+枚m!1L测m!mK測m!mK}猝q5猞rY猟Fz猠9F猡G0G-猢bT猣kikj猤W;猥bW`4bX猦63猧au猨z*猩sQ猪lW{什lWht屎{喳lWs4hL渣lWs4hL耙lWs4)v}扒lW)v{都系肉lW)v9odbyJ}排lW)v栏lWE!润lWyp猡lWG-生肠lWqcp^腰芒lWwi1-馊lWqS髧兜lW8/8'}猫.Q.T0B{儿.Qw]刮噉声.QW)J\"ru咪.Q03女.QD4样.QyX}猬`8猭q-sK献f){上f)u1丑不如藏拙f)m^&Qz$o`lh媚f)/`}猯?i猰!MvGhwRY猱@HBlDr猲f;fq猳I3猴df猵'Q猶vZ{豫vZz${不決vZz$&QQw}}猷vZ猸/`猹hK猺wl猻uW猼(G,q猽0T猾`&猿z*獀r-r.獁.I.J獂blz*獃TZ7E#N獄yJ獅s3{頭鵝s3<TTR}獆fT獇Lu獈x8獉lK獊o]獋fT獌.b獍KAJe獎l4l5{券l4MG}獏1D獐l3獑m0獒T`#T獓T`#T獔fT獕po獖&D獗Qw獘&2獙&2獚b<獛)!獜Hf獝`\\Hn獞?0k5k8獟eu獠F`G=獡u;pksc獢eu獣r/獤;?獥K/KQe,獦L)fqFz獧MGME獨:t{女:tD4斷獨行:t;V:tdx沽一味:tL3vu/^生:tr?{女:tr?D4子:tr?j:}處:tq)行俠:tdxe&}獩`5獪Pd^.獫f\"獬d+獭mG<;獮sL獯3c獰BHFr獱&?'Q獲bP_Z獳A&EP獴1f獵Fz獶@HBlDrG<獷Y@]kKvPG獸r/{行r/dz}獹G<獺mG<;獻f){上f)u1媚f)/`醜不如藏拙f)m^&Qz$o`lh}獼/`ATF${猴桃ATdf>@}獽yZ獾6-獿@HDrG<Bl玀G0G-玁f\"玂Nx玃5kYS玄z*玅0D玆j9z*率uKHjHnuA玈G<玉yJyF{子豆腐yJj:8,5t鈪yJ!R}玊tu王b<b>yXb:{冠b<LK牌b<*\"}玌NH玍I4I_玎9K玏Et玐%w玑JK玒LQKugB玓9]玔q/q-玕Ko玖Iv玗z!玘e:玙z$玚p_yZ:,玛.I玜LQ玝%I%C玞5o玟/<1N玠I;玡R0w*!$玢&?3c玣'V玤(j,a玥z2玦Qw玧1`玨L/玩_jbn_lbj{下手_jd%r.世bnr){不恭bnr)&QLQ}偶bnRs兴_jf/具bnM2味bn/b女人_jD7vd弄bnH,意_lw_戏bne;戲bne;新娘_jr9D\"月bnz2物bj/P玩下_j_jd%电话_j9J_R笑_lsA索bntA耍_lqF興_jf/賞bnu.赏bnu.電話_j9J_R}玪IE玫1N玬<(玭*l,$玮`7环_l_j{保袋_l(\"9j面_l0L}现wzwv{行wzdx银wzS\"}玱p]玲FrFp玳9n{珼貓9n1P.Q瑁{猫9n1P.Q貓9n1P.Q}𫞥猫9n1P.Q}玴vV玵Rx!l玶,*玷9A9@jK{污jKbQ}玸5r玹z*wxz,玺qL玻'o{璃'oF!{丝袜'oF!s3/P心'oF!r3杯'oF!(Q樽'oF!lK水'oF!u@瓦'oF!R1生菜'oF!qcoG眼{鏡'oF!RIJd镜'oF!RIJd}絲襪'oF!s3/P纖維'oF!nu`6纤维'oF!nu`6肚'oF!>C胶'oF!I?膠'oF!I?}}玼ncmXnd玽Iv玾IY玿sB珀*M珁nf珂#ETQ珃ws珄r?珅r9珆w`>9珇k\"lF珈I3珉/<珊q]珋EO珌'c&Q&e珍i?{而重之i?w`knj9重i?kn}珎i?珏L/珐3A3w珑H*珒lK珓IA珔jV珕EJ珖Y?Ku珗sK珘i3珙LR珚wu珛vYm_珜yZ珝gv珞G_Gb珟tu珠lW{被lW+7}珡NN珢S$!r珣uE珤(\"珥AVwawbF&珦ge珧wl珨e&dJ珩dx珪W9Wo珫p9珬uK班%c{会%cbX地厘%c8\\F!戟%cP!房%c5X會%cbX相%cu.長%cl4长%cl4頂%c8p顶%c8p}珮-#珯G=珰:'珱x!珲`H3Q珳/<珴TT#H珵o*珶8&<N珷0y珸%H%B珹sT珺WP[v珻1N珼(S1P珽=y=v現wzwv{行wzdx銀wzS\"}珿pK琀dkdn琁uZ琂wx球NH{会NHbX拍NH*L會NHbX队NH;:隊NH;:}琄z+z,琅GNGO{琅上口GNGNu1dd}理F%F!F${事{会F%s8bX會F%s8bX長F%s8l4长F%s8l4}会F%b\\會F%b\\}琇r/琈3Z琉EN琊R0w*!$琋e9琌Fr琍F$F!琎lMlK琏FmFl琐sj琑nq琒63琓z*琔9J琕*l琖hd琗pq琘/<琙at琚M-琛r3mc琜G6琝/<琞sS琟`6琠=p=q琡pKle琢;5琣(j琤iEm9hi琥5p琦NxNv琧#wU)琨[uWK琩p]琪Nx琫(j琬z(琭H>琮p<p>琯LLYp琰ws琱99琲-#&e琳ET琴NNNL{晚黑NN.adQ行NNfd}琵+6{琶行+6)xdx}琶)x)v琷Qw琸lA琹NN琺3A3w琻q0琼Ol琽9p琾I;琿`H3Q瑀z%瑁0z1P瑂/`瑃pu瑄uW瑅<N瑆sQ瑇9n瑈vZ瑉/<瑊i9瑋`7瑌z+瑍bn瑎d*瑏q-瑐jR瑑u\\q1瑒p_yZ:,瑓Fn瑔q0瑕d$瑖;S瑗z,瑘R0w*!$瑙BmG=瑚bT瑛x!瑜z${伽{垫z$I3jS墊z$I3jS}}瑝_r瑞uD{郎uDGL}瑟rK瑠EN瑡s3瑢y6瑣sj瑤wlwj瑥`E瑦bR瑧lK瑨lM瑩x$x\"瑪.I瑫>?瑬EN瑭>T瑮Hn瑯GNGL瑰W;W9瑱=q9GiA瑲p]瑳o?o@瑴L/瑵hXk\"瑶wlwj瑷#MTY瑸&?瑹uQ瑺u0瑻[u瑼l]瑽p9p<瑾J(J,瑿w]璀popp璁p9璂Nx璃F$F!璄K@璅sjjF璆NH璇uZ璈T`#T璉FmFl璊1`璋l3璌vf璍x,璎x!璏`8璐G>璑0x璒89璓r/璔iE璕mf璖QZ璗:,璘Hf璙F`璚OlQw璛tu璜b<璝W9璞,q璟K@璠30璡lMlK璢EN璣JK璤`8璥K@璦#MTY璧'i'k璨m5璩QZ璪k\"璫:'璬K.璭LLYp璮<(璯b\\2w環_l_j{保袋_l(\"9j面_l0L}璱rK璲uD璳=r璴o@璵z$璶lP璷H`5oG<璸&?璹r2tz璺/>/<璻lF璼Dx璽qL璾i2m[j9璿uZ瓀z+瓁bP瓂P/K_瓃H`Hb瓄:t瓅G'G,瓆iQ瓇vZ瓈F$F!瓉he瓊Ol瓋>-瓌W9瓍pr瓎E8瓏H*瓐G<瓑G,瓒hehh瓓E&瓔x!瓕/`qL瓖u-瓗Ol[f瓘LMYq瓙9t瓚hehh瓛bl瓜VW{𠮨藤藤𠮨瓜VW@A<f<`@AVW}瓝(J**瓞9\\bP瓟(J**瓠bVbPbT{落bPGb}瓡iK瓢+r+o{虫+op<蟲+op<}瓣32%h%d3.31瓤C$C!GN瓥EJ瓦R1R2!\"R.!#!%{努阿{图!#G=!#>B圖!#G=!#>B}簷{口R1wrdd水R1wru@}背R1(R{頂R.(R8p顶R.(R8p}}瓧rJ~R1瓨Ku瓩o!~R1o!瓪%d瓫-6瓬5X瓭8.瓮$AUM瓯!cRo瓰3c~R1瓱fT~R1瓲@$瓳bT瓴Fr瓵w`瓶,*,(+N+O瓷nf瓸&#~R1瓹ME瓺p`瓻nc瓼F%瓽:,:(瓾_Q.g瓿*^&8(&甀lJ甁,*甂,!'Q甃i5甄vci?甅F$~R1甆nf甇!?!uRK甈e;甉d6甊EO甋9]甌!cRo甍/B甎l]甏(5(8*9*>甐Hh甑iJiG甒0y甓,9'i甔7Q7S甕$AUM甖!?RK甗wywv甘J!{地J!8X油{条J!vZ=d條J!vZ=d}草{榄J!oLDv欖J!oLDv}}甙9n甚r8rJ{为r8`6為r8`6爲r8`6}甛=l甜=l=j{头=l<R忌廉=lJPFc故=lL4曳曳=lvTvT片=l,\"筒=l?.頭=l<R}甝f`甞u0生qcr?qf{不{如死r?&Qz$r^逢{时r?&Q66s6時r?&Q66s6}}事r?s8于斯长于斯r?z!s3l4z!s3产r?m4{力r?m4G,线r?m4sM}利r?F&前r?o$力{军r?G,WK軍r?G,WK}动r?:b動r?:b化危{机r?2qRlJK機r?2qRlJK}厌r?wq厭r?wq口位qcdd`4命r?0V{体r?0V<L力r?0VG,線r?0VsM线r?0VsM體r?0V<L}埗qc(\"壅qcUK外qcTX女qcD4存r?q0平r?,*态r?;q怕r?)w態r?;q成r?sT效r?d2於斯長於斯r?z!s3l4z!s3无可恋r?0xfFHv日{会qcvzbX卡qcvzN-會qcvzbX}机r?JK杀大权r?qq7JQr機r?JK死r?r^{之交r?r^j9I?存亡r?r^q010攸{关r?r^vZVo關r?r^vZVo}有命r?r^v[0V未卜r?r^/b)!状r?r^k8狀r?r^k8筹r?r^m^签r?r^nu籌r?r^m^籤r?r^nu}殖r?jn{器r?jne;}殺大權r?qq7JQr气r?e;{勃勃r?e;(z(z}氣r?e;{勃勃r?e;(z(z}水芋{头qcu@bV<R頭qcu@bV<R}活r?c&{圈子r?c&h3j:态度r?c&;q9t態度r?c&;q9t指{数r?c&j:sw數r?c&j:sw}水平r?c&u@,*費r?c&3S费r?c&3S}涯r?R6{規劃r?R6[c`,规划r?R6[c`,}火r?5:灵涂炭r?Fr>B<)無可戀r?0xfFHv父r?5t片qc,\"物r?/P{学r?/Pfz學r?/Pfz燃料r?/PwxF^}理r?F%{时钟r?F%s6ki時鐘r?F%s6ki盐水r?F%wru@鹽水r?F%wru@}生{不息r?r?&Qsc世世r?r?r)r)}產r?m4{力r?m4G,線r?m4sM}疑r?w`病r?'&离死别r?F$r^'h纈qcG#缬qcG#老病死r?G='&r^肖r?nq色r?sc芒果qc1-Y\"蕃qc3-虫拐杖qcp<V^l4虾咁跳qcd!J\"=e蝦咁跳qcd!J\"=e蟲{枴杖qcp<V^l4柺杖qcp<V^l4}計r?Iq计r?Iq財r?oH{之道r?oHj99t有道r?oHv[9t}财r?oH{之道r?oHj99t有道r?oHv[9t}辰八字r?r<%wj>还r?_l還r?_l酮{飲食r??0v^sh饮食r??0v^sh}長r?l4长r?l4離死別r?F$r^'h靈塗炭r?Fr>B<)魚qcz\"鱼qcz\"}甠o*甡r9產m4{假m4I5婆m4,@生m4r?量m4HP}産m4甤ynyl甥r?qc甦su{醒susR}甧r3用y8y4{处y8q)處y8q)量y8HP}甩EiuKEoA-{下巴Eid&)x咳EoNi手掌{柜Eir.l4W:櫃Eir.l4W:}牌Ei*\"甩咳咳EoEoNiNi繩馬騮EisR.IEK绳马骝EisR.IEK鉸EiIA铰EiIA难Ei@V難Ei@V}甪H>甫5p,L,M,K(#{士,Ks4}甬y4y7甭(j&F&Q(k甮681h甯BHBJFrFt田=r=p{螺=rG.{厣=rG.wp厴=rG.wp車=rG.n-车=rG.n-魔=rG.0i}}由vZvXhv{得vX8K}甲IYIb{由Ibhv}申r9{請r9o({人r9o(vf書r9o(uQ表r9o('F}请r9o({书r9o(uQ人r9o(vf表r9o('F}}甴hzhviVIb{曱Ibhv{屋Ibhv$Q屎Ibhvs4}}电9J{动牙刷9J:bR0mF器舖9Je;,L子{磅9Jj:(4邮件9Jj:vZK:}扒9J)v水壶9Ju@bR热水壶9Jx2u@bR竞9JKA筒9J?.荷9JfJ蚊拍9J/9*L话9J_R{亭9J_R=x卡9J_RN-号码9J_RfV.I咭9J_RN-座9J_Vjp筒9J_R?.簿9J_R(\"线9J_RsM}须刨9Jsu*(}甶3z男@NDx{人@Nvd{之家@Nvdj9I3味@Nvd/b}傧相@N&?u/儐相@N&?u/女{平等@ND7,*8:老少@ND7G=sA}生@Nr?}甸9J9E=r甹,'町9K=p=v=u=y画`,_R`(_V{作_RkG像_Rl8公仔画出肠`,LQi.`,q!p^具_RM2功_RLQ圣_RsS地为牢`,8\\`6G<室_RrK家_RI3{帽_RI30v}屏_R'X工_RLQ师_Rs3廊_RGN板_R%d画`,_R眉_V/^笔_R&Q纸_Rj:舫_V5X葫芦`,bTG<质_RiQ面_R0L风_R63}甼=y甽h4iA甾j9ju甿.f/</B10畀&d&e{位&d`4卡&dN-我都唔{吼&dTU9o%Bdc睺&dTU9o%Bdc}条生路行下&d=fqcG>dBd%條生路行下&d=fqcG>dBd%油&dvX电话&d9J_R電話&d9J_R面&d0L{派{对&d0L*#;;對&d0L*#;;}}鬼{矺&dW:i&砸&dW:i&責&dW:i&责&dW:i&}}畁&d畂/1畃uH畄EN畅p_{散p_q^}畆/1畇`H畈3/畉5r畊IQJ-畋=r界I;{面I;0L}畍I;畎h4MF畏`5畐6J6E畑=r畒/1畓q0畔(h(g畕Lu畖_Q畗7e畘@NDx留ENEK{位EN`4名EN0T返拜山先{講EN3-%Sq]sKKv讲EN3-%Sq]sKKv}}畚(d畛i@mj畜pKpP{生pKr?}畝/1畞/1畟n'o9ji畠=rj9畡K]畢&Q{地&Q8X架山&QI4q]業{旅行&Qx,Hadx生&Qx,r?}生&Qr?{難忘&Qr?@T10}}畣7e畤j>s7j:略H\\HX{为H\\`6為H\\`6爲H\\`6略H\\HX}畦[f畧H\\畨3-畩w]番3--3,B'o{书妹3-uQ1K啄3-;'書妹3-uQ1K石榴3-s2EL禺-3z$茜3-r'薯3-uR{头3-uR<T跌落{灶3-uR9YGbk#竈3-uR9YGbk#風爐3-uR9YGb63G<风炉3-uR9YGb63G<}頭3-uR<T}話3-_R话3-_R鬼妹3-W:1K}畫`,_R_V`({作_RkG像_Rl8公仔畫出腸`,LQi.`,q!p^具_RM2功_RLQ地{為牢`,8\\`6G<爲牢`,8\\`6G<}室_RrK家_RI3{帽_RI30v}屏_R'X工_RLQ師_Rs3廊_RGN板_R%d畫`,_R眉_V/^筆_R&Q紙_Rj:聖_RsS舫_V5X葫蘆`,bTG<質_RiQ面_R0L風_R63}畬z$rWrZ畭z$畮/1畯lM異wb{卵雙生wbHdu-r?相wbu/}畱EN畲rZrW畳9V畴m`畵`,當:':):,{令箭:)FtjS作:)kG你{冇到:)AU0y9q哋冇到:)AU8\\0y9q}佢{冇到:)Q[0y9q哋冇到:)Q[8\\0y9q}做:)k&冇到:)0y9q差:'m!成:)sT我{冇到:)TU0y9q哋冇到:)TU8\\0y9q}更:'IQ機立斷:'JKE2;V正:)j#死:)r^真:)i?神{咁拜:)r<J\"%S噉拜:)r<J\"%S}票:)+q耳邊風:)wa'Q63舖:),L透明:)<S0T隱形:)vdx$面:'0L食生菜:)shqcoG飯食:)32sh}畷lelG畸NuJK{士Nus4}畹z(畺Lu畻sT畼p`畽?j:^畾H`畿JKNx疀mA疁EN疂9V疃?j疄HhHf疅Lu疆Lu疇m`疈'i疉9V7h疊9V7h8z{友7hvX幾7hJL正7hj#水7hu@牌7h*\"碼仔7h.Ii.馬7h.I}疋+!R1si!%疌jejh疍7\\7X{家{話7\\I3_R话7\\I3_R}}疎sisk疏sisk{冷冷siE'E'哩大𡃈siFQ7J[Y嘞𡃈siE9[W疏列列sisiE5E5篱siF!籬siF!門si1^门si1^}疐j;8#疑w`{心生暗鬼w`r3r?!kW:犯w`3.窦w`8)竇w`8)}疒B\\o`AJG,疓@CDm疔9K8o疕&d+4疖je疗F`Fb疘Ku疙J9S8J>\",疚Iw疛i4疜d&疝q_疞gu疟yh疠EJDkDn疡yZ疢mkmj疣vZ疤%K%c@9疥I;疦Qw疧Nxj9疨d!R0!$疩uD疪&e疫x8疬G,FP疭kk疮o]疯63疰lY疱*)疲+6{于奔命+6z!&?0V於奔命+6z!&?0V}疳J!疴#ETQ{唔#E%?{唔#E%?%?}屎贪高兴#Es4<!Kcf/殊殊#EuTuR肚TQ>C茄TQNo遏尿#E\"'B8𡲢TQNo}疵ncnf疶s_疷j9疸<(7R7Y7e疹mji@疺3z疻j:j9疼<f?/?0{惜?/sc愛?/#M爱?/#M錫?/s/锡?/s/}疽lEpo疾iVhz疿3R4.3S3V痀QWz\"QZ痁9AsEjK痂I3JE痃wxz*痄hM病'&'\\{假'&I5{紙'&I5j:纸'&I5j:}历卡'&G,N-坏'&_X壞'&_X房'&5X歷卡'&G,N-重'&kn}痆@hE8症jYjW痈y3y4痉KAKD痊q0痋<fp<?0痌?-痍w`痎I9痏5v`7痐bZ痑<'痒yZy[痓ne痔j>痕drdp痖!\"R.痗1P5w痘8,8(痙KAKD痚d-痛?/{不欲生?/&QyJr?深{恶绝?/r3bSlh惡絕?/r3bSlh}}痜??痝10痞+43X/-+7痟s?痠uW痡,K5o痢F&F!痣j;痤oB痥;\\痦%J%D痧qE痨G<痩r/痪bn痫ILd<痬x8痭&E痮l5痯LLYp痰<${上{頸<$u1Jd颈<$u1Jd}盂<$LM}痱3R4.3S403V4-{滋4-j9}痲.HET痳.HET痴nc{头芒nc<T1-撚{線ncEXsM线ncEXsM}痴{哋ncnc8X地ncnc8X}線婆ncsM,@线婆ncsM,@頭芒nc<T1-}痵W;痶9F{床痶席9Fo`9Fj8牀痶席9Fo`9Fj8}痷!ix)Ru痸mY痹&e痺&e&c痻/<痼L5YY痽;9痾#ETQ{唔#E%?{唔#E%?%?}屎貪高興#Es4<!Kcf/殊殊#EuTuR肚TQ>C茄TQNo遏尿#E\"'B8𡲢TQNo}痿`4`3瘀z\"z!z#瘁uDuC瘂!\"R.瘃l&l!l#瘄oM瘅7Y7W<'9e瘆r5瘇kj瘈i/IqNA瘉z&z%瘊df瘋63瘌E5E8{痢E8F!}瘍yZ瘎r6瘏>B瘐z%瘑Y!KW瘒`H瘓bn瘔5p5q瘕I4I3I5d$d!{淋咳嗽d!ETNcr/}瘖v]!iRuv_瘗w_!_瘘EP瘙sw瘚Qw瘛NAmYi/Iq瘜sc{肉scyF}瘝Vo瘞w_!_瘟`E{女`ED4瘟沌`E`E88{沌`E`E8888}}瘠j5jkjn瘡o]瘢%c-6瘣b\\_\\瘤ELEN瘥m#o?oB瘦r/{擘擘r/.u.u猛猛r/.d.d瘦{哋r/r/8X地r/r/8X}蜢蜢r/.d.d骨{拉柴r/W]Dlm$癞柴r/W]Dlm$癩柴r/W]Dlm$}}瘧yh瘨9E瘩7e7n瘪'h'2瘫<'<(瘬l5瘭'E瘮r5瘯pKl&瘰G.H`G1瘱!_w_Rk瘲kk瘳m]瘴l5瘵hS瘶r/瘷j5瘸NrQ<瘹9;瘺EP瘻EP瘼1D1@瘽NTJ(瘾vgvd瘿x\"癀b<癁6J療F`Fb癃H*癄nr癅EN癆G<癇ILd<癈3S癉7Y7W<'9e癊v_癋fw癌RB!6癍%c癎ILd<癏Vo癐L>`3Yb{癩癩L>DlDl}癑C\\H,癒z&癓/`癔w_癕y3癖,9{好,9fS}癗Ha癘EJDkDn癙uR癚7S癛EU癜9J癝EU癞DkDnE8E5@SDl{痢E8F!蛤蟆Dkd!0u}癟'h'2癠j5mZjki2癡nc{撚線ncEXsM癡{哋ncnc8X地ncnc8X}線婆ncsM,@頭芒nc<T1-}癢y[癣sL癤je癥jWjY癦/V/R癧G,FP癨5k癩DkDnE8E5@SDl{痢E8F!蛤蟆Dkd!0u}癪ji癫9E{婆9E,@癫得得9E9E8E8E}癬sL癭x\"癮vgvd癯QZ癰y3y4癱<(<'癲9E{婆9E,@癲得得9E9E8E8E}癳G.癴Hx癵HxHu癶(z(w癷Ko癸W;癹&V発3A登89{峯造極8963oMKV峰造{极8963oMKV極8963oMKV}門造訪891`oM5X门造访891`oM5X}發3A(w(z3w3?3G{人深省3Avfr3sR佈會3A(#bX個輪3GKYHd吽{哣3ARt8,竇3ARt8,逗3ARt8,}啷厲3AGKEF噏{瘋3A\"!63風3A\"!63}國難財3AYS@VoH姣3Ad0{發{扽3Ad03A85燉3Ad03A85躉3Ad03A85}}布會3A(#bX彈3A7X忟憎3A/@iF散3Aq^毛3A0u水樓3Au@EL泡膠3A,OI?熱被3Ax2+7燒友3As?vX爛渣3AE&hL狼戾3AGKEF生3Ar?{關係3Ar?Vodb}老脾3AG=+4行3Aff誓當食生菜3Ar,:)shqcoG蹄騰3A=Z<`辦3A%d鈔銀行3Am'S$ff難3A@V霉3A0u青光3AnKY?風發出面3A633Aq!0L}白&&&\"&#{䲞&&E2兔糖&&>A>R兰地&&E!8X净&&j&卡&&N-平衡&&,*dx晒晒&&qNqN桃&&>@榄&&Dv欖&&Dv油&&vX淨&&j&牌{烟&&*\"wu煙&&*\"wu菸&&*\"wu車&&*\"n-车&&*\"n-}牛&&Rp白{哋&&&\"8X地&&&\"8X}粉友&&3dvX紙黑字&&j:dQj>纸黑字&&j:dQj>蘭地&&E!8X蚱&&hM話&&_R{文&&_R/<}话&&_R{文&&_R/<}賴晒&&DlqN赖晒&&DlqN金咭&&J!M]雪雪&&u]u]領&&F=领&&F=飯魚&&32z\"饭鱼&&32z\"鮓&&hM鱔上沙灘&&sOu1qE<'鱲&&E2鲊&&hM鳝上沙滩&&sOu1qE<'鴿&&IY{眼&&IYRI籠&&IYH(轉&&IYl_黨&&IY:(}鶴&&fv鸽&&IY{党&&IY:(眼&&IYRI笼&&IYH(转&&IYl_}鹤&&fv鼻哥&#&hKW𩶘&&E2𫚭&&E2}百&#/V{下&#d%倮宴&#G0ww分{之&#3hj9数&#3hsw數&#3hsw比&#3h&d点&#3h9@率&#3hHn百&#3h&#點&#3h9@}副牌&#5q*\"加利&#I3F\"发百中&#3A&#kk只牌&#j5*\"叶帘&#x,Fd名&#0T夫{長&#5ol4长&#5ol4}张相&#l3u.張相&#l3u.弹斋主&#<*hQlX彈齋主&#<*hQlX房&#5X折不{挠&#je&Q@I撓&#je&Q@I}更&#IQ楼&#EL樓&#EL發百中&#3A&#kk葉簾&#x,Fd行&#ff貨應百客&#5;x#&#dS货应百客&#5;x#&#dS隻牌&#j5*\"頂&#8p顶&#8p}癿NrI3皀'iW:皁k&k#皂k&k#皃.V的9]{咁多9]J#:u士9]s4{佬9]s4G:牌9]s4*$狗9]s4Iv站9]s4hb錢9]s4o\"钱9]s4o\"}}皅)u皆I9{醉我{独醒I9lGTU:tsR獨醒I9lGTU:tsR}}皇b<{仁b<vd冠b<LK{头b<LK<T頭b<LK<T}帝女b<8#D4{唔{忧嫁b<8#D4%BvWI5憂嫁b<8#D4%BvWI5}}牌b<*\"}皈W9皉mXnd皊Fr皋Kc皌1t皍ji皎I@K.皏*p皐Kc皑TX#Lw`TZ#N皒TT#H皓fVKd皔fa皕'i&V皖bjbm皗m`皘sM皙sc皚TXTZw`#L#N皛O[wm皜fV皝5X皞fV皟mM皠pq皡fV皢ev皣x,皤,B皥fV皦K.I@皧#MTY皨sQ皩5X皪G,G'皫+p+q+s皬fz皭lAjGjJlD皮+6+4+7{带+67F帶+67F袍+6,L褛+4EK褸+4EK}皯Kp皰*)皱i5m*{皮m*+6{掹鸡m*+6/?Io瓜m*+6VW}}皲WK皳NH皴uEpu皵lAo9pk皶hK皷L4YX皸WK皹WK皺i5m*{皮m*+6{掹{雞m*+6/?Io鷄m*+6/?Io}瓜m*+6VW}}皻hK皼L4YX皽jR皾:t皿0U0R盀e:盁x$盂z$z!LM{兰胜会z$E$sSb\\蘭勝會z$E$sSb\\}盃(Q盄9;tz盅ki{头饭ki<R32頭飯ki<R32}盆-6-4盇e&盈x$x\"盉ax益x3{处x3q)生菌x3r?[v處x3q)}盋(w盌bj盍e&盎#e#]Tp#dyWTiTq{司#]s4士#]s4}盏hd盐wrwowt{分wr3h蛇wrrX}监IEIG{人赖厚IEvfDmdh头IE<R平监贱IG+NIGjV测IEmK犯IE3.生IGqc硬IGRL粗IGoK{嚟IGoKF${呀IGoKFTur}}}盒e&e\"dFdJ盓z!bQ盔[c盕3/盖K_e!J5P/e&J89j{上P/u1世P/r){太保P/r);q(\"}印P/ve棺P/LK{定论P/LK9PHh}}盗9t盘-6-4{坐-6oC}盙5p盚NH盛sVsTsR{会sVb\\名sV0T會sVb\\行sVdx載sTjw载sTjw}盜9t盝H>盞hd盟/B.h0T盠EH盡lPlL{力而{為lPG,w``6爲lPG,w``6}地一{煲lP8Xvu(!鋪lP8Xvu,K}興lPf/量lPHP}盢Xu監IEIG{人賴厚IEvfDmdh平監賤IG+NIGjV測IEmK犯IE3.生IGqc硬IGRL粗IGoK{嚟IGoKF${呀IGoKFTur}}頭IE<R}盤-6-4{坐-6oC}盥LM6.LLYq盦!iRu盧G<H`G:盨uCu@sj盩i3盪:,>S:)盫!iRu盬L4YX盭HbEJ目1z{不暇{給1z&Qd$N]给1z&Qd$N]}前{为止1zo$`6j:為止1zo$`6j:爲止1zo$`6j:}标人物1z'Evf/L標人物1z'Evf/L测1zmK測1zmK}盯9K8o{住8ol\\}盰KqKp盱gu盲.f.d.c/?/B{塞/BrQ头乌蝇.f<TbQx!妹.f1K撐.fm;撑.fm;桩桩.fkiki棋.fNv樁樁.fkiki盒.fe\"肠.fp^{炎.fp^wr}腸.fp^{炎.fp^wr}頭烏蠅.f<TbQx!鰽.foN鼻/B&h𫚧.foN}盳.f12直jnjj{升{机家长jnsQJKI3l4機家長jnsQJKI3l4}咇jn'c必{肠jn'cp^腸jn'cp^}截了{当jnjeFa:)當jnjeFa:)}接了{当jnj_Fa:)當jnj_Fa:)}昇機家長jnsQJKI3l4肠jnp^腸jnp^通巴士jn?-%Ks4}盵e;盶z+盷z*相u-u.u/{会u-b\\依{为命u-w]`60V為命u-w]`60V爲命u-w]`60V}公u/LQ士u/s8声u/sQ处u-q)夫教子u/5oIAj:应u-x#底u.8\"應u-x#會u-b\\机u.JK{而动u/JKw`:b雨褛u.JKz%EK食先u.JKshsK}架u.I4機u.JK{而動u/JKw`:b雨褸u.JKz%EK食先u.JKshsK}片u/,\"由心生u/vZr3r?簿u.(\"紙u.j:纸u.j:聲u/sQ處u-q)請不如偶遇u-o(&Qz$Rsz&请不如偶遇u-o(&Qz$Rsz&貌u/.V{堂堂u/.V>T>T}馬u/.I马u/.I}盹;DlM盺vc盻db*5盼*5盽63盾?muI盿/<眀0T省qdsR{会qdb\\到立立令qd9qEeEeFq悟sR%J會qdb\\起sRe:長qdl4长qdl4}眂s8眃`H`J眄0O0P眅*3眆5X眇0C眈7Q眉/`/^眊0z看f_f]{上f_u1中f_kk住f]l\\图作文f]>BkG/:圖作文f]>BkG/:守f]r.家本{領f]I3(dFs领f]I3(dFs}待f]9n护f]bV更f]IQ牛f]Rr管f]LL護f]bV門口f]1`dd门口f]1`dd顧f]L5顾f]L5}県z,眍NE眎s8眏#cTo眐jW眑wj眒r9眓Q/^S眔7h眕i@mj眖5Y眗M-眘r>眙new`眚qd眛1P/b{鏡/bJe镜/bJe}眜1t0b眝q+FsBI眞i?真i?{命天子i?0V=oj:心{話i?r3_R话i?r3_R}枪实弹i?p]rP7X槍實彈i?p]rP7X皮i?+4相i?u/{大白i?u/7J&&}空上{阵i?g?u1iD陣i?g?u1iD}話i?_R諦i?<M话i?_R谛i?<M}眠0N眡s8眢z'眣9\\眤BWG'眥j>hVi2眦j>hVi2眧npno眨h^hqht{下眼h^d%RI吓眼h^d%RI}眩z*z,_n{晕z,`H暈z,`H}眪'X眫/+眬H*眭[fu?眮?0眯/+/*/]03/b{埋/].N{眼/].NRI}}眰9\\眱w`眲AVR]S9B\\!Q\"-F&眳0T眴uEh5uGz,眵nc眶[Efc眷MG眸/0/2眹i@i>iD眺=e眻yZ眼RI!:R@RFS\"!={不{見{為淨RI&QK;`6j\\爲淨RI&QK;`6j\\}见为净RI&QK;`6j\\}尾都唔睄RI/a9o%BqT屎{乾淨盲RIs4Koj&.f干净盲RIs4Koj&.f}挹毛RIvo0u核RI`\\白RI&\"眉跳RI/`=f眸RI/2睑RIFf睥睥RI&]&]瞼RIFf矇RI1c{矇RI1c1c}簷RIwr翕毛RIvo0u蒙RI1c{蒙RI1c1c}袋RI9j覈RI`\\角膜RIL/1@鏡RIJd{房RIJd5X糖RIJd>R蛇RIJdrZ}镜RIJd{房RIJd5X糖RIJd>R蛇RIJdrZ}}眽/V.z眾kkki{生kkr?{相kkr?u/}}眿/V着lDlAjEl@lB{住lAl\\咗lAjp埋一{条裤lA.Nvu=f5q條褲lA.Nvu=f5q}好lAfR完lAz*瓦靴lAR1gW着{声lBl@ru聲lBl@ru}紅鞋lAgBd*紧lAJ(緊lAJ(红鞋lAgBd*草lAoL衫lAqW袜lA/P裙lA[x裤lA5q褲lA5q襪lA/P过lAY#過lAY#重lDkn鞋lAd*}睁iEhi睂/`睃siFtlM睄qSnrqT睅fbfabm睆bjbm睇<L8&{上眼<Lu1RI中<Lkk医生<Lw]r?嚟{凑<LF$m_湊<LF$m_}夜<Lw(更<LIQ楼<LEL樓<LEL淡<L<%白<L&#相<Lu/起上嚟<Le:u1F$醫生<Lw]r?}睈o(睉oB睊MG睋TT#H睌.a睍wvwywz睎e9睏[w3edq睐G8G6睑K4Ff睒sFsY睓=s睔WM睕z(_ibi睖FtA6睗sc睘Ol睙G&睚R6!*睛jW睜iEhi睝F$睞G8G6睟uDuA睠MG睡uD{房uD5X眼惺忪uDRIsQtc袋uD9j覺uDIA觉uDIA}睢u?3Q督:o{爷:ow(爺:ow(}睤*[睥*[*Y+7&]*\\{住&]l\\}睦1z睧3c睨Rn!b睩H9H>睪x8Kci&{丸Kcz(}睫jhjej_{毛je0x}睬oF睭i4睮z$睯3c睰.q睱d&睲sR睳5u睴WM睵ju睶pv睷K9睸/]睹9p睺dfdc{住dcl\\实dcrP實dcrP机会dcJKb\\機會dcJKb\\}睻h3睼=q8&<L睽[f[c睾Kc睿yn瞀/2瞁Xuf?瞂3z瞃`W瞄0B瞅m^m]瞆W;Pd^.瞇/+/]03/*{埋眼/].NRI}瞈y4瞉NGIq瞊:,瞋mii?瞌e&e!{眼瞓e!RI3e}瞍r.瞎e,瞏Ol瞐1D瞑0U0T0P0R瞒1`瞓3e{厉颈3eEFJd厲頸3eEFJd戾{頸3eEFJd颈3eEFJd}晏{覺3e!;IA觉3e!;IA}覺3eIA觉3eIA}瞔i#瞕l5瞖!_Rk瞗998'瞘NE瞙1D瞚uG瞛p9瞜EKEN瞝nc瞞1`瞟+s+p瞠m9>T瞡[c瞢1f/B1h1c瞣_n瞤uHuGuJ瞥,5瞦e9瞧nr瞨,q瞩l!瞪89m<o*8>瞫r4瞬uG瞭FaF`{如指掌F`z$j:l4望F`12}瞮o5瞯IMd<瞰dkdn瞱x,瞲h;z2Hn`\\瞳?0瞴0x/`0y瞵Hf瞶W;Pd^.瞷IM瞸x,f3f5{埋眼f3.NRI}瞹#MTY瞺`5bY瞻jK瞼K4Ff瞽L4YX瞾jG瞿QZM.5kM/M2矀/`矁m^矂swoM矃BIFs矄3c矅wn矆5k矇1f1c{矇{光1c1cY?忪忪1c1ctctc}豬眼1clWRI}矈0N矉*l矊0N矋EJ矌]kYAPG矍5kYS矎f/h5矏0N矐fz5kfwPY矑G<矒1f矓H*矔LMYq矕.a矖qLqM矗pK矘>R矙dkdn矚l!矛.T矜K?VoNNNTKD矝K?矞`\\z2QwHn矟tA矠i&mM矡5k矢nds4矣wa矤mj知j9j;{县j9z(名j90T{人士j90Tvfs8度j90T9t}微j9/]{麻利j9/].HF&}易行{难j9wbdx@T難j9wbdx@T}更雀j9J-l@碇j98t縣j9z(者利仁j;i^F&vf行合一j9dxe&vu識j;sc{分子j9sc3hj:}识j;sc{分子j9sc3hj:}道j99q}矦dfdh矧mj矨x%矩M.矪i3矫K.OXK-{捷K.je}矬oB短;R{切切;Ro3o3处;Rq)度{闊封;R9p6A63阔封;R9p6A63}片;R,\"處;Rq)}矮!^!(R4Rj{仔{唛!^i-/Q嘜!^i-/Q多{計!^i.9cIp计!^i.9cIp}}得得!^8E8E矮{哋!^!^8X地!^!^8X}磨{球!^0nNH碌!^0nH9}行星!^dxsQ門!^1^门!^1^}矯K.OXK-{捷K.je}矰iE矱bPbM矲%P石s27Ss.{刻s2dQ头鱼s2<Tz\"女s2D4屎{楼s2s4EL樓s2s4EL}斛{兰s2e&E$蘭s2e&E$}矢s2s4硖尾s2KG/a硤尾s2KG/a螺s2G.頭魚s2<Tz\"}矴9M8t矵mY矶JK矷j:矸KoKqfb矹S8\",矺i#i&矻S83u\",矼Kufc矽jn矾3032矿PG]kYA{卡]kN-}砀:,码.I.F砂qE{带qE7F帶qE7F}砃7W砄Qw砅EJ砆5o砇/<砈TU#I砉`,砊PGfc砋j:砌mYo5砍dj{掉重{練dj9>p<Fn练dj9>p<Fn}}砎I;砏3c*3砐S2\"&砑R2!&砒+3砓je研wxRHwzILK:!<{究生wxIwr?討會wx>@bX讨会wx>@bX}砕uA砖l]砗n-砘;D砙R1!%砚wzwv砛IE砜63砝3A3w砞1t砟kJhKhLhM砠lEpo砡yJ砢G.#EG1TQ砣>6>4砤>6砥8\"j:j9砦hV砧i9砨\"-!)S9砩3u3S3z砪0y砫lXq+砬E2Dc砭'R'Q砮BmBlG=G<砯,'砰,'*9,*%l砱HfFr砲*){弹*)7X彈*)7X}砳E>破,A{日,Avv水囊,Au@C\"涕{为笑,A<M`6sA為笑,A<M`6sA爲笑,A<M`6sA}相,Au/鏡重圓,AJep<z*镜重圆,AJep<z*頂,A8p顶,A8p}砵(w(u(z{仔糕(zi.Kc柜(uW>櫃(uW>砵{車(u(un-车(u(un-}酒(ui4}砶*M砷r9砸hqi#i&{界i#I;袋i&9j}砹R8!,砺EJ砻H*砼?0砽y8砾G'GbG,砿PG础o@硁duf/硂q0硃lW硄fc硅W9硆S2\"&硇@HDr硈Ow硉Hn硊Rm[e!a硋T\\#P硌L/G_Gb硍d>硎x$硏wxILK:RHwz!<硐:b硑,'硒r'硓G=硔gB硕s2硖e&KGdJ硗d-硘bZ硙`5fLTZ#NRlT\\硚OZ硛ji硜duf/硝s?硞PYQ3硟o#硠GN硡`NWQ硢z$硣d-硤dJe&KG硥11,a硦Gb硧y7硨n-硩je硪TTTV#H硫EN硬RP!@RL!D{仗RPl5件RPK:係RLdb倔倔RPWhWh净RPj&嘢RLw+挣RPhn掘掘RPWhWh掙RPhn掴掴RPWhWh摑摑RPWhWh淨RPj&盘RP-4盤RP-4碟RP9R{机RP9RJK機RP9RJK}糖RP>R系RLdb軚RP;s}硭10确PYNi硯wzwv硰qEo@硱[v硲yJ硳n_硴2o硵G=硶md硷ILf\"硸yh硹tc硺lA硻duPG硼*<*9*r硽wo硾lJ硿g?碀mr碁JKNxNv碂kk碃o)碄ET碅[u碆'o碇9M8t{方8t5W}碈/<碉99碊jQ碋fJ碌H9H>{人情卡H9vfo*N-卡H9N-吉H9KP地H98X士H9s4架{床H9I4o`牀H9I4o`}柒H9n&結H9KP结H9KP}碍T\\#P碎uAu@{片uA,\"{化uA,\"2q}銀uAS\"银uAS\"}碏pk碐Fr碑&c{銘&c0U铭&c0U}碒v`碓;;碔0y碕Nx碖HgHfHh碗bj碘9F9E碙@HKuDr碚-%(S碛jihwo9i#碜md碝z+碞RBv`!6碟9V9R{头饭9V<R32頭飯9V<R32}碠9M碡:tl&碢>6碣Ow碤x!碥'R碦dS碧'i碨`5`4bX碩s2碪i9碫;S碬d$碭:,碮<N碯BmG=碰-;{上-;u1}碱IL碲8#碳<){粉盒<)3de\"}碴hKlulx碵jW碶NA碷uI碸63碹uZ確PY碻PY碼.I.F碽LQ碾jRBCRHBDFm碿uK磀Rb!V磁nf{头nf<R带nf7F帶nf7F条nf=d條nf=d碟nf9R{机nf9RJK機nf9RJK}頭nf<R}磂EN磃s3<N磄>T磅(8,`(4{友(8vX}磆`&磇+3磈2w磉t.磊Ha磋o?磌=r磍KM7ke'e,磎N?磏Fff!磐-6磑`5fLRlTZT\\#N磒`I磓;9磔i&i#磕e&dje!P/磖E2Dc磗l]磘wl磙WL磚l]磛m0磜i/mY磝T`#T磞*9*r磟H>H9磠G=磡dk磢o^p^qd磣md磤vd磥Ha磦'E磧jio9i#hw磨0l0n0j{平0l,*心0nr3时间0ls6IM時間0ls6IM碌0nH9穿{鐵硯0lq->)wv铁砚0lq->)wv}蚀0lsb蝕0lsb豆腐0l8,5t}磩o9磪prpo磫ki磬f/磭pk磮Hf磯JK磰sP磱G<磲QZ磳iE磴8;磵IM磶sc磷HfFrHh磸9M磹<\"9A<$磺b<磻-6'o磼ht磽d-磾8!磿G,礀IM礁jE礂e9礃l4礄OZ礅;?礆f\"IL礇yE礈lJ礉e,d-礊e-礋i&礌HbHa礍Ow礎o@礏vt礐PY礑:(:)礒Rm!a礓Lu礔,9礕,9礖z&礗*i&?礘S2\"&礙T\\#P礚e&礛DxIE礜z&礝z+礞1f礟*)礠nf礡(J礢y[礣.q/P礤mG礥wx礦]kYAPG{卡]kN-}礧HbHa礨Ha礩iQj;iV礪EJ礫G'G,Gb礬3032礭PY礮*)礯x$x!礰G,礱H*礲H*礳0n礴(J礵u-礶LMYq礷Dx礸mG礹RBws!6示s8Nx{範單位s8327W`4范单位s8327W`4}礻s8礼EI{乐{射EIU,r\\崩坏EIU,&E_\\}以行之EIwadxj9券EIMG坏乐崩EI_\\U,&E崩乐坏EI&EU,_\\盒EIe\"饼券EI'\"MG}礽x$社r[r\\{会r[bX{主义r[bXlXwb企业r[bXNyx,大学r[bX7Jfz学r[bXfz工作者r[bXLQkGi^服务令r[bX6J0zFt现象r[bXwzl8福利r[bX6EF&科学r[bX59fz秩序r[bX9\\lJ贤达r[bXwx7n运动r[bX`J:b}會r[bX{主義r[bXlXwb企業r[bXNyx,大學r[bX7Jfz學r[bXfz工作者r[bXLQkGi^服務令r[bX6J0zFt現象r[bXwzl8福利r[bX6EF&科學r[bX59fz秩序r[bX9\\lJ賢達r[bXwx7n運動r[bX`J:b}長r[l4长r[l4}礿yh祀j>祁Nx祂;i祃.JR0R2祄I;d,祅wiwj祆f'祇Nxj:{係j:db是j:s8有j:v[系j:db聞樓梯響j:/<EN<Kgd闻楼梯响j:/<EN<Kgd}祈Nx祉j:nd祊&E*9祋9n;;祌knp9祍vb祎w]祏s2祐v\\祑iV祒=f祓3u祔5t祕&e&/{書長&euQl4}祖k\"{荫k\"v_蔭k\"v_}祗j9j:祘uY祙/b祚k&祛QW祜bRbV祝l!i5{捷l!je}神r<r9r:{主牌r<lX*\"{都{会喐r<lX*\"9ob[yE會喐r<lX*\"9ob[yE}}仙{魚r<sKz\"鱼r<sKz\"}位r<`4召{会r<jJbX會r<jJbX}台r<>:{桔r<>:J9猫屎r<>:.Qs4貓屎r<>:.Qs4}嘢r:w+差鬼使r<m!W:s4推鬼{㧬r<?cW:$@拥r<?cW:$@擁r<?cW:$@}神哋r<r:8X臺r<>:{桔r<>:J9貓屎r<>:.Qs4}話r<_R话r<_R通{广大r9?-Y@7J廣大r9?-Y@7J}龕r<di龛r<di}祟uDuR祠nfng{堂nf>R}祡m$祢AUATF%F$@y祣Ha祤z%gv祥p`祦%H%B祧=c票+q'E'J+p+o祩lY祪W:祫dJ祬j9祭i/hS祮d.祯jW祰d.Lc祱uA祲i9i;祳r>祴K]祵[v祶8#祷>@9p祸azay{不单行az&Q7Wdx}祹>B祺Nx祻L5YY祼LMYq祽lG祾Fr祿H>禀&@EU{神咁声&@r<J\"ru}禁J#NKJ!{做NKk&新NKr9死NKr^片J#,\"睇NK<L諗NKA(谂NKA(}禂9p>@禃jn禄H>禅sHsNsP{让sPy\\}禆+6禇q+禈3Q禉v[禊db禋vc禌j9禍azay{不單行az&Q7Wdx}禎jW福6E5q{士6Es4壽魚6Er2z\"寿鱼6Er2z\"州{話6Ei3_R话6Ei3_R}建{話6EK;_R话6EK;_R}荫6Ev_蔭6Ev_袋6E9j}禐z,禑%H%B禒sL禓yZu-禔<N禕w]禖1N禗s3禘8#禙(S禚lAl&禛i?禜aba`禝ji禞d.禟>T禠s3禡.JR0R2禢<57h禣(G禤h3h5禥Nx禦z&禧e9e:禨JKJP禩j>禪sHsNsP{讓sPy\\}禫<%7V禬PdPeb\\^.禭uD禮EI{以行之EIwadxj9券EIMG壞樂崩EI_\\U,&E崩樂壞EI&EU,_\\樂{射EIU,r\\崩壞EIU,&E_\\}盒EIe\"餅券EI'\"MG}禯CZH*禰AU@yATF%F$禱>@9p禲EJ禳yZ禴yh禵<N禶hh禷Hb禸vZv[A%vX禹z%禺z$z&离ncF$F&Ex{气Exe5行离迾F$ffF$E8间F$IM队F$;:}禼s_禽NN禾axav{熟噉{头axtzJ\"<R頭axtzJ\"<R}虫axp:蟲axp:雀axl@}禿??{頂??8p}秀r/{才{不出{門r/oF&Qq!1`门r/oF&Qq!1`}遇{着兵r/oFz&lD'W著兵r/oFz&lD'W}}纔{不出門r/oF&Qq!1`遇{着兵r/oFz&lD'W著兵r/oFz&lD'W}}}私s3{人{楼s3vfEL樓s3vfEL醒s3vfsR}楼s3EL樓s3EL生{子s3r?j:活s3r?c&}窦s38)竇s38)鐘妹s3ki1K钟妹s3ki1K}秂vf秃??{顶??8p}秄j:秅lx9q秆Kp秇Rn!b秈sK秉'X秊BBFl秋m]{刀{魚m]9oz\"鱼m]9oz\"}蝉m]sN蟬m]sN}秌m]种p<kjkk{下kkd&了kkFa咗kkjp唔种kk%Bkk完kkz*树kkuV植kkjn牙kkR0牛痘kjRr8(痘kk8,票kk+q稻kk9t米kk/+紧kkJ(花kk2o菜kkoG落kkGb过kkY#金kkJ!}秎3h秏fS秐`H科59{文59/:長59l4长59l4}秒0C0@{表0C'E}秓j9秔J-秕&d秖j:Nxj9秗z#秘&e&/{书长&euQl4書長&euQl4}秙5q秚(h秛+3秜ATF$秝G,秞vZ租k!{楼k!EL樓k!EL}秠+3+4秡&S秢Fr秣1t1q秤o),*{杆o)Ko桿o)Ko盘o)-4盤o)-4砣o)>4鉈o)>4铊o)>4}秥B<Ff秦pxpv秧yW秨kJ秩9\\秪j9秫uP秬M2秭j:秮c&积ji{犯ji3.}称o'mko){为o'`6之为o'j9`6得上o'8Ku1心o)r3{满意o)r31aw_}职o)ji身o)r9}秱?0秲j>秳c&秴e&秵vc秶j9秷iQiV秸I9秹va秺9t9q移w`{位w``4动平均线w`:b,*WKsM動平均線w`:b,*WKsM民局w`/<Ld}秼lY秽`5秾CZH*秿5t稀e9{寥寥e9F'F'}稁Kd稂GN稃5o稄uGiW稅uA?e@){務局uA0zLd局uALd率uAHj}稆Ha稇[v稈Kp稉J-稊<N程o*o(稌>B9t稍qR{为qR`6為qR`6爲qR`6}税uA?e@){务局uA0zLd務局uA0zLd局uALd率uAHj}稏!#R/稐Hg稑H>稒L5YY稓kJ稔A+B9vaFcEUA,{仔B9i.瞓A,3e}稕lM稖(8*=稗%V+6&2稘JK稙jnji稚j>稛[v稜FrFtE]Ea稝*<稞595;稟&@EU{神咁聲&@r<J\"ru}稠m`稡lG稢yE稣su稤H\\稥gc稦w]稧db稨'R稩JM稪6E稫,9'i稬BbG2稭I9種kjkk{下kkd&了kkFa咗kkjp唔種kk%Bkk完kkz*植kkjn樹kkuV牙kkR0牛痘kjRr8(痘kk8,票kk+q稻kk9t米kk/+緊kkJ(花kk2o菜kkoG落kkGb過kkY#金kkJ!}稯ki稰u@u?稱o'o)mk{之{為o'j9`6爲o'j9`6}得上o'8Ku1心o)r3{滿意o)r31aw_}為o'`6爲o'`6職o)ji身o)r9}稲9t稳`F{重`Fkn}稴wr稵j9稶yE稷ji稸pK稹i@mj稺j>稻9t稼I5稽N?N@稾Kd稿Kd{件KdK:}穀LcIwgV穁y6穂uD穃y6穄i/穅fc穆1z穇qWm.穈1`/`穉j>穊JMNw穋H>穌su積ji{犯ji3.}穎ab穏`F穐m]穑sc穒B7Fa穓x8穔b<穕o/穖JKJLJM穗uDu@穘eud-wl穙)&穚K-穛l!pk穜?0kjkk穝lG穞Ha穟uD穠CZH*穡sc穢`5穣yZ穤BbG2穥z&穦*i穧i2i/穨?f穩`F{重`Fkn}穪o'穫bPbV穬PG]k穭Ha穮'E穯sc穰yZy[y\\穱lAl!穲F$穳q0穴z2{位z2`4}穵`#_Q究IwIv穷Q${撚Q$EX}穸jn穹Q$LQg?空g?gA{中{少{爷g?kisAw*爺g?kisAw*}巴士g?ki%Ks4}位g?`4寥寥g?F'F'少g?sA尖{弹g?jK7X彈g?jK7X}泛g?32笼g?H(籠g?H(調g?=f调g?=f难g?@V難g?@V}穻z!z%穼r3穽j\\j\"j&穾wjwkR=穿q-{上q-u1凿附会q-kJ5tb\\桥q-OX梭巴士q-si%Ks4橋q-OX着q-lA著q-lA鑿附會q-kJ5tb\\}窀lK突8J:o{击测验8JKQmKwt围弹8J`67X圍彈8J`67X擊測驗8JKQmKwt破盲{肠8J,A.fp^腸8J,A.fp^}}窂G<窃s_窄i#{搣搣i#0b0b}窅wj窆'R窇(J窈0Cwj窉'X窊_Q窋le3uWb窌IA*)窍OYOXew窎9;窏bQ窐_Q窑wl窒iV9\\窓p]窔wjwkRs窕=gwl9>窖IA窗p]{友p]vX帘p]Fd簾p]Fd鉸p]IA铰p]IA門p]1^门p]1^}窘[w[y窙d-窚sT窛NG窜q.q/{扰q/wj改q/K^红q/gB访q/5X逃q/>B}窝au{利auF\"梨auF\"河aufF蛋au7\\轮auHd}窞7V<[dj窟3uWb窠au59窡lQ窢at窣uK窤LKYo窥[c窦8,8(8):t{口8)dd}窧pk窨v_3c窩au{利auF\"梨auF\"河aufF蛋au7\\輪auHd}窪_QW9窫vGhw!MRY窬z$z&z\"窭M2EN窮Q${撚Q$EX}窯wl窰wl窱=g窲m*窳z%窴j;=r窵9;窶M2EN窷FbF`窸sc窹%J%D窺[c窻p]窼hW窽6.窾6.窿H'H*H(竀moo'竁pq竂F`竃g?竄q.q/{擾q/wj改q/K^紅q/gB訪q/5X逃q/>B}竅ewOXOY竆Q$竇8,8):t8({口8)dd}竈k#{頭k#<R}竉H'竊s_立E2EhE/EeA>{乱EhHv亂EhHv会E2bX宪E/f)憲E/f)时{立紧Ehs6EhJ(间Ehs6IK}春Ehpu時{立緊Ehs6EhJ(間Ehs6IK}會E2bX法{会E23AbX局E23ALd會E23AbX}立{令E/E/Fq呤E/E/Fq重EhEhp=靓E/E/Fq靚E/E/Fq}身{处世E2r9q)r)處世E2r9q)r)}黐黐A>ncnc}竌q)竍rJ~sQ竎5q竏o!~sQ竐pK竑`N竒Nx竓fT~sQ竔sQEh竕3c~sQ竖uV竗0D竘Q[M.站hb{牌hb*\"長hbl4长hbl4}竚q+竛Fr竜H*竝'\\'Y竞KDKA{争KAiE{力KAiEG,}价KAI5技KAJP投KA<T步KA(&猜KAm!赛KAoG轮KAHf选KAuX逐KAl&}竟K@章l3竡&#~sQ竢j>竣lMpu竤`N童?0?.{生?0r?話?0_R话?0_R}竦td竧j\\竨9>竩w`竪uV竫j\\竬M.竭Ow竮,*端;Q竰F$~sQ竱l^竲mr竳89竴pu竵_W/X競KDKA{價KAI5技KAJP投KA<T步KA(&爭KAiE{力KAiEG,}猜KAm!賽KAoG輪KAHf逐KAl&選KAuX}竷djdk竸KD竹l!{升{女l!sQD4妹l!sQ1K}箩打水l!G-7@u@篮打水l!Dv7@u@籃打水l!Dv7@u@籮打水l!G-7@u@花{头l!2o<R頭l!2o<R}青l!nK}竺l!竻EtEo竼-<竽z!z$竾nf竿Ko笀10笁l!笂z*笃:o笄Io笅I@d0R<笆%K笇uY笈N]Nb笉mj`I笊hY笋uF{盘uF-4}笌R0!$笍lG笎z*笏3u`W笐ff笑sAs@{位sA`4到{轆地sA9qH98X辘地sA9qH98X}口噬噬sAddr*r*咪咪sA/]/]声sAru片sA,\"聲sAru脸sAFh臉sAFh話sA_R话sA_R}笒r6J&dl笓+6笔&Q{杆&QKo架山&QI4q]盒&Qe\"筒&Q?.袋&Q9j试&Qs7}笕IL笖wa笗:]笘sE9SsG笙r?qc笚7edJ笛9,9(9$笜lQ笝@b@_E2笞nc笟P]^'笠EcEhA>{乱EhHv亂EhHv}笡n/笢/=笣%W笤=f笥j>s5符5r{号5rfR弗5r5-號5rfR}笧mM笨&D{头笨脑&D<R&DBm拙&Dlh柒&Dn&重&Dkn頭笨腦&D<R&DBm}笩3z笪7k笫j:w^第8&8\"{一{时间8&vus6IM時間8&vus6IM}二朝8&wbjE尾8&/]}笭FrF9笮i#hMkGkJ笯BlG<笰3u笱Iv笲30'V笳I3笴KXKpKd笵32笶nd笷.U笸,@'o,?{箩'oG-籮'oG-}笹r)笺jQ笻Q$笼H*H(H+{底H(8\"溜H*F]络H+Gb统H+?.}笽0U笾'Q笿G_筀Iq筁Q3筂nf筃vc筄wn筅sL筆&Q{架山&QI4q]桿&QKo盒&Qe\"筒&Q?.袋&Q9j試&Qs7}筇Q$筈Q/^S等8:{錢使8:o\"r(钱使8:o\"r(}筊I@IAR<筋J'Vo筌q0筍uF{盤uF-4}筎z$筏3z筐fc[E筑l!筒?0?.?-筓Io答7e{問會7e/>bX应7ex#應7ex#问会7e/>bX}筕dxff策mM筗kn筘NG筙G6筚&Q筛r's3筜:'筝iEhi筞mM筟5o筠`HWK筡uCuQ>B筢)x筣F$筤GN筥M.筦LLYp筧IL筨dl筩?0?.筪dJ筫j;筬sT筭uY筮r,筯l\\lY筰kJkG筱s@sD筲qQ筳=x筴mMIY筵wx筶KeKd筷2w2v{子{架2wj:I4筒2wj:?.}}筸Kp筹m`m^筺fc筻IS筼`H筽%H%B签nu{卡nuN-名会nu/vbX帐额nul5R^账额nul5R^}筿s@sD简ILMv{简糊MvMvbR}箁*`箂G6箃i3箄*$&h箅&e&/箆&h箇KYK\\箈nf箉V^箊z!箋jQ箌9qhY箍P]^'{头揽颈P]<TDvJd臣P]uF頭攬頸P]<TDvJd}箎nf箏iEhi箐jWp]sMsP箑qksYjh箒i4hX箓H9H>箔(J(F箕JK箖ET算uY{係咁uYdbJ\"吧啦uY%LDc系咁uYdbJ\"罢啦uY%LDc罷啦uY%LDc}箘[w[v[y箙6J箚hqhw箛L3P]YW箜g?箝O`箞h3箟[v[w箠uBprlE管LLYp{乐LLU,弦{乐LLwxU,樂LLwxU,}樂LLU,理{处LLF%q)處LLF%q)}}箢z'箣mM箤lhpq箥&-箦i#箧dJKFKEf5箨>e箩G0G.G-{拔G-&T柚G-vX霸G-%M}箪7W箫s?箬yh箭jS箮h3箯'Q箰uF箱u-箲sL箳,*箴i9箵sRsQ箶bT箷w`s3箸l\\lY箹\"-!/pKyeS9箺pv箻Hn箼$QU]箽:^箾tAs?箿ht節je{乃見je@Cwz外生枝jeT\\r?j9操jeoM}篁b<篂sQ篃/b範32篅q0uZ篆u\\uY{书uYuQ刻uYdQ書uYuQ}篇,!{文,!/:{章,!/<l3}}篈63築l!篊gB篋dJKFKEf5篌df篍m]篎0C0D篏dk篐P]^'篑W>篒sh篓EOENG-篔`H篕e&篖>T篗bPz2篘m]篙Kc篚4.篛yh篜jW篝IuNE篞BVBPG&篟sM篠s@sD篡q_篢LQH+篣,`*r篤:o篥Hn篦&h&-&c&d篧l!bPkJ篨prq'q*篩r's3篪nf篫l!篬p]篭H*篮DxDv篯jQ篰(&篱F$F!{士F!s4更竹F$IQl!}篲`8uD篳&Q篴9,篵p9篶wu篷-<-966篸m.mch]篹hhuXl^篺*$篻+q篼8'篽z%篾0b篿@$l]簀i#簁s3r'簂YSL/簃z$w`簄bV簅m4簆NG簇pKl&簈,*簉k&m_oM簊JK簋W:簌pKtu簍EOENG-簎mMoq簏H9H>簐B@Fj簑si簒q_簓99簔si簕EtE>{窦Et8)竇Et8)}簖;V簗HN簘s?簙(G簚0h簛r'簜:,簝F`G<簞7W簟=m9A簠5p簡ILMv{簡糊MvMvbR}簢/=簣W>簤7J簥K-簦89簧b<b:簨uFuG簩G<G>簪h]{玉h]yF肉h]yF}簫s?簬G>簭r,簮h]簯Nx簰*$&h簱Nx簲*$簳KqKp簴M2簵G>簶H>簷sHv`wr{篷wr-<蛇wrrX}簸'q'p'o簹:'簺oG簻hKY!KW簼IuNE簽nu{卡nuN-名會nu/vbX帳額nul5R^賬額nul5R^}簾FfFd簿(\"(&{記(&JM{文員(&JM/<z*}记(&JM{文员(&JM/<z*}}籀i8籁Dn籂sc籃DxDv籄W>籅z$籆bPz2籇KcfT籈i?籉><籊>-9b籋BPFz籌m`m^籍jn籎w`籏Nx籐<f籑hh籒i8籓3-籔svr.籕i8籖nu籗lA;5^#kJ籘<f籙H>籚G<籛jQ籜>e籝x$籞z&籟Dn籠H*H+H({底H(8\"溜H*F]絡H+Gb統H+?.}籡K4籢Ff籣E$籤nu籥yh籦ki籧QZM.籨Ff籩'Q籪;V籫l^籬F$F!{士F!s4更竹F$IQl!}籭r'籮G0G.G-{拔G-&T柚G-vX霸G-%M}籯x$籰bPz2籱lA籲z&yh米/+/'/(06{碟/+9R舖/+,L高{風/'Kc63风/'Kc63}}籴9,籵30籶r9籷i#籸r9qXr5r4籹D7z%Ha籺e,类HbH^籼sK籽j:籾ATF$籿3c~/+q/粀rJ~/+l8粁o!~/+o!粂Iv粃&d粄(d粅/P粆qE粇fc粈vXv[A%粉3d{窦3d8)竇3d8)肠3dp^腸3dp^飾太平3dsc;q,*饰太平3dsc;q,*}粊&e粋uD粌&#~/+vg粍fT~/+i#粎/+粏;q粐bV粑%K粒A9Ec{声{唔出A9ru%Bq!都唔出A9ru9o%Bq!}聲{唔出A9ru%Bq!都唔出A9ru9o%Bq!}臣A9r:}粓J!粔M2M/M.粕,q*M粖0b1t粗oK{制滥造oKi/Dyk&劣oKI&声粗气oKruoKe;着oKlA粗哋oKoK8X聲粗氣oKruoKe;製濫造oKi/Dyk&}粘jKB9B<FcFf粙i8粚nc粛tu粜=e粝EJ粞r'粟tu{米片tu/+,\"}粠gB粡?0粢j9nc{飯nc32饭nc32}粣q^粤z2{语{残片z2z%m6,\"长片z2z%p`,\"}}粥l!yJ粦Hf粧k3粨&#~/+&#粩G=粪3e粫w`粬Q3粭e&粮HN粯d>wz粰5o粱HN粲m5粳J-IQ粴LQ~F%F%粵z2{語{殘片z2z%m6,\"長片z2z%p`,\"}}粶H>粷Lc粸Nx粹uDuAuC粺%V&2+6粻l3粼Hf粽kjkk精jWj!{乖j!V]仔j!i.伶jWFo出骨j!q!W]叻j!FK埋一便j!.Nvu'V灵jWFo甩{尾j!Ei/a辫j!Ei'Q辮j!Ei'Q边j!Ei'Q邊j!Ei'Q}精哋j!j!8X虫上脑jWp<u1Bm蟲上腦jWp<u1Bm过冇尾蛇j!Y#0y/arZ過冇尾蛇j!Y#0y/arZ靈jWFo}粿Y\"KXW;{条W;99條W;99}糀2o糁r4qXr5糂r4qX糃>T糄'R糅vXA\"vZv\\A&EP{合vZe&}糆0P糇df糈u@糉kjkk糊bTbR{仔bRi.裏糊塗bTF!bT>B裡糊塗bTF!bT>B里糊{塗bTF!bT>B涂bTF!bT>B}}糋jS糌h]i9hK糍nf糎F$~/+糏s_糐5o糑BWB\\C8G'糒&h糓Lc糔r-糕Kc糖>T>R{水舖>Tu@,L衣陷阱>Tw]dnj\\}糗vXddm_糘I3糙oM糚k3糛>T糜/`/*糝r4qXr5糞3e糟k!{蹋k!<5}糠fcfd{耳fdwa}糡Lz糢0x糣r4糤q^糥BbG2糦ne糧HN糨Lzl3糩Pd^.糪&#(E糫_l糬uT糭kjkk糮d7Dz糯BbG.B^G2糰@$糱x2x,糲EJ糳kJ糴9,糵x2x,糶=e糷E&糸0h糺Iv8(K.系dbd^Iqda\"8{咁dbJ\"{上下dbJ\"u2d&先dbJ\"sK咦dbJ\"w^嘅dbJ\"JF大dbJ#7F意dbJ\"w^}咪db/,噉{嘅dbJ\"JF意dbJ\"w^}}糼LQ糽iFiE糾8(IvK.{察IvmG正IvjY紛Iv3c結IvKM纏Ivo${不清Ivo$&Qo'}}糿vY紀JLJM{律部隊JLHn(&;:錄片JLH>,\"}紁lwly紂i8紃pxuH約yebP{會yeb\\略yeHX莫ye1@}紅gBLQg@g?gAff{十字會gBrJj>bX卜卜gB(E(E噹噹gB:':,壇魚gB<*z\"妝LQk3日gBvv油gBvX牌gB*\"{阿姑gB*\"!#L3}當當gB:':,白藍膠袋gB&&DxI?9j紅地gBg@8X腸gBp^色炸彈gBschM7X蟲gBp:衫魚gBqWz\"轟轟gBWTWT鮋gBvX鮪gBvX鱲gBE2}紆z!uQ{尊降貴uQl]KwW;}紇e,J9紈z*紉vhvf紊/>/=Hh{乱/=Hz亂/=Hz}紋/</>/:紌NH納@bE2A>{米樓@b/+EL粹@buC{主義@buClXwb}}紎j9紏<R紐A\"A%EL紑3Z3W3X紒Iq紓uQ{緩uQbl}純uHlL@${粹uHuC{數學uHuCswfz租房uHuCk!5Z}量uHHP}紕+3*W+6紖iCiAiD紗qE紘`N紙j:j9{樣j:yX牌j:*\"紮{下巴j:hwd&)x舖j:hw,L}錢j:o$}級N]紛3c紜`H紝vbv`紞7U7R8.8/紟J!NKJ#素sw{昧平生sw1P,*r?}紡5X索tAqwtw{带tA7F帶tA7F繩袋tAsR9j绳袋tAsR9j}紣pq紤Iv紥hw紦%K紧J(紨5o5t紩9\\紪mW紫j:{禁城j:J#rx}紬m`m]紭`N紮hwhq{腳婆hwM),@}累HbH_HaH`細r)r({佬妹r)G:1L囈r)Ri妹r)1L婆r),@時r)s4楷r)I9節位r)je`4聲r)ru蓉r)y4訂r)8t路女r)G>D4}紱3u紲s_vV紳r9{士r9s4}紴'o紵q+紶QWgvQ;紷Fr紸lY紹sD{興sDf/{酒sDf/i4}}紺J#紻yX紼3u紽>6紾i@mj紿9n>=絀leq!lQlh絁s3終ki{生kir?}絃wxz*組k\"{件k\"K:囡k\"D4女k\"D4爸k\"%N隊k\";:}絅Xd絆(h(e絇QZ絈/V絉uP絊lG絋]kPG経K?絍vbv`絎ff絏s_vV結KMG#IoIqKP{腸KMp^膜KM1@{炎KM1@wr}}絑lW絒m`絓VY_V絔&#/V絕lhldle{處逢生lhq+66r?}絖]kPG絗`\\絘ne絙J-J.絚J-J.絛>?絜KMOw絝5q絞I@d0ID絟q-q0絠K^絡G_GbG^{繹不絕Gbx8&Qlh}絢h5uE絣&E.c'Y絤sM絥6J&h給N]{予N]z%}絧:b?-?0絨y4y6{布y6(#}絩=e=g絪vc絫Ha絬s_絭MGh5絮uCuAuD絯K]d+d,絰9\\統?.{一派位?.vu*#`4}絲s3{帶s37F桿s3Ko母s30v}絳Kw絴p`絵Pd^.絶lh絷iK絸IL絹MG絺nc絻/>0O絼j>絽Ha絾sT絿NH綀si綁(4綂?.綃s?綄z*bmbl綅numc綆J.綇r.綈<N<M綉r/綊dJ綋`N綌Xu]E綍3u綎=u=x綏u?綐;>綑[v{膜[v1@}綒5o經K?IQ{一事長一智K?vus8l4vuj;年累月K?BBH`z2絡K?Gb}綔bV綕ji綖wxwu綗Xd綘66継Iq続l&綛vd綜kikk{合kke&{症kke&jY}觀kkLK述kkuP}綝r3ET綞9d綟G&G#EJ綠H>H:{卡H>N-蔭H>v_豆公H>8,LQ}綡HN綢m`m^{仔m^i.}綣h5h4綤sD綥Nx綦Nx綧lL綨Nx綩z(綪sPsMiE綫sM綬r2維`6y3{他命`6;i0V園`6z({阿伯`6z(!#&#}特效應`68Pd2x#生素`6r?sw皮`6+4}綮f/N@綯>B綰_j_m綱Ku網111-{上銀行11u2S$ff吧11%K絡11Gb{平{台11Gb,*><臺11Gb,*><}}}綳&E%n.c/@綴lGlJlelh綵oF綶Y\"KX綷pqlG綸HfVo綹EO綺w^綻hh綼'i綽pkm'綾Fr綿0N{羊0NyX{仔0NyXi.}}緀mWmX緁o/mujhj_緂<!緃ki緄WL[v緅i3緆scse緇j9緈dz緉HOHP緊J(緋4-4.{聞4./<}緌ylym緍/<緎at総kj緐30,B緑H>緒uC緓x!緔u1緕mZ緖uC緗u-緘IEjQ緙N3e-N5線sMsL緛z+緜0N緝mu緞;V;R緟p=p<kn締8#<M8&{造<Mk&}緡/<3c緢0B緣z*z,緤s_緥(\"緦s3緧m]編,!{撰,!he訂,!9P}緩bnbl{兵之計bl'Wj9Iq急blJ3慢bl.b步bl(&{代車bl(&9nM-當車bl(&:'M-}}緪J-J.J/緫kj緬0O緭`8緮6J3\\緯`7`8緰<Tu?緱IuNE緲0C緳Ow練Fn{功券FnLQMG精學懶Fnj!fzE%}緵ki緶,$'Q緷`JWL[v緸vc緹<N緺VWY!_Q緻j;j:緼`G`E`F緽o'緾o$緿9n縀;V縁z*縂kj縃u?縄sT縅`3縆J-J.縇uW縈x$縉lM縊!_Rk縋lJ縌x8縍(3(4縎W]縏-6縐i5m*{皮膠紙m*+6I?j:}縑K3縒ncoq縓q0q/縔t.縕`G`E`F縖e,縗po縘db縙y6縚>?縛(G5k(J(4縜`H縝mji@i?r>縞Kd縟yJ縠gV縡jvjw縢<f縣z,z(z*縤sw縥lLi@縦kk縧>?縨5X縩oG縪&Q縫666864縬l!縭F$縮tu{皮tu+4}縯wvvgwy縰s4qL縱kkkikj{橫ki_r{交錯ki_rI?oA}}縲H`縳MGl_縴f)f'縵.b縶iK縷EOHaEL縸0z1D縹+s+p+o{渺+o0C}縺Fl縻/`縼u\\總kj{局kjLd行kjfd額kjR^}績jij5縿qWm-s?繀uA繁30,B-6{衍30f(重30kn}繂Hn繃&E/@.c%n%i{帶&E7F繃緊.c.cJ(}繄w]!]繅su繆/0/20D1z.V{賢0Dwx}繇vZwli8繈QI繉`H繊nu繋db繌ki繍r/繎wx繏uY繐uDuAu@繑O[euOX繒iEmriJ繓;Yq5織jinej;繕sP繖q_繗Hf繘`\\W]Hn繙3-30繚F`F^F]{繑F^OX}繛pk繜lK繝IM繞wjwmO[{口O[dd絲邊O[s3'Q}繟<*o\"繠ym繡r/繢Pd^.繣`,_VbP繤l^繥e9繦QI繧`H繨7n繩sRsT{之於法sTj9z!3A子sTj:守sTr.索sTtA結sTKM網陣sT11iD縛sT(G}繪PdPe^.^/繫dbIq繬sc繭ILK:繮Lu繯_lz,_n繰k\"nosu繱p9繲I;2wd+繳K.lA繴'i繵7\\o$7YjV繶x3繷C[CZH+繸uD繹x8繺qLqq繻u?z$繼Iq繽&?*i繾f(繿Dx纀6J)&纁3c纂l^纃mZ纄-<纅yh纆/V纇Hb纈Owf;G#纉l^纊]kPG\\#{褦\\#E_跌\\#9Y}纋vW續l&tz纍H`HaHb纎nu纏o$jV{腳帶o$M)7F}纐d-纑G<纒o$纓x!纔oHoF{女oHD4}纕u-y[yZ纖nu{維被nu`6+7}纗lE[f_V纘l^纙G2纚qLF$s4qFs3F%纛:t9t纜DzDvDy纝H`纞Hy纠Iv8(K.{察IvmG正IvjY纷Iv3c结IvKM缠Ivo${不清Ivo$&Qo'}}纡z!uQ{尊降贵uQl]KwW;}红gBg@LQg?gAff{十字会gBrJj>bX卜卜gB(E(E坛鱼gB<*z\"妆LQk3当当gB:':,日gBvv油gBvX牌gB*\"{阿姑gB*\"!#L3}白蓝胶袋gB&&DxI?9j红地gBg@8X肠gBp^色炸弹gBschM7X虫gBp:衫鱼gBqWz\"轰轰gBWTWT鲉gBvX鲔gBvX𫚭gBE2}纣i8纤nuf'f){维被nu`6+7}纥e,J9约yebP{会yeb\\略yeHX莫ye1@}级N]纨z*纩]kPG\\#{褦\\#E_跌\\#9Y}纪JLJM{录片JLH>,\"律部队JLHn(&;:}纫vhvf纬`7`8纭`H纮`N纯uHlL@${粹uHuC{数学uHuCswfz租房uHuCk!5Z}量uHHP}纰+3+6*W纱qE纲Ku11纳@bE2A>{米楼@b/+EL粹@buC{主义@buClXwb}}纴vbv`纵kkkikj{横ki_r{交错ki_rI?oA}}纶HfVo纷3c纸j:j9{扎{下巴j:hwd&)x舖j:hw,L}样j:yX牌j:*\"钱j:o$}纹/</:/>纺5X纻q+纼iCiAiD纽A\"ELA%纾uQ{缓uQbl}线sMsL绀J#绁s_vV绂3u练Fn{功券FnLQMG精学懒Fnj!fzE%}组k\"{件k\"K:囡k\"D4女k\"D4爸k\"%N队k\";:}绅r9{士r9s4}细r)r({佬妹r)G:1L呓r)Ri声r)ru妹r)1L婆r),@时r)s4楷r)I9节位r)je`4蓉r)y4订r)8t路女r)G>D4}织jinej;终ki{生kir?}绉i5m*{皮胶纸m*+6I?j:}绊(h(e绋3u绌lelQlhq!绍sD{兴sDf/{酒sDf/i4}}绎x8经K?IQ{一事长一智K?vus8l4vuj;年累月K?BBH`z2络K?Gb}绐9n>=绑(4绒y4y6{布y6(#}结KMIqG#IoKP{肠KMp^膜KM1@{炎KM1@wr}}绔5q绕wjwmO[{丝边O[s3'Q口O[dd}绖9\\绗ff绘Pd^.Pe^/给N]{予N]z%}绚h5uE绛Kw络G_G^Gb{绎不绝Gbx8&Qlh}绝lhldle{处逢生lhq+66r?}绞I@d0ID统?.{一派位?.vu*#`4}绠J.绡s?绢MG绣r/绤Xu]E绥u?绦>?继Iq绨<N<M绩jij5绪uC绫Fr绬x!续l&tz绮w^绯4-4.{闻4./<}绰pkm'绱u1l4绲WL[v绳sTsR{之于法sTj9z!3A子sTj:守sTr.索sTtA结sTKM缚sT(G网阵sT11iD}维`6y3{他命`6;i0V园`6z({阿伯`6z(!#&#}特效应`68Pd2x#生素`6r?sw皮`6+4}绵0N{羊0NyX{仔0NyXi.}}绶r2绷&E/@.c%n%i{带&E7F绷紧.c.cJ(}绸m`m^{仔m^i.}绹>B绺EO绻h5h4综kikk{合kke&{症kke&jY}观kkLK述kkuP}绽hh绾_j_m绿H>H:{卡H>N-荫H>v_豆公H>8,LQ}缀lGlelJlh缁j9缂N3N5e-缃u-缄IEjQ缅0O缆DzDvDy缇<N缈0C缉mu缊`G`E`F缋Pd^.缌s3缍9d缎;V;R缏,$'Q缐sM缑IuNE缒lJ缓bnbl{兵之计bl'Wj9Iq急blJ3慢bl.b步bl(&{代车bl(&9nM-当车bl(&:'M-}}缔8#<M8&{造<Mk&}缕HaELEO编,!{撰,!he订,!9P}缗/<3c缘z*z,缙lM缚(G5k(J(4缛yJ缜i@mji?r>缝666468缞po缟Kd缠o$jV{脚带o$M)7F}缡F$缢!_Rk缣K3缤&?*i缥+s+o+p{渺+o0C}缦.b缧H`缨x!缩tu{皮tu+4}缪/0.V/20D1z{贤0Dwx}缫su缬Owf;G#缭F`F]F^{繑F^OX}缮sP缯iEiJmr缰Lu缱f(缲k\"nosu缳_l_nz,缴K.lA缵l^缶3X缷rY缸Ku缹3X缺Qw{陷Qwdn}缻3X缼P!缽(w(u(z{仔糕(zi.Kc酒(ui4}缾,*缿fhgedh罀sD罁Ku罂!?RK!u罃!?!uRKS'罄f/罅DeDc罆LMYq罇lK罈<$罉m9罊NAe-罋$AUM罌!?!uRK罍H`罎<$罏G<罐LMYq{头LM<R{刀LM<R9o货LM<R5;}頭LM<R{刀LM<R9o貨LM<R5;}}网111-{上银行11u2S$ff吧11%K络11Gb{平台11Gb,*><}}罒1z罔11罕f^罖11罗G0G.G-{庚G0IQ拔G-&T曼蒂克G0.b8#dQ生门G0r?1`织罪名G0jilJ0T经G0IQ}罘3Z罙r3罚3z罛L3YW罜lXlY罝i]lE罞1f罟L4L3YXYW罠/<罡Ku罢%P%L+6{啦%LDc黜%Plh}罣VY_V[)罤<N罥MGMF罦3Z5o罧r3罨wp\"!S-{汁S-iK耷\"!8?}罩hY罪lJ{名lJ0T孽深重lJx,r3p<犯lJ3.行lJdz}罫_VV^罬;Yle罭at置j;{富都{会j;5q9ob\\會j;5q9ob\\}頂j;8p顶j;8p}罯!j\"!NLRv罰3z罱Dy@O署q+uSuUuVq){長q+l4长q+l4}罳s3罴&c罵.J.G罶EO罷%P+6%L{啦%LDc黜%Plh}罸3z罹F${难F$@V難F$@V}罺m)m'罻`5`W罼&Q罽Iq罾iEiJ罿p9?0羀EO羁JK羂MG羃0h羄hY羅G0G.G-{庚G0IQ拔G-&T曼蒂克G0.b8#dQ生門G0r?1`經G0IQ織罪名G0jilJ0T}羆&c羇JK羈JK羉Hx羊yZp`yX{扒yZ)v毛被yZ0x+7膜yZ1@}羋/W/[/a/+羌Lu{笛Lu9(}羍<;美/a{不{勝收/a&QsQr-胜收/a&QsQr-}人{啄/avf;'胚子/avf(Qj:}其名/aNx0T生{会/ar?bX會/ar?bX}}羏yZ羐v[羑v[羒3f羓%K羔Kc羕y\\羖L4YX羗Lu羘k3羙Kc羚Fr羛wbe;羜q+羝8!羞r-m^羟QIp]羠w`羡sPwx羢y4y6羣[x群[x{揪[xm]}羥QIp]羦bl羧si羨sPwx義wbwa{堂wb>R會wbbX氣博兒戲wbe;(Gw`e9薄雲天wb'i`H=o}羪HN羫fc羬O`d6RB羭z$羮J-羯OwKM羰>Q羱z*羲e9羳30羴jQq]羵3f羶jQq]sK羷Fg羸H`羹J-GN羺A$A&EN羻gey[羼m5m4羽z%{扇{綸巾z%sMVoJ'纶巾z%sMVoJ'}絨被z%y4+7绒被z%y4+7}羾gBLS羿Rn!b翀p9翁y3翂3c翃`N翄ne翅ne{膀ne,`}翆pq翇3u翈dJ翉-4翊x8翋E2翌x8翍+3翎Fr翏EPF`H>Fb翐9\\翑QZM.z&習htiP{以{為常htwa`6u0爲常htwa`6u0}近平htJ,,*}翓Ow翔p`翕voe!vt翖vo翗NrQ<翘OZOYewK2O[{起O[e:}翙`5翚3Q翛s?tu翜qk翝`N翞Lu翟9bi&翠pq翡4.42翢:t9t>?>B翣qk翤ne翥lYlX翦jR翧h3翨ne翩,!翪ki翫bn_l_j翬3Q翭df翮e,翯fz翰fb翱T`#TTb{翔Tbp`}翲+o+q翳!_w]Rk{侷RkLh局RkLh气Rke;氣Rke;热Rkx2焗RkLh熱Rkx2}翴Fl翵dfQZ翶T`#T翷Hf翸-4翹OZewOYK2O[{起O[e:}翺T`#T翻3-3.{來覆去3-EH6Egv啄3-;'啅3-pi头婆3-<T,@挞3-<9撻3-<9来覆去3-EH6Egv盘3--4盤3--4箱倒{笼3-u-9pH(籠3-u-9pH(}覆3.6E轉3-l_{頭3-l_<T}转3-l_{头3-l_<T}頭婆3-<T,@}翼x8x4翽`5翾h3翿9t>B耀wn老G=G:{严G=wp临G=ER二G=w^何G=fF公{拨扇G=LQ-GsM撥扇G=LQ-GsM}兰G=E\"冧G=A'冯G=64刘G=EL利G=EF劉G=EL医少卜G=w]sA)!叔父G=tu5p味G=/^唐G=>R啮啮G=SnSn嚙嚙G=SnSn嚟G=EF嚴G=wp坐G=oC坑婆G=d?,@外G=TX大G=7F太{太G=;q;p婆G=;q,@}夫少妻G=5osAmW奉G=64套G=>@婆婆G=,B,@少{咸宜G=sAd6w`平安G=sA,*#]}差骨G=m!W]弱{妇孺G=yh5sz$婦孺G=yh5sz$}強G=QI强G=QI彭G=*:徐G=pp挝G=au撾G=au散G=q^本行G=(dff杂G=hp林G=ER梁G=HL母G=0v{雞G=0vIo面G=0v0P鷄G=0vIo鸡G=0vIo麪G=0v0P}油{条G=vZ=d條G=vZ=d}泥妹G=@x1K派G=*!牛{声G=Rrru聲G=Rrru}狐狸G=bTF\"王G=b:生常{談G=r?u0<$谈G=r?u0<$}秦G=pv老豆豆G=G=8,8,脾G=+4臨G=ER莲G=Fj蓮G=Fj蘭G=E\"行{专G=ffl]專G=ffl]尊G=ffl]}調重彈G=9>p<<*譚G=<\"调重弹G=9>p<<*谭G=<\"豆G=8,赵G=jF趙G=jF郑G=j\"鄭G=j\"醫少卜G=w]sA)!銅G=?.铜G=?.陈G=mj陳G=mj雀G=l@雜G=hp馮G=64麥G=/R麦G=/R黃G=b:黄G=b:黎G=EF鼠跌落天{平G=uR9YGb=o,*秤G=uR9YGb=o,*}齧齧G=SnSn}耂G=考d.{师傅d.s35p師傅d.s35p生d.r?評局d.,*Ld試d.s7评局d.,*Ld试d.s7量d.HP}耄0z者i^耆Nxs8j:耇Iv耈Iv耉Iv耊9\\耋9\\而w`A6w^E`{字咁手w`j>J\"r.}耍qFqG{冧qGEQ手{兼{拧头qFr.K3BJ<R擰頭qFr.K3BJ<R}拧头qFr.BJ<R擰頭qFr.BJ<R}拳qFQp花{样qF2oyX樣qF2oyX}}耎z+耏w`BhG8耐BhA6G4BdG3BcG8{不耐Bh&QBd唔{时Bh%Bs4時Bh%Bs4耐Bh%BBd}耐BhBd}耑;Ql]耒G8HaHb耓=u耔j:耕IQJ-{种IQkk種IQkk}耖m)m(耗fS耘`H耙)x%M)v耚+3耛>:w`耜j>ng耝pq耞I3耟M2耠e&耡oB耢G>G<耣Hg耤jni_ib耥>R耦Rs!g耧EN耨A&EP耩Kv耪,a,],_耫hP耬EN耭JK耮G>G<耯bP耰vW耱0n耲_Z耳wa{听八方wa=w%w5W提面命wa<N0P0V环wa_j環wa_j筒wa?.聽八方wa=w%w5W膜wa1@}耴S8\",耵9K9L耶w*{撚w*EX}耷7e8?{低{头8?8!<T頭8?8!<T}头耷脑8?<T8?Bm尾8?/a湿8?rE溼8?rE濕8?rE車8?n-车8?n-迫力8?'nG'頭耷腦8?<T8?Bm}耸tdtc耹NN耺`H耻nd{与为伍ndz%`6%I與{為伍ndz%`6%I爲伍ndz%`6%I}}耼7Q耽7Q8-8/82{时间8-s6IM時間8-s6IM波{鐘82'oki钟82'oki}症8-jY耽下8-8-d%雞8/Io鷄8/Io鸡8/Io}耾`N耿J.Xd聀ji聁*5聂BPFzsY聃7Q聄mj聅o5聆Fr{听Fr=w聽Fr=w}聇jW聈vZvX聉`&聊F`聋H*H({耳陈养鸡H*wamjy[Io}职ji{分ji3h}聍BHFr聎=c聏w`聐R\\!P聑9S聒Q/^S聓r)联HxHv{会HxbX储局Hxq+Ld系汇率Hxdbb\\Hj络HxGb队Hx;:}聕fV聖sS{公會sSLQbX堂sS>R聽sS=w誕卡sS7YN-}聗Fz聘,){請,)o(请,)o(}聙jW聚lJoO{乙烯lJz2e9会lJb\\會lJb\\精{会神lJjWb\\r<會神lJjWb\\r<}苯乙烯lJ(dz2e9}聛&d聜8\"iQ聝YSXuL/聞/</:/>{到/<9p{棺材香/<9pLKoHgc}名/<0T{不如見面/<0T&Qz$K;0P遐邇/<0Td$wa}相/<u.風喪膽/<63t/7R}聟r)聠,'聡p9聢9P聣Rn!b聤=x聥M.聦p9聧[c[f聨Hx聩Pd^.Pe^/T\\b\\聪p9聫Hx聬y4聭W;聮Hx聯HxHv{儲局Hxq+Ld會HxbX絡HxGb繫匯率Hxdbb\\Hj隊Hx;:}聰p9聱T`#T聲sQrur0{名sQ0T{大噪sQ0T7JoM狼藉sQ0TGNjn}喉rudf嘶力竭sQr'G,Ow大夾{冇準ru7JIY0ylL惡ru7JIY#w}帶ru7F樂sQU,氣rue;沙ruqE線rusM談ru<$}聳tdtc聴=u聵PdPeT\\b\\^.^/聶BPsYFz職ji{分ji3h}聸7Q聹BHFr聺o5聻jP聼=u=?=w聽=?=w=u{信=wuG力=wG,命=w0V天由命=w=ovZ0V尼士=uB's8故唔好駁故=?L4%BfR(GL4日=uvz早=uk\"晚=u.]暇=ud!朝=ujE{早=ujEk\"}眾=wkk筒=??.衆=wkk覺=wL/說=wu_説=wu_證會=wjYbX障=wl5電話=?9J_R}聾H*H({耳陳養{雞H*wamjy[Io鷄H*wamjy[Io}}聿`\\z2Hn肁jJ肂s5肃tu肄wbs5肅tu肆s5r_{意妄{为s5w_11`6為s5w_11`6爲s5w_11`6}}肇sD肈sD肉yJyF{俎砧板上yJpri9%du2参yJr3參yJr3地yJ8X弹yJ7X彈yJ7X排yJ*\"滑yJ`\"片yJ,\"眼扒yJRI)v腾腾yJ<`<`騰騰yJ<`<`麻{当有趣yJ.H:)v[pq當有趣yJ.H:)v[pq}}肊x3肋EtE>E9EoE;F&{骨E>W]}肌JK肍Iz肎dv肏m)oM肐L/IeJ9肑(G肒bn肓5W肔nd肕vhS&肖nqs?{像{画nql8_R畫nql8_R}}肗z%肘hXi4肙z'肚>C>@{䉺>Cfd糠>Cfd腍>CA*}肛Ku肜y6肝Ko{肠寸断Kop`q/;V腸寸斷Kop`q/;V}肞lu肟#wbQU)肠p`p^{仔p^i.{包p^i.%W饱p^i.%W}治p^j>病毒p^'&:t粉p^3d衣p^w]镜p^Je}股L4YX{份L43d票交易所L4+qI?x8sj}肢j9肣dld6dmNN肤5o肥403V4.{严40wp何40fF冯4064刘40EL劉40EL唐40>R嘟嘟40;W;W嚴40wp头耷耳40<T8?wa妹401K崽409i彭40*:徐40pp林40ER梁40HL毒矮柒{穷40:t!^n&Q$窮40:t!^n&Q$}淋淋40A,A,淰淰40A,A,王40b:秦40pv肥{哋404.8X地404.8X}胎409i腾腾40<`<`譚40<\"谭40<\"赵40jF趙40jF郑40j\"鄭40j\"陈40mj陳40mj頭耷耳40<T8?wa馮4064騰騰40<`<`黃40b:黄40b:}肦%c肧-!+3肨(h肩K9肪5W肫lKuH肬vZ肭DDADCnEnHnH>肮ffKu#cToPATq#ePGfc肯dvfLdp{肯舞dpdp0y}肰wx肱WQ育yJyEx9肳/=肴R<!0肵Nx肶&d肷f\"f5肸vze'f;&e肹vz&e肺3S-#{活量3Sc&HP片3S,\"}肻dv肼j\"肽;q肾r=r:r>肿kj胀l5胁f5f8胂r>r9胃`8{酸倒流`8uW9qEN}胄i8胅9Y9\\胆7R{大妄为7R7J11`6战心惊7RjSr3K?正命平7Rj#/z+N量7RHP}胇3S&V3V胈&V胉(G胊QZ胋=l背(S(V(R{书(VuQ心袋(Sr39j景音{乐(SK@v]U,樂(SK@v]U,}書(VuQ熟(Vtz角(VL/誦(Vkn诵(Vkn默(V/V}胍VW胎>99i;o{气;oe;氣;oe;生>9r?盘>9-4盤>9-4}胏j:胐-#;E3u胑j9ji胒AVF&胓,*胔j;ncj>胕5o5r胖(h-5-6胗mji@i?{肝i?Ko}胘wx胙k&胚-!(Q+3{囊(QC$胎(Q>9芽(QR0}胛IY胜qcsQsS{任sQvb券在握sSMGjz!Q率sSHj}胝j98!胞%W*'{妹%W1L}胟0y胠QW胡bTbRbQ{作非{为bTkG4-`6為bTkG4-`6爲bTkG4-`6}裏胡塗bTF!bT>B裡胡塗bTF!bT>B里胡{塗bTF!bT>B涂bTF!bT>B}}胢M_胣nd胤vh胥u?胦yW胧H*胨:_胩M]胪G<胫f1KA胬BmG=胭wu{脂{脚wuj9M(腳wuj9M(}}胮,]胯[)['5q胰w`胱Y?Ku胲K]K^fLd+胳IeL/G_J9{肋底IeE98\"}胴:b胵ncne胶I?{化I?2p纸袋I?j:9j袋I?9j}胷g?胸g?{垫g?jS墊g?jS}胹w`胺#]!M#_TiRYTk胻dx胼,$能A6><BhEWE]EZE`F<{厨EWq(廚EWq(械F<d,量A6HP駭F<d,骇F<d,}胾j;j9胿W9脀jW脁=dwl=e脂j9脃pq脄1N脅f5f8脆pqpp{卜卜pq(E(E片pq,\"皮pq+4{肠pq+4p^腸pq+4p^}脆{哋pqpp8X地pqpp8X}角pqL.}脇f5脈/V.z{絡/VGb}脉/V.z{络/VGb}脊j5jk脋f5脌B?Fi脍Pd^.Pe脎qq脏k3k5k8脐nf{带nf7F}脑BmG={囟BmuF{未生埋BmuF/bqc.N都未生埋BmuF9o/bqc.N}膜炎Bm1@wr袋Bm9j}脒/+脓CZH*脔HyHvHxFj脕.a.b脖(z脗/=脘LLbjbmYp脙vW脚M)L/M(M*{坳M)R;指尾M)j:/]{拉西M)j:/]Dir'}架M)I4瓜瓤M)VWC!肚瓤M)>CC!脚声M*M(ru趾尾M)j:/]{拉西M)j:/]Dir'}面M)0L}脛f1KA脜vZ脝du脞o@脟I#HyI&Hv脠jQ脡=v=y脢1N1P{头1N<R頭1N<R}脣uH脤r=r>脥f\"IYf5脦>-脧lEpol'l]脨pK脩r-脪ve脫@)?e@'脬*'脭o*脮D7Ha脯5p,L,N脰8,脱@)@'?e脲B8Fb脳BmG=脴+4脵%H%B脶G0VWay脷F&{苔F&>9}脸FgFh0P{书0PuQ孔Fhg@容0Py6红耳赤0PgBwan_}脹l5脺uDpquC脻j_脼HO脽uB脾+6&d+4{罅&dDe}脿'F腀Hf腁,$腂Ha腃`5Qr腄pr腅7V腆=p腇D7Ha腈o'腉@BDl腊scE2Fz{味E2/^肠E2p^{裤E2p^5q}鸭E2!F}腋x8vz腌wox)\"!S-{制x)i/尖{声闷wojKru1b聲悶wojKru1b}眼x)RI}腍A+vbA*EUET{佛A*3z厣A*wp厴A*wp啤啤A*'2'2善A*sP柿A*nd滋滋A*j<j<瘪瘪A*'2'2癟癟A*'2'2鼻A*&h}腎r>r=r:腏le腐5t{女5tD4}腑5p5r{胵5rne}腒M-QZ腓40腔fc腕bj腖:_腗+6腘YSL/腙ki腚9P腛\"-S9腜1N腝z+w`腞u\\腟n!腠m_i5腡G0VWay腢Rsz$!g腣8#腤!i!kRuRw腥rusQrwsS腦BmG={囟BmuF{未生埋BmuF/bqc.N都未生埋BmuF9o/bqc.N}膜炎Bm1@wr袋Bm9j}腧uSuV腨u\\腩@ODy腪`J腫kj腬A&EP腭U,#z腮so腯8E;W?m8J{身位8Er9`4}腰wi{带wi7F帶wi7F果糊wiY\"bR润wiyp潤wiyp芒wi1-}腱K;K9K>jR腲`4腳M)L/M(M*{坳M)R;指尾M)j:/]{拉西M)j:/]Dir'}架M)I4瓜瓤M)VWC!肚瓤M)>CC!腳聲M*M(ru趾尾M)j:/]{拉西M)j:/]Dir'}面M)0L}腴z$腵I3腶;S腷'i腸p`p^{仔p^i.{包p^i.%W飽p^i.%W}治p^j>病毒p^'&:t粉p^3d衣p^w]鏡p^Je}腹6E{膜6E1@{炎6E1@wr}黑6EdQ}腺sM腻AVEPF&A&腼0O=p9F{腆0O=p}腽`W腾<f<^<d<`{上腾落<fu1<fGb腾震<`<^iA}腿?d膀(4,`,]{头{凸额,]<T8JRb突额,]<T8JRb}胱,`Y?頭{凸額,]<T8JRb突額,]<T8JRb}}膁f\"f5膂HaH_膃`W膄r/膅>T膆swuA膇lJ;;膈Ie膉x3膊(G膋F`膌j5jnjk膍+65r膎d*膏KcKe膐Ha膑&A*m膒!cRo膓p`膔H>膕YSL/膖,]膗qNpr膘'E膙QIILl4膚5o膛>T>Q膜1D1@0x{拜0x%S}膝rK{头哥撨眼泪rK<TKWK.RIHb盖rKP/蓋rKP/頭哥撨眼淚rK<TKWK.RIHb}膞l]uH膟HkHn膠I?{化I?2p紙袋I?j:9j袋I?9j}膡x&膢H`EN膣iV膤u_膥pu膦HhHf膧?0o`膨*<*'膩AVA&EPF&膪hSpphP膫F`膬pq膭W9膮eu膯<c膰30膱ji膲jE膳sP膴5o0y膵uDpquC膶ypyt{肠ypp^腸ypp^}膷gc膸uC膹3g4.膺x!膻jQ7\\q]sK<(膼hKVW膽7R{大妄{為7R7J11`6爲7R7J11`6}戰心驚7RjSr3K?正命平7Rj#/z+N量7RHP}膾PdPe^.膿CZH*臀@$臁Ff臂&e臃y4y3臄QVOJ臅l!臆x3{测x3mK測x3mK}臇lMl^臈E2臉FgFh0P{孔Fhg@容0Py6書0PuQ紅耳赤0PgBwan_}臊susw{虾女sud!D4蝦女sud!D4}臋@$臌L4YX臍nf{帶nf7F}臎pq臏&A*m臐3c臑@Jw`z$BnDt臒bMbV臓k8臔wz臕'E臖f/臗6-臘E2Fz{味E2/^腸E2p^{褲E2p^5q}鴨E2!F}臙wu臚G<臛5kgQPY臜jKiKh]hejM臝G.G1臞QZ臟k8臠HyHxFjHv臡@xEH臢jKh]iKhejM臣r<r:uF臤d9f'臥TV#J臦YAXdKw臧k3o`k8臨ETEVEREQ{危受命ETRlr20V尾ET/]摹ET0z立會ETE2bX老過唔到世ETG=Y#%B9pr)行ETdx}臩YAXdKw自j>j:K&{以{为j>wa`6{是j>wa`6s8}為j>wa`6{是j>wa`6s8}爲j>wa`6{是j>wa`6s8}}传j>l^便j>'R傳j>l^力更生j>G,J-r?动请缨j>:bo(x!動請纓j>:bo(x!命j>0V{不凡j>0V&Q30清高j>0Vo'Kc}己友j>JLvX弹自唱j><*j>p_彈自唱j><*j>p_把自{为j>%Lj>`6為j>%Lj>`6爲j>%Lj>`6}摸j>0i曝其短j>(&Nx;R梳女j>siD4然反{应j>wx3.x#應j>wx3.x#}生自{滅j>r?j>0b灭j>r?j>0b}由{行j>vZdx貿易j>vZ/2x8贸易j>vZ/2x8}縊j>Rk缢j>Rk行j>dx{了{断j>dxFa;V斷j>dxFa;V}}轉j>l_转j>l_重j>kn队j>;:隊j>;:}臫K.臬x2BPFz臭m_{名{远播m_0Tz+'q遠播m_0Tz+'q}屁{勒m_+5E>𤷫m_+5E8}男人m_@Nvd豆腐m_8,5t鼬m_vZ}臮NwJP臯Kc臰m_臱0N臲x2FzBP至j;{理名言j;F%0Twx}致j;j:{命j;0V{伤j;0Vu-傷j;0Vu-}}臵Ie臶jV臷9\\臸j9lM臹r-臺><>:>9w`{妹><1K姐><i]}臻lK臼NING臽d8臾z$y7臿mA舀wmwjwi{飯wi32饭wi32}舁z$舂ki舃sc舄sc舅NINFNG{仔NGi.母NG0v父NG5p}舆z$與z%z$z&{會z%bX生俱來z%r?QWG6}興f-f/vhf0{致f/j;{勃勃f/j;(z(z}興冚冚f0f-dldl趣f/pq{盎然f-pq#]wx}高采烈f/KcoFG&}舉M.{世聞名M.r)/<0T行M.dx足輕重M.l!f-p=重若輕M.p<yheQ}舊Iz{事重提Izs8p<<N地重遊Iz8\\p<vZ年IzB@生Izr?調重彈Iz9>p<<*}舋vhve/>舌s_sb舍rYr[rX{下r[d&命rX0V堂r[>T生{取{义rXr?ppwb義rXr?ppwb}而取{义rYr?w`ppwb義rYr?w`ppwb}}监r[IE監r[IE}舎rY舏Iv舐qODjqLs7F.Fd{共DjLV嘢Djw+挞Dj<9撻Dj<9犊情深qL:to*r3犢情深qL:to*r3閪Djd]鞋底Djd*8\"}舑7Q<'=k舒uQ{緩uQbl缓uQbl}舓qO舔=jF.舕<#舖,M,K,L{位,M`4头,M<R面,M0L頭,M<R}舗,M舘LLYp舙z%舚7Q舛q.舜uG舝e,舞0y{会0ybX女0yD4會0ybX麒麟0yNxHd龍咁舞0yH*J\"0y龙咁舞0yH*J\"0y}舟i3{車i3M-{勞頓i3M-G<;D}车i3M-{劳顿i3M-G<;D}}舠9o舡uZKufc舢q]舣Rm!a舤30舥)u舦;s舧30舨%d舩uZ航ff{行ffdx}舫5X般(c%c'o(w-6{若'ow+}舭&d舮G<舯ki舰Dzmc{队Dz;:}舱o]舲FrE]舳l&舴i#舵>6;s>7舶(J&#*M&&*P舷wx舸KXfF船uZuX{長uZl4长uZl4队uZ;:隊uZ;:}舺IY舻G<舼Q$gB舽,`66舾r'舿['[)艀3Z艁k&艂66艃F$艄qQ艅z$艆GN艇=C=y=A=@艈yE艉/a艊(J艋.g.c艌B>Fh艍M-艎b<艏r.艐fGI;ki艑'V'Q艒1z艓9V艔9t9p艕(5,_(8艖lu艗x8艘r.r-艙o]艚oN艛EN艜7G艝u_艞wn=e艟p9?0艠89艡:'艢p`艣G=艤Rm!a艥j_艦Dz{隊Dz;:}艧bP艨1f艩mZ艪G=艫G<艬m0艭u-艮J)S$良HN{将HNl5將HNl5心{当狗肺HNr3:)Iv3S犯HNr33.當狗肺HNr3:)Iv3S話HNr3_R话HNr3_R}賈深藏HNL4r3o`贾深藏HNL4r3o`}艰IK艱IK色sc{厉内荏scEJBhA*厲內荏scEJBhA*画sc_R畫sc_R相scu/}艳wt艴3u(z艵,'艶wt艷wt艸oL11艺Rn!b艻EtKQ艼9L艽NHI?Iv艾R8!,艿x$@CDm芀=fsB芁NH节je{乃见je@Cwz外生枝jeT\\r?j9操jeoM}芃-<芄z*芅x8芆R8!,芇0N芈/W/X/[/a/+芉Ko芊o!芋bVz!bR{头bV<R角bVL.頭bV<R}芌bV芍pklA芎LQg?Q$芏9t>@芐bVd&芑e:芒101-5X1'{果1-Y\"貼1'>#贴1'>#}芓j>j:芔`4`5芕jn芖j>芗gcgd芘+6&e芙5r芚@$pu?i芛`7z2芜0x芝j9j<j>{士j9s4{丸j9s4z(肠j9s4p^腸j9s4p^}娃娃j>_Q_T麻糊j9.HbR}芞e'芟qWq]芠/<芡f#f){汁f)iK粉f)3d}芢vf芣3Z芤NEd-dc芥I;{兰I;E\"{头I;E\"<T}蘭I;E\"{頭I;E\"<T}}芦G<G:G>{笋G>uF荟G<b\\}芧lJq+芨NbJ3N]芩NNr6芪Nx芫z*wrwx{茜wxr'}芬3c芭%K芮yn芯r3uG芰JP花2o2p2q{令{紙2oFpj:纸2oFpj:}会2obX僆2oF9{仔2oF9i.}冠2oLK呢{碌2oFQH9花碌2oFQ2oH9}哩胡碌2oFQbQH9园2oz(園2oz(士{令2os8Fp苓2os8Fp}女2oD4尾{渡2o/a9p艔2o/a9p}弗2o5-旗{参2oNxr3參2oNxr3}旦2o7X會2obX样2oyX棚2o*:樣2oyX炮{会2o*)bX會2o*)bX}烛婆2ol!,@燭婆2ol!,@牌2o*\"瓣2o3.生2or?{友2oqcvX肉2or?yJ酱2or?l5醬2or?l5騷2or?su骚2or?su}篮2oDv籃2oDv臣2or:花弗2o2o5-被冚{雞籠2o+7NLIoH*鷄籠2o+7NLIoH*鸡笼2o+7NLIoH*}販2o3.贩2o3.边新闻2o'Qr9/:邊新聞2o'Qr9/:雞繩2oIosT鷄繩2oIosT鸡绳2oIosT𡃁倞2oF9O3}芲2o芳5W芴/P3u芵Qw芶Iv芷j:芸`H芹NTNR芺#ST_芻o?芼0z0x芽R0!\"R.!$芾3S3u芿x$苀Kuff苁p9苂nxv`苃v[苄'V苅R8!,苆o5苇`7苈G,苉+!苊\"-S9苋wz苌p`苍o]o^苎q+FrBH苏susx{州话sui3_R虾女sud!D4醒susR}苐8&w`<N苑z(苒ws苓FrFp苔><>9苕=fsB苖0BpK9b苗0B苘OjXd苙EcEh苚y8苛fEfH苜1z苝(V苞%W苟IvKQ{且偷生Ivn.<Qr?}苠/<苡wa苢wa苣M2苤+4若yhw+苦5pL4YX{命{鴛鴦5p/zwuyW鸳鸯5p/zwuyW}瓜{乾噉樣5pVWKoJ\"yX干噉样5pVWKoJ\"yX}过弟弟5pY#909.過弟弟5pY#909.难5p@V難5p@V}苧q+FrBH苨AU@yF%苩&&苪'X苫sEsG苬m`苭wj苮sK苯(d苰`N英x!{哩x!F%文x!/:鎊x!(4镑x!(4}苲hMhL苳:^:]苴lEluhLlFpohMlx苵9\\苶BPFz苷J!苸5o苹,**l苺1N苻5r,N苼r?苽L3YW苾&V'c'h苿/b茀3u&V(z茁leq5茂/2{利/2F\"名/20T里/2F\"}范32茄NpI3NoNr{哩啡NoEu4'喱啡NoEu4'士咩Nos8/W輪NoHd轮NoHd}茅.T{寮.TF^}茆.UEO.T茇&V%z-#茈j:m$nf茉1t{莉1tF\"}茊j9茋j:茌nf茍KQ茎duKAK?dx茏H*茐p9茑B7Fa茒z(茓z2茔x$茕Ol茖Ie茗0T0U{茶0Ulx}茘EJ茙y6茚ve茛J)茜sPr'sM茝oFj:茞oFj:茟z2茠fQvW茡j>茢G&茣%H%B茤JP9c茥W9[c茦mMne茧ILK:茨nfuT{仔uTi.}茩dh茪Y?Ku茫10茬lxnf茭I?茮jE茯6J茰z$茱lWuT茲j9nf茳Ku茴bZ茵vc茶lxlv{会lxbX位lx`4匙lxnf壶lxbR{嘴lxbRlF}壺lxbR{嘴lxbRlF}會lxbX杯碟lx(Q9R水{錢lxu@o$钱lxu@o$}盘lx-4盤lx-4行lxfd}茷3z(V-#茸y6y7y4茹z$z&茺p9茻110y茼?0>T{蒿>TfQ}茽kn茾f'茿l!荀uE荁z*bl荂5ogu荃q0荄K]荅7e<5荆K?荇dz荈q.草oL{帽oL0z花{头oL2o<R頭oL2o<R}莓oL1L菅人命oLIKvf0V被oL+3龍oLH(龙oLH(}荊K?荋w`荌#_Tk荍OZ荎nf荏vav_vbA*荐jSjV荑<Nw`荒5W荓,*荔EJ{园EJz(園EJz(}荕J'荖G=荗uP荘k3荙7n荚IYdG荛wl荜&Q荝iW荞OZOXO[{头O[<T麦OX/V{面OX/V0P}}荟`5Pd^.b\\PebY{萃b\\uD}荠m[i/mZnfL3荡:,>S:){气回肠:,e;bZp^}荢j>荣a`荤3c荥x$荦G_GbEo{确EoNi荦确确EoEoNiNi}荧x$荨<$mfnx荩lLlP荪uW荫v]v_荬.O荭gB荮i8药yhydyeU,{材舖yhoH,L片yh,\"行yhfd}荰9t荱/a荲gQ荳8,8(荴5o荵vd荶v`荷fHfJfF{兰fHE!{挞fHE!<9水fHE!u@{盖fHE!u@K_}薯fHE!uR豆fHE!8(}包友fH%WvX尔蒙fJwa1f枪实弹fJp]rP7X槍實彈fJp]rP7X爾蒙fJwa1f蘭fHE!{撻fHE!<9水fHE!u@{蓋fHE!u@K_}薯fHE!uR豆fHE!8(}重fJp=}荸(znf{荠nfL3薺nfL3}荹(&荺`I荻9b荼>BuQlxn0荽u?r'荾u?荿sT莀r<莁0x莂'h莃e9莄J.莅F&F${临F$ET}莆,N5p莇jrjt莈1t莉F&F\"莊k3{友k3vX荷k3fF重k3kn}莋kJ莌@)莍NH莎qEsi莏o?si莐mf莑-<莒M.莓1N1L莔.f莕dz莖KAduK?dx莗n-莘r9莙WK[v[y莚wx莛=x莜9>vZ莝oA莞LLbjLKVobibmYpYo{尔bmwa爾bmwa}莟dn莠v[莡oq莢IYdG莣10莤tuvZ莥A%EO莦qQ莧wz莨HNGNGP莩5o+s莪TT#H莫1D0z1@1?{卡1?M`名1D0T{其妙1D0TNx0D}}莬/>莭je莮@NDx莯,*1z莰dj莱G6莲FlFj{位Fl`4蓉焗布甸Fly6Lh(#9E蓬Fl66}莳s6s4s8莴au莵>A莶nuFgFhf!获bP_ZbV莸vZ莹x$x\"莺!uS'莻x$莼uH莽1112莾11莿nemM菀z(`F`W`G`I菁jWo'菂9]{薂9]sc}菃QZ菄:]菅IK菆i3q0菇L3YW菈E2菉H>菊Lc菋/b菌[v[y菍BPFz菎[u菏KWfH菐:t菑j9juw]菒Kd菓Y\"KX菔6J&&菕Hf菖p]菗m`菘tc菙pr菚hh菛1`菜oGoF{栏oGE!欄oGE!牌oG*\"甫oG,L脯oG,L餔oG,L𫗦oG,L}菝&V菞EH菟>A>B菠'o菡d7!4菢(&{窦鸡(&8)Io竇{雞(&8)Io鷄(&8)Io}}菣veOe菤MF菥sc菦NT菧8\"菨j_o/菩,N菪:,菫J(J)菬nrjF菭><菮J-華_T2o_V_R{仁_Tvd山_Vq]}菰L3YW菱Fr菲4.4-{佣4-y6傭4-y6律{宾4-Hn&?{话4-Hn&?_R}賓4-Hn&?{話4-Hn&?_R}}林4-ER}菳NTJ!NKNN菴!iRu菵11菶(j菷i4hX菸wuwv{友wuvX士wus4帽隊wu0v;:腸wup^靭wuS&韌wuS&頭wu<R}菹lE菺K9菻EUET菼<\"nu菽tztu菾=l菿9q;59p萀5p萁NxJK萂ax萃uDle{取lepp}萄>B>@萅pu萆&/&c&h萇p`萈bl萉3V40萊G6萋mW萌/B.f{生/Br?}萍,*萎`4`3`5萏7V萐qksYjh萑bl?c萒wyMJ萓w`萔=f萕m[萖LKYo萗mM萘BhG8萙i:萚>e萛uYIu萜>#萝G0{卜{刨G0&&*(润G0&&yp}}萞&c萟Rn!b萠*r萡(J萢*'萣9P萤x$营x${业额x$x,R^}萦x$萧s?萨qqqp萩m]萪59萫ge萬.b.z{下.bd%副牌.b5q*\"名.b0T字夾.bj>IX張相.bl3u.房.b5X更.bIQ樓.bEL用表.by8'E行.bff象更新.bl8J-r9隻牌.bj5*\"頂.b8p頭攢動.b<Thd:b}萭z%M.萮z$萯5t5s-%萰Fn萱h3萲h3萳@O@NDy萴iW萵au萶pv萷s?tA萸z$萹,!'Q'R萺0z1z萻v]!i萼U,#z落GbG]DkDnG^{叠Gb7h吧Gb%K定Gb8t手打三更Gbr.7@qWIQ更GbIQ楼GbEL樓GbEL画Gb_R畫Gb_R疊Gb7h笔打三更Gb&Q7@qWIQ筆打三更Gb&Q7@qWIQ老{兰GbG=E\"蘭GbG=E\"}袋Gb9j訂Gb8t订Gb8t踏Gb7e难Gb@V難Gb@V鞋油Gbd*vX}萾x$萿Q/c&^S葀Q/^S葁Lu葂0O.a葃kJi&jn葄k&葅lE葆(\"葇vZ葈qL葉x,sYx({公好龍x,LQfSH*}葊!iRu葋QZ葌IK葍6E6J葎Hn葏jQ葐-6-8葑636568葒gB葓gB葔df葕wx葖8J著lDlAlY{住lAl\\作lYkG名lY0T咗lAjp埋一{条裤lA.Nvu=f5q條褲lA.Nvu=f5q}好lAfR完lAz*称lYo'稱lYo'紅鞋lAgBd*紧lAJ(緊lAJ(红鞋lAgBd*草lAoL{鞋lAoLd*}衫lAqW袜lA/P裙lA[x裤lA5q褲lA5q襪lA/P过lAY#述lYuP過lAY#重lDkn鞋lAd*}葘j9ju葙u-葚r8r6i9葛L)L(葜Owe,葝OlKA葞/a葟b<葠r3葡,N{挞,N<9撻,N<9文,N/:}葢K_J5e!P/e&董:^{事{会:^s8bX屋:^s4$Q會:^s8bX長:^s8l4长:^s8l4}}葤i8葥jS葦`7葧(z葨bW葩%K)u葪IqI;葫bT{芦bTG:{瓜bTG:VW}蘆bTG:{瓜bTG:VW}}葬k5葭I3葮;V葯yhye葰u?lM葱p9{度p99p}葲q0葳`3葴i9葵[f[d葶=x葷3c葸qL葹s3葺mu葻Dx葼ki葽wi葾z'葿/`蒀`E蒁`\\蒂8#9M<M蒃u\\蒄LKYo蒅ws蒆l!gW蒇o\"jR蒈Md蒉W>蒊2o蒋l3l4蒌ENEKEO蒍`4`7蒎*#蒏ab蒐r-r.{証r.jY證r.jY}蒑vc蒒s3蒓uH蒔s6s8s4蒕`E蒖i?蒗GPGO蒘D6z$H`@<蒙1f1d1c1g{上1fu1猪眼1clWRI蒙{光1c1cY?忪忪1c1ctctc}难1f@V難1f@V}蒚G,e,蒛Qw蒜uY蒝z*bl蒞F&F${臨F$ET}蒟M.蒠sc蒡,`(4*r(8蒢pr蒣pr蒤>B蒥EN蒦bP蒧9@蒨sPsM蒩k!k\"蒪,q蒫oBi]j9蒬z'蒭o?蒮yJ蒯V^2w蒰-6蒱,N蒲,N(J,P{桃,N>@面,N0L飛,P4-飞,P4-魚,Nz\"鱼,Nz\"}蒳@bE2蒴tA蒵d`蒶3f蒷`H蒸jW{蒸日上jWjWvzu1魚jWz\"{豉油jWz\"s8vZ}鱼jWz\"{豉油jWz\"s8vZ}}蒹K3蒺iVhz蒻yh蒼o]o^蒽vc蒾/*蒿fQ蓀uW蓁lKpx蓂0T0h0U蓃r-蓄pK蓅EN蓆j8jn{嗲j88Q}蓇W]蓈GN蓉y6y4蓊y4蓋K_P/J5J8e&9je!{上P/u1世P/r){太保P/r);q(\"}印P/ve棺P/LK{定論P/LK9PHh}}蓌oA蓍s3蓎>T蓏G.G1蓐yJ蓑si蓒f'蓓-%-$蓔wmLcwj蓕W;蓖&c&-&e&h蓗kj蓘WL蓙jt蓚=f蓛o9mM蓜-#蓝DxDv{卡DxN-地Dx8X莓Dx1L领DxF=}蓞7V蓟Iq蓠F$蓡r3蓢GO蓣z&蓤Fr蓥x$蓦/V.z蓧9>=c蓨=cr-=f蓩0z1z蓪?-蓫l&蓬-<66{勃66(z松66tc鬆66tc}蓭!iRu蓮FlFj{位Fl`4蓉焗布甸Fly6Lh(#9E蓬Fl66}蓯p9蓰qL蓱,*蓲vW蓳NTJ(J)蓴uH蓵jh蓶`6`7蓷?c蓸oN蓹z&蓺Rn!b蓻muLc蓼FaH>蓽&Q蓾G=蓿tu蔀(&蔁l3蔂H`蔃QFLvQI蔄.b蔅wx蔆Fr蔇JMJP蔈'E蔉WL蔊f^fb蔋9b蔌pKtu蔍H>oK蔎o5蔏u-蔐9b蔑0b蔒3c蔓.b.`蔔&&蔕8#7G9M蔖oBhK蔗i_{渣{咁嘅{价钱i_hKJ\"JGI5o$價錢i_hKJ\"JGI5o$}噉嘅{价钱i_hKJ\"JGI5o$價錢i_hKJ\"JGI5o$}}}蔘r3qXqW蔙u\\uZ蔚`5`W`7`8{为奇观`8`6NxLK為奇觀`8`6NxLK爲奇觀`8`6NxLK}蔛gV蔜T`#T蔝/+蔞ENEOEK蔟pKm_pkl&蔠ki蔡oGqq{李佛oGF\"3z}蔢,B蔣l4l3蔤/P蔥p9{度p99p}蔦B7Fa蔧uD`8蔨MJ[y蔩vfwyw`蔪jPqW蔫wuz'{韌wuS&韧wuS&}蔬si蔭v]v_蔮YSPeL/蔯ml蔰bV蔱qq蔲NG蔳sP蔴.H蔵o`蔶i#蔷p`sc蔸8'蔹FgFhFf蔺Hh蔻NG蔼#LTX蔽&/蔾EH蔿`4`7蕀KQ蕁<$mfnx蕂sS蕃303-'q{茄3-Np{仔3-Npi.}薯3-uR}蕄/B/<蕅Rs!g蕆o\"jR蕇9F蕈mguG<$蕉jEnr蕊ymynyi蕋ymyn蕌HaO[{头O[<T頭O[<T}蕍z$蕎OZOXO[{頭O[<T麥OX/V{麪OX/V0P}}蕏q*lW蕐_T蕑IK蕒.O蕓`H蕔(!蕕vZ蕖QZ蕗G>蕘wl蕙`8蕚U,#z蕛<N蕜4.蕝lhle蕞lGlelJ蕟3A蕠z$蕡3f蕢W>蕣uG蕤ynyl蕥R1!%蕦u?蕧6E6J蕨Qw蕩:,{氣迴腸:,e;bZp^}蕪0x蕫:^蕬s3蕭s?蕮sc蕯qq蕰`E`F`G蕱qR蕲Nx蕳IK蕴`G`F`E`I蕵uW蕶Fr蕷z&蕸d$蕹$AUM蕺muiK蕻gBgD蕼r_蕽CZH*蕾H`Ha蕿h3薀`E`F`G薁yE薂e,sc薃fV薄(J(F'i(G{切切(Jo3o3扶林(G5tET皮(J+4落(JG]鐺(Jm9铛(Jm9面(J0L}薅fQ薆#MTY薇/`/^薈`5PdPebYb\\^.{萃b\\uD}薉`5薊Iq薋nf薌gcgd薍_n薎0b薏w_薐Fr薑Lu薒m5薓r3薔p`sc薕Ff薖Y!59KW薗z*薘7n薙<M薚>Q薛s_薜&2&#&h薝jK薞uW薟nuf!FgFh薠30薡9L薢d,I9I;d+I:薣L4YX薤d,薥tz薦jS薧d.fQ薨WQ薩qqqp薪r9{俸r964{稅r964uA税r964uA}}薫3c薬yh薭%V薮r.薯uTuRuUuV{条uT=d條uT=d片uT,\"}薰3c`E薱;>薲*l薳z+`4`7薴BHFr薵m`薶.Nau薷z$薸+o+r+p薹><薺m[i/mZnfL3薻k\"薼ml薽i?薾wa薿wax8藀x$藁Kd藂p<藃eufS藄Nx藅3z藆K:藇lJz&藈[cW9藉jni_ib{故i_L5詞i_nf}藊'R藋9>9;藌/P藍DxDv{卡DxN-地Dx8X莓Dx1L領DxF=}藎lLlP藏o`k8k3{族k8l&獒k8T`}藐0C1D0@{嘴0@lF{藐舌0@lF0@sb}}藑Ol藒Ow藓sL藔F`藕Rs!dRp!g{断丝连Rs;Vs3Fl斷絲連Rs;Vs3Fl}藖d<藗tupK藘H`藙Rn!b藚l&藛rX藜EHF$藝Rn!b藞DgG1藟Ha藠OXO[藡9b藢j:藣&c藤<f<`{㨢瓜瓜㨢藤<fE_VWVWE_<f掕瓜瓜掕藤<fE_VWVWE_<f条<f=d{炆猪肉<f=d/9lWyJ焖猪肉<f=d/9lWyJ}條<f=d{炆豬肉<f=d/9lWyJ燜豬肉<f=d/9lWyJ}}藥yhU,yd{材舖yhoH,L片yh,\"行yhfd}藦0l0n藧bn藨'E藩30藪r.藫<$藬?c?f藭Q$Q!藮nr藯`5藰ENEO藱b\\bZ藲!cRo藳Kd藴`I`G`F`E藵(\"藶G,藷uTlW藸q*lW藹#LTX藺Hh藻k\"藼h3藽mk藾DnDk藿5k蘀>e蘁%JU,%D#z蘂ymyn蘃ym蘄Nx蘅dx蘆G<G:G>{筍G>uF薈G<b\\}蘇susx{州話sui3_R蝦女sud!D4}蘈?f蘉10蘊`I`F`E`G蘋,**l蘌z%蘍3c蘎Nw蘏Xd蘐h3蘑0l蘒m]蘓su蘔Xd蘕-<蘖x2BPx,Fz&#*M蘗&#*M蘘yZ蘙!_Rk蘚sL蘛yJ蘜Lc蘝Fg蘞FgFfFh蘟vd蘠p`蘡x!蘢H*蘣<R蘤2o`7蘥yh蘦Fr蘧QZ蘨wl蘩30蘪/`蘫dk蘬[c[d`4蘭E$E\"E!蘮Iq蘯:,蘰.b蘱Hb蘲H`蘳3Q蘴63蘵ji蘶Rn!b蘷[f蘸h_v+蘹_Z蘺F$蘻dbIq蘼/`蘽Ha蘾_\\蘿G0{蔔{刨G0&&*(潤G0&&yp}}虀i-虁[f虂G>虃jKnu虄qq虅<f虆H`虇h4虈eu虉x8虊Hx虋1`虌'e虍5o虎5p5o虏G=虐yh虑HbG<H>虒s3虓d-虔Of處q+q)q(uSuR{之泰然q)j9;qwx分q(3c女膜q+D71@所q)sj方q(5W暑q(uR死q(r^理器q(F%e;變不驚q)'S&QK?身q(r9長q)l4}虖5o5r虗gu虘oB虙6J虚gu{与委蛇guz%`3w`名gu0T惊guK?拟guw`{银行guw`S$ff}无缥{渺gu0x+o0C缈gu0x+o0C}}虛gu{名gu0T擬guw`{銀行guw`S$ff}無縹{渺gu0x+o0C緲gu0x+o0C}與委蛇guz%`3w`驚guK?}虜G=虝5p虞z$號fVfTfR虠I@虡M2虢Xu虣(&虤RH!<虥hh虦hh虧[c虨&?虩Xuf?虪tu虫p<`4p:{虫文p<p:/:}虬NH虭99虮JKJLNx虯NH虰9Ko'虱rK虲)!虳W]9]虴i#虵rZ虶z!虷f`Ko虸j:虹gBgA{吸管gAN]LL膜gB1@}虺`45u虻10/B虼J9L/虽u?{死犹生u?r^vZr?}虾d!d${兵蟹将d!'Wd+l5条d!=d毛d!0u滑d!`\"蟆d!0u}虿m#蚀shsb{到入肉sb9qvtyJ卓sbpk底sb8\"本sb(d桌sbpk水sbu@章sbl3绰sbpk让sby\\钱sbo\"}蚁Rm!aRj蚂.I.E.J{螂艇.EE]=C}蚃gdge蚄5W蚅\"-S9蚆%K)u蚇o;n_蚈f'蚉/9蚊/9/</?{拍/9*L赧/9@S}蚋yn蚌,a蚍+6蚎z2蚏z2蚐WK蚑Nx蚒wr蚓vg蚔Nxj>蚕m0m.{丝被m0s3+7虫m0p:{军师m0p:WKs3师爷m0p:s3w*}}蚖z*蚗Qw蚘bZ蚙NNO`蚚Nx蚛kn:b蚜R0!$蚝nefT{豉fTs4}蚞1z蚟b<蚠3f蚡3f蚢ff蚣LQ蚤k\"rK蚥5t5p蚦wr@NDx蚧I;I:蚨5r5q蚩nc蚪8(蚫%W蚬f(蚭ATF$蚮;q蚯vW蚰vZ蚱i#hM{蜢hM.d}蚲,*蚳nf蚴vXvYvW蚵fH#E{仔煎#Ei.jQ}蚶di蚷M2蚸o9蚹5t蚺@NwrDx蚻hw蚼Ro!cIvQZ蚽+6蚾+6'q蚿wx蛀lY蛁99蛂'h蛃'X蛄L3YW蛅wrjK蛆lEpo蛇rZw`rX{仔糖rZi.>R呱rZWi无头不行rZ0x<T&Qdx無頭不行rZ0x<T&Qdx皮袋rZ+69j窦rZ8)竇rZ8)行鼠步rZdxuR(&都打到夫佬rZ9o7@9p5oG:}蛈>)蛉Fr蛊L4YX蛋7X7\\7Z{卷7\\MF挞7\\<9{头7\\<9<T}捲7\\MF撻7\\<9{頭7\\<9<T}散7\\q^白7X&\"筒7\\?.糕7\\Kc蛋7Z7X饊7\\q^馓7\\q^黃7Xb:黄7Xb:}蛌L4YX蛍x$蛎EJ蛏o'sS{子sSj:}蛐Q3蛑/0蛒Ie蛓ne蛔bZ蛕bZ蛖10,a蛗3\\蛘y[yZ/+蛙_Q蛚G&蛛lW蛜w]蛝d<蛞Q/6A^S蛟I?蛠EJ蛡x8蛢,*蛣Ow蛤J5d!IYd${乸IY@:{衣IY@:w]}蚧IYI;蟆d!0u𧊅IYV^}蛥sb蛦w`蛧11蛨/V蛩Q$蛪Owx2蛫W:蛬Q$LR蛭iV蛮.`蛯G=蛰iVjejnht{伏jn6J}蛱IY蛲wlDr@H蛳s3蛴mZ蛵f-蛶I&蛷NH蛸qQs?蛹y4y7蛺IY蛻?euA蛼n-蛽(S蛾TTRmRs!a#H蛿dm蜀tz{中{无大将tzki0x7Jl5無大將tzki0x7Jl5}}蜁uZ蜂63{拥而上63y4w`u1擁而上63y4w`u1}蜃r<r>r=蜄r>蜅5p蜆f(蜇je蜈%H%B蜉3Z蜊F$F&蜋GNHN蜌&2蜍prq*uT蜎z'ME蜏v[蜐KG蜑7\\{家{話7\\I3_R话7\\I3_R}}蜒wx蜓=x蜔=r蜕?euA蜖bZ蜗auVW_Q蜘j9蜙tc蜚4.4-3V{声4-sQ{国际4-sQYSi/}聲4-sQ{國際4-sQYSi/}}蜛M-蜜/P{蜂{窦/P638)竇/P638)}}蜝Nx蜞NxNv蜟yJ蜠[y蜡hMlwmYE2hP{青E2nK}蜢.g.d蜣Lu蜤s3sc蜥sc蜦Hf蜧EJ蜨9V蜩=f蜪>?蜫WK蜬dl蜭dm蜮at`,蜯,a蜰403V4.蜱+6蜲`3`4蜳;?<]蜴x8蜵z'蜶uK蜷Qr蜸f(蜹yn蜺Rl!`蜻o'jW蜼`4Ha`8蜽HO蜾Y\"KX蜿z'z({蜒z(wx{曲折z(wxQ3je}}蝀:]:^:_蝁#wU)蝂%d蝃8#le蝄11蝅m0蝆/WyZ/+蝇x$x!蝈YSL/蝉sHsFsN蝊9P蝋E2蝌59蝍ji蝎fqOwf;ft蝏=x蝐0z1P蝑u?蝒0N蝓z$蝔I9蝕shsb{到入肉sb9qvtyJ卓sbpk底sb8\"本sb(d桌sbpk水sbu@章sbl3綽sbpk讓sby\\錢sbo\"}蝖h3蝗b<蝘wv蝙,!'R'Q蝚vZBl蝛`3蝜5t蝝z*蝞/b/]蝟`8蝠6E蝡z$z+蝢Ow蝣vZv\\蝤vZm`i3蝥.T/0蝦d!d${兵蟹將d!'Wd+l5條d!=d毛d!0u滑d!`\"蟆d!0u}蝧x!蝨rK蝩p<ki蝪>Q蝫lW蝬ki蝭<N蝮6E蝯z*蝰[c5u蝱10/B蝲E8蝳9n蝴bT{蝶bT9R{效{应bT9Vd2x#應bT9Vd2x#}粉bT9R3d褶bT9Vht}}蝵m]蝶9V9R{豆花9V8,2o}蝷G,sc蝸auVW_Q蝹`E#R蝺M.z%蝻@N@ODx蝼EN蝽pu蝾a`蝿x$螀l3螁?e螂GNGLE]螃,`(4螄s3螅sc螆j9螇d`螈z*螉y3螊Ffdi螋r-r.r/螌%c-6融y6{为一体y6`6vu<L会贯通y6b\\LM?-會貫通y6b\\LM?-為一體y6`6vu<L爲一體y6`6vu<L}螎y6螏iV螐bQ螑vYm_螒fb螓px螔w`螕&-螖`&螗>T螘Rm!a螙9q螚BhG8螛fte,螜gV螝W9Pd螞.I.E.J{螂艇.EE]=C}螟0T螠x3s5螡/9/<螢x$螣8P<f螤ki螥o]螦sw螧Nx螨1a螩=f螪u-j5螫sco9螬oN螭nc螮8#螯T`Kz#T螰H>螱`5螲9\\9YiQiV螳>T螴ml螵+o+r螶QZM.螷+6螸z$螹jPm0螺G0G.{丝{头G0s3<R母G0s30v}母G00v絲{母G0s30v頭G0s3<R}}螻EN螼vdJ)螽ki螾vg螿l3蟀uK蟁/9/<蟂K-蟃.b蟄iVhtjejn{伏jn6J}蟅i_蟆.H0u蟇.H0u蟈YSL/蟉EN蟊.T/0蟋sc蟌p9蟍F$蟎1a蟏s?蟐Nx蟑l3蟒11蟓l8蟔/P蟕i-蟖s3蟗m]蟘8P8J蟙ji蟚*<蟛*<{蜞*<Nv}蟜K.蟝QZQX蟞'e'h蟟F`蟠-6303-{踞3-M/}蟡`3蟢e:蟣JLJKNx蟤l]q0蟥b<蟦40&?蟧G<G:蟨Qw蟩Qw蟪`8蟫v`<$mf蟬sHsNsF蟭jE蟮sP蟯wl@HDr蟰s?蟱0x蟲p<p:{蟲文p<p:/:}蟳o*蟴s3蟵q*蟶o'sS{子sSj:}蟷:'蟸EI蟹d+{䚗d+Kz奄d+wp弶d+Kz杠d+Kz槓d+Kz}蟺sP蟻RmRj!a蟼K@蟽7n蟾sH蟿NA蠀ncji蠁gdge蠂sY蠃G.G1G0蠄NN{蟝NNQX}蠅x$x!蠆m#蠇EJ蠈mMmP蠉h3蠊Ff蠋l!tz蠌i&蠍Owf;蠎11蠏d+蠐mZ蠑a`蠒IL蠓1g1d蠔fT{豉fTs4}蠕z$z+蠖bPbM蠗kJ蠘jh蠙*l&?蠚PYfw蠛0b蠜3032蠝Ha蠞jh蠟E2{青E2nK}蠠/=蠡EIEHG0蠢pv蠣EJ蠤m]蠥x2x,蠦G<蠧9q蠨s?蠩lWuT蠪H*蠫EIEJF$蠬H*蠭63蠮x/x2蠯+6蠰y\\蠱L4YX蠲ME蠳!ux!S'蠴uT蠵[f蠶m0m.{絲被m0s3+7蟲m0p:{師爺m0p:s3w*軍師m0p:WKs3}}蠷QZ蠸Qr蠹9q蠺m0蠻.`蠼QZ5k蠽jejh蠾l!tz蠿le血h;{滴子h;9]j:肉模糊h;yJ0xbR}衁5W衂CnH>衃-!3Z衄CnH>衅vhve衆kkki{生kkr?{相kkr?u/}}衇/V衈AVwbF&衉dS衊0b衋scf?行dBdxffdzfdfhd@dvd?{上dBu1业ffx,为dx`6{不检dx`6&QK4艺术dx`6RnuP}之有效dxj9v[d2乐dxGb乞dxe'事{历dxs8G,曆dxs8G,}人dxvf{专用区dxvfl]y8QW天{桥dxvf=oOZ橋dxvf=oOZ}專用區dxvfl]y8QW路dxvfG>道dxvf9t}会ffbX使dxr({价dxr(I5價dxr(I5}侠仗义dxe&l8wb俠仗義dxe&l8wb兇dxg?內ffBh{人ffBhvf}内ffBh{人ffBhvf}军dxWK凶dxg?刑dxx$列ffG&刺dxne动dx:b{不便dx:b&Q'V}動dx:b{不便dx:b&Q'V}医dxw]口ffdd台ff>:咇dB'c善dxsP{积德dxsPji8K積德dxsPji8K}头ff<T宫dxLQ宮dxLQ家ffI3将dxl3{就木dxl3i81z}將dxl3{就木dxl3i81z}尸走肉dxs3i4yJ屍走肉dxs3i4yJ年dxBB当ff:'径dxKA徑dxKA得正企得正dB8Kj#Ny8Kj#情ffo*房dx5Z政dxjY{会dxjYbX{议dxjYb\\wa}区划dxjYQW`,區劃dxjYQW`,总裁dxjYkjoH拘留dxjYQWEN會dxjYbX{議dxjYb\\wa}總裁dxjYkjoH長官dxjYl4LK长官dxjYl4LK}文dx/<會ffbX有{余力dxv[z$G,餘力dxv[z$G,}李dxF%{箱dxF%u-}枱ff>:档ff:)業ffx,樂dxGb檔ff:)檯ff>:气ffe;氣ffe;為dx`6{不檢dx`6&QK4藝術dx`6RnuP}爲dx`6{不檢dx`6&QK4藝術dx`6RnuP}當ff:'礼如仪dxEIz$w`禮如儀dxEIz$w`程dxo*老正dBG=j#船dBuX{争解缆dBuZhiI:Dz爭解纜dBuZhiI:Dz}色匆匆dxscp9p9行ffff{出{状元ffffq!k8z*狀元ffffq!k8z*}}装dxk3裝dxk3規ff[c规ff[c話ff_R话ff_R貨fd5;賄dxPd货fd5;贿dxPd走dxi4路打倒褪dBG>7@9q<_踪dxki蹤dxki身dxr9車dxn-軍dxWK车dxn-道dx9t{会dx9tbX會dx9tbX}醫dxw]銷dxs?销dxs?頭ff<T駛dxr(騙dx,#驶dxr(骗dx,#}衍wvf(wy{圣公f(sSLQ生f(r?{工具f(r?LQM2}聖公f(sSLQ}衎f_衏z(z,衐M2衑Fr衒z,z*wv術uPuL衔d6dl{橛d6Qw}衕?0:b衖H,fhfdC\\街I9{牌I9*\"}衘d6dl衙R0!${門R01^门R01^}衚bT衛`8{生`8r?{巾`8r?J'麻雀`8r?.Hl@}}衜9t9q衝p9p;{勁p9KA量p9HP鋒陷陣p963dniD}衞`8{生`8r?{巾`8r?J'麻雀`8r?.Hl@}}衟9t衠lK衡dx_r{量dxHP}衢QZ衣w]w_{不{称身w]&Qo)r9稱身w]&Qo)r9}冠w]LK{不整w]LK&QjX冢w]LKp:塚w]LKp:楚楚w]LKo@o@禽{兽w]LKNNr/獸w]LKNNr/}}架w]I4着w]lA笼w]H(籠w]H(缽w](z著w]lA{打扮w]lA7@%h}衫{褴褛w]qWDxEO襤褸w]qWDxEO}鉢w](z錦{夜行w_J\"w,dx榮歸w_J\"a`W9還鄉w_J\"_lgc}钵w](z锦{夜行w_J\"w,dx荣归w_J\"a`W9还乡w_J\"_lgc}食住行w]shl\\dx}补(\"{上(\"u1位(\"`4假(\"I5衫婆(\"qW,@镬唔见枳(\"bP%BK;iQ}衦Kp衧z!表'F'E{位'E`4妹'F1L姊'Fi^带'E7F情符{号'Fo*5rfR號'Fo*5rfR}肉'EyF面'E0L}衩lwlvlu{裙lu[x}衪waw`衫qW{刷qWmF夹qWJj夾qWJj架qWI4領qWF=领qWF=}衬mk衭5o5q衮WL[v衯3c-6衰u?po{到{貼地u?9q>#8X贴地u?9q>#8X}女u?D4{包u?D4%W}婆u?,@样u?yX樣u?yX牌u?*\"相u?u/衰{哋u?u?8X地u?u?8X累累u?u?H`H`}}衱KGKM衲@bE.@^E2衳ki衴8.衵BWvzB\\G'衶kn衷p9ki衸I;衹j:Nx衺n0衻wr衼j9衽vbva衾NK衿NKJ!袀WK袁z*袂/,袃m#袄#R#ST^T_袅B7FaB3F]{瘦B3r/}袆3Q`6袇wr袈I3袉>6袊Fs袋9n9j{袋平安9n9n,*#]錢入你袋9no\"vtAU9j钱入你袋9no\"vtAU9j}袌,O*),N袍,N,L{哥{会,NKWbX會,NKWbX}}袎vY!/袏jq袐&Q袑sD袒<(袓lJi]袔fJ袕z2uP袖i8袗i?mji@袘waw`袙)w*M袚3u袛8!j9袜1t.t/P/L袝5t袞WL[v袟9\\袠9\\袡wr袢30*5袣w_袤/2袥>e袦DDHn袧NEIu袨z,袩9?袪QW被&h+7+3{单+77W單+77W套+7>A窝+7au窦+78)窩+7au竇+78)胎+7>9袋+79j褥+7yF鋪+7,K{蚊帳+7,K/9l5}铺+7,K{蚊帐+7,K/9l5}}袬yJ袭htiP袮wa袯(z(w袰0y袱6J6F袲w`Ba袳nd袴5q袵vbva袶Kw袷KGIYe!袸jVq0lb袹&#/P袺KM袻w`袼L/Ie袽z$袾lW袿W9裀vc裁oH{断oH;V斷oH;V縫oH64缝oH64}裂G&G#裃H,裄dx装k3{嵌k3dn逼k3'9}裆:'GP裇uK裈WK裉NY裊B7B3Fa裋uV裌IY裍[v裎o*o(裏HaF%F!{應外合Hax#T\\e&}裐ME裑r9裒*`3Z裓J9I9裔yn裕z&裖iA裗EN裘NH裙[x[v{脚女[xM)D4腳女[xM)D4褂[x[(}裚i/裛vo補(\"{上(\"u1位(\"`4假(\"I5衫婆(\"qW,@鑊唔見枳(\"bP%BK;iQ}裝k3{嵌k3dn逼k3'9}裞uA裟qE裠[x裡HaF%F!{應外合Hax#T\\e&}裢Fl裣FgFh裤5q{囊5qC&裆5qGP}裥ILIM裦(!裧nusH裨+6&c{益&cx3}裩WK裪>B裫z)z'裬Fr裭nd裮p]裯m`9o裰le裱'F裲HO裳u0裴-$裵-$裶4-裷z'WL裸G.G1裹Y\"KX裺wp裻:o裼scse>-<M製i/{片i/,\"{人i/,\"vf}}裾M-裿w^褀JP褁Y\"KX褂VY[(VX{裙[([x}褃NY褄mW褅<M褆<Ns8複6E{啅6Epi}褈p<褉Ow褊'R,%褋9V褌WK褍;Q褎i8v\\褏i8v\\褐fqft褑z,z*褒(!褓(\"褔5q褕z$褖?k褗wv褘3Q`6褙(S褚q+q(i^lX褛HaEKEO{丘偻斗EKvWEO8(尾EK/]幽偻斗EKvWEO8(衣EOw]𩬎妹EKv]1L}褜%W褝7W褞`F`E褟<57e褠NE褡7e褢_Z褣y6褤z,褥yJyF褦@DEyA5BhE_Dn{襶Ey8R}褧Xd褨sj褩(c褪?e<_{后<_dh後<_dh肠头<_p`<T腸頭<_p`<T舦<_;s車<_n-軚<_;s车<_n-}褫nd褬t.褭B7Fa褮!ux#S'褯jn褰f'褱_Z褲5q{囊5qC&襠5qGP}褳Fl褴Dx{褛DxEO}褵F$褶j_hq9Vhtjb褷s3褸EKEOHa{丘僂斗EKvWEO8(尾EK/]幽僂斗EKvWEO8(衣EOw]𩬎妹EKv]1L}褹Rn!b褺9V褻s_褼sK褽`5褾'F褿oN襀ji襁QI襂r3qW襃(!襄u-襅&Q襆6J)&襇ILIM襈lb襉IMIL襊pq襋KQ襌7W襍ht襎30襏(z(w襐l8襑mf<$襒'h襓wl襔HO襕E$襖#R#ST^T_襗i&:>襘PdPe^.襙oMoN襚uD襛CZH*襜nujKsH襝FgFh襞'i襟NKJ!{使NKr(}襠:'GP襡tz:t襢<(7\\jS襣&h襤Dx{褸DxEO}襥6J)&襦z$襧j:襨;;襩tztu襪/P.t/L襫sc襬%R&c襭Ow襮(G)!)&襯mk襰Dn襱H*H+襲htiP襳nur3sE襴E$襵j_hq襶7G8R7H襷M.襸he襹s3襺IL襻*5襼Rn/)!b襽E$襾!#d\"R/西r'{冷r'E'{扒r'E')v牛扒r'E'Rr)v紅茶r'E'gBlx红茶r'E'gBlx}南二伯父r'@Nwb&#5p多士r'9cs4斜r'n0{热r'n0x2熱r'n0x2}洋{参r'yZr3參r'yZr3棋r'yZNv}湾河r'_ifF灣河r'_ifF片r',\"班牙{乌蝇r'%cR0bQx!文r'%cR0/:烏蠅r'%cR0bQx!}砵{柜r'(uW>櫃r'(uW>}芹r'NR藏r'k8装友r'k3vX裝友r'k3vX}要wkwjwi{塞wkoG成wkrx求wiNH犯wk3.胁wif5脅wif5面wk0L}覂6465覃<$mf覄6E覅4k覆6E3\\5q{盖6EP/蓋6EP/}覇%M覈e,`\\`XK]{凸`\\8J反應e,3.x#子彈e,j:7X彈e,7X桃糊e,>BbR突`\\8J}覉JK覊JK見K;wz{使K;r(到K;9p外K;TX家長K;I3l4微知著K;/`j9lY機行事K;JKdxs8義勇{為K;wby7`6爲K;wby7`6}習生K;htr?過鬼怕黑K;Y#W:)wdQ頂K;8p風使𢃇K;63r(F%}覌LKYo覍'V覎wqwz規[c{行矩步[cdxM.(&}覐L/覑,\"覒0z覓0h覔0h覕,5視s8s4{為s8`6爲s8`6網膜s8111@聽s8=w}覗j>覘jKnu覙mj覚L/覛0h/V覜=e覝Ff覞wn覟j;覠WK覡e,覢sF覣`3覤Xu覥=p覦z$z&覧Dy覨U,#z覩9p親mimk{力親{為miG,mi`6爲miG,mi`6}家mkI3{兩免mkI3HO0O}}覫,^覬JMNw覭0T0h覮x$,'覯IwNG覰pq覱h_覲J)J(J,観LKYo覴89覵IMd:覶G0覷pq覸IM覹/`覺L/IAI?IB{覺豬IBI?lW醒L/sR}覻pq覼G0覽Dy覾r4覿9b觀LKLMYoYq{測LKmK賞魚LKu.z\"音坐蓮LKv]oCFl}见K;wz{义勇为K;wby7`6习生K;htr?使K;r(到K;9p外K;TX家长K;I3l4微知著K;/`j9lY机行事K;JKdxs8过鬼怕黑K;Y#W:)wdQ顶K;8p风使𢃇K;63r(F%}观LKYoLMYq{测LKmK赏鱼LKu.z\"音坐莲LKv]oCFl}觃wqwz规[c{行矩步[cdxM.(&}觅0h视s8s4{为s8`6听s8=w网膜s8111@}觇jKnu览Dy觉L/I?IAIB{觉猪IBI?lW醒L/sR}觊JMNw觋e,觌9b觍=p觎z$z&觏IwNG觐J)J(J,觑pq角L/L.H>{膜L/1@落{头L/G]<R頭L/G]<R}}觓NH觔J'觕oK觖Qw[e觗j;觘m)觙N]J3觚L3YW觛7\\7Y觜j9lF觝8\"觞u-觟_Vd+d,觠QrMG觡Ie觢r,解I:I;d,d+{款I;6.{员I;6.z*員I;6.z*車I;6.n-车I;6.n-}画I:_R畫I:_R綟I:G#𫄫I:G#}觤W:觥WQ触l!pK{景生情l!K@r?o*目惊心l!1zK?r3}觧I:I;觨`J觩NH觪sQ觫pKtu觬Rl!`觭JKNu觮H>觯j;j9觰hK觱'c&Q觲sQ觳gVPYL/觴u-觵WQ觶j;j9觷fz觸l!pK{景生情l!K@r?o*目驚心l!1zK?r3}觹[f觺w`觻H>觼Qw觽[f觾ww觿[f3Q言wx{出必行wxq!'cdx听计从wx=wIqp<归正传wxW9jYl^歸正傳wxW9jYl^而{过其行wxw`Y#Nxdz過其行wxw`Y#Nxdz}聽計從wx=wIqp<行wxdz{举止wxdxM.j:舉止wxdxM.j:}过其行wxY#Nxdz過其行wxY#Nxdz重wxkn}訂9M9P8t8q{位8t`4價9PI5單8t7W婚9P3c座8tjt戶8tbV户8tbV枱8t>:檯8t>:立9PE2製8ti/購8tNG造8tk&金8tJ!閱8tz2閲8tz2}訃5t訄NH訅NH訆K/訇WQ計IqIpJM{仔Ipi.帶Iq8#時炸彈Iqs6hM7X條數Ip=fsw量IqHP}訉32訊uG{號彈uGfV7X}訋9;訌gDgAgB訍m#討>@訏gugv訐OwKMIq訑w`7Y>6訒vh訓3e訔S$!r訕q_訖S8J9\",J>託>e記JM{憶卡JMx3N-者{招待會JMi^jE9nbX會JMi^bX}}訙uG訚S$!r訛TT#H訜3c訝R2R1!&{異R1wb}訞wi訟kn訠mj訡v`訢vce9S$!r訣Qw訤d0訥DD@bADE2EnHn訦r6訧vZ訨j:訩g?訪5X訫uG訬m(m'0C設o5訮RH!<訯qF訰lMlK許gv5p訲x3訳x8訴sw訵nc訶fE訷r9訸axaz訹uKlQ診mji@{卡mjN-斷mj;V}註lY証jY{件jYK:{相jYK:u.}}訽Iw訾j:ncj9nf訿j:詀h]o/jK詁L4L5YXYY詂5t詃MF詄9\\詅Fr詆8\"詇yY詈F&詉@HDr詊-5詋i5詌J#詍vV詎M2{料M2Fb}詏!/!.R:R;詐hM{假意hMI3w]呆詐吽hMTZhMRt糊hMbR}詑>6w`>7詒w`>=9n詓gv詔jGjJ評,*詖&e&c+6詗Xdf/詘`WlQ詙&V詚7k詛jqjp詜>?詝q+詞nf{牌nf*\"綴nflJ}詟sYj_詠ab{嘆ab<,}詡gv詢uE詣Rn!b詤5W5X詥e&試s5s7{卷s7MF吓s5d%場s7p`當真s5:)i?行s5dx題s7<N}詧mG詨d2I?d/詩s3{情畫意s3o*_Rw_興大發s3f/7J3A}詪dp詫lw詬IwNG詭W:詮q0詯5w詰OwJ9J>話_V_R_S_U{事{人_Vs8vc偈_Vs8Ip啤_Vs8+-計_Vs8Ip}劇_ROJ梅_S1N頭醒尾_V<TsR/a}該K]{偎囉K]bWG/死唔使病K]r^%Br('&處K]q)}詳p`yZ詴bWbZ詵r9qd詶m`i5詷?0:b詸/*詹jK詺0V詻Rb!V詼5u詽RH!<詾g?詿VY_V誀AVF&誁&F,%誂=g9;=c誃nfndw`誄G8HaHb誅lW誆fcVzYDKvY@PH]l誇['誈0x誉z&z${为z&`6}誊<f{文<f/:}誋JP誌j;認x&x\"vh{為x&`6爲x&`6領x&F=}誎pK誏GOGP誐TT#H誑Y@b:YAPH]lKv誒\">\"8!(\":R4\"9SETW#K\";SGSDSJ誓r,{愿当食生菜r,z,:)shqcoG願當食生菜r,z,:)shqcoG}誔=y誕7Y7\\{生7Yr?}誖(V(S(z誗nx誘v[誙du誚nqjJ誛mc誜qG誝!iRu語z%z&{出驚人z%q!K?vf重心長z%knr3p`錄z%H:}誟d2誠sTsR{實豆沙包sTrP8,qE%W}誡I;{命I;0V}誢wz誣0x{陷0xdn}誤%J%D{中副車%Jkk5qM-會%Jb\\}誥Ke誦kn誧(!,L,K(#誨5w誩KD說u_uAz2{客uAdS服uA6J{力uA6JG,}}誫iA説u_uAz2{客uAdS服uA6J{力uA6JG,}}読:t誮_Q誯p_誰uBu@誱jh課5;{長5;l4}誳`W誴p<誵d0誶uDuA誷11誸wx誹4.{謗4.(8}誺ncG8誻7h<5誼w`wb{母wb0y父wb5t}誽Rn!]!b誾S$!r調9>=f8b9:{位9>`4侃=ff^停=f=x兵遣將9>'Wf(l5劑=fi-味=f/b{料=f/bF^架=f/bI4}和=fax情=fo*戲=fe;控=fgA教=fIA整=fjX景嶺=fK@F=校=fIA理=fF%{農務=fF%CZ0z}皮=f+6笑=fsA節=fje製=fi/解=fI:{員=fI:z*}較=fIA轉頭9>l_<T養=fy[}諀+4諁le諂nv諃mc諄lK;?諅JPJK諆e9談<${笑風生<$sA63r?}諈lGlJ諉`4諊Lc請nLo(o'Olj\\{便o('V假nLI5勿o(/P吖o(!!君入甕o(WKvt$A命o(0V坐nLoC安o(#]帖nL>\"教o(IA早o(k\"求o(NH示o(s8纓o(x!辭o(nf願o(z,}諌:^諍hkhiiEiG諎i#諏i3諐f'諑;5諒HPHN{解備忘錄HPI:&h10H:}諓jSjRjV諔pK諕dS論HhHfHd{功行賞HhLQdxu.文Hh/:斷Hh;V著HhlY}諗A(r4ER{嚟度去A(EH:>gw翻轉頭A(3-l_<T返A(3-{轉頭A(3-l_<T}}諘'F諙_V諚,$諛z$諜9V諝u?u@諞,$,%諟s8諠h3諡s5s8諢`J諣2q諤U,#z諥kk諦8#<M8&諧d*諨6E諩,L諪=x諫IM諬N@諭z&諮j9諯l]q/uZ諰qLs4諱`7`5諲vc諳!i!jRvRu諴d6諵@NDx諶r6諷65諸lW{事{婆lWs8,@理lWs8F!}}諹yZ諺wz諻b<_r諼h3h4諽Ie諾C8Gb諿muu@謀/00x/2{生/0r?財害命/0oHfP0V}謁x/Ow謂`8謃sQ謄<f{文<f/:}謅i3i5謆sM謇K:f'謈(J謉[g謊5W5X謋`,3G謌KW謍x$WQ謎/*/(/,{面/*0L}謏s@r.謐/P謑da謒p]謓miiA謔yh謕<N謖tu謗,_(5(8謘nfj>謙f!謚s5s8講Kv{下Kvd%呢啲KvB'9-唔埋欄Kv%B.NE!嘢呀Kvw+!$故KvL4笑{揾第樣KvsA`F8&yX搵第樣KvsA`F8&yX}聲Kvru閒話Kvd<_R鬼話KvW:_R}謜z*q0謝ib謞fz謟>?謠wl謡wl謢bVG9謣z$謤'E+o謥p;謦f/Oj謧F$EH謨0x謩0x謪u-謫i&謬/2謭jR謮i#謯i]hLjq謰Fl謱ENHaG<謲me謳!cRo謴WM謵hto/謶lAuSi]謷T`Tb#T#V謸Tb#V謹J({言慎行J(wxr>dx}謺j_謻w`nd謼5o謽QI謾.`.b{罵.b.J}謿hW譀dndk譁_Q_T譂o\"譃z$譄iE譅rE譆e9譇hKn-譈;>證jY{件jYK:{相jYK:u.}券jYMG{交易所jYMGI?x8sj}監會jYIEbX}譊@HeuDr譋E$E%譌TT#H譍x!x#譎QwW]譏JK譐l^譑K.譒'q譓`8譔hhhe譕0x譖i;memh{氣mee;}譗hq識scj;{到sc9p彈sc<*英雄重英雄scx!gBknx!gB}譙nrnqjJ譚<$<\"<%{仔<%i.}譛i;譜,L譝sT譞h3譟oM譠<'譡:(譢uD譣f\"nu譤KQ譥K/警K@{匪片K@4.,\"局K@Ld署警{長K@q+K@l4长K@q+K@l4}醒K@sR長K@l4长K@l4队K@;:隊K@;:}譧h]Ff譨CZH*譩w]譪#LTX譫jK譬+5譭`4{謗`4(8}譮_V譯x8x4{著x8lY}議waw_{會wabX訂wa9P長wal4}譱sP譲y\\譳A&EP譴f(譵;>譶7h護bV{花使者bV2os5i^蔭bVv_}譸i3譹dSfT譺R8x8!,譻x!譼IE譽z&z${為z&`6爲z&`6}譾jR譿`8讀:t8,{口黃:tddb:屎片:ts4,\"書會:tuQbX}讁i&讂MGh5讃he讄Ha讅r4讆`8Rn讇nv讈G,讉`6變'S{幻莫測'S_n1DmK態婆'S;q,@更'SJ-現'Swv相'Su/聲'Sru臉'S0P量'SHP}讋sYj_讌ww讍U,#z讎m`r0讏`8讐m`r0讑wn讒m0讓y\\讔vd讕E$E%E\"{叻E\"FK得{戚E\"8Ko9敕E\"8Ko9}有嘢E\"v[w+架勢E\"I5r)醒E\"sR闊佬E\"6AG:}讖mem/讗[f讘j_x,讙6-h3讚hehd讛Rn!b讜:(讝jK讞wzwyx2讟:t计IqIpJM{仔Ipi.带Iq8#时炸弹Iqs6hM7X条数Ip=fsw量IqHP}订9M8t9P8q{价9PI5位8t`4制8ti/单8t7W台8t>:婚9P3c座8tjt户8tbV立9PE2购8tNG造8tk&金8tJ!阅8tz2}讣5t认x&x\"vh{为x&`6领x&F=}讥JK讦OwIqKM讧gDgAgB讨>@让y\\讪q_讫S8J9\",J>讬>e训3e议waw_{会wabX订wa9P长wal4}讯uG{号弹uGfV7X}记JM{忆卡JMx3N-者{会JMi^bX招待会JMi^jE9nbX}}讱vh讲Kv{下Kvd%呢啲KvB'9-唔埋栏Kv%B.NE!嘢呀Kvw+!$声Kvru故KvL4笑揾第样KvsA`F8&yX闲话Kvd<_R鬼话KvW:_R}讳`7`5讴!cRo讵M2{料M2Fb}讶R2!&R1{异R1wb}讷DDE2EnHn@bAD许gv5p讹TT#H论HhHdHf{功行赏HhLQdxu.文Hh/:断Hh;V著HhlY}讻g?讼kn讽65设o5访5X诀Qw证jY{件jYK:{相jYK:u.}券jYMG{交易所jYMGI?x8sj}监会jYIEbX}诂L4YXL5YY诃fE评,*诅jqjp识sce9j;{到sc9p弹sc<*英雄重英雄scx!gBknx!gB}诇Xdf/诈hM{假意hMI3w]呆诈吽hMTZhMRt糊hMbR}诉sw诊mji@{卡mjN-断mj;V}诋8\"诌i3i5词nf{牌nf*\"缀nflJ}诎`WlQ诏jGjJ诐&e&c+6译x8x4{著x8lY}诒w`9n>=诓fcKvY@PH]lVzYD诔G8HbHa试s5s7{卷s7MF吓s5d%场s7p`当真s5:)i?行s5dx题s7<N}诖VY_V诗s3{兴大发s3f/7J3A情画意s3o*_Rw_}诘OwJ9J>诙5u诚sTsR{实豆沙包sTrP8,qE%W}诛lW诜r9qd话_V_R_S_U{事{人_Vs8vc偈_Vs8Ip啤_Vs8+-计_Vs8Ip}剧_ROJ头醒尾_V<TsR/a梅_S1N}诞7Y7\\{生7Yr?}诟IwNG诠q0诡W:询uE诣Rn!b诤hkhiiEiG该K]{偎啰K]bWG/处K]q)死唔使病K]r^%Br('&}详p`yZ诧lw诨`J诩gv诪i3诫I;{命I;0V}诬0x{陷0xdn}语z%z&{出惊人z%q!K?vf录z%H:重心长z%knr3p`}诮nqjJ误%J%D{中副车%Jkk5qM-会%Jb\\}诰Ke诱v[诲5w诳Y@KvPH]lb:YA说u_uAz2{客uAdS服uA6J{力uA6JG,}}诵kn诶\">!(R4\"9SETW#K\";SG\"8SDSJ\":请o(nLo'Olj\\{便o('V假nLI5勿o(/P吖o(!!君入瓮o(WKvt$A命o(0V坐nLoC安o(#]帖nL>\"愿o(z,教o(IA早o(k\"求o(NH示o(s8缨o(x!辞o(nf}诸lW{事{婆lWs8,@理lWs8F!}}诹i3诺C8Gb读:t8,{书会:tuQbX口黄:tddb:屎片:ts4,\"}诼;5诽4.{谤4.(8}课5;{长5;l4}诿`4谀z$谁uBu@谂A(ERr4{嚟度去A(EH:>gw翻转头A(3-l_<T返A(3-{转头A(3-l_<T}}调9>9:=f8b{位9>`4侃=ff^停=f=x兵遣将9>'Wf(l5养=fy[制=fi/剂=fi-味=f/b{料=f/bF^架=f/bI4}和=fax情=fo*戏=fe;控=fgA教=fIA整=fjX景岭=fK@F=校=fIA理=fF%{农务=fF%CZ0z}皮=f+6笑=fsA节=fje解=fI:{员=fI:z*}转头9>l_<T较=fIA}谄nv谅HPHN{解备忘录HPI:&h10H:}谆lK;?谇uDuA谈<${笑风生<$sA63r?}谉r4谊w`wb{母wb0y父wb5t}谋/00x/2{生/0r?财害命/0oHfP0V}谌r6谍9V谎5W5X谏IM谐d*谑yh谒x/Ow谓`8谔U,#z谕z&谖h3h4谗m0谘j9谙!i!jRvRu谚wz谛8#<M8&谜/*/(/,{面/*0L}谝,$,%谞u?u@谟0x谠:(谡tu谢ib谣wl谤,_(5(8谥s5s8谦f!谧/P谨J({言慎行J(wxr>dx}谩.`.b{骂.b.J}谪i&谫jR谬/2谭<$<\"<%{仔<%i.}谮i;memh{气mee;}谯nrnqjJ谰E$E%E\"{叻E\"FK得{戚E\"8Ko9敕E\"8Ko9}有嘢E\"v[w+架势E\"I5r)醒E\"sR阔佬E\"6AG:}谱,L谲QwW]谳wzwyx2谴f(谵jK谶mem/谷LcyJH>IwgV{精上{脑LcjWu1Bm腦LcjWu1Bm}}谸o!谹`N谺d!谻KQM)谼gB谽dldi谾g?H*谿N?d`豀d`N?豁Q/_Q5k`,^S豂F`豃d4d5豄:t豅H*H,豆8(8,8*{丁8,8o卜8,,o奶8,@C枯8,5o沙8,qE{包8,qE%W喉8,qEdf鍋餅8,qEau'\"锅饼8,qEau'\"}泥8,@x浆8,l3润8,yp{咁细8,ypJ#r)}漿8,l3潤8,yp{咁細8,ypJ#r)}瓣{酱8,%dl5醬8,%dl5}皮8,+6{佬8,+6G:}粉8,3d腐8,5t{乾8,5tKo刀8,5t9o卜8,5t,o婆8,5t,@干8,5tKo润8,5typ{咁细8,5typJ#r)}渣8,5thK潤8,5typ{咁細8,5typJ#r)}膶8,5typ{咁{細8,5typJ#r)细8,5typJ#r)}}花8,5t2o𦢊8,5t,o}膶8,yp{咁{細8,ypJ#r)细8,ypJ#r)}}芽8,R0{夢8,R01h梦8,R01h}苗8,0B荚8,IY莢8,IY蔻8,NG{年{华8,NGBB_T華8,NGBB_T}}袋8,9j角8,L/豉8,s8酱8,l5醬8,l5釘8,8o钉8,8o}豇Ku豈e:fL豉s8s4{椒炒{魷s8jEm(vX鱿s8jEm(vX}油碟s8vZ9R筒s8?.}豊EI豋89豌bibj豍&-'R豎uV豏d7f)豐63豑9\\豒9\\豓wt豔wt豕nd豖pKpM豗5u豘@$豙Rn!b豚@$豛x8豜K9豝%K豞NG豟\"-S9豠oB象l8{棋l8Nv}豢_n豣K9豤dp豥K]d*豦M/QZ豧5o豨e9e:豩&?豪fT{宅fTi\"}豫z&z$豬lW{什lWht屎{喳lWs4hL渣lWs4hL耙lWs4)v}扒lW)v{都係肉lW)v9odbyJ}排lW)v欄lWE!潤lWyp玀lWG-生腸lWqcp^腰芒lWwi1-餿lWqS髧兜lW8/8'}豭I3豮3f豯d`豰(JgQ豱`E豲z*bl豳&?豴9]豵ki豶3f豷!_w_Rk豸j>hV豹*)豺m$豻Tnf`fb#b豼+6豽DDHn豾+3豿Iv貀DDleHn貁v\\貂99貃/V貄s5JPr_貅vW貆bl6-h3貇dp貈fz/V貉fzG_.z/V貊/V.z貋Tn#b貌.V貍F$.N貎.V貏&d貐z%貑I3貒?i@!貓.Q.T0B{兒.Qw]刮噉聲.QW)J\"ru咪.Q03女.QD4樣.QyX}貔+6貕d`貖x3貗M2貘/V1D貙poQWuQ貚<*=r貛6-貜5kYS貝(S{雷帽(SH`0z}貞jW貟z*`J負5t{債累累5thSH`H`片5t,\"能量5tA6HP荊請罪5tK?o(lJ荷5tfJ號5tfR隅頑抗5tz&_lPG面5t0L}財oHoF{相oHu/}貢LS貣>-貤wbw`w^貥ff貦bn貧*l貨5;5>{不對辦5;&Q;;%d件5;K:辦5;%d面5;0L}販3/313.32貪<!{便宜<!,$w^小便宜<!s@,$w^生怕死<!r?)wr^}貫LMVqYq責i#hSi&{袋i&9j}貭iQ貮wb貯q+q(lX貰r)貱&e貲j9貳wb貴W;{利W;F\"{佬W;F\"G:}姓名W;sS0T格會W;IebX為W;`6爲W;`6重W;kn{嘢W;knw+}}貵,\"貶'R買.O{假.OI5樓.OEL水噉頭.Ou@J\"<R花墩.O2o84路錢.OG>o$辦.O%d}貸;q>-貹rAsS貺5Y費3S&e{勁3SKA撚事傾3SEXs8Oi禕&ew]}貼>#>!{上>#u1中>!ki士>!s4現率>#wzHj紙相>#j:u.題>!<N}貽w`貾nf貿/2{易/2x8{戰/2x8jS行/2x8fd}}賀fJfG{卡fJN-}賁&e&?&A3g3f賂G>{者喪G>i^t/}賃vb賄Pd5v^.賅K]賆,$資j9賈I4L4I5YX賉uK賊mPmLmM{喊捉賊mPd5l!mL毛mP0u竇mM8)船mMuZ}賋I@賌K]賍k8k3賎jV賏x!賐uG賑iA賒rW賓&?&A{妹&?1K婆&?,@虛{咁大場面&?guJ#7Jp`0L噉嘅場面&?guJ\"JGp`0L}}賔&?賕NH賖rW賗q/賘k3賙i3賚G8賛he賜ne{予nez%}賝mcr3賞u.{月u.z.面u.0L}賟=p賠-${率-$Hj}賡J-l&賢wx賣.PyJ.L{剩{腳.Pj\\M(蔗.Pj\\i_鴨.Pj\\!G}國賊.PYSmM物會.P/PbX相.Pu/飛佛.P4-3x鹹魚.Pd6z\"}賤jVjS賥uD賦5q{予5qz%}賧7V賨p<賩p<質iQj;{地iQ8X量iQHP}賫i-mZ賬l5{面l50L}賭9p{啤9p+-啫9pl'白頭片9p&&<T,\"}賮lLlP賯f-賰uFpv賱`F`G賲(\"賳ju賴DnDjDkDmDl{貓Dk.Q{君Dk.QWK}賴晒晒DlDlqNqN}賵6568賶o_賷i-mZ賸sVj\\賹vz!)賺hhhd{搞hdI@衰hdu?頭蝕尾hh<Tsb/a}賻5t購NGIw{置Iwj;}賽oGoF{會oGbX馬會oG.IbX}賾i#i&賿Dr贀w_!_贁%V贂md贃<)贄j;贅lJlG贆'E贇`E贈iJ{予iJz%券iJMG興iJf/}贉<%7V贊he贋RJ!qS#!>贌:t贍sPsJ{養sJy[{費sJy[3S}}贎.b贏wHx${面wH0L}贐lLlP贑J#贒wx贓k3贔&/&h+8贕:t贖tzl&贗RJ!qS#!>贘u.贙z+z,贚H,贛J#LS贜k3贝(S{雷帽(SH`0z}贞jW负5t{债累累5thSH`H`号5tfR片5t,\"能量5tA6HP荆请罪5tK?o(lJ荷5tfJ隅顽抗5tz&_lPG面5t0L}贠z*`J贡LS财oHoF{相oHu/}责i#hSi&{袋i&9j}贤wx败%V{仗%Vl5}账l5{面l50L}货5;5>{不对办5;&Q;;%d件5;K:办5;%d面5;0L}质iQj;{地iQ8X量iQHP}贩3/3.3132贪<!{便宜<!,$w^小便宜<!s@,$w^生怕死<!r?)wr^}贫*l贬'R购IwNG{置Iwj;}贮q+q(lX贯LMVqYq贰wb贱jVjS贲&e&?3g3f&A贳r)贴>#>!{上>#u1中>!ki士>!s4现率>#wzHj纸相>#j:u.题>!<N}贵W;{为W;`6利W;F\"{佬W;F\"G:}姓名W;sS0T格会W;IebX重W;kn{嘢W;knw+}}贶5Y贷;q>-贸/2{易/2x8{战/2x8jS行/2x8fd}}费3S&e{劲3SKA撚事倾3SEXs8Oi祎&ew]}贺fJfG{卡fJN-}贻w`贼mMmLmP{喊捉贼mPd5l!mL毛mP0u窦mM8)船mMuZ}贽j;贾I4L4YXI5贿Pd5v^.赀j9赁vb赂G>{者丧G>i^t/}赃k3k8资j9赅K]赆lLlP赇NH赈iA赉G8赊rW赋5q{予5qz%}赌9p{啤9p+-啫9pl'白头片9p&&<T,\"}赍i-mZj9赎tzl&赏u.{月u.z.面u.0L}赐ne{予nez%}赑&/&h+8赒i3赓J-l&赔-${率-$Hj}赕7V赖DnDjDkDmDl{猫Dk.Q{君Dk.QWK}赖晒晒DlDlqNqN}赗6568赘lJlG赙5t赚hhhd{头蚀尾hh<Tsb/a搞hdI@衰hdu?}赛oGoF{会oGbX马会oG.IbX}赜i#i&赝RJ!qS#!>赞hehd赟`E赠iJ{予iJz%兴iJf/券iJMG}赡sPsJ{养sJy[{费sJy[3S}}赢x$wH{面wH0L}赣J#LS赤n_o;o9{壁o9'i魚n_z\"鱲角n_E2L/鱼n_z\"𫚭角n_E2L/}赥f?赦rY赧@U@R@SE%赨?0赩scf?赪o'jW赫dQe-{赫有名dQdQv[0T}赬o'jW赭i^赮d$赯>T走i4{上i4u1为上{着i4`6u2lD策i4`6u2mM著i4`6u2lD计i4`6u2Iq}位i4`4佬袋i4G:9j后门i4dh1^夹唔抖i4IY%B<R夾唔抖i4IY%B<R廊i4GL後門i4dh1^样i4yX樣i4yX油i4vX漏{風聲i4EP63ru风声i4EP63ru}為上{着i4`6u2lD策i4`6u2mM著i4`6u2lD計i4`6u2Iq}爲上{着i4`6u2lD策i4`6u2mM著i4`6u2lD計i4`6u2Iq}犯i43.白牌i4&&*\"精面i4j!0L走趯趯i4i49,9,趯i49)难i4@V難i4@V青i4nK馬上任i4.Iu1vb马上任i4.Iu1vb}赱i4赲G,赳Iv8(K.赴5t{会5tb\\會5tb\\}赵jJ=gjF赶Kp{上Kpu1时间Kps6IM狗入穷巷KpIvvtQ$fd}起e:{上嚟e:u1F$办e:%d劲e:KA势咁e:r)J\"勁e:KA勢咁e:r)J\"名e:0T嚟e:F$弶e:Kz承{轉合e:sTl_e&转合e:sTl_e&}杠e:Kz楼e:EL槓e:Kz樓e:EL死回生e:r^bZr?泡e:,o腱e:jR行e:dx褶e:hq身嚟e:r9F$辦e:%d}赸q_赹Ol赺va赻sL赼j9赽QwW;赾vd赿nf趀j9nc趁mk{地腍mk8\\A*風使𢃇mk63r(F%风使𢃇mk63r(F%高{兴mkKcf/興mkKcf/}}趂mkwa趃9\\趄lEn/poo5n.超no{生nor?額noR^{完成noR^z*sT}额noR^{完成noR^z*sT}}趆8!趇rE趈hb趉WbQwMP越z2趋popK趌J9J>{开J>fK開J>fK}趍popK趎lW趏W)c&趐h;ne趑j9nc{車轉ncn-l_车转ncn-l_}趒=f=c=d=e趓9d趔G&趕Kp{上Kpu1時間Kps6IM狗入窮巷KpIvvtQ$fd}趖si趗pK趘e,趙jJ=gjF趚tu趛vaJ#趜LcQ3NH趝K5趞pk趟>S>Rm9>Q{拢>SH(攏>SH(栊>SH(櫳>SH(}趠pk趡pp趢H>趣pqm^popKpp{趣{哋pqpp8X地pqpp8X}}趤:,趥m]pK趦j9趧<N趨popK趩o9趪b<趫OZ趬eu趭jG趮oM趯>-9)ye9,{佬9)G:更9)IQ路9)G>}趰wa趱hdhel^趲hdl^he足l!lGlY{月l!z.}趴)u趵*)%Y(G趶5q趷J>{下趷下J>d%J>d%}趸848385趹Qw趺5o趻md82{脚82M)腳82M)}趼ILK:趽5Y趾j:趿<;muqk跀z2J>跁%P)u跂NxNy跃yh>-ye跄p]p_跅>e跆><跇vV跈B@9FFj跉Fr跊1P跋&V(z跌9Y7k>){打>)7@{酒>)7@i4}眼{鏡9YRIJd镜9YRIJd}}跍5o跎>6跏I3跐ndm\"oFnc跑*(**{上*(u1鐘妹*(ki1K钟妹*(ki1K馬地*(.I8X马地*(.I8X}跒M^跓q+跔QWQ<跕>#9@9S9Y9Vhb跖jkj5跗5o跘-6跙lFlE跚q]跛&-'p&e{手太{监&-r.;qIG監&-r.;qIG}脚鸭&-M)!F腳鴨&-M)!F}跜ATF$距Q[M2跞G'G_GbG,跟J'{大{队J'7J;:隊J'7J;:}队J';:隊J';:}跠w`跡jij5跢9dnf9c7G9e跣sLsM{呔sM;o水sMu@}跤I?d-跥9d跦lW跧q0跨[)['{代['9n国['YS國['YS境['K@性{別者['sS'hi^别者['sS'hi^}栏['E$欄['E$步['(&越['z2}跩vV跪W>{玻璃W>'oF!}跫Q$跬[d跭ff跮9\\nej;路G>G:G;{德{会G>8KbX會G>8KbX}牌G>*\"試G>s7试G>s7面G>0L}跰,$跱j>ngs8跲IY跳=e=f=d>B{上=eu1楼=eEL{价=eELI5机=eELJK货=eEL5;}樓=eEL{價=eELI5機=eELJK貨=eEL5;}蹦蹦=e%n%n}跴m\"mXoFuv践o%jVo\"跶<;7k跷O[OXeuOWOY{口{㔆手OXddm1r.劖手OXddm1r.巉手OXddm1r.}妙OX0D蹊OWNu}跸&Q跹sKo!跺9d跻i-跼Lh跽JP跾tum]跿>B踀pK踁KAf1踂BPFz踃s?nq踄(J(&踅q5nejez2i2lh踆q0puq-uE踇0y/1踈si踉HPHNGN{跄GNp_蹌GNp_}踊y4y7踋M)踌m`踍d-踎/-{墩/-83趸/-83躉/-83}踏7h7e{中7hkk平7h,*正7hj#}踐o%o\"jV踑JKNu踒au踓`7pK踔pk9>踕jh踖jio9jn踗BPFz踘Lc踙BPFz踚Hf踛H>踜FtFr踝_U踞M/Li{喀兵LiI6'W}踟nf踠z(踡Qr踢=S=V{入{会=SvtbX會=SvtbX}窦=S8)竇=S8)}踣&&3\\踤lQuD踥o/sY踦NuJKJLw^e9踧pKl!9b踨ki踩m\"oFuv{上{門m\"u11^门m\"u11^}中m\"kk到上心口m\"9qu1r3dd平m\",*油m\"vX鋼線m\"KwsL钢线m\"KwsL高{跷m\"KcOX蹺m\"KcOX}}踪ki踫-;踬j;iV踭hi踮9@9A踯i&jn踰z$z&踱:>踲88踳puq.pv踴y4y7踵kj:^踶8&nf<Nj>nd踷hL踸md踹q.uvm\";S{单车m\"7Wn-單車m\"7Wn-蕉皮m\"jE+6}踺K>踻VW踼>T:,踽M.{踽{独行M.M.:tdx獨行M.M.:tdx}}踾6E'i,9踿l!m]蹀9V蹁,$,!蹂vZv[蹃D2H\\蹄<N<L=Z8&蹅lylu蹆<_蹇K:jRf'蹈9t>?蹉o?蹊d`N?Nu蹋7h<5<8蹌p]p_蹍BCjRFm蹎9E蹏<N8&蹐jkj5蹑BPFzs\\{手蹑脚s\\r.s\\M)}蹒-61`{跚1`q]{学步1`q]fz(&}}蹓EPEN蹔hb蹕&Q蹖ki蹗H>蹘Dr蹙pKl!蹚>S>Q>R蹛i27G蹜tu蹝qL蹞[d蹟ji蹠jkj5蹡p]p_蹢i&9]jn蹣-61`{跚1`q]{學步1`q]fz(&}}蹤ki蹥Fl蹦&E%n蹧k!蹨B;Fe蹩'h蹪?f蹫W]蹬898>蹭rAmq蹮sK蹯30蹰q*prq'蹱ki蹲;?lKq0蹳(z蹴pKl!蹵pK蹶QwW;蹷Qw蹸HhEZ蹹7h蹺O[euOXOYOW{口{㔆手OXddm1r.劖手OXddm1r.巉手OXddm1r.}妙OX0D蹊OWNu}蹻O[K.OXeuM)OYQVOW蹼)&)!,q-M{匿匿)&AQAQ}蹽F]F`蹾8583蹿q-躀Vq躁oM躂<;7k躃'i躄'i躅l&kJ躆M/躇q*q'prpk躈OY躉848385躊m`躋i-躌0y躍yeyh>-躎B@BCFj躏Hh躐Fz躑i&jn躒G'G_G,Gb躓j;iV躔o$躕q*prq'躖?j;V躗`8躘H*躙Hh躚sKo!躛`8躜l]躝E!E${屍趌路E!s3J>G>}躞sYs_躟yZC%躠s_躡BPFzs\\{手躡腳s\\r.s\\M)}躢7h<5躣QZ躤jn躥q-躦l]躧qL躨[f躩5kYS^#躪Hh身r9MEOfz*q]{为r9`6份r93d{証r93djY證r93djY证r93djY}位r9`4体力行r9<LG,dx分r93d{証r93djY證r93djY证r93djY}敗名裂r9%V0TG&无长物r90xl8/P為r9`6無長物r90xl8/P爲r9`6負重任r95tknvb负重任r95tknvb败名裂r9%V0TG&首{异处r9r.wbq)異處r9r.wbq)}體力行r9<LG,dx}躬LQ躭7Q躮3c躯QW躰<L躱9d躲9d躳LQ躴GN躵vd躶G.躷!^Rj躸JK躹Lc躺>R{平>R,*}躻g?躼G>躽wv躾/a躿fc軀QW軁EN軂G>軃9d軄ji軅RJ!>軆<L軇9t軈x#軉yJyE車n-M-{位n-`4水馬龍M-u@.IH*聲n-ru葉n-x(行n-fd輛n-HL長n-l4隊n-;:頂n-8p頭相n-<Tu.馬M-.I{費M-.I3S}}軋!MI_hwRY軌W:軍WK{備競賽WK&hKAoG棋WKNv隊WK;:頭WK<R}軎`8軏z2軐uG軑8&7J軒f'軓3230軔vh軕sE軖]lPH軗uTLc軘@$軙ml軚;o;s{尺;sn_波;s'o盘;s-6盤;s-6軨;oFo鈴;oFo铃;oFo𫐉;oFo}軛!Q!R!SR]Rb軜@bE2軝Nx軞0x軟z+{件z+K:淋淋z+A*A*癩癩z+DlDl盤z+-4碟z+9R{機z+9RJK}糖z+>R腍腍z+A*A*}軠]lPH軡O`NN転l^軣WQ軤5o軥QZIu軦5Y軧8\"軨FrFo{冚FoNL蓋FoK_}軩>=軪!cRo軫i@mj軬3231軭_o{神_or:}軮#d#eTpTq軯*9軰(S軱L3YW軲L3YW軳,N軴lY軵5py7軶!Q\"-!SR]軷&V軸l&i8軹j:軺wl軻#EfFTQ軼vz9\\軽j;軾sc軿,*輀w`輁LR輂LcLh較IAL/{為IA`6爲IA`6量IAHP}輄Y?Ku輅G>輆fLP/輇q0uZ輈i3載jwjvjz輊j;輋n0rZ輌HP輍yJ輎qQ輏vZ輐bn輑`I[u輒j_je輓_m.a輔5t輕eQf-eV{佻f-=c便f-'V信f-uG傷f-u-判f--5取f-pp寥寥eQF]F]小{說f-s@u_説f-s@u_}工業f-LQx,巧f-d.度f-9t微f-/`快f-2w忽f-3u描淡寫f-0B7VrX擎eQO6敵f-9b易f-wb柔f-vZ歌f-KW浮f-3Z熟女f-tzD7狂f-]l率f-uK生f-r?盈f-x$而易舉f-w`wbM.聲f-sQ舉妄動f-M.11:b薄f-(J裝f-k3視f-s8言f-wx{放棄f-wx5Ye;}諾f-C8財仗義f-oHl8wb軌f-W:輕eVeQ{哋eVeQ8X鬆鬆f-f-tctc}重f-p=量f-HN鐵f->)騎f-Nr鬆f-tc}輖i3輗Rl!`輘Fr輙j_je輚hh輛HPHL輜j9輝3Q輞11輟lelh輠Y\"b\\KX_U輡dj輢w^輣*<*r輤sM輥WL[v輦Fm輧,*輨LLYp輩(S&e{分(S3h}輪HfHdEZ{廓Hf^#更HfIQ流HfEL{轉HfENl^}盤Hf-4籌Hfm^}輫*$-$輬HN輭z+輮vZ(!(#v[(&輯mu輰yZ輱d6輲q0uZ輳m_輴pu輵L)輶vZv[輷WQ輸uQ{乾輸淨uQKouQj&剩條底褲uQj\\=f8\"5q少當贏uQs@:)wH蝕uQsb送帶uQte7F面uQ0L}輹6E6J輺j9輻6E輼`E輽&D輾jRBCBDFm{平jR,*}輿z$轀`E轁>?轂LcL3YW轃lK轄e,轅z*轆H9H>轇I?轈m*轉l^l_{下眼l^d%RI任l_vb動l_:b危{為機l^Rl`6JK爲機l^Rl`6JK}口風l_dd63台l_><吓眼l^d%RI呔l_;s圈l_h3守{為攻l^r.`6LQ爲攻l^r.`6LQ}工l_LQ彎l__i{抹角l__i1tL/}戰l_jS手l_r.接頭l_j_<R插l_mA{頭l_mA<R}數l_sw{錶l_sw'E}會l_bX校l_d2死性l_r^sS波l_'o珠l_lW生l^r?而l_w`聲l_ru職l_ji臺l_><虧{為盈l^[c`6x$爲盈l^[c`6x$}行l_ff角l_L/{位l_L/`4}趨l_po身l_r9車l_n-軚l_;s速l_pK陣l_iD頭l_<T}轊`8轋`Hf'轌u_轍o5轎K.OXOZK2{車OXn-}轏hh轐)&,q轑G=F`G<轒3f轓3-轔HfHh轕L)轖sc轗dj轘_l_n轙Rm!a轚KQ轛;;轜w`轝z$轞Dzd7轟WQWRWT轠H`轡&e轢G'G,轣G&QwG,轤G<轥Hh车n-M-{位n-`4叶n-x(声n-ru头相n-<Tu.水马龙M-u@.IH*行n-fd辆n-HL长n-l4队n-;:顶n-8p马M-.I{费M-.I3S}}轧!MI_RYhw轨W:轩f'轪8&7J轫vh转l^l_{下眼l^d%RI亏为盈l^[c`6x$任l_vb会l_bX动l_:b危为机l^Rl`6JK口风l_dd63台l_><吓眼l^d%RI呔l_;s圈l_h3声l_ru头l_<T守为攻l^r.`6LQ工l_LQ弯l__i{抹角l__i1tL/}战l_jS手l_r.接头l_j_<R插l_mA{头l_mA<R}数l_sw{表l_sw'E}校l_d2死性l_r^sS波l_'o珠l_lW生l^r?而l_w`职l_ji行l_ff角l_L/{位l_L/`4}趋l_po身l_r9軚l_;s车l_n-速l_pK阵l_iD}轭!QR]!R!SRb轮HfHdEZ{廓Hf^#更HfIQ流HfEL{转HfENl^}盘Hf-4筹Hfm^}软z+{件z+K:淋淋z+A*A*癞癞z+DlDl盘z+-4碟z+9R{机z+9RJK}糖z+>R腍腍z+A*A*}轰WQWRWT轱L3YW轲#EfFTQ轳G<轴l&i8轵j:轶vz9\\轷5o轸i@mj轹G'G,轺wl轻f-eQeV{举妄动f-M.11:b伤f-u-佻f-=c便f-'V信f-uG判f--5取f-pp声f-sQ寥寥eQF]F]小说f-s@u_工业f-LQx,巧f-d.度f-9t微f-/`快f-2w忽f-3u描淡写f-0B7VrX擎eQO6敌f-9b易f-wb松f-tc柔f-vZ歌f-KW浮f-3Z熟女f-tzD7狂f-]l率f-uK生f-r?盈f-x$而易举f-w`wbM.薄f-(J装f-k3视f-s8言f-wx{放弃f-wx5Ye;}诺f-C8财仗义f-oHl8wb轨f-W:轻eVeQ{哋eVeQ8X松松f-f-tctc}重f-p=量f-HN铁f->)骑f-Nr}轼sc载jwjvjz轾j;轿K.OXK2OZ{车OXn-}辀i3辁q0uZ辂G>较IAL/{为IA`6量IAHP}辄j_je辅5t辆HPHL辇Fm辈(S&e{分(S3h}辉3Q辊WL[v辋11辌HN辍lelh辎j9辏m_辐6E辑mu辒`E输uQ{剩条底裤uQj\\=f8\"5q少当赢uQs@:)wH干输净uQKouQj&蚀uQsb送带uQte7F面uQ0L}辔&e辕z*辖e,辗jRFmBCBD{平jR,*}辘H9H>辙o5辚HfHh辛r9辜L3YW辝nf辞nf{行nfdx}辟,9'i/+&h辠lJ辡'V辢E8辣E8E4E5@e{㷫E5f/低E58!手@er.更@eIQ着E5lD著E5lD雞@eIo鷄@eIo鸡@eIo}辤nf辥s_辦%h%d{事處%hs8q)公時間%hLQs6IM}辧'V辨'V辩'V辪s_辫'Q辬%c辭nf{行nfdx}辮'Q辯'V辰r<r:辱yJ農CZH*辳CZH*辴mjjR辵pk辷vu辸x$边'Q'V{位'Q`4处'QuS树'QuS间教会'QIKIAbX}辺9t辻rJ込z!辽F`达8#<;7n辿o$m-迀Ko迁o!迂z!z$迃z!迄S8e'\",迅uG迆waw`>3过Y#KXY\"KWY!KYKZ{五关斩六将Y#%IVoh^H>l5关斩将Y#Voh^l5冷河Y#E+fF分Y#3h基峡Y#JKe&塑Y#tA夜Y#w(桥Y#OX济KZi/火位Y#5:`4磅Y#(4量Y#HP}迈.P.K迉mW迊x$迋b>YA[GKvY@迌?o迍lK@$迎x$x&{头赶上x$<TKpu1月x$z.頭趕上x$<TKpu1}迏8#运`J{筹帷幄`Jm``6!Q行`Jdx转`Jl_输带`JuQ7F}近J,NUJ({战NUjS戰NUjS柱NUq+}迒ffKuE+迓R2R0!&返3.3-{來3-EH去3-gw{旧时𠮶度3-gwIzs6KX9t舊時嗰度3-gwIzs6KX9t}发3-3A啄3-;'啅3-pi嚟3-EH夜3-w(大{陆3-7JH>陸3-7JH>}天家3-=oI3头{婆3-<T,@嫁3-<TI5客3-<TdS}学3-fz學3-fz屋企3-$QNv工3-LQ归3-W9扯3-n.挞3-<9撻3-<9来3-EH歸3-W9生3-qc發3-3A瞓3-3e趄3-n.轉頭3-l_<T转头3-l_<T閨3-W9闺3-W9頭{婆3-<T,@嫁3-<TI5客3-<TdS}}迕%I%J%C%D迖8#7n<;<M迗TT#H还_luZ这iai^i_{么i^0i些i^rW儿i^w`样i^y\\里i^Ha阵子i^iDj:}迚ki进lM{行lMdx{曲lMdxQ3}}远z+z(z,{处z+q)小人z,s@vf贤臣z,wxr<近z+NU{驰名z+J,nf0T}}违`6连FlFi{中三元FlkkqWz*仁Fivd假FlI5毛监屎Fl0xIGs4锁反应Flsj3.x#}迟nfj;j>{下nfd%吓nfd%嚟先上{岸nfEHsKu1Tn渡nfEHsKu19p}}迠K;o/迡@znfEJ迢=fsB迣G&EJ迤wa>3w`迥Xd迦I3d,迧ml迨9n>=迩wa迪9b迫'i&!'n{力'nG'良{为娼'iHN`6p]為娼'iHN`6p]爲娼'iHN`6p]}鈕&!A\"钮&!A\"}迬lY迭9\\vz迮i#kG迯>B述uP迱>6迲gw迳KAIS迴bZb\\{腸bZp^}迵:b迶v\\迷/*{上/*u1妹/*1K}迸'Y'X迹jij5迺@CDm迻w`迼OwKM追lE;9{上lEu1平lE,*思{会lEs3bX會lEs3bX}更lEIQ月lEz.}迾G&E8迿uJ退?e{地?e8X房?e5X}送te{上{門teu11^门teu11^}命te0V行tedx}适Q/sc9]>-^Si#i&{应scx#当sc:)者生存sci^r?q0量scHP}逃>B{出生天>Bq!r?=o命>B0V犯>B3.生>Br?难>B@V難>B@V}逄,`逅dh逆x8Rb!V{意Rbw_水行舟x8u@dxi3行x8dx}逇;D逈Xd选uXuY逊uG逋(!逌vZ逍s?逎m`透<S<R<Q{大{气<R7Je;氣<R7Je;}薄<Q(J}逐l&9b逑NH递8&7Gr,{解8&I;}逓8&途>B逕KAIS逖>-9b逗8,逘w`這iai^i_{些i^rW兒i^w`樣i^y\\裏i^Ha裡i^Ha陣子i^iDj:麼i^0i}通?-{利琴行?-F\"NNfd处?-q)笼?-H(籠?-H(緝犯?-mu3.缉犯?-mu3.處?-q)行?-dx{无阻?-dx0xjp無阻?-dx0xjp証?-dxjY證?-dxjY证?-dxjY}頂?-8p顶?-8p}逛[GVz逜%J%D逝r,逞o(速pK{率pKHj}造k&oMoOk\"{訪oM5X詣oMRn請k&o(謠生事k&wlr?s8访oM5X诣oMRn请k&o(谣生事k&wlr?s8}逡uEpu逢66-<{场作兴66p`kGf/場作興66p`kGf/}連FlFi{中三元FlkkqWz*仁Fivd假FlI5毛監屎Fl0xIGs4鎖反應Flsj3.x#}逤skqE逥bZ逦F%EI逧Lc逨G6逩&A&?逪oq逫le逬'Y'X逭bn逮8&9n{解8&I;}逯H>逰vZ週i3{年旺相i3BBb>u/}進lM{行lMdx{曲lMdxQ3}}逳yE逴pk逵[f逶`3`4逷>-逸vzvv逹7n逺z+逻G0G2逼'i'9'n{力'nG'夹'iKJ夾'iKJ挟'iKJ挾'iKJ狭'iKJ狹'iKJ良{为娼'iHN`6p]為娼'iHN`6p]爲娼'iHN`6p]}迫'i&!}逽D2C8H\\逾z$z&{时不候z&s6&Qdh時不候z&s6&Qdh期z&Nx}逿:,>T>-遀pr遁;D遂uDuC遃wy遄q0q.uZ遅nf遆<N遇z&{上z&u1溺z&BW难z&@V{者z&@Vi^}難z&@V{者z&@Vi^}}遈jn遉jW遊vZv\\{山玩水vZq]bnu@手好閒vZr.fSd<湖vZbR玩vZbn糊vZbR船河vZuZfF花園vZ2oz(行vZdx說vZuA説vZuA車河vZn-fF}運`J{籌帷幄`Jm``6!Q行`Jdx輸帶`JuQ7F轉`Jl_}遌U,#z遍,#'S過Y#Y!KXY\"KWKYKZ{五關斬六將Y#%IVoh^H>l5冷河Y#E+fF分Y#3h基峽Y#JKe&塑Y#tA夜Y#w(橋Y#OX濟KZi/火位Y#5:`4磅Y#(4量Y#HP關斬將Y#Voh^l5}遏!MOw\"'RY遐d$遑b<遒m`vZ道9t9q9p{听{涂说9t=w>Bu_途说9t=w>Bu_}士9ts4德撚9t8KEX聽{塗{說9t=w>Bu_説9t=w>Bu_}途{說9t=w>Bu_説9t=w>Bu_}}行9tdz觀9tLM观9tLM長9tl4长9tl4}達7n<;違`6遖@NDx遗`6`8遘IwNG遙wl遚m_遛EPENF`遜uG遝7h遞8&7Gr,{解8&I;}遟nf遠z+z,z({小人z,s@vf處z+q)賢臣z,wxr<近z+NU{馳名z+J,nf0T}}遡sw遢<5<;遣f({散{費f(q^3S费f(q^3S}}遤.I遥wl遦Vq遧l3遨T`Tb#T#V{游TbvZ}適sc9]>-i#i&{應scx#當sc:)者生存sci^r?q0量scHP}遪mA遫o9遬pK遭k!遮i]{仔{会i]i.bX會i]i.bX}盖i]P/蓋i]P/}遯;D<`遰8&8#r,遱EN遲nfj;j>{下nfd%吓nfd%嚟先上{岸nfEHsKu1Tn渡nfEHsKu19p}}遳o?遴HfHh遵lKl]{命lK0V行lKdx}遶wjwm遷o!選uXuY遹`\\z2Hn遺`6`8遻U,%D%J#z遼F`遽M2M/遾r,避&h{孕袋&hvh9j弹&h7X{衣&h7Xw]}彈&h7X{衣&h7Xw]}难&h@V{所&h@Vsj}難&h@V{所&h@Vsj}}邀wi{請wio(请wio(}邁.P.K邂d+d,邃uDuA還_luZ邅jQ邆<f邇wa邈0C1D邉'Q邊'Q'V{位'Q`4樹'QuS處'QuS間教會'QIKIAbX}邋E2E8FzE5{遢E8<;{猫E8<;.Q貓E8<;.Q}}邌EH邍z*邎vZ邏G0G2邐F%EI邑vo\"!S-邒=x邓8>{小平8>s@,*}邔e:JLJP邕y3邖q]邗f`邘z!z$邙10邚z$邛Q$邜jn邝]kPF]jPG邞5o邟PG邠&?邡5W邢x$那@=@9@<B`BbB]Ba@>@:DcG-@;DgDfG0邤vc邥r4邦(3邧z*邨q-邩5:邪n0w*n.{派n0*!牌{愛差人n0*$#Mm!vf爱差人n0*$#Mm!vf}}邫(3邬bQ邭M/邮vZ{件vZK:局vZLd差vZm!戳vZoo政局vZjYLd筒vZ?.}邯f`dl邰><>9邱vW邲&e&V'c'V邳+6邴'X邵sD邶(S(V邷R1!%邸8\"邹i3邺x,邻Hf邼fc邽W9邾lW邿s3郀5o郁yE`W{下yEd%吓yEd%郁愩yEyELS}郂K]郃e&J5郄Xu]E郅iVJ9iQ郆J9郇uE_l`H郈dhdg郉x$郊I?{野公{园I?w+LQz(園I?w+LQz(}}郋d`郌W9郍@=Dg郎GNGL郏IY郐Pd^.Pe^/郑j&j\\j\"{重j&kn}郒GN郓`J郔wx郕sT郖8'8,郗nce9郘Ha郙5p郚%H%B郛5o郜Ke郝PYL/郞GN郟IY郠J.郡WP郢x%o(郣(z郤Xu]E郥]E郦G,郧`H部(&{件(&K:分(&3h头(&<R長(&l4长(&l4队(&;:{锅(&;:au}隊(&;:{鍋(&;:au}頭(&<R}郩d0#R郪mW郫+6郬o'郭YSXuL/郮i3郯<$郰i3郱,*郲G6郳Rl!`郴r3mc郵vZ{件vZK:局vZLd差vZm!戳vZoo政局vZjYLd筒vZ?.}郶(&郷gc郸7WXu郹Xu郺y3y4郻eu郼w]都9o{会{区9ob\\QW大学9ob\\7Jfz广场9ob\\Y@p`票9ob\\+q道9ob\\9t駅9ob\\x8}會{區9ob\\QW大學9ob\\7Jfz廣場9ob\\Y@p`票9ob\\+q道9ob\\9t駅9ob\\x8}}郾wv郿/`鄀yh鄁(S(V鄂U,#z鄃uQ鄄MG鄅z%M.鄆`J鄇dh鄈[f鄉gcge{下gcd\"{仔gcd\"i.話gcd\"_R}事委員會gcs8`4z*bX試gcs7議局gcwaLd頭gc<R}鄊gc鄋r-鄌>T鄍0T鄎sc鄏yJ鄐pK鄑j9鄒i3鄓x)鄔bQ鄕gcge鄖`H鄗fVd-fw鄘y6鄙+4鄚1D鄛m*鄜5o鄝Fa鄞S$!r鄟l]鄠bV鄡eu鄢wu鄣l3l5鄤.b鄥eu鄦gv鄧8>{小平8>s@,*}鄨&/'e鄩mf鄪&e鄫mr鄬`6鄭j&j\\j\"{重j&kn}鄮/2鄯sP鄰Hf鄱,B'q鄲7WXu鄳.f.g鄴x,鄵oM鄶PdPe^.^/鄷63鄸1f1h鄹i3鄺]kPGPF]j鄻Fm鄼heoB鄽o$鄾vW鄿JKNx酀ww酁m0酂heoBl^酃Fr酄6-h3酅[f酆63酇heoBl^酈G,酉v[酊9L9K酋vZm`{長vZl4长vZl4}酌lA{量lAHL}配-#{上-#u1乐-#U,件-#K:樂-#U,額-#R^额-#R^}酎i8酏w`wa酐Kofg酑z!酒i4{会i4bX办i4%d吧i4%K曲i4Lc會i4bX辦i4%d醉三分醒i4lGqW3csR量i4HP麴i4Lc𠱃i4A9}酓wpv^wq酔lG酕0x酖7Qi>酗z#gwgv酘<T酙i9酚3c酛z*酜5o酝`I`G`F酞;q酟=i酠M^I5酡>6>4{酡{拧>6>4BJ擰>6>4BJ}}酢kJoM酣dl酤L3L5bVYW酥su{皮su+4}酦-G(w3A酧m`酨9njz酩0U0T酪G_GbG>酫q5酬m`m^酭v\\酮?0酯j:酰sK酱l5酲o*酳vhvduG酴>B酵d-IAd/酶1N酷gV酸uW{姜荞uWLuOX微{仔uW/]i.微uW/]/]}薑蕎uWLuOX}酹I#DnHbG8I&Dk{江月DnKuz2}酺,N酻lE酼fL酽wt酾s3酿y\\yX醀`6lG醁H>醂EU醃wox)\"!{眼x)RI製x)i/}醄>B醅-!醆hd醇uH醈<$醉lG{生{夢死lGr?1hr^梦死lGr?1hr^}}醊lelG醋oMkJ醌[u醍<N<L{醐灌{頂<NbTLM8p顶<NbTLM8p}}醎d6醏9o醐bT醑u@醒rvsRsQ{你sRAU定sR9P少少sRs@s@悟sR%J扒sR)v水sRu@爬sR)x狮sRs3獅sRs3目sR1z{仔sR1zi.}神sRr<胃sR`8覺sRL/觉sRL/起sRe:醒定定sRsR9P9P}醓<\"<%醔vZ醕uH醖`I`G`F醗-G醘e!醙r-r.醚/*醛q0醜m^{人m^vd樣m^yX}醝oB醞`I`F`G醟ab醠#eTq醡hM醢fL醣>T醤l5醥+p+s醦md醧z#醨F$醩k!醪G<醫w]{局w]Ld生w]r?{紙w]r?j:膠布w]r?I?(#}返都嘥藥費w]3-9oqKyh3S}醬l5醭)&,q醮jG醯e9醰<$醱-G3A(w醲CZH*醳x8sc醴EI醵M2OJQV醶wt醷x3醸y\\醹z$z%醺3c醻m`醼ww醽Fr醾/`醿/`釀y\\yX釁vhve釂jG釃s3釄/`釅wt釆'V采oFoG{青oFnK}釈sc釉v\\vX释scx8釋scx8里F%F\"F!HaF$F&{应外合Hax#T\\e&}重p=p<knp>{中之重knkij9kn临p<ET九p<Iv{節p<Ivje节p<Ivje}任knvb估knL4係kndb修p<r-{旧好p<r-IzfR舊好p<r-IzfR}光p<Y?兼knK3写p<rX出江湖p<q!KubT加knI3叠p<9V启p<N@唱p<p_啓p<N@啟p<N@回正{軌p<bZjYW:轨p<bZjYW:}围p<`6圍p<`6地kn8\\复p<6E大kn7J头p<<T婚p<3c审p<r4審p<r4寫p<rX庆p<f/{大厦p<f/7Jd&}建p<K;{盘p<K;-4盤p<K;-4}开p<fK得了kn8KFa心knr3情重{义kno*knwb義kno*knwb}慶p<f/{大廈p<f/7Jd&}担p=7S拾p<rJ振p<iA{旗鼓p<iANxL4}揼揼p=8D8D播p<'q操{故{业p<oKL5x,業p<oKL5x,}旧业p<oKIzx,舊業p<oKIzx,}擔p=7S整p<jX{旗鼓p<jXNxL4}文{輕武kn/<f-0y轻武kn/<f-0y}新p<r9{做人p<r9k&vf}施故技p<s3L5JP有knv[沓p<7h温p<`E游p<vZ{旧地p<vZIz8\\}溫p<`E演p<wv点kn9@犯p=3.獲新生p<bPr9r?现p<wz現p<wz生p<r?用kny8申p<r9男{輕女kn@Nf-D7轻女kn@Nf-D7}疊p<9V皮p=+4磅p=(4立立p=EhEh系kndb組p<k\"组p<k\"置p<j;考p<d.聚p<lJ臣knr<臨p<ET色{輕友knscf-v[轻友knscf-v[}获新生p<bPr9r?複p<6E要knwk{性knwksS}覆p<6E見天日p<K;=ovz視kns8见天日p<K;=ovz视kns8言p<wx讀p<:t读p<:t賽p<oG赛p<oG蹈p<9t{覆{轍p<9t6Eo5辙p<9t6Eo5}}返p<3.逢p<66遊p<vZ{舊地p<vZIz8\\}重p<p<{叠叠p<p<9V9V复复p<p<6E6E疊疊p<p<9V9V複複p<p<6E6E}量p=HP{級p=HPN]级p=HPN]訓練p=HP3eFn训练p=HP3eFn}鎮kniA镇kniA門深鎖p<1`r3sj開p<fK门深锁p<1`r3sj阳p<yZ{节p<yZje}陽p<yZ{節p<yZje}頭p<<T點kn9@}野w+w({味w+/^女w+D4生w+r?{捕{獲w+r?(&bP获w+r?(&bP}}}量HNHPHL{产HPm4入{为出HPvt`6q!為出HPvt`6q!爲出HPvt`6q!}刑HPx$力HPG,{而{为HPG,w``6為HPG,w``6爲HPG,w``6}}化HP2q{宽松HP2q6-tc寬鬆HP2q6-tc紧缩HP2qJ(tu緊縮HP2qJ(tu}子力{学HPj:G,fz學HPj:G,fz}度HN:>才HPoH杯HP(Q產HPm4纔HPoH詞HPnf词HPnf}釐F$e:e9金J!{丝雀J!s3l@兰姊妹J!E$j:1L卡J!N-叵{罗J!'oG-羅J!'oG-}条J!=d枪鱼J!p]z\"條J!=d槍魚J!p]z\"毛J!0u油{条J!vZ=d條J!vZ=d}笸{箩J!,?G-籮J!,?G-}管局J!LLLd絲雀J!s3l@脚带J!M)7F腳帶J!M)7F舖J!,L蘭姊妹J!E$j:1L鈪J!!R銀{潤J!S$yp銅鐵錫J!S$?0>)s2}錢J!o${肚J!o$>C}钱J!o${肚J!o$>C}银{润J!S$yp铜铁锡J!S$?0>)s2}額J!R^额J!R^魚J!z\"{街J!z$I9記憶J!z\"JMx3黃J!z$b:}鱼J!z\"{街J!z$I9记忆J!z\"JMx3黄J!z$b:}}釓I3I_NH釔z2z/釕FaF`Fb釖9o釗nojE釘8o9K{叠釘8o7h8o頭8o<R}釙,q-M釚NH釛%w釜5p針i9O`{卡i9N-孔相機i9g@u.JK筒i9?.}釞iK釟%w釠Hz釡5p釢@CDm釣9;{友9;vX大魚9;7Jz\"魚9;z\"{機9;z\"JK}}釤qWqYsM釥np釦NG釧q/q-釨j:釩30釪_Tz$釫_TbQ釬fb釭KuLQ釮mZ釯10釰vz釱8&7J釲j>釳e'釴x8釵m!lu釶s3usrZ釷>@釸jn釹D7HaH`D6釺o!釻z*釼vz釽,9hX釾w*R0!$釿J'鈀%L)x%K{金%KJ!}鈁5W鈂mfi;鈃x$K9鈄8(鈅z2yh鈆z*鈇5o5p鈈&Q鈉@b@eE2鈊r3r5鈋TT#H鈌Qw鈍;D鈎RoIu!c鈏vhvg鈐O`鈑%d鈒htN]qk鈓va鈔m'm)鈕A\"A%EL鈖3c鈗`I;>yn鈘Rm!a鈙NNJ&鈚*W+3鈛Y!KW鈜`N鈝v`鈞WK[u鈟9;鈠x8鈡ki鈢qL鈣P/鈤vz鈥5:鈦;q鈧PG鈨z*鈩G<鈪!S!RRbR^R_鈫/<鈬:>鈭j9nc鈮ATAVF$F&鈯8J鈰s7鈱/<鈲L3YW鈳P'!#fE鈴FrFpFo{蓋FoK_鈴FoFo{霖霖FrFoETES}}鈵'Y鈶j>nfng鈷L4L3YXYW鈸&V(z-G鈹+6+3鈺yJ鈻j>鈼kJ鈽(!鈾vZvX鈿=r9J鉀IY鉁i?鉂s4鉃s8鉄>)鉅M2{著M2lY額M2R^}鉆nul]l_鉇s3rZ鉈;is3>6>4rZ鉉z+鉊jEno鉋**鉌ax鉍&e'c鉎r?rw鉏oBprlFlJ鉐s2l!鉑(J&&{金&&J!}鉒lY鉓o9鉔hq鉕,@鉖?0鉗O`O^鉘3z鉙hR鉚.U鉛z*{筆刨z*&Q*(}鉜3Z鉝E2鉞z2鉟+3鉠yW鉡(h鉢(w(z(u{仔糕(zi.Kc酒(ui4}鉣KG鉤RoIu!c鉥uP鉦jWjY鉧0y鉨@yEI鉩qL鉪8&鉫I3鉬1z鉭<(7Y鉮r<鉯wa鉰s3鉱PG鉲M]鉳&W鉴IG鉵?0鉶x$鉷gB鉸I@IA{位IA`4剪IAjR}鉹ndw`鉺wa鉻G_L/Gb鉼'\",*鉽sc鉾/0.T鉿d!IYe!e&銀S$!pS\"S(!rS*{主盤S$lX-4仔S\"i.仙S\"sK兩S$HL彈S$7X樣{蠟槍頭S$yXE2p]<T鑞槍頭S$yXE2p]<T}行S$ff{假S$ffI5}銀聲S*S(ru}銁WK銂i3銃p;p9銄gd銅?0?.{盤?0-4管樂?0LLU,錢?0o$}銆/V銇G8Hb銈W9Io銉z2銊uK銋vav`銌lb銍iViQ銎Q$銏q_銐mY銑sL銒x$K9銓q0銔+3銕>)銖lWuT銗fhdfdh銘0T0U0R{文0U/<記0UJM{在心0UJMjzr3於心0UJMz!r3}}銙['銚9>wlsD=f銛nu銜d6dl{橛d6Qw}銝vW銞WK銟lu銠G=銡J9銢,9銣z$z&銤/+銥w]w^銦vc銧Y?Ku銨#]#^TjTi銩99銪v[銫sc銬MkNG銭o$銮Hx銯0hs3銰R8!,銱9;銲fbfa銳yn銴r,yni2銵du銶NH銷s?{假s?I5量s?HP}銸j_銹r/銺k8銻<K銼oAo@銽nu銾gAgD銿ki鋀<Q8,鋁Ha鋂1N鋃GN鋄32鋅r9sQ{盆sQ-4盤sQ-4}鋆`HWK鋇(S鋈yE鋉tupK鋊yJLc鋋sNwx鋌=y=v9P9M鋍(z鋎_mbm鋏IY鋐`N鋑q-lM鋒63鋓nu鋔_m鋕j;鋖s3鋗h3鋘_T%H%B鋙z%%H%B鋚=f鋛PG鋜kJl&l!鋝I#I&鋞x$dz鋟numdjK鋠r>鋡dl鋢I#鋣w*n0鋤oB{大弟oB7J9.頭oB<R}鋥m;mq鋦LcM/Lh鋧wzf(鋨TT#H鋩10鋪,K,L,M{墊,KjS}鋫F$鋬*5鋭yn鋮sT鋯Ke鋰F%鋱>-鋲'W鋳lY鋴e-鋵??鋶EO鋷w*lG鋸LkLcM/Li{到一頸血Li9qvuJdh;扒Lk)v牙LkR.}鋹o^p^m<{雞m<Io鷄m<Io鸡m<Io}鋺z(z'鋻K;K9鋼KwKu鋽=e鋾>B鋿u0錀Hf3c錁Y\"5;KX錂Fr錃&c錄H>H:{影帶H>x\"7F音帶H>v]7F}錅F$錆p]錇-$錈MFMJ錉/<錊lG錋*<錌Tn#b錍*W錎d8錏!!!#R-錐lEyi錑Hb錒!##E!!R-TQR/錓\\!d?錔<57h錕[uWK錖:o錗D8Hb錘pruBpp錙j9錚iEm9hi錛&?錜BPFz錝kkp<錞;>uH錟<$nu<(錠9M9L9P錡Nx錢o\"o$jR{七o$n!債o$hS包o$%W幣o$&2甖o$!?罌o$!?莊o$k3財o$oH銀o\"S\"}錣lelG錤JK錥yJ錦J\"{衣夜行J\"w]w,dx}錧LLYp錨@H.TDr錩p]錪=p9F錫s/s2se{紙s2j:}錬Fn錭99錮L5YY錯oAoqoME2{處oAq)}錰uP錱i?録H>錳.g錴H>錵_T2o錶'E'F{位'E`4帶'E7F肉'EyF面'E0L}錷!MRY錸G6錹dv錺5W錻0y錼BhG8錽32錾hb錿5p鍀8K鍁f!f'鍂J!鍃3uQ/^S鍄HP鍅3A鍆1`鍇MdI9鍈yW鍉9b9]s6鍊FjFn{金術FnJ!uP}鍋au鍌sL鍍9t鍎8J鍏`6`7鍐ki鍑6E5q鍒vZ鍓o/鍔U,#z鍕WK鍖i9md鍗<N鍘hthw鍙gQ鍚yZ鍛;S;V{鍊;SFn}鍜d$鍝z$鍞du鍟rwru鍠b<m<鍡bX鍢6E鍣jEno鍤mA鍥Ow鍦rZs3鍧WQ鍨[f鍩C8Gb鍪/0鍫no鍬nom]{甲蟲m]IYp<}鍭df鍮<Q鍯p9鍰_lbl鍱x,鍲/<鍳IG鍴;Q鍵K>{盤K>-4{戰士K>-4jSs8}}鍶s3鍷5u[c鍸bT鍹uW鍺i^鍻KM鍼i9O`{卡i9N-孔相機i9g@u.JK筒i9?.}鍽'Q鍾ki鍿j9鎀r-鎁w*鎂/a鎃*#鎄#KTW鎅I;{女I;D4波袋I;'o9j}鎆jR鎇/`鎈sjlu鎉<5鎊(8(4鎋e,鎌Ff鎍tA鎎e;鎏EN鎐wl鎑x,<5鎒A&EP鎓y3鎔y6鎕>T鎖sj{上sju1}鎗p]m9鎘IeG,鎙tA鎚prpp鎛(G鎜-6鎝qk7e<5鎞&-+3&h*W鎟t.鎠Kw鎡j9鎢bQ鎣x$鎤5X鎥=f鎦ENEP鎧fLP/鎨uF鎩qq鎪r-r.tu鎫32鎬KdfV鎭iAiD鎮iAiD鎯GN鎰vz鎱z*鎲>R鎳BKBPFuFz鎴sc鎵I3鎶KW鎷.I鎸l]lM鎹te鎺k\"鎻sj鎼De鎽63鎾`E鎿@<Df鏀G=鏁sj鏂!cRo鏃l&l!鏄@$鏅r-鏆LMYq鏇uZu\\鏈FjFlFn鏉r/鏊TbT`#T#V鏋1a鏌1D鏍G0H]{屎H]s4銯頭G0s3<R}鏎&Q鏏`8uD鏐EN鏑9]9b鏒qXr5鏓p9鏔w`鏕H>#Q鏖T`#QT]#T鏗du鏘p]鏙po鏚o9鏛u0鏜>Q>T鏝.b.`鏞y6鏟m4{平m4,*青m4nK}鏠63鏡JeJd{架JeI4片Je,\"面Je0L}鏢'E{局'ELd}鏣uS鏤EPEO鏥r/鏦p9鏧H*鏨hb鏩jP鏪oN鏫F$鏬De鏭sc鏮fcPG鏯t.鏰&E鏱J\"鏲nu鏳m<鏴G>鏵_T_Q鏶o/ht鏷,q)&鏸`8ynuD鏹QI鏺-G鏻Hf鏼qwtu鏽r/鏾sM鏿p]m9鐀W>鐁s3鐂ENEP鐃@H@JDr鐄_rb<鐅,5鐆uD鐇30鐈OZ鐉q-q0鐊yZ鐋>Q>R>S鐌l8鐍Qw鐎jEnr鐏lKl_鐐F`鐑Ow鐒G<鐓;>;?;9鐔<$mfv`鐕h]鐖JK鐗IL鐘ki鐙8;89鐚!!R-鐛x\"鐜;>鐝Qw鐞A&EP鐟h]鐠,L鐡>)鐢30鐣l4鐤9L鐥sMsP鐦fK鐧ILIM鐨3S鐩uD鐪G=鐫l]u\\lKlM鐬`5鐭#SyET_鐮Ff鐯lAlD鐰nooMoN鐱K5nuK8鐲l&l!鐳H`H]{屎H]s4}鐴'i鐵>){椎>)pr沙梨>)qEF\"竇>)8)線>)sL}鐶_l鐷x,鐸:>C8鐹Y\"Y!Y#KX鐺:'m9o'>Q鐻M2M/M0QZ鐼3f&?3e鐽7n鐾&/鐿w_鑀#MTY鑁ki鑂3e鑃9>鑄lY鑅_r鑆lJ鑇i-鑈BP@yFz鑉e&<5鑊bPbL鑋f-鑌&?鑍x!鑎W>鑏BHFr鑐u?vZ鑑IG鑒IG鑓f(鑔lvlx{鑔lxlv}鑕iQ鑖0b鑗F$鑘H`鑙N?鑚l_l]鑛PGYA]k鑜u.鑝-<鑞E2鑟:t鑠u;鑡pK鑢Hb鑣'E鑤**鑥G=鑦wx鑧wz鑨H*鑩U,#z鑪G<鑫v]鑬IG鑭E$鑮(G(J鑯jKnu鑰yh鑱m0鑲u-鑳K>鑴[f鑵LMYq鑶o`鑷BPFz鑸Ha鑹q-鑺QZ鑻*5鑼G0G.鑽l_l]l^鑾Hx鑿kJkF钀x2Rm钁5kYSQw钂>R钃tzl!钄E$钆I3I_NH钇z2z/针i9O`{卡i9N-孔相机i9g@u.JK筒i9?.}钉9K8o{叠钉8o7h8o头8o<R}钊nojE钋,q-M钌FaFbF`钍>@钎o!钏q/q-钐qWqYsM钑htN]qk钒30钓9;{友9;vX大鱼9;7Jz\"鱼9;z\"{机9;z\"JK}}钔1`钕D7HaH`D6钖yZ钗m!lu钘x$K9钙P/钚&Q钛;q钜M2钝;D钞m'm)钟ki钠@bE2@e钡(S钢KwKu钣%d钤O`钥yhz2钦v]钧WK[u钨bQ钩Ro!cIu钪PG钫5W3A钬5:钭8(钮A\"ELA%钯%L)x%K{金%KJ!}钰yJ钱o$o\"jR{七o$n!债o$hS包o$%W币o$&2庄o$k3甖o$!?罂o$!?财o$oH银o\"S\"}钲jWjY钳O`O^钴L4YXL3YW钵(w(u(z{仔糕(zi.Kc酒(ui4}钶P'!#fE钷,@钸(!钹&V(z-G钺z2钻l_l^nul]钼1z钽<(7Y钾IY钿=r9J铀vZvX铁>){椎>)pr沙梨>)qEF\"窦>)8)线>)sL}铂(J&&{金&&J!}铃FrFpFo{盖FoK_铃FoFo{霖霖FrFoETES}}铄u;铅z*{笔刨z*&Q*(}铆.U铇**铈s7铉z+铊;i>4s3rZ>6铋&e'c铌ATF$F&AV铍+6+3铎:>C8铏x$铐MkNG铑G=铒wa铓10铔!!R-!#铕v[铖sT铗IY铘w*n0铙@HDr@J铚iViQ铛:'m9o'>Q铜?0?.{盘?0-4管乐?0LLU,钱?0o$}铝Ha铞9;铟vc铠fLP/铡hthw铢lWuT铣sL铤9M=y9P=v铥99铦nu铧_T_Q铨q0铩qq铪d!e!IYe&铫9>wl=fsD铬G_L/Gb铭0T0R0U{文0U/<记0UJM{于心0UJMz!r3在心0UJMjzr3}}铮iEhim9铯sc铰I@IA{位IA`4剪IAjR}铱w]w^铲m4{平m4,*青m4nK}铳p;p9铴>Q>R>S铵#]Tj#^Ti银S$!pS\"!rS(S*{两S$HL主盘S$lX-4仔S\"i.仙S\"sK弹S$7X样{蜡枪头S$yXE2p]<T镴枪头S$yXE2p]<T}行S$ff{假S$ffI5}银声S*S(ru}铷z$z&铸lY铹G<铺,K,L,M{垫,KjS}铻z%%B%H铼G6铽>-链FnFjFl铿du销s?{假s?I5量s?HP}锁sj{上sju1}锂F%锃m;mq锄oB{大弟oB7J9.头oB<R}锅au锆Ke锇TT#H锈r/锉oAo@锊I#I&锋63锌r9sQ{盆sQ-4盘sQ-4}锍EO锎fK锏ILIM锐yn锑<K锒GN锓numdjK锔LcLhM/锕!#!!R-TQ#ER/锖p]锗i^锘C8Gb错oAoqoME2{处oAq)}锚@HDr.T锛&?锜Nx锝8K锞Y\"KX5;锟[uWK锠p]锡s/ses2{纸s2j:}锢L5YY锣G0G.锤prppuB锥lEyi锦J\"{衣夜行J\"w]w,dx}锧iQ锨f!f'锩MFMJ锪3uQ/^S锫-$&W锬<$nu<(锭9M9P9L键K>{盘K>-4{战士K>-4jSs8}}锯M/LcLkLi{到一颈血Li9qvuJdh;扒Lk)v牙LkR.}锰.g锱j9锲Ow锳yW锴MdI9锵p]锶s3锷U,#z锸mA锹nom]{甲虫m]IYp<}锺ki锻;S;V{炼;SFn}锼r-r.tu锽b<m<锾_lbl锿#KTW镀9t镁/a镂EPEO镃j9镄3S镅/`镆1D镇iAiD镈(G镉IeG,镊BPFz镋>R镌l]lMu\\lK镍BKFuFzBP镎@<DfBhG8镏ENEP镐KdfV镑(8(4镒vz镓I3镔&?镕y6镖'E{局'ELd}镗>Q>T镘.b.`镙G0H]{屎H]s4銯头G0s3<R}镚&E镛y6镜JeJd{架JeI4片Je,\"面Je0L}镝9]9b镞l&l!镟uZu\\镠EN镡<$mfv`镢Qw5kYS镣F`镤,q)&镥G=镦;>;9;?镧E$镨,L镩q-镪QI镫8;89镬bPbL镭H`H]{屎H]s4}镮_l镯l&l!镰Ff镱w_镲lvlx{镲lxlv}镳'E镴E2镵m0镶u-長p`l4l8p^p]{俸p`64假p`I5出l4q!史l4s4命斜p`0Vn/大l47J{成人l47JsTvf}女l4D4子l4j:{嫡孫l4j:9]uW}孫l4uW官l4LK崎p`Nx平公主p`,*LQlX幼l4vY成l4sT散p`q^毛p`0u沙灣p`qE_l生{不老p`r?&QG=店p`r?9A板p`r?%d果p`r?Y\"津l4qclK}癩癩p`DlDl笛p`9(老l4G=者l4i^處p`q)賴賴p`DlDl輩l4(S{圖l4(S>B}途電話p`>B9J_R進l4lM頸鹿p`JdH:}镸p`镹Iv镺#RT^镻9\\镼Wb`W镽FaF`镾ATF$长p`p^l4p]l8{俸p`64假p`I5出l4q!史l4s4命斜p`0Vn/处p`q)大l47J{成人l47JsTvf}女l4D4子l4j:{嫡孙l4j:9]uW}孙l4uW官l4LK崎p`Nx平公主p`,*LQlX幼l4vY成l4sT散p`q^毛p`0u沙湾p`qE_l生{不老p`r?&QG=店p`r?9A板p`r?%d果p`r?Y\"津l4qclK}癞癞p`DlDl笛p`9(老l4G=者l4i^赖赖p`DlDl辈l4(S{图l4(S>B}进l4lM途电话p`>B9J_R颈鹿p`JdH:}門1`1^{券1`MG將1`l5生1`r?鉸1`IA面1`0L額1`R^}閁.q閂q]{引號q]vgfR括號q]Q/fR}閃sF{令令sFFqFq光彈sFY?7X卡sFN-炩炩sFFqFq閃令sFsFFq}閄at閅1`閆wr閇&/閈fb閉&/{上&/u1門造車&/1`k&M-}閊q]開fK{位fK`4到聲fK9qru則fKji口{中fKddkk及{着脷fKddJ8lDF&著脷fKddJ8lDF&}夾{着脷fKddJ8lDF&著脷fKddJ8lDF&}𤜯{着脷fKddJ8lDF&著脷fKddJ8lDF&}}咪fK/'善堂fKsP>R士機fKs4JK夜fKw(大片fK7J,\"天索價fK=oqwI5平fK,*{粽fK,*kj糉fK,*kj糭fK,*kj}引號fKvgfR房fK5X括號fKQ/fR明車馬fK0TM-.I會fKbX正fKj#片fK,\"玩笑fK_lsA盤fK-4籠雀fKH*l@罐頭fKLM<R聲fKru襠褲fKGP5q邊fK'V}閌PG閍*9閎`N閏yt閐qYr5閑d<d:閒d<IKIMd:{偈d<Ip家d:I3日d<vv計d<Ip話d<_R過立秋d<Y#Ehm]閒{哋d<d:8X地d<d:8X}}間IKIMd<{中IMki唔{中IM%Bki時IM%Bs4}封IM63尺IMn^房IM5X接IMj_{選舉IMj_uXM.}斷IM;V格IMIe條IM=d歇IMf;花腩IM2o@O諜IM9V距IMQ[選IMuX開IMfK隔IMIe{號IMIefV}隙IM]E}閔/=閕R2d!!&閖u@閗8)閘ht閙@JDt閚h]閛,'閜d!fF閝Fr閞'V32閟&e閠yt閡e,K]T\\#P関Vo閣L/L.{樓L/EL}閤J5L/e&閥3z閦pK閧gAgD閨W9{女W9D4}閩/=/<{南話/=@N_R}閪d]{冧d]ES}閫[v閬GPGOGN閭H`Ha閮=x=y閯qG閰Lc閱z2閲z2閳jR閴Xu閵Hh閶p]閷qqqM閸[v閹wo閺/<閻wr閼!Mwu!KRWRY閽3c閾at]E閿/<闀gAgD闁(!闂gA闃Xu]E闄wj闅/<闆%d闇!k!i!jRvRuRw闈`6闉vc闊6A{咧啡6AEx4*太6A;p條麪6A=d0P}闋Qw闌E$闍9oi]rZ闎q0闏63闐=r闑x2FzBP闒<57h闓fLfK闔e&{府統請e&5p?.o(}闕QwWb闖o^meo_闗Vo闘8)闙N@闚[c闛>Qp]>T關Vo{上Vou1公災難VoLQju@V刀領Vo9oF=節位Voje`4}闝+r闞dkd4d5dn闟N]e!vo<5闠PdW>b\\^.闡jRo\"sP闢,9&h闣:)>Q闤_l闥<;>#闦S$!r闧z+门1`1^{券1`MG将1`l5生1`r?铰1`IA面1`0L额1`R^}闩q]{引号q]vgfR括号q]Q/fR}闪sF{令令sFFqFq光弹sFY?7X卡sFN-炩炩sFFqFq闪令sFsFFq}闫wr闬fb闭&/{上&/u1门造车&/1`k&M-}问/>{米婆/>/+,@}闯o^meo_闰yt闱`6闲d<d:IKIM{偈d<Ip家d:I3日d<vv计d<Ip话d<_R过立秋d<Y#Ehm]闲{哋d<d:8X地d<d:8X}}闳`N间IKIMd<{中IMki唔{中IM%Bki时IM%Bs4}封IM63尺IMn^开IMfK房IM5X接IMj_{选举IMj_uXM.}断IM;V条IM=d格IMIe歇IMf;花腩IM2o@O谍IM9V距IMQ[选IMuX隔IMIe{号IMIefV}隙IM]E}闵/=闶PG闷1b闸ht闹@JDt闺W9{女W9D4}闻/</:/>{到/<9p{棺材香/<9pLKoHgc}名/<0T{不如见面/<0T&Qz$K;0P遐迩/<0Td$wa}相/<u.风丧胆/<63t/7R}闼<;>#闽/=/<{南话/=@N_R}闾H`Ha闿fLfK阀3z阁L/L.{楼L/EL}阂e,K]T\\#P阃[v阄IuNE阅z2阆GPGOGN阇9oi]rZ阈at]E阉wo阊p]阋x3f?阌/<阍3c阎wr阏!M!KwuRWRY阐jRo\"sP阑E$阒Xu]E阓Pd^.W>b\\阔6A{咧啡6AEx4*太6A;p条面6A=d0P}阕Qw阖e&{府统请e&5p?.o(}阗=r阘<57h阙QwWb阚dkd4d5dn阛_l阜3\\阝3\\阞Et队;>;:lJ{冧;:ES啤;:&]草;:oL酒;:i4长;>l4}阠uGmjr9阡o!阢S8\",阣K_S8阤j>wa>6阥v]阦yZ阧8(阨\"-!)!QR]S9!_R5Rk阩sQ阪%d3.%h阫+3-$阬d?KoKuPG阭`Iwy阮z(z+阯j:阰+6阱j&j\"j\\防5Z{不{勝防5Z&QsQ5Z胜防5Z&QsQ5Z}弹5Z7X彈5Z7X暴{队5Z(&;:隊5Z(&;:}毒{軟件5Z:tz+K:软件5Z:tz+K:}長5Zl4长5Zl4}阳yZyX阴v]!iRuv_{声细气v]rur)e;宅v]i\"魂不散v]`H&Qq^}阵iDi@阶I9阷o'阸\"-!)!Q!_R]S9R5Rk阹QW阺8\"阻jp{住{个地球转jpl\\KY8\\NHl_個地球轉jpl\\KY8\\NHl_地球{轉jpl\\8\\NHl_转jpl\\8\\NHl_}}定jp8t差{办公jpm!%hLQ辦公jpm!%hLQ}碇jp8t}阼k&阽9Awr阾Fs阿!##E!\"!SR.TQR/!&{严!#wp二!#w^何!#fF兹特克!#j98PdQ冯!#64刘!#EL剌伯!#Di&#劉!#EL加力{胶!#I3G'I?膠!#I3G'I?}华田#E_T=r吱阿咗!#j9!#jo哩吉{諦#EFQJ98#谛#EFQJ98#}唐!#>R嘥文!&qK/<嚴!#wp塞拜疆!#oG%SLu大!#7F太!#;p头!#<R女!#D4妈系女人!#.EdbD7vd妹!#1L姐!#i]媽係女人!#.EdbD7vd弥{揭谛#EAQJ98&陀佛#E/`>63z}彌{揭諦#EAQJ98&陀佛#E/`>63z}彭!#*:徐!#pp支阿左!#j9!#jo林!#ER梁!#HL爸!#%N王!#b:秦!#pv芝阿佐!#j9!#jo茲特克!#j98PdQ華田#E_T=r諛奉承#Ez$68sT譚!#<\"谀奉承#Ez$68sT谭!#<\"赵!#jF超着{裤!#nolA5q褲!#nolA5q}趙!#jF郑!#j\"鄭!#j\"陈!#mj陳!#mj頭!#<R馮!#64駝{行路!#>4dBG>賣蝦米!#>4.Pd!/+}驼{卖虾米!#>4.Pd!/+行路!#>4dBG>}黃!#b:黄!#b:}陀>6>4:x{地>68X{費>68X3S费>68X3S}手掕{脚>6r.E_M)腳>6r.E_M)}螺>6G.陀{拧>6>4BJ擰>6>4BJ}}陁>6wa陂&c'o,?&e+6陃'X附5t{上5tu1件5tK:和5taz荐袋5tjS9j薦袋5tjS9j}际i/陆H>{云廷睇相H>`H=x<Lu/运会H>`JbX}陇H+陈mlmjiD{皮梅ml+61L肾mlr=腔滥调mlfcDy9>}陉x$KA陊9h>7陋EP{包EP&8}陌/V.z{生/Vr?{人/Vr?vf}}降Kwff{服ff6J生Kwr?雨量Kwz%HP}陎uT陏9h限d>{量d>HP額d>R^额d>R^}陑w`陒W:陓z!bQ陔K]陕sF陖lM陗nq陘x$KA陙uH陚5q陛&2陜dJKJdG陝sF陞sQ陟ji{罚臧否ji3zk3+4罰臧否ji3zk3+4}陠,K陡8(院z(z,{長z(l4长z(l4}陣iDi@除prq'q*l\\{名pr0T笨有精pr&Dv[j!邪{队prn0;:隊prn0;:}}陥d8陦9p陧BPFzG&BVx2陨`Iz*险f\"{死还生f\"r^_lr?象环生f\"l8_lr?}陪-${坐-$oC嫁妹-$I51K月-$z.{员-$z.z*員-$z.z*}}陫4.陬i3陭Nuw^陮;>陯HfHh陰v]!iv_Ru{宅v]i\"聲細氣v]rur)e;魂不散v]`H&Qq^}陱Lc陲uB陳mliDmj{皮梅ml+61L腎mlr=腔濫調mlfcDy9>}陴+6陵Fr陶>Bwl陷d8dn{于dnz!入dnvt害dnfP於dnz!落dnGb阱dnj\\}陸H>{運會H>`JbX雲廷睇相H>`H=x<Lu/}陹sQ険f\"陻vc陼lX陽yZyX陾x$陿dJe&dGKJ隀p<隁wv隂v]!iRuv_隃z$隄<N隅z$z&隆H*@N{重H*kn{其事H*knNxs8}}隇`3隈bW隉BPx2FzG&BV隊;>;:lJ{冧;:ES啤;:&]草;:oL酒;:i4長;>l4}隋pr9h隌!jRv隍b<階I9随pr{便pr'R口噏prdd\"!{当秘笈prddS-:)&eN]}处prq)机应变prJKx#'S行prdx量prHL}隐vdve{姓埋名vdsS.N0T形眼镜vdx$RIJd}隑NxK]隒wswp隓3Q>7隔IeKQ{油{汤壶IevZ>QbR湯壺IevZ>QbR}篱邻舍IeF$Hfr[籬鄰舍IeF$Hfr[行如隔山Ieffz$Ieq]}隕`Iz*隖bRT_#S隗Rm[f`7Rl!+!aR7隘!)\"-!_R5Rk隙]EXu隚>T際i/障l5隝9p隞T`#T隟Xu]E隠vd隡qq隢wm隣Hf隤?f隥8;隦+6隧uDlJ隨pr{便pr'R口噏prdd\"!{當{祕笈prddS-:)&eN]秘笈prddS-:)&eN]}}機應變prJKx#'S處prq)行prdx量prHL}隩yE#ST_險f\"{死還生f\"r^_lr?象環生f\"l8_lr?}隫3f隬AUF%隭w`隮i-隯9p隰ht隱vdve{姓埋名vdsS.N0T形眼鏡vdx$RIJd}隲iQ隳3Q5u隴H+隵e9隶8&9nEJ隷8&隸8&9nEJ隹lE隺fz隻j5{揪j5m]{隻j5m]j5}揼j58?碟仔j59Vi.鴨j5!F{仔j5!Gi.子j5!Gj:}}隼lLuF隽lMu[q1{永u[aa}难@TE$G0B`E&@V{为@T`4{情@T`6o*无米@T`80x/+}以名状@Twa0Tk8民@V/<{营@V/<x$}}隿x8雀lAl@{屏中{选lA,*kkuX選lA,*kkuX}笼l@H*籠l@H*跃lAyh躍lAyh}雁RJ!:RF!>雂NN雃f'雄gB{浑gB`J渾gB`J赳赳gB8(8(}雅R1R-!!!%{兴R1f/興R1f/}集htiPhp{会htbX思{会hts3bX會hts3bX}會htbX}雇L5YY雈bl雉j>nc雊Iw雋lMq1u[{永u[aa}雌nc雍y3y5雎lE雏o?oB雐5o雑ht雒G_Gb雓z$雔m`r0雕99=c{刻99dQ}雖u?{死猶生u?r^vZr?}雗fb雘bM雙u-tc{下巴u-d&)x企人u-Nyvd引號u-vgfR截棍u-jeWM房u-5X春兼閏月u-puK3ytz.毫u-fR眼簷u-RIv`重u-p<{國籍u-p<YSjn標準u-p<'ElL認證u-p<x&jY}}雚LM6.blYq雛o?oB雜hthp{以流徵htwaENj:崩{冷ht&EE]能ht&EE]}差htm!{房htm!5Z}扒ht)v物房ht/P5X碎htu@罨嘢htS-w+聲htru貨舖ht5;,L}雝y3雞Io{仔聲Ioi.ru冠IoLK咁腳IoJ\"M)啄唔斷Io;'%B@%地Io8X塒Ioj>士Ios4心{李Ior3F\"梨Ior3F\"}扒Io)v排Io)v毛掃Io0xsv泡魚Io,Oz\"甩IoA-竇Io8)糊IobR肋IoE>胗Ioi?腎Ior:{衣Ior:w]}腸Iop^蛋{仔Io7\\i.果Io7\\Y\"餅Io7\\'\"}靚IoF9項Iofd髀位Io&d`4𣚺Iofd}雟[cu@r'uC雠m`r0雡EP離F$F&Ex{氣Exe5行離迾F$ffF$E8間F$IM隊F$;:}難@T@VB`E$G0E&{以名狀@Twa0Tk8民@V/<{營@V/<x$}為@T`4{情@T`6o*無米@T`80x/+}爲@T`4{情@T`6o*無米@T`80x/+}}雤fz雥ht雦ht雧htiP雨z%z&{毛z%0u溦z%/]{溦z%/]/]}}雩z$z&雪u_u^u]u`{条u_=d條u_=d糕筒u_Kc?.茄u_I3{屁股u_I3+5L4}雪{声u`u^ru聲u`u^ru}}雫BaG1De{酒Dei4}雬3X雭qk雮1z雯/</:雰3c雱,],`雲`H`F`I`J{呢{嗱`JAQDd拿`JAQDd}尼{嗱`JAQDd拿`JAQDd}淡風輕`H7V63f-}雳G'G,雴mu雵yW零FrFlFpFoF<{件FrK:头Fr<R錢Fro$钱Fro$頭Fr<R}雷H`{厉风行H`EJ63dx厲風行H`EJ63dx声大雨点小H`ru7Jz%9@s@聲大雨點小H`ru7Jz%9@s@}雸Rx!l雹(J(G雺1f0z1h電9J{動牙刷9J:bR0mF器舖9Je;,L子{磅9Jj:(4郵件9Jj:vZK:}扒9J)v水壺9Ju@bR熱水壺9Jx2u@bR競9JKA筒9J?.荷9JfJ蚊拍9J/9*L話9J_R{亭9J_R=x卡9J_RN-咭9J_RN-座9J_Vjp筒9J_R?.簿9J_R(\"線9J_RsM號碼9J_RfV.I}鬚刨9Jsu*(}雼:,雽bV5o雾0z雿9>i&需u?霁i/mZ霂1z霃mf1z霄s?霅j_qksYht霆=x震iA{惊iAK?驚iAK?}霈-#霉1N/`0u{菌1N[v髧{堕1N8/:w墮1N8/:w}}霊Fr霋mW霌i3霍5k霎qkqn{吓霎吓qnd%qnd%}霏4-霐`N霑jK霒v]霓Rl!`霔lY霕@$霖ETES霗Fr霘:b霙x!霚0z霛FrF<霜u-霝Fr霞d$霟gB霠v]霡/V.z霢/V.z霣`I霤EP霥1h霦&?霧0z霨`5霩YS^#L/霪v`霫htiP霬x8霭#LTX霮7V霯<e8>霰sMq^{弹q^7X{枪q^7Xp]}彈q^7X{槍q^7Xp]}}霱`\\露G>EP{出狐狸尾巴G>q!bTF\"/a%K}霳H*霴9n霵iK霶,`,]霷yZ霸%M*M{位%M`4挜%MR2掗%MR2王硬上弓%Mb<RPu1LQ}霹,9{啪筒,9*K?.}霺/`霻63霼e;霽i/mZ霾.NF$/*霿1f1h靀1f靁H`靂G'G,靃5ku@uC靄#LTX靅3S靆9n靇H*Fr靈FrF<FpFo{位Fr`4擎F<O6柩FrIw醒FrsR魂人物Fr`Hvf/L}靉#L#MTX靊63靋G,靌(\"靍5k靎NN靏fz靐&J靑o'nK青o'nK{丝nKs3光眼nKY?RI口nKdd咇咇nK'9'9哔哔nK'9'9嗶嗶nK'9'9头仔nK<Ti.少年o'sABB山走犯o'q]i43.提nK<N斑nK%c春痘o'pu8(柠nKBF椒nKjE檸nKBF玉案o'yJbj瓜nKVW睐o'G6睞o'G6砖沙梨o'l]qEF\"磚沙梨o'l]qEF\"筋nKJ'絲nKs3綠色nKH>sc绿色nKH>sc色nKsc苔nK><茶nKlx菜nKoG萝卜nKG0&&藏高原o'k8Kcz*蘿蔔nKG0&&蟹nKd+豆nK8({角nK8,L/}靓白净nKF;&&j&靚白淨nKF;&&j&頭仔nK<Ti.麻nK.H}靓F;F9j\\Fq{到抌一声F;9q8.vuru女F;D4立立FqE/E/}靔=o靕i?靖j\\靗mo靘o)o'静j\\jX{悄悄j\\nqnq物画j\\/P_R蝇蝇j\\x!x!静j\\jX{鸡j\\jXIo}}靚F;j\\F9Fq{到抌一聲F;9q8.vuru女F;D4立立FqE/E/}靛9J靜j\\jX{悄悄j\\nqnq物畫j\\/P_R蠅蠅j\\x!x!靜j\\jX{雞j\\jXIo}}靝=o非4-4.{分之想4-3hj9u.士4-s4洲和尚4-i3axu.礼勿听4-EI/P=w禮勿聽4-EI/P=w請勿進4-o(/PlM请勿进4-o(/PlM驢非馬4-H`4-.I驴非马4-H`4-.I黑即白4-dQji&&}靟4-靠Mk靡/a/`0i面0P0L{头0L<T懵心精0P1dr3j!条0P=d珠墩0PlW83盆0P-4相0Pu/糊0PbR膜0P1@衫0LqW裤0L5q褲0L5q試0Ps7{官0Ps7LK}试0Ps7{官0Ps7LK}豉0Ps4青0PnK{口{唇白0PnKdduH&&脣白0PnKdduH&&}青0PnKnK}頭0L<T額0PR^额0PR^}靣0P靤*)靥x)wpx,靦=p9F0O{腆0O=p}靧5w靨x)wpx,革IeKQIY{命Ie0V}靪9K靫m!lu靬K9靭vh!tS&靮9]靯9t靰bQ靱vhS&!t靲NN靳J)靴gW靵A\"EL靶%L%M靷vg靸qkmu<;靹BhG8靺1t.t靻k\"靼7k靽(e(h靾vVs_靿!/!.R;鞀>B鞁&h+7鞂I9鞃`N鞄,q%\\**鞅yWyXyY鞆'X鞇vc鞈IY鞉>B鞊Ow鞋d*d({垫d*jS墊d*jS带d*7F帶d*7F油d*vX筒d*?.颯颯d*qnqn飒飒d*qnqn}鞌#]Ti鞍#]Ti鞎dr鞏LR鞐H,鞑<;7k鞒OZ鞓=u鞔1`1b鞕RP!D鞖u?鞗=f鞘nqqQr-鞙z+ME鞚gA鞛(j鞜7h鞝u1l4鞞'X&d+6鞟^#PY鞠Lc{躬{尽瘁LcLQlPuC盡瘁LcLQlPuC}}鞡DiDc鞢sYht鞣vZ鞤(3鞥!uS'鞦m]鞧m]鞨fq.qft鞩nq鞪/00z1z鞫Lc鞬K9鞭'Q{扑'Q,q}鞮8!鞯jQ鞰`G鞱>?鞲IuNE鞳<57h鞴&h(&鞵d*鞶-6鞷G,Ie鞸&Q&d鞹^#PY鞺>Q鞻EN鞼W>鞽OZ鞾gW鞿JK韀jQ韁Lu韂nw韃<;7k韄`,bV韅f(韆o!韇:t韈/P.t韉jQ韊E$韋`7`6韌vhS&!oS!!t{力S&G,帶vh7F性S&sS皮S!+6黐黐S&ncnc}韍3u韎1P1t韏h5MG韐IY韑`7韒nq韓f`{圜f`_l文f`/:}韔p_韕gd>B韖v[韗`J韘sY韙`7韚Ie韛&2%V韜>?韝IuNE韞`G`F韟Kc韠&Q韡`7韢pq韣:t韤/P.t韥:t韦`6`7韧vh!oS!!tS&{力S&G,带vh7F性S&sS皮S!+6黐黐S&ncnc}韨3u韩f`{圜f`_l文f`/:}韪`7韫`G`F韬>?韭Iv韮Iv韯nu韰d,韱nu韲i-音v]{乐v]U,{人v]U,vf会v]U,bX剧v]U,OJ感v]U,J\"盒v]U,e\"过场v]U,Y#p^}位v]`4名v]0T效卡v]d2N-樂v]U,{人v]U,vf劇v]U,OJ感v]U,J\"會v]U,bX盒v]U,e\"過場v]U,Y#p^}量v]HP}韴ht韵`J`I`F韶sB韷I#韸-<韹b<x!_r韺x!韻`I`F`J韼-<韽!iRu韾v]響gd{咹gd#]應gdx#處gduS}頀bV頁x,r.Ow{面x,0L}頂9L8p{喇9LE;嘞9LE;夾8pJj更9LIQ樓8pEL櫳9LH(當9L:)硬上9LRPu1窿9LH(籠9LH(}頃OjOiOm{刻Ome-}頄[fNH項fhfd順uJuF{位uJ`4便uJ'R個靚便uJKYF;'R口溜uJddEN應uJx#}頇f]f`Sl須u?頉w`頊yE頋L5YY頌kny6頍[d頎Nx頏ffPG預z&{料z&Fb測z&mK訂z&9P}頑_l頒%c*33f頓;D:t;@;?頔9bOj頕7Q頖-5頗,@,?{為,@`6爲,@`6}領FsF:F={口F=dd呔F=;o嘢F=w+帶Fs7F情F=o*會Fsb\\當F=:)袖生Fsi8r?酒席F=i4jn隊Fs;:}頙mM頚Jd頛Ha頜e&J5頝d-頞!MRY頟Rb!V頠Rm!a頡OwKM頢Q/^S頣mj頤w`{指氣使w`j:e;r(}頥w`頦fNK^fO頧;:;9;>頨z%,#頩,'頪G8頫5p=e頬IY頭<T<R{嗒嗒<T8?8?架<TI4殼頂<Tfw8p禡<TR0耷耷<T8?8?腫眼膇<TkjRI;;落<TG]長仔<Tl4i.頂<T8p{出{烟<T8pq!wu煙<T8pq!wu菸<T8pq!wu}}頭<T<R{是道<T<Ts89t碰{着黑<T<T-;lDdQ著黑<T<T-;lDdQ}}}頮5w頯[fNH頰IYdG頱I#頲=y=v頳o'頴ab頵`EWK頶gV頷dm頸Jd頹?f{喪?ft/}頺?f頻*l&?{倫*lEZ率*lHj能*lEZ蹸*lEZ輪*lEZ}頼Dn頽?f頾j9頿j9顀pr顁9M9L顂DnDl顃<$顄dm顅d9顆5:5;顇uDuC顈Xd顉dnv]顊w`顋so題<N<L額Rb!RR^!V{度R^9t滿R^1a菲爾士峰Rb4-was863}顎U,U(#v#z顏RH!<顐`J顑dj顒y6顓l]顔RH!<顕f(顖uGuF顗Rm!a願z,z({者上釣z,i^u19;}顙t.顚9E顛9E{倒{眾生9E9pkkr?衆生9E9pkkr?}}顜KvL/顝5u類HbH^顟DrF`顠+s顡b\\顢1`1]顣pKl!顤wlOZ顥fV顦nr顧L5YY{名思義L50Ts3wb}顨uG顩ws顪5w顫jSjK{寒顫凍jKf`jK:_}顬z$顭/D顮&?顯f({卡f(N-示卡f(s8N-著f(lY}顰*l顱G<顲EU顳BPx,Fz顴Qr页x,r.Ow{面x,0L}顶9L8p{喇9LE;嘞9LE;夹8pJj当9L:)更9LIQ栊9LH(楼8pEL硬上9LRPu1窿9LH(笼9LH(}顷OjOiOm{刻Ome-}顸f]f`Sl项fhfd顺uJuF{个靓便uJKYF;'R位uJ`4便uJ'R口溜uJddEN应uJx#}须u?su{刨su*(}顼yE顽_l顾L5YY{名思义L50Ts3wb}顿;D;@:t;?颀Nx颁%c*33f颂kny6颃ffPG预z&{料z&Fb测z&mK订z&9P}颅G<领FsF:F={会Fsb\\口F=dd呔F=;o嘢F=w+带Fs7F当F=:)情F=o*袖生Fsi8r?酒席F=i4jn队Fs;:}颇,@,?{为,@`6}颈Jd颉OwKM颊IYdG颋=y=v颌e&J5颍ab颎XdJ.颏fNfOK^颐w`{指气使w`j:e;r(}频*l&?{伦*lEZ率*lHj能*lEZ蹸*lEZ轮*lEZ}颒5w颓?f{丧?ft/}颔dm颕ab颖ab颗5:5;题<N<L颙y6颚U,U(#v#z颛l]颜RH!<额Rb!RR^!V{度R^9t满R^1a菲尔士峰Rb4-was863}颞BPFzx,颟1`1]颠9E{倒众生9E9pkkr?}颡t.颢fV颣Hb颤jSjK{寒颤冻jKf`jK:_}颥z$颦*l颧Qr風6365{塵女子63mlD4j:平浪靜63,*GPj\\景畫63K@_R栗63Hj油軚63vZ;s涼話63HN_R琴袋63NN9j生水起63r?u@e:癩63@S筒63?.行63dx調雨順63=fz%uJ赧63@S靡630i{一時630ivus6}}颩'E颪d&颫5r颬d!颭jL颮**'E颯qkqn颰&V颱><颲G&颳W)颴uZ颵qQ颶M2颷'E颸s3nc颹`7颺yZ颻wl颼r-tu颽fL颾r-su颿30飀EN飁ht飂ENF`H>EP飃+o飄+o{泊+o,q}飅EN飆'E飇'E飈'E飉F`飊'E飋rK飌6365飍d-风6365{凉话63HN_R尘女子63mlD4j:平浪静63,*GPj\\景画63K@_R栗63Hj油軚63vZ;s琴袋63NN9j生水起63r?u@e:癞63@S筒63?.行63dx调雨顺63=fz%uJ赧63@S靡630i{一时630ivus6}}飏yZ飐jL飑**'E飒qkqn飓M2飔s3nc飕r-tu飖wl飗EN飘+o{泊+o,q}飙'E飚'E飛4-{上4-u1來蜢4-G6.d咇4-'c天蠄蟧4-=oNNG:女4-D4彈4-7X機{位4-JK`4友4-JKvX塞4-JKiQ欖4-JKDv}濺4-jS碟4-9R簷走壁4-sHi4'5行4-dx{棋4-dxNv棺材4-dxLKoH模式4-dx0xsc艇4-dx=C}頭散髮4-<Tq^3A髮舖4-3A,L鴿傳書4-IYq0uQ}飜3-飝4-飞4-{上4-u1发舖4-3A,L咇4-'c天蠄蟧4-=oNNG:头散发4-<Tq^3A女4-D4弹4-7X机{位4-JK`4友4-JKvX塞4-JKiQ榄4-JKDv}来蜢4-G6.d溅4-jS碟4-9R簷走壁4-sHi4'5行4-dx{棋4-dxNv棺材4-dxLKoH模式4-dx0xsc艇4-dx=C}鸽传书4-IYq0uQ}食shwbj>sd{七咁食shn!J\"sh人{只车shvfj5M-隻車shvfj5M-}住上shl\\u1佗地sh>68X全{鴨shq0!F鸭shq0!F}几多着几多shJL9clAJL9c头糊sh<TbR女shD4尾糊sh/abR幾多着幾多shJL9clAJL9c拖鞋{飯sh>3d(32饭sh>3d(32}挞sh<9撻sh<9柠檬shBH1c檸檬shBH1c正shj#{条水shj#=fu@條水shj#=fu@}洋{肠shyZp^腸shyZp^}物{中毒sh/Pkk:t銀行sh/PS$ff银行sh/PS$ff}玻璃大sh'oF!7J用{魚shy8z\"鱼shy8z\"}相shu/碗{底反碗面shbj8\"3.bj0L面反碗底shbj0L3.bj8\"}糊shbR糖sh>R花生sh2or?詐糊shhMbR诈糊shhMbR豆腐sh8,5t过返寻味shY#3-mf/b過返尋味shY#3-mf/b量shHP陀地sh>68X雪{条shu_=d條shu_=d}頭糊sh<TbR香{肠shgcp^腸shgcp^}}飡m3uW飢JK飣9M飤j>sh飥>e飦jQj9飧uW飨gd飩<]<`@$飪vbvavg飫z#飬MG飭o9sc飮v^v_飯32313.(n{盒32e\"蕊32yi量32HP錢32o$}飰32飱uW飲v^v_{彈v^7X料v^Fb筒v^?.}飳<R飴w`j>飵kJkG飶'h&e'c飷i^飸>?飹%X飺nc飻>)飼j>飽%X%W{到上心口%X9qu1r3dd}飾sco9飿;E餀fMR8餁vbva餂=m=j=l餃I@餄IYe&餅'\"'X{卡'\"N-舖'\",L}餆wl餇?0餈nf餉gd養y[y\\{分y[3h女y[D4料y[Fb生y[r?聲y[ru}餋MG餌AVF&餍wqwo餎G_餏s3餐m3{会m3bX券m3MG士m3s4會m3bX牌m3*\"}餑(z餒D7BgHaG7餓TV#J餔(!(#,L餕lM餖8,餗pKtu餘z${生z$r?興z$f/額z$R^}餙sc餚R<!0餛`H餜Y\"KX餝sc餞jSjV{行jSdx}餟lGle餠'\"'X餡d4d8餢&8餣x)餤7V<$餥4-餦l3餧D7`5BgHaG7館LLYp餩\"-S9餪DOHy餫`J`H餬bT餭b<餮>)餯5w餰K9jQ餱df餲!)!MfqRYR5{堪堪RYdidi}餳o*>T餴&?3c餵`5{到埋口`59p.Ndd}餶W]餷lx餸te餹>T餺(G餻Kc餼e;餽W>W;餾EPEN餿r-tuqS{堪堪tudidi水qSu@}饀>B饁x)x,饂`E饃0l饄>T饅.b.`饆&Q饇z#饈r-饉J(J,饊q^饋W>W;[g{贈W;iJ}饌hhuXhehn{死你hnr^AU飽hn%X}饍sP饎ne饏7V饐w_x3饑JK饒wl饓m9饔y3饕>?饖`5饗gd饘jQ饙3c*k饚fM饛1f饜wqwo饝0l饞m0饟gd饠G0饡he饢C$GOC%GN饤9M饥JK饦>e饧o*>T饨<]<`@$饩e;饪vbvavg饫z#饬o9sc饭323.31(n{盒32e\"蕊32yi量32HP钱32o$}饮v^v_{弹v^7X料v^Fb筒v^?.}饯jSjV{行jSdx}饰sco9饱%X%W{到上心口%X9qu1r3dd}饲j>饳;E饴w`j>饵AVF&饶wl饷gd饸IYe&饹G_饺I@饻s3饼'\"'X{卡'\"N-舖'\",L}饽(z饾8,饿TV#J馀z$馁D7HaG7Bg馂lM馃Y\"KX馄`H馅d4d8馆LLYp馇lx馈W>W;[g{赠W;iJ}馉W]馊r-tuqS{堪堪tudidi水qSu@}馋m0馌x)x,馍0l馎(G馏EPEN馐r-馑J(J,馒.b.`馓q^馔hhuXhehn{死你hnr^AU饱hn%X}馕C$GOC%GN首r.r/{办r.%d名r.0T尾呼{应r./a5ox#應r./a5ox#}相r.u/辦r.%d長r.l4长r.l4}馗[f馘YSXuL/香gc{料粉gcFb3d梨gcF\"港{地gcKv8X{产gcKv8\\m4区gcKv8\\QW區gcKv8\\QW图gcKv8\\>B圖gcKv8\\>B址gcKv8\\j:少gcKv8\\s@方gcKv8\\5W產gcKv8\\m4道gcKv8\\9t鐵gcKv8\\>)铁gcKv8\\>)}話gcKv_R话gcKv_R}炉墩gcG<84烛舖gcl!,L燭舖gcl!,L爐墩gcG<84片gc,\"肠gcp^腸gcp^芒gc1-茜gcr'蕈gcuG}馚3f馛&V馜AUF%馝'h'c&V馞(z馟>B馠dl馡4-馢jQ馣!iRu馤#MTY馥6E6J馦f!馧`E`W馨f-馩3f馪*i馫f-馬.I.E{太效應.I;qd2x#料水.IFbu@會.IbX檻.IDv欖.IDv狂螂.IPHGN票.I'E纜.IDv虎.E5o豆.I8,赫.Ie-路炸彈.IG>hM7X蹄.I<L辰{席.Ir:j8蓆.Ir:j8}頭.I<R馬虎虎.E.E5o5o騮.IEK{屎忽.IEKs43u市.IEKs7戲.IEKe;搣.IEK0]搶球.IEKp^NH架.IEKI4精.IEKjW衣.IEKw]衫.IEKqW}體會.I<Lb\\}馭z&馮66*r64馯fbf`馰9]馱>69h>8馲>eGb馳nf{名nf0T}馴uHpx{鹿uHH:}馵lY馶j9馷-#馸vh馹vzx8馺qk馻`Iwy馼/<馽iK馾7S馿G<駀v\\駁(G{咀駁舌(GlF(Gsb嘴駁舌(GlF(Gsb渡(G9p}駂(\"駃Qw2w駄>6駅x8駆QW駇/<駈QW駉Xc駊,@駋jEno駌z'駍+6*9駎i8駏M2駐lY駑BlG<駒QW駓+3駔k\"o^k4駕I5I4駖Fr駗mjHf駘><9n>=駙5t駚yX駛r(s4駜&V'c駝>6>4駞>6駟s5駠EN駡.J.G駢,$,*駣>B駤j;駥y6駦<f駧:b駨uE駩q-q0駪r9駫Xc駬wa駭d+d,fOfN{人聽聞d+vf=w/<}駮(G駯lW駰vc駱G_Gb{駝Gb>6驛不絕Gbx8&Qlh}駲i3駳7\\駴d+駵EN駶LhLc駷td駸mc駹10駺GNHN駻fbf^fa駼>B駽h3MEh5駾?e駿lM騀TU#I騁o(,)騂sQ騃TZ7ER8j>#N騄H>騅lE騆i3:b騇rY騈,$,*騉[u騊>B騋G6騌ki騍5;騎NrNwNxJP{呢NrEx{位NrEx`4怪NrExV_拐NrExV^}樓NrEL{底NrEL8\"}}騏Nx騐wt騑4-騒su験wt騔L)騕wmwj騖0z騗,#騘p9騙,#騚o$騛4-騜b<騝Of騞`,3G騟z$騠<N騡q-騢d$騣ki騤[f騥vZ騦s3騧_QVW騨>6騩W9W;[e騪r-騫f'騬sT騭iQji騮ENEK騯*<騰<f<^<d<`{上騰落<fu1<fGb騰震<`<^iA}騱d`騲oL騳:t騴!;RG騵z*騶i3騷su騸sM騹Nx騺j;騻u-騼H>騽htvt騾H`G0{仔G0i.}騿l3驀/V.z驁T`Tb#T驂m-驃'E+q'J驄p9驅QW驆'c&Q驇Rn!b驈`\\z2Hn驉gu驊_T驋(w驌tu驍eu驎Hf驏hdm4mj驐;?驑EN驒>6<*驓mr驔=m驕K-驖>)驗wt{樓wtEL{師wtELs3}}驘H`G0驙jQ<*驚JcK?{世駭俗K?r)d+l&人K?vf動K?:b呼K?5o喜K?e:嘆K?<)嚇K?dS天K?=o{動地K?=o:b8\\地泣鬼神K?=o8\\voW:r<}奇K?Nx弓之鳥K?LQj9B7心K?r3{動魄K?r3:b*M}恐K?g@{症K?g@jY}惶K?b<{失措K?b<rKoM}愕K?U,慄K?Hn慌K?5W{失措K?5WrKoM}歎K?<)濤{拍岸K?>B*MTn駭浪K?>Bd+GP}為天人K?`6=ovf爲天人K?`6=ovf異K?wb蟄K?jn覺K?L/訝K?R1豔K?wt醒K?sR險K?f\"青JcnK魂K?`H{未定K?`H/b9P甫定K?`H,K9P}}驛x8驜x,驝>e驞*i&?驟h\\i8驠wwwu驡H*驢G<H`H^驣<f驤u-驥NwJM驦u-驧LhLc驨[f驩6-驪F$驫'E马.I.E{会.IbX体会.I<Lb\\太效应.I;qd2x#头.I<R料水.IFbu@榄.IDv槛.IDv狂螂.IPHGN票.I'E缆.IDv虎.E5o豆.I8,赫.Ie-路炸弹.IG>hM7X蹄.I<L辰席.Ir:j8马虎虎.E.E5o5o骝.IEK{屎忽.IEKs43u市.IEKs7戏.IEKe;抢球.IEKp^NH搣.IEK0]架.IEKI4精.IEKjW衣.IEKw]衫.IEKqW}}驭z&驮>69h>8驯uHpx{鹿uHH:}驰nf{名nf0T}驱QW驲vzx8驳(G{咀驳舌(GlF(Gsb嘴驳舌(GlF(Gsb渡(G9p}驴G<H^H`驵k\"o^k4驶r(s4驷s5驸5t驹QW驺i3驻lY驼>6>4驽BlG<驾I5I4驿x8骀><>=9n骁eu骂.J.G骃vc骄K-骅_T骆G_Gb{驼Gb>6驿不绝Gbx8&Qlh}骇d+fOd,fN{人听闻d+vf=w/<}骈,$,*骉'E骊F$骋o(,)验wt{楼wtEL{师wtELs3}}骍sQ骎mc骏lM骐Nx骑NrNwNxJP{呢NrEx{位NrEx`4怪NrExV_拐NrExV^}楼NrEL{底NrEL8\"}}骒5;骓lE骔ki骕tu骖m-骗,#骘iQji骙[f骚su骛0z骜T`#TTb骝ENEK骞f'骟sM骠'E+q'J骡H`G0{仔G0i.}骢p9骣hdm4mj骤h\\i8骥NwJM骦u-骧u-骨W]{位W]`4女W]D4妹W]1K架W]I4灰{龕W]5udi龛W]5udi}牌W]*\"{效{应W]*\"d2x#應W]*\"d2x#}}緻W]j:致W]j:}骩`4骪`4骫`4骬z$骭Kqd>骮x8骯#cPGfcToPATq#e骰sc<TL4YX骱I;d,骲%\\骳&h骴ncj>骵<L骶8\"骷5o{髅5oG<{头5oG<<T骨5oG<W]{头5oG<W]<T}}髏5oG<{頭5oG<<T骨5oG<W]{頭5oG<W]<T}}}骸d*fN骹IAd-骺df骻[)[(骼Ie骽?d骾J.NX{骨NXW]}骿,$髀&d髁59[)髂M_髃z$Rs髄uC髅ENG<髆(G,q(J髇d-fQ髈(4髉(E髊ncj>髋6-髌&A*m髍0l髎F`F^髏ENG<髐d-髑:t髒k3k5髓uCu@體<L{內平衡<LBh,*dx會<Lb\\}髕&A*m髖6-髗G<高Kc{位Kc`4佻Kc=f兴Kcf/力豆沙KcG,8,qE原反{应Kcz*3.x#應Kcz*3.x#}句{丽KcRoF$麗KcRoF$}处不胜寒Kcq)&QsQf`妹Kc1K岭土KcFs>@峯會Kc63bX峰{会Kc63bX會Kc63bX}嶺土KcFs>@材生KcoHr?深莫{测Kcr31DmK測Kcr31DmK}瘦平Kcr/,*窦Kc8){猫Kc8).Q}竇Kc8){貓Kc8).Q}筒鞋Kc?.d*興Kcf/處不勝寒Kcq)&QsQf`}髙Kc髚ew髛fQ髜evd-髝G<髞oM髟'E髠[u髡[u髢<M髣5X髤vW髥wr髦0x0u髧7V8/8-80{兜8/8'雞8/Io鷄8/Io鸡8/Io}髨[u髩&A髪3A髫=f髬+3髭j9髮3A3w{夾3AKF釵3Alu}髯wrwt髰<M髱%\\*)髲&h髳.T/0髴3u3S髵w`髶y6wb髷Q3髸LQ髹vWvZ{油vZvX顏色vZRHsc颜色vZRHsc}髺Q/^S髻IqIp髼-<髽hK髾qQ髿siqE鬀<M鬁F!F&鬂&A鬃kip<鬄<M>-鬅*r-<鬆tc{散tcq^膨膨tc*'*'}鬇iEhi鬈QrHu鬉ki鬊uG鬋jQjR鬌9dpr9h鬍bT鬎E5E8鬏i3m]鬐Nx鬑Ff鬒mji@鬓&A鬔-<鬕.J鬖qW鬗1`.b鬘.`鬙iEr?rB鬚su{刨su*(}鬛Fz鬜d9鬝d9鬞C$CZGN鬟_l鬠Q/Pe^S鬡BHFr鬢&A鬣Fz鬤yZy[鬥8){慘大會8)m.7JbX木師傅8)1zs35p獸棋8)r/Nv雞聲8)Ioru鷄聲8)Ioru}鬦8)鬧@JDt鬨gAg?fhgD鬩x3f?鬪8)鬫dkd4d5鬬8)鬭8)鬮IuNE鬯p_鬰`W鬱`W鬲G,\"-IeS9鬳wzMG鬴5p鬵mfnx鬶[c鬷ki鬸EP鬹[c鬺u-鬻yJl!鬼W:{上身W:u1r9声鬼气W:ruW:e;妹W:1K{仔W:1Ki.}故W:L4斧神工W:5pr9LQ片W:,\"牌W:*\"祟W:uR聲鬼氣W:ruW:e;話W:_R{連篇W:_RFl,!}话W:_R{连篇W:_RFl,!}馬雜W:.Ihp马杂W:.Ihp鬼祟祟W:W:uRuR}鬽/b1P鬾JP鬿Nx魀I;魁5u{北克5u&WdQ}魂`H{断`H;V斷`H;V精`Hj!}魃&V%z魄*M>e(J魅/b1P魆`W3u魇wpx)魈s?魉HO魊at魋?fprlE魌e9魍11魎HO魏RnRl!b魐IE魑ncF$魒+o魓&Q魔0i0l{女0iD4鬼{魚0iW:z\"鱼0iW:z\"}}魕Nx魖gu魗m`m^魘wpx)魙jP魚z$z\"{卜z$,o唔過塘唔肥z\"%BY#>T%B40尾夾z$/aJj欄z$E!毛z$0u泡z$,o滑z$`\"片z$,\"絲袋z$s39j腩部隊z$@O(&;:蛋妹z$7X1K雲z$`I頭雲z$<T`F鮫z$IA}魛9o魜vf魝KM魞vt魟gBLQ魠>e魡9;9]9b魢JL魣z$魤TT2q#H魥S2\"&魦qE魧ffKu魨@$魩1t魪I;魫r4魬%d魭z*魮+6魯G=魰/<魱bT魲G<魳hq魴5Z魵3f3g魶@bE2魷vZvX{魚vZz\"}魸,#魹0x魺fHKX魻dJdG魼QW魽d6di魾+3+6魿Fr鮀>6鮁&V(w&S鮂m`鮃,*鮄3u,*3z鮅'c鮆m[ndi-鮇/b鮈QWM-鮉99鮊&&&V鮋vZvX鮌WL鮍+6鮎B<B9Ff{魚B9z\"{效應B9z\"d2x#}}鮏sQ鮐><>9鮑%W%\\{參翅肚%Wr3ne>C甫%W,L魚刷%Wz$mF}鮒5t鮓hLhM鮔M2鮕L3YW鮖s2鮗:]鮘9n鮙<5鮚KMKP鮛tu鮜dh鮝u.鮞w`鮟#]wvTi鮠`6鮡sDjJ鮢lW鮣ve鮤G&鮥GbIeL/鮦?0i8鮧w`<N鮨RnNxj:j9!b鮩'\\鮪5v`7vX鮫I?IA{魚I?z\"}鮬5o鮭W9_Qd*{魚W9z\"}鮮sKsL{為人知sL`6vfj9爲人知sL`6vfj9}鮯J5鮰bZ鮱G=鮲6J鮳Mk鮴vW鮵;\\鮶WK鮷<N鮸0O鮹qQ鮺hL鮻si鮼mc鮽z$鮾D7Ha鮿j_鯀WL[v鯁J.NXNW{頸NXJd}鯂su鯃%H%B鯄NH鯅q]鯆,K(!鯇_m{魚_mz\"}鯈vZ=f鯉F%{魚F%z\"}鯊qE{魚qEz\"}鯋qE鯌fS鯍/B鯎sT鯏F&鯐i4鯑e9鯒y4鯓r9鯔j9鯕Nx鯖o'jWhi鯗u.鯘D7Ha鯙uH鯚W;鯛99鯜o/鯝L5YY鯞i4鯟:]鯠G6鯡4-{魚4-z\"}鯢Rl!`鯣x8鯤[uWK鯥H>鯦Izm`#L鯧p]鯨Ol鯩Hf鯪FrF<{魚F<z\"}鯫i3j_i8鯬F$EH鯭.c鯮ki鯯i/鯰B<B9Ff{魚B<z\"{效應B9z\"d2x#}}鯱5p鯲z!鯳8\"鯴rK鯵r3鯶_m鯷<N{魚<Nz\"}鯸df鯹sQ鯺lW鯻E8鯼ki鯽jiiW{魚iWz\"}鯾'Q'R鯿'Q'R鰀_m鰁q0鰂mPiW{魚iWz\"{涌iWz$p9}}鰃`3bW鰄`3鰅z$y6鰆pu{魚puz\"}鰇vZ鰈9V鰉b<鰊Fn鰋wv鰌m]鰍m]鰎K:鰏'i鰐U,#z鰑yZ鰒6E6J鰓soqL鰔J\"i9鰕d!鰖>4鰗bT鰘rK鰙yh鰚uW鰛`E鰜K3鰝fV鰞bQ鰟,`5Z鰠su鰡EN鰢.I鰣s6鰤s3鰥Vo鰦j9鰧<f鰨<5<;9V{沙<;qE}鰩wl鰪\"!S-鰫y6tf鰬Of鰭Nx鰮`E鰯yh鰰r<鰱Fl鰲T`#T鰳EtE>鰴3Q鰵/=鰶i//=鰷=f鰸QW鰹K9{魚K9z\"}鰺r3鰻.b.`鰼ht鰽m`oN{白oN&&}鰾+s'E鰿ji鱀NwJP鱁l&鱂l3鱃r-鱄l]@$鱅y6tf{魚tfz$}鱆l3lK鱇fc鱈u_{魚u_z\"}鱉'e鱊`\\Hn鱋QW鱌l8鱍(z(w鱎K.鱏mf鱐tur-鱑b<鱒l]lKlbl_鱓sO>6鱔sOsL鱕3-鱖W;Qw鱗Hf{片Hf,\"}鱘mf鱙wl0B鱚e9鱛iE鱜gc鱝3g鱞Vo鱟dh鱠PdPe^.鱡mP鱢su鱣jQsO鱤J\"鱥W;鱦x&.gsTsV鱧EI鱨u0鱩H`鱪uR鱫#MTY鱬z$鱭m[mZ鱮lJ鱯bV鱰q+鱱EJ鱲FzE2Eh鱳G,GbH>鱴0b鱵i9鱶u.鱷U,#z{魚夾U,z$Jj}鱸G<{魚G<z\"}鱹LMYq鱺F$鱻sK鱼z$z\"{丝袋z$s39j云z$`I卜z$,o唔过塘唔肥z\"%BY#>T%B40头云z$<T`F尾夹z$/aJj栏z$E!毛z$0u泡z$,o滑z$`\"片z$,\"腩部队z$@O(&;:蛋妹z$7X1K鲛z$IA}鱽9o鱾JL鱿vZvX{鱼vZz\"}鲀@$鲁G=鲂5Z鲃%K&V鲄fHKX鲅&V&S(w鲆,*鲇B<FfB9{鱼B9z\"{效应B9z\"d2x#}}鲈G<{鱼G<z\"}鲉vZvX鲊hLhM鲋5t鲌&&&V鲍%W%\\{参翅肚%Wr3ne>C甫%W,L鱼刷%Wz$mF}鲎dh鲏+6鲐><>9鲑W9_Qd*{鱼W9z\"}鲒KMKP鲓Mk鲔5v`7vX鲕w`鲖?0i8鲗mPiW{鱼iWz\"{涌iWz$p9}}鲘dh鲙Pd^.Pe鲚m[mZ鲛I?IA{鱼I?z\"}鲜sKsL{为人知sL`6vfj9}鲝hL鲞u.鲟mf鲠J.NXNW{颈NXJd}鲡F$鲢Fl鲣K9{鱼K9z\"}鲤F%{鱼F%z\"}鲥s6鲦=f鲧WL[v鲨qE{鱼qEz\"}鲩_m{鱼_mz\"}鲪WK鲫jiiW{鱼iWz\"}鲬y4鲭o'jWhi鲮FrF<{鱼F<z\"}鲯Nx鲰i3j_i8鲱4-{鱼4-z\"}鲲[uWK鲳p]鲴L5YY鲵Rl!`鲶B<FfB9{鱼B<z\"{效应B9z\"d2x#}}鲷99鲸Ol鲹r3鲺rK鲻j9鲼3g鲽9V鲾'i鲿u0鳀<N{鱼<Nz\"}鳁`E鳂`3bW鳃soqL鳄U,#z{鱼夹U,z$Jj}鳅m]鳆6E6J鳇b<鳈q0鳉l3鳊'Q'R鳋su鳌T`#T鳍Nx鳎<5<;9V{沙<;qE}鳏Vo鳐wl鳑,`5Z鳒K3鳓EtE>鳔+s'E鳕u_{鱼u_z\"}鳖'e鳗.b.`鳘/=鳙y6tf{鱼tfz$}鳚`5鳛ht鳜W;Qw鳝sOsL鳞Hf{片Hf,\"}鳟l]l_lKlb鳠bV鳡J\"鳢EI鳣jQsO鳤LLYp鳥B79:Fa{結糖B7KM>R}鳦z2z/鳧5r鳨G,鳩IuNEIv{之{媽碌Ivj9.EH9孖碌Ivj9.EH9}噏Iu\"!{當{祕笈IuS-:)&eN]秘笈IuS-:)&eN]}}揈揈Iu5&5&}鳪)!鳫RJ!>鳬5r鳭9o99鳮Io鳯68鳰vt鳱Kofb鳲s3鳳6864{凰樓68b<EL竇688)}鳴0T鳵(\"鳶z'z*鳷j9鳸bV鳹NNO`鳺5o鳻%c3f鳼/<鳽K9dujQ鳾s3鳿yJ鴀3Z3X鴁wi鴂QwXu鴃XuQw鴄+!鴅6-鴆i>鴇(\"鴈RJ!>鴉!!R-{烏婆!!bQ,@路恤!!G:uK}鴊jY鴋5W鴌68鴍/<鴎!cRo鴏8P鴐I3鴑z$鴒Fr鴓&V/P0b鴔6J鴕>6鴖/<鴗E2Eh鴘'R'V鴙j>鴚KWI3鴛z'wu{鴦{房z'yW5X炒飯wuyWm(32}}鴜nf鴝QZ鴞eu鴟nc鴠7Y鴡lE鴢wj!.鴣L3YW鴤ki鴥`\\z2鴦yW鴧`\\鴨!G!FRRRS{咀梨!GlFF\"嘴梨!GlFF\"店!F9A細膍胵大!Gr)5rne7J胗!Gi?腎!Gr=蛋青!G7XnK}鴩>)鴪`\\鴫=r鴬!uS'鴭;9鴮bQ鴯w`鴰Q/W)^S鴱R8!,鴲j9鴳!;RG鴴dxff鴵K-鴶J9KM鴷G&鴸lW鴹yZ鴺w`<N鴻gB鴼G>鴽z$鴾/0鴿IXIYJ4J5鵀v`vb鵁I?鵂vW鵃i3hW鵄nc鵅GbIe鵆dx鵇BBFl鵈99鵉Hx鵊IY鵋JP鵌>B鵍6-鵎>4鵏(\"(&鵐0x鵑ME鵒yJ鵓(z鵔lMuG鵕lM鵖KG鵗e9鵘WP鵙XuQw鵚??鵛K?鵜<N鵝TTTR#F#H{眉月TT/`z.}鵞TT#H鵟]lPH鵠gVLc鵡0y鵢r9鵣Dn鵤L/鵥-5鵦H>鵧+6鵨uQ鵩6J鵪!iRu!;RG鵫kJh\\鵬*<鵭NN鵮h]7Q鵯&c+!鵰99鵱H>鵲lApkl@{橋相會lAOZu-bX鴝pkQZ}鵳K9鵴Lc鵵>A鵶!!R-鵷z'鵸Nx鵹F$鵺w,鵻lE鵼g?鵽le鵾[uWK鵿sQ鶀Nxe9鶁K?鶂x8x3鶃x8鶄jW鶅j9鶆G6鶇:]鶈mW鶉puuH鶊J-鶋M-鶌Wb鶍wb鶎ki鶏Io鶐`\\uP鶑!uS'鶒o9鶓0B鶔vZ鶕!iRu鶖m]鶗<N鶘bT鶙<N鶚U,#z鶛I9I;鶜.T鶝6E'i鶞pu鶟8J鶠wv!;RG鶡fqft鶢blz*鶣,!'Q鶤[uWK鶥/`鶦bT鶧x!鶨q/;Dj>鶩0z鶪XuQw鶫IL鶬o]p]鶭5X鶮fz鶯!uS'鶰z*鶱f'鶲y3鶳s3鶴fzfv鶵o?oB鶶>T鶷e,鶸yh鶹EN鶺jkj5鶻W]`\\{突`\\8J}鶼K3鶽lL鶾fb鶿nf鷀nf鷁x8鷂wjwlwn鷃!;RG鷄Io{仔聲Ioi.ru冠IoLK咁腳IoJ\"M)啄唔斷Io;'%B@%地Io8X塒Ioj>士Ios4心{李Ior3F\"梨Ior3F\"}扒Io)v排Io)v毛掃Io0xsv泡魚Io,Oz\"甩IoA-竇Io8)糊IobR肋IoE>胗Ioi?腎Ior:{衣Ior:w]}腸Iop^蛋{仔Io7\\i.果Io7\\Y\"餅Io7\\'\"}靚IoF9項Iofd髀位Io&d`4𣚺Iofd}鷅Hn鷆=r鷇NGIw鷈<K<N鷉<K鷊x8鷋>B鷌.I鷍eu鷎Kc鷏=r鷐r<鷑J8Nb鷒@$鷓i_鷔T`#T鷕wmwn`7鷖w]!]鷗!cRo鷘o9鷙j;鷚EPEN鷛y6鷜H`EN鷝&Q鷞u-鷟kJl!鷠z$鷡0x鷢Qw鷣v`wn鷤<N8&<*鷥s3鷦jE鷧w_鷨_T鷩&/&2'e鷪!uS'鷫tu鷬b<鷭30鷮K-鷯F`F]{哥F]KW}鷰ww鷱Kc鷲i8鷳d<鷴d<鷵>B鷶.O鷷lK鷸`\\z2HnDD鷹x!鷺G>鷻@$鷼d<鷽fz鷾w_鷿,9鸀tzl!kJ鸁G0鸂N?鸃w`鸄KQ鸅i&鸆z$鸇jQ鸈x,鸉yZ鸊,9鸋BHFr鸌bMbP鸍/`s3鸎!uS'鸏1f鸐9b鸑U,#z鸒z&z$鸓Ha鸔)!(G(&鸕G<鸖fz鸗H*鸘u-鸙yh鸚x!鸛LMYq鸜QZ鸝F$鸞Hx鸟B79:Fa{结糖B7KM>R}鸠IuNEIv{之{妈碌Ivj9.EH9孖碌Ivj9.EH9}噏Iu\"!{当秘笈IuS-:)&eN]}揈揈Iu5&5&}鸡Io{仔声Ioi.ru冠IoLK咁脚IoJ\"M)啄唔断Io;'%B@%地Io8X埘Ioj>士Ios4心{李Ior3F\"梨Ior3F\"}扒Io)v排Io)v毛扫Io0xsv泡鱼Io,Oz\"甩IoA-窦Io8)糊IobR肋IoE>肠Iop^肾Ior:{衣Ior:w]}胗Ioi?蛋{仔Io7\\i.果Io7\\Y\"饼Io7\\'\"}靓IoF9项Iofd髀位Io&d`4𣚺Iofd}鸢z'z*鸣0T鸤s3鸥!cRo鸦!!R-{乌婆!!bQ,@路恤!!G:uK}鸧o]p]鸨(\"鸩i>鸪L3YW鸫:]鸬G<鸭!G!FRRRS{咀梨!GlFF\"嘴梨!GlFF\"店!F9A细膍胵大!Gr)5rne7J肾!Gr=胗!Gi?蛋青!G7XnK}鸮eu鸯yW鸰Fr鸱nc鸲QZ鸳z'wu{鸯{房z'yW5X炒饭wuyWm(32}}鸴fz!uS'鸵>6鸶s3鸷j;鸸w`鸹Q/W)^S鸺vW鸻dxff鸼i3hW鸽J5J4IYIX鸾Hx鸿gB鹀0x鹁(z鹂F$鹃ME鹄gVLc鹅TTTR#F#H{眉月TT/`z.}鹆yJ鹇d<鹈<N鹉0y鹊lAl@pk{桥相会lAOZu-bX鸲pkQZ}鹋0B鹌!iRu!;RG鹍[uWK鹎&c+!鹏*<鹐h]7Q鹑uHpu鹒J-鹓z'鹔tu鹕bT鹖fqft鹗U,#z鹘W]`\\{突`\\8J}鹙m]鹚nf鹛/`鹜0z鹝x8鹞wnwjwl鹟y3鹠EN鹡jkj5鹢x8鹣K3鹤fzfv鹥w]!]鹦x!鹧i_鹨EPEN鹩F`F]{哥F]KW}鹪jE鹫i8鹬`\\HnDDz2鹭G>鹮uZ_l鹯jQ鹰x!鹱bMbP鹲1f鹳LMYq鹴u-鹵G={味G=/^}鹶K?鹷Fr鹸IL鹹d6d4{帶d67F故d6L4水{樓d6u@EL話d6u@_R魚d6u@z\"}淡{場d6<%p`水d6<%u@}片d6,\"白鴿d6&&IY相d6u.碟d69R赧赧d6@R@R魚d6z\"{白菜d6z\"&&oG翻{生d6z\"3-qc身d6z\"3-r9}返生d6z\"3-qc}龍d6H(}鹺oBo?鹻IL鹼IL鹽wrwowt{分wr3h蛇wrrX}鹾oBo?鹿H>H:麀vW麁oK麂JLJc{皮Jc+4}麃'E+p**麄oK麅**麆q*麇WK[x[v麈lX麉K9麊/`/*麋/`/*麌z%麍EN麎r<麏WK麐Hf麑Rl!`麒Nx{麟NxHd}麓H9H>麔NI麕WK[v[x麖K?Jc麗EJF$EH麘gc麙RBd6!6麚I3麛/*Rl麜Hn麝r\\麞l3麟HfHd麠K?麡mZ麢Fr麣RB!6麤oK麥/V.z/R{片/V,\"芽糖/VR0>R{餅/VR0>R'\"}}麦/V.z/R{片/V,\"芽糖/VR0>R{饼/VR0>R'\"}}麧e,麨np麩5o麪0P{條0P=d糊0PbR豉0Ps4}麫0P麬5o麭*)麮gw麯Q3Lc麰/0麱5o麲d>麳G6麴Q3Lc麵0P麶ncB<麷63麸5o麹Q3Lc麺0P麻.H.F.E{包袋.H%W9j将.Hl5將.Hl5烦友.H30vX煩友.H30vX甩妹.HEi1K痘.H8(骨{拐杖.HW]V^l4枴杖.HW]V^l4柺杖.HW]V^l4}麻.H.F{哋.H.F8X地.H.F8X}}麼0i.E0m麽0i麾3Q麿Ha黀i3黁DOHy黂3f黃b<b:{六醫生b<H>w]r?朝{八晏b<jE%w!;白晏b<jE&#!;百晏b<jE&#!;}桃b<>@沙b:qE泡髧熟b<*'8/tz牌b<*\"皮b<+4{樹{了哥b<+4uVF]KW鷯哥b<+4uVF]KW}}綠醫生b<H>w]r?腳鱲b<M)E2臘䱽b<E2p]花{筒b<2o?.閨女b<2oW9D4魚b<2oz\"{石b<2oz\"s2}}蜂竇b<638)金{桃b<J!>@機會b<J!JKb\\}馬褂b<.I[(鱲䱽b<E2o]麂b<Jc麖b<Jc黅黅b<J$J$黚黚b<J$J$}黄b<b:{六医生b<H>w]r?朝{八晏b<jE%w!;白晏b<jE&#!;百晏b<jE&#!;}桃b<>@沙b:qE泡髧熟b<*'8/tz牌b<*\"皮b<+4{树{了哥b<+4uVF]KW鹩哥b<+4uVF]KW}}绿医生b<H>w]r?脚𫚭b<M)E2腊䲝b<E2p]花{筒b<2o?.闺女b<2oW9D4鱼b<2oz\"{石b<2oz\"s2}}蜂窦b<638)金{机会b<J!JKb\\桃b<J!>@}马褂b<.I[(麂b<Jc麖b<Jc黅黅b<J$J$黚黚b<J$J$𫚭䲝b<E2o]}黅J!J$黆Y?Ku黇=i=o黈<R黉gB_r黊_V黋PG]k黌gB_r黍uR黎EHEF{克特制EHdQ8Pi/手EFr.}黏B9B<FcjKFf{膜B91@}黐ncne{头芒nc<T1-撚{線ncEXsM线ncEXsM}立立ncA>A>笠笠ncA>A>線婆ncsM,@线婆ncsM,@頭芒nc<T1-黐{哋ncnc8X地ncnc8X立立ncncA>A>笠笠ncncA>A>}}黑e-dQ{人dQvf{問號e-vf/>fR问号e-vf/>fR}加{仑子dQI3Hfj:侖子dQI3Hfj:}卡e-N-厕dQne古勒掘e-L3EtWb名{单dQ0T7W單dQ0T7W}咪蚊e-03/?啤dQ&]{梨e-&]F\"}嘛嘛dQ.E.E头dQ<T妈妈dQ.E.E媽媽dQ.E.E孖孖dQ.E.E客dQdS工dQLQ市dQs7帮dQ(3幕dQ1D幫dQ(3底dQ8\"廁dQne心dQr3房e-5X手dQr.{党dQr.:(黨dQr.:(}掹掹dQ/?/?擝擝dQ/?/?无常dQ0xu0星dQsQ暗dQ!k板dQ%d柴dQm$沉沉dQmfmf洞dQ:b海dQfL漆漆dQn!n!点dQ9@無常dQ0xu0牛dQRp白{分明dQ&&3c0T无常dQ&&0xu0無常dQ&&0xu0}盒dQe\"眼圈dQRIh3瞇{掹e-03/?擝e-03/?蚊e-03/?}社{会e-r[bX會e-r[bX}箱dQu-肠e-p^胶{碟e-I?9R绸e-I?m^}脚dQM)腳dQM)腸e-p^膠{碟e-I?9R綢e-I?m^}色幽默dQscvW/V莓e-1L警dQK@豆dQ8({浆e-8,l3漿e-8,l3}豹dQ*)过镬屎dQY#bPs4過鑊屎dQY#bPs4道dQ9t金dQJ!錢dQo\"钱dQo\"雨dQz%面dQ0P頭dQ<T馬dQ.I马dQ.I點dQ9@鼆鼆dQ/?/?龍江dQH*Ku龙江dQH*Ku}黒e-黓x8黔O`黕8.黖e;黗<]默/V{不作{声/V&QkGru聲/V&QkGru}}黙/V黚O`J$黛9n黜lQq!lSlelh黝vX{黑vXdQ}點9@{樣9@yX{去9@yXgw樣9@y\\yX都好9@yX9ofR}燭婆9@l!,@相9@u/綴9@lJ錯相9@oAu/}黟w]黠Owe'e,`&黡wp黢lQq!黣1O黤!jwpRv黥Ol黦`Wx/z/黧EH黨:(>R黩:t黪m.黫vc黬!j!kRvRw黭!jwpRv黮8.7V<\"<(<#<%r8黯!j!kRv{淡!k7V{无光!k7V0xY?無光!k7V0xY?}然失色!kwxrKsc}黰mji@黱9n黲m.黳w]黴/`1N{菌1N[v}黵7Rh^jR黶wp黷:t黸G9黹j:{口位j:dd`4}黺3d黻3u黼5p黽/=.g0O黾/=.g0O黿z*鼀pK鼁gw鼂nrjE鼃_Q鼄lW鼅j9鼆/</?鼇T`#T鼈'e鼉>6鼊'i鼋z*鼌nrjE鼍>6鼎9L{鼎大名9L9L7J0T}鼏0h鼐@CBhDm鼑9L鼒j9鼓L4YX{皮L4+4膜L41@}鼔L4YX鼕:]?0鼖3f鼗>B鼘z'鼙+6鼚p]鼛Kc鼜o9鼝z'鼞>Q鼟<c89鼠uR{摸uR0i}鼡Fz鼢3f鼣3V鼤/<鼥&V鼦99鼧>6鼨ki鼩QZ鼪r?qc鼫s2鼬v\\vXvZ鼭s6鼮=x鼯%H%B鼰Xu鼱jWo'鼲`H鼳Xu鼴wv鼵8J鼶s3<N鼷d`鼸wtf\"鼹wv鼺H`鼻&h&V{烟{壶&hwubR壺&hwubR}煙壺&hwubR腍&hA*菸壺&hwubR鼾{声&hf`ru聲&hf`ru}}鼼wn鼽NH鼾f`鼿S8\",齀S85u\",齁dc齂d)e;齃!MRY齄hK齅m_gA齆$AUM齇hK齈C\\CZH,齉C&GP齊mZhQj9i2mX{上齊落mZu1mZGb}齋hQ{滷味hQG=/^燒鵝hQs?TR鹵味hQG=/^}齌i2i-mW齍j9齎i-j9mZ齏i-齐mZmXhQj9i2{上齐落mZu1mZGb}齑i-齒nd齓mk齔mk齕e,R\\!PJ>齖R0R2!$齗S$!r齘d,齙%\\**齚i#i&齛s_齜j9m$nc齝ncs3齞wz齟lFlJhK齠=f齡FrFp齢Fr齣q!齤Qr齥s_齦S$dpdv!r齧TJx/x2R\\BP!P#>St齨NI齩R=!1齪pK齫`I[v齬z%齭o@齮w^RmK!K${齕K!J>齮{齕齕K$K!J>J>龁龁K$K!J>J>}龁K!J>}齯Rl!`齰i#hPi&齱pKi3齲M.齳`I齴wzRI!=齵z$齶U,#z齷\"-!QR]S9齸x3vz齹ncoB齺i3齻9E齼o@齽J&齾!M!#R/RY齿nd龀mk龁e,!PR\\J>龂S$!r龃lFhKlJ龄FrFp龅%\\**龆=f龇j9m$nc龈S$dv!rdp龉z%龊pK龋M.龌\"-!QR]S9龍H*H({友H*vX撩H*F]牀{不{及狗竇H*o`&QNbIv8)如狗竇H*o`&Qz$Iv8)}盤H*o`-4}門架H*1`I4鬚糖H*su>R鳳鈪H*68!R}龎,`龏LQ龐,`H*龑wswpwv龒H*龓H+龔LQ龕!idi{位di`4}龖7h龗Fr龘7h龙H*H({凤鈪H*68!R友H*vX床{不{及狗窦H*o`&QNbIv8)如狗窦H*o`&Qz$Iv8)}盘H*o`-4}撩H*F]门架H*1`I4须糖H*su>R}龚LQ龛di!i{位di`4}龜W9IuWKNE{婆W9,@}龝m]龞'e龟W9IuWKNE{婆W9,@}龠yh龡popq龢ax龣L/龤d*龥z&yh龦u0龧uR龨lE龩J)龪vf龫Kq龬11龭wb龮x8龯0z鿎7n鿏32鿐i4鿔KW兀S8\",嗀fw5;𠀡=o𠀾(U𠁆'n𠁎Fl𠁞(U𠁨p9𠂆vV𠂇jp𠂊vf𠂔j:𠂤;9s3𠃊vd𠃋WQ𠃌WL𠃮<[𠄌Qw𠄎@CDm𠄘sT𠆤9KhiiE𠆩3.𠆫oH𠆲]jPF𠆿bSbQ𠇁vg𠇔0x𠇲vW𠇹KA𠈄_n𠈌z$𠈔Eh𠈹vZ𠉂<;7k𠉛sT𠉴z%𠉵9P𠊎R3R6{話R6_R话R6_R}𠊙w`𠊞ki𠊠3c𠊷j>𠊿uW𠋀y7𠋆mk𠋥/`𠌊)x𠌥bSbQ𠍁/;𠍅/V𠍆F&𠍇m5𠍾wv𠍿LMYq𠎀KP𠎠K@𠎧KM𠎵Rn!b𠎷qk𠏉Kq𠏋z$𠏵68𠏼I3𠐓x$𠐔G=𠐟F`𠑥m`𠒇.Vw`𠒎5r𠒑z*𠒒vg𠒣dx𠒺?f𠓗5q𠓼sY𠓾q0𠕇0y𠖎lQ𠖥p:𠖳/P𠗃vc𠗊KD𠗐%H%B𠗕lM𠗟1O𠗠.h𠗫bn𠘑e9𠘕e9𠘙Gb𠘚0i𠘰63𠙖*r𠙶!dRp𠚹qW𠛅NE𠛪=c𠜎sM𠜱*W𠝭+L𠝹I;{女I;D4波袋I;'o9j}𠞭EN𠠝G,FP𠠬nu𠡠G8o9𠡳0O𠣕WK𠤖/W𠤣ne𠥔b\\𠥹!cRo𠦝pk𠧧r'𠧩5w𠨍f-ge𠨑10𠩐r<𠩯q0𠩺e9F$𠪊Ff𠪴o@𠫂G<𠫍!_Rk𠬍lM𠬝6J𠬞LR𠭯hK𠭴lelh𠮏yn𠮟o9𠮨@ADk𠮩F]!!R-𠮶KXKZ{下KXd%处KXuS头近KX<TNU排KX*\"济KZi/}𠮿q]𠯆z$𠯈7J𠯋vU𠯟wz𠯠3Q𠯢qE~!&𠯦mY𠯫Y!KW𠯻_n𠯽j9𠯿H>𠰋v!𠰌1o𠰍lX𠰠Q[𠰱jijc𠰲$i𠰴s2x!~s2𠰷G<𠰺9n𠰻T\\#P𠱁<Y𠱂8E𠱃BKFuA9𠱓Ri!]𠱘Rb𠱞mAhM𠱥53`g𠱷0T𠱸uFr:𠱼d.𠱾j>𠲍99𠲎3z𠲖w]𠲜hi𠲥EF𠲵KG𠲸@NDx𠳁[w𠳏n2n.𠳓&e𠳔Q[𠳕m)𠳖8D𠳝3X/-{墩/-83趸/-83躉/-83}𠳭e-𠳿/a𠴕0@{嘴𠴕舌0@lF0@sb}𠴨Vo𠴰Iz𠴱bT𠴲7h𠴳R9R;𠵆7S𠵇O$𠵈1L𠵉ff𠵌w`𠵍hw𠵎L3YW𠵘1`𠵩KX𠵯Xo𠵱w]𠵴0V𠵼/?/B𠵽3A𠵾`'𠵿+-+1𠶈r[𠶖b:𠶜i/𠶥Q$𠶧9D𠶲J8Nb𠷈Hn𠸄x!𠸉Ni𠸊<i𠸍/a𠸎@9DdDc{埋Dc.N耕DcIQ脷DdF&}𠸏JF𠸐NK𠸑u;𠸒(\"𠸖Fr𠸝qk𠸺Rb𠹇+c&]𠹌E]EXE_A5𠹭P'𠹳KP𠹵!;RG𠹶,''Z𠹷TT#H𠹸NL𠹹EZ𠹺.N𠹻i>𠺌Wi𠺖/1x!~/1𠺘GLGK𠺝IeJ>𠺢I3I4𠺪e5ei𠺫F'𠺬e4𠺶@bE2𠻗ExF$𠻘l>pdl:𠻝m-𠻴GL𠻸j>𠻹=i𠻺!&R2𠻻&/𠻼8,𠼕*\"𠼗h^𠼝F$𠼟H\\𠼦.`𠼭(u𠼮Ri!]𠼰NY𠼱H?H@𠼻K!𠽃iK𠽊/;𠽌u]u^u`{𠽌{声u`u^ru聲u`u^ru}}𠽒Aj𠽤P!𠾍e5𠾏n-𠾐H*𠾭`g𠾴%n%l𠾵hLhKhOhP{話hP_U话hP_U}𠾶K@𠾼q4q3q8q6𠿁s3𠿟\"-S9𠿪I4𠿫qT𠿬u$𠿭a3𡀔G>𡀝A,EV𡀞v;j]𡀠&h𡀩G]𡀲K]𡁆GbG]{咗棚牙G]jp*<R0𡁆{声G]G]ru聲G]G]ru}}𡁏!iRu𡁜ay𡁯;W𡁵J(𡁶jc𡁷;'𡁸[W𡁻jJiiin{低in8!}𡂈)&𡂖EF𡂝l&𡂪i]𡂴Fl𡂿!cRo𡃀SB\"6\"3{𫫃\"6\"3}𡃁F9{倞F9O3妹F91K}𡃇&2𡃈[W[Y𡃉I5𡃏:z𡃓'q𡃤DnEH𡃴pr𡃵$@ULUK$?𡃶s/𡄎J\"𡄟d!𡄡hQ𡄯x3𡄵w]𡄻w_𡄽u$𡅅Rb!S!V𡅈De𡅏EF𡅽bn𡆀WR𡆇bK𡆠vz𡇙:x𡈎1N𡈼=v=y𡉏wa𡉼sQ𡊄3e𡊨z*𡊩yJ𡊰=r𡋣[f𡋤lP𡋾'h𡌂3f𡌃PY𡌄n-𡌅3z𡌴jn𡌶%h𡌺/B𡍲7e7k𡍵lM𡍶j>𡍷J.𡎎r)𡎘x!𡎜@NDx𡎴LS𡏅GO𡏆y[𡏭eu𡏾JM𡐓fc𡐖d7𡐤Ow𡐿7n𡑒J\"𡑔[u𡑕r3𡑞uD𡒃yE𡒄EU𡒊z&𡒗1a𡒶y[𡓨`F𡓽3c𡕷f/𡖂[f𡖖f-𡘊3g𡘓df𡘙;q𡘾k8𡙁t.𡙡J-𡚁&2𡚒3g𡚦d]𡚸.E𡚺z*𡛀>R𡛁/P𡛂w]𡛓7W𡛕;q𡛟z2𡛦'X𡛧AUF%𡛨M]𡛺vZ𡛻aa𡛼yJ𡛾@CDm𡜍iV𡜐uS𡜦`5𡜱JL𡜺dz𡜻qY𡜼bZ𡝗[w𡝠@CDm𡝬(\"𡝭0z𡝮w`𡝯8&𡝰Di𡝱3c𡝳j9𡝴z*𡞋m-𡞫BhG8𡞰nf𡞱Ha𡞲,'𡞳W;𡞴,*𡞵bn𡞾DP𡟃z(𡟇5w𡟙sQ𡟚x$𡟛'X𡟜Lu𡟟p9𡟯vc𡟵KW𡟶TT#H𡟸#dTp𡟹j;𡟺d&𡟻vc𡟼5w𡠟l!pK;5tz𡠠>T𡠨<O𡠩K9𡠪1a𡠭u_𡠹7G𡠺a`𡠻k&𡡀MG𡡅B7Fa𡡒s3𡡞uG𡡡K@𡡢o^𡡣Lc𡡤JL𡡷Fr𡡻/`𡢃d=𡢄/=𡢅`H𡢞x!𡢟oA𡢠au𡢡[x𡢢z$𡢾J#𡢿CZH*𡣑*l𡣖u0𡣗I3𡣘1f𡣙m$𡣺`8𡤃IK𡤄d<𡤅mi𡤐oG𡤑p`𡤒M.𡤕d$𡤜w_𡤢G0𡤧(\"𡤻Hx𡥄j:𡥘fR𡥧Di{女DiD4尾Di/]}𡥪uG𡥼/W𡦀GO𡦃_l𡦈L3YW𡦖1a𡧛5t𡧳oG𡨭p<𡨴BHFrFtBJ𡩅I3𡩋BHFr𡩣KP𡭄q/𡭊;;𡯁b9𡯂b9𡰪:o𡱰@$𡲕<M𡲢No𡲥r?𡲬Wb𡳞EX𡵆j>𡵓`N𡵞63𡶐Nr𡶴m4𡶶Kw𡶺-#𡷊9p𡷑ne𡷫sT𡷹wz𡸃f\"𡸜jn𡸣x2𡸷Nx𡸽jn𡺃p]𡺄hh𡺉F$𡺤Dx𡺨`6𡻈px𡻕uA𡼏IM𡼕lM𡽗f\"𡽪3Q𡾞e9𡾡i9𡿧ju𡿨h4𢁅uG𢁉uG𢁾no𢂚pk𢃇F%F&𢃼/`𢄪EP𢅏Ff𢅖Ff𢅛H*𢅳Ff𢅺jR𢆡B?Fi𢆶vWj9𢇃s3𢇛o9𢈈e&A9Ec𢉼J-𢊍prq*𢋈su𢋊y3𢌡Xd𢌥o(𢎽Nb𢏐`N𢏗Rn!b𢏺&V𢐧Ol𢑥b\\𢑱w`𢒋aa𢒑p`𢒰yE𢒼w]𢓁LQ𢓉3-𢓌F]𢓭uE𢔓68𢔛dz𢔰/`𢕔l3𢖍dx𢖯JK𢖾30𢗓z$𢘅.T𢘛o9𢘜s3𢘫jW𢙏uG𢙐BlCZG=BmG<H*𢙒eu𢙓`5𢙨q0𢙱H,𢙺j;𢚖=Z𢚘w_𢛯`,𢛴/@𢛵iF𢛶TV#J𢜒Hf𢜔j;𢜛vc𢜟Ku𢜪C8Gb𢝊vW𢝵5-𢞁63𢞖<M𢞴vc𢞵5-𢟍G,𢠁sc𢠃Jh𢠳,5𢠵o^>R𢡟/2𢡠ne𢡱PY𢢭z$𢢶w_𢣁LQ𢣷9b𢤦:^𢤹Ll𢥏x$𢥠td𢥧z,𢥫`J𢦀k5𢦂E\"𢦏ju𢦓TU#I𢦔ju𢩦jc𢪎3A3GgW3D{个轮3AKYHd個輪3AKYHd}𢫊;:𢫏NL𢫕a]ab{头ab<T頭ab<T}𢫦*M𢫨$@UL{火UL5:}𢫫Ei𢫬qq𢬍x)𢬎bl𢬢9;𢬿MdMeMgMf𢭃8,8)𢭪e-𢮑H9𢯊9]𢯎R9!-{头!-<T頭!-<T}𢯱r.𢰦pu𢰧vZ𢰸ay𢰾kj𢱌I5𢱑_R`d𢱕8D8?𢱟sK𢱢tAqwt?{𢱢脆t?t?pq}𢲈P!𢲛>B𢲡Dd@9@:Dc𢲩N]𢲲GM𢲵oO𢲷!-R9𢲸G9𢳂&Q+!𢳆T`#T{𢳆岌T`T`S2}𢳉QW𢳜qK𢴇iK𢴈7k7n𢴒*9𢴕BE𢴩&Q𢵄oO𢵌;:𢵓*9𢵧IMd=d>𢶅sY𢶍qk𢶕jR𢶠qT𢶣9V𢶤H@𢶯.]𢶷o?𢷤&A𢷮;:𢸍iA𢸳s?t?𢸶q5𢹂[f𢹑hn𢹲[w𢹸p<𢺋@SE#𢺳.]𢻯fz𢻻N@𢽴:o𢽾d2fz𢿌f/𢿣eu𣀳BPFz𣁄M.𣁋/`𣁦-6𣁽5u𣁾8(𣂎1a𣂷NT𣂼NT𣃁l!𣃚ff𣄃Nx𣄽;5𣅽-#𣆂z,𣆐G<𣆤5X𣆥5X𣆳J.𣇈ev𣇉WK𣇪wn𣇷5W𣇸pu𣇹/=𣈏sc𣈥>?𣈯z$𣈱p_𣈲/`𣈳0O𣈴0B𣉖h3uX𣉞Kd𣉢/*𣊁T`#T𣊉JL𣊊fV𣊫H>𣊬uG𣊭H>𣋒[f𣋠mZ𣋡1f𣌀e9𣌊d$𣌟Fr𣍨wa𣍯`J𣍰f\"IYf5𣎆G1𣎑6-𣎴84FzBP𣏌j>𣏞vZ𣏢@$𣏦1z𣏴vf{㮌vf0L}𣏵@NDx𣏹ju𣏺g@𣏾8P8L𣐀/<𣐕KA𣐤NI𣐿w]𣑁p9𣑐9;𣑯>B𣑲-#𣒌Y\"KX𣓌Kc𣓥vZ𣓿G>𣔌=f𣔙f!f'𣔨NY𣔰j9𣔼Ko𣕑o@𣕚/2𣕧I5𣖕+K𣖙/a𣖜`8𣖻fL𣗊1`𣗋:(𣗍Nx𣗎q0𣗏63𣗙B`G0𣗳uV𣘀r-𣘐KQ𣘗BW𣘚uK𣘛8'𣘴S$!r𣘼N@𣙀iK𣙙pK𣙟u0𣙷11𣚎H`𣚕v;𣚚l!𣚞v`wrsH𣚦Lz𣚭Lc𣚺fhfd𣛟l4𣛮sV𣜃v[𣜖9V𣜠e9𣜭jR𣜯h3𣜿x,𣝗`\\𣝦pq𣞁a`𣞢i_𣞼y[𣟂6-𣟕r9𣟖0l𣟗w`𣠺o/𣧂Dm𣨼<M𣪊fw𣪕W:𣪘L:𣪧vc𣫛Rn!b𣫮fR𣫺yJ𣬚*M𣭚(&𣭲y4𣱝:]𣱣[w𣲗`6`7𣲘0y𣲙lF𣲚vf𣲛sT𣲵j:𣲷A>Eh@b{油@bvX}𣳆*r𣳇jp𣳈sK𣳉s5𣳨;9𣳼:x𣳽-#𣳾;q𣳿z%𣴓K>𣵀BVG&𣵛r/𣵾W9𣶃np𣶏j_𣶙wx𣶚ww𣶛wx𣶜wx𣶩_V𣶶oF𣶷7V𣶸'X𣶹wv𣶺w`𣶻9b𣶼3c𣶽`H𣷣Ku𣷸j9𣸆nd𣸑HN𣸣3f*k𣸬no𣸭yE𣸮v]𣸯vZ𣸰wo𣸱z(𣸹,*𣺈w^𣺉EQ𣺊I3𣺋sP𣺹jR𣺼:(𣺿63𣻗w`𣻷`5𣻸u0𣻹K9𣻺JK𣻻LKYo𣻼fT𣼵F&𣽁ki𣽊lM𣽡(G𣽷ne𣽿o*𣾀b\\𣾁Nx𣾂I9𣾏Nx𣾴)&𣾷OZ𣿀,L𣿅:^𣿫9V𣿬b\\𣿭w`𣿮[f𣿯r3𣿰lM𤀑BJFt𤀹lM𤀺I3𤀻r3𤀼H>𤀽w^𤁗0N𤂅j\\𤂋jF𤂌Ow𤂍Fl𤂑CZH*𤃉G,𤃡ab𤃬bjbm𤄄Iu𤄏gB𤄙s?𤄿G'𤅀x$𤅄Ff𤅎.b𤅕m`𤅖*l𤅗x$𤅜+o𤅟G>𤅡fV𤅷Fr𤅺v]𤆍n_𤆡`W𤆢Hf𤆣qn𤆤y4𤆥`H𤆬0x𤆵%K𤇃EJ𤇄sG𤇍uP𤇢&&𤇭H*𤇹&Q𤇼#]Ti𤈛Y?Ku𤈶z*`H𤈷f!𤉋jW𤉖n-𤉙3c𤉶R<!0𤉷wx𤉸M-𤊄Nx𤊒H>𤊓Rl!`𤊕oF𤊥Fr𤊿o/𤋁yZ𤋉z,𤋊,*𤋏EN𤋮e9𤋺jW𤌍fw𤌚bZ𤌴KP𤍈e:𤍕vZ𤍠x2𤍢wt𤍣[u𤍤l3𤍥gv𤎌>T𤎖fc𤎜GO𤎩uD𤎺l_he𤎻s?𤎽LMYq𤏁e9𤏩3c𤏪G<𤏲lD𤏸lY𤏻sYs_𤐄jQ𤐵I3𤐶fT𤑕3c𤑚x$𤑛3c𤑳s?𤒇r9𤒈ww𤒹&Qx,𤒼5X𤓎he𤓓G/𤓖Hx𤔅9\\𤔡`6𤔲s3𤕭l3𤕸k3𤗈sY𤘘dd𤘪7W𤙥e-𤙴m'𤚗uW𤛔.b𤜆H*𤜥wb𤜯NbJ8𤝽Hn𤞃`5𤞏s3𤞤f\"𤞶f`𤟠u?𤠋ENEK𤠑EN𤠒s3𤠣df𤢂tu𤢕9q𤢪Fz𤣩yJ𤣰(\"𤣱wa𤣲uG𤣳o!𤣻1t𤣿fK𤤀@$𤤁5W𤤌y4𤤖3u𤤗ATF$𤤙vV𤤯aa𤤳wa𤤴L/𤤾wv𤤿&#𤥀9c𤥁0T𤥂x8𤥃#]Ti𤥢PY𤥣e-𤥴j;𤥵IY𤥶@=Dg𤥻wx𤥿x8𤦀/`qL𤦂YSL/𤦈3c𤦉h3𤦊7h𤦋'X𤦌w`𤦍-#𤦎Hf𤦏3u𤦔MF𤦤w`𤦧j9𤦩#wU)𤦫Fr𤦬B>Fh𤦭o'𤦷wv𤦸(\"𤦹jW𤦺Nx𤦻HP𤧅,*𤧐m]𤧚p9𤧞/a𤧟=x𤧣K;𤧥*M𤧬bk𤧭,`𤧶d&𤧷jR𤧸e:𤧹nf𤧻=x𤨎QZ𤨒vc𤨓lx𤨕Et𤨡GO𤨢<)𤨣Iw𤨤i?𤨥JM𤨦w]𤨧+q𤨨/=𤨩r-𤨪m5𤨾[u𤩂G<𤩅uZ𤩊wl𤩎IK𤩏o*𤩐s3𤩑fL𤩝OZ𤩥uG𤩦KM𤩧7W𤩱9J𤩷uZ𤩸[f𤩹'i𤩺wb𤩽bl𤪌Nx𤪓uZ𤪔LLYp𤪕0y𤪖3Q𤪤a`𤪥BHFr𤪦w`𤪧68𤪱r-𤪲EJ𤪳`8𤪺r4𤪻uZ𤪼Fl𤫀uZ𤫇ww𤫊Fr𤫑d$𤫟EJ𤫢G>𤫩Fr𤬏ENEP𤭢uD𤭮p=𤮨H*𤯌J!d6𤯵x$𤰉y8𤰚Dc𤱝?j𤱰_Q𤲞z$𤲟o'𤳈u-𤳉f_𤳙z(𤴆m`𤴓jYjW𤵐%J𤵚>6𤶊L>`3Yb{癞癞L>DlDl}𤶸@9Dc𤷇`b𤷪/@𤷫neE8𤸻@9Dc𤹐G#𤺥7e𤺧iF𤻊?f𤼎/V𤽜1P𤽯m`𤾀mM𤾂z(𤾆8'𤾗b<𤾚x2𤾩'i𤾸2o𤿂qN𤿪hq𤿲5o𥀬wp𥁒R<!0𥁢OZ𥂁wr𥂝!iRu𥄎o9𥄫J8𥅈E/𥅟R9𥅠dc𥅴sFJ8j_sYhq𥅻p;𥅽7e𥅾k3𥆧uHuGuJ𥇍pk𥇢h^{下眼h^d%RI}𥇣Wb𥇦sc𥇧BhG8𥈟r.𥈠yn𥈡BhG8𥈲Oo𥈶A,𥉏f]f_𥉐da𥊌m*𥊙k3𥋇m<m;𥋘qT𥋟e9𥌎uH𥌑yn𥌓q+𥌛EJ𥎝l^𥐙*G𥐞10𥐟Rm!a𥐥30𥐯<*𥐰QW𥐻@HKuDr𥑆I3𥑪@H𥑬mM𥑮L4YX𥒚Dr@H𥔀WQ𥔱sM𥔲U,𥔵nf𥔿dj𥕏Wh𥕛JK𥕜LKYo𥕝hw𥕞l3𥕢oN𥕥QW𥕦WL𥖁l]𥖄sP𥖏LMYq𥖹?0𥗕ww𥗛o$𥗠EJ𥘅s8𥘵<(𥙑Y?Ku𥚃Ha𥚕p]𥛣7G𥛶sP𥜆EN𥜌#S𥜝Ow𥜥j>𥜽s_𥝝BB𥝢F&𥝲`I𥞛9h𥟇NH𥟟1z𥟠I9𥟡ki𥡗.I𥡝K3𥡲y6𥢢?f𥣈)&𥣞9,𥣡Hh𥤃v[𥤚m]𥥅H'𥥆0C𥥖L4YX𥥷8,𥦬p]𥧌/b𥧹<[𥩔Fr𥩟q+𥪕o!~sQ𥪜=x𥪮l3𥪯wl𥫣z$𥫩lA𥫱;D𥬀`H𥬇sA𥬞BPFz𥬠m]𥬯Mk𥭴r9𥮉,N𥮜ATF$𥮳!#R/𥮴:]𥮾m.mch]𥯆tc𥯤`7𥯨s3𥰁jW𥰆8#𥰡mM𥱊jnj8𥱔hd𥱥pr𥱼*$𥲑.`𥲤gu𥳀`5𥳁M2𥳾WK𥴠l^𥴰j\\𥵃hd𥵚Et𥶙uD`8𥶹j\\𥷑&Q𥸎<f𥹉A>Eh𥺁k3𥺂Xd𥺃j;𥺅9t𥺦9A𥺼!#R/𥻗lx𥻘Hf𥻚A'𥻟Bb𥼚lA𥽋nu𥿝9n𥿡ATF$𥿢`N𦀡z%𦀩;V𦁈gA𦁤B>Fh𦂃=u𦂗tA𦂤,*𦂥8/𦄂7G𦄡.b𦅙/<𦅚vZ𦅛mf𦅜q+𦆟1f𦆭q+𦆮3Q𦆯&?𦆲Fb𦇝x$𦈉`JWL[v𦈋r.𦈌si𦈎<*o\"𦈏/<𦈐Fl𦈑vc𦈓bW𦈔W]𦈕<Tu?𦈖<5𦈘7e𦈙BPFz𦈚l!𦈛;Yq5𦈜mu𦈝uY𦈞&&𦈟J!𦈠vg𦈡u?z$𦉘m9𦉡<$𦉢Fr𦉪11𦉫11𦋐pk𦌊pK𦌵H`𦍋/W/[𦍌va𦍑Lu𦍠G,𦍩L4𦎾r'𦏵x8𦏸vV𦐂x8𦐇<5𦐐/<𦐑ne𦐒Rn!b𦑊jW𦑩3Q𦒄`8𦒈s3𦒉vo𦒍?0𦒘o!𦒜jQ𦔒j9𦕒jK𦕲IY𦖠sF𦖭z$𦖿8?𦘒BPFz𦘦sD𦘩)x𦙶L4𦙼ne𦚓-5-6𦚖hq𦚯vh𦚱G=𦚵r'𦛚A,EV𦛨G<𦛼'W𦜖R2!&{䐱!&hP}𦝁Nx𦝡wowp𦝼H`EN𦞙;:𦞦5k𦞳y6𦞴wo𦟌jR𦠜x,𦡆3u𦡞J#𦡮,L𦢈wa𦢊,o𦢌:t𦢓/V/R𦣇G-𦣞w`𦤎Kc𦤑Kc𦤦fq𦤹j;𦥑LcM.*`𦦨wt𦦵p<𦧲H?H@{地H@8X飯應H?32x#饭应H?32x#}𦧷F.𦧺Dj𦨭+6𦨮9n𦨴?0𦩂uZ𦩑G6𦩒!#R/𦩻jE𦪈T`𦪭7n𦬅NE𦬊j>𦬓vZ𦬕ki𦬣11𦬨n_𦭐o9𦭑=u𦭒jY𦭓r)𦭛o!𦭵yZ𦮂s3𦮖v[𦮗@NDx𦮝10𦮳Ny𦯀&D𦯷0D𦰏9>=c𦰡@=Dg𦰴/`𦱀yJ𦱁wx𦱄L3𦱆;i>6𦱔&c𦱾,*𦱿9>𦲀w`𦲁ATF$𦲂M.𦲤w]𦲷F&𦲸z%𦲽vc𦳀1P𦳃n0𦳊s4𦳑/1𦴢nd𦴣w]𦴤x\"𦴥uE𦴦dS𦴧4-𦴨[w𦴩uG𦴪AUF%𦵑M.𦵯e,𦵴KP𦶟z/yhz2𦶠J'𦶡fV𦶢ff𦶣G&𦶤z(𦶥TT#H𦶦BaG1𦶧WL𦶮`H𦶻hd𦷜d&𦷪u?𦷫fL𦷰3Z𦸀Nx𦸅NG𦸇uP𦸒w]𦹂(\"𦹃3Z𦹄sD𦹅z(𦹮oF𦹲`J𦹷-$𦺄f-𦺈uW𦺋r-sv𦺙EH𦻐hY𦻑ab𦻒0z𦻓o*𦻔4.𦻕vd𦻖h5𦻗lM𦼦sV𦼯l&𦽊_T𦽳z$𦽴j\\𦾟hd𦾡/a𦾾wl𦿞p9𦿟w^𧀎Kc𧁋/=𧁒y\\𧁓CZH*𧂈jF𧂭A&EP𧂮j\\𧂯`I𧃍[f𧃒Ha𧃸3Q𧄉kj𧄌84𧄍OZ𧄦6E𧄧`G𧅤(\"𧅥f-𧅵*l𧇍d!𧈛s3𧉞BHFr𧉧KGgv𧊀I3𧊅V^𧊋r9𧊲q0𧊵Kw𧊶:w𧋊qE𧋦/]𧌇&?&E𧌓3\\𧍒ppq.𧎚d!𧏖*l&?𧏗ncji𧏾BW𧏿l&𧐅lE𧐢fT𧑏l!tz𧑐z2𧒄IK𧒆l]𧒽H]𧓍&?𧕴@SE#𧖣.`𧗠wv𧗤f_𧗴y7𧗽dx𧗾dx𧘂p9𧘌x$𧘲j:𧘹;o𧙕/b𧙖bR𧙗v\\𧚅GP𧚔?.𧜏-$𧜭tz𧜵7G𧜶K9𧝁h3𧝝Dn𧝞JK𧞄z2𧞅7n𧟄yZ𧟌G2𧟘C&𧡘NA𧡰<N𧢝EJ𧢲L/𧣈m'𧤤[f𧥧wl𧥺WM[u𧦠!QR]𧧝R2!&𧧺+3𧧽63𧨊hP𧨎z*𧨾<W<Y{人{欢喜<Yvf6-e:歡喜<Yvf6-e:}鬼食豆腐<YW:sh8,5t}𧩓3u𧩙7Y𧩹s3𧪄JM𧪽lM𧪾uW𧫴J(𧬆jR𧬋3A𧬘IK𧬨`5𧬸<f𧬹EI𧬺8#𧭈BHFr𧭜Hb𧭥Gb𧮪h]o/jK𧯯Nx𧯴ET𧰊=r𧰒YSL/𧰵:o𧱬z%𧲱yW𧳅r(s4𧴪sj𧴯/W𧵓jJ𧵔(S𧵦5Y𧵳sb𧶄hi𧶏3X𧶘G8𧶶3/𧶽ne𧷜y3𧹍he𧹏he𧹑W;𧹕M-𧹖=p𧹗<)𧻙1t𧼮>Q>S𧽒ma𧿒82𧿫<R𧿹0y𨀁H*𨀂pK𨀉q+𨀞Hn𨀣Nv𨀤H]𨁈IS𨂃*r𨂐H]𨂽82𨂾@MDw{光黑@MY?dQ火盆Dw5:-6}𨂿`3𨃞-6𨃟-6𨃨BCFmjR𨃩sM𨃴W]𨄮uK𨅏Dw𨅛l&𨅝v5m;𨅬E!E${尸趌路E!s3J>G>}𨅯_T𨆉=S𨆪v5𨆯)&𨆼q*𨈇Dw@M{光黑DwY?dQ}𨈓Fr𨈘qR𨈚+6𨉉+6𨉖B'FQAQ𨉗yJyE𨉼bS𨊛E;𨊰S8𨊸z2𨋍`E𨋢Fu𨌆`N𨌘lM𨌯yJ𨌺fb𨍥z+𨍭(G𨍳wl𨍽WL𨎊WL𨐅uTLc𨐈Y?Ku𨐒nf𨑨iQ𨑬G&𨑳=x𨑹p9𨒂wx𨓈Q/𨔁vZ𨔼vZ𨔽Np𨕬U,#z𨗨`7𨗴nw𨘀yE𨘋wi𨘥k&𨘻z+𨚪Eh𨚫QS𨚲q0𨚵jw𨚼yE𨛘sQ𨛦WP𨜏x$𨜓jW𨟠h3𨠄vZ𨠒31𨠫vZ𨣦lJ𨤍Fr𨤳F$𨥈JL𨥉q_𨥖v]𨥤uQ𨥨.T𨥬BlG<𨥭,9𨥾,*𨦉ne𨦨-#𨦪y[𨦫z%𨦸iA𨦼wx𨧀9t𨧜(3𨧞x$𨧡WK𨧣fw𨧤du𨧧lA𨧨yn𨧹0T𨧺'X𨧻wx𨧼3c𨨏'o𨨖NN𨨥r3𨨩ki𨨲nf𨨶z%𨩄yE𨩅gB𨩆`3𨩇@NDx𨩈(S𨩉bn𨩊vZ𨩋`8𨩙x$𨩚(\"𨪁wk𨪂uD𨪃=x𨪚f'𨪛z*𨪜vc𨫀jR𨫆=x𨫋LS𨫌lM𨫎i?𨫞nf𨫟HN𨫠lA𨫡K>𨫢u-𨫣NH𨫥p]𨫪f_𨫼Tb#V𨬌[u𨬓z2𨬡QZ𨬢sP𨬫fL𨬬5q𨬭kJ𨬯r'𨭆e-𨭌*9%i𨭎e:𨭐7W𨭣o@𨭤#QT]𨭥x,𨭦z*𨭬.b𨮏m5𨮙fT𨮜jP𨮝;;𨮹9]9b𨯂iA𨯅EJ𨯔H`𨯗x$𨯙f/𨯚`8𨯧ww𨯨e9𨯩h]𨯪fb𨯫U,#z𨯬z*𨯵f-𨯿IG𨰃x!𨰉ht𨰜lA𨰝IL𨰣EJ𨰦(\"𨰫wr𨰰(\"𨰹IG𨰻(\"𨰾.I𨰿e'𨱁x8𨱂TT#H𨱃L3YW𨱄8J𨱅i?𨱆0z𨱇NH𨱈tupK𨱉HP𨱋Fr𨱌LMYq𨱍GN𨱎<Q𨱏qk7e<5𨱑_rb<𨱒r/𨱓jEnr𨱔lKl_𨱖/`𨳊Iu𨳍n&𨳒9:{你{卤味9:AUG=/^老{味9:AUG=/^母9:AUG=0v}鹵味9:AUG=/^}}𨴴'W𨶙EX𨶹s3𨷺Iu𨷿ge𨸂*9𨸃qYr5𨸄d>𨸏3\\𨸚N]𨸟QW𨸬iD𨸶,*𨸹+6𨹥8&𨹦TZ#N𨺗8(𨺬I;𨺲z%𨺳y7𨻙5X𨻧EN𨿅Gb𩁹z$z&𩂈me𩂋J'𩂓:]𩂯vW𩂰9q𩂱w]𩃀wz𩃤Nx𩃥-#𩃬v]𩃭p<𩄍m]𩄐Kw𩄼4.𩅍.b𩅛66𩅞ki𩅰s3𩅻lY𩆜Fr𩆨63𩇕j\\𩇫4-𩋘d*𩋧d*𩏼@bE2𩏿`7𩐀d$𩐝`J𩐠g?𩐳`J𩐿gd𩑈YAKw𩓋DnDl𩓐(z𩓙ab𩓚[f𩓥U,#z𩓧w`𩕧uG𩖖<$𩖗J&𩖞Dx𩖰mf𩖸fT𩗗M2𩗩EN𩗴(n𩙥&V𩙧>B𩙪'E𩙫r-su𩙮d-𩙯_r𩛥jw𩜠Ru/3!i{𩜠/3/3}𩜲6E𩞯HN𩟔mG𩠇uG𩠈va𩠌te𩠐r.𩡗m_𩢤yJ𩢲r(𩣑#]Ti𩣪du𩣱H>𩣺&?&A𩤃!#R/𩤅M-𩤯x!𩥅>?𩥇jS𩥈`E𩥉JM𩥋Rt𩥝j;𩥪63𩦝sV𩦢z$𩧃EJ𩧉Y?Ku𩧨i8𩧪-<𩧫yX𩧭vz𩧯(w𩧰`H𩧱JM𩧲:b𩧴q-q0𩧺LhLc𩧼&?&A𩧿'i𩨀L)𩨁pv𩨃Of𩨄r-𩨇EN𩨈z$𩨊o$𩨍jS𩨎wb𩨏30𩨨j>𩩈Pd^.𩩍+K𩬅wr𩬎v]v`𩭹qW𩮜>-𩯊B3𩯕si𩯭&A𩱳hQ𩲭y6𩴾0b𩵚>@𩵼v[𩶅nf𩶉,O𩶘EhE2𩶛I3𩶬s6𩷶10𩸆x)𩸘LL𩸭Hb𩹨;V𩺬lE𩺰z\"z$%H𩻃tf𩻸8&𩼈#R𩼣Y#KY𩼰nf𩽹S2\"&𩽼_m𩽾#]wvTi𩾁NH𩾂m`𩾃0O𩾇5p𩾈tu𩾊u?𩾋kn𩾌fc𩾷Y!KW𩿞hP𪀔s3𪁏r6𪂇p]𪂹pu𪂿<N𪃡gB𪃭dS𪃳x!𪃸x,𪃾y6𪄇5p𪄣gV𪄳/V𪄴30𪅐1D𪆒RJ!>𪆓s3𪆫QZ𪆴[f𪆵o9𪇟yJ𪇵Y@Kv𪈠x#𪈳F$𪉂`J𪉃/<𪉆j9𪉈nf𪉊_T𪉍??𪉑T`#T𪊓Hf𪊟r?𪊲Hf𪊴uW𪊶=v𪊺Hf𪊽WK𪋟l3𪋿)!𪍑np𪎈x8𪎉d>𪎊np𪎋>#𪎌G6𪎩_Q𪐀@9𪐴lX𪑅`5𪑛/`𪒬CW𪗆mZ𪗋j9𪘁Nb𪘲w]{牙{耸䚗w]R0tcKw聳䚗w]R0tcKw}}𪙊wt𪙛AEEo𪚩XE𪞝:>𪟎IG𪟝ji𪠟i;𪠳n-𪠵Hf𪠸gQ𪠺iK𪡀OZOX𪡃.O𪡋wpwo𪡏Fl𪡛fE𪡞`4[/𪢌E$𪢐DnEH𪢕le𪢠E$𪢮Hx𪢸0x𪣆:]𪣒_l𪣝k&𪣻EOEN𪤚Hf𪥫u-𪥰BHFr𪥿:t𪧀x!𪧘M2EN𪨊tfp<𪨗M)𪨶n0rZ𪨷RB!6𪩇EO𪩎x\"𪩘wvwy𪩷o\"jR𪩸3f𪪑ew𪪞p`𪪼&Q𪫌H,H+𪫷m`𪫺nu𪭢p9p]𪭧/`𪭵HO𪭾d>d=𪮃m0𪮋t?s?𪮖lhle𪮳.]𪮶DnDj{嘢Djw+}𪯋sF𪰶3S4-𪱥3g4.𪱷(S𪲎i-𪲔EJ𪲛Iq𪲮3S𪳍sY𪴙q0𪵑euOZ𪵣e;𪵱EJ𪶄s6𪷍o)𪷽he𪷿ab𪸕e;𪸩3Q`3`J𪹳l!𪺪H*𪺭OZ𪺷o]𪺻CZH*𪺽S&!t𪻐p9p<𪻨:t𪻲[u𪻺W9𪼋&Q𪽇fE𪽈p`𪽪l5𪽮G<𪽷!_w_Rk𪾔uCu@sj𪾢wvwywz𪾣q+FsBI𪾦G<𪾸*l𪿫*)𫀨K:𫀬oB𫁂%P𫁟l^𫁡E2Eh𫁲0x𫁳`7𫁷u-𫂃/=𫂆YSL/𫂈3S𫂙pK𫄙Iv8(K.𫄚bV𫄛J!NKJ#𫄜0z𫄞+3𫄟s3𫄠J-J.𫄡:b?-?0𫄢6J&h𫄣C[CZH+𫄤7n𫄥qLF$s4qFs3F%𫄧wxwu𫄨nc𫄩30𫄫G&G#EJ𫄬s_𫄭6J3\\𫄮=u𫄰(3(4𫄱sc𫄲0z1D𫄳s4qL𫄴Hn𫄶QI𫄷x3𫄸3c𫄹lE[f_V𫅅i.𫅗3f𫅭*i𫆏jP𫇘Dj𫇛G=𫇭`4`7𫇴o?𫇽CZH*𫈉IK𫈎OlKA𫈟ml𫈵lhle𫉁#MTY𫉄uTlW𫊪vZ𫊮G<𫊸K.𫊻o*𫋇K-𫋌8P8J𫋐LS𫋲!cRo𫋷i&:>𫋹wl𫋻PdPe^.𫌀ji𫌇j_hq𫌨G0𫌪0h/V𫌭/`𫌯K.𫍙w`7Y>6𫍚wi𫍛3c𫍜gv𫍠z)𫍡>6w`>7𫍢@HeuDr𫍣?0:b𫍤K.𫍥=g9;=c𫍦CZH*𫍧ncG8𫍨iA𫍩2q𫍪JP𫍫wq𫍬11𫍮`W𫍯d6𫍰qLs4𫍱l]q/uZ𫍲s@r.𫍳kk𫍴ENHaG<𫍵Tb#V𫍷[g𫍸sM𫍹i]hLjq𫍻e9𫍽h3𫍾BHFr𫎆ki𫎌M2𫎦H,𫎧Iw𫎩mcr3𫎪mk𫎫<%7V𫎬J#𫎭o'𫎱G,𫎳&Q𫎺m-𫏃p`𫏆(z𫏋O[K.OXeuM)OYQVOW𫏌H]𫏐hb𫏕v5𫐄z2𫐅sE𫐆G&QwG,𫐇@bE2𫐈&V𫐉FrFo{冚FoNL盖FoK_}𫐊3231𫐌,*𫐎w^𫐏i3𫐐Rl!`𫐑LLYp𫐒WQ𫐓vZ(!(#v[(&𫐕`8𫐖I?𫐗)&,q𫐘dj𫐙H`𫐷EN𫑘l]𫑡.f.g𫑷wt𫓥%w𫓦j:𫓧5o5p𫓨Y!KW𫓩p9𫓪z*𫓬hq𫓭yW𫓯W9Io𫓰uK𫓱OZ𫓲WK𫓴/0.T𫓵r>𫓶h3𫓸32𫓹JK𫓺G=𫓻BPFz𫓽kkp<𫓾yJ𫔁3f&?3e𫔂9b9]s6𫔄vZ𫔅tA𫔆&c𫔇&-+3&h*W𫔈tA𫔉x!𫔊r/𫔋6.𫔌sM𫔍30𫔎Qw𫔔[f𫔯8)𫔰'V32𫔴Hh𫔵j;𫔶x2FzBP𫕥`I𫖃5w𫖅H*𫖇gW𫖒&Q𫖔&2%V𫖫i:𫖬mj𫖮Rm!a𫖯5p=e𫖰9d𫖱J(𫖲`J𫖳`EWK𫖵U,#z𫖶d9𫖹pKl!𫖺3f𫗇vz𫗉(n𫗊!kRw𫗋rK𫗞jQj9𫗟z*𫗠l3𫗢kJkG𫗣'h&e'c𫗥`J`H𫗦(!(#,L𫗧pKtu𫗩G0𫗪D7`5BgHaG7𫗬DOHy𫗮b<𫗰;9𫗱Fg𫗴jQ𫗵gd𫘛fbf`𫘜/<𫘝Qw2w𫘞>6𫘟,@𫘠j;𫘡Xc𫘣fbf^fa𫘤TZ7ER8j>#N𫘥[u𫘦>B𫘧H>𫘨<N𫘩b<𫘪z*𫘫!;RG𫘬d`𫘭u-𫘮i&𫘯mr𫘰jQ<*𫘱[f𫘽Q/Pe^S𫚈lJ𫚉gBLQ𫚊yZ𫚋l]@$𫚌qE𫚍3f3g𫚏K0𫚐yW𫚑'c𫚒3u,*3z𫚓G&𫚔bZ𫚕s3𫚖m[ndi-𫚗J5𫚙,K(!𫚚j_𫚛;\\𫚜[c𫚞F$EH𫚠MF𫚡i4𫚢wv𫚣'Q'R𫚤j9𫚥d!𫚦y6tf𫚧m`oN{白oN&&}𫚪`\\Hn𫚫su𫚭FzE2Eh𫛚K9dujQ𫛛j9𫛜3Z3X𫛝6-𫛞XuQw𫛟H*𫛡6J𫛢BHFr𫛣`\\z2𫛤I3𫛥IY𫛦bQ𫛨+6𫛩!;RG𫛪z$𫛫z*𫛬>B𫛭]lPH𫛮'e𫛯5X𫛰Nx𫛱kJh\\𫛳6J𫛴<N8&<*𫛵Wb𫛶o9𫛷bT𫛸<N𫛺dc𫛼[f𫛽Hn𫜀r<𫜁&/&2'e𫜃v`wn𫜄lK𫜅_l𫜑63𫜒>3𫜔+6𫜙`J𫜨%P𫜪R=!1𫜬i#hPi&𫜭o@𫜮wzRI!=𫜰!M!#R/RY𫜲H+𫜳wr𫝈`H𫝦(S𫝧uV𫝨3Q𫝩m`𫝫G6𫝬b\\2wPd𫝭x!𫝮E%𫝵9p𫞗/=1O𫞚j9nf𫞛lW𫞝Qw𫞠Fr𫞡a`𫞣m4𫞥(S1P𫞦i2m[j9𫞧G<𫞨Dx𫞩1`𫟃vbv`𫟄`N𫟅HN𫟆p=p<kn𫟇Fb𫟑Fr𫟕Nx𫟞j:𫟟-5𫟠o\"𫟡p<𫟢<$𫟤>6𫟥du𫟦uD𫟲NH𫟳j>𫟴3c𫟵`I;>yn𫟶q_𫟷E2𫟸sc𫟹gB𫟺fK𫟻i3𫟼7n𫟿sjlu𫠀oM𫠁e&<5𫠂Fr𫠅Ie𫠆[d𫠇mf𫠈'i𫠊z*𫠋H>𫠐d6di𫠑r-𫠒l3lK𫠜Rl!`𫧮)!𫫃\"3𫬐oG𫬷Nr𫵱n&𬑡m^𬒔!vJ.𬬭Hf3c𬬻G<𬭊9t𬭛'o𬭭o9𬭳e:𬭶e-𬸯,9𭉝uTuR{𭉝uTuR}勇y7吆wi咢U,#z屮o5弢>?慈nf晉lM芳5W䕫[f蜨sY貫LMYq𰬸uDuAu@𰰨Hf𰶎rE𰾄1N𰾭#MTY}"),L=[F],p=[0];for(let u=1;L.length;){let r=L[L.length-1],d=p[p.length-1];for(;H[u].codePointAt(0)>=256;){const j=new Map;r.set(H[u++],j),r=j,d++}const j=[];for(;H[u].codePointAt(0)<123;){const r=[];for(let j=0;j<d;)r.push(x(90*(H[u++].charCodeAt(0)-33)+(H[u++].charCodeAt(0)-33))),"~"===H[u]?u++:j++;j.push(r.join(" "))}j.length&&(r.v=j),"{"===H[u]?(u++,L.push(r),p.push(d)):"}"===H[u]&&(u++,L.pop(),p.pop())}L=void 0,p=void 0,H=void 0;class n{get(u){const r=[];for(let d=Array.from(u),j=0;j<d.length;){let u=F,K="",f=j;for(let r=j;r<d.length;r++){const j=u.get(d[r]);if(!j)break;const s=this.getValue(u=j);s&&(K=s[0],f=r)}if(f===j)r.push([d[j++],K||null]);else for(const u=K.split(" "),s=j;j<=f;j++)r.push([d[j],u[j-s]])}return r}getAll(u){const r=F,d=Array.from(u,(u=>{const d=r.get(u),j=d&&this.getValue(d);return[u,j?[j]:[]]}));for(let u=0;u<d.length;u++){let j=r.get(d[u][0]);if(j)for(let r=u+1;r<d.length&&(j=j.get(d[r][0]),j);r++){const K=this.getValue(j);if(K){const j=r-u;for(const f of K)for(let K=f.split(" "),s=u;s<=r;s++){const r=d[s][1];j in r?r[j].push(K[s-u]):r[j]=[K[s-u]]}}}}return d.map((([u,r])=>[u,Array.from(new Set(r.reverse().flat()))]))}getValue(u){return u.v}}class e extends n{#u;constructor(u){super(),this.#u=u}customize(u,r){(Array.from(u).reduce(((u,r)=>{let d=u.get(r);return d||u.set(r,d=new Map),d}),F).m??=new WeakMap).set(this,r)}getValue(u){return u.m?u.m.has(this)?u.m.get(this):this.#u.getValue(u):u.v}}class h{#r;constructor(u){this.#r=u}#d;get getJyutpingList(){return this.#d||=u=>this.#r.get(u)}#j;get getJyutping(){return this.#j||=u=>this.#r.get(u).map((([u,r])=>u+(r?`(${r})`:""))).join("")}#K;get getJyutpingText(){return this.#K||=u=>function(u,w){return u.replace(/[^\0-\x1f\x80-\x9f]+/g,(u=>{const i=[null],I=[null];for(const[z,q]of w(u))q?(i.push(q),I.push(null)):z.trim()&&(i.push(r.get(z)||""),I.push(z));i.push(null),I.push(null);let G="",Q="";for(let R=1;R<I.length-1;R++){const x=i[R-1],F=i[R],H=i[R+1];function L(){let u=R-1;for(;u&&j.has(i[u]);)u--;const r=u&&i[u]&&i[u].length>1;for(u=R+1;u<i.length-1&&d.has(i[u]);)u++;const K=u&&i[u]&&i[u].length>1;return r&&K}function p(){G&&!l.has(G[G.length-1])&&(G+=" ")}function n(){(o.has(I[R+1])?R<I.length-2&&b.has(I[R+2]):!E.has(H))&&(G+=" ")}if(F.length>1)p(),G+=F,n();else if(!F||o.has(I[R])&&b.has(I[R+1])&&!J.has(x))G.endsWith("[…]")||(G+="[…]");else{if(v.has(I[R])&&b.has(I[R+1])&&b.has(I[R-1]))continue;if(f.has(F))p(),G+=F,Q+=K.get(F);else if(s.has(F)){G+=F,n();const e=Q.lastIndexOf(F);-1!==e&&(Q=Q.substring(0,e))}else if("-"===F){if("-"===x)continue;"-"===H||L()?G+=" – ":G+=F}else if("~"===F)"~"===x&&"~"!==H||L()?G+="~ ":G+=F;else if("·"===F)G+=F;else{let h=Q.length-1,W=!1;for(;h>=0&&!j.has(Q[h]);){if(Q[h]===F){W=!0;break}h--}W?(Q=Q.slice(0,h),G+=F,n()):(p(),G+=F,Q+=F)}}}return G.trim().replace(/\s+/," ")}))}(u,this.getJyutpingList)}#f;get getJyutpingCandidates(){return this.#f||=u=>this.#r.getAll(u)}#s;get getIPAList(){return this.#s||=u=>this.#r.get(u).map((u=>(u[1]&&=A(u[1]),u)))}#w;get getIPA(){return this.#w||=u=>this.#r.get(u).map((([u,r])=>u+(r?`[${A(r)}]`:""))).join("")}#l;get getIPAText(){return this.#l||=u=>function(u,d){return u.replace(/[^\0-\x1f\x80-\x9f]+/g,(u=>{const j=[],K=[];for(const[f,s]of d(u))s?(j.push(s),K.push(null)):f.trim()&&(j.push(r.get(f)||""),K.push(f));K.push(null);const f=[];for(let u=0;u<j.length;u++){const r=j[u];if(r.length>1)f.push(r);else if(r&&(!o.has(K[u])||!b.has(K[u+1])||u&&J.has(j[u-1]))){if(f.length){if(v.has(K[u])&&b.has(K[u+1])&&u&&b.has(K[u-1]))continue;i.has(r)?f[f.length-1].length>1?f.push("‖"):f[f.length-1]="‖":I.has(r)&&f[f.length-1].length>1&&f.push("|")}}else f.length&&"⸨…⸩"===f[f.length-1]||f.push("⸨…⸩")}1===f[f.length-1].length&&f.pop();let s="";for(let u=0;u<f.length;u++){const r=f[u];if(s+=r,u<f.length-1){const d=f[u+1];"⸨…⸩"!==r&&r.length>1&&"⸨…⸩"!==d&&d.length>1?s+=".":s+=" "}}return s}))}(u,this.getIPAList)}#E;get getIPACandidates(){return this.#E||=u=>this.#r.getAll(u).map((u=>(u[1]=u[1].map(A),u)))}#o;get customize(){return this.#o||=u=>{const r=new e(this.#r),d=new h(r);for(const[d,j]of u instanceof Map?u:Object.entries(u))r.customize(d,"string"==typeof j?[j]:j);return d}}jyutpingToIPA=A}const W=new h(new n),{getJyutpingList:N,getJyutping:T,getJyutpingText:_,getJyutpingCandidates:m,getIPAList:c,getIPA:k,getIPAText:t,getIPACandidates:M,customize:X}=W,y={b:"p",p:"pʰ",m:"m",f:"f",d:"t",t:"tʰ",n:"n",l:"l",g:"k",k:"kʰ",ng:"ŋ",gw:"kʷ",kw:"kʷʰ",w:"w",h:"h",z:"t͡s",c:"t͡sʰ",s:"s",j:"j"},P={aa:"aː",a:"ɐ",e:"ɛː",i:"iː",o:"ɔː",u:"uː",oe:"œː",eo:"ɵ",yu:"yː"},B={ei:"ei̯",ing:"eŋ",ik:"ek̚",ou:"ou̯",ung:"oŋ",uk:"ok̚",eoi:"ɵy̑",m:"m̩",ng:"ŋ̍"},V={i:"i̯",u:"u̯",m:"m",n:"n",ng:"ŋ",p:"p̚",t:"t̚",k:"k̚"},Y={1:"˥",2:"˧˥",3:"˧",4:"˨˩",5:"˩˧",6:"˨"},D=/^([gk]w?|ng|[bpmfdtnlhwzcsj]?)(?![1-6]?$)((aa?|oe?|eo?|y?u|i?)(ng|[iumnptk]?))([1-6]?)$/;function A(u){return u.toLowerCase().split(/\W+/).map((u=>{const[,r,d,j,K,f]=D.exec(u)||[];return(r&&y[r])+(d in B?B[d]:(j&&P[j])+(K&&V[K]))+(f&&Y[f])})).join(".")}u.customize=X,u.default=W,u.getIPA=k,u.getIPACandidates=M,u.getIPAList=c,u.getIPAText=t,u.getJyutping=T,u.getJyutpingCandidates=m,u.getJyutpingList=N,u.getJyutpingText=_,u.jyutpingToIPA=A,Object.defineProperty(u,"__esModule",{value:!0})}));
@@ -0,0 +1,93 @@
+// 增量分析测试
+// 对基准歌词逐次做随机的单字修改，每次修改后的增量分析结果都应与完整分析相同（ID和颜色除外）
+// 用法：node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// 每组选项连续修改的次数
+const EDIT_COUNT = 39;
+
+// 替换用的字，多为常见韵脚，使修改容易产生或破坏押韵
+const EDIT_CHARS = '光霜乡明月天地人心风来开怀花家他我说多歌';
+
+// 参与比对的选项组合：页面的默认选项（行差容差为1）只重新计算受影响的押韵，
+// 分析器的默认选项（行差容差为4）和近韵会重新计算所有押韵
+const OPTION_SETS = {
+    app: { interLineLineDiffTolerance: 1, internalRhymeTolerance: 1 },
+    strict: { interLineLineDiffTolerance: 1, rhymePrecision: 'strict' },
+    loose: { interLineLineDiffTolerance: 1, rhymePrecision: 'loose', interLineTolerance: 4 },
+    overlap: { interLineLineDiffTolerance: 1, internalRhymeTolerance: 1, allowOverlap: true },
+    default: {},
+    near: { interLineLineDiffTolerance: 4, similarityThreshold: 0.8 }
+};
+
+/**
+ * 基于种子的伪随机数生成器，保证每次运行的修改相同
+ * @param {number} seed - 随机种子
+ * @returns {Function} 返回0到1之间随机数的函数
+ */
+function createRandom(seed) {
+    let state = seed;
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 提取分析结果中与修改历史无关的部分：押韵的位置、类型、精度和所属的链（ID和颜色可能不同）
+ * @param {Object} analysis - analyzeRhymePatterns的返回值
+ * @returns {Object} { results, chains }
+ */
+function getComparableAnalysis(analysis) {
+    const getKey = result => `${result.category}|${result.positions.map(pos => `${pos.line}-${pos.char}-${pos.length}`).join(',')}`;
+    const results = analysis.analysisResults.map(result =>
+        `${getKey(result)}|${result.rhymeType}|${result.matchLevel}|${Math.round(result.similarity * 10000)}`).sort();
+    const chainMembers = new Map();
+    analysis.analysisResults.forEach(result => {
+        if (!chainMembers.has(result.chainId)) {
+            chainMembers.set(result.chainId, []);
+        }
+        chainMembers.get(result.chainId).push(getKey(result));
+    });
+    const chains = Array.from(chainMembers.values(), members => members.sort().join(';')).sort();
+    return { results, chains };
+}
+
+test('增量分析与完整分析结果一致', async t => {
+    const { setPinyinLibrary, setRhymeMappings, convertTextToRhymeGroups } = await import('../components/rhymeConverter.js');
+    const { analyzeRhymePatterns } = await import('../components/rhymeAnalyzer.js');
+    setPinyinLibrary(require('../libs/pinyinPro.js'));
+    setRhymeMappings(JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/rhyme-mappings.json'), 'utf8')));
+    const originalLines = fs.readFileSync(path.join(__dirname, '../utils/benchmark/verse.txt'), 'utf8').split('\n');
+    const editChars = Array.from(EDIT_CHARS);
+
+    for (const [optionName, options] of Object.entries(OPTION_SETS)) {
+        await t.test(optionName, () => {
+            const random = createRandom(20240601);
+            const lines = originalLines.slice();
+            let analysis = analyzeRhymePatterns(convertTextToRhymeGroups(lines.join('\n')), options);
+
+            // 连续修改，每次都以上一次的增量结果为基础，使差异不会被完整分析掩盖
+            for (let edit = 0; edit < EDIT_COUNT; edit++) {
+                const lineIndex = Math.floor(random() * lines.length);
+                const chars = Array.from(lines[lineIndex]);
+                if (chars.length === 0) {
+                    continue;
+                }
+                chars[Math.floor(random() * chars.length)] = editChars[Math.floor(random() * editChars.length)];
+                lines[lineIndex] = chars.join('');
+
+                const rhymeGroups = convertTextToRhymeGroups(lines.join('\n'));
+                analysis = analyzeRhymePatterns(rhymeGroups, options, analysis);
+                assert.deepStrictEqual(getComparableAnalysis(analysis), getComparableAnalysis(analyzeRhymePatterns(rhymeGroups, options)),
+                    `第 ${edit + 1} 次修改（第 ${lineIndex + 1} 行）后增量分析与完整分析不一致`);
+            }
+        });
+    }
+});
@@ -0,0 +1,61 @@
+// 韵脚分组配置与映射表测试
+// 检查普通话、中华新韵和粤语的分组配置没有重复或格式错误的读音、所有汉字读音都有映射，且已提交的映射表与分组配置一致；
+// 平水韵的韵部表由《广韵》数据生成，生成依赖不随仓库提供，只检查其结构
+// 用法：node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { checkRhymeGroups } = require('../utils/rhymeMapGenerator.js');
+
+for (const languageName of ['mandarin', 'xinyun', 'cantonese']) {
+    test(`${languageName} 韵脚分组配置与映射表`, async t => {
+        const { system, rhymeMappings, report, errors } = await checkRhymeGroups(languageName);
+
+        await t.test('分组配置没有错误，所有汉字读音都有映射', () => {
+            assert.deepStrictEqual(errors, []);
+            assert.strictEqual(report.mappedSyllableCount + report.ignored.length, report.syllableCount);
+        });
+
+        await t.test('映射表与分组配置一致', () => {
+            const savedMappings = JSON.parse(fs.readFileSync(path.join(__dirname, '..', system.mappingsPath), 'utf8'));
+            assert.deepStrictEqual(savedMappings, rhymeMappings,
+                `${system.mappingsPath} 与 ${system.groupsPath} 不一致，请运行 node utils/rhymeMapGenerator.js --language ${languageName}`);
+        });
+    });
+}
+
+// 平水韵的韵部数：上平、下平各15韵，上声29韵，去声30韵，入声17韵
+const PINGSHUI_SECTION_COUNTS = { 平: 30, 上: 29, 去: 30, 入: 17 };
+
+test('平水韵韵部表结构', () => {
+    const mappingsPath = 'assets/pingshui-rhyme-mappings.json';
+    const mappings = JSON.parse(fs.readFileSync(path.join(__dirname, '..', mappingsPath), 'utf8'));
+    const sectionTones = new Map();
+
+    Object.entries(mappings).forEach(([char, entries]) => {
+        assert.ok(Array.isArray(entries) && entries.length > 0, `${char} 没有读音`);
+        entries.forEach(entry => {
+            // 每项为[韵部, 广韵韵目, 声调]，有多个读音时附加普通话推导读音
+            assert.strictEqual(entry.length, entries.length > 1 ? 4 : 3, `${char} 的读音 ${JSON.stringify(entry)} 项数不正确`);
+            const [section, rhyme, tone, reading] = entry;
+            assert.match(section, /^[一二三四五六七八九十]+\p{Script=Han}$/u, `${char} 的韵部 ${section} 格式不正确`);
+            assert.ok(typeof rhyme === 'string' && rhyme.length > 0, `${char} 缺少广韵韵目`);
+            assert.ok(tone in PINGSHUI_SECTION_COUNTS, `${char} 的声调 ${tone} 不是平、上、去、入`);
+            if (reading !== undefined) {
+                assert.match(reading, /^[a-zü]+[1-5]?$/, `${char} 的推导读音 ${reading} 格式不正确`);
+            }
+
+            // 同一韵部的声调必须一致
+            assert.strictEqual(sectionTones.get(section) || tone, tone, `韵部 ${section} 同时出现在${sectionTones.get(section)}声和${tone}声`);
+            sectionTones.set(section, tone);
+        });
+    });
+
+    const sectionCounts = {};
+    sectionTones.forEach(tone => {
+        sectionCounts[tone] = (sectionCounts[tone] || 0) + 1;
+    });
+    assert.deepStrictEqual(sectionCounts, PINGSHUI_SECTION_COUNTS, `${mappingsPath} 的韵部数与平水韵106韵不符`);
+});
@@ -0,0 +1,51 @@
+// 韵式测试
+// 检查常见韵式在页面默认选项（行差容差为1）下也能按句尾韵脚识别，不受句尾押韵只比较相邻行的限制
+// 用法：node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// 页面的默认检测选项
+const APP_OPTIONS = { interLineLineDiffTolerance: 1, internalRhymeTolerance: 1 };
+
+// 光、霜、乡押 ANG，来、开押 AI，走押 OU
+const FIXTURES = [
+    { text: '床前明月光\n疑是地上霜\n春风吹过来\n花儿朵朵开', scheme: 'AABB', pattern: 'couplet' },
+    { text: '床前明月光\n春风吹过来\n疑是地上霜\n花儿朵朵开', scheme: 'ABAB', pattern: 'alternate' },
+    { text: '床前明月光\n春风吹过来\n花儿朵朵开\n疑是地上霜', scheme: 'ABBA', pattern: 'enclosed' },
+    { text: '床前明月光\n疑是地上霜\n举头望故乡\n低头思家乡', scheme: 'AAAA', pattern: 'monorhyme' },
+    { text: '床前明月光\n春风吹过来\n独自向前走\n疑是地上霜', scheme: 'ABCA', pattern: null }
+];
+
+test('韵式识别', async t => {
+    const { setPinyinLibrary, setRhymeMappings, convertTextToRhymeGroups } = await import('../components/rhymeConverter.js');
+    const { analyzeRhymePatterns } = await import('../components/rhymeAnalyzer.js');
+    const { deriveRhymeSchemes } = await import('../components/rhymeScheme.js');
+    setPinyinLibrary(require('../libs/pinyinPro.js'));
+    setRhymeMappings(JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/rhyme-mappings.json'), 'utf8')));
+
+    for (const { text, scheme, pattern } of FIXTURES) {
+        await t.test(scheme, () => {
+            const { lineLetters, stanzas } = deriveRhymeSchemes(analyzeRhymePatterns(convertTextToRhymeGroups(text), APP_OPTIONS));
+            assert.strictEqual(lineLetters.join(''), scheme);
+            assert.strictEqual(stanzas.length, 1);
+            assert.strictEqual(stanzas[0].scheme, scheme);
+            assert.strictEqual(stanzas[0].pattern, pattern);
+        });
+    }
+
+    await t.test('每段的字母从A重新开始', () => {
+        const text = `${FIXTURES[1].text}\n\n${FIXTURES[2].text}`;
+        const { stanzas } = deriveRhymeSchemes(analyzeRhymePatterns(convertTextToRhymeGroups(text), APP_OPTIONS));
+        assert.deepStrictEqual(stanzas.map(stanza => stanza.scheme), ['ABAB', 'ABBA']);
+    });
+
+    // 来、怀、台为阳平，在为去声
+    await t.test('句尾声调要求相同时按声调区分', () => {
+        const rhymeGroups = convertTextToRhymeGroups('春风吹过来\n心中有情怀\n门前有人在\n登上高高台');
+        const { lineLetters } = deriveRhymeSchemes(analyzeRhymePatterns(rhymeGroups, { ...APP_OPTIONS, endRhymeTone: 'same' }));
+        assert.strictEqual(lineLetters.join(''), 'AABA');
+    });
+});
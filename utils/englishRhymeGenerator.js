@@ -0,0 +1,96 @@
+// 生成英文押韵词表脚本
+// 中文说唱歌词中常夹杂英文单词，本脚本从CMU发音词典（CMUdict）中取出常用英文单词的押韵部分，
+// 生成单词到押韵部分的映射表，供分析混合歌词时离线使用
+// 发音来自cmu-pronouncing-dictionary（ISC许可，CMUdict本身为BSD许可），
+// 常用词按SUBTLEX-US词频选取，来自subtlex-word-frequencies（ISC许可），两者只在生成时需要：
+//   npm install --prefix /tmp/english cmu-pronouncing-dictionary subtlex-word-frequencies
+// 用法：node utils/englishRhymeGenerator.js <node_modules目录>
+//   如：node utils/englishRhymeGenerator.js /tmp/english/node_modules
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// 收录的常用词数量
+const WORD_COUNT = 10000;
+
+// 只收录由字母和撇号组成的单词（如"don't"），与components/englishRhymes.js的分词规则一致
+const WORD_PATTERN = /^[a-z]+(?:'[a-z]+)*$/;
+
+/**
+ * 获取ARPAbet音标的押韵部分：从最后一个重读元音（主重音或次重音）到词尾，去掉重音数字
+ * 没有重读元音时从最后一个元音开始
+ * @param {string} phones - CMUdict音标，如'M AH1 N IY0'
+ * @returns {string} 押韵部分，如'AH N IY'
+ */
+function getRhymeTail(phones) {
+    const list = phones.split(' ');
+    let start = -1;
+    for (let i = list.length - 1; i >= 0; i--) {
+        if (/[12]$/.test(list[i])) {
+            start = i;
+            break;
+        }
+        if (start === -1 && /\d$/.test(list[i])) {
+            start = i;
+        }
+    }
+    return start === -1 ? '' : list.slice(start).map(phone => phone.replace(/\d$/, '')).join(' ');
+}
+
+async function main() {
+    const modulesDir = process.argv[2];
+    if (!modulesDir) {
+        console.error('用法: node utils/englishRhymeGenerator.js <node_modules目录>');
+        process.exit(2);
+    }
+
+    // cmu-pronouncing-dictionary只提供ES模块
+    const dictionaryPath = path.resolve(modulesDir, 'cmu-pronouncing-dictionary/index.js');
+    const { dictionary } = await import(pathToFileURL(dictionaryPath).href);
+    const frequencies = require(path.resolve(modulesDir, 'subtlex-word-frequencies/index.json'));
+
+    // 按词频从高到低取词典中有发音的单词，只取每个单词的第一个发音
+    const englishRhymes = {};
+    let count = 0;
+    for (const { word } of frequencies) {
+        const key = word.toLowerCase();
+        if (count >= WORD_COUNT) {
+            break;
+        }
+        if (!WORD_PATTERN.test(key) || englishRhymes[key] || !dictionary[key]) {
+            continue;
+        }
+        const tail = getRhymeTail(dictionary[key]);
+        if (tail) {
+            englishRhymes[key] = tail;
+            count++;
+        }
+    }
+
+    // SUBTLEX将缩约形式拆成两个词，另外收录已收录单词的缩约形式（如"don't""I'm"），
+    // 所有格"'s"在分析时由词干推出，不单独收录
+    let contractionCount = 0;
+    Object.keys(dictionary).forEach(key => {
+        if (key.includes("'") && !key.endsWith("'s") && WORD_PATTERN.test(key) &&
+            englishRhymes[key.split("'")[0]] && !englishRhymes[key]) {
+            englishRhymes[key] = getRhymeTail(dictionary[key]);
+            contractionCount++;
+        }
+    });
+
+    // 按单词排序，每个单词一行
+    const outputPath = path.join(__dirname, '../assets/english-rhymes.json');
+    const lines = Object.keys(englishRhymes).sort()
+        .map(word => `${JSON.stringify(word)}:${JSON.stringify(englishRhymes[word])}`);
+    fs.writeFileSync(outputPath, `{\n${lines.join(',\n')}\n}\n`, 'utf8');
+
+    console.log('英文押韵词表生成完成！');
+    console.log(`词表已保存到: ${outputPath}`);
+    console.log(`共收录 ${count} 个英文单词和 ${contractionCount} 个缩约形式，${new Set(Object.values(englishRhymes)).size} 种押韵部分`);
+}
+
+main().catch(error => {
+    console.error('生成英文押韵词表失败:', error);
+    process.exit(1);
+});
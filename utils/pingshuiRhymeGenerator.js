@@ -0,0 +1,164 @@
+// 生成平水韵韵部表脚本
+// 平水韵的106个韵部由《广韵》206韵合并而来，本脚本按合并关系将《广韵》的每个读音归入平水韵韵部，
+// 生成以汉字（而非拼音）为键的映射表，供平水韵模式离线使用
+// 《广韵》数据来自qieyun（CC0许可），读音的普通话推导来自qieyun-examples的putonghua.js（CC0许可），
+// 繁简转换使用opencc-js（MIT许可），三者只在生成时需要：
+//   npm install --prefix /tmp/pingshui qieyun qieyun-examples opencc-js
+// 用法：node utils/pingshuiRhymeGenerator.js <node_modules目录>
+//   如：node utils/pingshuiRhymeGenerator.js /tmp/pingshui/node_modules
+
+const fs = require('fs');
+const path = require('path');
+
+// qieyun的韵（以平声韵目代表四声）→ 平、上、去、入四声对应的"平水韵韵部/广韵韵目"，该声调没有字时为null
+// 真、寒、歌三韵在qieyun中包含合口的谆、桓和戈韵，参见SPLIT_RHYME_TABLE
+const RHYME_TABLE = {
+    東: ['一东/东', '一董/董', '一送/送', '一屋/屋'],
+    冬: ['二冬/冬', '二肿/肿', '二宋/宋', '二沃/沃'],
+    鍾: ['二冬/钟', '二肿/肿', '二宋/用', '二沃/烛'],
+    江: ['三江/江', '三讲/讲', '三绛/绛', '三觉/觉'],
+    支: ['四支/支', '四纸/纸', '四寘/寘', null],
+    脂: ['四支/脂', '四纸/旨', '四寘/至', null],
+    之: ['四支/之', '四纸/止', '四寘/志', null],
+    微: ['五微/微', '五尾/尾', '五未/未', null],
+    魚: ['六鱼/鱼', '六语/语', '六御/御', null],
+    虞: ['七虞/虞', '七麌/麌', '七遇/遇', null],
+    模: ['七虞/模', '七麌/姥', '七遇/暮', null],
+    齊: ['八齐/齐', '八荠/荠', '八霁/霁', null],
+    祭: ['八齐/祭', null, '八霁/祭', null],
+    泰: [null, null, '九泰/泰', null],
+    佳: ['九佳/佳', '九蟹/蟹', '十卦/卦', null],
+    皆: ['九佳/皆', '九蟹/骇', '十卦/怪', null],
+    夬: [null, null, '十卦/夬', null],
+    灰: ['十灰/灰', '十贿/贿', '十一队/队', null],
+    咍: ['十灰/咍', '十贿/海', '十一队/代', null],
+    廢: [null, '十贿/废', '十一队/废', null],
+    眞: ['十一真/真', '十一轸/轸', '十二震/震', '四质/质'],
+    臻: ['十一真/臻', '十一轸/轸', '十二震/震', '四质/栉'],
+    文: ['十二文/文', '十二吻/吻', '十三问/问', '五物/物'],
+    欣: ['十二文/欣', '十二吻/隐', '十三问/焮', '五物/迄'],
+    元: ['十三元/元', '十三阮/阮', '十四愿/愿', '六月/月'],
+    魂: ['十三元/魂', '十三阮/混', '十四愿/慁', '六月/没'],
+    痕: ['十三元/痕', '十三阮/很', '十四愿/恨', '六月/没'],
+    寒: ['十四寒/寒', '十四旱/旱', '十五翰/翰', '七曷/曷'],
+    刪: ['十五删/删', '十五潸/潸', '十六谏/谏', '八黠/鎋'],
+    山: ['十五删/山', '十五潸/产', '十六谏/裥', '八黠/黠'],
+    先: ['一先/先', '十六铣/铣', '十七霰/霰', '九屑/屑'],
+    仙: ['一先/仙', '十六铣/狝', '十七霰/线', '九屑/薛'],
+    蕭: ['二萧/萧', '十七筱/筱', '十八啸/啸', null],
+    宵: ['二萧/宵', '十七筱/小', '十八啸/笑', null],
+    肴: ['三肴/肴', '十八巧/巧', '十九效/效', null],
+    豪: ['四豪/豪', '十九皓/皓', '二十号/号', null],
+    歌: ['五歌/歌', '二十哿/哿', '二十一个/个', null],
+    麻: ['六麻/麻', '二十一马/马', '二十二祃/祃', null],
+    陽: ['七阳/阳', '二十二养/养', '二十三漾/漾', '十药/药'],
+    唐: ['七阳/唐', '二十二养/荡', '二十三漾/宕', '十药/铎'],
+    庚: ['八庚/庚', '二十三梗/梗', '二十四敬/映', '十一陌/陌'],
+    耕: ['八庚/耕', '二十三梗/耿', '二十四敬/诤', '十一陌/麦'],
+    清: ['八庚/清', '二十三梗/静', '二十四敬/劲', '十一陌/昔'],
+    青: ['九青/青', '二十四迥/迥', '二十五径/径', '十二锡/锡'],
+    蒸: ['十蒸/蒸', '二十四迥/拯', '二十五径/证', '十三职/职'],
+    登: ['十蒸/登', '二十四迥/等', '二十五径/嶝', '十三职/德'],
+    尤: ['十一尤/尤', '二十五有/有', '二十六宥/宥', null],
+    侯: ['十一尤/侯', '二十五有/厚', '二十六宥/候', null],
+    幽: ['十一尤/幽', '二十五有/黝', '二十六宥/幼', null],
+    侵: ['十二侵/侵', '二十六寝/寝', '二十七沁/沁', '十四缉/缉'],
+    覃: ['十三覃/覃', '二十七感/感', '二十八勘/勘', '十五合/合'],
+    談: ['十三覃/谈', '二十七感/敢', '二十八勘/阚', '十五合/盍'],
+    鹽: ['十四盐/盐', '二十八琰/琰', '二十九艳/艳', '十六叶/叶'],
+    添: ['十四盐/添', '二十八琰/忝', '二十九艳/㮇', '十六叶/帖'],
+    嚴: ['十四盐/严', '二十八琰/俨', '二十九艳/酽', '十六叶/业'],
+    咸: ['十五咸/咸', '二十九豏/豏', '三十陷/陷', '十七洽/洽'],
+    銜: ['十五咸/衔', '二十九豏/槛', '三十陷/鉴', '十七洽/狎'],
+    凡: ['十五咸/凡', '二十九豏/范', '三十陷/梵', '十七洽/乏']
+};
+
+// 真、寒、歌三韵中属于谆、桓、戈韵的读音：真、寒的合口，歌的合口和三等
+const SPLIT_RHYME_TABLE = {
+    眞: { is: '合口', rhymes: ['十一真/谆', '十一轸/准', '十二震/稕', '四质/术'] },
+    寒: { is: '合口', rhymes: ['十四寒/桓', '十四旱/缓', '十五翰/换', '七曷/末'] },
+    歌: { is: '合口 或 三等', rhymes: ['五歌/戈', '二十哿/果', '二十一个/过', null] }
+};
+
+const TONES = ['平', '上', '去', '入'];
+
+/**
+ * 获取《广韵》读音所属的平水韵韵部和广韵韵目
+ * @param {Object} position - qieyun的音韵地位
+ * @returns {Array<string>} [平水韵韵部, 广韵韵目]
+ * @throws {Error} 韵部表中没有对应的韵部时抛出错误
+ */
+function getRhyme(position) {
+    const split = SPLIT_RHYME_TABLE[position.韻];
+    const rhymes = split && position.屬於(split.is) ? split.rhymes : RHYME_TABLE[position.韻];
+    const rhyme = rhymes && rhymes[TONES.indexOf(position.聲)];
+    if (!rhyme) {
+        throw new Error(`韵部表中没有 ${position.描述} 对应的平水韵韵部`);
+    }
+    return rhyme.split('/');
+}
+
+const modulesDir = process.argv[2];
+if (!modulesDir) {
+    console.error('用法: node utils/pingshuiRhymeGenerator.js <node_modules目录>');
+    process.exit(2);
+}
+
+const Qieyun = require(path.resolve(modulesDir, 'qieyun'));
+const OpenCC = require(path.resolve(modulesDir, 'opencc-js'));
+
+// putonghua.js为推导方案的函数体，参数为选项、音韵地位和字头，推导出带声调数字的普通话读音
+const putonghuaSource = fs.readFileSync(path.resolve(modulesDir, 'qieyun-examples/putonghua.js'), 'utf8');
+const derivePutonghua = new Function('選項', '音韻地位', '字頭', putonghuaSource);
+const toSimplified = OpenCC.Converter({ from: 't', to: 'cn' });
+
+// 收集每个字头的读音，简化字同时收录其所有繁体字的读音（如"后"收录"後"和"后"）
+const entriesByChar = new Map();
+let readingCount = 0;
+for (const position of Qieyun.資料.iter音韻地位()) {
+    const [rhymeGroup, guangyunRhyme] = getRhyme(position);
+    const reading = derivePutonghua({ 標調方式: '數字' }, position);
+    for (const { 字頭: char } of Qieyun.資料.query音韻地位(position)) {
+        readingCount++;
+        const simplified = toSimplified(char);
+        const chars = Array.from(simplified).length === 1 && simplified !== char ? [char, simplified] : [char];
+        chars.forEach(key => {
+            if (!entriesByChar.has(key)) {
+                entriesByChar.set(key, []);
+            }
+            entriesByChar.get(key).push({ rhymeGroup, guangyunRhyme, tone: position.聲, reading, isOwn: key === char });
+        });
+    }
+}
+
+// 字头本身的读音排在繁体字的读音之前，同一韵部和韵目的读音只保留第一个；
+// 每项为[平水韵韵部, 广韵韵目, 声调]，有多个读音时附加普通话推导读音，用于按上下文读音选择韵部
+const rhymeMappings = {};
+const rhymeGroupCounts = {};
+Array.from(entriesByChar.keys()).sort().forEach(char => {
+    const entries = entriesByChar.get(char);
+    const ordered = entries.filter(entry => entry.isOwn).concat(entries.filter(entry => !entry.isOwn));
+    const seen = new Set();
+    const unique = ordered.filter(entry => {
+        const key = `${entry.rhymeGroup}/${entry.guangyunRhyme}`;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+    rhymeMappings[char] = unique.map(({ rhymeGroup, guangyunRhyme, tone, reading }) =>
+        unique.length > 1 ? [rhymeGroup, guangyunRhyme, tone, reading] : [rhymeGroup, guangyunRhyme, tone]);
+    new Set(unique.map(entry => entry.rhymeGroup)).forEach(rhymeGroup => {
+        rhymeGroupCounts[rhymeGroup] = (rhymeGroupCounts[rhymeGroup] || 0) + 1;
+    });
+});
+
+// 每个汉字一行
+const outputPath = path.join(__dirname, '../assets/pingshui-rhyme-mappings.json');
+const lines = Object.entries(rhymeMappings).map(([char, entries]) => `${JSON.stringify(char)}:${JSON.stringify(entries)}`);
+fs.writeFileSync(outputPath, `{\n${lines.join(',\n')}\n}\n`, 'utf8');
+
+console.log('平水韵韵部表生成完成！');
+console.log(`韵部表已保存到: ${outputPath}`);
+console.log(`共收录 ${Object.keys(rhymeMappings).length} 个汉字（${readingCount} 个《广韵》读音），${Object.keys(rhymeGroupCounts).length} 个韵部`);
@@ -1,32 +1,241 @@
 // 生成韵脚映射表脚本
-// 运行一次，将映射表固定成本地文件
+// 检查押韵分组配置后生成映射表，将映射表固定成本地文件
+// 生成逻辑与浏览器中的韵脚分组编辑器共用components/rhymeGroups.js
+// 用法：
+//   node utils/rhymeMapGenerator.js                    检查配置并生成映射表
+//   node utils/rhymeMapGenerator.js --check            只检查，并确认映射表与分组配置一致，不写入文件
+//   node utils/rhymeMapGenerator.js --report <文件>    另将覆盖率报告保存为JSON
+//   node utils/rhymeMapGenerator.js --language cantonese  处理粤语（或xinyun中华新韵）的分组配置和映射表（默认为普通话）
+// 平水韵以汉字为键，由utils/pingshuiRhymeGenerator.js生成
+// 配置有重复拼音、格式错误的拼音，或有汉字读音没有映射时以状态码1退出
 
 const fs = require('fs');
 const path = require('path');
 
-// 读取押韵分组配置
-const rhymeGroupsPath = path.join(__dirname, '../assets/rhyme-groups.json');
-const rhymeGroups = JSON.parse(fs.readFileSync(rhymeGroupsPath, 'utf8'));
-
-// 构建映射表
-const rhymeMappings = {};
-
-for (const [normalGroup, strictGroups] of Object.entries(rhymeGroups)) {
-    for (const [strictGroup, finals] of Object.entries(strictGroups)) {
-        finals.forEach(finial => {
-            const trimmedFinial = finial.trim();
-            rhymeMappings[trimmedFinial] = {
-                normalGroup,
-                strictGroup
-            };
+// 普通话的读音库和映射表键，中华新韵同样以普通话音节为键
+// m、n、ng等鼻音叹词（如"呣""嗯"）没有韵母，不参与押韵
+const MANDARIN_LANGUAGE = {
+    library: '../libs/pinyinPro.js',
+    keyLabel: '音节',
+    unmappedKeys: new Set(['m', 'n', 'ng', 'hm', 'hng'])
+};
+
+// 各读音系统的读音库、映射表键的名称，以及允许没有映射的键，分组配置和映射表的路径由读音系统提供
+const LANGUAGES = {
+    mandarin: MANDARIN_LANGUAGE,
+    xinyun: MANDARIN_LANGUAGE,
+    cantonese: {
+        library: '../libs/toJyutping.js',
+        keyLabel: '韵母',
+        unmappedKeys: new Set()
+    }
+};
+
+// 检查覆盖率的汉字范围：CJK统一表意文字基本区
+const CJK_START = 0x4e00;
+const CJK_END = 0x9fff;
+
+// 报告中每个音节列出的例字数量
+const EXAMPLE_CHAR_COUNT = 5;
+
+/**
+ * 收集读音库能够给出的所有映射表键（普通话为音节，粤语为韵母），以及每个键对应的汉字
+ * @param {Object} system - 读音系统，参见components/pronunciationSystems.js
+ * @returns {Map<string, Array<string>>} 映射表键到汉字数组的映射
+ */
+function collectSyllables(system) {
+    const syllables = new Map();
+    for (let codePoint = CJK_START; codePoint <= CJK_END; codePoint++) {
+        const char = String.fromCodePoint(codePoint);
+        const readings = new Set(system.getReadings(char).map(reading => system.getRhymeKey(reading)));
+        readings.forEach(reading => {
+            if (!syllables.has(reading)) {
+                syllables.set(reading, []);
+            }
+            syllables.get(reading).push(char);
         });
     }
+    return syllables;
 }
 
-// 将映射表保存为本地文件
-const outputPath = path.join(__dirname, '../assets/rhyme-mappings.json');
-fs.writeFileSync(outputPath, JSON.stringify(rhymeMappings, null, 2), 'utf8');
+/**
+ * 生成映射表的覆盖率报告
+ * @param {Object} rhymeMappings - 韵脚映射表
+ * @param {Map<string, Array<string>>} syllables - 读音库给出的映射表键
+ * @param {Set<string>} unmappedSyllables - 允许没有映射的键
+ * @returns {Object} 覆盖率报告
+ */
+function createCoverageReport(rhymeMappings, syllables, unmappedSyllables) {
+    const missing = [];
+    const ignored = [];
+    let coveredCharCount = 0;
+    let totalCharCount = 0;
+
+    Array.from(syllables.keys()).sort().forEach(syllable => {
+        const chars = syllables.get(syllable);
+        totalCharCount += chars.length;
+        if (rhymeMappings[syllable]) {
+            coveredCharCount += chars.length;
+            return;
+        }
+        const entry = { syllable, charCount: chars.length, examples: chars.slice(0, EXAMPLE_CHAR_COUNT).join('') };
+        (unmappedSyllables.has(syllable) ? ignored : missing).push(entry);
+    });
+
+    // 映射表中读音库从未给出的键，不影响结果，仅供参考
+    const unused = Object.keys(rhymeMappings).filter(syllable => !syllables.has(syllable)).sort();
+
+    // 每个常规韵脚组覆盖的音节数和汉字读音数
+    const groups = {};
+    for (const [syllable, { normalGroup }] of Object.entries(rhymeMappings)) {
+        if (!groups[normalGroup]) {
+            groups[normalGroup] = { syllableCount: 0, charCount: 0 };
+        }
+        groups[normalGroup].syllableCount++;
+        groups[normalGroup].charCount += (syllables.get(syllable) || []).length;
+    }
+
+    return {
+        syllableCount: syllables.size,
+        mappedSyllableCount: syllables.size - missing.length - ignored.length,
+        totalCharReadings: totalCharCount,
+        coveredCharReadings: coveredCharCount,
+        coverage: totalCharCount > 0 ? (coveredCharCount / totalCharCount * 100).toFixed(2) : '0.00',
+        missing,
+        ignored,
+        unused,
+        groups
+    };
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 命令行参数
+ * @returns {Object} { check, reportPath, language }
+ */
+function parseArgs(args) {
+    const options = { check: false, reportPath: null, language: 'mandarin' };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--check') {
+            options.check = true;
+        } else if (args[i] === '--language') {
+            options.language = args[++i];
+            if (!LANGUAGES[options.language]) {
+                throw new Error(`--language 只能是 ${Object.keys(LANGUAGES).join('、')}`);
+            }
+        } else if (args[i] === '--report') {
+            options.reportPath = args[++i];
+            if (!options.reportPath) {
+                throw new Error('--report 需要指定文件路径');
+            }
+        } else {
+            throw new Error(`未知参数: ${args[i]}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * 检查读音系统的押韵分组配置并生成映射表：重复或格式错误的拼音、没有映射的汉字读音都记为错误
+ * @param {string} languageName - 读音系统，mandarin、xinyun或cantonese
+ * @returns {Promise<Object>} { system, rhymeMappings, report, errors }，system为读音系统，report为覆盖率报告
+ */
+async function checkRhymeGroups(languageName) {
+    const { findRhymeGroupProblems, normalizeRhymeGroups, generateRhymeMappings } = await import('../components/rhymeGroups.js');
+    const { PRONUNCIATION_SYSTEMS } = await import('../components/pronunciationSystems.js');
+
+    const language = LANGUAGES[languageName];
+    const system = PRONUNCIATION_SYSTEMS[languageName];
+    system.setLibrary(require(language.library));
+
+    // 读取押韵分组配置
+    const rawRhymeGroups = JSON.parse(fs.readFileSync(path.join(__dirname, '..', system.groupsPath), 'utf8'));
+    const errors = [];
+
+    // 检查重复和格式错误的拼音，重复的拼音在映射表中只会保留最后一个位置
+    const { duplicates, malformed } = findRhymeGroupProblems(rawRhymeGroups);
+    duplicates.forEach(({ final, locations }) => {
+        const places = locations.map(({ normalGroup, strictGroup }) => `${normalGroup}/${strictGroup}`).join('、');
+        errors.push(`读音 "${final}" 重复出现在: ${places}`);
+    });
+    malformed.forEach(({ final, normalGroup, strictGroup }) => {
+        errors.push(`读音 ${JSON.stringify(final)}（${normalGroup}/${strictGroup}）包含空白或无效字符`);
+    });
+
+    // 构建映射表
+    const rhymeMappings = generateRhymeMappings(normalizeRhymeGroups(rawRhymeGroups));
+
+    // 检查所有汉字读音是否都有映射，没有映射的读音在分析中显示为"未知"
+    const report = createCoverageReport(rhymeMappings, collectSyllables(system), language.unmappedKeys);
+    report.missing.forEach(({ syllable, charCount, examples }) => {
+        errors.push(`读音 "${syllable}" 没有映射（${charCount} 个汉字，如 ${examples}）`);
+    });
+
+    return { system, rhymeMappings, report, errors };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const language = LANGUAGES[options.language];
+    const { system, rhymeMappings, report, errors } = await checkRhymeGroups(options.language);
+    const rhymeMappingsPath = path.join(__dirname, '..', system.mappingsPath);
+    console.log(`读音系统: ${system.label}`);
+
+    console.log(`覆盖率: ${report.mappedSyllableCount}/${report.syllableCount} 个${language.keyLabel}，` +
+        `${report.coveredCharReadings}/${report.totalCharReadings} 个汉字读音（${report.coverage}%）`);
+    if (report.ignored.length > 0) {
+        console.log(`允许不映射的读音: ${report.ignored.map(({ syllable, examples }) => `${syllable}（${examples}）`).join('、')}`);
+    }
+    if (report.unused.length > 0) {
+        console.log(`读音库未使用的映射: ${report.unused.join('、')}`);
+    }
+
+    if (options.reportPath) {
+        fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2), 'utf8');
+        console.log(`覆盖率报告已保存到: ${options.reportPath}`);
+    }
+
+    // 检查模式下确认已提交的映射表与分组配置一致
+    if (options.check) {
+        const savedMappings = JSON.parse(fs.readFileSync(rhymeMappingsPath, 'utf8'));
+        if (JSON.stringify(savedMappings) !== JSON.stringify(rhymeMappings)) {
+            const command = `node utils/rhymeMapGenerator.js${options.language === 'mandarin' ? '' : ` --language ${options.language}`}`;
+            errors.push(`${system.mappingsPath} 与 ${system.groupsPath} 不一致，请重新运行 ${command}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`错误: ${error}`));
+        console.error(`共 ${errors.length} 个错误${options.check ? '' : '，未生成映射表'}`);
+        process.exit(1);
+    }
+
+    if (options.check) {
+        console.log('韵脚分组配置和映射表检查通过');
+        return;
+    }
+
+    // 将映射表保存为本地文件
+    fs.writeFileSync(rhymeMappingsPath, JSON.stringify(rhymeMappings, null, 2), 'utf8');
+
+    console.log('韵脚映射表生成完成！');
+    console.log(`映射表已保存到: ${rhymeMappingsPath}`);
+    console.log(`共生成 ${Object.keys(rhymeMappings).length} 个韵脚映射`);
+}
+
+// 作为模块引用时（如tests/rhymeMappings.test.js）只导出检查函数
+if (require.main === module) {
+    main().catch(error => {
+        console.error('生成韵脚映射表失败:', error);
+        process.exit(1);
+    });
+}
 
-console.log('韵脚映射表生成完成！');
-console.log(`映射表已保存到: ${outputPath}`);
-console.log(`共生成 ${Object.keys(rhymeMappings).length} 个韵脚映射`);
+module.exports = { checkRhymeGroups };
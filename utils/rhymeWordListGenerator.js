@@ -0,0 +1,60 @@
+// 生成押韵词典词表脚本
+// 从jieba格式的词频词典（每行"词语 词频 词性"，如cppjieba的dict/jieba.dict.utf8）中
+// 选出最常用的2到4字词语，标注带声调数字的拼音，保存为本地词表供押韵词典离线使用
+// 用法：node utils/rhymeWordListGenerator.js <词典文件>
+
+const fs = require('fs');
+const path = require('path');
+const { pinyin } = require('../libs/pinyinPro.js');
+
+// 各字数保留的词语数量，长词语的词频普遍较低，单独限额以保证三押、四押有足够的候选
+const LENGTH_LIMITS = { 2: 8000, 3: 3000, 4: 1500 };
+
+// 不收录的词性：人名、地名、机构名和其他专有名词
+const EXCLUDED_TAGS = new Set(['nr', 'nrt', 'nrfg', 'ns', 'nt', 'nz']);
+
+const dictPath = process.argv[2];
+if (!dictPath) {
+    console.error('用法: node utils/rhymeWordListGenerator.js <词典文件>');
+    process.exit(2);
+}
+
+// 读取词典，只保留2到4个汉字的常用词语
+const candidates = [];
+for (const line of fs.readFileSync(dictPath, 'utf8').split('\n')) {
+    const [word, frequency, tag] = line.trim().split(/\s+/);
+    if (!word || !/^[一-龥]{2,4}$/.test(word) || EXCLUDED_TAGS.has(tag)) {
+        continue;
+    }
+    candidates.push({ word, frequency: parseInt(frequency, 10) || 0 });
+}
+
+// 按词频从高到低排列，词频相同时按词语排序，保证每次生成的词表相同
+candidates.sort((a, b) => b.frequency - a.frequency || (a.word < b.word ? -1 : a.word > b.word ? 1 : 0));
+
+// 结合词语上下文标注拼音，如"银行"标注为"yin2 hang2"
+const words = [];
+const seenWords = new Set();
+const lengthCounts = { 2: 0, 3: 0, 4: 0 };
+for (const { word } of candidates) {
+    if (lengthCounts[word.length] >= LENGTH_LIMITS[word.length] || seenWords.has(word)) {
+        continue;
+    }
+    seenWords.add(word);
+
+    const syllables = pinyin(word, { toneType: 'num', type: 'array' });
+    if (syllables.length !== word.length || !syllables.every(syllable => /^[a-zü]+[0-4]$/.test(syllable))) {
+        continue;
+    }
+    words.push([word, syllables.join(' ')]);
+    lengthCounts[word.length]++;
+}
+
+// 每个词语一行，按词频从高到低排列
+const outputPath = path.join(__dirname, '../assets/rhyme-words.json');
+const output = `[\n${words.map(entry => JSON.stringify(entry)).join(',\n')}\n]\n`;
+fs.writeFileSync(outputPath, output, 'utf8');
+
+console.log('押韵词典词表生成完成！');
+console.log(`词表已保存到: ${outputPath}`);
+console.log(`共收录 ${words.length} 个词语（二字 ${lengthCounts[2]}，三字 ${lengthCounts[3]}，四字 ${lengthCounts[4]}）`);
@@ -0,0 +1,137 @@
+/**
+ * 押韵分析Worker
+ * 在后台线程中完成韵脚转换和押韵分析，避免输入时阻塞页面
+ *
+ * 消息协议：
+ *   主线程 → Worker
+ *     { type: 'analyze', requestId, text, convertOptions, analyzeOptions }  请求分析
+ *     { type: 'cancel', requestId }  取消requestId及之前尚未开始的请求
+ *     { type: 'set-mappings', mappings }  改用自定义的韵脚映射表（由韵脚分组编辑器生成），之后的请求按新映射表分析
+ *     { type: 'set-language', language }  切换读音系统或韵书（ID参见pronunciationSystems.js）并加载对应的默认映射表
+ *   Worker → 主线程
+ *     { type: 'ready' }  韵脚映射表和英文押韵词表加载完成
+ *     { type: 'init-error', message }  初始化或切换读音系统失败
+ *     { type: 'result', requestId, analysis }  分析完成
+ *     { type: 'error', requestId, message }  分析失败
+ */
+
+// pinyinPro为UMD格式，作为模块导入时会挂载到globalThis.pinyinPro
+import '../libs/pinyinPro.js';
+import {
+    loadRhymeMappings,
+    loadEnglishRhymes,
+    setRhymeMappings,
+    setPronunciationSystem,
+    getPronunciationSystem,
+    convertTextToRhymeGroups,
+    validateRhymeGroups
+} from '../components/rhymeConverter.js';
+import { analyzeRhymePatterns } from '../components/rhymeAnalyzer.js';
+
+// 等待处理的最新请求，新请求到达时直接替换旧请求
+let pendingRequest = null;
+let isProcessingScheduled = false;
+
+// 上一次的分析结果，用于只重新分析修改过的行
+let previousAnalysis = null;
+
+// 映射表就绪后才处理分析请求，切换读音系统和设置映射表依次排在其后
+let mappingsReady = Promise.all([
+    loadRhymeMappings(new URL('../assets/rhyme-mappings.json', import.meta.url)),
+    loadEnglishRhymes(new URL('../assets/english-rhymes.json', import.meta.url))
+])
+    .then(() => {
+        self.postMessage({ type: 'ready' });
+    })
+    .catch(error => {
+        self.postMessage({ type: 'init-error', message: error.message });
+        throw error;
+    });
+
+/**
+ * 在之前的映射表变更完成后执行新的变更，变更完成前到达的分析请求排在其后处理
+ * @param {Function} change - 变更映射表的函数，可以返回Promise
+ */
+function updateMappings(change) {
+    mappingsReady = mappingsReady.catch(() => {}).then(change).then(() => {
+        // 韵脚组已变化，上一次的结果不能用于增量分析
+        previousAnalysis = null;
+    });
+    mappingsReady.catch(error => {
+        self.postMessage({ type: 'init-error', message: error.message });
+    });
+}
+
+/**
+ * 切换读音系统，粤拼库只在第一次切换到粤语时加载
+ * @param {string} language - 读音系统ID
+ * @returns {Promise<void>}
+ */
+async function switchLanguage(language) {
+    if (language === 'cantonese' && typeof globalThis.ToJyutping === 'undefined') {
+        // to-jyutping为UMD格式，作为模块导入时会挂载到globalThis.ToJyutping
+        await import('../libs/toJyutping.js');
+    }
+    setPronunciationSystem(language);
+    await loadRhymeMappings(new URL(`../${getPronunciationSystem().mappingsPath}`, import.meta.url));
+}
+
+/**
+ * 安排处理等待中的请求
+ * 延迟到下一个任务执行，使分析期间积压的消息先到达，只处理其中最新的请求
+ */
+function scheduleProcessing() {
+    if (isProcessingScheduled) {
+        return;
+    }
+    isProcessingScheduled = true;
+    
+    mappingsReady.then(() => {
+        setTimeout(processPendingRequest, 0);
+    }, () => {
+        isProcessingScheduled = false;
+    });
+}
+
+/**
+ * 处理等待中的请求
+ */
+function processPendingRequest() {
+    isProcessingScheduled = false;
+    const request = pendingRequest;
+    pendingRequest = null;
+    if (!request) {
+        return;
+    }
+    
+    const { requestId, text, convertOptions, analyzeOptions } = request;
+    try {
+        const rhymeGroups = convertTextToRhymeGroups(text, convertOptions);
+        if (!validateRhymeGroups(rhymeGroups)) {
+            throw new Error('韵脚转换结果无效');
+        }
+        
+        const analysis = analyzeRhymePatterns(rhymeGroups, analyzeOptions, previousAnalysis);
+        previousAnalysis = analysis;
+        self.postMessage({ type: 'result', requestId, analysis });
+    } catch (error) {
+        self.postMessage({ type: 'error', requestId, message: error.message });
+    }
+}
+
+self.addEventListener('message', event => {
+    const message = event.data;
+    
+    if (message.type === 'analyze') {
+        pendingRequest = message;
+        scheduleProcessing();
+    } else if (message.type === 'cancel') {
+        if (pendingRequest && pendingRequest.requestId <= message.requestId) {
+            pendingRequest = null;
+        }
+    } else if (message.type === 'set-mappings') {
+        updateMappings(() => setRhymeMappings(message.mappings));
+    } else if (message.type === 'set-language') {
+        updateMappings(() => switchLanguage(message.language));
+    }
+});